@@ -95,18 +95,23 @@ function patchConfigPath() {
 }
 
 // Safe HTTP call for menu actions - catches all errors gracefully
-function menuApiCall(urlPath, method, onSuccess) {
+function menuApiCall(urlPath, method, onSuccess, timeoutMs) {
   const http = require('http');
+  // Every route behind /api (and /reload) requires the admin key; read it
+  // fresh like the renderer bridge below so a rotated key still works.
+  const cfg = readConfigSafe();
+  const apiKey = (cfg && cfg.server && cfg.server.admin_api_key) || '';
   const req = http.request({
     hostname: '127.0.0.1',
     port: servicePort,
     path: urlPath,
     method: method || 'POST',
-    timeout: 5000
+    headers: apiKey ? { 'x-api-key': apiKey } : {},
+    timeout: timeoutMs || 5000
   }, (res) => {
     let data = '';
     res.on('data', chunk => data += chunk);
-    res.on('end', () => { if (onSuccess) onSuccess(data); });
+    res.on('end', () => { if (onSuccess) onSuccess(data, res.statusCode); });
   });
   req.on('error', (err) => {
     console.error(`Menu API call failed (${urlPath}): ${err.message}`);
@@ -545,11 +550,66 @@ function navigateTo(page) {
 // System Tray
 // ---------------------------------------------------------------------------
 
-function createTray() {
-  const iconPath = getIconPath();
-  tray = new Tray(iconPath);
+// Lockdown from the tray: the same switch as the dashboard panel, reachable
+// with the window closed. The health watchdog keeps trayLockdownActive current
+// (null until the first probe, when both items stay enabled).
+let trayLockdownActive = null;
+
+function setTrayLockdown(active) {
+  if (!tray || active === trayLockdownActive) return;
+  trayLockdownActive = active;
+  tray.setToolTip(active ? 'UniFi Access Orchestrator — LOCKDOWN ACTIVE' : 'UniFi Access Orchestrator');
+  tray.setContextMenu(buildTrayMenu());
+}
+
+function showLockdownResult(title, data, statusCode) {
+  let body = {};
+  try { body = JSON.parse(data); } catch { /* non-JSON error page */ }
+  const ok = statusCode >= 200 && statusCode < 300;
+  if (ok) setTrayLockdown(!!body.active);
+  const opts = {
+    type: ok ? 'info' : 'warning',
+    message: ok ? title : 'Lockdown action failed',
+    detail: ok
+      ? (body.active
+        ? `${(body.doors || []).filter(d => d.held).length}/${(body.doors || []).length} door(s) held locked, ${(body.locks || []).filter(l => l.locked).length}/${(body.locks || []).length} deadbolt(s) thrown.`
+        : `${(body.restored || []).filter(r => r.restored).length}/${(body.restored || []).length} door lock rule(s) restored.`)
+      : (body.error || `The service answered HTTP ${statusCode}.`)
+  };
+  if (mainWindow) dialog.showMessageBox(mainWindow, opts);
+  else dialog.showMessageBox(opts);
+}
+
+async function confirmLockdown(start) {
+  // With an admin PIN set, both routes need it and a tray dialog cannot take
+  // text: hand over to the dashboard panel, which confirms and asks for it.
+  const cfg = readConfigSafe();
+  if (cfg && cfg.security && cfg.security.admin_pin && cfg.security.admin_pin.hash) {
+    if (!mainWindow) createWindow();
+    mainWindow.show();
+    mainWindow.focus();
+    mainWindow.webContents.executeJavaScript(start ? 'startLockdown && startLockdown()' : 'endLockdown && endLockdown()').catch(() => {});
+    return;
+  }
+  const opts = {
+    type: 'warning',
+    buttons: ['Cancel', start ? 'Start Lockdown' : 'End Lockdown'],
+    defaultId: 0,
+    cancelId: 0,
+    message: start ? 'Start a building-wide lockdown?' : 'End the lockdown?',
+    detail: start
+      ? 'Every door in the lockdown set is held locked, every deadbolt is thrown and door-flow unlocks stop until the lockdown is ended.'
+      : 'Each door goes back to the lock rule it had before and door-flow automation resumes.'
+  };
+  const { response } = mainWindow ? await dialog.showMessageBox(mainWindow, opts) : await dialog.showMessageBox(opts);
+  if (response !== 1) return;
+  // Engaging walks every door and lock, so allow well past the 5s default.
+  menuApiCall(start ? '/api/lockdown' : '/api/lockdown/end', 'POST',
+    (data, statusCode) => showLockdownResult(start ? 'Lockdown started' : 'Lockdown ended', data, statusCode), 60000);
+}
 
-  const contextMenu = Menu.buildFromTemplate([
+function buildTrayMenu() {
+  return Menu.buildFromTemplate([
     {
       label: 'Open Dashboard',
       click: () => {
@@ -565,11 +625,19 @@ function createTray() {
     { label: 'Open Config Folder', click: () => { shell.openPath(getConfigDir()); } },
     { label: 'Open Log Folder', click: () => { shell.openPath(getLogDir()); } },
     { type: 'separator' },
+    { label: 'Start Lockdown...', enabled: trayLockdownActive !== true, click: () => { confirmLockdown(true); } },
+    { label: 'End Lockdown...', enabled: trayLockdownActive !== false, click: () => { confirmLockdown(false); } },
+    { type: 'separator' },
     { label: 'Quit', click: () => { isQuitting = true; app.quit(); } }
   ]);
+}
+
+function createTray() {
+  const iconPath = getIconPath();
+  tray = new Tray(iconPath);
 
   tray.setToolTip('UniFi Access Orchestrator');
-  tray.setContextMenu(contextMenu);
+  tray.setContextMenu(buildTrayMenu());
   tray.on('double-click', () => {
     if (mainWindow) { mainWindow.show(); mainWindow.focus(); }
   });
@@ -660,6 +728,7 @@ function startHealthWatchdog() {
         try {
           const h = JSON.parse(data);
           healthFailCount = 0;
+          if (h.lockdown) setTrayLockdown(!!h.lockdown.active);
           if (mainWindow) {
             // Keep this mapping identical to the in-app status pill
             // (updateStatus in public/index.html) so the window title and the
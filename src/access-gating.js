@@ -177,6 +177,23 @@ function doorAccessVerdictUnion(access, userId, doors) {
   return sawUnknown ? 'unknown' : 'denied';
 }
 
+/**
+ * A user's collapsed verdict for one lock, honoring per-user trigger scopes.
+ * The union runs over only the gating doors whose retract edge admits this
+ * user (a `users` scope that names them, or no per-user scope at all; see
+ * doorFlows.scopeAdmitsUser). A gated lock none of whose edges admit the user
+ * is 'denied': that comes from the flows themselves, not from access data, so
+ * it is a confirmed denial rather than uncertainty. Group scopes are not
+ * applied here (the keypad has no event to resolve a group from), as before.
+ * @returns {'allowed'|'denied'|'ungated'|'unknown'}
+ */
+function lockAccessVerdict(access, userId, doorFlowsCfg, lockId) {
+  if (!doorFlows.gatingDoorsForLock(doorFlowsCfg, lockId).length) return 'ungated';
+  const userDoors = doorFlows.gatingDoorsForLock(doorFlowsCfg, lockId, userId);
+  if (!userDoors.length) return 'denied';
+  return doorAccessVerdictUnion(access, userId, userDoors);
+}
+
 /**
  * Classify a user's access to each lock in lockList against door_flows.
  * @param {string} userId
@@ -191,7 +208,7 @@ function classifyLocksForUser(userId, lockList, doorFlowsCfg, access) {
     const gatingDoors = doorFlows.gatingDoorsForLock(doorFlowsCfg, l.lock_id);
     return {
       lock_id: l.lock_id,
-      verdict: doorAccessVerdictUnion(access, userId, gatingDoors),
+      verdict: lockAccessVerdict(access, userId, doorFlowsCfg, l.lock_id),
       doors: gatingDoors.map((d) => d.name),
     };
   });
@@ -207,6 +224,7 @@ module.exports = {
   buildAccess,
   doorAccessVerdict,
   doorAccessVerdictUnion,
+  lockAccessVerdict,
   classifyLocksForUser,
   WRITE_VERDICTS,
   REVOKE_VERDICTS,
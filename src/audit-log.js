@@ -1,9 +1,10 @@
 'use strict';
 
 /**
- * Tamper-evident audit log for sensitive PIN operations.
+ * Tamper-evident audit log for sensitive PIN and building-state operations.
  *
- * Every admin-gated action (a PIN add/change/delete, an admin-PIN change) is
+ * Every admin-gated action (a PIN add/change/delete, an admin-PIN change, a
+ * lockdown started or ended, a lock setting changed over Z-Wave) is
  * appended as one JSON line to audit-log.jsonl in the config dir (0600). Each
  * entry carries the SHA-256 of the previous entry, forming a hash chain: an
  * edited or deleted line breaks the chain from that point on, so after-the-fact
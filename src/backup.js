@@ -122,4 +122,4 @@ function formatBytes(bytes) {
   return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
 }
 
-module.exports = { createBackup, listBackups, restoreBackup, pruneBackups };
+module.exports = { createBackup, listBackups, restoreBackup, pruneBackups, ensureBackupDir, formatTimestamp, formatBytes };
@@ -13,6 +13,23 @@
  *   - interior cascade: on an authorized entry at the trigger door,
  *     momentarily unlock the interior door(s) over the UniFi Access API
  *     (unlock-only) so the same walk-in continues through;
+ *   - lock_rule: a door flow lock_rule action applies a temporary UniFi lock
+ *     rule (hold a door unlocked for N minutes, hold it locked, reset it) on
+ *     the same path as a cascade unlock; deps.onLockRule hears each one
+ *     applied (the dashboard's "rule active until" state);
+ *   - http: a door flow http action POSTs its templated body to a URL on the
+ *     same path (scope, schedule, delay, debounce) as a cascade unlock; the
+ *     result lands in the event feed (see src/http-action.js);
+ *   - exit: an authorized egress (an exit-direction unlock record) runs the
+ *     exit triggers' retracts and unlocks the same way an entry does;
+ *   - keypad_unlock: a PIN that opened a deadbolt at its keypad runs the
+ *     unlock, lock_rule and http actions keyed on that lock, scoped by the
+ *     code slot's owner. The driver reports it, not UniFi, so the app hands
+ *     it in through observeKeypad() rather than observe();
+ *   - lock-on-close: when a door's position sensor goes open -> closed, the
+ *     door_closed lock actions (config.lock_edges) throw the deadbolt after
+ *     their delay. A retract or the door reopening cancels a pending lock.
+ *     A paired Z-Wave contact sensor reports through observeDoorPosition();
  *   - per-edge after-unlock: each door->deadbolt EDGE decides what happens
  *     after its retract - follow the lock's own hardware behavior
  *     ('lock_default'), hold open ('stay_unlocked'), or schedule an
@@ -32,19 +49,32 @@
  * unit-testable with captured fixtures. It never issues a lock command to
  * the UniFi side.
  *
+ * LOCKDOWN: while deps.isPaused() is true (a building lockdown, see
+ * src/lockdown.js) every retract, cascade unlock, lock rule and http action is
+ * suppressed (a lock rule would undo the lockdown's own hold); locks still
+ * go through. cancelPending() drops any timer that would act later.
+ *
+ * FIRMWARE: while this lock's driver reports firmwareUpdating (an OTA update
+ * from the Devices tab), its retracts and locks are skipped and logged, not
+ * failed: no alert fires for a command the lock could not have taken.
+ *
  * LIFECYCLE: a controller may hold a pending relock timer and a listener on
  * the long-lived lock driver. Callers that rebuild controllers MUST call
  * destroy() on the old instance or timers/listeners leak and can double-fire
  * after a rules reload.
  *
  * Event shapes are grounded in captured evidence:
- *   - entry: access.logs.add wrapping _source (result in _source.event.result,
- *     actor in _source.actor, door + direction in _source.target[])
- *   - secured/unsecured: access.data.v2.location.update (or the legacy
- *     access.data.device.location_update_v2) with data.state.lock
+ *   - entry / exit: access.logs.add wrapping _source (result in
+ *     _source.event.result, actor in _source.actor, door + direction in
+ *     _source.target[])
+ *   - secured/unsecured and open/closed: access.data.v2.location.update (or
+ *     the legacy access.data.device.location_update_v2) with data.state.lock
+ *     and the door position (dps)
  */
 
-const { scopeMatches } = require('./door-flows');
+const { scopeMatches, lockRuleCall } = require('./door-flows');
+const { scheduleActive, normalizeHolidays, holidayOn } = require('./schedule');
+const httpAction = require('./http-action');
 
 const REMOTE_PROVIDER = 'REMOTE_THROUGH_UAH';
 const DEFAULT_DOORBELL_REASON_CODE = 107;
@@ -63,11 +93,20 @@ class DeadboltController {
     this.broadcaster = deps.broadcaster || null;
     this.onAlert = deps.onAlert || (() => {});
     this.now = deps.now || (() => Date.now());
+    // Delivers one http action; injected in tests so no request leaves the box.
+    this.sendHttp = deps.sendHttpAction || httpAction.sendHttpAction;
+    this.onLockRule = deps.onLockRule || (() => {});
     // Resolve the acting user's group so a trigger's scope can gate the action.
     // Absent (older callers/tests) -> every action treats the user as
     // unresolved, and scope:null (everyone) still fires, so behavior is
     // unchanged until scoped triggers exist.
     this.resolveGroup = typeof deps.resolveGroup === 'function' ? deps.resolveGroup : null;
+    // Building lockdown gate: true = no unlock of any kind (locks still run).
+    this.isPaused = typeof deps.isPaused === 'function' ? deps.isPaused : () => false;
+    // Site timezone for trigger schedules (empty = the host's local clock).
+    this.timezone = (config.site && config.site.timezone) || null;
+    // Site holiday calendar: swaps scheduled windows and can tighten relock.
+    this.holidays = normalizeHolidays(config.site && config.site.holidays);
 
     const casc = config.cascade_rules || {};
     this.cascadeRules = (Array.isArray(casc.rules) ? casc.rules : []).map((r) => this._normalizeUnlockRule(r));
@@ -95,10 +134,15 @@ class DeadboltController {
     // require_result). Matches the historical top-level default.
     this.requireResult = (config.deadbolt_rules && config.deadbolt_rules.require_result) || 'ACCESS';
 
+    // door_closed lock actions pointing at this lock (see lockEdgesForLock).
+    this.lockEdges = (Array.isArray(config.lock_edges) ? config.lock_edges : []).map((e) => this._normalizeLockEdge(e));
+
     // enabled when there is something to do: a lock to drive, or a cascade rule
-    this.enabled = !!((this.lockDriver && this.edges.length) || this.cascadeRules.length);
+    this.enabled = !!((this.lockDriver && (this.edges.length || this.lockEdges.length)) || this.cascadeRules.length);
 
     this._lastLockStateByDoor = new Map(); // edge key -> last observed door lock state
+    this._lastPositionByDoor = new Map(); // door key -> last observed door position (open/closed)
+    this._closeLockTimers = new Set(); // pending door_closed locks (cancelled by a retract or a reopen)
     this._lastRetractAt = 0; // ts of the last retract, for the re-lock cooldown
     this._cascadeLastFired = new Map(); // trigger door (normalized) -> ts
     this._relockTimer = null;       // pending per-edge relock (at most one; last writer wins)
@@ -113,6 +157,10 @@ class DeadboltController {
       locks_failed: 0,
       cascades: 0,
       cascades_failed: 0,
+      lock_rules: 0,
+      lock_rules_failed: 0,
+      http_calls: 0,
+      http_failed: 0,
       last_action: null,
     };
 
@@ -134,9 +182,10 @@ class DeadboltController {
       trigger_door_id: edge.trigger_door_id || null,
       // Which event and who: a missing type is 'entry' and a missing scope is
       // everyone, so a legacy edge behaves exactly as before.
-      type: edge.type === 'doorbell' ? 'doorbell' : 'entry',
+      type: edge.type === 'doorbell' || edge.type === 'exit' ? edge.type : 'entry',
       scope: edge.scope == null ? null : edge.scope,
       doorbell: edge.doorbell || null,
+      schedule: edge.schedule || null,
       after_unlock: ['lock_default', 'stay_unlocked', 'relock_after'].includes(edge.after_unlock)
         ? edge.after_unlock : 'lock_default',
       relock_seconds: edge.relock_seconds == null ? null : edge.relock_seconds,
@@ -154,19 +203,47 @@ class DeadboltController {
     return {
       trigger_door: rule.trigger_door || null,
       trigger_door_id: rule.trigger_door_id || null,
-      type: rule.type === 'doorbell' ? 'doorbell' : 'entry',
+      type: ['doorbell', 'exit', 'keypad_unlock'].includes(rule.type) ? rule.type : 'entry',
+      lock_id: rule.lock_id || null,
       scope: rule.scope == null ? null : rule.scope,
       doorbell: rule.doorbell || null,
+      schedule: rule.schedule || null,
       unlock: Array.isArray(rule.unlock) ? rule.unlock : [],
+      http: rule.http && typeof rule.http.url === 'string' ? rule.http : null,
+      lock_rule: rule.lock_rule && typeof rule.lock_rule.door === 'string' ? rule.lock_rule : null,
       debounce_seconds: rule.debounce_seconds == null ? 8 : rule.debounce_seconds,
       delay_seconds: rule.delay_seconds == null ? 0 : rule.delay_seconds,
     };
   }
 
+  // A door_closed lock action: which door's close throws this lock, and after
+  // how long.
+  _normalizeLockEdge(e) {
+    const edge = e || {};
+    return {
+      trigger_door: edge.trigger_door || null,
+      trigger_door_id: edge.trigger_door_id || null,
+      schedule: edge.schedule || null,
+      delay_seconds: Number.isFinite(edge.delay_seconds) && edge.delay_seconds > 0 ? edge.delay_seconds : 0,
+    };
+  }
+
+  /** Drop every timer that would act later (relock, delayed cascade, door-closed lock). */
+  cancelPending(why) {
+    this._cancelRelock(why);
+    this._cancelCloseLocks(why);
+    if (this._cascadeTimers.size) {
+      for (const t of this._cascadeTimers) clearTimeout(t);
+      this._cascadeTimers.clear();
+      this.log.debug && this.log.debug(`deadbolt: pending cascade unlocks cancelled (${why})`);
+    }
+  }
+
   /** Clear timers and driver listeners. MUST be called before dropping the instance. */
   destroy() {
     this._destroyed = true;
     this._cancelRelock('controller destroyed');
+    this._cancelCloseLocks('controller destroyed');
     for (const t of this._cascadeTimers) clearTimeout(t);
     this._cascadeTimers.clear();
     if (this.lockDriver && typeof this.lockDriver.removeListener === 'function') {
@@ -187,7 +264,43 @@ class DeadboltController {
     const bell = this._parseDoorbell(raw);
     if (bell) return this._onDoorbell(bell);
     const loc = this._parseLocationUpdate(raw);
-    if (loc) return this._onLocationUpdate(loc);
+    if (loc) {
+      if (loc.position) this._onDoorPosition(loc);
+      if (loc.lock) this._onLocationUpdate(loc);
+    }
+  }
+
+  /**
+   * A keypad code opened a deadbolt: k = {lockId, slot, actorId, actorName},
+   * the actor being the owner of that code slot (null when the slot is not
+   * assigned to a UniFi user, which only an everyone trigger serves). Runs
+   * the keypad_unlock rules keyed on the lock, each reported as happening at
+   * its flow's door.
+   */
+  observeKeypad(k) {
+    if (!this.enabled || this._destroyed || !k || !k.lockId) return;
+    const group = this._groupGetter(k);
+    const specificMatched = this._specificGroupMatchedGetter('keypad_unlock', k, group);
+    this.cascadeRules.forEach((rule, idx) => {
+      if (rule.type !== 'keypad_unlock' || !this._ruleAt(rule, k)) return;
+      if (!this._inSchedule(rule)) return;
+      if (rule.scope && rule.scope.any_group && specificMatched()) return;
+      if (!scopeMatches(rule.scope, group(), k.actorId)) return;
+      if (!this._debounceOk(rule, idx)) return;
+      this._fireCascade(rule, Object.assign({}, k, { doorName: rule.trigger_door, doorId: rule.trigger_door_id }), group());
+    });
+  }
+
+  /**
+   * A door position reading from outside UniFi (a paired contact sensor):
+   * p = {doorName, doorId, position: 'open'|'closed'}. Handled exactly like
+   * the position in a location update, so door_closed lock actions fire from
+   * either source.
+   */
+  observeDoorPosition(p) {
+    if (!this.enabled || this._destroyed || !p || !p.doorName) return;
+    if (p.position !== 'open' && p.position !== 'closed') return;
+    this._onDoorPosition({ doorName: p.doorName, doorId: p.doorId || null, position: p.position });
   }
 
   _parseAccessGrant(raw) {
@@ -295,8 +408,23 @@ class DeadboltController {
     const d = raw.data || {};
     if ((d.location_type || '') !== 'door') return null;
     const state = d.state || {};
-    if (!state.lock) return null;
-    return { doorName: d.name || d.full_name || null, doorId: d.unique_id || d.id || null, lock: state.lock };
+    const position = this._doorPosition(state.dps != null ? state.dps : d.dps);
+    if (!state.lock && !position) return null;
+    return {
+      doorName: d.name || d.full_name || null,
+      doorId: d.unique_id || d.id || null,
+      lock: state.lock || null,
+      position,
+    };
+  }
+
+  // The door position sensor (dps) as 'open' | 'closed', or null when the
+  // door has no sensor or the value is unrecognized.
+  _doorPosition(dps) {
+    const v = normName(dps);
+    if (v === 'open') return 'open';
+    if (v === 'close' || v === 'closed') return 'closed';
+    return null;
   }
 
   // A doorbell answer, from either the top-level webhook shape or an
@@ -383,22 +511,51 @@ class DeadboltController {
     return null;
   }
 
+  /** Is a rule/edge's trigger schedule active right now? No schedule = always. */
+  _inSchedule(spec) {
+    return !spec.schedule || scheduleActive(spec.schedule, this.now(), this.timezone, this.holidays);
+  }
+
   /**
-   * The first edge of a given type whose door matches, whose gate passes and
-   * whose scope admits the resolved group. `group` is a lazy getter so the
+   * The edge as it applies today: on a calendar day with relock_seconds, an
+   * edge that would hold the bolt open (or relock later than that) relocks
+   * after the day's seconds instead. A schedule that ignores holidays, or an
+   * ordinary day, returns the edge unchanged.
+   */
+  _holidayEdge(edge) {
+    if (edge.schedule && edge.schedule.holidays === 'ignore') return edge;
+    const day = holidayOn(this.holidays, this.now(), this.timezone);
+    if (!day || !day.relock_seconds) return edge;
+    if (edge.after_unlock === 'relock_after' && Number.isFinite(edge.relock_seconds)
+        && edge.relock_seconds > 0 && edge.relock_seconds <= day.relock_seconds) return edge;
+    return Object.assign({}, edge, { after_unlock: 'relock_after', relock_seconds: day.relock_seconds });
+  }
+
+  /**
+   * The first edge of a given type whose door matches, whose gate passes,
+   * whose schedule is active and whose scope admits the acting user (by
+   * resolved group or UniFi user id). `group` is a lazy getter so the
    * resolver is only consulted when a scoped edge actually needs it.
    */
-  _matchRetractEdge(type, doorName, doorId, gate, group) {
+  _matchRetractEdge(type, doorName, doorId, gate, group, actorId) {
     for (const edge of this.edges) {
       if ((edge.type || 'entry') !== type) continue;
       if (!this._matchDoorSpec(doorName, doorId, edge.trigger_door, edge.trigger_door_id)) continue;
       if (!gate(edge)) continue;
-      if (!scopeMatches(edge.scope, group())) continue;
+      if (!this._inSchedule(edge)) continue;
+      if (!scopeMatches(edge.scope, group(), actorId)) continue;
       return edge;
     }
     return null;
   }
 
+  // Does a rule sit where the event happened: its lock for a keypad rule,
+  // its door for everything else.
+  _ruleAt(rule, ev) {
+    if (rule.type === 'keypad_unlock') return !!ev.lockId && rule.lock_id === ev.lockId;
+    return this._matchDoorSpec(ev.doorName, ev.doorId, rule.trigger_door, rule.trigger_door_id);
+  }
+
   /** Stable per-edge key for door state tracking. */
   _edgeKey(edge) {
     return edge.trigger_door_id ? `id:${edge.trigger_door_id}` : `name:${normName(edge.trigger_door)}`;
@@ -429,30 +586,32 @@ class DeadboltController {
       this.log.debug && this.log.debug('deadbolt: skipping self/remote-triggered event');
       return;
     }
-    // Exits are not credential-tracked; if a reader ever reports exit, do nothing.
-    if (g.direction === 'exit') return;
+    // An exit-direction record only drives exit triggers (none configured =
+    // nothing happens, as before exit triggers existed).
+    const type = g.direction === 'exit' ? 'exit' : 'entry';
 
     const group = this._groupGetter(g);
 
     if (this.lockDriver) {
-      // Per-edge result gate + scope: this door's entry edge decides which grant
+      // Per-edge result gate + scope: this door's edge decides which grant
       // results count and which groups it serves (legacy edges are ACCESS +
       // everyone, so behavior is unchanged).
-      const edge = this._matchRetractEdge('entry', g.doorName, g.doorId,
-        (e) => g.result === e.require_result, group);
-      if (edge) this._retract(`entry: ${this._who(g, group())} at ${g.doorName}`, edge, { actor: this._who(g, group()), location: g.doorName });
+      const edge = this._matchRetractEdge(type, g.doorName, g.doorId,
+        (e) => g.result === e.require_result, group, g.actorId);
+      if (edge) this._retract(`${type}: ${this._who(g, group())} at ${g.doorName}`, edge, { actor: this._who(g, group()), location: g.doorName });
     }
     // any_group is a FALLBACK (the migrated default_action's else-if): it fires
     // only when no group-specific unlock matched this group at this door.
-    const entrySpecificMatched = this._specificGroupMatchedGetter('entry', g, group,
+    const specificMatched = this._specificGroupMatchedGetter(type, g, group,
       () => g.result == null || g.result === this.requireResult);
     this.cascadeRules.forEach((rule, idx) => {
-      if ((rule.type || 'entry') !== 'entry') return;
+      if ((rule.type || 'entry') !== type) return;
       if (!this._matchDoorSpec(g.doorName, g.doorId, rule.trigger_door, rule.trigger_door_id)) return;
       // A denied event must never fire an interior unlock, scoped or not.
       if (g.result != null && g.result !== this.requireResult) return;
-      if (rule.scope && rule.scope.any_group && entrySpecificMatched()) return;
-      if (!scopeMatches(rule.scope, group())) return;
+      if (!this._inSchedule(rule)) return;
+      if (rule.scope && rule.scope.any_group && specificMatched()) return;
+      if (!scopeMatches(rule.scope, group(), g.actorId)) return;
       if (!this._debounceOk(rule, idx)) return;
       this._fireCascade(rule, g, group());
     });
@@ -460,8 +619,10 @@ class DeadboltController {
 
   // A lazy getter for "did a group-specific unlock rule of this type match the
   // resolved group at this event's door" (so an any_group fallback rule is
-  // suppressed, matching the old default_action else-if semantics). Consults
-  // the resolver at most once, and only when an any_group rule needs it.
+  // suppressed, matching the old default_action else-if semantics). A rule
+  // outside its schedule does not count: off hours, the fallback runs.
+  // Consults the resolver at most once, and only when an any_group rule
+  // needs it.
   _specificGroupMatchedGetter(type, ev, group, gate) {
     let val; let done = false;
     return () => {
@@ -469,9 +630,10 @@ class DeadboltController {
         const g0 = group();
         val = !!g0 && this.cascadeRules.some((r) => (r.type || 'entry') === type
           && r.scope && Array.isArray(r.scope.groups)
-          && this._matchDoorSpec(ev.doorName, ev.doorId, r.trigger_door, r.trigger_door_id)
+          && this._ruleAt(r, ev)
           && (!gate || gate(r))
-          && scopeMatches(r.scope, g0));
+          && this._inSchedule(r)
+          && scopeMatches(r.scope, g0, ev.actorId));
         done = true;
       }
       return val;
@@ -486,7 +648,7 @@ class DeadboltController {
 
     if (this.lockDriver) {
       const edge = this._matchRetractEdge('doorbell', d.doorName, d.doorId,
-        (e) => this._doorbellReasonOk(e, d.reasonCode), group);
+        (e) => this._doorbellReasonOk(e, d.reasonCode), group, d.actorId);
       if (edge) this._retract(`doorbell: ${this._who(d, group())} at ${d.doorName}`, edge, { actor: this._who(d, group()), location: d.doorName });
     }
     const bellSpecificMatched = this._specificGroupMatchedGetter('doorbell', d, group,
@@ -495,8 +657,9 @@ class DeadboltController {
       if ((rule.type || 'entry') !== 'doorbell') return;
       if (!this._matchDoorSpec(d.doorName, d.doorId, rule.trigger_door, rule.trigger_door_id)) return;
       if (!this._doorbellReasonOk(rule, d.reasonCode)) return;
+      if (!this._inSchedule(rule)) return;
       if (rule.scope && rule.scope.any_group && bellSpecificMatched()) return;
-      if (!scopeMatches(rule.scope, group())) return;
+      if (!scopeMatches(rule.scope, group(), d.actorId)) return;
       if (!this._debounceOk(rule, idx)) return;
       this._fireCascade(rule, d, group());
     });
@@ -537,6 +700,45 @@ class DeadboltController {
     }
   }
 
+  // door_closed: an OBSERVED open -> closed transition arms each matching lock
+  // action (first telemetry only seeds the state, as _onLocationUpdate). The
+  // door opening again before the delay runs out cancels the pending lock: a
+  // bolt thrown into an open frame jams.
+  _onDoorPosition(l) {
+    const key = l.doorId ? `id:${l.doorId}` : `name:${normName(l.doorName)}`;
+    const prev = this._lastPositionByDoor.get(key);
+    this._lastPositionByDoor.set(key, l.position);
+    if (!this.lockDriver || !this.lockEdges.length) return;
+    const edges = this.lockEdges.filter((e) => this._matchDoorSpec(l.doorName, l.doorId, e.trigger_door, e.trigger_door_id));
+    if (!edges.length) return;
+    if (l.position === 'open') {
+      if (prev === 'closed') this._cancelCloseLocks(`door reopened (${l.doorName})`);
+      return;
+    }
+    if (prev !== 'open') return;
+    for (const edge of edges) {
+      if (!this._inSchedule(edge)) continue;
+      this._armCloseLock(edge, `door closed: ${l.doorName}`);
+    }
+  }
+
+  _armCloseLock(edge, reason) {
+    if (!edge.delay_seconds) { this._lock(reason); return; }
+    const t = setTimeout(() => {
+      this._closeLockTimers.delete(t);
+      if (!this._destroyed) this._lock(`${reason} (+${edge.delay_seconds}s)`);
+    }, edge.delay_seconds * 1000);
+    if (typeof t.unref === 'function') t.unref();
+    this._closeLockTimers.add(t);
+  }
+
+  _cancelCloseLocks(why) {
+    if (!this._closeLockTimers.size) return;
+    for (const t of this._closeLockTimers) clearTimeout(t);
+    this._closeLockTimers.clear();
+    this.log.debug && this.log.debug(`deadbolt: pending door-closed lock cancelled (${why})`);
+  }
+
   _debounceOk(rule, idx) {
     // Key per rule (index + door), not by door alone, so two rules sharing a
     // trigger door debounce independently instead of one silently suppressing
@@ -556,11 +758,13 @@ class DeadboltController {
    * Arm the after-unlock behavior of the edge that just retracted. LAST
    * WRITER WINS: two doors triggering the same lock near-simultaneously each
    * clear the previous pending relock and apply their own edge's intent -
-   * the most recent entry is the most recent human intent.
+   * the most recent entry is the most recent human intent. A holiday with
+   * relock_seconds tightens the edge for the day (see _holidayEdge).
    */
   _armAfterUnlock(edge, reason) {
     this._cancelRelock('superseded by a newer retract');
     if (this._destroyed) return;
+    edge = this._holidayEdge(edge);
     if (edge.after_unlock === 'relock_after'
         && Number.isFinite(edge.relock_seconds) && edge.relock_seconds > 0) {
       this._relockEdge = edge;
@@ -657,8 +861,22 @@ class DeadboltController {
 
   // ---- actions (fire-and-forget so ingestion never blocks) ---------------
 
+  // True (and logged) when the lock is mid firmware update.
+  _firmwareBusy(action, reason) {
+    const snap = this.lockDriver && typeof this.lockDriver.snapshot === 'function' ? this.lockDriver.snapshot() : null;
+    if (!snap || !snap.firmwareUpdating) return false;
+    this.log.info && this.log.info(`deadbolt: ${action} skipped, firmware update in progress (${reason})`);
+    return true;
+  }
+
   _retract(reason, edge, ctx) {
+    if (this.isPaused()) {
+      this.log.info && this.log.info(`deadbolt: retract suppressed by lockdown (${reason})`);
+      return;
+    }
+    if (this._firmwareBusy('retract', reason)) return;
     this._lastRetractAt = this.now(); // start the re-lock cooldown window
+    this._cancelCloseLocks('superseded by a retract');
     if (edge) this._armAfterUnlock(edge, reason);
     Promise.resolve()
       .then(() => this.lockDriver.unlock(reason))
@@ -681,6 +899,7 @@ class DeadboltController {
   }
 
   _lock(reason) {
+    if (this._firmwareBusy('lock', reason)) return;
     Promise.resolve()
       .then(() => this.lockDriver.lock(reason))
       .then((r) => {
@@ -705,7 +924,7 @@ class DeadboltController {
   // tracked so destroy() can cancel a pending unlock (no leak, no double fire
   // after a rules reload).
   _fireCascade(rule, grant, group) {
-    const ctx = { actor: this._who(grant, group), location: grant.doorName };
+    const ctx = { actor: this._who(grant, group), location: grant.doorName, group };
     const delayMs = (rule.delay_seconds || 0) * 1000;
     if (delayMs > 0) {
       const t = setTimeout(() => {
@@ -721,7 +940,15 @@ class DeadboltController {
 
   _cascade(rule, grant, ctx) {
     const doors = Array.isArray(rule.unlock) ? rule.unlock : [];
+    // Checked at fire time too, so a delayed unlock armed before a lockdown
+    // never opens a door during it.
+    if (this.isPaused()) {
+      this.log.info && this.log.info(`deadbolt: cascade from ${grant.doorName} suppressed by lockdown`);
+      return;
+    }
+    if (rule.http) { this._callHttp(rule, grant, ctx); return; }
     const client = this._getUnifi();
+    if (rule.lock_rule) { this._applyLockRule(rule.lock_rule, client, grant, ctx); return; }
     for (const doorName of doors) {
       Promise.resolve()
         .then(() => client
@@ -745,6 +972,71 @@ class DeadboltController {
     }
   }
 
+  // One lock_rule action. The target door resolves by its stored id, else by
+  // name through the client's door registry.
+  _applyLockRule(spec, client, grant, ctx) {
+    const call = lockRuleCall(spec);
+    const doorId = spec.door_id || (client && client.doors && client.doors.get(spec.door)) || null;
+    const what = spec.type === 'keep_unlock'
+      ? `hold ${spec.door} unlocked ${spec.minutes ? `for ${spec.minutes} min` : 'until reset'}`
+      : (spec.type === 'keep_lock' ? `hold ${spec.door} locked` : `reset ${spec.door} to its schedule`);
+    Promise.resolve()
+      .then(() => {
+        if (!client) return { success: false, error: 'no unifi client' };
+        if (!doorId) return { success: false, error: 'door not discovered' };
+        return client.setDoorLockRule(doorId, call.type, call.interval);
+      })
+      .then((r) => {
+        if (r && r.success) {
+          this.stats.lock_rules++;
+          this._record('lock_rule', true, `${grant.doorName} -> ${what}`, ctx);
+          this.onLockRule({ door: spec.door, door_id: doorId, type: spec.type, minutes: spec.minutes, source: `door flow at ${grant.doorName}`, actor: ctx.actor });
+        } else {
+          this.stats.lock_rules_failed++;
+          this._record('lock_rule', false, `${grant.doorName} -> ${what} (${(r && r.error) || 'failed'})`, ctx);
+          this.onAlert({ type: 'lock_rule_failed', door: spec.door, rule: spec.type, error: r && r.error });
+        }
+      })
+      .catch((err) => {
+        this.stats.lock_rules_failed++;
+        this._record('lock_rule', false, `${grant.doorName} -> ${what} (${err.message})`, ctx);
+        this.onAlert({ type: 'lock_rule_failed', door: spec.door, rule: spec.type, error: err.message });
+      });
+  }
+
+  // One http action delivery. The send never throws; a failure after its
+  // retries raises a warning alert so a dead endpoint is noticed.
+  _callHttp(rule, grant, ctx) {
+    const target = httpAction.displayUrl(rule.http.url);
+    const values = {
+      actor: grant.actorName || null,
+      actor_id: grant.actorId || null,
+      door: grant.doorName || null,
+      door_id: grant.doorId || null,
+      group: ctx.group || null,
+      time: new Date(this.now()).toISOString(),
+      trigger: rule.type || 'entry',
+    };
+    Promise.resolve()
+      .then(() => this.sendHttp(rule.http, values))
+      .then((r) => {
+        const tries = r.attempts > 1 ? `, ${r.attempts} attempts` : '';
+        if (r.success) {
+          this.stats.http_calls++;
+          this._record('http', true, `${grant.doorName} -> POST ${target} (HTTP ${r.status}${tries})`, ctx);
+        } else {
+          this.stats.http_failed++;
+          this._record('http', false, `${grant.doorName} -> POST ${target} (${r.error}${tries})`, ctx);
+          this.onAlert({ type: 'http_action_failed', door: grant.doorName, url: target, error: r.error });
+        }
+      })
+      .catch((err) => {
+        this.stats.http_failed++;
+        this._record('http', false, `${grant.doorName} -> POST ${target} (${err.message})`, ctx);
+        this.onAlert({ type: 'http_action_failed', door: grant.doorName, url: target, error: err.message });
+      });
+  }
+
   _record(action, success, detail, ctx) {
     this.stats.last_action = { action, success, detail, time: new Date().toISOString() };
     if (this.broadcaster) {
@@ -766,6 +1058,7 @@ class DeadboltController {
       trigger_door: (this.edges[0] && this.edges[0].trigger_door) || null,
       trigger_doors: this.edges.map((e) => e.trigger_door).filter(Boolean),
       relock_pending: !!this._relockTimer,
+      close_lock_pending: this._closeLockTimers.size > 0,
       last_lock_state: this.edges[0]
         ? (this._lastLockStateByDoor.get(this._edgeKey(this.edges[0])) ?? null)
         : null,
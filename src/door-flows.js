@@ -5,13 +5,34 @@
  *
  * Product model: "everything starts at the door." Configuring a door answers
  * one question, when something happens here, what should happen? Each door
- * holds a list of TRIGGERS. A trigger has a type (entry or doorbell), a scope
- * (who it applies to) and a set of actions:
+ * holds a list of TRIGGERS. A trigger has a type, a scope (who it applies to)
+ * and a set of actions. Types:
+ *   entry:       an authorized badge-in at the door;
+ *   doorbell:    a doorbell answered at the door;
+ *   exit:        an authorized egress at the door (an exit-direction unlock
+ *                record: an egress reader badge or a logged request-to-exit);
+ *   door_closed: the door's position sensor reports open -> closed. No one is
+ *                attached to it, so it takes no scope;
+ *   keypad_unlock: a PIN entered at a deadbolt's keypad opened it. Keyed on
+ *                the lock (`lock_id`), not on a UniFi event; the person is the
+ *                owner of the code slot in that lock's user_codes, so scope
+ *                works as for a badge-in. It carries unlock, http and
+ *                lock_rule actions only (the keypad already opened its bolt).
+ * Actions:
  *   retract: real Z-Wave lock commands to one or more deadbolts, each edge
  *            carrying its OWN after-unlock behavior and advanced fields
  *            (one door may make a deadbolt behave differently than another);
  *   unlock:  momentary UniFi unlocks of OTHER doors (never a lock command),
- *            with a debounce and an optional delay.
+ *            with a debounce and an optional delay;
+ *   lock:    throw one or more deadbolts, optionally after a delay
+ *            (door_closed only, which carries ONLY lock actions; a retract or
+ *            a door opening again during the delay cancels it);
+ *   http:    POST a templated JSON body to a URL (lights, BMS, a tenant
+ *            system), with the same debounce/delay as unlock; delivery,
+ *            signing and retries live in src/http-action.js;
+ *   lock_rule: apply a temporary UniFi lock rule to a door (hold it unlocked
+ *            for N minutes or until reset, hold it locked, or reset it to its
+ *            schedule), with the same debounce/delay as unlock.
  *
  * Canonical persisted shape (the sole automation source of truth on disk):
  *   door_flows: {
@@ -19,10 +40,14 @@
  *       door_id: "abc123" | null,        // rename-proof id, backfilled lazily
  *       triggers: [
  *         {
- *           type: "entry" | "doorbell",
+ *           type: "entry" | "doorbell" | "exit" | "door_closed" | "keypad_unlock",
+ *           lock_id: "front_deadbolt",    // keypad_unlock only: whose keypad
  *           scope: null                   // everyone, incl unresolved users
  *                | { any_group: true }    // any RESOLVED group (skips unresolved)
- *                | { groups: ["Staff"] }, // only these resolved groups
+ *                | { groups: ["Staff"] }  // only these resolved groups
+ *                | { users: ["<id>"] },   // only these UniFi user ids
+ *                  // any of the above (or alone, = everyone) may also carry
+ *                  // exclude_users: ["<id>"] to leave those users out
  *           actions: {
  *             unlock: [ { doors: ["Interior Door"], door_ids: [id|null,...],
  *                         debounce_seconds: 8, delay_seconds: 0 }, ... ],
@@ -37,9 +62,24 @@
  *               require_result: 'ACCESS',
  *               mirror_unlock: false,
  *               relock_cooldown_seconds: 10,
- *             } ]
+ *             } ],
+ *             lock: [ { lock_id: "front_deadbolt", delay_seconds: 5 } ], // door_closed only
+ *             http: [ { url: "https://bms.local/hook", headers: {...},
+ *                       body: {...} | null,  // JSON template; null = default body
+ *                       secret: "...",       // optional HMAC signing key
+ *                       timeout_seconds: 5, retries: 2,
+ *                       debounce_seconds: 8, delay_seconds: 0 } ],
+ *             lock_rule: [ { door: "Suite 100", door_id: id|null,
+ *                            type: 'keep_unlock' | 'keep_lock' | 'reset',
+ *                            minutes: 30,     // keep_unlock only; null = until reset
+ *                            debounce_seconds: 8, delay_seconds: 0 } ]
  *           },
- *           doorbell: { reason_code: 107, viewer_to_group: {...} } // doorbell only
+ *           doorbell: { reason_code: 107, viewer_to_group: {...} }, // doorbell only
+ *           schedule: null                // fires around the clock
+ *                   | { windows: [ { days: ["mon",...], start: "08:00", end: "18:00" } ] }
+ *                                         // only inside a window, site-local time;
+ *                                         // the site holiday calendar swaps the
+ *                                         // windows (see src/schedule.js)
  *         }
  *       ]
  *     }, ...
@@ -61,13 +101,21 @@
  */
 
 const deadboltRules = require('./deadbolt-rules');
+const httpAction = require('./http-action');
+const { normalizeSchedule, scheduleActive, validateSchedule } = require('./schedule');
 
 // Modes we still READ (lock_default lives only in un-migrated configs; the UI
 // writes only the two deterministic modes).
 const AFTER_UNLOCK_MODES = Object.freeze(['lock_default', 'stay_unlocked', 'relock_after']);
 const AFTER_UNLOCK_WRITE_MODES = Object.freeze(['stay_unlocked', 'relock_after']);
-const TRIGGER_TYPES = Object.freeze(['entry', 'doorbell']);
+const TRIGGER_TYPES = Object.freeze(['entry', 'doorbell', 'exit', 'door_closed', 'keypad_unlock']);
+// Trigger types a person fires at a UniFi door (scope-able, carry
+// unlock/retract actions). keypad_unlock is scope-able too, but fires at a
+// deadbolt and never retracts.
+const PERSON_TRIGGER_TYPES = Object.freeze(['entry', 'doorbell', 'exit']);
 const DEFAULT_DOORBELL_REASON_CODE = 107;
+const LOCK_RULE_TYPES = Object.freeze(['keep_unlock', 'keep_lock', 'reset']);
+const MAX_LOCK_RULE_MINUTES = 1440; // one day, the longest custom rule the editor offers
 const DEFAULT_LOCK_DEFAULT_RELOCK_SECONDS = 30; // catalog says "about 30s"
 
 const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
@@ -115,6 +163,14 @@ function retractOf(trigger) {
   return Array.isArray(r) ? r : [];
 }
 
+/** The lock actions of a trigger: [{lock_id, delay_seconds}] (defensive). */
+function lockActionsOf(trigger) {
+  const l = trigger && trigger.actions && trigger.actions.lock;
+  if (!Array.isArray(l)) return [];
+  return l.filter((a) => isPlainObject(a) && typeof a.lock_id === 'string' && a.lock_id)
+    .map((a) => ({ lock_id: a.lock_id, delay_seconds: Number.isFinite(a.delay_seconds) && a.delay_seconds > 0 ? a.delay_seconds : 0 }));
+}
+
 /** One unlock action, validated: needs a non-empty doors list. */
 function validUnlockAction(u) {
   return isPlainObject(u) && Array.isArray(u.doors) && u.doors.length ? u : null;
@@ -132,33 +188,117 @@ function unlockActionsOf(trigger) {
   return one ? [one] : [];
 }
 
-/** Canonicalize a scope value to null | {any_group:true} | {groups:[...]}. */
+/**
+ * The http actions of a trigger, canonical: {url, headers, body, timeout_
+ * seconds, retries, debounce_seconds, delay_seconds} plus secret when one is
+ * set. Entries without a url string are skipped (defensive).
+ */
+function httpActionsOf(trigger) {
+  const h = trigger && trigger.actions && trigger.actions.http;
+  if (!Array.isArray(h)) return [];
+  return h.filter((a) => isPlainObject(a) && typeof a.url === 'string' && a.url).map((a) => {
+    const out = {
+      url: a.url,
+      headers: isPlainObject(a.headers) ? Object.assign({}, a.headers) : {},
+      body: a.body == null ? null : a.body,
+      timeout_seconds: Number.isFinite(a.timeout_seconds) ? a.timeout_seconds : httpAction.DEFAULT_TIMEOUT_SECONDS,
+      retries: Number.isFinite(a.retries) ? a.retries : httpAction.DEFAULT_RETRIES,
+      debounce_seconds: a.debounce_seconds == null ? 8 : a.debounce_seconds,
+      delay_seconds: a.delay_seconds == null ? 0 : a.delay_seconds,
+    };
+    if (typeof a.secret === 'string' && a.secret) out.secret = a.secret;
+    return out;
+  });
+}
+
+/**
+ * The lock_rule actions of a trigger, canonical: {door, door_id, type,
+ * minutes, debounce_seconds, delay_seconds}. minutes is kept only for
+ * keep_unlock (null = held until something resets it).
+ */
+function lockRuleActionsOf(trigger) {
+  const l = trigger && trigger.actions && trigger.actions.lock_rule;
+  if (!Array.isArray(l)) return [];
+  return l.filter((a) => isPlainObject(a) && typeof a.door === 'string' && a.door && LOCK_RULE_TYPES.includes(a.type)).map((a) => ({
+    door: a.door,
+    door_id: typeof a.door_id === 'string' && a.door_id ? a.door_id : null,
+    type: a.type,
+    minutes: a.type === 'keep_unlock' && Number.isInteger(a.minutes) && a.minutes > 0 ? a.minutes : null,
+    debounce_seconds: a.debounce_seconds == null ? 8 : a.debounce_seconds,
+    delay_seconds: a.delay_seconds == null ? 0 : a.delay_seconds,
+  }));
+}
+
+/**
+ * The UniFi lock_rule call for one action: a timed hold-open is the 'custom'
+ * rule with an interval; everything else passes through.
+ * @returns {{type: string, interval: number|null}}
+ */
+function lockRuleCall(action) {
+  if (action.type === 'keep_unlock' && action.minutes) return { type: 'custom', interval: action.minutes };
+  return { type: action.type, interval: null };
+}
+
+function userIdList(list) {
+  return Array.isArray(list) ? [...new Set(list.filter((u) => typeof u === 'string' && u.trim()).map((u) => u.trim()))] : [];
+}
+
+/**
+ * Canonicalize a scope value to null | {any_group:true} | {groups:[...]} |
+ * {users:[...]}, plus exclude_users:[...] when set (a bare {exclude_users} is
+ * everyone but them). any_group wins over groups, and groups over users.
+ */
 function normalizeScope(scope) {
   if (!isPlainObject(scope)) return null;
-  if (scope.any_group === true) return { any_group: true };
-  if (Array.isArray(scope.groups)) {
-    const groups = scope.groups.filter((g) => typeof g === 'string' && g.trim());
-    return groups.length ? { groups } : null;
-  }
-  return null;
+  let out = null;
+  const groups = Array.isArray(scope.groups) ? scope.groups.filter((g) => typeof g === 'string' && g.trim()) : [];
+  const users = userIdList(scope.users);
+  if (scope.any_group === true) out = { any_group: true };
+  else if (groups.length) out = { groups };
+  else if (users.length) out = { users };
+  const exclude = userIdList(scope.exclude_users);
+  if (exclude.length) out = Object.assign(out || {}, { exclude_users: exclude });
+  return out;
 }
 
 /**
- * Does a trigger scope match a resolved group?
+ * Does a trigger scope match the acting user?
  *   scope null            -> everyone, including an unresolved user
  *   scope { any_group }    -> any resolved group; an unresolved user is skipped
  *   scope { groups: [...] }-> only these groups (case-insensitive)
+ *   scope { users: [...] } -> only these UniFi user ids, whatever their group
+ *   exclude_users          -> never these user ids; an event with no user id
+ *                             cannot be excluded
  * @param {string|null} resolvedGroup null means the user resolved to no group.
+ * @param {string|null} [userId] the event's UniFi user id, when it has one.
  */
-function scopeMatches(scope, resolvedGroup) {
+function scopeMatches(scope, resolvedGroup, userId) {
   const s = normalizeScope(scope);
   if (s == null) return true;
+  const uid = userId == null ? '' : String(userId);
+  if (s.exclude_users && uid && s.exclude_users.includes(uid)) return false;
+  if (s.users) return !!uid && s.users.includes(uid);
   if (s.any_group === true) return !!resolvedGroup;
+  if (!s.groups) return true; // exclude_users alone: everyone else
   if (!resolvedGroup) return false;
   const g = normName(resolvedGroup);
   return s.groups.some((x) => normName(x) === g);
 }
 
+/**
+ * The per-user half of scopeMatches, for keypad gating (which knows the user
+ * but has no event to resolve a group from): false only when the scope names
+ * users and this one is not among them, or excludes this one.
+ */
+function scopeAdmitsUser(scope, userId) {
+  const s = normalizeScope(scope);
+  if (s == null) return true;
+  const uid = String(userId);
+  if (s.exclude_users && s.exclude_users.includes(uid)) return false;
+  if (s.users) return s.users.includes(uid);
+  return true;
+}
+
 // ---------------------------------------------------------------------------
 // migrateToFlows: legacy {deadbolt_rules, cascade_rules} -> flat door_flows
 // (kept for back-compat; the trigger migration builds on top of it)
@@ -314,9 +454,14 @@ function sameScope(a, b) {
   if (a == null && b == null) return true;
   if (a == null || b == null) return false;
   if (a.any_group || b.any_group) return !!a.any_group === !!b.any_group;
-  const ga = (a.groups || []).map(normName).sort();
-  const gb = (b.groups || []).map(normName).sort();
-  return ga.length === gb.length && ga.every((x, i) => x === gb[i]);
+  const same = (la, lb, norm) => {
+    const xa = (la || []).map(norm).sort();
+    const xb = (lb || []).map(norm).sort();
+    return xa.length === xb.length && xa.every((x, i) => x === xb[i]);
+  };
+  return same(a.groups, b.groups, normName)
+    && same(a.users, b.users, String)
+    && same(a.exclude_users, b.exclude_users, String);
 }
 
 function sameDoorbell(a, b) {
@@ -498,8 +643,8 @@ function automatedLockIdsFromFlows(flows) {
 
 /**
  * Reverse index: every retract edge pointing at lockId, annotated with its
- * door and its owning trigger's type/scope/doorbell so the controller can gate
- * by who and by which event fired.
+ * door and its owning trigger's type/scope/doorbell/schedule so the controller
+ * can gate by who, by which event fired and by when.
  */
 function edgesForLock(flows, lockId) {
   const out = [];
@@ -510,6 +655,7 @@ function edgesForLock(flows, lockId) {
       const type = TRIGGER_TYPES.includes(trig.type) ? trig.type : 'entry';
       const scope = normalizeScope(trig.scope);
       const doorbell = isPlainObject(trig.doorbell) ? trig.doorbell : null;
+      const schedule = normalizeSchedule(trig.schedule);
       for (const edge of retractOf(trig)) {
         if (!edge || edge.lock_id !== lockId) continue;
         out.push({
@@ -518,6 +664,7 @@ function edgesForLock(flows, lockId) {
           type,
           scope,
           doorbell,
+          schedule,
           after_unlock: AFTER_UNLOCK_MODES.includes(edge.after_unlock) ? edge.after_unlock : 'lock_default',
           relock_seconds: edge.relock_seconds == null ? null : edge.relock_seconds,
           require_result: edge.require_result || 'ACCESS',
@@ -530,10 +677,55 @@ function edgesForLock(flows, lockId) {
   return out;
 }
 
+/**
+ * Every door_closed lock action pointing at lockId, as {trigger_door,
+ * trigger_door_id, type, schedule, delay_seconds}. Kept apart from
+ * edgesForLock: a lock action never opens the bolt, so it neither gates
+ * keypad access nor owns the lock's after-unlock behavior.
+ */
+function lockEdgesForLock(flows, lockId) {
+  const out = [];
+  if (!lockId) return out;
+  for (const [door, flow] of Object.entries(flows || {})) {
+    if (!isSafeKey(door) || !isPlainObject(flow)) continue;
+    for (const trig of triggersOf(flow)) {
+      if (trig.type !== 'door_closed') continue;
+      for (const a of lockActionsOf(trig)) {
+        if (a.lock_id !== lockId) continue;
+        out.push({
+          trigger_door: door,
+          trigger_door_id: flow.door_id || null,
+          type: 'door_closed',
+          schedule: normalizeSchedule(trig.schedule),
+          delay_seconds: a.delay_seconds,
+        });
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Every lock a flow drives, by retract edge OR lock action (the set that needs
+ * a controller). Order: retract locks first, as automatedLockIdsFromFlows.
+ */
+function wiredLockIdsFromFlows(flows) {
+  const ids = automatedLockIdsFromFlows(flows);
+  for (const [door, flow] of Object.entries(flows || {})) {
+    if (!isSafeKey(door) || !isPlainObject(flow)) continue;
+    for (const trig of triggersOf(flow)) {
+      if (trig.type !== 'door_closed') continue;
+      for (const a of lockActionsOf(trig)) if (!ids.includes(a.lock_id)) ids.push(a.lock_id);
+    }
+  }
+  return ids;
+}
+
 /**
  * Legacy cascade rules ({trigger_door, trigger_door_id, unlock, debounce_
- * seconds}) from the everyone entry triggers only (the old cascade). Used by
- * legacyProjection so external readers keep seeing the old shape.
+ * seconds}, plus schedule when the trigger has one) from the everyone entry
+ * triggers only (the old cascade). Used by legacyProjection so external
+ * readers keep seeing the old shape.
  */
 function cascadeRulesFromFlows(flows) {
   const rules = [];
@@ -542,13 +734,18 @@ function cascadeRulesFromFlows(flows) {
     for (const trig of triggersOf(flow)) {
       if ((TRIGGER_TYPES.includes(trig.type) ? trig.type : 'entry') !== 'entry') continue;
       if (normalizeScope(trig.scope) != null) continue; // group-scoped unlocks are unlock_rules
+      const schedule = normalizeSchedule(trig.schedule);
       for (const u of unlockActionsOf(trig)) {
-        rules.push({
+        const rule = {
           trigger_door: door,
           trigger_door_id: flow.door_id || null,
           unlock: [...u.doors],
           debounce_seconds: u.debounce_seconds == null ? 8 : u.debounce_seconds,
-        });
+        };
+        // Only a scheduled cascade carries the key, so the legacy shape is
+        // byte-identical for every unscheduled one.
+        if (schedule) rule.schedule = schedule;
+        rules.push(rule);
       }
     }
   }
@@ -558,41 +755,152 @@ function cascadeRulesFromFlows(flows) {
 /**
  * Every unlock-bearing trigger, as a scoped rule the controller consumes:
  * {trigger_door, trigger_door_id, type, scope, unlock, unlock_ids,
- *  debounce_seconds, delay_seconds, doorbell}. Covers entry cascades, group
- * scoped unlocks and doorbell unlocks in one list.
+ *  debounce_seconds, delay_seconds, doorbell, schedule}. Covers entry cascades, group
+ * scoped unlocks, doorbell unlocks, exit unlocks and keypad unlocks in one
+ * list; a keypad_unlock rule also carries its `lock_id`. Each
+ * lock_rule and http action rides the same path as a rule with an empty
+ * unlock list and a `lock_rule` / `http` field, so it shares scope,
+ * schedule, delay and debounce handling.
  */
 function unlockRulesFromFlows(flows) {
   const rules = [];
   for (const [door, flow] of Object.entries(flows || {})) {
     if (!isSafeKey(door) || !isPlainObject(flow)) continue;
     for (const trig of triggersOf(flow)) {
+      const keypad = trig.type === 'keypad_unlock' ? { lock_id: trig.lock_id || null } : {};
       for (const u of unlockActionsOf(trig)) {
         rules.push({
           trigger_door: door,
           trigger_door_id: flow.door_id || null,
           type: TRIGGER_TYPES.includes(trig.type) ? trig.type : 'entry',
+          ...keypad,
           scope: normalizeScope(trig.scope),
           unlock: [...u.doors],
           unlock_ids: Array.isArray(u.door_ids) ? [...u.door_ids] : undefined,
           debounce_seconds: u.debounce_seconds == null ? 8 : u.debounce_seconds,
           delay_seconds: u.delay_seconds == null ? 0 : u.delay_seconds,
           doorbell: isPlainObject(trig.doorbell) ? trig.doorbell : null,
+          schedule: normalizeSchedule(trig.schedule),
         });
       }
+      // Non-unlock actions: same rule shape with an empty unlock list.
+      const actionRule = (field, { debounce_seconds: debounce, delay_seconds: delay, ...spec }) => ({
+        trigger_door: door,
+        trigger_door_id: flow.door_id || null,
+        type: TRIGGER_TYPES.includes(trig.type) ? trig.type : 'entry',
+        ...keypad,
+        scope: normalizeScope(trig.scope),
+        unlock: [],
+        [field]: spec,
+        debounce_seconds: debounce,
+        delay_seconds: delay,
+        doorbell: isPlainObject(trig.doorbell) ? trig.doorbell : null,
+        schedule: normalizeSchedule(trig.schedule),
+      });
+      for (const l of lockRuleActionsOf(trig)) rules.push(actionRule('lock_rule', l));
+      for (const h of httpActionsOf(trig)) rules.push(actionRule('http', h));
     }
   }
   return rules;
 }
 
+/**
+ * Carry stored http secrets into an incoming flows payload (mutates and
+ * returns flows). GET responses redact the signing secret and any
+ * secret-looking header (an API key, a token), so a value that comes back as
+ * `marker`, or a secret that comes back missing, keeps what is stored for the
+ * same action. An explicit '' clears the secret.
+ *
+ * The same action is the stored one with the same url, else the one at the
+ * same position (door, trigger, action index) unless that one's url is still
+ * in the payload: editing an action's path keeps its secret, and a new action
+ * never takes the secret of one that merely moved. A position match carries
+ * nothing to another origin (scheme, host, port): pointing a webhook at a
+ * new server needs its credentials entered again.
+ */
+function urlOrigin(url) {
+  try {
+    return new URL(url).origin;
+  } catch (e) {
+    return null;
+  }
+}
+
+function carryHttpSecrets(flows, previous, marker) {
+  const byUrl = new Map();
+  const byPos = new Map();
+  for (const [door, flow] of Object.entries(previous || {})) {
+    if (!isPlainObject(flow) || !Array.isArray(flow.triggers)) continue;
+    flow.triggers.forEach((trig, t) => {
+      const list = isPlainObject(trig) && isPlainObject(trig.actions) && Array.isArray(trig.actions.http) ? trig.actions.http : [];
+      list.forEach((a, i) => {
+        if (!isPlainObject(a)) return;
+        const h = { url: a.url, secret: typeof a.secret === 'string' ? a.secret : null, headers: isPlainObject(a.headers) ? a.headers : {} };
+        byPos.set(`${door}|${t}|${i}`, h);
+        if (typeof a.url === 'string' && !byUrl.has(a.url)) byUrl.set(a.url, h);
+      });
+    });
+  }
+  const incoming = [];
+  for (const [door, flow] of Object.entries(flows || {})) {
+    if (!isPlainObject(flow) || !Array.isArray(flow.triggers)) continue;
+    flow.triggers.forEach((trig, t) => {
+      const list = isPlainObject(trig) && isPlainObject(trig.actions) && Array.isArray(trig.actions.http) ? trig.actions.http : [];
+      list.forEach((a, i) => { if (isPlainObject(a)) incoming.push([a, `${door}|${t}|${i}`]); });
+    });
+  }
+  // A stored action whose url is still in the payload is matched there, so
+  // it never lends its secret to a new action that took its old position.
+  const kept = new Set(incoming.map(([a]) => a.url));
+  for (const [a, pos] of incoming) {
+    const at = byPos.get(pos);
+    const sameOrigin = at && urlOrigin(at.url) !== null && urlOrigin(at.url) === urlOrigin(a.url);
+    const prev = byUrl.get(a.url) || (sameOrigin && !kept.has(at.url) ? at : null);
+    if (a.secret === undefined || (marker && a.secret === marker)) {
+      if (prev && prev.secret) a.secret = prev.secret;
+      else delete a.secret;
+    }
+    if (marker && isPlainObject(a.headers)) {
+      for (const [k, v] of Object.entries(a.headers)) {
+        if (v !== marker) continue;
+        if (prev && typeof prev.headers[k] === 'string') a.headers[k] = prev.headers[k];
+        else delete a.headers[k];
+      }
+    }
+  }
+  return flows;
+}
+
+/**
+ * Doorbell viewer / device name -> group, merged from EVERY doorbell trigger
+ * (lower-cased keys), including retract-only ones that unlockRulesFromFlows
+ * drops. Resolves a doorbell answer's group when the actor is not a UniFi user.
+ */
+function viewerToGroupFromFlows(flows) {
+  const out = {};
+  for (const flow of Object.values(flows || {})) {
+    for (const trig of triggersOf(flow)) {
+      if (trig.type === 'doorbell' && trig.doorbell && trig.doorbell.viewer_to_group) {
+        for (const [k, v] of Object.entries(trig.doorbell.viewer_to_group)) {
+          if (typeof k === 'string' && v) out[k.trim().toLowerCase()] = v;
+        }
+      }
+    }
+  }
+  return out;
+}
+
 /**
  * The doors that gate keypad access for a lock: every door with a retract edge
  * to it. Returns [{name, id}] (id null until backfilled). Empty array means
- * the lock is UNGATED (no trigger doors -> serves everyone).
+ * the lock is UNGATED (no trigger doors -> serves everyone). With a userId,
+ * only the doors whose edge scope admits that user (see scopeAdmitsUser).
  */
-function gatingDoorsForLock(flows, lockId) {
+function gatingDoorsForLock(flows, lockId, userId) {
   const seen = new Set();
   const out = [];
   for (const e of edgesForLock(flows, lockId)) {
+    if (userId != null && !scopeAdmitsUser(e.scope, userId)) continue;
     const key = e.trigger_door_id ? `id:${e.trigger_door_id}` : `name:${normName(e.trigger_door)}`;
     if (seen.has(key)) continue;
     seen.add(key);
@@ -733,15 +1041,101 @@ function validateOneUnlockAction(unlock, label, errors) {
   }
 }
 
+function validateHttpActions(actions, label, errors) {
+  if (!Array.isArray(actions)) { errors.push(`${label} http must be an array`); return; }
+  actions.forEach((a, i) => {
+    const l = `${label} http[${i}]`;
+    if (!isPlainObject(a)) { errors.push(`${l} must be an object`); return; }
+    let url = null;
+    try { url = typeof a.url === 'string' ? new URL(a.url) : null; } catch (e) { url = null; }
+    if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+      errors.push(`${l}.url must be an http or https URL`);
+    }
+    if (a.headers != null && (!isPlainObject(a.headers) || Object.values(a.headers).some((v) => typeof v !== 'string'))) {
+      errors.push(`${l}.headers must be an object of string values`);
+    }
+    if (a.body != null && !isPlainObject(a.body) && !Array.isArray(a.body)) {
+      errors.push(`${l}.body must be a JSON object`);
+    }
+    if (a.secret != null && typeof a.secret !== 'string') errors.push(`${l}.secret must be a string`);
+    if (a.timeout_seconds != null && !(Number.isFinite(a.timeout_seconds) && a.timeout_seconds >= 1 && a.timeout_seconds <= httpAction.MAX_TIMEOUT_SECONDS)) {
+      errors.push(`${l}.timeout_seconds must be a number from 1 to ${httpAction.MAX_TIMEOUT_SECONDS}`);
+    }
+    if (a.retries != null && !(Number.isInteger(a.retries) && a.retries >= 0 && a.retries <= httpAction.MAX_RETRIES)) {
+      errors.push(`${l}.retries must be a whole number from 0 to ${httpAction.MAX_RETRIES}`);
+    }
+    if (a.debounce_seconds != null && !(Number.isFinite(a.debounce_seconds) && a.debounce_seconds >= 0)) {
+      errors.push(`${l}.debounce_seconds must be a number >= 0`);
+    }
+    if (a.delay_seconds != null && !(Number.isFinite(a.delay_seconds) && a.delay_seconds >= 0)) {
+      errors.push(`${l}.delay_seconds must be a number >= 0`);
+    }
+  });
+}
+
+function validateLockRuleActions(actions, label, errors) {
+  if (!Array.isArray(actions)) { errors.push(`${label} lock_rule must be an array`); return; }
+  actions.forEach((a, i) => {
+    const l = `${label} lock_rule[${i}]`;
+    if (!isPlainObject(a)) { errors.push(`${l} must be an object`); return; }
+    if (typeof a.door !== 'string' || !a.door.trim()) errors.push(`${l}.door must be a door name`);
+    if (a.door_id != null && typeof a.door_id !== 'string') errors.push(`${l}.door_id must be a string`);
+    if (!LOCK_RULE_TYPES.includes(a.type)) {
+      errors.push(`${l}.type must be one of ${LOCK_RULE_TYPES.join(', ')}`);
+    } else if (a.minutes != null) {
+      if (a.type !== 'keep_unlock') errors.push(`${l}.minutes only applies to keep_unlock`);
+      else if (!(Number.isInteger(a.minutes) && a.minutes >= 1 && a.minutes <= MAX_LOCK_RULE_MINUTES)) {
+        errors.push(`${l}.minutes must be a whole number from 1 to ${MAX_LOCK_RULE_MINUTES}`);
+      }
+    }
+    if (a.debounce_seconds != null && !(Number.isFinite(a.debounce_seconds) && a.debounce_seconds >= 0)) {
+      errors.push(`${l}.debounce_seconds must be a number >= 0`);
+    }
+    if (a.delay_seconds != null && !(Number.isFinite(a.delay_seconds) && a.delay_seconds >= 0)) {
+      errors.push(`${l}.delay_seconds must be a number >= 0`);
+    }
+  });
+}
+
+function validateLockActions(actions, label, errors) {
+  if (!Array.isArray(actions)) { errors.push(`${label} lock must be an array`); return; }
+  const seen = new Set();
+  for (const a of actions) {
+    if (!isPlainObject(a) || typeof a.lock_id !== 'string' || !a.lock_id) {
+      errors.push(`${label} has a lock action without a lock_id`); continue;
+    }
+    if (a.delay_seconds != null && !(Number.isFinite(a.delay_seconds) && a.delay_seconds >= 0 && a.delay_seconds <= 3600)) {
+      errors.push(`${label}/"${a.lock_id}": lock delay_seconds must be a number from 0 to 3600`);
+    }
+    if (seen.has(a.lock_id)) errors.push(`${label} locks "${a.lock_id}" more than once`);
+    seen.add(a.lock_id);
+  }
+}
+
 function validateScope(scope, label, errors) {
   if (scope == null) return;
   if (!isPlainObject(scope)) { errors.push(`${label} scope must be null or an object`); return; }
   if (scope.any_group != null && typeof scope.any_group !== 'boolean') {
     errors.push(`${label} scope.any_group must be a boolean`);
   }
-  if (scope.groups != null && (!Array.isArray(scope.groups) || scope.groups.some((g) => typeof g !== 'string' || !g))) {
+  // A blank entry normalizes away, and a list left empty would mean everyone:
+  // whitespace-only names and ids are refused, not dropped.
+  if (scope.groups != null && (!Array.isArray(scope.groups) || scope.groups.some((g) => typeof g !== 'string' || !g.trim()))) {
     errors.push(`${label} scope.groups must be an array of group names`);
   }
+  for (const key of ['users', 'exclude_users']) {
+    if (scope[key] != null && (!Array.isArray(scope[key]) || scope[key].some((u) => typeof u !== 'string' || !u.trim()))) {
+      errors.push(`${label} scope.${key} must be an array of UniFi user ids`);
+    }
+  }
+  const hasGroups = scope.any_group === true || (Array.isArray(scope.groups) && scope.groups.length > 0);
+  if (Array.isArray(scope.users) && scope.users.length && hasGroups) {
+    errors.push(`${label} scope cannot name both users and groups`);
+  }
+  // An empty people list must not quietly widen to everyone.
+  if (Array.isArray(scope.users) && !scope.users.length && !hasGroups) {
+    errors.push(`${label} scope.users names nobody; add a person or scope it to everyone`);
+  }
 }
 
 /**
@@ -767,11 +1161,36 @@ function validateFlows(flows) {
           errors.push(`${label} type must be one of ${TRIGGER_TYPES.join(', ')}`);
         }
         validateScope(trig.scope, label, errors);
+        validateSchedule(trig.schedule, label, errors);
         if (trig.actions != null && !isPlainObject(trig.actions)) {
           errors.push(`${label} actions must be an object`);
         } else if (isPlainObject(trig.actions)) {
           validateUnlockAction(trig.actions.unlock, label, errors);
           if (trig.actions.retract != null) validateRetractEdges(trig.actions.retract, label, errors);
+          if (trig.actions.lock != null) validateLockActions(trig.actions.lock, label, errors);
+          if (trig.actions.http != null) validateHttpActions(trig.actions.http, label, errors);
+          if (trig.actions.lock_rule != null) validateLockRuleActions(trig.actions.lock_rule, label, errors);
+          // A closing door has no person behind it: it only locks. Everything
+          // a person fires never locks (a bolt thrown at an open door jams).
+          if (trig.type === 'door_closed') {
+            if (unlockActionsOf(trig).length || retractOf(trig).length || httpActionsOf(trig).length
+                || lockRuleActionsOf(trig).length) {
+              errors.push(`${label} (door_closed) can only lock deadbolts`);
+            }
+            if (normalizeScope(trig.scope) != null) errors.push(`${label} (door_closed) cannot be scoped to a group`);
+          } else if (Array.isArray(trig.actions.lock) && trig.actions.lock.length) {
+            errors.push(`${label} lock actions need a door_closed trigger`);
+          }
+          // The keypad already opened its own bolt; retracting from a keypad
+          // code would hand every PIN holder the other deadbolts too.
+          if (trig.type === 'keypad_unlock' && retractOf(trig).length) {
+            errors.push(`${label} (keypad_unlock) cannot retract deadbolts`);
+          }
+        }
+        if (trig.type === 'keypad_unlock') {
+          if (typeof trig.lock_id !== 'string' || !trig.lock_id) errors.push(`${label} (keypad_unlock) needs the lock_id of the keypad`);
+        } else if (trig.lock_id != null) {
+          errors.push(`${label} lock_id is only used by a keypad_unlock trigger`);
         }
       });
     } else {
@@ -794,6 +1213,32 @@ function validateFlows(flows) {
   return errors;
 }
 
+// ---------------------------------------------------------------------------
+// flowsActiveAt: the flows as they stand at one instant (schedules applied)
+// ---------------------------------------------------------------------------
+
+/**
+ * A copy of flows keeping only the triggers whose schedule is active at `at`
+ * (every flow in the trigger shape). Used where a consumer that knows nothing
+ * about schedules (the simulator's rules engine) must see what would fire at
+ * a given time. Does not mutate flows.
+ * @param {number|Date} at epoch ms or a Date
+ * @param {string|null} timezone IANA site timezone; empty = host local time
+ * @param {Array} [holidays] the site holiday calendar
+ */
+function flowsActiveAt(flows, at, timezone, holidays) {
+  const out = {};
+  for (const [door, flow] of Object.entries(flows || {})) {
+    if (!isSafeKey(door) || !isPlainObject(flow)) continue;
+    out[door] = Object.assign({}, flow, {
+      triggers: triggersOf(flow).filter((t) => scheduleActive(t.schedule, at, timezone, holidays)),
+    });
+    delete out[door].retract;
+    delete out[door].cascade;
+  }
+  return out;
+}
+
 // ---------------------------------------------------------------------------
 // legacyProjection: derived, read-only old shapes for GET /api/config
 // ---------------------------------------------------------------------------
@@ -806,12 +1251,16 @@ function unionInto(target, doors) {
  * Derived read-only projection ({deadbolt_rules, cascade_rules, unlock_rules,
  * doorbell_rules}) for one transition release: external readers of GET
  * /api/config keep working. Never persisted. A lock triggered by SEVERAL doors
- * projects its FIRST edge only (the legacy shape cannot express more).
+ * projects its FIRST edge only (the legacy shape cannot express more). Rules
+ * scoped to users, or excluding some, carry that `scope`; RulesEngine's
+ * ruleMatches honors it, so simulate and preflight agree with the flows.
  */
 function legacyProjection(flows) {
   const deadbolt_rules = {};
   for (const lockId of automatedLockIdsFromFlows(flows)) {
-    const e = edgesForLock(flows, lockId)[0];
+    // The legacy shape only knew badge-in retracts: prefer an entry edge.
+    const edges = edgesForLock(flows, lockId);
+    const e = edges.find((x) => x.type === 'entry') || edges[0];
     deadbolt_rules[lockId] = {
       trigger_door: e.trigger_door,
       trigger_door_id: e.trigger_door_id || undefined,
@@ -829,7 +1278,17 @@ function legacyProjection(flows) {
       const actionsList = unlockActionsOf(trig);
       if (!actionsList.length) continue;
       const type = TRIGGER_TYPES.includes(trig.type) ? trig.type : 'entry';
+      if (type !== 'entry' && type !== 'doorbell') continue; // no legacy shape for exit / door_closed
       const scope = normalizeScope(trig.scope);
+      const schedule = normalizeSchedule(trig.schedule);
+      // A person scope (users / exclude_users) rides along on the rule; a
+      // users-only or everyone-but scope projects as one group:null rule.
+      const person = scope && (scope.users || scope.exclude_users) ? scope : null;
+      const groupRule = (g, u) => Object.assign(
+        { group: g, trigger: door, unlock: [...u.doors], delay: u.delay_seconds || 0 },
+        person ? { scope: person } : {},
+        schedule ? { schedule } : {}
+      );
       // Doorbell metadata (reason code + viewer map) is per-trigger, not
       // per-action, so capture it once before iterating the stacked unlocks.
       if (type === 'doorbell' && isPlainObject(trig.doorbell)) {
@@ -837,14 +1296,11 @@ function legacyProjection(flows) {
         if (isPlainObject(trig.doorbell.viewer_to_group)) Object.assign(doorbell_rules.viewer_to_group, trig.doorbell.viewer_to_group);
       }
       for (const u of actionsList) {
-        if (type === 'doorbell') {
-          if (scope && scope.any_group) unionInto(doorbell_rules.default_action.unlock, u.doors);
-          else if (scope && scope.groups) for (const g of scope.groups) doorbell_rules.rules.push({ group: g, trigger: door, unlock: [...u.doors], delay: u.delay_seconds || 0 });
-        } else {
-          if (scope == null) continue; // everyone entry = cascade, projected below
-          if (scope.any_group) unionInto(unlock_rules.default_action.unlock, u.doors);
-          else if (scope.groups) for (const g of scope.groups) unlock_rules.rules.push({ group: g, trigger: door, unlock: [...u.doors], delay: u.delay_seconds || 0 });
-        }
+        const target = type === 'doorbell' ? doorbell_rules : unlock_rules;
+        if (scope == null) continue; // everyone entry = cascade, projected below
+        if (scope.groups) for (const g of scope.groups) target.rules.push(groupRule(g, u));
+        else if (person) target.rules.push(groupRule(null, u));
+        else if (scope.any_group) unionInto(target.default_action.unlock, u.doors);
       }
     }
   }
@@ -861,19 +1317,34 @@ module.exports = {
   AFTER_UNLOCK_MODES,
   AFTER_UNLOCK_WRITE_MODES,
   TRIGGER_TYPES,
+  PERSON_TRIGGER_TYPES,
+  LOCK_RULE_TYPES,
+  MAX_LOCK_RULE_MINUTES,
   DEFAULT_DOORBELL_REASON_CODE,
   normName,
+  normalizeScope,
   scopeMatches,
+  scopeAdmitsUser,
+  sameScope,
   triggersOf,
   unlockActionsOf,
+  lockActionsOf,
+  httpActionsOf,
+  lockRuleActionsOf,
+  lockRuleCall,
   migrateToFlows,
   migrateToTriggers,
   automatedLockIdsFromFlows,
+  wiredLockIdsFromFlows,
   edgesForLock,
+  lockEdgesForLock,
   cascadeRulesFromFlows,
   unlockRulesFromFlows,
+  viewerToGroupFromFlows,
   gatingDoorsForLock,
   backfillFlowDoorIds,
+  carryHttpSecrets,
   validateFlows,
+  flowsActiveAt,
   legacyProjection,
 };
@@ -0,0 +1,95 @@
+'use strict';
+
+/**
+ * Provider-agnostic door contact sensor contract (the read-only sibling of
+ * LockDriver).
+ *
+ * A contact sensor reports one thing: whether its door is open or closed.
+ * The app attaches each sensor to a door (devices.zwave.sensors[id].door),
+ * feeds every open/closed report to the deadbolt controllers as that door's
+ * position, so door_closed flow triggers fire from it exactly as they do
+ * from a UniFi door position sensor, and watches it for a door held open.
+ *
+ * Events:
+ *   'contact'  {state, previous, at}  on every CHANGE of state (a repeated
+ *              report of the same state is not an event)
+ *   'online' / 'offline'             link transitions
+ *   'alert'    {type, detail}        device-origin alerts (low battery)
+ */
+
+const { EventEmitter } = require('events');
+
+/** Normalized contact states. */
+const ContactState = Object.freeze({
+  OPEN: 'open',
+  CLOSED: 'closed',
+  UNKNOWN: 'unknown',
+});
+
+// How long a door may stand open before it counts as held open, when the
+// sensor's config does not say (devices.zwave.sensors[id].held_open_seconds).
+const DEFAULT_HELD_OPEN_SECONDS = 120;
+
+/**
+ * @typedef {Object} ContactSnapshot
+ * @property {string} state        one of ContactState
+ * @property {string|null} openSince  ISO timestamp the door last opened (null unless open)
+ * @property {number|null} battery  percent 0..100, or null if unknown
+ * @property {boolean} batteryLow
+ * @property {boolean} online     device reachable (an asleep battery sensor counts as up)
+ * @property {string} linkState   'online' | 'asleep' | 'offline'
+ * @property {string|null} lastSeen  ISO timestamp of the last report
+ * @property {string|null} name   operator-assigned friendly name (config)
+ * @property {string|null} securityClass  class the sensor joined with ('None' when unencrypted)
+ */
+
+class ContactSensorDriver extends EventEmitter {
+  /** Connect/prepare the driver. Should be idempotent. */
+  async init() {}
+
+  /** Tear down cleanly (stop timers, remove node listeners). */
+  async shutdown() {}
+
+  /** @returns {ContactSnapshot} */
+  snapshot() {
+    return {
+      state: ContactState.UNKNOWN,
+      openSince: null,
+      battery: null,
+      batteryLow: false,
+      online: false,
+      linkState: 'offline',
+      lastSeen: null,
+      name: null,
+      securityClass: null,
+    };
+  }
+
+  /** @returns {Promise<ContactSnapshot>} */
+  async getState() {
+    return this.snapshot();
+  }
+}
+
+/**
+ * Whole seconds a snapshot's door has stood open at `now` (ms epoch), or 0
+ * when it is not open.
+ */
+function openSeconds(snap, now) {
+  if (!snap || snap.state !== ContactState.OPEN || !snap.openSince) return 0;
+  const since = Date.parse(snap.openSince);
+  return Number.isFinite(since) ? Math.max(0, Math.floor((now - since) / 1000)) : 0;
+}
+
+/**
+ * Whether a sensor's door counts as held open: open for at least its
+ * held_open_seconds (0 turns the alert off for that sensor).
+ */
+function isHeldOpen(snap, sensorCfg, now) {
+  const limit = sensorCfg && sensorCfg.held_open_seconds != null
+    ? Number(sensorCfg.held_open_seconds) : DEFAULT_HELD_OPEN_SECONDS;
+  if (!(limit > 0)) return false;
+  return openSeconds(snap, now) >= limit;
+}
+
+module.exports = { ContactSensorDriver, ContactState, DEFAULT_HELD_OPEN_SECONDS, openSeconds, isHeldOpen };
@@ -0,0 +1,60 @@
+'use strict';
+
+const { ContactSensorDriver, ContactState } = require('./contact-sensor');
+
+/**
+ * In-memory door contact sensor for unit tests and dev runs without a stick,
+ * the sensor counterpart of FakeLock. open() / close() stand in for the
+ * magnet moving and emit 'contact' exactly as ZwaveContactSensor does.
+ *
+ * behavior toggles: { offline }
+ */
+class FakeContactSensor extends ContactSensorDriver {
+  constructor(opts = {}) {
+    super();
+    this._state = opts.initial || ContactState.CLOSED;
+    this._openSince = null;
+    this._battery = opts.battery == null ? 100 : opts.battery;
+    this._online = false;
+    this._name = opts.name || null;
+    this.behavior = Object.assign({}, opts.behavior);
+  }
+
+  async init() {
+    this._online = !this.behavior.offline;
+    this.emit(this._online ? 'online' : 'offline');
+  }
+
+  async shutdown() {
+    this._online = false;
+  }
+
+  open(at) { this._set(ContactState.OPEN, at); }
+
+  close(at) { this._set(ContactState.CLOSED, at); }
+
+  _set(state, at) {
+    const previous = this._state;
+    if (state === previous) return;
+    const when = new Date(at == null ? Date.now() : at).toISOString();
+    this._state = state;
+    this._openSince = state === ContactState.OPEN ? when : null;
+    this.emit('contact', { state, previous, at: when });
+  }
+
+  snapshot() {
+    return {
+      state: this._state,
+      openSince: this._openSince,
+      battery: this._battery,
+      batteryLow: false,
+      online: this._online,
+      linkState: this._online ? 'online' : 'offline',
+      lastSeen: null,
+      name: this._name,
+      securityClass: null,
+    };
+  }
+}
+
+module.exports = FakeContactSensor;
@@ -61,6 +61,31 @@ class FakeLock extends LockDriver {
     return { enabled: !!enabled, confirmed: true };
   }
 
+  /** Mirrors ZwaveLock.configParamsInfo with one made-up setting for dev. */
+  configParamsInfo() {
+    return {
+      supported: true,
+      model_key: 'fake-lock',
+      note: 'FakeLock: settings are recorded but drive no hardware',
+      params: [{ parameter: 1, size: 1, label: 'Beeper', options: [{ value: 255, label: 'On' }, { value: 0, label: 'Off' }] }],
+    };
+  }
+
+  async readConfigParams() {
+    this._config = this._config || { 1: 255 };
+    return this.configParamsInfo().params.map((p) => Object.assign({}, p, { value: this._config[p.parameter], source: 'lock' }));
+  }
+
+  async setConfigParam(parameter, value) {
+    const param = this.configParamsInfo().params.find((p) => p.parameter === parameter);
+    if (!param) throw new Error(`parameter ${parameter} is not an editable setting for this lock model`);
+    this.calls.push({ action: 'set_config_param', reason: `${parameter}=${value}` });
+    this._config = this._config || { 1: 255 };
+    const previous = this._config[parameter] == null ? null : this._config[parameter];
+    this._config[parameter] = value;
+    return { parameter, label: param.label, value, previous, confirmed: true };
+  }
+
   /** Synchronous snapshot (mirrors ZwaveLock.snapshot for getStatus callers). */
   snapshot() {
     return this._snapshot();
@@ -0,0 +1,396 @@
+'use strict';
+
+const { LockDriver, LockState } = require('./lock-driver');
+const { renderTemplate, displayUrl } = require('../http-action');
+
+/**
+ * Drives a lock or relay through a local REST API: relay boards (Shelly,
+ * ESP boards, Sonoff DIY) and vendor hubs that take lock/unlock as HTTP
+ * calls and report the bolt on a status URL. A door flow retracts it
+ * exactly like a Z-Wave deadbolt.
+ *
+ * Per-lock config (devices.http.locks.<lock_id>):
+ *   lock / unlock   { url, method (POST), headers, body }: the command calls
+ *   status          { url, method (GET), headers, state_path, battery_path }
+ *                   (required: a command only succeeds once status confirms
+ *                   it). state_path is a dotted JSON path into the response
+ *                   ("relays.0.ison", "$.data.state"); without one the whole
+ *                   response is the state.
+ *   headers         sent with every call (an auth token, say)
+ *   locked_states / unlocked_states / jammed_states   values at state_path
+ *                   that mean each state (a string, number, boolean or a
+ *                   list of them, compared case-insensitively as text)
+ *   timeout_ms, poll_seconds, offline_after (failed polls before offline),
+ *   verify_timeout_ms, verify_poll_ms, verify_retries, retry_backoff_ms,
+ *   late_confirm_ms, low_battery_pct
+ *
+ * A body is a JSON template: {{lock_id}}, {{action}}, {{reason}} and {{time}}
+ * are filled in as for a door flow http action. An object body is sent as
+ * JSON, a string body as written.
+ *
+ * Status is polled every poll_seconds; offline_after failed polls in a row
+ * take the lock offline ('offline'), the next good one brings it back
+ * ('online'). A command is verified the way ZwaveLock._setVerified does it:
+ * call, poll status every verify_poll_ms until it reports the target (a jam
+ * ends the wait), retry with a doubling backoff, and keep watching after a
+ * failure so a slow actuator that finishes late corrects the record.
+ *
+ * deps: { fetch, logger } (fetch is the test seam; Node's global otherwise).
+ */
+
+const BODY_FIELDS = Object.freeze(['lock_id', 'action', 'reason', 'time']);
+
+const DEFAULTS = Object.freeze({
+  locked_states: ['LOCKED', 'LOCK'],
+  unlocked_states: ['UNLOCKED', 'UNLOCK'],
+  jammed_states: ['JAMMED'],
+});
+
+function stateSet(v, fallback) {
+  const list = v == null ? fallback : (Array.isArray(v) ? v : [v]);
+  return new Set(list.map((s) => String(s).trim().toUpperCase()));
+}
+
+/**
+ * The value at a dotted path ("a.b.0.c", "a.b[0].c", an optional leading
+ * "$."), or undefined when any step is missing. An empty path is the value.
+ */
+function valueAtPath(obj, path) {
+  if (path == null || path === '' || path === '$') return obj;
+  const steps = String(path).replace(/^\$\.?/, '').replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean);
+  let cur = obj;
+  for (const step of steps) {
+    if (cur == null || typeof cur !== 'object') return undefined;
+    cur = cur[step];
+  }
+  return cur;
+}
+
+function callError(call, name) {
+  if (!call || typeof call !== 'object') return `${name} is required ({ url, method, headers, body })`;
+  let u;
+  try { u = new URL(call.url); } catch (e) { return `${name}.url must be an http(s) URL`; }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') return `${name}.url must be an http(s) URL`;
+  if (call.method != null && !/^(GET|POST|PUT|PATCH|DELETE)$/i.test(call.method)) {
+    return `${name}.method must be GET, POST, PUT, PATCH or DELETE`;
+  }
+  return null;
+}
+
+/**
+ * Why a per-lock config cannot drive a lock, or null when it can. Checked
+ * by init() so a bad entry fails that one lock loudly.
+ */
+function httpLockConfigError(cfg) {
+  const c = cfg || {};
+  return callError(c.lock, 'lock') || callError(c.unlock, 'unlock')
+    || (c.status ? callError(c.status, 'status') : 'status is required: commands are confirmed from it');
+}
+
+class HttpLock extends LockDriver {
+  constructor(cfg = {}, deps = {}) {
+    super();
+    this.cfg = cfg;
+    this.logger = deps.logger || console;
+    this._fetch = deps.fetch || (typeof fetch === 'function' ? fetch : null);
+    this._label = cfg.name || cfg.id || 'http';
+    this._locked = stateSet(cfg.locked_states, DEFAULTS.locked_states);
+    this._unlocked = stateSet(cfg.unlocked_states, DEFAULTS.unlocked_states);
+    this._jammed = stateSet(cfg.jammed_states, DEFAULTS.jammed_states);
+
+    this.timeoutMs = cfg.timeout_ms == null ? 5000 : cfg.timeout_ms;
+    this.pollMs = (cfg.poll_seconds == null ? 15 : cfg.poll_seconds) * 1000;
+    this.offlineAfter = cfg.offline_after == null ? 2 : Math.max(1, cfg.offline_after);
+    this.verifyTimeoutMs = cfg.verify_timeout_ms == null ? 10000 : cfg.verify_timeout_ms;
+    this.verifyPollMs = cfg.verify_poll_ms == null ? 1000 : cfg.verify_poll_ms;
+    this.verifyRetries = cfg.verify_retries == null ? 1 : cfg.verify_retries;
+    this.retryBackoffMs = cfg.retry_backoff_ms == null ? 1500 : cfg.retry_backoff_ms;
+    this.lateConfirmMs = cfg.late_confirm_ms == null ? 45000 : cfg.late_confirm_ms;
+    this.lowBatteryPct = cfg.low_battery_pct == null ? 25 : cfg.low_battery_pct;
+
+    this._pollTimer = null;
+    this._failedPolls = 0;
+    this._lastError = null;
+    this._wasBatteryLow = false;
+    this._lateWatchCleanup = null;
+    this._running = false;
+    this._state = {
+      boltState: LockState.UNKNOWN,
+      battery: null,
+      batteryLow: false,
+      online: false,
+      linkState: 'offline',
+      lastSeen: null,
+      name: cfg.name || null,
+      model: `HTTP (${cfg.status && cfg.status.url ? displayUrl(cfg.status.url) : 'no status URL'})`,
+      manufacturer: null,
+      securityClass: null,
+    };
+  }
+
+  get capabilities() {
+    const caps = new Set(['lock', 'unlock', 'state']);
+    if (this.cfg.status && this.cfg.status.battery_path) caps.add('battery');
+    return caps;
+  }
+
+  _log(level, msg) {
+    const fn = this.logger && this.logger[level];
+    if (typeof fn === 'function') fn.call(this.logger, `HttpLock[${this._label}] ${msg}`);
+  }
+
+  async init() {
+    const invalid = httpLockConfigError(this.cfg);
+    if (invalid) throw new Error(`HTTP lock "${this._label}": ${invalid}`);
+    if (!this._fetch) throw new Error(`HTTP lock "${this._label}": global fetch is unavailable in this runtime`);
+    if (this._running) return; // idempotent
+    this._running = true;
+    // One read up front; an unreachable device still comes up (offline) and
+    // the poll brings it online when it answers.
+    await this._poll();
+    this._schedulePoll();
+  }
+
+  async shutdown() {
+    this._running = false;
+    if (this._pollTimer) clearTimeout(this._pollTimer);
+    this._pollTimer = null;
+    if (this._lateWatchCleanup) this._lateWatchCleanup();
+    this._state.linkState = 'offline';
+    this._setOnline(false);
+  }
+
+  async lock(reason) {
+    return this._setVerified('lock', LockState.LOCKED, reason);
+  }
+
+  async unlock(reason) {
+    return this._setVerified('unlock', LockState.UNLOCKED, reason);
+  }
+
+  async getState() {
+    return this.snapshot();
+  }
+
+  snapshot() {
+    return Object.assign({}, this._state);
+  }
+
+  // ---- requests ------------------------------------------------------------
+
+  /**
+   * One call. Resolves { ok, status, text, error }; never throws. A non-2xx
+   * status is a failure with the status in the error.
+   */
+  async _request(call, ctx) {
+    const headers = Object.assign({}, this.cfg.headers || {}, call.headers || {});
+    const method = String(call.method || (call === this.cfg.status ? 'GET' : 'POST')).toUpperCase();
+    let body;
+    if (call.body != null && method !== 'GET') {
+      const rendered = renderTemplate(call.body, ctx, BODY_FIELDS);
+      if (typeof rendered === 'string') {
+        body = rendered;
+      } else {
+        body = JSON.stringify(rendered);
+        if (!Object.keys(headers).some((h) => h.toLowerCase() === 'content-type')) headers['content-type'] = 'application/json';
+      }
+    }
+    const ac = new AbortController();
+    const timer = setTimeout(() => ac.abort(), this.timeoutMs);
+    try {
+      const res = await this._fetch(call.url, { method, headers, body, signal: ac.signal });
+      const text = typeof res.text === 'function' ? await res.text() : '';
+      if (!res.ok) return { ok: false, status: res.status, text, error: `HTTP ${res.status} from ${displayUrl(call.url)}` };
+      return { ok: true, status: res.status, text, error: null };
+    } catch (err) {
+      const why = err && err.name === 'AbortError'
+        ? `no answer within ${Math.round(this.timeoutMs / 1000)}s` : ((err && err.message) || String(err));
+      return { ok: false, status: null, text: '', error: `${displayUrl(call.url)}: ${why}` };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /** The reported value as a LockState, or null when unrecognized. */
+  _stateFromValue(value) {
+    if (value == null || typeof value === 'object') return null;
+    const v = String(value).trim().toUpperCase();
+    if (this._jammed.has(v)) return LockState.JAMMED;
+    if (this._locked.has(v)) return LockState.LOCKED;
+    if (this._unlocked.has(v)) return LockState.UNLOCKED;
+    return null;
+  }
+
+  /** Read status once: updates link, bolt and battery. Resolves the LockState read, or null. */
+  async _poll() {
+    const status = this.cfg.status;
+    const r = await this._request(status, this._ctx('status'));
+    if (!r.ok) {
+      this._lastError = r.error;
+      this._failedPolls++;
+      if (this._failedPolls >= this.offlineAfter) this._setLink(false);
+      return null;
+    }
+    this._failedPolls = 0;
+    this._lastError = null;
+    this._setLink(true);
+    let body = r.text;
+    try { body = JSON.parse(r.text); } catch (e) { body = String(r.text).trim(); }
+    if (status.battery_path) {
+      const level = Number(valueAtPath(body, status.battery_path));
+      if (Number.isFinite(level)) this._setBattery(Math.round(level));
+    }
+    const value = typeof body === 'object' ? valueAtPath(body, status.state_path) : body;
+    const st = this._stateFromValue(value);
+    if (st == null) {
+      this._lastError = `unrecognized state ${JSON.stringify(value === undefined ? null : value)} at ${status.state_path || 'the response'}`;
+      this._log('warn', this._lastError);
+      return null;
+    }
+    this._updateState(st);
+    return st;
+  }
+
+  _schedulePoll() {
+    if (!this._running || this.pollMs <= 0) return;
+    this._pollTimer = setTimeout(async () => {
+      this._pollTimer = null;
+      try { await this._poll(); } catch (e) { this._log('warn', `status poll error: ${e.message}`); }
+      this._schedulePoll();
+    }, this.pollMs);
+    if (typeof this._pollTimer.unref === 'function') this._pollTimer.unref();
+  }
+
+  _ctx(action, reason) {
+    return { lock_id: this.cfg.id || null, action, reason: reason || null, time: new Date().toISOString() };
+  }
+
+  // ---- state ---------------------------------------------------------------
+
+  _updateState(boltState) {
+    const prev = this._state.boltState;
+    this._state.boltState = boltState;
+    this._state.lastSeen = new Date().toISOString();
+    this.emit('state-change', this.snapshot());
+    if (boltState === LockState.JAMMED && prev !== LockState.JAMMED) {
+      this.emit('alert', {
+        type: 'deadbolt_jammed',
+        detail: 'lock reports the bolt jammed (obstruction); check door alignment and the bolt pocket',
+      });
+    }
+  }
+
+  _setBattery(level) {
+    this._state.battery = level;
+    this._state.batteryLow = level <= this.lowBatteryPct;
+    if (this._state.batteryLow && !this._wasBatteryLow) {
+      this.emit('alert', {
+        type: 'deadbolt_low_battery',
+        detail: `lock battery at ${level}% (threshold ${this.lowBatteryPct}%); replace the batteries soon`,
+      });
+    }
+    this._wasBatteryLow = this._state.batteryLow;
+  }
+
+  _setLink(up) {
+    const link = up ? 'online' : 'offline';
+    if (link !== this._state.linkState) {
+      this._state.linkState = link;
+      if (!up) this._log('warn', `offline after ${this._failedPolls} failed status reads (${this._lastError})`);
+      this.emit('state-change', this.snapshot());
+    }
+    this._setOnline(up);
+  }
+
+  _setOnline(online) {
+    if (this._state.online !== online) {
+      this._state.online = online;
+      this.emit(online ? 'online' : 'offline');
+    }
+  }
+
+  // ---- commands ------------------------------------------------------------
+
+  async _setVerified(action, wantState, reason) {
+    if (!this._running) return { success: false, boltState: this._state.boltState, error: 'HTTP lock is not running' };
+    let last = this._state.boltState;
+    let callFailure = null;
+    for (let attempt = 0; attempt <= this.verifyRetries; attempt++) {
+      if (attempt > 0 && this.retryBackoffMs > 0) {
+        await this._sleep(this.retryBackoffMs * 2 ** (attempt - 1));
+      }
+      const r = await this._request(this.cfg[action], this._ctx(action, reason));
+      if (!r.ok) {
+        callFailure = r.error;
+        this._log('warn', `${action} attempt ${attempt + 1} failed: ${r.error}`);
+        continue;
+      }
+      callFailure = null;
+      const ok = await this._waitForState(wantState);
+      last = this._state.boltState;
+      if (ok) {
+        this._log('info', `${action} confirmed${reason ? ` (${reason})` : ''}`);
+        return { success: true, boltState: last, verified: 'status' };
+      }
+      this._log('warn', `${action} not confirmed (attempt ${attempt + 1}/${this.verifyRetries + 1}), state=${last}`);
+      if (last === LockState.JAMMED) break;
+    }
+    this._watchLateConfirm(wantState, action);
+    return { success: false, boltState: last, error: this._describeFailure(action, callFailure) };
+  }
+
+  /**
+   * Poll status every verify_poll_ms until it reports `wantState` (true), a
+   * jam or verify_timeout_ms passes (false).
+   */
+  async _waitForState(wantState) {
+    const deadline = Date.now() + this.verifyTimeoutMs;
+    for (;;) {
+      const st = await this._poll();
+      if (st === wantState) return true;
+      if (st === LockState.JAMMED && wantState !== LockState.JAMMED) return false;
+      const left = deadline - Date.now();
+      if (left <= 0 || !this._running) return false;
+      await this._sleep(Math.min(this.verifyPollMs, left));
+    }
+  }
+
+  _watchLateConfirm(wantState, action) {
+    if (this.lateConfirmMs <= 0 || !this._running) return;
+    if (this._lateWatchCleanup) this._lateWatchCleanup();
+    const startedAt = Date.now();
+    const onChange = (snap) => {
+      if (snap.boltState !== wantState) return;
+      cleanup();
+      const afterMs = Date.now() - startedAt;
+      this._log('info', `${action} confirmed late, ${Math.round(afterMs / 1000)}s after the wait window closed`);
+      this.emit('late-confirm', { action, boltState: snap.boltState, after_ms: afterMs });
+    };
+    const timer = setTimeout(() => cleanup(), this.lateConfirmMs);
+    if (typeof timer.unref === 'function') timer.unref();
+    const cleanup = () => {
+      clearTimeout(timer);
+      this.removeListener('state-change', onChange);
+      if (this._lateWatchCleanup === cleanup) this._lateWatchCleanup = null;
+    };
+    this._lateWatchCleanup = cleanup;
+    this.on('state-change', onChange);
+  }
+
+  _describeFailure(action, callFailure) {
+    if (this._state.boltState === LockState.JAMMED) {
+      return 'the bolt is jammed (obstruction). Check the door alignment and the bolt pocket, then retry';
+    }
+    if (callFailure) return `the ${action} call failed: ${callFailure}`;
+    if (this._lastError) return `the ${action} call succeeded but status did not confirm it: ${this._lastError}`;
+    return `the ${action} call succeeded but ${displayUrl(this.cfg.status.url)} did not report it within `
+      + `${Math.round(this.verifyTimeoutMs / 1000)}s. Check state_path and locked_states/unlocked_states against what the device returns`;
+  }
+
+  // Ref'd on purpose, as in ZwaveLock: it only exists inside an in-flight command.
+  _sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = { HttpLock, httpLockConfigError, valueAtPath };
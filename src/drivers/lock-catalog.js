@@ -44,6 +44,20 @@
  * Absent means none. Models whose codes are managed on the device or in a
  * vendor app get `user_codes: null` plus a `user_codes_note`.
  *
+ * `config_params` lists the lock's other Configuration CC parameters the
+ * Devices tab may edit: { parameter, size, label, options: [{ value, label }] }
+ * for a choice, or { parameter, size, label, min, max, unit } for a number,
+ * plus an optional `note`. Parameters the app owns elsewhere are left out on
+ * purpose: the auto-relock switch (`auto_relock`, forced off for flow-wired
+ * locks) and any PIN-length parameter (writing it wipes every code). Models
+ * without editable parameters get `config_params: null` plus a
+ * `config_params_note`.
+ *
+ * `smart_start: true` marks models whose label carries a SmartStart QR code,
+ * so the dashboard offers "scan the QR code" next to the classic gesture. A
+ * scanned code maps back to its model through profileForIds (the code
+ * carries the same manufacturer/product ids the node reports).
+ *
  * Sources: manufacturer manuals (Schlage/Allegion, Yale, Kwikset, Ultraloq,
  * Weiser/Baldwin), z-wavealliance.org product pages, Alarm Grid / True Home
  * KБ inclusion+reset guides, and zwave-js device-DB ids. Security classes:
@@ -66,6 +80,12 @@ const CATALOG = Object.freeze([
         rf_verify_note: 'This model never confirms a remote move: operation reports are frozen and it sends no RF notifications. Commands are trusted once delivered; the dashboard state tracks its manual, keypad, and auto-lock reports.',
         auto_relock: { parameter: 15, size: 1, on: 255, off: 0 },
         auto_relock_note: 'Built-in auto-lock re-throws the bolt about 30 seconds after an unlock when enabled.',
+        config_params: [
+          { parameter: 3, size: 1, label: 'Beeper', options: [{ value: 255, label: 'On' }, { value: 0, label: 'Off' }] },
+          { parameter: 4, size: 1, label: 'Vacation mode', options: [{ value: 0, label: 'Off' }, { value: 255, label: 'On' }], note: 'On disables every keypad code until it is turned off again.' },
+          { parameter: 5, size: 1, label: 'Lock & Leave (one-touch locking)', options: [{ value: 255, label: 'On' }, { value: 0, label: 'Off' }] },
+          { parameter: 7, size: 1, label: 'Alarm mode', options: [{ value: 0, label: 'Off' }, { value: 1, label: 'Activity' }, { value: 2, label: 'Tamper' }, { value: 3, label: 'Forced entry' }] },
+        ],
         name: 'Schlage BE469ZP Touchscreen Deadbolt',
         match: ['0x003b:0x0001:0x0469'],
         default_security: 's2',
@@ -85,6 +105,12 @@ const CATALOG = Object.freeze([
         rf_verify_note: 'This model never confirms a remote move: operation reports are frozen and it sends no RF notifications. Commands are trusted once delivered; the dashboard state tracks its manual, keypad, and auto-lock reports.',
         auto_relock: { parameter: 15, size: 1, on: 255, off: 0 },
         auto_relock_note: 'Built-in auto-lock re-throws the bolt about 30 seconds after an unlock when enabled.',
+        config_params: [
+          { parameter: 3, size: 1, label: 'Beeper', options: [{ value: 255, label: 'On' }, { value: 0, label: 'Off' }] },
+          { parameter: 4, size: 1, label: 'Vacation mode', options: [{ value: 0, label: 'Off' }, { value: 255, label: 'On' }], note: 'On disables every keypad code until it is turned off again.' },
+          { parameter: 5, size: 1, label: 'Lock & Leave (one-touch locking)', options: [{ value: 255, label: 'On' }, { value: 0, label: 'Off' }] },
+          { parameter: 7, size: 1, label: 'Alarm mode', options: [{ value: 0, label: 'Off' }, { value: 1, label: 'Activity' }, { value: 2, label: 'Tamper' }, { value: 3, label: 'Forced entry' }] },
+        ],
         name: 'Schlage BE469 / BE468 (non-ZP)',
         match: [],
         default_security: 's0',
@@ -109,6 +135,14 @@ const CATALOG = Object.freeze([
         },
         auto_relock: { parameter: 2, size: 1, on: 255, off: 0 },
         auto_relock_note: 'Auto relock is parameter 2; the relock delay (parameter 3, 5-255s) keeps its last value.',
+        config_params: [
+          { parameter: 1, size: 1, label: 'Volume', options: [{ value: 1, label: 'Silent' }, { value: 2, label: 'Low' }, { value: 3, label: 'High' }] },
+          { parameter: 3, size: 1, label: 'Auto-relock time', min: 5, max: 255, unit: 's', note: 'Only used while the lock\'s own auto-relock is on; the app turns that off for flow-wired locks.' },
+          { parameter: 4, size: 1, label: 'Wrong code limit', min: 3, max: 10, unit: 'tries', note: 'The keypad shuts down after this many wrong codes in a row.' },
+          { parameter: 7, size: 1, label: 'Shutdown time', min: 10, max: 127, unit: 's', note: 'How long the keypad stays shut down after the wrong code limit.' },
+          { parameter: 8, size: 1, label: 'Operating mode', options: [{ value: 0, label: 'Normal' }, { value: 1, label: 'Vacation (keypad codes disabled)' }, { value: 2, label: 'Privacy (all codes disabled)' }] },
+          { parameter: 11, size: 1, label: 'One-touch locking', options: [{ value: 255, label: 'On' }, { value: 0, label: 'Off' }] },
+        ],
         name: 'Yale Assure Deadbolt (ZW2)',
         match: ['0x0129:0x8002:0x0600', '0x0129:0x8002:0x1600', '0x0129:0x8002:0x4600'],
         default_security: 's0',
@@ -120,6 +154,7 @@ const CATALOG = Object.freeze([
       },
       {
         key: 'yale-assure-zw3',
+        smart_start: true,
         user_codes: {
           slots: 250, min_length: 4, max_length: 8, fixed_length: false, length_parameter: null,
           reserved_slots: [251],
@@ -127,6 +162,14 @@ const CATALOG = Object.freeze([
         },
         auto_relock: { parameter: 2, size: 1, on: 255, off: 0 },
         auto_relock_note: 'Auto relock is parameter 2; the relock delay (parameter 3, 5-255s) keeps its last value.',
+        config_params: [
+          { parameter: 1, size: 1, label: 'Volume', options: [{ value: 1, label: 'Silent' }, { value: 2, label: 'Low' }, { value: 3, label: 'High' }] },
+          { parameter: 3, size: 1, label: 'Auto-relock time', min: 5, max: 255, unit: 's', note: 'Only used while the lock\'s own auto-relock is on; the app turns that off for flow-wired locks.' },
+          { parameter: 4, size: 1, label: 'Wrong code limit', min: 3, max: 10, unit: 'tries', note: 'The keypad shuts down after this many wrong codes in a row.' },
+          { parameter: 7, size: 1, label: 'Shutdown time', min: 10, max: 127, unit: 's', note: 'How long the keypad stays shut down after the wrong code limit.' },
+          { parameter: 8, size: 1, label: 'Operating mode', options: [{ value: 0, label: 'Normal' }, { value: 1, label: 'Vacation (keypad codes disabled)' }, { value: 2, label: 'Privacy (all codes disabled)' }] },
+          { parameter: 11, size: 1, label: 'One-touch locking', options: [{ value: 255, label: 'On' }, { value: 0, label: 'Off' }] },
+        ],
         name: 'Yale Assure (ZW3 / 700-series)',
         match: ['0x0129:0x8002:0x46d5', '0x0129:0x8002:0xa570'],
         default_security: 's2',
@@ -150,6 +193,8 @@ const CATALOG = Object.freeze([
         },
         auto_relock: null,
         auto_relock_note: 'auto-relock is the switch on the interior panel (Kwikset SmartCode), not a Z-Wave setting',
+        config_params: null,
+        config_params_note: 'beeper and vacation settings are set from the interior panel (Kwikset SmartCode), not over Z-Wave',
         name: 'Kwikset SmartCode (910/912/914/916)',
         match: [],
         default_security: 's0',
@@ -161,12 +206,15 @@ const CATALOG = Object.freeze([
       },
       {
         key: 'kwikset-620',
+        smart_start: true,
         user_codes: {
           slots: 250, min_length: 4, max_length: 8, fixed_length: false, length_parameter: null,
           note: 'Codes may be 4 to 8 digits; the lock is asked for its real capacity when reachable.',
         },
         auto_relock: null,
         auto_relock_note: 'auto-relock is not exposed over Z-Wave on this model; see the lock manual',
+        config_params: null,
+        config_params_note: 'lock settings are not exposed over Z-Wave on this model; see the lock manual',
         name: 'Kwikset Home Connect 620',
         match: [],
         default_security: 's2',
@@ -184,10 +232,13 @@ const CATALOG = Object.freeze([
     models: [
       {
         key: 'ultraloq-ubolt-pro',
+        smart_start: true,
         user_codes: null,
         user_codes_note: 'manage keypad codes in the U-tec app; User Code slots are not managed over Z-Wave for this model',
         auto_relock: null,
         auto_relock_note: 'set auto-lock timing in the U-tec app; it is not exposed over Z-Wave',
+        config_params: null,
+        config_params_note: 'change lock settings in the U-tec app; they are not exposed over Z-Wave',
         name: 'Ultraloq U-Bolt Pro Z-Wave',
         match: ['0x0452:0x0004:0x0001'],
         default_security: 's2',
@@ -209,6 +260,8 @@ const CATALOG = Object.freeze([
         user_codes_note: 'not managed over Z-Wave for this profile; use the interior programming button (Kwikset stack)',
         auto_relock: null,
         auto_relock_note: 'auto-relock is the switch on the interior panel (Kwikset stack), not a Z-Wave setting',
+        config_params: null,
+        config_params_note: 'settings are set from the interior panel (Kwikset stack), not over Z-Wave',
         name: 'Weiser / Baldwin (Home Connect)',
         match: [],
         default_security: 's0',
@@ -230,6 +283,8 @@ const CATALOG = Object.freeze([
         user_codes_note: 'manage keypad codes from the Alfred keypad menu or app; not managed over Z-Wave for this model',
         auto_relock: null,
         auto_relock_note: 'set auto re-lock from the keypad menu (see the Alfred manual); it is not exposed over Z-Wave',
+        config_params: null,
+        config_params_note: 'change lock settings from the keypad menu (see the Alfred manual); they are not exposed over Z-Wave',
         name: 'Alfred DB1 / DB2 (Z-Wave module)',
         match: [],
         default_security: 'auto',
@@ -251,6 +306,8 @@ const CATALOG = Object.freeze([
         user_codes_note: 'keypad code management over Z-Wave is only enabled for known models; manage codes on the lock itself',
         auto_relock: null,
         auto_relock_note: "check the lock's manual; auto-relock is not managed over Z-Wave for unlisted models",
+        config_params: null,
+        config_params_note: "check the lock's manual; configuration parameters are only offered for known models",
         name: 'Generic Z-Wave deadbolt',
         match: [],
         default_security: 'auto',
@@ -300,4 +357,36 @@ function modelNameForIds(mfgId, prodType, prodId) {
   return p ? p.name : null;
 }
 
-module.exports = { getCatalog, profileForKey, profileForIds, modelNameForIds, ALL_MODELS };
+/**
+ * Why `value` is not allowed for a config_params entry, or null when it is:
+ * one of its options, or an integer within min..max.
+ */
+function configValueError(param, value) {
+  if (!Number.isInteger(value)) return `${param.label} must be a whole number`;
+  if (Array.isArray(param.options)) {
+    if (param.options.some((o) => o.value === value)) return null;
+    return `${param.label} must be one of ${param.options.map((o) => `${o.value} (${o.label})`).join(', ')}`;
+  }
+  if (value < param.min || value > param.max) {
+    return `${param.label} must be between ${param.min} and ${param.max}${param.unit ? ` ${param.unit}` : ''}`;
+  }
+  return null;
+}
+
+/** A config_params value as the operator reads it ("On", "30 s"); 'unknown' for null. */
+function configValueLabel(param, value) {
+  if (value == null) return 'unknown';
+  const opt = Array.isArray(param.options) && param.options.find((o) => o.value === value);
+  if (opt) return opt.label;
+  return param.unit ? `${value} ${param.unit}` : String(value);
+}
+
+module.exports = {
+  getCatalog,
+  profileForKey,
+  profileForIds,
+  modelNameForIds,
+  configValueError,
+  configValueLabel,
+  ALL_MODELS,
+};
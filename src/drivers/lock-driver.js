@@ -37,6 +37,9 @@ const LockState = Object.freeze({
  * @property {string|null} model  detected model (profile/device-db/raw ids)
  * @property {string|null} manufacturer  detected brand
  * @property {string|null} securityClass  class the lock joined with (e.g. 'S2 Access Control', 'S0 Legacy')
+ * @property {string|null} [firmwareVersion]  firmware reported by the device (drivers that know it)
+ * @property {boolean} [firmwareUpdating]  an OTA firmware update is running; the lock takes no commands
+ * @property {number|null} [firmwareProgress]  percent 0..100 of the running update
  */
 
 /**
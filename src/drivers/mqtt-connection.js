@@ -0,0 +1,149 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+
+/**
+ * The one MQTT broker session every MqttLock shares, the way ZwaveManager is
+ * the one owner of the Z-Wave stick: a single client (one connection, one
+ * client id) however many locks sit behind zigbee2mqtt or ESPHome.
+ *
+ * The `mqtt` package is an optionalDependency, lazy-required on start(), so
+ * installs without it still run (an MQTT lock just fails init with a clear
+ * message). `deps.connect(url, options)` is the test seam: it returns any
+ * object with the mqtt.js client surface (on / subscribe / unsubscribe /
+ * publish / end and `connected`), such as an in-process broker's client.
+ *
+ * The client reconnects by itself (mqtt.js reconnectPeriod) and re-subscribes
+ * on reconnect, so a broker restart needs nothing from the locks. Topics are
+ * exact: a handler gets the payload as a string for the one topic it asked
+ * for, never a wildcard match.
+ *
+ * Events: 'connect', 'offline' (lost the broker; the client keeps retrying),
+ * 'stopped'.
+ */
+
+const DEFAULT_RECONNECT_MS = 5000;
+const DEFAULT_CONNECT_TIMEOUT_MS = 10000;
+
+/** Broker identity: a change in any of these needs a new session. */
+function connectionKey(cfg) {
+  const c = cfg || {};
+  return [c.url || '', c.username || '', c.client_id || ''].join('|');
+}
+
+class MqttConnection extends EventEmitter {
+  constructor(cfg = {}, deps = {}) {
+    super();
+    this.cfg = cfg;
+    this.key = connectionKey(cfg);
+    this.logger = deps.logger || console;
+    this._connect = deps.connect || null;
+    this._client = null;
+    this._handlers = new Map(); // topic -> Set<(payload: string) => void>
+    this._stopped = false;
+  }
+
+  isConnected() {
+    return !!(this._client && this._client.connected);
+  }
+
+  /**
+   * Create the client if it does not exist yet. Returns without waiting for
+   * the broker: a lock whose broker is down comes up offline and goes online
+   * when the client connects. Throws for a missing url or a build without
+   * the mqtt package.
+   */
+  start() {
+    if (this._client) return;
+    if (this._stopped) throw new Error('the MQTT connection was stopped');
+    const url = this.cfg.url;
+    if (!url || typeof url !== 'string' || !/^(mqtts?|wss?|tcp|ssl):\/\//.test(url)) {
+      throw new Error('devices.mqtt.url must be a broker URL such as mqtt://192.168.1.10:1883');
+    }
+    let connect = this._connect;
+    if (!connect) {
+      try {
+        connect = require('mqtt').connect; // eslint-disable-line global-require
+      } catch (err) {
+        throw new Error('the mqtt package is not installed in this build, so MQTT locks cannot run');
+      }
+    }
+    const options = {
+      clientId: this.cfg.client_id || `unifi-access-orchestrator-${process.pid}`,
+      reconnectPeriod: this.cfg.reconnect_ms == null ? DEFAULT_RECONNECT_MS : this.cfg.reconnect_ms,
+      connectTimeout: this.cfg.connect_timeout_ms == null ? DEFAULT_CONNECT_TIMEOUT_MS : this.cfg.connect_timeout_ms,
+    };
+    if (this.cfg.username) options.username = this.cfg.username;
+    if (this.cfg.password) options.password = this.cfg.password;
+    const client = connect(url, options);
+    this._client = client;
+    client.on('connect', () => {
+      this.logger.info && this.logger.info(`MQTT: connected to ${url}`);
+      this.emit('connect');
+    });
+    client.on('offline', () => {
+      this.logger.warn && this.logger.warn(`MQTT: lost ${url}; retrying`);
+      this.emit('offline');
+    });
+    client.on('error', (err) => {
+      this.logger.warn && this.logger.warn(`MQTT: ${err && err.message ? err.message : err}`);
+    });
+    client.on('message', (topic, payload) => {
+      const handlers = this._handlers.get(topic);
+      if (!handlers) return;
+      const text = Buffer.isBuffer(payload) ? payload.toString('utf8') : String(payload);
+      for (const fn of handlers) {
+        try { fn(text); } catch (e) { this.logger.warn && this.logger.warn(`MQTT: handler for ${topic} threw: ${e.message}`); }
+      }
+    });
+  }
+
+  /**
+   * Listen on one exact topic. A retained message (zigbee2mqtt and ESPHome
+   * retain state) arrives right after the subscribe. Returns the matching
+   * unsubscribe function.
+   */
+  subscribe(topic, handler) {
+    this.start();
+    let set = this._handlers.get(topic);
+    if (!set) {
+      set = new Set();
+      this._handlers.set(topic, set);
+      this._client.subscribe(topic, { qos: 1 }, (err) => {
+        if (err) this.logger.warn && this.logger.warn(`MQTT: subscribe to ${topic} failed: ${err.message}`);
+      });
+    }
+    set.add(handler);
+    return () => {
+      const s = this._handlers.get(topic);
+      if (!s || !s.delete(handler) || s.size) return;
+      this._handlers.delete(topic);
+      if (this._client) this._client.unsubscribe(topic, () => { /* best effort */ });
+    };
+  }
+
+  /**
+   * Publish at QoS 1, never retained: a retained lock command would replay
+   * on every device reconnect. Resolves once the broker acknowledged it.
+   */
+  publish(topic, payload) {
+    this.start();
+    return new Promise((resolve, reject) => {
+      this._client.publish(topic, payload, { qos: 1, retain: false }, (err) => (err ? reject(err) : resolve()));
+    });
+  }
+
+  async stop() {
+    this._stopped = true;
+    this._handlers.clear();
+    const client = this._client;
+    this._client = null;
+    if (!client) return;
+    await new Promise((resolve) => {
+      try { client.end(false, {}, () => resolve()); } catch (e) { resolve(); }
+    });
+    this.emit('stopped');
+  }
+}
+
+module.exports = { MqttConnection, connectionKey };
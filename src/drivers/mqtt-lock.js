@@ -0,0 +1,371 @@
+'use strict';
+
+const { LockDriver, LockState } = require('./lock-driver');
+const { MqttConnection } = require('./mqtt-connection');
+
+/**
+ * Drives a lock or strike relay over MQTT: a Zigbee lock behind zigbee2mqtt,
+ * an ESPHome lock or relay, anything that takes a command on one topic and
+ * reports its state on another. A door flow retracts it exactly like a
+ * Z-Wave deadbolt.
+ *
+ * Per-lock config (devices.mqtt.locks.<lock_id>):
+ *   command_topic   where LOCK/UNLOCK is published (required)
+ *   state_topic     where the device reports its state (required: a
+ *                   command only succeeds once the state confirms it)
+ *   payload         'plain' (the whole message is the value, ESPHome) or
+ *                   'json' (the value sits under a key, zigbee2mqtt)
+ *   command_key / state_key / battery_key   JSON keys (default state,
+ *                   state, battery)
+ *   lock_payload / unlock_payload            command values (LOCK, UNLOCK)
+ *   locked_states / unlocked_states / jammed_states   reported values that
+ *                   mean each state (a string or a list, case-insensitive)
+ *   availability_topic   optional online/offline topic (plain or
+ *                   {"state": "online"}); offline fails commands fast
+ *   verify_timeout_ms, verify_retries, retry_backoff_ms, late_confirm_ms,
+ *   low_battery_pct
+ *
+ * The verification mirrors ZwaveLock._setVerified: publish, wait for the
+ * state topic to report the target (a jam ends the wait), retry with a
+ * doubling backoff, and keep watching after a failure so a slow device that
+ * finishes late corrects the record ('late-confirm').
+ *
+ * The broker session is deps.connection (one shared MqttConnection in
+ * production); without it a private one is built from cfg.broker and owned
+ * here. deps.connect is passed through to that private connection as the
+ * test seam.
+ */
+
+const DEFAULTS = Object.freeze({
+  payload: 'plain',
+  command_key: 'state',
+  state_key: 'state',
+  battery_key: 'battery',
+  lock_payload: 'LOCK',
+  unlock_payload: 'UNLOCK',
+  locked_states: ['LOCKED', 'LOCK'],
+  unlocked_states: ['UNLOCKED', 'UNLOCK'],
+  jammed_states: ['JAMMED'],
+});
+
+function stateSet(v, fallback) {
+  const list = v == null ? fallback : (Array.isArray(v) ? v : [v]);
+  return new Set(list.map((s) => String(s).trim().toUpperCase()));
+}
+
+/**
+ * Why a per-lock config cannot drive a lock, or null when it can. Checked
+ * by init() so a bad entry fails that one lock loudly instead of silently
+ * never confirming.
+ */
+function mqttLockConfigError(cfg) {
+  const c = cfg || {};
+  const topic = (t) => typeof t === 'string' && t.trim() !== '' && !/[#+]/.test(t);
+  if (!topic(c.command_topic)) return 'command_topic is required (an exact topic, no wildcards)';
+  if (!topic(c.state_topic)) return 'state_topic is required (an exact topic, no wildcards): commands are confirmed from it';
+  if (c.availability_topic != null && !topic(c.availability_topic)) return 'availability_topic must be an exact topic';
+  if (c.payload != null && c.payload !== 'plain' && c.payload !== 'json') return 'payload must be "plain" or "json"';
+  return null;
+}
+
+class MqttLock extends LockDriver {
+  constructor(cfg = {}, deps = {}) {
+    super();
+    this.cfg = Object.assign({}, DEFAULTS, cfg);
+    this.logger = deps.logger || console;
+    this._label = cfg.name || cfg.id || cfg.command_topic || 'mqtt';
+    if (deps.connection) {
+      this._connection = deps.connection;
+      this._ownsConnection = false;
+    } else {
+      this._connection = new MqttConnection(cfg.broker || {}, { logger: this.logger, connect: deps.connect || null });
+      this._ownsConnection = true;
+    }
+    this._locked = stateSet(this.cfg.locked_states, DEFAULTS.locked_states);
+    this._unlocked = stateSet(this.cfg.unlocked_states, DEFAULTS.unlocked_states);
+    this._jammed = stateSet(this.cfg.jammed_states, DEFAULTS.jammed_states);
+
+    this.verifyTimeoutMs = cfg.verify_timeout_ms == null ? 10000 : cfg.verify_timeout_ms;
+    this.verifyRetries = cfg.verify_retries == null ? 1 : cfg.verify_retries;
+    this.retryBackoffMs = cfg.retry_backoff_ms == null ? 1500 : cfg.retry_backoff_ms;
+    this.lateConfirmMs = cfg.late_confirm_ms == null ? 45000 : cfg.late_confirm_ms;
+    this.lowBatteryPct = cfg.low_battery_pct == null ? 25 : cfg.low_battery_pct;
+
+    this._unsubscribers = [];
+    this._deviceAvailable = null; // null until an availability message arrives
+    this._wasBatteryLow = false;
+    this._lateWatchCleanup = null;
+    this._stopped = false;
+    this._onConnect = () => this._refreshLink();
+    this._onOffline = () => this._refreshLink();
+    this._state = {
+      boltState: LockState.UNKNOWN,
+      battery: null,
+      batteryLow: false,
+      online: false,
+      linkState: 'offline',
+      lastSeen: null,
+      name: cfg.name || null,
+      model: `MQTT (${cfg.command_topic || 'no command topic'})`,
+      manufacturer: null,
+      securityClass: null,
+    };
+  }
+
+  get capabilities() {
+    const caps = new Set(['lock', 'unlock', 'state']);
+    if (this.cfg.payload === 'json') caps.add('battery');
+    return caps;
+  }
+
+  _log(level, msg) {
+    const fn = this.logger && this.logger[level];
+    if (typeof fn === 'function') fn.call(this.logger, `MqttLock[${this._label}] ${msg}`);
+  }
+
+  async init() {
+    const invalid = mqttLockConfigError(this.cfg);
+    if (invalid) throw new Error(`MQTT lock "${this._label}": ${invalid}`);
+    if (this._unsubscribers.length) return; // idempotent
+    this._stopped = false;
+    this._connection.start();
+    this._connection.on('connect', this._onConnect);
+    this._connection.on('offline', this._onOffline);
+    this._unsubscribers.push(this._connection.subscribe(this.cfg.state_topic, (p) => this._onStateMessage(p)));
+    if (this.cfg.availability_topic) {
+      this._unsubscribers.push(this._connection.subscribe(this.cfg.availability_topic, (p) => this._onAvailability(p)));
+    }
+    this._refreshLink();
+  }
+
+  async shutdown() {
+    this._stopped = true;
+    if (this._lateWatchCleanup) this._lateWatchCleanup();
+    for (const off of this._unsubscribers.splice(0)) off();
+    this._connection.removeListener('connect', this._onConnect);
+    this._connection.removeListener('offline', this._onOffline);
+    this._state.linkState = 'offline';
+    this._setOnline(false);
+    if (this._ownsConnection) await this._connection.stop();
+  }
+
+  async lock(reason) {
+    return this._setVerified(this.cfg.lock_payload, LockState.LOCKED, 'lock', reason);
+  }
+
+  async unlock(reason) {
+    return this._setVerified(this.cfg.unlock_payload, LockState.UNLOCKED, 'unlock', reason);
+  }
+
+  async getState() {
+    return this.snapshot();
+  }
+
+  snapshot() {
+    return Object.assign({}, this._state);
+  }
+
+  // ---- incoming ------------------------------------------------------------
+
+  /** The reported value (plain, or under state_key) as a LockState, or null when unrecognized. */
+  _stateFromValue(value) {
+    if (value == null) return null;
+    const v = String(value).trim().toUpperCase();
+    if (this._jammed.has(v)) return LockState.JAMMED;
+    if (this._locked.has(v)) return LockState.LOCKED;
+    if (this._unlocked.has(v)) return LockState.UNLOCKED;
+    return null;
+  }
+
+  _onStateMessage(payload) {
+    let value = payload;
+    if (this.cfg.payload === 'json') {
+      let body;
+      try { body = JSON.parse(payload); } catch (e) {
+        this._log('warn', `ignoring a state message that is not JSON on ${this.cfg.state_topic}`);
+        return;
+      }
+      if (!body || typeof body !== 'object') return;
+      const battery = body[this.cfg.battery_key];
+      if (typeof battery === 'number' && Number.isFinite(battery)) this._setBattery(Math.round(battery));
+      value = body[this.cfg.state_key];
+    }
+    const st = this._stateFromValue(value);
+    if (st == null) {
+      if (value != null) this._log('warn', `unrecognized state "${String(value).slice(0, 40)}" on ${this.cfg.state_topic}`);
+      return;
+    }
+    this._updateState(st);
+  }
+
+  _onAvailability(payload) {
+    let v = payload;
+    try {
+      const body = JSON.parse(payload);
+      if (body && typeof body === 'object') v = body.state;
+    } catch (e) { /* plain payload */ }
+    const s = String(v == null ? '' : v).trim().toLowerCase();
+    if (s === 'online') this._deviceAvailable = true;
+    else if (s === 'offline') this._deviceAvailable = false;
+    else return;
+    this._refreshLink();
+  }
+
+  _updateState(boltState) {
+    const prev = this._state.boltState;
+    this._state.boltState = boltState;
+    this._state.lastSeen = new Date().toISOString();
+    this._refreshLink();
+    this.emit('state-change', this.snapshot());
+    if (boltState === LockState.JAMMED && prev !== LockState.JAMMED) {
+      this.emit('alert', {
+        type: 'deadbolt_jammed',
+        detail: 'lock reports the bolt jammed (obstruction); check door alignment and the bolt pocket',
+      });
+    }
+  }
+
+  _setBattery(level) {
+    this._state.battery = level;
+    this._state.batteryLow = level <= this.lowBatteryPct;
+    if (this._state.batteryLow && !this._wasBatteryLow) {
+      this.emit('alert', {
+        type: 'deadbolt_low_battery',
+        detail: `lock battery at ${level}% (threshold ${this.lowBatteryPct}%); replace the batteries soon`,
+      });
+    }
+    this._wasBatteryLow = this._state.batteryLow;
+  }
+
+  /** Up only while the broker is connected and the device has not said offline. */
+  _refreshLink() {
+    const up = this._connection.isConnected() && this._deviceAvailable !== false;
+    const link = up ? 'online' : 'offline';
+    if (link !== this._state.linkState) {
+      this._state.linkState = link;
+      this.emit('state-change', this.snapshot());
+    }
+    this._setOnline(up);
+  }
+
+  _setOnline(online) {
+    if (this._state.online !== online) {
+      this._state.online = online;
+      this.emit(online ? 'online' : 'offline');
+    }
+  }
+
+  // ---- commands ------------------------------------------------------------
+
+  _commandPayload(value) {
+    if (this.cfg.payload === 'json') return JSON.stringify({ [this.cfg.command_key]: value });
+    return String(value);
+  }
+
+  /** Refuse up front when the command could not possibly land. */
+  _preflightError() {
+    if (this._stopped || !this._unsubscribers.length) return 'MQTT lock is not running';
+    if (!this._connection.isConnected()) {
+      return 'MQTT broker is not connected. It retries automatically; check devices.mqtt.url and the broker';
+    }
+    if (this._deviceAvailable === false) {
+      return `the device reports offline on ${this.cfg.availability_topic} (zigbee2mqtt or ESPHome lost it)`;
+    }
+    return null;
+  }
+
+  async _setVerified(value, wantState, action, reason) {
+    const pre = this._preflightError();
+    if (pre) return { success: false, boltState: this._state.boltState, error: pre };
+    let last = this._state.boltState;
+    for (let attempt = 0; attempt <= this.verifyRetries; attempt++) {
+      if (attempt > 0 && this.retryBackoffMs > 0) {
+        await this._sleep(this.retryBackoffMs * 2 ** (attempt - 1));
+      }
+      // Arm the wait before publishing: a fast relay can report its new state
+      // before the publish acknowledgment comes back.
+      const wait = this._waitForState(wantState, this.verifyTimeoutMs);
+      try {
+        await this._connection.publish(this.cfg.command_topic, this._commandPayload(value));
+      } catch (err) {
+        wait.cancel();
+        this._log('warn', `${action} attempt ${attempt + 1} publish error: ${err.message}`);
+        continue;
+      }
+      const ok = await wait.promise;
+      last = this._state.boltState;
+      if (ok) {
+        this._log('info', `${action} confirmed${reason ? ` (${reason})` : ''}`);
+        return { success: true, boltState: last, verified: 'report' };
+      }
+      this._log('warn', `${action} not confirmed (attempt ${attempt + 1}/${this.verifyRetries + 1}), state=${last}`);
+      if (last === LockState.JAMMED) break;
+    }
+    this._watchLateConfirm(wantState, action);
+    return { success: false, boltState: last, error: this._describeFailure() };
+  }
+
+  /**
+   * { promise, cancel }: promise resolves true once the state topic reports
+   * `wantState`, false on a jam or after `timeoutMs`.
+   */
+  _waitForState(wantState, timeoutMs) {
+    let settle = null;
+    const promise = new Promise((resolve) => {
+      let done = false;
+      const onChange = (snap) => {
+        if (snap.boltState === wantState) settle(true);
+        else if (snap.boltState === LockState.JAMMED && wantState !== LockState.JAMMED) settle(false);
+      };
+      const timer = setTimeout(() => settle(false), timeoutMs);
+      settle = (val) => {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        this.removeListener('state-change', onChange);
+        resolve(val);
+      };
+      this.on('state-change', onChange);
+    });
+    return { promise, cancel: () => settle(false) };
+  }
+
+  _watchLateConfirm(wantState, action) {
+    if (this.lateConfirmMs <= 0 || this._stopped) return;
+    if (this._lateWatchCleanup) this._lateWatchCleanup();
+    const startedAt = Date.now();
+    const onChange = (snap) => {
+      if (snap.boltState !== wantState) return;
+      cleanup();
+      const afterMs = Date.now() - startedAt;
+      this._log('info', `${action} confirmed late, ${Math.round(afterMs / 1000)}s after the wait window closed`);
+      this.emit('late-confirm', { action, boltState: snap.boltState, after_ms: afterMs });
+    };
+    const timer = setTimeout(() => cleanup(), this.lateConfirmMs);
+    if (typeof timer.unref === 'function') timer.unref();
+    const cleanup = () => {
+      clearTimeout(timer);
+      this.removeListener('state-change', onChange);
+      if (this._lateWatchCleanup === cleanup) this._lateWatchCleanup = null;
+    };
+    this._lateWatchCleanup = cleanup;
+    this.on('state-change', onChange);
+  }
+
+  _describeFailure() {
+    if (this._state.boltState === LockState.JAMMED) {
+      return 'the bolt is jammed (obstruction). Check the door alignment and the bolt pocket, then retry';
+    }
+    const pre = this._preflightError();
+    if (pre) return pre;
+    return `no confirming state on ${this.cfg.state_topic} within ${Math.round(this.verifyTimeoutMs / 1000)}s. `
+      + 'Check that the device publishes its state there and that locked_states/unlocked_states match what it sends';
+  }
+
+  // Ref'd on purpose, as in ZwaveLock: it only exists inside an in-flight command.
+  _sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = { MqttLock, mqttLockConfigError };
@@ -0,0 +1,133 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Z-Wave SmartStart QR codes (the "90..." digit string printed on a 700/800-
+ * series lock's label and box), parsed without loading zwave-js.
+ *
+ * Layout (Z-Wave Alliance node provisioning QR code spec), all decimal digits:
+ *
+ *   90 | VV version | CCCCC checksum | KKK requested keys | 40-digit DSK | TLVs
+ *
+ * version 00 is an S2-only code (the DSK for a classic inclusion) and 01 is
+ * SmartStart. The checksum is the first two bytes of the SHA-1 of every digit
+ * after it. Each TLV is 2 digits type (type << 1 | critical), 2 digits length,
+ * then that many digits; ProductType (0) and ProductId (1) carry the device
+ * class and the manufacturer/product ids that map the code onto the lock
+ * catalog. Unknown non-critical blocks are skipped, an unknown critical one
+ * rejects the code (as zwave-js does).
+ */
+
+const QR_VERSION = Object.freeze({ S2: 0, SMART_START: 1 });
+
+// Requested-keys bit -> zwave-js SecurityClass (bit 7 is S0 Legacy).
+const KEY_BITS = Object.freeze([[0, 0], [1, 1], [2, 2], [7, 7]]);
+
+const TLV = Object.freeze({ PRODUCT_TYPE: 0, PRODUCT_ID: 1 });
+
+function qrError(msg) {
+  const err = new Error(msg);
+  err.code = 'BAD_QR';
+  return err;
+}
+
+function digits(s, offset, len) {
+  const part = s.slice(offset, offset + len);
+  if (part.length !== len) throw qrError('the QR code is cut short');
+  return Number(part);
+}
+
+const hex4 = (n) => '0x' + n.toString(16).padStart(4, '0');
+
+/** The 16-byte DSK as the usual 8 groups of 5 digits, dash-separated. */
+function formatDsk(bytes) {
+  const b = Buffer.from(bytes);
+  if (b.length !== 16) throw qrError('a DSK is 16 bytes');
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) groups.push(String(b.readUInt16BE(i)).padStart(5, '0'));
+  return groups.join('-');
+}
+
+/**
+ * A DSK typed or pasted by hand ("12345-..." with any separators) in the
+ * canonical dashed form, or null when it is not 8 groups of 0..65535.
+ */
+function normalizeDsk(text) {
+  const groups = String(text || '').trim().split(/[^0-9]+/).filter(Boolean);
+  if (groups.length !== 8 || groups.some((g) => g.length > 5 || Number(g) > 65535)) return null;
+  return groups.map((g) => g.padStart(5, '0')).join('-');
+}
+
+/**
+ * Parse a scanned or pasted QR string. Returns
+ * { version: 'smart_start'|'s2', dsk, pin, requested_security_classes,
+ *   generic_device_class, specific_device_class, installer_icon,
+ *   manufacturer_id, product_type, product_id, application_version }
+ * with ids as hex4 strings (null when the code carries no ProductId block).
+ * Throws an Error with code 'BAD_QR' for anything else.
+ */
+function parseQrCode(text) {
+  const qr = String(text || '').replace(/\s+/g, '');
+  if (!/^\d+$/.test(qr) || !qr.startsWith('90')) {
+    throw qrError('not a Z-Wave QR code (it must be the digit string starting with 90)');
+  }
+  if (qr.length < 52) throw qrError('the QR code is cut short');
+  const version = digits(qr, 2, 2);
+  if (version !== QR_VERSION.S2 && version !== QR_VERSION.SMART_START) {
+    throw qrError(`unsupported Z-Wave QR code version ${version}`);
+  }
+  const checksum = digits(qr, 4, 5);
+  const expected = crypto.createHash('sha1').update(qr.slice(9), 'ascii').digest().readUInt16BE(0);
+  if (checksum !== expected) throw qrError('the QR code checksum does not match (a digit was misread or mistyped)');
+
+  const keys = digits(qr, 9, 3);
+  const requested = KEY_BITS.filter(([bit]) => keys & (1 << bit)).map(([, cls]) => cls);
+  const dskBytes = Buffer.alloc(16);
+  for (let i = 0; i < 8; i++) {
+    const group = digits(qr, 12 + i * 5, 5);
+    if (group > 65535) throw qrError('the DSK in the QR code is invalid');
+    dskBytes.writeUInt16BE(group, i * 2);
+  }
+  const dsk = formatDsk(dskBytes);
+
+  const out = {
+    version: version === QR_VERSION.SMART_START ? 'smart_start' : 's2',
+    dsk,
+    pin: dsk.slice(0, 5), // the first group is the 5-digit PIN on the label
+    requested_security_classes: requested,
+    generic_device_class: null,
+    specific_device_class: null,
+    installer_icon: null,
+    manufacturer_id: null,
+    product_type: null,
+    product_id: null,
+    application_version: null,
+  };
+  let offset = 52;
+  while (offset < qr.length) {
+    const typeCritical = digits(qr, offset, 2);
+    const len = digits(qr, offset + 2, 2);
+    const value = qr.slice(offset + 4, offset + 4 + len);
+    if (value.length !== len) throw qrError('the QR code is cut short');
+    const type = typeCritical >> 1;
+    if (type === TLV.PRODUCT_TYPE && len === 10) {
+      const cls = digits(value, 0, 5);
+      out.generic_device_class = cls >> 8;
+      out.specific_device_class = cls & 0xff;
+      out.installer_icon = hex4(digits(value, 5, 5));
+    } else if (type === TLV.PRODUCT_ID && len === 20) {
+      out.manufacturer_id = hex4(digits(value, 0, 5));
+      out.product_type = hex4(digits(value, 5, 5));
+      out.product_id = hex4(digits(value, 10, 5));
+      const app = digits(value, 15, 5);
+      out.application_version = `${app >> 8}.${app & 0xff}`;
+    } else if (typeCritical & 1) {
+      throw qrError(`the QR code carries a block this app cannot read (type ${type})`);
+    }
+    offset += 4 + len;
+  }
+  return out;
+}
+
+module.exports = { QR_VERSION, parseQrCode, normalizeDsk, formatDsk };
@@ -0,0 +1,199 @@
+'use strict';
+
+const { ContactSensorDriver, ContactState } = require('./contact-sensor');
+
+// Notification CC (0x71) Access Control (type 6) door/window events. zwave-js
+// also keeps the last one as the "Door state" value of the Access Control
+// notification, which is what seeds the state after a restart.
+const NOTIFICATION_CC = 0x71;
+const ACCESS_CONTROL = 6;
+const DOOR_EVENT = Object.freeze({ OPEN: 22, CLOSED: 23 });
+const BATTERY_CC = 0x80;
+
+// zwave-js NodeStatus enum, as in zwave-lock.js. A battery sensor spends
+// nearly all its time Asleep and still reports the instant the door moves, so
+// Asleep counts as reachable.
+const NODE_STATUS = Object.freeze({ UNKNOWN: 0, ASLEEP: 1, AWAKE: 2, DEAD: 3, ALIVE: 4 });
+
+function eventToState(event) {
+  if (event === DOOR_EVENT.OPEN) return ContactState.OPEN;
+  if (event === DOOR_EVENT.CLOSED) return ContactState.CLOSED;
+  return ContactState.UNKNOWN;
+}
+
+/**
+ * Z-Wave door contact sensor over a shared ZwaveManager.
+ *
+ * Read-only: nothing is ever sent to the sensor, so there is no verify/retry
+ * machinery and no polling (a sleeping sensor could not answer anyway). State
+ * comes from unsolicited Access Control notifications, seeded from the value
+ * cache on init and whenever the node wakes or finishes an interview.
+ *
+ * deps:
+ *   - deps.node    : a ZWaveNode-like object (tests)
+ *   - deps.manager : the shared ZwaveManager (production); the node is looked
+ *                    up on its running driver
+ */
+class ZwaveContactSensor extends ContactSensorDriver {
+  constructor(cfg = {}, deps = {}) {
+    super();
+    this.cfg = cfg;
+    this.logger = deps.logger || console;
+    const who = cfg.name || cfg.id || null;
+    this._label = who ? `${who}/node ${cfg.node_id}` : `node ${cfg.node_id}`;
+    this._injectedNode = deps.node || null;
+    this._manager = deps.manager || null;
+    this._node = null;
+    this._nodeHandlers = null;
+    this.nodeId = cfg.node_id;
+    this.lowBatteryPct = cfg.low_battery_pct == null ? 20 : cfg.low_battery_pct;
+    this._wasBatteryLow = false;
+    this._state = {
+      state: ContactState.UNKNOWN,
+      openSince: null,
+      battery: null,
+      batteryLow: false,
+      online: false,
+      linkState: 'offline',
+      lastSeen: null,
+      name: cfg.name || null,
+      securityClass: cfg.security_class || null,
+    };
+  }
+
+  _log(level, msg) {
+    const fn = this.logger && this.logger[level];
+    if (typeof fn === 'function') fn.call(this.logger, `ZwaveContactSensor[${this._label}] ${msg}`);
+  }
+
+  async init() {
+    if (this._injectedNode) {
+      this._node = this._injectedNode;
+    } else {
+      if (!this._manager) throw new Error('no Z-Wave manager');
+      const driver = await this._manager.ensureStarted({
+        serial_path: this.cfg.serial_path,
+        cache_dir: this.cfg.cache_dir,
+      });
+      const nodes = driver && driver.controller && driver.controller.nodes;
+      this._node = nodes ? (typeof nodes.get === 'function' ? nodes.get(this.nodeId) : nodes[this.nodeId]) : null;
+    }
+    if (!this._node) throw new Error(`Z-Wave node ${this.nodeId} not found`);
+    this._wireNode(this._node);
+    this._refreshLink();
+    this._seedFromCache();
+    this.emit(this._state.online ? 'online' : 'offline');
+  }
+
+  _wireNode(node) {
+    if (!node || typeof node.on !== 'function' || this._nodeHandlers) return;
+    const reachable = () => { this._refreshLink(); this._seedFromCache(); };
+    this._nodeHandlers = {
+      notification: (_endpoint, ccId, args) => this._onNotification(ccId, args || {}),
+      'value updated': (_node, args) => this._onValueUpdated(args || {}),
+      dead: () => { this._state.linkState = 'offline'; this._setOnline(false); },
+      alive: reachable,
+      'wake up': reachable,
+      ready: reachable,
+      'interview completed': reachable,
+    };
+    for (const [ev, fn] of Object.entries(this._nodeHandlers)) node.on(ev, fn);
+  }
+
+  _unwireNode() {
+    const node = this._node;
+    if (node && this._nodeHandlers && typeof node.removeListener === 'function') {
+      for (const [ev, fn] of Object.entries(this._nodeHandlers)) node.removeListener(ev, fn);
+    }
+    this._nodeHandlers = null;
+  }
+
+  _onNotification(ccId, args) {
+    // Gate strictly, as the lock does: other notification types reuse event
+    // numbers 22/23 for unrelated meanings.
+    if (ccId != null && ccId !== NOTIFICATION_CC) return;
+    if (args.type != null && args.type !== ACCESS_CONTROL) return;
+    const st = eventToState(args.event);
+    if (st !== ContactState.UNKNOWN) this._updateContact(st);
+  }
+
+  _onValueUpdated(args) {
+    const isNotification = args.commandClassName === 'Notification' || args.commandClass === NOTIFICATION_CC;
+    if (isNotification && args.property === 'Access Control' && args.propertyKey === 'Door state') {
+      const st = eventToState(args.newValue);
+      if (st !== ContactState.UNKNOWN) this._updateContact(st);
+    }
+    const isBattery = args.commandClassName === 'Battery' || args.commandClass === BATTERY_CC;
+    if (isBattery && args.property === 'level' && typeof args.newValue === 'number') {
+      this._setBattery(args.newValue);
+    }
+  }
+
+  // Cached values only: never a live read (a sleeping sensor cannot answer).
+  _seedFromCache() {
+    const node = this._node;
+    if (!node || typeof node.getValue !== 'function') return;
+    try {
+      const door = node.getValue({ commandClass: NOTIFICATION_CC, property: 'Access Control', propertyKey: 'Door state' });
+      const st = eventToState(door);
+      if (st !== ContactState.UNKNOWN && this._state.state === ContactState.UNKNOWN) this._updateContact(st);
+      const level = node.getValue({ commandClass: BATTERY_CC, property: 'level' });
+      if (typeof level === 'number') this._setBattery(level);
+    } catch (e) {
+      this._log('debug', `value cache read failed: ${e.message}`);
+    }
+  }
+
+  _updateContact(state) {
+    const previous = this._state.state;
+    const now = new Date();
+    this._state.lastSeen = now.toISOString();
+    if (state === previous) return;
+    this._state.state = state;
+    this._state.openSince = state === ContactState.OPEN ? now.toISOString() : null;
+    this.emit('contact', { state, previous, at: now.toISOString() });
+  }
+
+  _setBattery(level) {
+    this._state.battery = level;
+    this._state.batteryLow = level <= this.lowBatteryPct;
+    if (this._state.batteryLow && !this._wasBatteryLow) {
+      this.emit('alert', {
+        type: 'sensor_low_battery',
+        detail: `contact sensor battery at ${level}% (threshold ${this.lowBatteryPct}%); replace the battery soon`,
+      });
+    }
+    this._wasBatteryLow = this._state.batteryLow;
+  }
+
+  _setOnline(online) {
+    if (this._state.online !== online) {
+      this._state.online = online;
+      this.emit(online ? 'online' : 'offline');
+    }
+  }
+
+  _refreshLink() {
+    const st = this._node && typeof this._node.status === 'number' ? this._node.status : null;
+    let link;
+    if (st == null) link = 'online'; // injected/test node exposes no status
+    else if (st === NODE_STATUS.AWAKE || st === NODE_STATUS.ALIVE) link = 'online';
+    else if (st === NODE_STATUS.ASLEEP) link = 'asleep';
+    else link = 'offline';
+    this._state.linkState = link;
+    this._setOnline(link !== 'offline');
+  }
+
+  snapshot() {
+    return Object.assign({}, this._state);
+  }
+
+  async shutdown() {
+    this._state.linkState = 'offline';
+    this._setOnline(false);
+    this._unwireNode();
+    this._node = null;
+  }
+}
+
+module.exports = { ZwaveContactSensor, DOOR_EVENT, eventToState };
@@ -0,0 +1,211 @@
+'use strict';
+
+/**
+ * Z-Wave network diagnostics: turns the zwave-js controller and node
+ * statistics into plain, JSON-safe numbers and a per-node link verdict.
+ *
+ * A lock that drops offline runs ZwaveLock's revive ladder, which keeps it
+ * working but hides why it dropped. The numbers here answer that: how loud
+ * the node is above the room's noise floor (RSSI vs background RSSI), how
+ * many hops its route takes and where it last failed, and how many commands
+ * the controller gave up on. The verdict turns them into "add a repeater
+ * before this lock starts failing retracts" instead of a wall of dBm.
+ *
+ * Pure: everything reads plain objects shaped like zwave-js's
+ * ControllerStatistics / NodeStatistics / LifelineHealthCheckSummary, so the
+ * tests need no driver. ZwaveManager does the live reads.
+ */
+
+// zwave-js NodeStatus, as in zwave-lock.js.
+const NODE_STATUS_NAMES = Object.freeze(['unknown', 'asleep', 'awake', 'dead', 'alive']);
+
+// zwave-js ProtocolDataRate.
+const DATA_RATES = Object.freeze({ 1: '9.6 kbit/s', 2: '40 kbit/s', 3: '100 kbit/s', 4: '100 kbit/s (Long Range)' });
+
+// RSSI values at or above this are zwave-js RssiError codes (125 no signal
+// detected, 126 receiver saturated, 127 not available), not a reading.
+const RSSI_ERROR_MIN = 125;
+
+// Margins in dB of a node's signal over the background noise. 17 dB is the
+// margin zwave-js itself counts as a healthy lifeline; under 10 dB frames
+// start to get lost.
+const SNR_GOOD_DB = 17;
+const SNR_POOR_DB = 10;
+// Without a background reading, absolute RSSI is the fallback.
+const RSSI_FAIR_DBM = -75;
+const RSSI_POOR_DBM = -85;
+// Share of transmitted commands the controller dropped.
+const DROP_FAIR = 0.02;
+const DROP_POOR = 0.1;
+const LEVEL_RANK = Object.freeze({ good: 1, fair: 2, poor: 3 });
+
+function num(v) {
+  return typeof v === 'number' && Number.isFinite(v) ? v : null;
+}
+
+function rssi(v) {
+  const n = num(v);
+  return n == null || n >= RSSI_ERROR_MIN ? null : n;
+}
+
+function isoTime(v) {
+  if (v == null) return null;
+  const d = v instanceof Date ? v : new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+function nodeStatusName(status) {
+  return NODE_STATUS_NAMES[status] || 'unknown';
+}
+
+/** One route (lwr = last working, nlwr = next to last) or null. */
+function routeSummary(route) {
+  if (!route || typeof route !== 'object') return null;
+  const repeaters = Array.isArray(route.repeaters) ? route.repeaters.slice() : [];
+  const failed = Array.isArray(route.routeFailedBetween) && route.routeFailedBetween.length === 2
+    ? route.routeFailedBetween.slice() : null;
+  return {
+    repeaters,
+    repeater_rssi_dbm: Array.isArray(route.repeaterRSSI) ? route.repeaterRSSI.map(rssi) : [],
+    rssi_dbm: rssi(route.rssi),
+    data_rate: DATA_RATES[route.protocolDataRate] || null,
+    route_failed_between: failed,
+  };
+}
+
+/** NodeStatistics as snake_case numbers; null for a node with none yet. */
+function nodeStatistics(st) {
+  if (!st || typeof st !== 'object') return null;
+  return {
+    commands_tx: num(st.commandsTX),
+    commands_rx: num(st.commandsRX),
+    commands_dropped_tx: num(st.commandsDroppedTX),
+    commands_dropped_rx: num(st.commandsDroppedRX),
+    timeouts: num(st.timeoutResponse),
+    rtt_ms: num(st.rtt),
+    rssi_dbm: rssi(st.rssi),
+    last_route: routeSummary(st.lwr),
+    previous_route: routeSummary(st.nlwr),
+  };
+}
+
+/**
+ * Background RSSI (the noise floor the stick hears with nobody talking) per
+ * channel, plus the worst channel average the verdict compares against.
+ */
+function backgroundRssi(controllerStats) {
+  const bg = controllerStats && controllerStats.backgroundRSSI;
+  if (!bg || typeof bg !== 'object') return null;
+  const channels = {};
+  let worst = null;
+  for (const key of Object.keys(bg).filter((k) => /^channel\d+$/.test(k)).sort()) {
+    const ch = bg[key] || {};
+    const average = rssi(ch.average);
+    channels[key] = { average_dbm: average, current_dbm: rssi(ch.current) };
+    if (average != null && (worst == null || average > worst)) worst = average;
+  }
+  return { channels, noise_floor_dbm: worst, measured_at: isoTime(bg.timestamp) };
+}
+
+/** ControllerStatistics as snake_case numbers. */
+function controllerStatistics(st) {
+  if (!st || typeof st !== 'object') return null;
+  return {
+    messages_tx: num(st.messagesTX),
+    messages_rx: num(st.messagesRX),
+    messages_dropped_tx: num(st.messagesDroppedTX),
+    messages_dropped_rx: num(st.messagesDroppedRX),
+    nak: num(st.NAK),
+    can: num(st.CAN),
+    timeout_ack: num(st.timeoutACK),
+    timeout_response: num(st.timeoutResponse),
+    timeout_callback: num(st.timeoutCallback),
+  };
+}
+
+/**
+ * checkLifelineHealth() summary, reduced to the worst round: the verdict is
+ * about whether commands get through every time, not on average.
+ */
+function lifelineSummary(h) {
+  const results = (h && Array.isArray(h.results)) ? h.results : [];
+  const worst = (field, pick) => {
+    const vals = results.map((r) => num(r && r[field])).filter((v) => v != null);
+    return vals.length ? pick(...vals) : null;
+  };
+  return {
+    rating: h ? num(h.rating) : null, // 0..10, 10 best
+    rounds: results.length,
+    latency_ms: worst('latency', Math.max),
+    neighbors: worst('numNeighbors', Math.min),
+    failed_pings: worst('failedPingsNode', Math.max),
+    route_changes: worst('routeChanges', Math.max),
+    snr_margin_db: worst('snrMargin', Math.min),
+    min_power_level: worst('minPowerlevel', Math.max),
+  };
+}
+
+/**
+ * Verdict for one node: { level: 'good'|'fair'|'poor'|'unknown', reasons,
+ * advice }. `node` is the shape networkDiagnostics() builds (status,
+ * statistics, optional health from the last check); `noiseFloor` the
+ * background RSSI in dBm, or null. Any poor reason makes the node poor.
+ */
+function assessNode(node, noiseFloor) {
+  const reasons = [];
+  let level = null;
+  const rate = (lvl) => { if (!level || LEVEL_RANK[lvl] > LEVEL_RANK[level]) level = lvl; };
+  const note = (lvl, text) => { reasons.push(text); rate(lvl); };
+  if (node.status === 'dead') note('poor', 'the controller marked the node dead');
+  const st = node.statistics || {};
+  if (st.rssi_dbm != null) {
+    if (noiseFloor != null) {
+      const margin = st.rssi_dbm - noiseFloor;
+      if (margin < SNR_POOR_DB) note('poor', `signal only ${margin} dB above the noise floor`);
+      else if (margin < SNR_GOOD_DB) note('fair', `signal ${margin} dB above the noise floor`);
+      else rate('good');
+    } else if (st.rssi_dbm <= RSSI_POOR_DBM) {
+      note('poor', `weak signal (${st.rssi_dbm} dBm)`);
+    } else if (st.rssi_dbm <= RSSI_FAIR_DBM) {
+      note('fair', `modest signal (${st.rssi_dbm} dBm)`);
+    } else {
+      rate('good');
+    }
+  }
+  if (st.commands_tx > 0 && st.commands_dropped_tx != null) {
+    const ratio = st.commands_dropped_tx / (st.commands_tx + st.commands_dropped_tx);
+    const pct = Math.round(ratio * 100);
+    if (ratio >= DROP_POOR) note('poor', `${st.commands_dropped_tx} commands dropped (${pct}%)`);
+    else if (ratio >= DROP_FAIR) note('fair', `${st.commands_dropped_tx} commands dropped (${pct}%)`);
+  }
+  const route = st.last_route;
+  if (route) {
+    if (route.repeaters.length >= 2) note('fair', `route takes ${route.repeaters.length} repeaters`);
+    if (route.route_failed_between) note('fair', `last route failed between nodes ${route.route_failed_between.join(' and ')}`);
+  }
+  const h = node.health;
+  if (h && h.rating != null) {
+    if (h.rating <= 3) note('poor', `health check rated ${h.rating}/10`);
+    else if (h.rating <= 6) note('fair', `health check rated ${h.rating}/10`);
+    else rate('good');
+  }
+  if (!level) return { level: 'unknown', reasons, advice: 'No link numbers yet; run a health check.' };
+  let advice = 'Link looks healthy.';
+  if (level === 'poor') {
+    advice = 'Add a mains-powered Z-Wave repeater between the stick and this node, or move the stick closer, before commands start failing.';
+  } else if (level === 'fair') {
+    advice = 'Works today with little margin; a repeater between the stick and this node would make it faster and more reliable.';
+  }
+  return { level, reasons, advice };
+}
+
+module.exports = {
+  nodeStatusName,
+  routeSummary,
+  nodeStatistics,
+  backgroundRssi,
+  controllerStatistics,
+  lifelineSummary,
+  assessNode,
+  isoTime,
+};
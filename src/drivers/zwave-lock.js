@@ -54,6 +54,11 @@ const SUPERVISION = Object.freeze({
   SUCCESS: 0xff,
 });
 
+// Refusal for every command while an OTA update owns the node: a Door Lock
+// set or a User Code write mid-transfer can abort the update, and a lock
+// rebooting into new firmware could not act on it anyway.
+const FIRMWARE_BUSY = 'firmware update in progress; the lock takes no commands until it finishes';
+
 function modeToState(mode) {
   if (mode === DOOR_LOCK_MODE.SECURED) return LockState.LOCKED;
   if (mode === DOOR_LOCK_MODE.UNSECURED) return LockState.UNLOCKED;
@@ -156,6 +161,11 @@ class ZwaveLock extends LockDriver {
       model: null,
       manufacturer: null,
       securityClass: cfg.security_class || null,
+      // Firmware: the version is seeded from config (recorded after the last
+      // update) until the interviewed node reports it.
+      firmwareVersion: cfg.firmware_version || null,
+      firmwareUpdating: false,
+      firmwareProgress: null,
     };
 
     this.nodeId = cfg.node_id;
@@ -547,6 +557,7 @@ class ZwaveLock extends LockDriver {
     const manufacturer = (dc && dc.manufacturer)
       || (typeof node.manufacturer === 'string' ? node.manufacturer : null);
     set('manufacturer', manufacturer);
+    set('firmwareVersion', typeof node.firmwareVersion === 'string' ? node.firmwareVersion : null);
     try {
       const cls = typeof node.getHighestSecurityClass === 'function'
         ? node.getHighestSecurityClass() : null;
@@ -584,6 +595,12 @@ class ZwaveLock extends LockDriver {
       this._reviveAttempt = 0;
       return;
     }
+    // A lock rebooting into new firmware reads Dead for a while; leave the
+    // link to the update and look again on the next rung.
+    if (this._state.firmwareUpdating) {
+      this._scheduleRevive();
+      return;
+    }
     let alive = false;
     if (typeof node.ping === 'function') {
       try { alive = await node.ping(); } catch (e) { alive = false; }
@@ -656,10 +673,12 @@ class ZwaveLock extends LockDriver {
   /**
    * Live CC reads queue until a sleeping node wakes and would reject outright
    * on a dead one, so only go to the wire when the node is reachable now.
-   * A node without a status (injected test node) is assumed reachable.
+   * A node without a status (injected test node) is assumed reachable. A
+   * running firmware update owns the link: nothing else goes to the wire.
    */
   _shouldLiveRead() {
     if (!this._node) return false;
+    if (this._state.firmwareUpdating) return false;
     if (this._node.ready === false) return false;
     const st = this._nodeStatus();
     if (st == null) return true;
@@ -903,6 +922,7 @@ class ZwaveLock extends LockDriver {
       return 'Z-Wave driver is not running (stick unplugged or failed to start). '
         + 'It retries automatically; check Download Diagnostics if this persists';
     }
+    if (this._state.firmwareUpdating) return FIRMWARE_BUSY;
     return null;
   }
 
@@ -992,6 +1012,51 @@ class ZwaveLock extends LockDriver {
     return Promise.resolve(node.refreshInfo());
   }
 
+  /**
+   * Run a vendor OTA firmware update over the lock's Firmware Update Meta
+   * Data CC. `firmware` is the {data, firmwareTarget} ZwaveManager
+   * parseFirmware() returns. While it runs the lock refuses lock/unlock and
+   * keypad-code writes and skips every live read; 'firmware-progress'
+   * {progress, sent, total} follows the transfer. Resolves with the zwave-js
+   * result ({success, status, reInterview, waitTime}); the caller decides
+   * when to re-interview (the new version is read by that interview).
+   */
+  async updateFirmware(firmware) {
+    const node = this._node;
+    if (!node || typeof node.updateFirmware !== 'function') {
+      throw new Error('firmware update unavailable (node not resolved, or this zwave-js build cannot update firmware)');
+    }
+    if (this._state.firmwareUpdating) throw new Error('a firmware update is already running on this lock');
+    if (!firmware || !firmware.data || !firmware.data.length) throw new Error('no firmware image');
+    const onProgress = (_node, p) => {
+      const progress = p && typeof p.progress === 'number' ? Math.round(p.progress) : null;
+      this._state.firmwareProgress = progress;
+      this.emit('firmware-progress', {
+        progress,
+        sent: p && p.sentFragments != null ? p.sentFragments : null,
+        total: p && p.totalFragments != null ? p.totalFragments : null,
+      });
+    };
+    this._state.firmwareUpdating = true;
+    this._state.firmwareProgress = 0;
+    this.emit('state-change', this.snapshot());
+    if (typeof node.on === 'function') node.on('firmware update progress', onProgress);
+    this._log('info', `firmware update started (${firmware.data.length} bytes${firmware.firmwareTarget ? `, target ${firmware.firmwareTarget}` : ''})`);
+    try {
+      const image = { data: firmware.data };
+      if (firmware.firmwareTarget != null) image.firmwareTarget = firmware.firmwareTarget;
+      const result = (await node.updateFirmware([image])) || {};
+      this._log(result.success ? 'info' : 'warn',
+        `firmware update ${result.success ? 'finished' : 'FAILED'} (status ${result.status})`);
+      return result;
+    } finally {
+      if (typeof node.removeListener === 'function') node.removeListener('firmware update progress', onProgress);
+      this._state.firmwareUpdating = false;
+      this._state.firmwareProgress = null;
+      this.emit('state-change', this.snapshot());
+    }
+  }
+
   /**
    * The lock's catalog profile, preferring the operator-chosen model_key
    * (persisted at pair time) and falling back to the interviewed node ids.
@@ -1103,6 +1168,101 @@ class ZwaveLock extends LockDriver {
     });
   }
 
+  // ---- lock settings (Configuration CC) ----------------------------------
+  // Only the parameters the catalog lists for the model (lock-catalog
+  // config_params); everything else on the lock stays out of reach.
+
+  /**
+   * The editable parameters for THIS lock's model. Drives the Devices tab's
+   * Lock settings panel; models without any get the catalog note instead.
+   */
+  configParamsInfo() {
+    const prof = this._modelProfile();
+    const params = (prof && prof.config_params) || [];
+    return {
+      supported: params.length > 0,
+      model_key: prof ? prof.key : null,
+      note: (prof && prof.config_params_note) || null,
+      params,
+    };
+  }
+
+  /**
+   * Current value of every catalog parameter: [{ ...param, value, source }].
+   * Asks the lock when it is reachable (one Configuration Get per parameter,
+   * in turn) and falls back to the driver's cached value when it is not or a
+   * read fails. source is 'lock', 'cache', or null (never read).
+   */
+  async readConfigParams() {
+    const { params } = this.configParamsInfo();
+    const cc = this._configurationCC();
+    const live = !!(cc && typeof cc.get === 'function') && this._shouldLiveRead();
+    const out = [];
+    for (const p of params) {
+      let value = null;
+      let source = null;
+      if (live) {
+        try {
+          const v = await cc.get(p.parameter);
+          if (typeof v === 'number') { value = v; source = 'lock'; }
+        } catch (e) { /* fall back to the cache */ }
+      }
+      if (source == null) {
+        value = this._cachedConfigValue(p.parameter);
+        if (value != null) source = 'cache';
+      }
+      out.push(Object.assign({}, p, { value, source }));
+    }
+    return out;
+  }
+
+  _cachedConfigValue(parameter) {
+    const n = this._node;
+    if (!n || typeof n.getValue !== 'function') return null;
+    const v = n.getValue({ commandClass: 0x70, endpoint: 0, property: parameter });
+    return typeof v === 'number' ? v : null;
+  }
+
+  /**
+   * Write one catalog parameter and read it back. Parameters the catalog
+   * does not list for this model, and values outside their options or
+   * range, are refused before anything is sent, so a typo can never reach
+   * a parameter like Schlage's PIN length (which wipes every code).
+   * Returns { parameter, label, value, previous, confirmed }: previous is
+   * the cached value before the write (null if never read), confirmed is
+   * true/false from the read-back or null when the lock did not answer.
+   */
+  async setConfigParam(parameter, value) {
+    if (!this._node) {
+      throw new Error('Z-Wave driver is not running (stick unplugged or failed to start)');
+    }
+    if (this._state.firmwareUpdating) throw new Error(FIRMWARE_BUSY);
+    const info = this.configParamsInfo();
+    const param = info.params.find((p) => p.parameter === parameter);
+    if (!param) {
+      throw new Error(info.supported
+        ? `parameter ${parameter} is not an editable setting for this lock model`
+        : (info.note || 'this lock model has no settings editable over Z-Wave'));
+    }
+    const invalid = lockCatalog.configValueError(param, value);
+    if (invalid) throw new Error(invalid);
+    const cc = this._configurationCC();
+    if (!cc || typeof cc.set !== 'function') {
+      throw new Error('Configuration CC unavailable (run Re-interview / Heal, then retry)');
+    }
+    const previous = this._cachedConfigValue(parameter);
+    // Unsigned, as in setAutoRelock: option values like 255 overflow a signed byte.
+    await cc.set({ parameter, value, valueSize: param.size || 1, valueFormat: 1 });
+    let confirmed = null;
+    if (typeof cc.get === 'function') {
+      try { confirmed = (await cc.get(parameter)) === value; } catch (e) { confirmed = null; }
+    }
+    this._log('info',
+      `${param.label} set to ${value} (parameter ${parameter}`
+      + `${confirmed == null ? '' : confirmed ? ', read-back confirmed' : ', READ-BACK MISMATCH'})`);
+    return { parameter, label: param.label, value, previous, confirmed };
+  }
+
   // ---- keypad user codes (User Code CC) ----------------------------------
   // Targeted per-slot operations ONLY: the interview-wide queryAllUserCodes
   // stays disabled in the manager (Yale battery-drain guard), so nothing here
@@ -1172,6 +1332,7 @@ class ZwaveLock extends LockDriver {
     if (!this._node) {
       throw new Error('Z-Wave driver is not running (stick unplugged or failed to start)');
     }
+    if (this._state.firmwareUpdating) throw new Error(FIRMWARE_BUSY);
     this._guardReservedSlot(slot);
     const uc = this._userCodeCC();
     if (!uc || typeof uc.set !== 'function') {
@@ -1222,6 +1383,7 @@ class ZwaveLock extends LockDriver {
     if (!this._node) {
       throw new Error('Z-Wave driver is not running (stick unplugged or failed to start)');
     }
+    if (this._state.firmwareUpdating) throw new Error(FIRMWARE_BUSY);
     this._guardReservedSlot(slot);
     const uc = this._userCodeCC();
     if (!uc) throw new Error('this lock does not expose keypad codes over Z-Wave (User Code CC unavailable)');
@@ -3,6 +3,7 @@
 const { EventEmitter } = require('events');
 const path = require('path');
 const fs = require('fs');
+const diagnostics = require('./zwave-diagnostics');
 
 /**
  * Sole owner of the zwave-js Driver for the configured serial path. Both the
@@ -16,9 +17,11 @@ const fs = require('fs');
  *                   zwave-js so tests and non-deadbolt installs never load the
  *                   native package.
  *   loadKeys      - () => { classic, longRange } security keys (Buffers).
+ *   firmwareTools - { guessFirmwareFileFormat, extractFirmware } (test seam;
+ *                   default lazy-requires them from zwave-js).
  *
- * Events: 'driver-error' (err), 'driver-down' (err), 'driver-restarted',
- * 'stopped'.
+ * Events: 'driver-started' (driver, after every successful start),
+ * 'driver-error' (err), 'driver-down' (err), 'driver-restarted', 'stopped'.
  *
  * Self-healing: this box runs unattended in a network rack. A driver 'error'
  * used to only be logged, leaving a dead driver that still claimed to be
@@ -34,6 +37,7 @@ class ZwaveManager extends EventEmitter {
     this.logger = deps.logger || console;
     this._driverFactory = deps.driverFactory || null;
     this._loadKeys = deps.loadKeys || (() => ({ classic: {}, longRange: {} }));
+    this._firmwareTools = deps.firmwareTools || null;
     // When a log directory is provided, the zwave-js driver writes a rotating
     // debug log there (zwave-js_*.log). This captures the full S2 inclusion
     // handshake, which is the only way to diagnose a "secure join" failure.
@@ -138,6 +142,160 @@ class ZwaveManager extends EventEmitter {
     return typeof nodes.get === 'function' ? nodes.get(nodeId) : nodes[nodeId];
   }
 
+  /**
+   * Per-node link numbers for the network diagnostics view: status, last
+   * seen, RSSI, routes, neighbors and TX/RX/dropped counters, plus the
+   * controller's background RSSI and counters. Read-only and cheap (cached
+   * statistics plus one routing-table read per node), so sleeping nodes are
+   * not woken. Resolves {controller, nodes}; nodes exclude the stick itself.
+   */
+  async networkDiagnostics() {
+    const ctrl = this.controller;
+    if (!ctrl) throw new Error('Z-Wave driver is not running');
+    const background = diagnostics.backgroundRssi(ctrl.statistics);
+    const out = {
+      controller: {
+        home_id: ctrl.homeId != null ? ctrl.homeId.toString(16).padStart(8, '0') : null,
+        own_node_id: ctrl.ownNodeId != null ? ctrl.ownNodeId : null,
+        background_rssi: background,
+        statistics: diagnostics.controllerStatistics(ctrl.statistics),
+      },
+      nodes: [],
+    };
+    const nodes = ctrl.nodes && typeof ctrl.nodes.values === 'function' ? [...ctrl.nodes.values()] : [];
+    for (const node of nodes) {
+      if (node.id === ctrl.ownNodeId) continue;
+      let neighbors = null;
+      if (typeof ctrl.getNodeNeighbors === 'function') {
+        try { neighbors = [...await ctrl.getNodeNeighbors(node.id)]; } catch (e) { neighbors = null; }
+      }
+      const st = node.statistics || null;
+      out.nodes.push({
+        node_id: node.id,
+        status: diagnostics.nodeStatusName(node.status),
+        listening: node.isListening === true || node.isFrequentListening === true,
+        last_seen: diagnostics.isoTime(node.lastSeen || (st && st.lastSeen)),
+        neighbors,
+        statistics: diagnostics.nodeStatistics(st),
+      });
+    }
+    out.nodes.sort((a, b) => a.node_id - b.node_id);
+    return out;
+  }
+
+  /**
+   * Run a ping and a lifeline health check (rounds 1..10) on one node. This
+   * is real RF traffic: a few seconds per round on a listening node, and a
+   * sleeping node only answers once woken. Resolves {node_id, ping_ok,
+   * lifeline} with lifeline reduced by lifelineSummary(); a failed probe
+   * lands in lifeline_error rather than rejecting.
+   */
+  async checkNodeHealth(nodeId, rounds = 1) {
+    if (!this.controller) throw new Error('Z-Wave driver is not running');
+    const node = this.getNode(nodeId);
+    if (!node) throw new Error(`node ${nodeId} is not on the stick`);
+    const n = Math.min(10, Math.max(1, Math.floor(Number(rounds)) || 1));
+    const out = { node_id: nodeId, rounds: n, ping_ok: null };
+    if (typeof node.ping === 'function') {
+      try { out.ping_ok = await node.ping(); } catch (e) { out.ping_ok = false; out.ping_error = e.message; }
+    }
+    if (typeof node.checkLifelineHealth === 'function') {
+      try {
+        out.lifeline = diagnostics.lifelineSummary(await node.checkLifelineHealth(n));
+      } catch (e) {
+        out.lifeline_error = e.message;
+      }
+    } else {
+      out.lifeline_error = 'this zwave-js build cannot run health checks';
+    }
+    return out;
+  }
+
+  /**
+   * Read the stick's NVM (the whole paired network) through the running
+   * driver. zwave-js turns the radio off while it reads, so the network is
+   * deaf for the duration (tens of seconds on a 700/800-series stick).
+   * onProgress(bytesRead, total). Resolves {nvm, controller, nodeIds}.
+   */
+  async backupNVM(onProgress) {
+    const ctrl = this.controller;
+    if (!ctrl) throw new Error('Z-Wave driver is not running');
+    if (typeof ctrl.backupNVMRaw !== 'function') throw new Error('this zwave-js build cannot back up the controller NVM');
+    const nvm = await ctrl.backupNVMRaw(onProgress || undefined);
+    const nodeIds = ctrl.nodes && typeof ctrl.nodes.keys === 'function' ? [...ctrl.nodes.keys()] : [];
+    return {
+      nvm: Buffer.from(nvm),
+      controller: {
+        home_id: ctrl.homeId != null ? ctrl.homeId.toString(16).padStart(8, '0') : null,
+        own_node_id: ctrl.ownNodeId != null ? ctrl.ownNodeId : null,
+        sdk_version: ctrl.sdkVersion || null,
+        firmware_version: ctrl.firmwareVersion || null,
+      },
+      nodeIds,
+    };
+  }
+
+  /**
+   * Write an NVM image onto the stick this driver runs. zwave-js converts
+   * between NVM formats when the replacement stick runs a different SDK.
+   * The stick resets afterwards, so the caller must restart() before using
+   * the network. onProgress(phase, done, total), phase 'convert' | 'restore'.
+   */
+  async restoreNVM(nvm, onProgress) {
+    const ctrl = this.controller;
+    if (!ctrl) throw new Error('Z-Wave driver is not running');
+    if (typeof ctrl.restoreNVM !== 'function') throw new Error('this zwave-js build cannot restore the controller NVM');
+    const report = (phase) => (done, total) => { if (onProgress) onProgress(phase, done, total); };
+    await ctrl.restoreNVM(nvm, report('convert'), report('restore'));
+  }
+
+  /**
+   * Stop and start the driver on the same port (after an NVM restore, or to
+   * pick up changed security keys). Resolves the fresh driver.
+   */
+  async restart() {
+    const info = this._restartInfo || (this._serialPath ? { serial_path: this._serialPath } : null);
+    if (!info) throw new Error('Z-Wave driver is not running');
+    await this.stop();
+    return this.ensureStarted(info);
+  }
+
+  /**
+   * Turn an uploaded vendor firmware file (.otz/.ota/.hex/.hec/.gbl/.bin)
+   * into the {data, firmwareTarget} a node's updateFirmware() takes. The
+   * container format is guessed from the filename and contents by zwave-js
+   * itself, so an encrypted .hec or a Silabs .gbl is handled exactly as the
+   * vendor tools do. Throws a readable error for anything it cannot parse.
+   */
+  async parseFirmware(filename, data) {
+    if (!filename || typeof filename !== 'string') throw new Error('a firmware filename is required');
+    if (!data || !data.length) throw new Error('the firmware file is empty');
+    let tools = this._firmwareTools;
+    if (!tools) {
+      try {
+        tools = require('zwave-js'); // eslint-disable-line global-require
+      } catch (err) {
+        throw new Error('zwave-js is not installed in this build, so firmware files cannot be read');
+      }
+    }
+    let format;
+    try {
+      format = tools.guessFirmwareFileFormat(filename, data);
+    } catch (err) {
+      throw new Error(`"${filename}" is not a recognized Z-Wave firmware file (${err.message})`);
+    }
+    let fw;
+    try {
+      fw = await tools.extractFirmware(data, format);
+    } catch (err) {
+      throw new Error(`could not read "${filename}" as ${format} firmware: ${err.message}`);
+    }
+    if (!fw || !fw.data || !fw.data.length) throw new Error(`"${filename}" contains no firmware image`);
+    const out = { data: fw.data, format };
+    if (fw.firmwareTarget != null) out.firmwareTarget = fw.firmwareTarget;
+    return out;
+  }
+
   /**
    * Start (or reuse) the driver for serial_path. Idempotent: a running driver
    * on the same path resolves immediately; concurrent callers share one
@@ -273,6 +431,7 @@ class ZwaveManager extends EventEmitter {
       clearTimeout(this._restartTimer);
       this._restartTimer = null;
     }
+    this.emit('driver-started', driver);
     return driver;
   }
 
@@ -1,5 +1,8 @@
 'use strict';
 
+const { parseQrCode, normalizeDsk, formatDsk } = require('./smart-start');
+const lockCatalog = require('./lock-catalog');
+
 // zwave-js InclusionStrategy values (verified against v15.25.3). Hard-coded
 // so this module never needs to require the native package.
 // Default: "S2 if supported, otherwise S0 for devices that need encryption";
@@ -21,6 +24,15 @@ const SECURITY_CLASS_LABELS = Object.freeze({
   7: 'S0 Legacy',
 });
 
+// What a session pairs. A deadbolt must join encrypted (fail-secure); a door
+// contact sensor is accepted at whatever class it can do, since many only
+// support an unencrypted join and a sensor can open nothing.
+const DEVICE_TYPES = Object.freeze(['deadbolt', 'contact_sensor']);
+
+// zwave-js ProvisioningEntryStatus.
+const PROVISIONING_ACTIVE = 0;
+const PROVISIONING_INACTIVE = 1;
+
 // Operator-selectable inclusion security mode -> zwave-js strategy.
 const SECURITY_MODES = Object.freeze({
   auto: INCLUSION_STRATEGY_DEFAULT, // S2 when the lock can, S0 when that is all it has
@@ -48,13 +60,25 @@ const SECURITY_MODES = Object.freeze({
  * the app log with a [pairing] prefix) so a failed attempt can be diagnosed
  * from the dashboard or the diagnostics bundle without hunting files.
  *
+ * SmartStart sits beside the sessions rather than in them: a scanned QR code
+ * goes onto the controller's provisioning list (provisionSmartStart) and the
+ * device joins by itself whenever it is powered up in range, with no gesture
+ * and no PIN. The entry carries what the join needs to land in config
+ * (device, lock/sensor id, name, catalog model), so a 'node added' that no
+ * session is waiting for is matched to its entry and handed to onIncludeDone
+ * with smartStart: true. The watch is re-armed on every 'driver-started'
+ * because a restarted driver is a new controller object.
+ *
  * deps (all injectable for tests):
  *   manager             ZwaveManager (shared with the lock driver)
  *   logger              winston-like
  *   getZwaveConfig      () => config.devices.zwave (live getter)
  *   ensureKeysPersisted async () => {generated:boolean}; must persist any
  *                       newly-generated keys BEFORE inclusion starts
- *   onIncludeDone       async ({nodeId, securityClass}) => {}
+ *   onIncludeDone       async ({nodeId, securityClass}) => {}; a contact
+ *                       sensor session adds {device: 'contact_sensor',
+ *                       sensorId?, name?}; a SmartStart join adds
+ *                       smartStart: true
  *   onExcludeDone       async ({nodeId}) => {}
  *   isLockBound         () => boolean (a lock driver currently uses the manager)
  *   timeouts            per-stage ms overrides (tests use small values)
@@ -85,6 +109,16 @@ class ZwavePairing {
     // the diagnostics bundle. Never contains the PIN.
     this.history = [];
 
+    this._smartStartController = null; // controller the SmartStart watch is on
+    this._onSmartStartNodeAdded = (node, result) => {
+      if (this.isActive()) return; // a session's own handler owns this join
+      Promise.resolve(this._adoptSmartStartNode(node, result)).catch((e) =>
+        this.logger.warn && this.logger.warn(`SmartStart node-added handler error: ${e.message}`));
+    };
+    if (this.manager && typeof this.manager.on === 'function') {
+      this.manager.on('driver-started', () => this._watchSmartStart());
+    }
+
     this._reset();
   }
 
@@ -113,6 +147,8 @@ class ZwavePairing {
     this.lockId = null;           // operator-chosen target lock id (Add Deadbolt)
     this.modelKey = null;         // catalog model key selected for this pairing
     this.lockName = null;         // operator-typed friendly name for the lock
+    this.device = 'deadbolt';     // 'deadbolt' | 'contact_sensor'
+    this.sensorId = null;         // operator-chosen target sensor id
     this.error = null;
     this.lastResult = null;       // 'done' | 'failed' | 'cancelled'
     this._timer = null;
@@ -137,7 +173,9 @@ class ZwavePairing {
       node_id: this.nodeId,
       security: this.security,
       security_mode: this.securityMode,
+      device: this.device,
       lock_id: this.lockId,
+      sensor_id: this.sensorId,
       model_key: this.modelKey,
       error: this.error,
       last_result: this.lastResult,
@@ -244,14 +282,13 @@ class ZwavePairing {
     return { state: this.state };
   }
 
-  // Node ids the config already claims (the paired lock). These are never
-  // treated as ghosts or foreign devices.
+  // Node ids the config already claims (paired locks and contact sensors).
+  // These are never treated as ghosts or foreign devices.
   _configuredNodeIds() {
     const ids = new Set();
     const zw = this.getZwaveConfig() || {};
-    const locks = zw.locks || {};
-    for (const lock of Object.values(locks)) {
-      if (lock && typeof lock.node_id === 'number' && lock.node_id > 0) ids.add(lock.node_id);
+    for (const dev of [...Object.values(zw.locks || {}), ...Object.values(zw.sensors || {})]) {
+      if (dev && typeof dev.node_id === 'number' && dev.node_id > 0) ids.add(dev.node_id);
     }
     return ids;
   }
@@ -336,10 +373,10 @@ class ZwavePairing {
 
     if (node) {
       const secClass = this._resolveJoinedClass(node);
-      if (secClass != null && SECURITY_CLASS_LABELS[secClass]) {
+      if ((secClass != null && SECURITY_CLASS_LABELS[secClass]) || this.device === 'contact_sensor') {
         this.logger.warn && this.logger.warn(
           `Z-Wave include: 'node added' never fired but node ${node.id} joined with `
-          + `${SECURITY_CLASS_LABELS[secClass]}; adopting it`);
+          + `${SECURITY_CLASS_LABELS[secClass] || 'no encryption'}; adopting it`);
         await this._onNodeAdded(node, { lowSecurity: false });
         return;
       }
@@ -370,6 +407,14 @@ class ZwavePairing {
     this.lockId = typeof options.lock_id === 'string' && options.lock_id ? options.lock_id : null;
     this.modelKey = typeof options.model_key === 'string' && options.model_key ? options.model_key : null;
     this.lockName = typeof options.name === 'string' && options.name ? options.name : null;
+    // Add Contact Sensor: same session, a different device class and target
+    // id (devices.zwave.sensors). No lock id or model applies to it.
+    this.device = DEVICE_TYPES.includes(options.device) ? options.device : 'deadbolt';
+    if (this.device === 'contact_sensor') {
+      this.sensorId = typeof options.sensor_id === 'string' && options.sensor_id ? options.sensor_id : null;
+      this.lockId = null;
+      this.modelKey = null;
+    }
     this._stage('starting', this.timeouts.starting,
       () => this._fail('the Z-Wave controller did not start in time'));
 
@@ -384,7 +429,7 @@ class ZwavePairing {
       const zw = this.getZwaveConfig() || {};
       this._note(`include session starting on ${zw.serial_path || 'unset port'} `
         + `(driver ${this.manager.isRunning() ? 'already running' : 'cold start'}, `
-        + `security mode ${this.securityMode}, `
+        + `${this.device === 'contact_sensor' ? 'contact sensor, ' : ''}security mode ${this.securityMode}, `
         + `keys ${this._keysGenerated ? 'newly generated' : 'existing'})`);
       await this._ensureFreshDriver(zw);
       // The session may have been failed or cancelled while we awaited (e.g.
@@ -478,8 +523,10 @@ class ZwavePairing {
       // operator excludes and re-pairs with S0 selected. The S2 userCallbacks
       // are always passed: they only fire when the device actually does an S2
       // bootstrap, and nothing in this state machine blocks waiting for them.
+      // A contact sensor never gets forceSecurity: refusing its only possible
+      // (unencrypted) join would just make it unpairable.
       const inclusionOptions = { strategy: SECURITY_MODES[this.securityMode], userCallbacks };
-      if (this.securityMode === 'auto') inclusionOptions.forceSecurity = true;
+      if (this.securityMode === 'auto' && this.device === 'deadbolt') inclusionOptions.forceSecurity = true;
       const accepted = await controller.beginInclusion(inclusionOptions);
       if (!this.isActive()) {
         // The session died while beginInclusion was in flight; the radio may
@@ -578,7 +625,8 @@ class ZwavePairing {
     //   - zwave-js flagged lowSecurity and no encrypted class resolved.
     const resolvedButInsecure = cls != null && !label;
     const flaggedInsecure = !!(result && result.lowSecurity) && !label;
-    if (resolvedButInsecure || flaggedInsecure) {
+    const sensor = this.device === 'contact_sensor';
+    if (!sensor && (resolvedButInsecure || flaggedInsecure)) {
       this.nodeId = node && node.id;
       await this._fail('the lock joined WITHOUT encryption (S2 bootstrap failed or was skipped). '
         + 'Unpair it (exclusion), move the stick close to the lock, and pair again; '
@@ -587,7 +635,11 @@ class ZwavePairing {
     }
 
     let finalLabel = label;
-    if (!finalLabel) {
+    if (!finalLabel && sensor) {
+      // A sensor is recorded truthfully: unencrypted is 'None', and an
+      // unreadable class is not guessed at.
+      finalLabel = resolvedButInsecure || flaggedInsecure ? 'None' : null;
+    } else if (!finalLabel) {
       // Only reachable when the class is UNREADABLE (cls === null) and the
       // controller did NOT flag low security: some stacks cache the class a
       // beat after 'node added'. An actually-insecure join resolves to None
@@ -599,7 +651,7 @@ class ZwavePairing {
     this.security = finalLabel;
     this.lastResult = 'done';
     this._setState('done');
-    this.logger.info && this.logger.info(`Z-Wave inclusion complete: node ${this.nodeId} (${finalLabel})`);
+    this.logger.info && this.logger.info(`Z-Wave inclusion complete: node ${this.nodeId} (${finalLabel || 'class unknown'})`);
     await this._teardown({ stopRadio: true });
     try {
       // Only attach the Add-Deadbolt fields when the operator supplied them,
@@ -609,6 +661,10 @@ class ZwavePairing {
       if (this.lockId) donePayload.lockId = this.lockId;
       if (this.modelKey) donePayload.modelKey = this.modelKey;
       if (this.lockName) donePayload.name = this.lockName;
+      if (sensor) {
+        donePayload.device = 'contact_sensor';
+        if (this.sensorId) donePayload.sensorId = this.sensorId;
+      }
       await this.onIncludeDone(donePayload);
     } catch (err) {
       // Paired on the radio but the app could not persist/activate: surface it.
@@ -634,18 +690,208 @@ class ZwavePairing {
     }
   }
 
-  _assertCanStart() {
-    if (this.isActive()) {
-      const err = new Error('A pairing session is already active');
+  // Listen for SmartStart joins on the CURRENT controller, moving the
+  // listener off a controller left behind by a driver restart.
+  _watchSmartStart() {
+    const controller = this.manager && this.manager.controller;
+    if (this._smartStartController === controller) return;
+    const old = this._smartStartController;
+    if (old && typeof old.removeListener === 'function') old.removeListener('node added', this._onSmartStartNodeAdded);
+    this._smartStartController = null;
+    if (!controller || typeof controller.on !== 'function') return;
+    controller.on('node added', this._onSmartStartNodeAdded);
+    this._smartStartController = controller;
+  }
+
+  // The provisioning entry a joined node came from: by the node id zwave-js
+  // records on the entry, else by the node's DSK.
+  _provisioningEntryFor(controller, node) {
+    if (!controller || typeof controller.getProvisioningEntries !== 'function' || !node) return null;
+    const entries = controller.getProvisioningEntries() || [];
+    let dsk = null;
+    try { dsk = node.dsk ? formatDsk(node.dsk) : null; } catch (e) { dsk = null; }
+    return entries.find((e) => e.nodeId != null && e.nodeId === node.id)
+      || (dsk && entries.find((e) => e.dsk === dsk)) || null;
+  }
+
+  // A node joined with no session waiting for it. Adopt it only when it
+  // came off the SmartStart list, and a deadbolt only when it joined
+  // encrypted, exactly as a session would.
+  async _adoptSmartStartNode(node, result) {
+    const entry = this._provisioningEntryFor(this.manager && this.manager.controller, node);
+    const nodeId = node && node.id;
+    if (!entry) {
+      this._note(`node ${nodeId} joined outside a pairing session and is not on the SmartStart list; left as is`);
+      return;
+    }
+    const device = DEVICE_TYPES.includes(entry.device) ? entry.device : 'deadbolt';
+    const who = entry.name || entry.lockId || entry.sensorId || `node ${nodeId}`;
+    const cls = this._resolveJoinedClass(node);
+    let label = cls != null ? SECURITY_CLASS_LABELS[cls] : null;
+    const insecure = !label && (cls != null || !!(result && result.lowSecurity));
+    if (insecure && device === 'deadbolt') {
+      this._note(`SmartStart: "${who}" joined as node ${nodeId} WITHOUT encryption; not adopted. Unpair it and pair again`);
+      this.logger.warn && this.logger.warn(`SmartStart: "${who}" (node ${nodeId}) joined without encryption; not adopted`);
+      return;
+    }
+    if (!label) {
+      // Class not readable yet: a SmartStart join is an S2 bootstrap, so the
+      // highest class the entry granted is what it got.
+      const granted = (entry.securityClasses || []).filter((c) => c >= 0 && c <= 2);
+      label = insecure ? 'None' : (granted.length ? SECURITY_CLASS_LABELS[Math.max(...granted)] : null);
+    }
+    this._note(`SmartStart: "${who}" joined as node ${nodeId} (${label || 'class unknown'})`);
+    const payload = { nodeId, securityClass: label, smartStart: true };
+    if (device === 'contact_sensor') {
+      payload.device = 'contact_sensor';
+      if (entry.sensorId) payload.sensorId = entry.sensorId;
+    } else {
+      if (entry.lockId) payload.lockId = entry.lockId;
+      if (entry.modelKey) payload.modelKey = entry.modelKey;
+    }
+    if (entry.name) payload.name = entry.name;
+    await this.onIncludeDone(payload);
+  }
+
+  // One provisioning entry as the API and dashboard show it.
+  _smartStartView(e) {
+    const hex = (n) => (n == null ? null : '0x' + Number(n).toString(16).padStart(4, '0'));
+    const profile = (e.modelKey && lockCatalog.profileForKey(e.modelKey))
+      || lockCatalog.profileForIds(e.manufacturerId, e.productType, e.productId);
+    return {
+      dsk: e.dsk,
+      status: e.status === PROVISIONING_INACTIVE ? 'inactive' : 'active',
+      node_id: e.nodeId != null ? e.nodeId : null,
+      security: (e.securityClasses || []).map((c) => SECURITY_CLASS_LABELS[c]).filter(Boolean),
+      device: DEVICE_TYPES.includes(e.device) ? e.device : 'deadbolt',
+      lock_id: e.lockId || null,
+      sensor_id: e.sensorId || null,
+      name: e.name || null,
+      model_key: e.modelKey || (profile && profile.key) || null,
+      model: profile ? profile.name : null,
+      manufacturer_id: hex(e.manufacturerId),
+      product_type: hex(e.productType),
+      product_id: hex(e.productId),
+    };
+  }
+
+  /**
+   * Add a device to the controller's SmartStart provisioning list from its
+   * QR code string. options: {qr, device?, lock_id?, sensor_id?, name?,
+   * model_key?}; the model defaults to the catalog profile the code's
+   * product ids map to. Keys are persisted first, as for a session, so the
+   * device can join the moment it powers up. Resolves the entry view.
+   */
+  async provisionSmartStart(options = {}) {
+    const zw = this._assertPort();
+    const info = parseQrCode(options.qr);
+    if (info.version !== 'smart_start') {
+      const err = new Error('this is an S2-only QR code, not a SmartStart one; pair the device with its gesture and PIN instead');
+      err.code = 'BAD_QR';
+      throw err;
+    }
+    const device = DEVICE_TYPES.includes(options.device) ? options.device : 'deadbolt';
+    const requested = info.requested_security_classes;
+    if (device === 'deadbolt' && !requested.some((c) => c >= 0 && c <= 2)) {
+      const err = new Error('the QR code requests no S2 keys, so the lock could not join encrypted');
+      err.code = 'BAD_QR';
+      throw err;
+    }
+    const num = (h) => (h == null ? undefined : parseInt(h, 16));
+    const profile = lockCatalog.profileForIds(info.manufacturer_id, info.product_type, info.product_id);
+    const entry = {
+      dsk: info.dsk,
+      status: PROVISIONING_ACTIVE,
+      // Grant what the device asks for, as grantSecurityClasses does in a
+      // session.
+      securityClasses: requested.slice(),
+      requestedSecurityClasses: requested.slice(),
+      manufacturerId: num(info.manufacturer_id),
+      productType: num(info.product_type),
+      productId: num(info.product_id),
+      // App fields: zwave-js keeps them on the entry, and _adoptSmartStartNode
+      // reads them back when the device joins.
+      device,
+    };
+    const sensor = device === 'contact_sensor';
+    const id = typeof options[sensor ? 'sensor_id' : 'lock_id'] === 'string' ? options[sensor ? 'sensor_id' : 'lock_id'] : '';
+    if (id) entry[sensor ? 'sensorId' : 'lockId'] = id;
+    if (typeof options.name === 'string' && options.name) entry.name = options.name;
+    const modelKey = sensor ? null
+      : ((typeof options.model_key === 'string' && options.model_key) || (profile && profile.key) || null);
+    if (modelKey) entry.modelKey = modelKey;
+
+    await this.ensureKeysPersisted();
+    await this._ensureFreshDriver(zw);
+    const controller = this.manager.controller;
+    if (!controller || typeof controller.provisionSmartStartNode !== 'function') {
+      throw new Error('this zwave-js build does not support SmartStart');
+    }
+    const existing = typeof controller.getProvisioningEntry === 'function' ? controller.getProvisioningEntry(info.dsk) : null;
+    if (existing && existing.nodeId != null) {
+      const err = new Error(`that device already joined as node ${existing.nodeId}`);
       err.code = 'ACTIVE';
       throw err;
     }
+    this._watchSmartStart();
+    controller.provisionSmartStartNode(entry);
+    const view = this._smartStartView(entry);
+    this._note(`SmartStart: "${entry.name || id || 'device'}" added to the provisioning list`
+      + ` (${view.model || 'model not in the catalog'}); it joins when powered up in range`);
+    return view;
+  }
+
+  /** The SmartStart provisioning list, or null when the driver is not running. */
+  smartStartEntries() {
+    const controller = this.manager && this.manager.controller;
+    if (!controller || typeof controller.getProvisioningEntries !== 'function') return null;
+    return (controller.getProvisioningEntries() || []).map((e) => this._smartStartView(e));
+  }
+
+  /**
+   * Take a device off the provisioning list by its DSK. A device that already
+   * joined stays on the network (Unpair removes it); it just will not rejoin
+   * by itself after a reset.
+   */
+  unprovisionSmartStart(dsk) {
+    const norm = normalizeDsk(dsk);
+    if (!norm) {
+      const err = new Error('not a DSK (8 groups of up to 5 digits)');
+      err.code = 'BAD_QR';
+      throw err;
+    }
+    const controller = this.manager && this.manager.controller;
+    if (!controller || typeof controller.unprovisionSmartStartNode !== 'function') {
+      throw new Error('the Z-Wave driver is not running');
+    }
+    const existing = typeof controller.getProvisioningEntry === 'function' ? controller.getProvisioningEntry(norm) : true;
+    if (!existing) {
+      const err = new Error('that DSK is not on the SmartStart list');
+      err.code = 'NOT_FOUND';
+      throw err;
+    }
+    controller.unprovisionSmartStartNode(norm);
+    this._note(`SmartStart: removed "${existing.name || existing.lockId || existing.sensorId || 'an entry'}" from the provisioning list`);
+    return { status: 'removed' };
+  }
+
+  _assertPort() {
     const zw = this.getZwaveConfig() || {};
     if (!zw.serial_path) {
       const err = new Error('Set the Z-Wave serial port first (Configuration tab)');
       err.code = 'NO_PORT';
       throw err;
     }
+    return zw;
+  }
+
+  _assertCanStart() {
+    if (this.isActive()) {
+      const err = new Error('A pairing session is already active');
+      err.code = 'ACTIVE';
+      throw err;
+    }
+    this._assertPort();
   }
 }
 
@@ -655,4 +901,5 @@ module.exports = {
   INCLUSION_STRATEGY_SECURITY_S0,
   INCLUSION_STRATEGY_SECURITY_S2,
   SECURITY_CLASS_LABELS,
+  DEVICE_TYPES,
 };
@@ -0,0 +1,204 @@
+'use strict';
+
+/**
+ * Static analysis of door_flows (pure, unit-testable).
+ *
+ * validateFlows() refuses a payload that is malformed; this looks at one that
+ * is well-formed but probably not what was meant. Nothing here blocks a save:
+ * PUT /api/door-flows returns the findings as warnings and the Automations tab
+ * shows them above the door cards. Each finding is {kind, door, message}:
+ *   loop              door A unlocks B and B's trigger unlocks A (any length),
+ *                     so one badge can keep setting off the others
+ *   unreachable       a trigger that can never fire: a people scope whose
+ *                     every person is excluded or gone from UniFi
+ *   duplicate_scope   two triggers on one door with the same type, scope and
+ *                     schedule (both run; usually one was meant to differ)
+ *   retract_conflict  one deadbolt retracted by several triggers with
+ *                     different after-unlock modes (whichever ran last wins)
+ *   missing_door      a flow, unlock or lock rule naming a door UniFi no
+ *                     longer reports
+ *   missing_lock      a retract or lock action, or a keypad_unlock trigger,
+ *                     naming a lock that is no longer configured
+ *
+ * `known` says what exists right now: {doors, locks, users}, each an array of
+ * names / lock ids / UniFi user ids, or null when not known yet (a cold boot
+ * before discovery), which skips the checks that need it.
+ */
+
+const {
+  PERSON_TRIGGER_TYPES,
+  normName,
+  normalizeScope,
+  sameScope,
+  triggersOf,
+  unlockActionsOf,
+  lockActionsOf,
+  lockRuleActionsOf,
+} = require('./door-flows');
+const { normalizeSchedule } = require('./schedule');
+
+const MAX_LOOPS = 10; // a pathological mesh would otherwise list every permutation
+
+const AFTER_UNLOCK_LABELS = Object.freeze({
+  stay_unlocked: 'stay unlocked',
+  relock_after: 'relock after',
+  lock_default: 'lock default',
+});
+
+function triggerLabel(door, trig, i) {
+  return `"${door}" ${trig.type || 'entry'} trigger ${i + 1}`;
+}
+
+/** Door -> the other doors its person triggers unlock (case-insensitive keys). */
+function unlockGraph(flows) {
+  const names = new Map(); // normName -> display name
+  const graph = new Map();
+  for (const [door, flow] of Object.entries(flows)) {
+    const from = normName(door);
+    names.set(from, door);
+    for (const trig of triggersOf(flow)) {
+      if (!PERSON_TRIGGER_TYPES.includes(trig.type || 'entry')) continue;
+      for (const u of unlockActionsOf(trig)) {
+        for (const target of u.doors) {
+          const to = normName(target);
+          if (!to || to === from) continue;
+          if (!names.has(to)) names.set(to, target);
+          if (!graph.has(from)) graph.set(from, new Set());
+          graph.get(from).add(to);
+        }
+      }
+    }
+  }
+  return { graph, names };
+}
+
+/**
+ * Every elementary cycle of the unlock graph, each once: a cycle is reported
+ * from its alphabetically first door, found by a DFS that never steps to a
+ * door sorting before its start.
+ */
+function findLoops(flows) {
+  const { graph, names } = unlockGraph(flows);
+  const nodes = [...graph.keys()].sort();
+  const loops = [];
+  for (const start of nodes) {
+    const path = [start];
+    const onPath = new Set(path);
+    const walk = (node) => {
+      for (const next of [...(graph.get(node) || [])].sort()) {
+        if (loops.length >= MAX_LOOPS) return;
+        if (next === start) { loops.push(path.map((n) => names.get(n))); continue; }
+        if (next < start || onPath.has(next)) continue;
+        path.push(next);
+        onPath.add(next);
+        walk(next);
+        path.pop();
+        onPath.delete(next);
+      }
+    };
+    walk(start);
+    if (loops.length >= MAX_LOOPS) break;
+  }
+  return loops;
+}
+
+/**
+ * Analyze a door_flows map. Returns [{kind, door, message}] in a stable order
+ * (loops, then per door in the order written, then deadbolt conflicts).
+ * @param {object} flows door_flows (trigger or flat shape)
+ * @param {{doors?: string[]|null, locks?: string[]|null, users?: string[]|null}} [known]
+ */
+function analyzeFlows(flows, known = {}) {
+  const findings = [];
+  if (!flows || typeof flows !== 'object') return findings;
+  const doorSet = Array.isArray(known.doors) ? new Set(known.doors.map(normName)) : null;
+  const lockSet = Array.isArray(known.locks) ? new Set(known.locks) : null;
+  const userSet = Array.isArray(known.users) ? new Set(known.users.map(String)) : null;
+
+  for (const loop of findLoops(flows)) {
+    findings.push({
+      kind: 'loop',
+      door: loop[0],
+      message: `Unlock loop: ${[...loop, loop[0]].map((d) => `"${d}"`).join(' -> ')}. Each door's trigger unlocks the next, so one entry can keep setting off the others.`,
+    });
+  }
+
+  const retractsByLock = new Map(); // lock_id -> [{label, mode}]
+  for (const [door, flow] of Object.entries(flows)) {
+    const triggers = triggersOf(flow);
+    if (doorSet && !doorSet.has(normName(door))) {
+      findings.push({ kind: 'missing_door', door, message: `"${door}" has a door flow but UniFi no longer reports that door, so none of its triggers can fire.` });
+    }
+    const seen = [];
+    triggers.forEach((trig, i) => {
+      const label = triggerLabel(door, trig, i);
+      const type = trig.type || 'entry';
+      const scope = normalizeScope(trig.scope);
+
+      if (scope && scope.users) {
+        const excluded = new Set(scope.exclude_users || []);
+        const left = scope.users.filter((u) => !excluded.has(u));
+        if (!left.length) {
+          findings.push({ kind: 'unreachable', door, message: `${label} never fires: every person it is scoped to is also excluded.` });
+        } else if (userSet && userSet.size && !left.some((u) => userSet.has(u))) {
+          findings.push({ kind: 'unreachable', door, message: `${label} never fires: nobody it is scoped to is in the UniFi user list any more.` });
+        }
+      }
+
+      const schedule = JSON.stringify(normalizeSchedule(trig.schedule));
+      const lock = type === 'keypad_unlock' ? trig.lock_id : null;
+      const twin = seen.find((s) => s.type === type && s.lock === lock && s.schedule === schedule && sameScope(s.scope, scope));
+      if (twin && type !== 'door_closed') {
+        findings.push({ kind: 'duplicate_scope', door, message: `${label} has the same scope and schedule as ${twin.label}. Both run on every ${type}; merge them or scope one differently.` });
+      }
+      seen.push({ type, lock, scope, schedule, label });
+      if (lock && lockSet && !lockSet.has(lock)) {
+        findings.push({ kind: 'missing_lock', door, message: `${label} listens to the keypad of "${lock}", which is no longer a configured lock.` });
+      }
+
+      for (const u of unlockActionsOf(trig)) {
+        for (const target of u.doors) {
+          if (doorSet && !doorSet.has(normName(target))) {
+            findings.push({ kind: 'missing_door', door, message: `${label} unlocks "${target}", which UniFi no longer reports.` });
+          }
+        }
+      }
+      for (const l of lockRuleActionsOf(trig)) {
+        if (doorSet && !doorSet.has(normName(l.door))) {
+          findings.push({ kind: 'missing_door', door, message: `${label} sets a lock rule on "${l.door}", which UniFi no longer reports.` });
+        }
+      }
+      const retract = trig.actions && Array.isArray(trig.actions.retract) ? trig.actions.retract : [];
+      for (const edge of retract) {
+        if (!edge || typeof edge.lock_id !== 'string' || !edge.lock_id) continue;
+        if (lockSet && !lockSet.has(edge.lock_id)) {
+          findings.push({ kind: 'missing_lock', door, message: `${label} retracts "${edge.lock_id}", which is no longer a configured lock.` });
+          continue;
+        }
+        if (!retractsByLock.has(edge.lock_id)) retractsByLock.set(edge.lock_id, []);
+        retractsByLock.get(edge.lock_id).push({ label, door, mode: edge.after_unlock || 'lock_default', seconds: edge.relock_seconds });
+      }
+      for (const a of lockActionsOf(trig)) {
+        if (lockSet && !lockSet.has(a.lock_id)) {
+          findings.push({ kind: 'missing_lock', door, message: `${label} locks "${a.lock_id}", which is no longer a configured lock.` });
+        }
+      }
+    });
+  }
+
+  for (const [lockId, uses] of retractsByLock) {
+    if (new Set(uses.map((u) => u.mode)).size < 2) continue;
+    const how = uses.map((u) => {
+      const mode = AFTER_UNLOCK_LABELS[u.mode] || u.mode;
+      return `${u.label} (${u.mode === 'relock_after' && u.seconds ? `${mode} ${u.seconds}s` : mode})`;
+    });
+    findings.push({
+      kind: 'retract_conflict',
+      door: uses[0].door,
+      message: `Deadbolt "${lockId}" is retracted with different after-unlock modes: ${how.join(', ')}. What it does next depends on which trigger ran last.`,
+    });
+  }
+  return findings;
+}
+
+module.exports = { analyzeFlows, findLoops };
@@ -0,0 +1,321 @@
+'use strict';
+
+/**
+ * Replay recorded events through a door_flows map (batch, no side effects).
+ *
+ * Before saving an edit the Automations tab can ask "what would this draft
+ * have done with the last N events?". The answer comes from the real
+ * controllers, not a re-implementation: each flows version gets the same
+ * per-lock + cascade DeadboltController set index.js builds, except that the
+ * effect methods (retract, lock, cascade unlock, lock rule, http) record what
+ * they would do instead of doing it. Matching (door, direction, result gate,
+ * scope, schedule, debounce, any_group fallback, door-secured transitions)
+ * is therefore exactly the live logic, run on a clock set to each event's
+ * own time. Delays are reported, never waited for; a lockdown is not
+ * simulated (both sides run as if the building were open).
+ *
+ * Event sources:
+ *   - a capture session: the raw payloads, full fidelity (including the
+ *     door telemetry that drives lock-on-secured and lock-on-close);
+ *   - the persisted live feed: each access / doorbell entry carries a compact
+ *     `replay` record (feedRecord) that rebuilds an equivalent payload.
+ *     Entries written before that field existed cannot be replayed and are
+ *     counted as skipped.
+ */
+
+const DeadboltController = require('./deadbolt-controller');
+const doorFlows = require('./door-flows');
+const { displayUrl } = require('./http-action');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 1000;
+
+const SILENT = Object.freeze({ debug() {}, info() {}, warn() {}, error() {} });
+// Stands in for a lock driver: never called, since every effect is overridden.
+const NO_DRIVER = Object.freeze({});
+
+// Only the parsers are used; an empty config keeps it disabled.
+const parser = new DeadboltController({}, { logger: SILENT });
+
+/** A DeadboltController whose effects land in `sink` instead of hardware. */
+class ReplayController extends DeadboltController {
+  constructor(config, deps, sink, lockId) {
+    super(config, deps);
+    this._sink = sink;
+    this._lockId = lockId || null;
+  }
+
+  _retract(reason, edge) {
+    this._lastRetractAt = this.now();
+    const e = edge ? this._holidayEdge(edge) : null;
+    this._sink.push({
+      kind: 'retract',
+      lock_id: this._lockId,
+      after_unlock: e ? e.after_unlock : 'lock_default',
+      relock_seconds: e && e.after_unlock === 'relock_after' ? e.relock_seconds : null,
+    });
+  }
+
+  _lock() {
+    this._sink.push({ kind: 'lock', lock_id: this._lockId, delay_seconds: 0 });
+  }
+
+  _armCloseLock(edge) {
+    this._sink.push({ kind: 'lock', lock_id: this._lockId, delay_seconds: edge.delay_seconds || 0 });
+  }
+
+  _fireCascade(rule) {
+    const delay = rule.delay_seconds || 0;
+    if (rule.http) {
+      this._sink.push({ kind: 'http', url: displayUrl(rule.http.url), delay_seconds: delay });
+    } else if (rule.lock_rule) {
+      const l = rule.lock_rule;
+      this._sink.push({ kind: 'lock_rule', door: l.door, rule: l.type, minutes: l.minutes || null, delay_seconds: delay });
+    } else {
+      for (const door of rule.unlock) this._sink.push({ kind: 'unlock', door, delay_seconds: delay });
+    }
+  }
+}
+
+/** One recorded action as a line of the diff ("unlock Suite 100 after 5s"). */
+function describeAction(a) {
+  const after = a.delay_seconds ? ` after ${a.delay_seconds}s` : '';
+  switch (a.kind) {
+    case 'unlock': return `unlock ${a.door}${after}`;
+    case 'retract': {
+      const then = a.after_unlock === 'relock_after' && a.relock_seconds
+        ? `relock after ${a.relock_seconds}s`
+        : a.after_unlock.replace(/_/g, ' ');
+      return `retract ${a.lock_id} (${then})`;
+    }
+    case 'lock': return `lock ${a.lock_id}${after}`;
+    case 'lock_rule': {
+      const what = a.rule === 'keep_unlock'
+        ? `hold ${a.door} unlocked ${a.minutes ? `for ${a.minutes} min` : 'until reset'}`
+        : (a.rule === 'keep_lock' ? `hold ${a.door} locked` : `reset ${a.door} to its schedule`);
+      return `${what}${after}`;
+    }
+    case 'http': return `POST ${a.url}${after}`;
+    default: return a.kind;
+  }
+}
+
+/**
+ * Build the controller set for one flows version, mirroring index.js
+ * buildDeadboltControllers: one per wired lock plus one cascade controller.
+ */
+function buildControllers(flows, config, deps, sink) {
+  const controllers = [];
+  for (const lockId of doorFlows.wiredLockIdsFromFlows(flows)) {
+    controllers.push(new ReplayController(
+      Object.assign({}, config, {
+        edges: doorFlows.edgesForLock(flows, lockId),
+        lock_edges: doorFlows.lockEdgesForLock(flows, lockId),
+        cascade_rules: { rules: [] },
+      }),
+      Object.assign({ lockDriver: NO_DRIVER }, deps),
+      sink,
+      lockId
+    ));
+  }
+  const rules = doorFlows.unlockRulesFromFlows(flows);
+  if (rules.length) {
+    controllers.push(new ReplayController(
+      Object.assign({}, config, { deadbolt_rules: undefined, cascade_rules: { rules } }),
+      Object.assign({ lockDriver: null }, deps),
+      sink,
+      null
+    ));
+  }
+  return controllers.filter((c) => c.enabled);
+}
+
+/**
+ * Run events (ascending time) through one flows version. Returns one array of
+ * actions per event.
+ * @param {Array<{at: number, raw: object}>} events
+ * @param {object} flows door_flows
+ * @param {{config?: object, userGroup?: function(string): (string|null)}} [opts]
+ */
+function runFlows(events, flows, opts = {}) {
+  const viewers = doorFlows.viewerToGroupFromFlows(flows);
+  const userGroup = typeof opts.userGroup === 'function' ? opts.userGroup : () => null;
+  let clock = 0;
+  const deps = {
+    logger: SILENT,
+    now: () => clock,
+    // Same order as index.js resolveGroupForEvent, with this version's viewer map.
+    resolveGroup: (i) => {
+      const group = (i.actorId && userGroup(i.actorId)) || null;
+      if (group) return group;
+      const a = i.actorName ? String(i.actorName).trim().toLowerCase() : '';
+      const d = i.deviceName ? String(i.deviceName).trim().toLowerCase() : '';
+      return (a && viewers[a]) || (d && viewers[d]) || null;
+    },
+  };
+  const sink = [];
+  const controllers = buildControllers(flows || {}, opts.config || {}, deps, sink);
+  const out = events.map((ev) => {
+    clock = ev.at;
+    sink.length = 0;
+    for (const c of controllers) c.observe(ev.raw);
+    return sink.slice();
+  });
+  for (const c of controllers) c.destroy();
+  return out;
+}
+
+/** What an event is, for the diff row; null for anything the controllers ignore. */
+function describeEvent(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const g = parser._parseAccessGrant(raw);
+  if (g) {
+    return {
+      kind: g.direction === 'exit' ? 'exit' : 'entry',
+      door: g.doorName,
+      actor: g.actorName || g.actorId || null,
+      detail: g.result || null,
+    };
+  }
+  const b = parser._parseDoorbell(raw);
+  if (b) {
+    return {
+      kind: 'doorbell',
+      door: b.doorName,
+      actor: b.actorName || b.deviceName || null,
+      detail: b.reasonCode == null ? null : `reason ${b.reasonCode}`,
+    };
+  }
+  const l = parser._parseLocationUpdate(raw);
+  if (l) return { kind: 'door', door: l.doorName, actor: null, detail: [l.lock, l.position].filter(Boolean).join(', ') };
+  return null;
+}
+
+/**
+ * The compact, replayable form of a raw access or doorbell event, stored on
+ * its live feed entry. Null for anything else.
+ */
+function feedRecord(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const g = parser._parseAccessGrant(raw);
+  if (g) {
+    return {
+      kind: 'grant',
+      door: g.doorName,
+      door_id: g.doorId,
+      actor: g.actorName,
+      actor_id: g.actorId,
+      result: g.result == null ? null : g.result,
+      direction: g.direction,
+      credential_provider: g.credentialProvider,
+    };
+  }
+  const b = parser._parseDoorbell(raw);
+  if (b) {
+    return {
+      kind: 'doorbell',
+      door: b.doorName,
+      door_id: b.doorId,
+      actor: b.actorName,
+      actor_id: b.actorId,
+      device: b.deviceName,
+      reason_code: b.reasonCode == null ? null : b.reasonCode,
+    };
+  }
+  return null;
+}
+
+/** Rebuild a websocket access.logs.add payload the parsers read back as `rec`. */
+function eventFromFeedRecord(rec) {
+  const target = [{ type: 'door', id: rec.door_id || null, display_name: rec.door || null }];
+  const source = { actor: { id: rec.actor_id || null, display_name: rec.actor || null }, target };
+  if (rec.kind === 'doorbell') {
+    source.event = { type: 'access.doorbell.completed', reason_code: rec.reason_code };
+    if (rec.device) target.push({ type: 'device', display_name: rec.device });
+  } else {
+    source.event = { type: 'access.door.unlock', result: rec.result };
+    source.authentication = { credential_provider: rec.credential_provider || null };
+    if (rec.direction) target.push({ type: 'device_config', id: 'door_entry_method', display_name: rec.direction });
+  }
+  return { event: 'access.logs.add', data: { _source: source } };
+}
+
+function clampLimit(limit) {
+  const n = parseInt(limit, 10);
+  return Number.isFinite(n) && n > 0 ? Math.min(n, MAX_LIMIT) : DEFAULT_LIMIT;
+}
+
+/**
+ * The last `limit` replayable live feed entries (the feed is newest first), as
+ * {events, skipped}: skipped counts access entries older than `replay`.
+ */
+function eventsFromFeed(entries, limit) {
+  const max = clampLimit(limit);
+  const events = [];
+  let skipped = 0;
+  for (const e of entries || []) {
+    if (events.length >= max) break;
+    if (!e || typeof e !== 'object') continue;
+    const at = Date.parse(e.timestamp);
+    if (e.replay && Number.isFinite(at)) events.push({ at, raw: eventFromFeedRecord(e.replay) });
+    else if (typeof e.type === 'string' && !e.type.startsWith('deadbolt.')) skipped++;
+  }
+  return { events: events.reverse(), skipped };
+}
+
+/** The last `limit` capture records the controllers act on (oldest first). */
+function eventsFromCapture(records, limit) {
+  const events = [];
+  for (const r of records || []) {
+    if (!r || !describeEvent(r.event)) continue;
+    const at = Date.parse(r.t);
+    if (Number.isFinite(at)) events.push({ at, raw: r.event });
+  }
+  return { events: events.slice(-clampLimit(limit)), skipped: 0 };
+}
+
+/**
+ * Replay events through the saved and the draft flows and diff the outcome.
+ * Door telemetry that did nothing under either version is left out of the
+ * rows (it still feeds the controllers' state).
+ * @returns {{events: object[], summary: {replayed, changed, unchanged}}}
+ *   each row {time, kind, door, actor, detail, before, after, added,
+ *   removed, changed} with before/after as describeAction lines
+ */
+function replayDiff(events, beforeFlows, afterFlows, opts = {}) {
+  const sorted = events.slice().sort((a, b) => a.at - b.at);
+  const before = runFlows(sorted, beforeFlows, opts);
+  const after = runFlows(sorted, afterFlows, opts);
+  const rows = [];
+  sorted.forEach((ev, i) => {
+    const info = describeEvent(ev.raw);
+    if (!info) return;
+    const b = before[i].map(describeAction);
+    const a = after[i].map(describeAction);
+    if (info.kind === 'door' && !b.length && !a.length) return;
+    const added = a.filter((x) => !b.includes(x));
+    const removed = b.filter((x) => !a.includes(x));
+    rows.push(Object.assign({ time: new Date(ev.at).toISOString() }, info, {
+      before: b,
+      after: a,
+      added,
+      removed,
+      changed: added.length > 0 || removed.length > 0,
+    }));
+  });
+  const changed = rows.filter((r) => r.changed).length;
+  return { events: rows, summary: { replayed: rows.length, changed, unchanged: rows.length - changed } };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  describeAction,
+  describeEvent,
+  feedRecord,
+  eventFromFeedRecord,
+  eventsFromFeed,
+  eventsFromCapture,
+  runFlows,
+  replayDiff,
+};
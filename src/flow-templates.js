@@ -0,0 +1,243 @@
+'use strict';
+
+/**
+ * Door flow templates (pure, unit-testable).
+ *
+ * A building with twenty tenant suites wires every suite the same way: the
+ * tenant group's entry retracts that suite's deadbolt, and so on. A template
+ * is that pattern written once with placeholders, stored in
+ * config.flow_templates, and LINKED to the doors it drives:
+ *
+ *   "flow_templates": {
+ *     "Tenant suite": {
+ *       "description": "tenant entry retracts the suite deadbolt",
+ *       "triggers": [ { "type": "entry", "scope": { "groups": ["{{group}}"] },
+ *         "actions": { "retract": [ { "lock_id": "{{lock}}", "after_unlock": "stay_unlocked" } ] } } ],
+ *       "links": { "Suite 100": { "lock": "suite100_bolt", "group": "Suite 100 Tenants" } }
+ *     }
+ *   }
+ *
+ * {{door}} is the linked door's name, {{lock}} and {{group}} come from the
+ * link. Every string in the triggers is filled in except an http action's
+ * body, whose placeholders ({{door}}, {{group}} ...) are per event and are
+ * left for src/http-action.js. Rendering replaces each linked door's whole
+ * flow, so a template save re-renders every door linked to it; unlinking a
+ * door leaves its last rendered flow in place as an ordinary, hand-edited
+ * flow. Signing secrets never live in a template: a rendered http action
+ * keeps the secret already stored on that door for the same action (see
+ * doorFlows.carryHttpSecrets).
+ */
+
+const { triggersOf, unlockActionsOf, lockActionsOf, lockRuleActionsOf, httpActionsOf, validateFlows } = require('./door-flows');
+const { displayUrl } = require('./http-action');
+
+const PLACEHOLDERS = Object.freeze(['door', 'lock', 'group']);
+const LINK_FIELDS = Object.freeze(['lock', 'group']);
+const MAX_NAME_LENGTH = 64;
+const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+const PLACEHOLDER_RX = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+function isPlainObject(v) { return !!v && typeof v === 'object' && !Array.isArray(v); }
+
+// A copy of value with every string passed through visit.
+function walkStrings(value, visit) {
+  if (typeof value === 'string') return visit(value);
+  if (Array.isArray(value)) return value.map((v) => walkStrings(v, visit));
+  if (isPlainObject(value)) {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = walkStrings(v, visit);
+    return out;
+  }
+  return value;
+}
+
+// http bodies are skipped by walking each http action's other fields only.
+function mapTrigger(trig, visit) {
+  const http = trig && trig.actions && Array.isArray(trig.actions.http) ? trig.actions.http : null;
+  if (!http) return walkStrings(trig, visit);
+  const actions = Object.assign({}, trig.actions, { http: [] });
+  const out = walkStrings(Object.assign({}, trig, { actions }), visit);
+  out.actions.http = http.map((a) => {
+    if (!isPlainObject(a)) return a;
+    const rest = Object.assign({}, a);
+    delete rest.body;
+    const filled = walkStrings(rest, visit);
+    if (Object.prototype.hasOwnProperty.call(a, 'body')) filled.body = a.body;
+    return filled;
+  });
+  return out;
+}
+
+/** The placeholder names a template's triggers use (http bodies excluded). */
+function placeholdersOf(template) {
+  const used = new Set();
+  for (const trig of (template && Array.isArray(template.triggers) ? template.triggers : [])) {
+    mapTrigger(trig, (s) => {
+      for (const m of s.matchAll(PLACEHOLDER_RX)) used.add(m[1]);
+      return s;
+    });
+  }
+  return [...used];
+}
+
+/** One linked door's flow: the template's triggers with the link's values. */
+function renderFlow(template, door, link) {
+  const values = Object.assign({}, link, { door });
+  const fill = (s) => s.replace(PLACEHOLDER_RX, (m, key) => (PLACEHOLDERS.includes(key) && values[key] != null ? String(values[key]) : m));
+  return {
+    door_id: (link && link.door_id) || null,
+    triggers: template.triggers.map((trig) => mapTrigger(trig, fill)),
+  };
+}
+
+/**
+ * Every linked door rendered: {flows: {door: flow}, owner: {door: template}}.
+ * Call validateTemplates first; this does not re-check.
+ */
+function renderTemplates(templates) {
+  const flows = {};
+  const owner = {};
+  for (const [name, tpl] of Object.entries(templates || {})) {
+    if (!isPlainObject(tpl) || !Array.isArray(tpl.triggers)) continue;
+    for (const [door, link] of Object.entries(isPlainObject(tpl.links) ? tpl.links : {})) {
+      if (UNSAFE_KEYS.has(door)) continue;
+      flows[door] = renderFlow(tpl, door, link);
+      owner[door] = name;
+    }
+  }
+  return { flows, owner };
+}
+
+/** Linked door -> template name. */
+function linkedDoors(templates) {
+  return renderTemplates(templates).owner;
+}
+
+/**
+ * Structural validation of config.flow_templates, including that every
+ * linked door renders to a valid flow. Returns an array of error strings.
+ */
+function validateTemplates(templates) {
+  const errors = [];
+  if (templates == null) return errors;
+  if (!isPlainObject(templates)) return ['flow_templates must be an object keyed by template name'];
+  const linkedBy = new Map();
+  for (const [name, tpl] of Object.entries(templates)) {
+    const label = `flow_templates["${name}"]`;
+    if (UNSAFE_KEYS.has(name) || !name.trim() || name.length > MAX_NAME_LENGTH) {
+      errors.push(`${label}: a template name must be 1-${MAX_NAME_LENGTH} characters`);
+      continue;
+    }
+    if (!isPlainObject(tpl)) { errors.push(`${label} must be an object`); continue; }
+    if (tpl.description != null && typeof tpl.description !== 'string') errors.push(`${label}.description must be a string`);
+    if (!Array.isArray(tpl.triggers) || !tpl.triggers.length) { errors.push(`${label}.triggers must be a non-empty array`); continue; }
+    const used = placeholdersOf(tpl);
+    for (const p of used) {
+      if (!PLACEHOLDERS.includes(p)) errors.push(`${label} uses {{${p}}}; placeholders are ${PLACEHOLDERS.map((x) => `{{${x}}}`).join(', ')}`);
+    }
+    tpl.triggers.forEach((trig, i) => {
+      for (const a of (trig && trig.actions && Array.isArray(trig.actions.http) ? trig.actions.http : [])) {
+        if (isPlainObject(a) && a.secret) errors.push(`${label}.triggers[${i}] http secret: set signing secrets on the door, not in a template`);
+      }
+    });
+    if (tpl.links == null) continue;
+    if (!isPlainObject(tpl.links)) { errors.push(`${label}.links must be an object keyed by door name`); continue; }
+    for (const [door, link] of Object.entries(tpl.links)) {
+      const l = `${label}.links["${door}"]`;
+      if (UNSAFE_KEYS.has(door) || !door.trim()) { errors.push(`${l}: not a door name`); continue; }
+      if (!isPlainObject(link)) { errors.push(`${l} must be an object`); continue; }
+      for (const f of LINK_FIELDS.concat('door_id')) {
+        if (link[f] != null && typeof link[f] !== 'string') errors.push(`${l}.${f} must be a string`);
+      }
+      for (const p of used) {
+        if (p !== 'door' && LINK_FIELDS.includes(p) && !link[p]) errors.push(`${l} needs a ${p} (the template uses {{${p}}})`);
+      }
+      if (linkedBy.has(door)) errors.push(`"${door}" is linked to both "${linkedBy.get(door)}" and "${name}"; a door follows one template`);
+      else linkedBy.set(door, name);
+    }
+  }
+  if (errors.length) return errors;
+  const { flows } = renderTemplates(templates);
+  return validateFlows(flows).map((e) => `rendered template: ${e}`);
+}
+
+/** Remove any http signing secret from the templates (in place). */
+function dropHttpSecrets(templates) {
+  for (const tpl of Object.values(templates || {})) {
+    for (const trig of (isPlainObject(tpl) && Array.isArray(tpl.triggers) ? tpl.triggers : [])) {
+      const http = trig && trig.actions && Array.isArray(trig.actions.http) ? trig.actions.http : [];
+      for (const a of http) if (isPlainObject(a)) delete a.secret;
+    }
+  }
+  return templates;
+}
+
+// A flow as readable lines, for the preview ("entry (Staff): retract bolt").
+function flowLines(flow) {
+  const lines = [];
+  for (const trig of triggersOf(flow)) {
+    const s = trig.scope || null;
+    const who = !s ? '' : s.any_group ? ' (any group)'
+      : s.groups ? ` (${s.groups.join(', ')})` : s.users ? ` (${s.users.length} ${s.users.length === 1 ? 'person' : 'people'})` : '';
+    const keypad = trig.type === 'keypad_unlock' && trig.lock_id ? ` ${trig.lock_id}` : '';
+    const when = `${trig.type || 'entry'}${keypad}${who}${trig.schedule ? ', scheduled' : ''}`;
+    const retract = trig.actions && Array.isArray(trig.actions.retract) ? trig.actions.retract : [];
+    for (const e of retract) {
+      const then = e.after_unlock === 'relock_after' && e.relock_seconds ? `relock after ${e.relock_seconds}s` : String(e.after_unlock || 'lock_default').replace(/_/g, ' ');
+      lines.push(`${when}: retract ${e.lock_id} (${then})`);
+    }
+    for (const u of unlockActionsOf(trig)) lines.push(`${when}: unlock ${u.doors.join(', ')}${u.delay_seconds ? ` after ${u.delay_seconds}s` : ''}`);
+    for (const a of lockActionsOf(trig)) lines.push(`${when}: lock ${a.lock_id}${a.delay_seconds ? ` after ${a.delay_seconds}s` : ''}`);
+    for (const r of lockRuleActionsOf(trig)) lines.push(`${when}: ${r.type.replace(/_/g, ' ')} ${r.door}${r.minutes ? ` for ${r.minutes} min` : ''}`);
+    for (const h of httpActionsOf(trig)) lines.push(`${when}: POST ${displayUrl(h.url)}`);
+  }
+  return lines;
+}
+
+// JSON with sorted keys and undefined dropped, so key order never reads as a change.
+function stableJson(value) {
+  if (Array.isArray(value)) return `[${value.map(stableJson).join(',')}]`;
+  if (isPlainObject(value)) {
+    return `{${Object.keys(value).sort().filter((k) => value[k] !== undefined)
+      .map((k) => `${JSON.stringify(k)}:${stableJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * What re-rendering does to door_flows, one row per linked door:
+ * {door, template, status: 'new'|'changed'|'unchanged', added, removed}.
+ * `added` / `removed` are flowLines; a change that shows in no line (a
+ * schedule window, a debounce, an advanced option) is still 'changed'.
+ */
+function diffRendered(current, rendered, owner) {
+  const rows = [];
+  for (const door of Object.keys(rendered).sort((a, b) => a.localeCompare(b))) {
+    const before = current && isPlainObject(current[door]) ? current[door] : null;
+    const after = rendered[door];
+    const b = before ? flowLines(before) : [];
+    const a = flowLines(after);
+    const same = before && stableJson(triggersOf(before)) === stableJson(after.triggers);
+    rows.push({
+      door,
+      template: owner[door],
+      status: !before ? 'new' : (same ? 'unchanged' : 'changed'),
+      added: a.filter((x) => !b.includes(x)),
+      removed: b.filter((x) => !a.includes(x)),
+    });
+  }
+  return rows;
+}
+
+module.exports = {
+  PLACEHOLDERS,
+  placeholdersOf,
+  renderFlow,
+  renderTemplates,
+  linkedDoors,
+  validateTemplates,
+  dropHttpSecrets,
+  flowLines,
+  diffRendered,
+};
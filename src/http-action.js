@@ -0,0 +1,143 @@
+'use strict';
+
+/**
+ * Outbound HTTP action for door flows.
+ *
+ * A trigger's `http` action POSTs a JSON body to a configured URL when the
+ * trigger fires (lights on, a BMS zone, a tenant system ping). The controller
+ * owns when it fires (scope, schedule, delay, debounce, lockdown); this module
+ * owns one delivery:
+ *   - the body is a JSON template: any string holding {{actor}}, {{actor_id}},
+ *     {{door}}, {{door_id}}, {{group}}, {{time}} or {{trigger}} is filled in
+ *     from the event, and a string that is exactly one placeholder takes the
+ *     raw value (so "{{group}}" can be null). No template = the default body;
+ *   - with a secret, the raw body is signed HMAC-SHA256 into
+ *     x-orchestrator-signature: sha256=<hex> (the same header and format the
+ *     inbound webhook checks);
+ *   - each attempt has a timeout; a network error, timeout, 429 or 5xx is
+ *     retried with a short linear backoff, any other status is final.
+ *
+ * Pure apart from the injected fetch and sleep, so tests run without a network.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TIMEOUT_SECONDS = 5;
+const MAX_TIMEOUT_SECONDS = 30;
+const DEFAULT_RETRIES = 2;
+const MAX_RETRIES = 5;
+const RETRY_BACKOFF_MS = 1000;
+const SIGNATURE_HEADER = 'x-orchestrator-signature';
+const TEMPLATE_FIELDS = Object.freeze(['actor', 'actor_id', 'door', 'door_id', 'group', 'time', 'trigger']);
+
+const PLACEHOLDER_RX = /\{\{\s*([a-z_]+)\s*\}\}/g;
+const WHOLE_PLACEHOLDER_RX = /^\{\{\s*([a-z_]+)\s*\}\}$/;
+
+/** The body sent when an action carries no template. */
+function defaultBody(ctx) {
+  const out = { event: 'door_flow' };
+  for (const k of TEMPLATE_FIELDS) out[k] = ctx[k] == null ? null : ctx[k];
+  return out;
+}
+
+/**
+ * Fill a JSON template from ctx. Walks objects and arrays; only strings are
+ * rewritten. An unknown placeholder is left as written so a typo is visible
+ * at the receiver instead of silently blank. `fields` names the placeholders
+ * ctx may fill (the HTTP lock driver passes its own).
+ */
+function renderTemplate(template, ctx, fields = TEMPLATE_FIELDS) {
+  if (typeof template === 'string') {
+    const whole = WHOLE_PLACEHOLDER_RX.exec(template);
+    if (whole && fields.includes(whole[1])) return ctx[whole[1]] == null ? null : ctx[whole[1]];
+    return template.replace(PLACEHOLDER_RX, (m, key) => {
+      if (!fields.includes(key)) return m;
+      return ctx[key] == null ? '' : String(ctx[key]);
+    });
+  }
+  if (Array.isArray(template)) return template.map((v) => renderTemplate(v, ctx, fields));
+  if (template && typeof template === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(template)) out[k] = renderTemplate(v, ctx, fields);
+    return out;
+  }
+  return template;
+}
+
+/** sha256=<hex> over the raw body, the format the inbound webhook verifies. */
+function signBody(secret, raw) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(raw).digest('hex')}`;
+}
+
+/** host + path of a URL for logs and the event feed (no query, no credentials). */
+function displayUrl(url) {
+  try {
+    const u = new URL(url);
+    return `${u.host}${u.pathname === '/' ? '' : u.pathname}`;
+  } catch (e) {
+    return 'invalid url';
+  }
+}
+
+function clampInt(v, def, min, max) {
+  if (!Number.isFinite(v)) return def;
+  return Math.min(max, Math.max(min, Math.round(v)));
+}
+
+function retryable(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Deliver one http action. Never throws: resolves
+ * {success, status, attempts, error} where status is the last HTTP status
+ * (null when no response came back).
+ * @param {object} action {url, headers, body, secret, timeout_seconds, retries}
+ * @param {object} ctx template values (see TEMPLATE_FIELDS)
+ * @param {object} [deps] {fetch, sleep} test seams
+ */
+async function sendHttpAction(action, ctx, deps = {}) {
+  const doFetch = deps.fetch || (typeof fetch === 'function' ? fetch : null);
+  const sleep = deps.sleep || ((ms) => new Promise((r) => setTimeout(r, ms)));
+  if (!doFetch) return { success: false, status: null, attempts: 0, error: 'global fetch unavailable' };
+
+  const body = action.body == null ? defaultBody(ctx) : renderTemplate(action.body, ctx);
+  const raw = JSON.stringify(body);
+  const headers = Object.assign({}, action.headers || {}, { 'content-type': 'application/json' });
+  if (action.secret) headers[SIGNATURE_HEADER] = signBody(action.secret, raw);
+  const timeoutMs = clampInt(action.timeout_seconds, DEFAULT_TIMEOUT_SECONDS, 1, MAX_TIMEOUT_SECONDS) * 1000;
+  const attempts = clampInt(action.retries, DEFAULT_RETRIES, 0, MAX_RETRIES) + 1;
+
+  let last = { success: false, status: null, attempts: 0, error: null };
+  for (let i = 1; i <= attempts; i++) {
+    if (i > 1) await sleep(RETRY_BACKOFF_MS * (i - 1));
+    const ac = new AbortController();
+    const timer = setTimeout(() => ac.abort(), timeoutMs);
+    try {
+      const res = await doFetch(action.url, { method: 'POST', headers, body: raw, signal: ac.signal });
+      if (res.ok) return { success: true, status: res.status, attempts: i, error: null };
+      last = { success: false, status: res.status, attempts: i, error: `HTTP ${res.status}` };
+      if (!retryable(res.status)) return last;
+    } catch (err) {
+      const error = err && err.name === 'AbortError' ? `timed out after ${timeoutMs / 1000}s` : (err && err.message) || String(err);
+      last = { success: false, status: null, attempts: i, error };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+  return last;
+}
+
+module.exports = {
+  DEFAULT_TIMEOUT_SECONDS,
+  MAX_TIMEOUT_SECONDS,
+  DEFAULT_RETRIES,
+  MAX_RETRIES,
+  SIGNATURE_HEADER,
+  TEMPLATE_FIELDS,
+  defaultBody,
+  renderTemplate,
+  signBody,
+  displayUrl,
+  sendHttpAction,
+};
@@ -0,0 +1,92 @@
+'use strict';
+
+/**
+ * Minimal iCalendar (.ics, RFC 5545) reader for the holiday calendar import
+ * (pure, unit-testable). Reads the all-day VEVENTs a public-holiday or
+ * company-closure calendar exports and maps each one to a site.holidays entry
+ * ({date, end_date, name}; see src/schedule.js). Everything else is reported
+ * back as skipped with a reason rather than guessed at:
+ *   - timed events (a closure is a whole day; hours are set in the editor)
+ *   - recurring events (RRULE), which holiday feeds expand year by year anyway
+ *   - events with no readable DTSTART
+ */
+
+/** Unfold RFC 5545 continuation lines (CRLF followed by a space or tab). */
+function unfold(text) {
+  return String(text == null ? '' : text).replace(/\r\n/g, '\n').replace(/\r/g, '\n').replace(/\n[ \t]/g, '');
+}
+
+/** Unescape a TEXT value (\n, \, \; and \\); a newline becomes a space. */
+function unescapeText(v) {
+  return v.replace(/\\([nN,;\\])/g, (m, c) => (c === 'n' || c === 'N' ? ' ' : c)).trim();
+}
+
+/** Split 'NAME;PARAM=X:value' into {name, params, value}. */
+function parseLine(line) {
+  const colon = line.indexOf(':');
+  if (colon < 0) return null;
+  const head = line.slice(0, colon).split(';');
+  const params = {};
+  for (const p of head.slice(1)) {
+    const eq = p.indexOf('=');
+    if (eq > 0) params[p.slice(0, eq).toUpperCase()] = p.slice(eq + 1);
+  }
+  return { name: head[0].toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/** 'YYYYMMDD' -> 'YYYY-MM-DD', or null. */
+function icsDate(v) {
+  const m = /^(\d{4})(\d{2})(\d{2})$/.exec(String(v || '').trim());
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+/** The calendar day before 'YYYY-MM-DD' (DTEND of an all-day event is exclusive). */
+function dayBefore(date) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d - 1)).toISOString().slice(0, 10);
+}
+
+/**
+ * Parse .ics text into holiday entries.
+ * @param {string} text the calendar file contents
+ * @returns {{holidays: Array<{date: string, end_date: string, name: string}>,
+ *            skipped: Array<{name: string, reason: string}>}}
+ */
+function parseIcsHolidays(text) {
+  const holidays = [];
+  const skipped = [];
+  let ev = null;
+  for (const raw of unfold(text).split('\n')) {
+    const line = raw.trim();
+    if (!line) continue;
+    if (/^BEGIN:VEVENT$/i.test(line)) { ev = {}; continue; }
+    if (/^END:VEVENT$/i.test(line)) {
+      if (ev) finishEvent(ev, holidays, skipped);
+      ev = null;
+      continue;
+    }
+    if (!ev) continue;
+    const p = parseLine(line);
+    if (!p) continue;
+    if (p.name === 'SUMMARY') ev.name = unescapeText(p.value);
+    else if (p.name === 'DTSTART') ev.start = p;
+    else if (p.name === 'DTEND') ev.end = p;
+    else if (p.name === 'RRULE') ev.recurring = true;
+  }
+  return { holidays, skipped };
+}
+
+function finishEvent(ev, holidays, skipped) {
+  const name = ev.name || 'Holiday';
+  if (!ev.start) { skipped.push({ name, reason: 'no start date' }); return; }
+  if (ev.recurring) { skipped.push({ name, reason: 'recurring event (import a calendar with each year listed)' }); return; }
+  const allDay = (ev.start.params.VALUE || '').toUpperCase() === 'DATE' || /^\d{8}$/.test(ev.start.value.trim());
+  if (!allDay) { skipped.push({ name, reason: 'timed event (only all-day events import)' }); return; }
+  const date = icsDate(ev.start.value);
+  if (!date) { skipped.push({ name, reason: 'unreadable start date' }); return; }
+  const endExclusive = ev.end ? icsDate(ev.end.value) : null;
+  const endDate = endExclusive && endExclusive > date ? dayBefore(endExclusive) : date;
+  holidays.push({ date, end_date: endDate, name });
+}
+
+module.exports = { parseIcsHolidays };
@@ -30,30 +30,51 @@ const UniFiClient = require('./unifi-client');
 const Resolver = require('./resolver');
 const RulesEngine = require('./rules-engine');
 const { createBackup, listBackups, restoreBackup, pruneBackups } = require('./backup');
+const nvmBackup = require('./nvm-backup');
 const ConfigSync = require('./config-sync');
 const CaptureSession = require('./capture');
 const EventFeedStore = require('./event-feed-store');
 const Notifier = require('./notifier');
+const { Lockdown } = require('./lockdown');
+const { LockRuleState } = require('./lock-rule-state');
 const DeadboltController = require('./deadbolt-controller');
 const FakeLock = require('./drivers/fake-lock');
 const { ZwaveLock } = require('./drivers/zwave-lock');
 const { ZwaveManager } = require('./drivers/zwave-manager');
+const { MqttLock } = require('./drivers/mqtt-lock');
+const { MqttConnection, connectionKey: mqttConnectionKey } = require('./drivers/mqtt-connection');
+const { HttpLock } = require('./drivers/http-lock');
 const lockCatalog = require('./drivers/lock-catalog');
 const { ZwavePairing } = require('./drivers/zwave-pairing');
+const { ZwaveContactSensor } = require('./drivers/zwave-contact-sensor');
+const contactSensors = require('./drivers/contact-sensor');
+const zwaveDiagnostics = require('./drivers/zwave-diagnostics');
 const { loadSecurityKeys, ensureSecurityKeys } = require('./drivers/zwave-keys');
 const { SustainedFlagMonitor } = require('./alert-monitors');
 const { decideWatchdogAction } = require('./watchdog');
 const deadboltRules = require('./deadbolt-rules');
 const doorFlows = require('./door-flows');
+const { analyzeFlows } = require('./flow-analysis');
+const flowReplay = require('./flow-replay');
+const flowTemplates = require('./flow-templates');
+const schedules = require('./schedule');
+const { parseIcsHolidays } = require('./ics');
 const { planUnifiPinPush, markStaleAfterPush, recordUnifiPin } = require('./user-code-sync');
+const pinWindows = require('./pin-windows');
 const { removeLockEntry, pruneGhostLocks } = require('./lock-cleanup');
 const keypadUsers = require('./keypad-users');
+const keypadCsv = require('./keypad-csv');
+const pinPolicy = require('./pin-policy');
+const pinRotation = require('./pin-rotation');
+const pinLinks = require('./pin-links');
+const reconcileReport = require('./reconcile-report');
 const accessGating = require('./access-gating');
 const adminPin = require('./admin-pin');
 const pinCrypto = require('./pin-crypto');
 const secretStore = require('./secret-store');
 const auditLog = require('./audit-log');
 const {
+  REDACTION_MARKER,
   redactSecrets,
   stripRedactedPlaceholders,
   validateConfigUpdates,
@@ -149,9 +170,14 @@ function loadConfig() {
 // (unlock_rules / doorbell_rules) so the simulate + preflight endpoints keep
 // working off the door-flow triggers. It is NOT fed live events any more (the
 // deadbolt controller owns live entry + doorbell + cascade execution), so it
-// never double-fires.
-function rulesEngineConfig(cfg) {
-  const proj = doorFlows.legacyProjection(cfg.door_flows || {});
+// never double-fires. With `at`, only the triggers whose schedule is active at
+// that instant (holiday calendar applied) are projected: what the controller
+// would run then.
+function rulesEngineConfig(cfg, at) {
+  const flows = at == null
+    ? (cfg.door_flows || {})
+    : doorFlows.flowsActiveAt(cfg.door_flows || {}, at, cfg.site && cfg.site.timezone, cfg.site && cfg.site.holidays);
+  const proj = doorFlows.legacyProjection(flows);
   return Object.assign({}, cfg, { unlock_rules: proj.unlock_rules, doorbell_rules: proj.doorbell_rules });
 }
 
@@ -271,9 +297,15 @@ let notifier = new Notifier(config.alerts || {}, { logger });
 // manager/stick), one controller per AUTOMATED lock (a deadbolt_rules entry),
 // and one dedicated controller carrying only the cascade rules so they never
 // double-fire when several locks are automated.
-let lockDrivers = new Map();          // lockId -> ZwaveLock | FakeLock
+let lockDrivers = new Map();          // lockId -> ZwaveLock | MqttLock | HttpLock | FakeLock
 let deadboltControllers = new Map();  // lockId -> DeadboltController
 let cascadeController = null;         // cascade_rules only (lockDriver: null)
+// The one broker session all MQTT locks share (devices.mqtt), kept across
+// rebuilds and replaced only when the broker identity changes.
+let mqttConnection = null;
+// Paired Z-Wave door contact sensors, on the same manager. Each feeds its
+// door's open/closed position to the controllers above.
+let sensorDrivers = new Map();        // sensorId -> ZwaveContactSensor
 // Active-lock aliases (the first automated lock, else the first paired):
 // endpoints and legacy single-lock paths keep working through these until
 // they carry an explicit lock_id.
@@ -285,12 +317,32 @@ let deadboltController = null;
 // A Set of pending lock ids (not a single flag): with several locks the
 // first interview to complete anywhere must not claim another lock's request.
 let _reinterviewRequested = new Set();
+// OTA firmware updates started from the Devices tab, by lock id: the running
+// one's progress and the last one's outcome (see runFirmwareUpdate).
+let firmwareUpdates = new Map();
 // Lock ids whose driver.init() is currently failing (self-heal retries just
 // these, never the healthy ones), and the subset we have already alerted for
 // (so a persistent failure does not re-email every retry cycle; edge-triggered
 // per lock, re-armed when the lock recovers).
 let _failedInitLocks = new Set();
 let _alertedInitLocks = new Set();
+// Building-wide lockdown (see lockdown.js). Its state lives next to the config
+// so a restart comes back up still locked down; the controllers consult
+// isActive() before any unlock action.
+const lockdown = new Lockdown({
+  filePath: path.join(path.dirname(CONFIG_PATH), 'lockdown.json'),
+  logger,
+  getConfig: () => config,
+  getUnifiClient: () => unifiClient,
+  getLockDrivers: () => lockDrivers,
+  getControllers: () => deadboltObservers(),
+  notify: (a) => notifier.notify(a),
+  audit: (rec) => safeAudit(rec),
+  broadcaster: (e) => broadcastEvent(e),
+});
+// Temporary lock rules this app has applied (door flow lock_rule actions,
+// phone buttons), for the dashboard's "held until" panel.
+const lockRuleState = new LockRuleState();
 
 // Shared Z-Wave plumbing: ONE driver session per serial port, borrowed by both
 // the lock driver and the pairing flow so they never contend for the port.
@@ -345,65 +397,33 @@ const zwavePairing = new ZwavePairing({
     logger.info('Z-Wave: generated and stored new S2 security keys (kept in config; do not delete after pairing)');
     return { generated: true };
   },
-  onIncludeDone: async ({ nodeId, securityClass, lockId: chosenId, modelKey, name }) => {
-    // Resolve the target lock id. Add Deadbolt supplies an explicit id so a
-    // second lock is stored under its OWN key; without one we keep today's
-    // single-lock behavior (the rules' lock id, else the first saved, else
-    // the default). A chosen id that collides with an existing DIFFERENT node
-    // is de-duplicated so pairing never silently clobbers another lock.
-    let resolvedId = null;
-    persistZwaveMutation((cfg) => {
-      cfg.devices = cfg.devices || {};
-      const zw = cfg.devices.zwave = cfg.devices.zwave || {};
-      zw.locks = zw.locks || {};
-      let lockId = chosenId
-        || doorFlows.automatedLockIdsFromFlows(cfg.door_flows)[0]
-        || Object.keys(zw.locks)[0] || 'front_deadbolt';
-      // Never overwrite a different, still-paired lock that happens to share
-      // the requested id: pick a free suffix instead.
-      if (chosenId && zw.locks[lockId] && zw.locks[lockId].node_id
-          && zw.locks[lockId].node_id !== nodeId) {
-        let n = 2;
-        while (zw.locks[`${lockId}_${n}`] && zw.locks[`${lockId}_${n}`].node_id
-               && zw.locks[`${lockId}_${n}`].node_id !== nodeId) n++;
-        lockId = `${lockId}_${n}`;
-      }
-      resolvedId = lockId;
-      const model = modelKey && lockCatalog.profileForKey(modelKey);
-      zw.locks[lockId] = Object.assign(
-        { verify_timeout_ms: 12000, verify_retries: 1, retry_backoff_ms: 1500, poll_minutes: 20, low_battery_pct: 25 },
-        zw.locks[lockId],
-        // security_class persists the class the join actually granted so the
-        // UI shows it after restarts without a live node read. manufacturer /
-        // model_key record the operator's catalog choice for the locks table
-        // and the per-model exclude/reset guidance.
-        {
-          node_id: nodeId,
-          security_class: securityClass || null,
-          name: name || (zw.locks[lockId] && zw.locks[lockId].name) || null,
-          manufacturer: (model && model.manufacturer) || (zw.locks[lockId] && zw.locks[lockId].manufacturer) || null,
-          model_key: modelKey || (zw.locks[lockId] && zw.locks[lockId].model_key) || null,
-        }
-      );
-      zw.enabled = true;
-      // Door-centric model: automation is a door's retract edge, created in
-      // the Door Flows editor. A freshly paired lock is manually controllable
-      // immediately (zw.enabled gates that) and gets wired to a door when the
-      // operator adds it to a flow - no empty placeholder entry to seed.
-    });
-    await bringDeadboltOnline();
-    logger.info(`Z-Wave: lock paired as node ${nodeId} (${securityClass || 'class unknown'}) under "${resolvedId}" and brought online`);
-    // One PIN per user: seed the new lock with every saved user's PIN so the
-    // owner never re-enters codes per lock. Fire-and-forget: the writes wait
-    // for the pairing session to fully end and the interview to reveal the
-    // User Code capability, which can take minutes on a battery lock.
-    provisionUserCodesOnNewLock(resolvedId).catch((e) =>
-      logger.warn(`Deadbolt: auto-provision of keypad codes on "${resolvedId}" failed: ${e.message}`));
+  onIncludeDone: async (done) => {
+    await onDeviceIncluded(done);
+    if (done.smartStart) {
+      // Nobody is watching a pairing panel for a SmartStart join, so it is
+      // announced in the event feed (which also repaints the Devices tab).
+      broadcastEvent({
+        type: 'zwave.smart_start',
+        actor: 'Z-Wave',
+        location: done.name || done.lockId || done.sensorId || `node ${done.nodeId}`,
+        action: `Joined by SmartStart as node ${done.nodeId} (${done.securityClass || 'class unknown'})`,
+        success: true,
+      });
+    }
   },
   onExcludeDone: async ({ nodeId }) => {
     const zw = config.devices && config.devices.zwave;
     const locks = (zw && zw.locks) || {};
     const lockId = Object.keys(locks).find((id) => locks[id] && locks[id].node_id === nodeId);
+    const sensors = (zw && zw.sensors) || {};
+    const sensorId = Object.keys(sensors).find((id) => sensors[id] && sensors[id].node_id === nodeId);
+    if (!lockId && sensorId) {
+      const label = sensorLabel(sensorId);
+      persistZwaveMutation((cfg) => { delete cfg.devices.zwave.sensors[sensorId]; });
+      await bringDeadboltOnline();
+      logger.info(`Z-Wave: contact sensor "${label}" (node ${nodeId}) unpaired and removed from the config`);
+      return;
+    }
     if (!lockId) {
       logger.info(`Z-Wave: excluded node ${nodeId} (not the configured lock; nothing to clean up)`);
       return;
@@ -421,6 +441,94 @@ const zwavePairing = new ZwavePairing({
   },
 });
 
+// A device finished pairing (a session or a SmartStart join): store it and
+// bring it online.
+async function onDeviceIncluded({ nodeId, securityClass, lockId: chosenId, modelKey, name, device, sensorId }) {
+  if (device === 'contact_sensor') {
+    await onSensorIncluded({ nodeId, securityClass, sensorId, name });
+    return;
+  }
+  // Resolve the target lock id. Add Deadbolt supplies an explicit id so a
+  // second lock is stored under its OWN key; without one we keep today's
+  // single-lock behavior (the rules' lock id, else the first saved, else
+  // the default). A chosen id that collides with an existing DIFFERENT node
+  // is de-duplicated so pairing never silently clobbers another lock.
+  let resolvedId = null;
+  persistZwaveMutation((cfg) => {
+    cfg.devices = cfg.devices || {};
+    const zw = cfg.devices.zwave = cfg.devices.zwave || {};
+    zw.locks = zw.locks || {};
+    let lockId = chosenId
+      || doorFlows.automatedLockIdsFromFlows(cfg.door_flows)[0]
+      || Object.keys(zw.locks)[0] || 'front_deadbolt';
+    // Never overwrite a different, still-paired lock that happens to share
+    // the requested id: pick a free suffix instead.
+    if (chosenId && zw.locks[lockId] && zw.locks[lockId].node_id
+        && zw.locks[lockId].node_id !== nodeId) {
+      let n = 2;
+      while (zw.locks[`${lockId}_${n}`] && zw.locks[`${lockId}_${n}`].node_id
+             && zw.locks[`${lockId}_${n}`].node_id !== nodeId) n++;
+      lockId = `${lockId}_${n}`;
+    }
+    resolvedId = lockId;
+    const model = modelKey && lockCatalog.profileForKey(modelKey);
+    zw.locks[lockId] = Object.assign(
+      { verify_timeout_ms: 12000, verify_retries: 1, retry_backoff_ms: 1500, poll_minutes: 20, low_battery_pct: 25 },
+      zw.locks[lockId],
+      // security_class persists the class the join actually granted so the
+      // UI shows it after restarts without a live node read. manufacturer /
+      // model_key record the operator's catalog choice for the locks table
+      // and the per-model exclude/reset guidance.
+      {
+        node_id: nodeId,
+        security_class: securityClass || null,
+        name: name || (zw.locks[lockId] && zw.locks[lockId].name) || null,
+        manufacturer: (model && model.manufacturer) || (zw.locks[lockId] && zw.locks[lockId].manufacturer) || null,
+        model_key: modelKey || (zw.locks[lockId] && zw.locks[lockId].model_key) || null,
+      }
+    );
+    zw.enabled = true;
+    // Door-centric model: automation is a door's retract edge, created in
+    // the Door Flows editor. A freshly paired lock is manually controllable
+    // immediately (zw.enabled gates that) and gets wired to a door when the
+    // operator adds it to a flow - no empty placeholder entry to seed.
+  });
+  await bringDeadboltOnline();
+  logger.info(`Z-Wave: lock paired as node ${nodeId} (${securityClass || 'class unknown'}) under "${resolvedId}" and brought online`);
+  // One PIN per user: seed the new lock with every saved user's PIN so the
+  // owner never re-enters codes per lock. Fire-and-forget: the writes wait
+  // for the pairing session to fully end and the interview to reveal the
+  // User Code capability, which can take minutes on a battery lock.
+  provisionUserCodesOnNewLock(resolvedId).catch((e) =>
+    logger.warn(`Deadbolt: auto-provision of keypad codes on "${resolvedId}" failed: ${e.message}`));
+}
+
+// A contact sensor finished pairing: store it under devices.zwave.sensors
+// (never clobbering a different paired sensor that shares the requested id)
+// and bring it online. It drives nothing until the operator attaches it to a
+// door in its row of the Contact sensors table.
+async function onSensorIncluded({ nodeId, securityClass, sensorId: chosenId, name }) {
+  let resolvedId = null;
+  persistZwaveMutation((cfg) => {
+    cfg.devices = cfg.devices || {};
+    const zw = cfg.devices.zwave = cfg.devices.zwave || {};
+    zw.sensors = zw.sensors || {};
+    const base = chosenId || 'door_sensor';
+    let id = base;
+    let n = 2;
+    while (zw.sensors[id] && zw.sensors[id].node_id && zw.sensors[id].node_id !== nodeId) id = `${base}_${n++}`;
+    resolvedId = id;
+    zw.sensors[id] = Object.assign(
+      { door: null, door_id: null, held_open_seconds: contactSensors.DEFAULT_HELD_OPEN_SECONDS },
+      zw.sensors[id],
+      { node_id: nodeId, security_class: securityClass || null, name: name || (zw.sensors[id] && zw.sensors[id].name) || null }
+    );
+    zw.enabled = true;
+  });
+  await bringDeadboltOnline();
+  logger.info(`Z-Wave: contact sensor paired as node ${nodeId} (${securityClass || 'class unknown'}) under "${resolvedId}"`);
+}
+
 // Sustained-outage alerting (delivery is still gated by alerts.enabled and the
 // alerts.on allowlist inside the notifier). A brief blip never alerts: the
 // condition must be continuously down for the grace period. Checks return
@@ -436,7 +544,9 @@ function offlineLockNames() {
   const names = [];
   for (const [lockId, driver] of lockDrivers) {
     if (typeof driver.snapshot !== 'function') continue;
-    if (!driver.snapshot().online) names.push(lockLabel(lockId));
+    // A lock rebooting into new firmware drops off the mesh on purpose.
+    const snap = driver.snapshot();
+    if (!snap.online && !snap.firmwareUpdating) names.push(lockLabel(lockId));
   }
   return names;
 }
@@ -469,10 +579,85 @@ const controllerLinkMonitor = new SustainedFlagMonitor({
   onUp: (s) => monitorAlert('controller_reconnected', `UniFi WebSocket restored after ${s}s down`),
 });
 
+// A door held open past its sensor's held_open_seconds. One monitor across
+// all sensors, as for the lock link: a second door held open during an
+// existing alert extends it and is named in the recovery line's detail.
+function heldOpenSensorNames() {
+  const sensors = (config.devices && config.devices.zwave && config.devices.zwave.sensors) || {};
+  const now = Date.now();
+  const names = [];
+  for (const [sensorId, driver] of sensorDrivers) {
+    if (contactSensors.isHeldOpen(driver.snapshot(), sensors[sensorId], now)) {
+      const s = sensors[sensorId] || {};
+      names.push(s.door ? `${s.door} (${sensorLabel(sensorId)})` : sensorLabel(sensorId));
+    }
+  }
+  return names;
+}
+const doorHeldOpenMonitor = new SustainedFlagMonitor({
+  name: 'door-held-open',
+  logger,
+  // The per-sensor threshold lives in the check, so the monitor itself has
+  // no extra grace; it only adds its tick interval.
+  graceSeconds: 0,
+  intervalSeconds: 5,
+  check: () => {
+    if (!sensorDrivers.size) return null;
+    return heldOpenSensorNames().length === 0;
+  },
+  onDown: () => monitorAlert('door_held_open', `door held open: ${heldOpenSensorNames().join(', ') || 'a door'}`),
+  onUp: (s) => monitorAlert('door_held_open_cleared', `held-open door closed again (alert lasted ${s}s)`),
+});
+
+// Friendly display label for a contact sensor (its saved name, else its id).
+function sensorLabel(sensorId) {
+  const sensors = (config.devices && config.devices.zwave && config.devices.zwave.sensors) || {};
+  return (sensors[sensorId] && sensors[sensorId].name) || sensorId;
+}
+
 // Friendly display label for a lock (its saved name, else its id).
 function lockLabel(lockId) {
   const locks = (config.devices && config.devices.zwave && config.devices.zwave.locks) || {};
-  return (locks[lockId] && locks[lockId].name) || lockId;
+  const net = networkLocksConfig();
+  return (locks[lockId] && locks[lockId].name) || (net[lockId] && net[lockId].cfg.name) || lockId;
+}
+
+// Locks reached over the network instead of the Z-Wave stick, in precedence
+// order: devices.mqtt.locks, then devices.http.locks, each only while its
+// block is enabled.
+const NETWORK_LOCK_TRANSPORTS = Object.freeze(['mqtt', 'http']);
+
+// lockId -> { transport, cfg } for every network lock that will get a
+// driver. An id already taken (a Z-Wave lock, or an MQTT lock for an HTTP
+// one) keeps its first owner; networkLockCollisions() names the losers.
+function networkLocksConfig() {
+  const devices = config.devices || {};
+  const taken = new Set(Object.keys((devices.zwave && devices.zwave.locks) || {}));
+  const out = {};
+  for (const transport of NETWORK_LOCK_TRANSPORTS) {
+    const block = devices[transport];
+    if (!block || block.enabled !== true || !block.locks || typeof block.locks !== 'object') continue;
+    for (const [lockId, lc] of Object.entries(block.locks)) {
+      if (!lc || typeof lc !== 'object' || taken.has(lockId)) continue;
+      taken.add(lockId);
+      out[lockId] = { transport, cfg: lc };
+    }
+  }
+  return out;
+}
+
+function networkLockCollisions() {
+  const devices = config.devices || {};
+  const built = networkLocksConfig();
+  const out = [];
+  for (const transport of NETWORK_LOCK_TRANSPORTS) {
+    const block = devices[transport];
+    if (!block || block.enabled !== true || !block.locks) continue;
+    for (const lockId of Object.keys(block.locks)) {
+      if (!built[lockId] || built[lockId].transport !== transport) out.push({ transport, lockId });
+    }
+  }
+  return out;
 }
 
 // Per-driver event wiring: device-origin alerts (low battery, jam), the
@@ -515,9 +700,19 @@ function wireDriverEvents(lockId, driver) {
       action: `Keypad ${e.action} by ${who}${entry && entry.name ? ` (slot ${e.slot})` : ''}`,
       success: true,
     });
+    // keypad_unlock door flow triggers, scoped by the slot owner's group.
+    if (e.action === 'unlock' && cascadeController) {
+      cascadeController.observeKeypad({
+        lockId,
+        slot: e.slot,
+        actorId: (entry && entry.user_id) || null,
+        actorName: (entry && entry.name) || `keypad slot ${e.slot}`,
+      });
+    }
   });
   driver.on('interview-completed', () => {
     logger.info(`Deadbolt ${label}: interview completed; bolt and battery readings are fresh`);
+    recordFirmwareVersion(lockId, driver);
     // Announce completion only for the lock whose re-interview was actually
     // requested (delete returns true only for the pending id), so a different
     // lock finishing an interview cannot claim (and clear) this one's request.
@@ -557,6 +752,59 @@ function wireDriverEvents(lockId, driver) {
   });
 }
 
+// Per-sensor event wiring. Every change of a sensor attached to a door lands
+// in the event feed and reaches every controller as that door's position
+// (door_closed flow triggers); a sensor with no door is reported only.
+function wireSensorEvents(sensorId, driver) {
+  driver.on('alert', (a) => monitorAlert(a.type, `${sensorLabel(sensorId)}: ${a.detail || ''}`));
+  driver.on('contact', (e) => {
+    const label = sensorLabel(sensorId);
+    const sensors = (config.devices && config.devices.zwave && config.devices.zwave.sensors) || {};
+    const cfg = sensors[sensorId] || {};
+    logger.info(`Contact sensor ${label}: ${e.state}${cfg.door ? ` (${cfg.door})` : ''}`);
+    broadcastEvent({
+      type: 'sensor.contact',
+      actor: label,
+      location: cfg.door || label,
+      action: `Door ${e.state}`,
+      success: true,
+    });
+    if (!cfg.door) return;
+    for (const controller of deadboltObservers()) {
+      try {
+        controller.observeDoorPosition({ doorName: cfg.door, doorId: cfg.door_id || null, position: e.state });
+      } catch (err) { logger.warn(`deadbolt door position error: ${err.message}`); }
+    }
+  });
+}
+
+// One driver per PAIRED contact sensor on the shared manager. Called from
+// buildDeadbolt (Z-Wave enabled only); init is initContactSensors.
+function buildContactSensors(zw) {
+  const sensors = (zw && zw.sensors) || {};
+  for (const sensorId of Object.keys(sensors).filter((id) => sensors[id] && sensors[id].node_id > 0)) {
+    const driver = new ZwaveContactSensor(
+      Object.assign({ serial_path: zw.serial_path, cache_dir: zw.cache_dir, id: sensorId }, sensors[sensorId]),
+      { logger, manager: zwaveManager }
+    );
+    sensorDrivers.set(sensorId, driver);
+    wireSensorEvents(sensorId, driver);
+  }
+}
+
+// A sensor that fails to init stays down until the next rebuild (pairing, a
+// driver auto-restart or a config reload); it gates nothing, so there is no
+// retry ladder as for the locks.
+async function initContactSensors() {
+  const entries = Array.from(sensorDrivers.entries());
+  const results = await Promise.allSettled(entries.map(([, driver]) => driver.init()));
+  results.forEach((r, i) => {
+    const label = sensorLabel(entries[i][0]);
+    if (r.status === 'fulfilled') logger.info(`Contact sensor initialized ("${label}")`);
+    else logger.warn(`Contact sensor "${label}" failed to initialize: ${r.reason && r.reason.message}`);
+  });
+}
+
 // Controllers only (no driver teardown): one per automated lock with ITS
 // rules slice and NO cascade rules, plus one dedicated cascade controller so
 // cascades fire exactly once regardless of how many locks are automated.
@@ -595,33 +843,27 @@ function resolveGroupForEvent(info) {
 
 function buildDeadboltControllers() {
   destroyDeadboltControllers();
-  // Refresh the merged viewer->group map from EVERY doorbell trigger, including
-  // retract-only ones (unlockRulesFromFlows drops triggers with no unlock, which
-  // would lose the viewer map for a doorbell that only retracts a deadbolt).
-  _viewerToGroupCI = {};
-  for (const flow of Object.values(config.door_flows || {})) {
-    for (const trig of doorFlows.triggersOf(flow)) {
-      if (trig.type === 'doorbell' && trig.doorbell && trig.doorbell.viewer_to_group) {
-        for (const [k, v] of Object.entries(trig.doorbell.viewer_to_group)) {
-          if (typeof k === 'string' && v) _viewerToGroupCI[k.trim().toLowerCase()] = v;
-        }
-      }
-    }
-  }
+  // Refresh the merged viewer->group map (every doorbell trigger, including
+  // retract-only ones).
+  _viewerToGroupCI = doorFlows.viewerToGroupFromFlows(config.door_flows);
   const deps = {
     getUnifiClient: () => unifiClient,
     broadcaster: broadcastEvent,
     logger,
     resolveGroup: resolveGroupForEvent,
     onAlert: (a) => { logger.warn(`ALERT ${a.type}: ${JSON.stringify(a)}`); notifier.notify(a); },
+    isPaused: () => lockdown.isActive(),
+    onLockRule: (r) => lockRuleState.note(r),
   };
-  // One controller per lock referenced by any door's retract edges, fed the
-  // full list of door->lock edges (each carrying its own after-unlock, trigger
-  // type and scope) so several doors can drive one deadbolt differently.
-  for (const lockId of doorFlows.automatedLockIdsFromFlows(config.door_flows)) {
+  // One controller per lock referenced by any door's retract edges or
+  // door_closed lock actions, fed the full list of door->lock edges (each
+  // carrying its own after-unlock, trigger type and scope) so several doors
+  // can drive one deadbolt differently.
+  for (const lockId of doorFlows.wiredLockIdsFromFlows(config.door_flows)) {
     const edges = doorFlows.edgesForLock(config.door_flows, lockId);
+    const lockEdges = doorFlows.lockEdgesForLock(config.door_flows, lockId);
     const controller = new DeadboltController(
-      Object.assign({}, config, { edges, cascade_rules: { rules: [] } }),
+      Object.assign({}, config, { edges, lock_edges: lockEdges, cascade_rules: { rules: [] } }),
       Object.assign({ lockDriver: lockDrivers.get(lockId) || null }, deps)
     );
     if (controller.enabled) {
@@ -658,15 +900,35 @@ function buildDeadboltControllers() {
 // disable the self-heal retry for an enabled-but-rules-less config.
 function shouldRunDeadbolt() {
   const zw = config.devices && config.devices.zwave;
-  return !!((config.door_flows && Object.keys(config.door_flows).length) || (zw && zw.enabled === true));
+  return !!((config.door_flows && Object.keys(config.door_flows).length) || (zw && zw.enabled === true)
+    || Object.keys(networkLocksConfig()).length);
+}
+
+// The shared MQTT session for the current devices.mqtt, or null when MQTT is
+// off. A changed url/username/client id stops the old session (its locks
+// were already shut down by the rebuild) and starts a new one.
+function ensureMqttConnection() {
+  const mq = config.devices && config.devices.mqtt;
+  const wanted = mq && mq.enabled === true ? mqttConnectionKey(mq) : null;
+  if (mqttConnection && mqttConnection.key === wanted) return mqttConnection;
+  if (mqttConnection) {
+    const old = mqttConnection;
+    old.stop().catch((e) => logger.warn(`MQTT: stopping the old broker session failed: ${e.message}`));
+  }
+  mqttConnection = wanted == null ? null : new MqttConnection(mq, { logger });
+  return mqttConnection;
 }
 
 function buildDeadbolt() {
-  const flowLockIds = doorFlows.automatedLockIdsFromFlows(config.door_flows);
+  const networkLocks = networkLocksConfig();
+  // Flow-wired locks no network transport drives: only these need Z-Wave or
+  // a fake.
+  const flowLockIds = doorFlows.wiredLockIdsFromFlows(config.door_flows).filter((id) => !networkLocks[id]);
   const zw = config.devices && config.devices.zwave;
   const zwEnabled = !!(zw && zw.enabled);
+  const connection = ensureMqttConnection();
   // Inert unless something is configured: a paired/enabled Z-Wave setup,
-  // automation rules, or cascades.
+  // MQTT or HTTP locks, automation rules, or cascades.
   if (!shouldRunDeadbolt()) return;
 
   if (zwEnabled) {
@@ -692,6 +954,7 @@ function buildDeadbolt() {
       lockDrivers.set(lockId, driver);
       wireDriverEvents(lockId, driver);
     }
+    buildContactSensors(zw);
     if (!pairedIds.length) {
       // Enabled but nothing paired yet: normal mid-setup state, not an
       // error. The dashboard's Pair flow fills in node_id and reactivates.
@@ -711,12 +974,27 @@ function buildDeadbolt() {
     logger.warn('Deadbolt: using in-memory FakeLock(s) (dev/dry-run). They ALWAYS report success and drive no hardware. Never use in production.');
   } else if (flowLockIds.length) {
     // Configured but no real transport: fail loud, do NOT fake success.
-    logger.error('Deadbolt configured but devices.zwave.enabled is not true and dev_fake_lock is not set. Deadbolt LOCK/RETRACT are DISABLED (cascade still active). Set devices.zwave.enabled for hardware, or devices.zwave.dev_fake_lock for dev.');
+    logger.error(`Deadbolt configured but devices.zwave.enabled is not true and dev_fake_lock is not set. LOCK/RETRACT are DISABLED for ${flowLockIds.join(', ')} (cascade still active). Set devices.zwave.enabled for hardware, add the lock under devices.mqtt.locks or devices.http.locks, or set devices.zwave.dev_fake_lock for dev.`);
     notifier.notify({ type: 'deadbolt_no_transport', detail: 'deadbolt configured but no lock transport enabled' });
   }
 
+  // Network locks sit beside whatever drives the Z-Wave side and need no
+  // stick: MQTT ones (zigbee2mqtt, ESPHome) on the one shared broker
+  // session, HTTP ones (relay boards, vendor hubs) each on their own URLs.
+  for (const { transport, lockId } of networkLockCollisions()) {
+    logger.warn(`Deadbolt: ${transport.toUpperCase()} lock "${lockId}" ignored; another lock already uses that id. Rename one of them.`);
+  }
+  for (const [lockId, { transport, cfg: lc }] of Object.entries(networkLocks)) {
+    const lockCfg = Object.assign({ id: lockId }, lc);
+    const driver = transport === 'mqtt'
+      ? new MqttLock(lockCfg, { logger, connection })
+      : new HttpLock(lockCfg, { logger });
+    lockDrivers.set(lockId, driver);
+    wireDriverEvents(lockId, driver);
+  }
+
   buildDeadboltControllers();
-  logger.info(`Deadbolt add-on active (drivers: ${lockDrivers.size}, automated: ${deadboltControllers.size}, cascade rules: ${cascadeController ? cascadeController.cascadeRules.length : 0})`);
+  logger.info(`Deadbolt add-on active (drivers: ${lockDrivers.size}, contact sensors: ${sensorDrivers.size}, automated: ${deadboltControllers.size}, cascade rules: ${cascadeController ? cascadeController.cascadeRules.length : 0})`);
 }
 
 // Rebuild and activate the deadbolt after pairing/unpairing WITHOUT an app
@@ -727,6 +1005,10 @@ async function bringDeadboltOnline() {
   for (const [lockId, driver] of lockDrivers) {
     try { await driver.shutdown(); } catch (e) { logger.warn(`Deadbolt: old lock "${lockId}" shutdown failed: ${e.message}`); }
   }
+  for (const [sensorId, sensor] of sensorDrivers) {
+    try { await sensor.shutdown(); } catch (e) { logger.warn(`Contact sensor "${sensorId}" shutdown failed: ${e.message}`); }
+  }
+  sensorDrivers = new Map();
   destroyDeadboltControllers(); // clears relock timers + driver listeners
   lockDrivers = new Map();
   lockDriver = null;
@@ -752,6 +1034,7 @@ async function bringDeadboltOnline() {
   // A lock that just succeeded is no longer in an alerted-failure state.
   for (const id of succeeded) _alertedInitLocks.delete(id);
   if (_failedInitLocks.size) scheduleDeadboltInitRetry();
+  await initContactSensors();
   applyEventTaps();
   // Decision 2: the app owns relock in software now, so hand the hardware
   // auto-relock off for every flow-wired lock (best-effort; retried on the
@@ -831,7 +1114,8 @@ async function provisionUserCodesOnNewLock(lockId) {
   const locksCfg = (config.devices && config.devices.zwave && config.devices.zwave.locks) || {};
   // Access gating: if the new lock has gating doors (any door with a retract
   // edge to it), seed only users UniFi allows on AT LEAST ONE of them - the
-  // same id-aware UNION verdict every other gate uses. 'unknown' (access data
+  // same id-aware UNION verdict every other gate uses (per-user trigger
+  // scopes included). 'unknown' (access data
   // not yet available) is deferred and logged, not seeded, since provisioning
   // is additive and retryable via Rewrite Codes to Lock; a lock wired to no
   // door seeds everyone (ungated).
@@ -842,9 +1126,9 @@ async function provisionUserCodesOnNewLock(lockId) {
     const doorNames = gatingDoors.map((d) => d.name).join('", "');
     eligibleUserIds = new Set();
     for (const userId of keypadUsers.canonicalPins(locksCfg).keys()) {
-      const verdict = accessGating.doorAccessVerdictUnion(access, userId, gatingDoors);
+      const verdict = accessGating.lockAccessVerdict(access, userId, config.door_flows, lockId);
       if (verdict === 'allowed' || verdict === 'ungated') eligibleUserIds.add(userId);
-      else logger.info(`Deadbolt: not seeding "${userId}" onto "${lockLabel(lockId)}" (${verdict === 'denied' ? `no UniFi access to "${doorNames}"` : 'access not yet known; retry with Rewrite Codes to Lock'})`);
+      else logger.info(`Deadbolt: not seeding "${userId}" onto "${lockLabel(lockId)}" (${verdict === 'denied' ? `no access to "${doorNames}"` : 'access not yet known; retry with Rewrite Codes to Lock'})`);
     }
   }
   const plan = keypadUsers.planNewLockProvision(locksCfg, lockId, cap, new Date().toISOString(), eligibleUserIds);
@@ -1295,9 +1579,10 @@ async function revokeHeldCode({ lockId, driver, label }, slot, userId, reason) {
 
 // Re-attempt every armed pending clear. Deletes the marker only when the
 // physical clear confirms. onlyLockId scopes a wake-triggered retry to the lock
-// that woke, so it never pokes sleeping siblings. Raw: callers serialize with
+// that woke, so it never pokes sleeping siblings; onlyUserId scopes a
+// one-user fix to that user's markers. Raw: callers serialize with
 // withKeypadLock.
-async function retryPendingClears(onlyLockId) {
+async function retryPendingClears(onlyLockId, onlyUserId) {
   const zwLocks = (config.devices && config.devices.zwave && config.devices.zwave.locks) || {};
   for (const [lockId, lock] of Object.entries(zwLocks)) {
     if (onlyLockId && lockId !== onlyLockId) continue;
@@ -1307,6 +1592,7 @@ async function retryPendingClears(onlyLockId) {
     const driver = lockDrivers.get(lockId);
     if (!driver || typeof driver.clearUserCode !== 'function') continue;
     for (const slotKey of slots) {
+      if (onlyUserId && !(pend[slotKey] && pend[slotKey].user_id === onlyUserId)) continue;
       let confirmed = null;
       try {
         const r = await driver.clearUserCode(Number(slotKey));
@@ -1428,6 +1714,17 @@ async function reconcileAccessRevocations(trigger) {
         for (const uid of pinStateKeysToDelete) delete cfg.unifi_pin_state[uid];
       });
     }
+    // A departed user's windowed PIN goes too, or its next opening would
+    // write it back.
+    const departedWindows = entitled.size
+      ? Object.keys(config.pin_windows || {}).filter((uid) => !entitled.has(String(uid)))
+      : [];
+    if (departedWindows.length) {
+      persistZwaveMutation((cfg) => {
+        if (!cfg.pin_windows) return;
+        for (const uid of departedWindows) delete cfg.pin_windows[uid];
+      });
+    }
 
     if (!done.length) return;
     const confirmed = done.filter((r) => r.revoked).length;
@@ -1457,6 +1754,356 @@ function scheduleReconcile(reason) {
   if (_reconcileTimer.unref) _reconcileTimer.unref();
 }
 
+// ---------------------------------------------------------------------------
+// Windowed keypad PINs (config.pin_windows, see src/pin-windows.js). Once a
+// minute, and right after a save, every window is brought in line: an open
+// window writes the PIN to each lock the user may use and pushes it to
+// UniFi; a closed one revokes the held codes through revokeHeldCode (an
+// unconfirmed clear queues a retry like any other) and unassigns the UniFi
+// PIN; an expired window with nothing left to undo is dropped. A lock or
+// UniFi call that fails waits PIN_WINDOW_RETRY_MS before the next attempt
+// instead of hammering a full lock or a token without PIN scope every tick.
+// ---------------------------------------------------------------------------
+
+const PIN_WINDOW_TICK_MS = 60 * 1000;
+const PIN_WINDOW_RETRY_MS = 15 * 60 * 1000;
+const _pinWindowRetryAt = new Map(); // "<userId>|<lockId or 'unifi'>" -> epoch ms
+let _pinWindowTimer = null;
+
+// Remove a windowed user's UniFi PIN and forget it in unifi_pin_state, so the
+// next opening pushes it again. Returns the same shape as syncUnifiPin.
+async function unassignWindowPin(userId) {
+  const unifi = { attempted: true, success: null, permission_denied: false, error: null };
+  if (!unifiClient || typeof unifiClient.unassignUserPin !== 'function') {
+    unifi.success = false;
+    unifi.error = 'UniFi client is not connected';
+    return unifi;
+  }
+  const r = await unifiClient.unassignUserPin(userId);
+  unifi.success = !!r.success;
+  unifi.permission_denied = !!r.permission_denied;
+  unifi.error = r.error || null;
+  if (r.success) {
+    persistZwaveMutation((cfg) => {
+      if (cfg.unifi_pin_state) delete cfg.unifi_pin_state[userId];
+      for (const lock of Object.values((cfg.devices && cfg.devices.zwave && cfg.devices.zwave.locks) || {})) {
+        for (const e of Object.values((lock && lock.user_codes) || {})) {
+          if (e && e.user_id === userId) e.pushed_to_unifi = false;
+        }
+      }
+    });
+  }
+  return unifi;
+}
+
+async function applyPinWindows(trigger) {
+  if (zwavePairing.isActive()) return;
+  const site = config.site || {};
+  const plan = (writableLocks) => pinWindows.planPinWindows(
+    config.pin_windows || {},
+    (config.devices && config.devices.zwave && config.devices.zwave.locks) || {},
+    { at: Date.now(), timezone: site.timezone, holidays: site.holidays, pinState: config.unifi_pin_state, writableLocks }
+  );
+  const due = (key) => !(_pinWindowRetryAt.get(key) > Date.now());
+  // Cheap pass first: codeCapableLocks may read a lock live, so it only runs
+  // when some window has work that is not waiting out a retry.
+  const rough = plan((userId) => [...lockDrivers.entries()]
+    .filter(([lockId, d]) => typeof d.setUserCode === 'function' && due(`${userId}|${lockId}`))
+    .map(([lockId]) => lockId));
+  if (!rough.some((r) => r.write.length || r.clear.length || r.expire || (r.unifi && due(`${r.user_id}|unifi`)))) return;
+  return withKeypadLock(async () => {
+    const capable = (await codeCapableLocks()).filter((l) => l.cap && l.cap.supported !== false);
+    const access = currentAccessModel();
+    const rows = plan((userId) => accessGating.classifyLocksForUser(
+      userId, capable.map((l) => ({ lock_id: l.lock_id })), config.door_flows, access)
+      .filter((v) => accessGating.WRITE_VERDICTS.has(v.verdict))
+      .map((v) => v.lock_id));
+    const now = Date.now();
+    const settle = (key, ok) => {
+      if (ok) _pinWindowRetryAt.delete(key);
+      else _pinWindowRetryAt.set(key, now + PIN_WINDOW_RETRY_MS);
+    };
+    for (const row of rows) {
+      const who = row.name || row.user_id;
+      const notes = [];
+      let success = true;
+      const targets = capable.filter((l) => row.write.includes(l.lock_id) && due(`${row.user_id}|${l.lock_id}`));
+      // A window opening is a deferred save: a PIN the site policy refuses
+      // now (saved before it was tightened) is neither written nor pushed.
+      const pushing = row.unifi === 'push' && due(`${row.user_id}|unifi`);
+      const violations = (targets.length || pushing) ? pinPolicyViolations(row.user_id, row.pin, { history: false }) : [];
+      if (violations.length) {
+        for (const l of targets) settle(`${row.user_id}|${l.lock_id}`, false);
+        if (pushing) settle(`${row.user_id}|unifi`, false);
+        success = false;
+        notes.push(`not written: ${pinPolicy.policyError(violations)}; save a new PIN for this user`);
+      }
+      let written = [];
+      if (targets.length && !violations.length) {
+        const results = await writePinToLocks(targets, row.user_id, row.name, row.pin);
+        for (const r of results) settle(`${row.user_id}|${r.lock_id}`, r.slot != null);
+        written = results.filter((r) => r.slot != null);
+        if (written.length) notes.push(`written to ${written.length} lock(s)`);
+        if (written.length < results.length) {
+          success = false;
+          notes.push(`${results.length - written.length} lock(s) refused (${results.filter((r) => r.error).map((r) => `${lockLabel(r.lock_id)}: ${r.error}`).join('; ')})`);
+        }
+      }
+      const reason = row.state === 'expired' ? 'PIN expired'
+        : (row.state === 'scheduled' ? 'PIN window not open yet' : 'outside PIN hours');
+      const cleared = [];
+      for (const c of row.clear) {
+        const driver = lockDrivers.get(c.lock_id);
+        if (!driver) continue; // lock has no live driver right now; leave the entry
+        cleared.push(await revokeHeldCode({ lockId: c.lock_id, driver, label: lockLabel(c.lock_id) }, c.slot, row.user_id, reason));
+      }
+      if (cleared.length) {
+        const pending = cleared.filter((r) => r.revoke_pending).length;
+        notes.push(`cleared from ${cleared.length - pending} lock(s)` + (pending ? `, ${pending} clear(s) queued to retry when the lock responds` : ''));
+      }
+      if (row.unifi && due(`${row.user_id}|unifi`) && !(pushing && violations.length)) {
+        const u = row.unifi === 'push'
+          ? await syncUnifiPin(row.user_id, row.name, row.pin, written[0] ? written[0].lock_id : null)
+          : await unassignWindowPin(row.user_id);
+        settle(`${row.user_id}|unifi`, !!u.success);
+        if (!u.success) success = false;
+        notes.push(`UniFi PIN ${row.unifi === 'push' ? 'set' : 'removed'}${u.success ? '' : ` FAILED (${u.error || 'unknown error'}), retrying in ${PIN_WINDOW_RETRY_MS / 60000} min`}`);
+      }
+      if (row.expire) {
+        persistZwaveMutation((cfg) => { if (cfg.pin_windows) delete cfg.pin_windows[row.user_id]; });
+        notes.push('window over, PIN removed');
+      }
+      if (!notes.length) continue;
+      broadcastEvent({
+        type: 'deadbolt.user_code',
+        actor: 'PIN Schedule',
+        location: [...new Set(written.map((r) => r.lock_id).concat(cleared.map((r) => r.lock_id)))].map(lockLabel).join(', '),
+        action: `${row.state === 'open' ? 'PIN window open' : (row.state === 'expired' ? 'PIN expired' : 'PIN window closed')} for ${who}: ${notes.join('; ')}`,
+        success,
+      });
+      logger.info(`Deadbolt: PIN window (${trigger}) ${row.state} for "${who}": ${notes.join('; ')}`);
+    }
+  });
+}
+
+// A new save starts the user's retries afresh.
+function resetPinWindowRetries(userId) {
+  for (const key of [..._pinWindowRetryAt.keys()]) {
+    if (key.startsWith(`${userId}|`)) _pinWindowRetryAt.delete(key);
+  }
+}
+
+function startPinWindows() {
+  if (_pinWindowTimer) clearInterval(_pinWindowTimer);
+  _pinWindowTimer = setInterval(() => {
+    applyPinWindows('tick').catch((e) => logger.warn(`Deadbolt: PIN window pass failed: ${e.message}`));
+  }, PIN_WINDOW_TICK_MS);
+  if (_pinWindowTimer.unref) _pinWindowTimer.unref();
+  applyPinWindows('startup').catch((e) => logger.warn(`Deadbolt: PIN window pass failed: ${e.message}`));
+}
+
+// ---------------------------------------------------------------------------
+// Scheduled PIN rotation (config.pin_rotation, see src/pin-rotation.js). Every
+// few minutes a due user's new PIN is STAGED (generated under the PIN policy
+// and persisted in config.pin_rotations), then carried through the same steps
+// a Save takes: written over the user's code on each lock they may use,
+// pushed to UniFi, and mailed to them over the alert email SMTP transport
+// once it works somewhere. A lock, UniFi or mail failure waits
+// PIN_ROTATION_RETRY_MS; an offline lock keeps the user's old code until it
+// answers. Users without an email address are never rotated: nobody could
+// tell them their new PIN.
+// ---------------------------------------------------------------------------
+
+const PIN_ROTATION_TICK_MS = 5 * 60 * 1000;
+const PIN_ROTATION_RETRY_MS = 15 * 60 * 1000;
+const PIN_ROTATION_SKIP_MS = 24 * 60 * 60 * 1000;
+const _pinRotationRetryAt = new Map(); // "<userId>|<lockId, 'unifi', 'email' or 'stage'>" -> epoch ms
+let _pinRotationTimer = null;
+
+// Lock ids `userId` may hold a code on, of the given code-capable locks.
+function writableLockIds(userId, capable, access) {
+  return accessGating.classifyLocksForUser(userId, capable.map((l) => ({ lock_id: l.lock_id })), config.door_flows, access)
+    .filter((v) => accessGating.WRITE_VERDICTS.has(v.verdict))
+    .map((v) => v.lock_id);
+}
+
+// Users due for a new PIN now, with the email each would be told at.
+function dueRotationUsers() {
+  const rotation = pinRotation.normalizeRotation(config.pin_rotation);
+  if (!rotation.enabled) return [];
+  const emails = new Map(keypadDirectory().map((u) => [u.id, u.email]));
+  return pinRotation.dueRotations((config.devices && config.devices.zwave && config.devices.zwave.locks) || {}, {
+    at: Date.now(),
+    rules: rotation.rules,
+    groupOf: (id) => resolver.resolve(id).group || null,
+    skip: new Set(Object.keys(config.pin_windows || {}).concat(Object.keys(config.pin_rotations || {}))),
+  }).map((d) => Object.assign(d, { email: emails.get(d.user_id) || null }));
+}
+
+async function applyPinRotations(trigger) {
+  if (zwavePairing.isActive()) return;
+  const rotation = pinRotation.normalizeRotation(config.pin_rotation);
+  if (!rotation.enabled && !Object.keys(config.pin_rotations || {}).length) return;
+  const due = (key) => !(_pinRotationRetryAt.get(key) > Date.now());
+  return withKeypadLock(async () => {
+    const now = Date.now();
+    const settle = (key, ok, ms = PIN_ROTATION_RETRY_MS) => {
+      if (ok) _pinRotationRetryAt.delete(key);
+      else _pinRotationRetryAt.set(key, now + ms);
+    };
+    const capable = (await codeCapableLocks()).filter((l) => l.cap && l.cap.supported !== false);
+    const access = currentAccessModel();
+
+    // Stage: at most max_in_flight rotations at once, oldest due first.
+    const room = rotation.max_in_flight - Object.keys(config.pin_rotations || {}).length;
+    const staging = room > 0 ? dueRotationUsers().filter((d) => due(`${d.user_id}|stage`)).slice(0, room) : [];
+    for (const d of staging) {
+      const who = d.name || d.user_id;
+      if (!d.email || !notifier.canEmail()) {
+        settle(`${d.user_id}|stage`, false, PIN_ROTATION_SKIP_MS);
+        logger.warn(`Deadbolt: PIN rotation for "${who}" is due but not started: ${d.email ? 'no SMTP server is configured (alerts.email)' : 'the user has no email address in UniFi'}`);
+        continue;
+      }
+      const rule = keypadUsers.combinedLengthRule(capable.map((l) => l.cap));
+      const pin = pinPolicy.generatePin(pinPolicy.normalizePolicy(config.pin_policy), rule, {
+        userId: d.user_id,
+        holders: pinPolicy.pinHolders(config),
+        history: (config.pin_history || {})[d.user_id] || [],
+      });
+      if (!pin) {
+        settle(`${d.user_id}|stage`, false, PIN_ROTATION_SKIP_MS);
+        logger.warn(`Deadbolt: PIN rotation for "${who}" not started: no PIN length fits both the locks and the PIN policy`);
+        continue;
+      }
+      const priorPin = pinPolicy.currentPin(config, d.user_id);
+      const stagedAt = new Date(now).toISOString(); // computed once, mutator runs twice
+      persistZwaveMutation((cfg) => {
+        cfg.pin_rotations = cfg.pin_rotations || {};
+        cfg.pin_rotations[d.user_id] = {
+          name: d.name, email: d.email, pin_code: pin, every_days: d.every_days,
+          prior: priorPin ? { pin_code: priorPin } : null,
+          staged_at: stagedAt, notified_at: null, attempts: 0, last_error: null,
+        };
+      });
+      safeAudit({ actor: 'PIN Rotation', action: 'pin_rotation_staged', target: who, detail: `due every ${d.every_days} days (last set ${d.last_set})` });
+    }
+
+    // Advance every staged rotation as far as it will go.
+    const known = (unifiClient && unifiClient.userNames) || new Map();
+    for (const [userId, record] of Object.entries(config.pin_rotations || {})) {
+      if (!record || !record.pin_code) continue;
+      const who = record.name || userId;
+      if (known.size && !known.has(userId)) {
+        cancelPinRotation(userId, 'the user is no longer in UniFi');
+        continue;
+      }
+      const pin = String(record.pin_code);
+      const locksCfg = () => (config.devices && config.devices.zwave && config.devices.zwave.locks) || {};
+      const step = () => pinRotation.rotationStep(userId, config.pin_rotations[userId], locksCfg(), {
+        writableLocks: writableLockIds(userId, capable, access),
+        pinState: config.unifi_pin_state,
+      });
+      const notes = [];
+      let success = true;
+      let written = [];
+      const targets = capable.filter((l) => step().write.includes(l.lock_id) && due(`${userId}|${l.lock_id}`));
+      if (targets.length) {
+        const results = await writePinToLocks(targets, userId, record.name, pin);
+        for (const r of results) settle(`${userId}|${r.lock_id}`, r.slot != null);
+        written = results.filter((r) => r.slot != null);
+        if (written.length) notes.push(`written to ${written.length} lock(s)`);
+        if (written.length < results.length) {
+          success = false;
+          notes.push(`${results.length - written.length} lock(s) not updated (${results.filter((r) => r.error).map((r) => `${lockLabel(r.lock_id)}: ${r.error}`).join('; ')}), retrying in ${PIN_ROTATION_RETRY_MS / 60000} min`);
+        }
+      }
+      if (step().unifi && due(`${userId}|unifi`)) {
+        const u = await syncUnifiPin(userId, record.name, pin, written[0] ? written[0].lock_id : null);
+        settle(`${userId}|unifi`, !!u.success);
+        if (!u.success) success = false;
+        notes.push(`UniFi PIN ${u.success ? 'set' : `FAILED (${u.error || 'unknown error'}), retrying in ${PIN_ROTATION_RETRY_MS / 60000} min`}`);
+      }
+      if (step().notify && due(`${userId}|email`)) {
+        const mail = pinRotation.rotationEmail(config.pin_rotations[userId]);
+        let error = null;
+        try {
+          await notifier.sendEmail({ to: record.email, subject: mail.subject, text: mail.text });
+        } catch (e) {
+          error = e.message;
+        }
+        settle(`${userId}|email`, !error);
+        const at = new Date().toISOString(); // computed once, mutator runs twice
+        persistZwaveMutation((cfg) => {
+          const r = cfg.pin_rotations && cfg.pin_rotations[userId];
+          if (!r) return;
+          if (error) {
+            r.attempts = (r.attempts || 0) + 1;
+            r.last_error = error;
+          } else {
+            r.notified_at = at;
+            r.last_error = null;
+          }
+        });
+        if (error) {
+          success = false;
+          notes.push(`email to ${record.email} FAILED (${error}), retrying in ${PIN_ROTATION_RETRY_MS / 60000} min`);
+          // One audit entry per rotation for a mail problem, not one per retry.
+          if (config.pin_rotations[userId].attempts === 1) {
+            safeAudit({ actor: 'PIN Rotation', action: 'pin_rotation_email_failed', target: who, detail: error });
+          }
+        } else {
+          notes.push(`new PIN emailed to ${record.email}`);
+          safeAudit({ actor: 'PIN Rotation', action: 'pin_rotation_notified', target: who, detail: `emailed to ${record.email}` });
+        }
+      }
+      const finished = step().done;
+      if (finished) {
+        persistZwaveMutation((cfg) => { if (cfg.pin_rotations) delete cfg.pin_rotations[userId]; });
+        // Only now is the old PIN gone everywhere; a cancelled rotation
+        // leaves it current, so it must not land in pin_history.
+        retirePriorPin(userId, record.prior && record.prior.pin_code != null ? String(record.prior.pin_code) : null, pin);
+        resetPinRotationRetries(userId);
+        notes.push('rotation complete');
+        safeAudit({ actor: 'PIN Rotation', action: 'pin_rotated', target: who, detail: `every ${record.every_days} days; staged ${record.staged_at}` });
+      }
+      if (!notes.length) continue;
+      broadcastEvent({
+        type: 'deadbolt.user_code',
+        actor: 'PIN Rotation',
+        location: written.map((r) => lockLabel(r.lock_id)).join(', '),
+        action: `PIN rotation for ${who}: ${notes.join('; ')}`,
+        success,
+      });
+      logger.info(`Deadbolt: PIN rotation (${trigger}) for "${who}": ${notes.join('; ')}`);
+    }
+  });
+}
+
+function resetPinRotationRetries(userId) {
+  for (const key of [..._pinRotationRetryAt.keys()]) {
+    if (key.startsWith(`${userId}|`)) _pinRotationRetryAt.delete(key);
+  }
+}
+
+// A PIN set by hand (or removed) supersedes a staged rotation: drop it so the
+// job neither writes the staged PIN over the new one nor mails it out.
+function cancelPinRotation(userId, why) {
+  const record = config.pin_rotations && config.pin_rotations[userId];
+  if (!record) return;
+  persistZwaveMutation((cfg) => { if (cfg.pin_rotations) delete cfg.pin_rotations[userId]; });
+  resetPinRotationRetries(userId);
+  safeAudit({ actor: 'PIN Rotation', action: 'pin_rotation_cancelled', target: record.name || userId, detail: why });
+}
+
+function startPinRotation() {
+  if (_pinRotationTimer) clearInterval(_pinRotationTimer);
+  _pinRotationTimer = setInterval(() => {
+    applyPinRotations('tick').catch((e) => logger.warn(`Deadbolt: PIN rotation pass failed: ${e.message}`));
+  }, PIN_ROTATION_TICK_MS);
+  if (_pinRotationTimer.unref) _pinRotationTimer.unref();
+  applyPinRotations('startup').catch((e) => logger.warn(`Deadbolt: PIN rotation pass failed: ${e.message}`));
+}
+
 // Register the access-change hook on a (re)built UniFi client so a reconcile
 // runs after each real access change, and once after the first sync. Called at
 // every construction site so the hook survives a full reload.
@@ -1539,6 +2186,8 @@ function userMatchesCurrentPin(userId, candidate) {
   const canon = keypadUsers.canonicalPins(locks).get(userId);
   const stored = (canon && canon.pin)
     || (config.unifi_pin_state && config.unifi_pin_state[userId] && config.unifi_pin_state[userId].pin_code)
+    // A windowed PIN outside its window is on no lock and not in UniFi.
+    || (config.pin_windows && config.pin_windows[userId] && config.pin_windows[userId].pin_code)
     || '';
   if (!stored) return false;
   return timingSafeCompare(candidate, String(stored));
@@ -1581,7 +2230,7 @@ function authorizeSensitivePinOp(body, { allowCurrentPin = false, userId = null
 }
 
 // Append one tamper-evident audit entry. Best-effort: an audit failure is logged
-// but never breaks the underlying door/PIN operation.
+// but never breaks the underlying door/PIN/lockdown operation.
 function safeAudit(rec) {
   try { auditLog.appendEntry(AUDIT_LOG_PATH, rec); }
   catch (e) { logger.warn(`Audit log append failed: ${e.message}`); }
@@ -1731,7 +2380,7 @@ app.post('/webhook', async (req, res) => {
   // already-received webhook into a 500. Automation stays with the observers.
   try {
     const feed = rulesEngine.describeForFeed(payload);
-    if (feed) broadcastEvent({ ...feed, action: '' });
+    if (feed) broadcastEvent({ ...feed, action: '', replay: flowReplay.feedRecord(payload) || undefined });
   } catch (e) {
     logger.warn(`Live feed projection failed: ${e.message}`);
   }
@@ -1777,6 +2426,8 @@ app.get('/health', (req, res) => {
     deadbolt: deadboltHealthStatus(),
     capture: capture.status(),
     alerts: notifier.getStatus(),
+    lockdown: lockdown.getStatus(),
+    lock_rules: lockRuleState.list(),
     memory_mb: Math.round(process.memoryUsage().heapUsed / 1024 / 1024 * 10) / 10
   });
 });
@@ -1820,17 +2471,19 @@ function zwaveSummary() {
 
 // Live deadbolt + lock state for the dashboard. `zwave`/`lock_state` keep
 // the single active-lock shape for existing consumers; `zwave_locks` carries
-// one summary per SAVED lock (multi-lock UI renders a card per entry).
+// one summary per SAVED lock (multi-lock UI renders a card per entry) and
+// `network_locks` one per configured MQTT or HTTP lock.
 app.get('/api/devices', async (req, res) => {
   const zwave = zwaveSummary();
   const zwaveLocks = perLockSummaries();
-  if (!deadboltController) return res.json({ enabled: false, devices: [], zwave, zwave_locks: zwaveLocks });
+  const networkLocks = networkLockSummaries();
+  if (!deadboltController) return res.json({ enabled: false, devices: [], zwave, zwave_locks: zwaveLocks, network_locks: networkLocks });
   const status = withCascadeStats(deadboltController.getStatus());
   let liveState = status.lock;
   if (lockDriver && typeof lockDriver.getState === 'function') {
     try { liveState = await lockDriver.getState(); } catch (e) { /* fall back to snapshot */ }
   }
-  res.json({ enabled: true, deadbolt: status, lock_state: liveState, zwave, zwave_locks: zwaveLocks });
+  res.json({ enabled: true, deadbolt: status, lock_state: liveState, zwave, zwave_locks: zwaveLocks, network_locks: networkLocks });
 });
 
 // ---------------------------------------------------------------------------
@@ -1843,21 +2496,28 @@ function pairingErrorStatus(err) {
   if (err.code === 'ACTIVE') return 409;
   if (err.code === 'NO_PORT') return 400;
   if (err.code === 'BAD_PIN') return 400;
+  if (err.code === 'BAD_QR') return 400;
+  if (err.code === 'NOT_FOUND') return 404;
   if (err.code === 'WRONG_STATE') return 409;
   if (/not installed/i.test(err.message || '')) return 503;
   return 500;
 }
 
 app.post('/api/deadbolt/pair/start', async (req, res) => {
+  if (nvmJob) return res.status(409).json({ error: `a controller ${nvmJob.op} is running; pair when it finishes` });
   try {
     const b = req.body || {};
     // security: 'auto' (default) | 's2' | 's0'. s0 exists for locks like the
     // Yale YRD256 whose S2 bootstrap wedges and cannot fall back in-session.
     // lock_id + model_key drive Add Deadbolt: pair a NEW named lock of a
     // chosen catalog model (both optional; absent = single-lock behavior).
+    // device: 'contact_sensor' + sensor_id pairs a door contact sensor
+    // instead (stored under devices.zwave.sensors).
     const status = await zwavePairing.startInclusion({
       security: b.security,
+      device: b.device,
       lock_id: b.lock_id,
+      sensor_id: b.sensor_id,
       model_key: b.model_key,
       name: b.name,
     });
@@ -1878,6 +2538,48 @@ app.get('/api/deadbolt/pair/status', (req, res) => {
   res.json(zwavePairing.status());
 });
 
+// SmartStart provisioning list. A device added here joins by itself when it
+// is powered up in range; ZwavePairing matches the join to its entry and it
+// lands in config through onIncludeDone like a paired one.
+app.get('/api/deadbolt/smart-start', (req, res) => {
+  const entries = zwavePairing.smartStartEntries();
+  res.json({ driver_running: entries !== null, entries: entries || [] });
+});
+
+// body: {qr, device?, lock_id?, sensor_id?, name?, model_key?}
+app.post('/api/deadbolt/smart-start', async (req, res) => {
+  if (nvmJob) return res.status(409).json({ error: `a controller ${nvmJob.op} is running; add the device when it finishes` });
+  const b = req.body || {};
+  if (typeof b.qr !== 'string' || !b.qr.trim() || b.qr.length > 500) {
+    return res.status(400).json({ error: 'qr must be the QR code text (the digit string starting with 90)' });
+  }
+  for (const f of ['lock_id', 'sensor_id', 'name', 'model_key']) {
+    if (b[f] != null && (typeof b[f] !== 'string' || b[f].length > 100)) return res.status(400).json({ error: `${f} must be a string of at most 100 characters` });
+  }
+  if (b.model_key && !lockCatalog.profileForKey(b.model_key)) return res.status(400).json({ error: `unknown model "${b.model_key}"` });
+  try {
+    const entry = await zwavePairing.provisionSmartStart({
+      qr: b.qr,
+      device: b.device,
+      lock_id: b.lock_id,
+      sensor_id: b.sensor_id,
+      name: b.name,
+      model_key: b.model_key,
+    });
+    res.json({ status: 'provisioned', entry });
+  } catch (err) {
+    res.status(pairingErrorStatus(err)).json({ error: err.message });
+  }
+});
+
+app.delete('/api/deadbolt/smart-start/:dsk', (req, res) => {
+  try {
+    res.json(zwavePairing.unprovisionSmartStart(req.params.dsk));
+  } catch (err) {
+    res.status(/not running/.test(err.message) ? 503 : pairingErrorStatus(err)).json({ error: err.message });
+  }
+});
+
 // One-file support bundle: everything needed to diagnose a pairing or
 // connection problem without hunting log folders. Secrets are redacted with
 // the same helper GET /api/config uses; log tails are size-capped.
@@ -1963,10 +2665,14 @@ app.post('/api/deadbolt/unpair', async (req, res) => {
       if (ctrl && typeof ctrl.isFailedNode === 'function' && await ctrl.isFailedNode(nodeId)) {
         await ctrl.removeFailedNode(nodeId);
         persistZwaveMutation((cfg) => {
-          const locks = (cfg.devices && cfg.devices.zwave && cfg.devices.zwave.locks) || {};
+          const zwc = (cfg.devices && cfg.devices.zwave) || {};
+          const locks = zwc.locks || {};
           for (const id of Object.keys(locks)) {
             if (locks[id] && locks[id].node_id === nodeId) removeLockEntry(cfg, id);
           }
+          for (const [id, sensor] of Object.entries(zwc.sensors || {})) {
+            if (sensor && sensor.node_id === nodeId) delete zwc.sensors[id];
+          }
         });
         await bringDeadboltOnline();
         logger.info(`Z-Wave: failed node ${nodeId} removed directly (no exclusion needed) and its saved lock entry deleted`);
@@ -2049,10 +2755,38 @@ function perLockSummaries() {
       auto_relock: !lc || lc.auto_relock == null ? null : !!lc.auto_relock,
       auto_relock_support: (driver && typeof driver.autoRelockInfo === 'function')
         ? driver.autoRelockInfo() : null,
+      // Whether the card offers Lock settings (Configuration CC parameters).
+      config_params_support: (driver && typeof driver.configParamsInfo === 'function')
+        ? driver.configParamsInfo().supported : false,
       // Lets the card show Rewrite Codes only when there is something to
       // rewrite (the per-card PIN editor moved to the global Keypad users
       // panel).
       user_code_count: Object.keys((lc && lc.user_codes) || {}).length,
+      firmware_version: (snap && snap.firmwareVersion) || (lc && lc.firmware_version) || null,
+      firmware_update: firmwareUpdates.get(lockId) || null,
+    };
+  });
+}
+
+// The same card shape for MQTT and HTTP locks. Nothing to pair, interview
+// or flash; the card shows live state and the test buttons.
+function networkLockSummaries() {
+  return Object.entries(networkLocksConfig()).map(([lockId, { transport, cfg: lc }]) => {
+    const driver = lockDrivers.get(lockId) || null;
+    const snap = driver && typeof driver.snapshot === 'function' ? driver.snapshot() : null;
+    const triggerDoors = doorFlows.gatingDoorsForLock(config.door_flows, lockId).map((d) => d.name);
+    return {
+      lock_id: lockId,
+      name: lc.name || null,
+      transport,
+      paired: true,
+      bound: !!driver,
+      automated: triggerDoors.length > 0,
+      trigger_door: triggerDoors[0] || null,
+      trigger_doors: triggerDoors,
+      lock_state: snap,
+      config_params_support: false,
+      user_code_count: 0,
     };
   });
 }
@@ -2090,8 +2824,13 @@ app.get('/api/deadbolt/locks', (req, res) => {
       battery: bound ? snap.battery : null,
       battery_low: bound ? !!snap.batteryLow : false,
       link_state: bound ? snap.linkState : null,
+      firmware_version: (bound && snap.firmwareVersion) || (lc && lc.firmware_version) || null,
     });
   }
+  // Paired contact sensors are listed in their own table, never as ghosts.
+  for (const sensor of Object.values(zw.sensors || {})) {
+    if (sensor && sensor.node_id > 0) seen.add(sensor.node_id);
+  }
   const nodes = ctrl && ctrl.nodes;
   if (nodes && typeof nodes.forEach === 'function') {
     nodes.forEach((node, id) => {
@@ -2136,6 +2875,83 @@ app.delete('/api/deadbolt/locks/:lock_id', async (req, res) => {
   res.json({ status: 'removed', lock_id: lockId });
 });
 
+// Paired door contact sensors with their live state, for the Contact sensors
+// table. open_seconds counts up while a door stands open.
+app.get('/api/deadbolt/sensors', (req, res) => {
+  const saved = (config.devices && config.devices.zwave && config.devices.zwave.sensors) || {};
+  const now = Date.now();
+  const sensors = Object.entries(saved).map(([sensorId, sc]) => {
+    const driver = sensorDrivers.get(sensorId);
+    const snap = driver ? driver.snapshot() : null;
+    return {
+      sensor_id: sensorId,
+      name: (sc && sc.name) || null,
+      node_id: (sc && sc.node_id) || 0,
+      door: (sc && sc.door) || null,
+      door_id: (sc && sc.door_id) || null,
+      held_open_seconds: sc && sc.held_open_seconds != null ? sc.held_open_seconds : contactSensors.DEFAULT_HELD_OPEN_SECONDS,
+      security_class: (sc && sc.security_class) || null,
+      bound: !!snap,
+      state: snap ? snap.state : null,
+      open_seconds: snap ? contactSensors.openSeconds(snap, now) : 0,
+      held_open: snap ? contactSensors.isHeldOpen(snap, sc, now) : false,
+      battery: snap ? snap.battery : null,
+      battery_low: snap ? !!snap.batteryLow : false,
+      link_state: snap ? snap.linkState : null,
+    };
+  });
+  res.json({ sensors });
+});
+
+// Attach a sensor to a door and set its name and held-open threshold. Read
+// live by the sensor's event handler and the held-open monitor, so no
+// rebuild is needed.
+app.put('/api/deadbolt/sensors/:sensor_id', (req, res) => {
+  const sensorId = req.params.sensor_id;
+  const saved = (config.devices && config.devices.zwave && config.devices.zwave.sensors) || {};
+  if (!Object.prototype.hasOwnProperty.call(saved, sensorId)) return res.status(404).json({ error: `no saved contact sensor "${sensorId}"` });
+  const b = req.body || {};
+  const patch = {};
+  for (const f of ['name', 'door', 'door_id']) {
+    if (b[f] === undefined) continue;
+    if (b[f] !== null && (typeof b[f] !== 'string' || b[f].length > 100)) return res.status(400).json({ error: `${f} must be a string of at most 100 characters` });
+    patch[f] = b[f] ? b[f].trim() || null : null;
+  }
+  if (b.held_open_seconds !== undefined) {
+    const n = Number(b.held_open_seconds);
+    if (!Number.isInteger(n) || n < 0 || n > 86400) return res.status(400).json({ error: 'held_open_seconds must be a whole number from 0 (no alert) to 86400' });
+    patch.held_open_seconds = n;
+  }
+  // A renamed door keeps no stale id.
+  if (patch.door !== undefined && b.door_id === undefined) patch.door_id = null;
+  persistZwaveMutation((cfg) => {
+    const sensors = cfg.devices && cfg.devices.zwave && cfg.devices.zwave.sensors;
+    if (sensors && sensors[sensorId]) Object.assign(sensors[sensorId], patch);
+  });
+  logger.info(`Z-Wave: contact sensor "${sensorLabel(sensorId)}" updated (${Object.keys(patch).join(', ') || 'no changes'})`);
+  res.json({ status: 'ok', sensor_id: sensorId, sensor: saved[sensorId] });
+});
+
+// Remove a SAVED sensor entry that is no longer paired; a paired sensor goes
+// through Unpair first, exactly as a lock does.
+app.delete('/api/deadbolt/sensors/:sensor_id', async (req, res) => {
+  const sensorId = req.params.sensor_id;
+  if (zwavePairing.isActive()) {
+    return res.status(409).json({ error: 'A pairing session is in progress' });
+  }
+  const saved = (config.devices && config.devices.zwave && config.devices.zwave.sensors) || {};
+  const entry = Object.prototype.hasOwnProperty.call(saved, sensorId) ? saved[sensorId] : null;
+  if (!entry) return res.status(404).json({ error: `no saved contact sensor "${sensorId}"` });
+  if (entry.node_id > 0) {
+    return res.status(409).json({ error: `"${sensorLabel(sensorId)}" is still paired (node ${entry.node_id}); use Unpair first` });
+  }
+  const label = sensorLabel(sensorId);
+  persistZwaveMutation((cfg) => { delete cfg.devices.zwave.sensors[sensorId]; });
+  await bringDeadboltOnline();
+  logger.info(`Z-Wave: removed saved contact sensor entry "${label}" (was not paired)`);
+  res.json({ status: 'removed', sensor_id: sensorId });
+});
+
 // Measured node health (ping, RTT/RSSI/route stats, one lifeline probe).
 // Fire from the dashboard to answer "why is the link dropping" with numbers.
 let lastDeadboltHealth = null;
@@ -2157,6 +2973,79 @@ app.post('/api/deadbolt/health-check', async (req, res) => {
   }
 });
 
+// ---------------------------------------------------------------------------
+// Network diagnostics: every node on the stick with its link numbers and a
+// plain verdict, so a weak lock gets a repeater before it starts failing
+// retracts. The view is read-only; the per-node health check is real RF
+// traffic and keeps its last result here (in memory) for the verdict.
+// ---------------------------------------------------------------------------
+
+const nodeHealthChecks = new Map(); // node_id -> last checkNodeHealth() result
+
+// node_id -> {kind, id, name} for the saved locks and sensors.
+function savedNodeOwners() {
+  const zw = (config.devices && config.devices.zwave) || {};
+  const owners = new Map();
+  for (const [lockId, lc] of Object.entries(zw.locks || {})) {
+    if (lc && lc.node_id > 0) owners.set(lc.node_id, { kind: 'lock', id: lockId, name: lockLabel(lockId) });
+  }
+  for (const [sensorId, sc] of Object.entries(zw.sensors || {})) {
+    if (sc && sc.node_id > 0) owners.set(sc.node_id, { kind: 'contact_sensor', id: sensorId, name: sensorLabel(sensorId) });
+  }
+  return owners;
+}
+
+app.get('/api/deadbolt/network', async (req, res) => {
+  if (!zwaveManager.isRunning()) return res.status(503).json({ error: 'the Z-Wave driver is not running' });
+  if (nvmJob) return res.status(409).json({ error: `a controller ${nvmJob.op} is running; the radio is off until it finishes` });
+  try {
+    const diag = await zwaveManager.networkDiagnostics();
+    const owners = savedNodeOwners();
+    const noiseFloor = diag.controller.background_rssi ? diag.controller.background_rssi.noise_floor_dbm : null;
+    const nodes = diag.nodes.map((n) => {
+      const owner = owners.get(n.node_id) || null;
+      const health = nodeHealthChecks.get(n.node_id) || null;
+      const row = Object.assign({}, n, {
+        kind: owner ? owner.kind : 'other',
+        id: owner ? owner.id : null,
+        name: owner ? owner.name : null,
+        model: nodeModelLabel(zwaveManager.getNode(n.node_id)),
+        health: health && health.lifeline ? Object.assign({ checked_at: health.checked_at }, health.lifeline) : null,
+      });
+      row.assessment = zwaveDiagnostics.assessNode(row, noiseFloor);
+      return row;
+    });
+    res.json({ controller: diag.controller, nodes });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Ping plus a lifeline health check on any node (lock, sensor or other).
+// body: {node_id, rounds?} with rounds 1..10 (default 1; each adds seconds).
+app.post('/api/deadbolt/network/health-check', async (req, res) => {
+  const b = req.body || {};
+  const nodeId = Number(b.node_id);
+  if (!Number.isInteger(nodeId) || nodeId < 1) return res.status(400).json({ error: 'node_id must be a node number' });
+  if (b.rounds !== undefined && !(Number.isInteger(b.rounds) && b.rounds >= 1 && b.rounds <= 10)) {
+    return res.status(400).json({ error: 'rounds must be a whole number from 1 to 10' });
+  }
+  if (zwavePairing.isActive()) return res.status(409).json({ error: 'A pairing session is in progress' });
+  if (nvmJob) return res.status(409).json({ error: `a controller ${nvmJob.op} is running; the radio is off until it finishes` });
+  if (!zwaveManager.isRunning()) return res.status(503).json({ error: 'the Z-Wave driver is not running' });
+  if (!zwaveManager.getNode(nodeId)) return res.status(404).json({ error: `node ${nodeId} is not on the stick` });
+  try {
+    const result = Object.assign({ checked_at: new Date().toISOString() }, await zwaveManager.checkNodeHealth(nodeId, b.rounds || 1));
+    nodeHealthChecks.set(nodeId, result);
+    const owner = savedNodeOwners().get(nodeId);
+    const rating = result.lifeline && result.lifeline.rating != null ? `${result.lifeline.rating}/10` : 'no rating';
+    logger.info(`Z-Wave: health check on node ${nodeId}${owner ? ` ("${owner.name}")` : ''}: ping ${result.ping_ok ? 'ok' : 'failed'}, ${rating}`);
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Manual test of the paired deadbolt from the dashboard. Uses the same
 // verified lock()/unlock() the automation uses; UniFi is never involved.
 app.post('/api/deadbolt/control', async (req, res) => {
@@ -2225,10 +3114,79 @@ app.post('/api/deadbolt/auto-relock', async (req, res) => {
   }
 });
 
-// ---------------------------------------------------------------------------
-// Per-user keypad PIN codes on the deadbolt (User Code CC). The app is the
-// source of truth: codes are written to the lock's slots and persisted (0600
-// config, pin_code fields redacted everywhere by SECRET_KEY_RX). Optionally
+// Per-lock settings: the Configuration CC parameters the catalog lists for
+// the model (beeper, vacation mode, wrong-code limit, ...). GET asks the
+// lock, or the driver cache while it sleeps. POST writes one parameter, reads
+// it back, and records the change in the audit log even when the read-back
+// does not match (the write may still land once the lock wakes).
+app.get('/api/deadbolt/config-params', async (req, res) => {
+  const target = resolveLockRequest(req, res);
+  if (!target) return;
+  if (typeof target.driver.readConfigParams !== 'function') {
+    return res.status(503).json({ error: 'the active lock driver does not support lock settings' });
+  }
+  try {
+    const info = target.driver.configParamsInfo();
+    const params = await target.driver.readConfigParams();
+    res.json({ lock_id: target.lockId, supported: info.supported, model_key: info.model_key, note: info.note, params });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/deadbolt/config-params', async (req, res) => {
+  const b = req.body || {};
+  if (!Number.isInteger(b.parameter) || !Number.isInteger(b.value)) {
+    return res.status(400).json({ error: 'parameter and value must be whole numbers' });
+  }
+  if (zwavePairing.isActive()) {
+    return res.status(409).json({ error: 'A pairing session is in progress' });
+  }
+  const target = resolveLockRequest(req, res);
+  if (!target) return;
+  if (typeof target.driver.setConfigParam !== 'function') {
+    return res.status(503).json({ error: 'the active lock driver does not support lock settings' });
+  }
+  // Validate here too so a bad request is a 400, not a driver error.
+  const info = target.driver.configParamsInfo();
+  const param = info.params.find((p) => p.parameter === b.parameter);
+  if (!param) {
+    return res.status(400).json({
+      error: info.supported
+        ? `parameter ${b.parameter} is not an editable setting for this lock model`
+        : (info.note || 'this lock model has no settings editable over Z-Wave'),
+    });
+  }
+  const invalid = lockCatalog.configValueError(param, b.value);
+  if (invalid) return res.status(400).json({ error: invalid });
+  try {
+    const result = await target.driver.setConfigParam(b.parameter, b.value);
+    const to = lockCatalog.configValueLabel(param, result.value);
+    const verdict = result.confirmed == null ? 'not confirmed yet (lock did not answer the read-back)'
+      : result.confirmed ? 'read-back confirmed' : 'READ-BACK MISMATCH';
+    safeAudit({
+      actor: 'admin',
+      action: 'lock_setting_changed',
+      target: lockLabel(target.lockId),
+      detail: `${param.label} (parameter ${param.parameter}): ${lockCatalog.configValueLabel(param, result.previous)} -> ${to}; ${verdict}`,
+    });
+    broadcastEvent({
+      type: 'deadbolt.config',
+      actor: 'GUI Admin',
+      location: lockLabel(target.lockId),
+      action: `${param.label} set to ${to}${result.confirmed === false ? ' (the lock reports a different value)' : ''}`,
+      success: result.confirmed !== false,
+    });
+    res.json({ lock_id: target.lockId, parameter: result.parameter, value: result.value, previous: result.previous, confirmed: result.confirmed });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Per-user keypad PIN codes on the deadbolt (User Code CC). The app is the
+// source of truth: codes are written to the lock's slots and persisted (0600
+// config, pin_code fields redacted everywhere by SECRET_KEY_RX). Optionally
 // the same PIN is pushed to the user's UniFi Access account so UniFi readers
 // match; UniFi never returns existing PINs in plaintext, so there is no
 // mirror-from-UniFi path. All lock operations are targeted per-slot writes
@@ -2316,6 +3274,11 @@ app.post('/api/deadbolt/user-codes', async (req, res) => {
   // to change their own. Closes the bypass of writing codes via the raw layer.
   const auth = authorizeSensitivePinOp(b, { allowCurrentPin: true, userId: b.user_id });
   if (!auth.ok) return res.status(auth.status).json({ error: auth.error });
+  const violations = pinPolicyViolations(b.user_id, pin);
+  if (violations.length) {
+    return res.status(400).json({ error: pinPolicy.policyError(violations), policy_errors: violations });
+  }
+  const priorPin = pinPolicy.currentPin(config, b.user_id);
   try {
     const cap = await target.driver.userCodesCapability();
     if (!cap.supported) {
@@ -2375,6 +3338,7 @@ app.post('/api/deadbolt/user-codes', async (req, res) => {
         updated_at: new Date().toISOString(),
       };
     });
+    retirePriorPin(b.user_id, priorPin, pin);
     // Optional UniFi push, decided per save by the operator ("overwrite the
     // PIN in UniFi for this user?"). Failure keeps the lock code and is
     // reported separately so the UI can explain (e.g. token scope).
@@ -2603,6 +3567,8 @@ app.get('/api/deadbolt/keypad-users', async (req, res) => {
     const users = keypadUsers.aggregateKeypadUsers(zwLocks, relevantForAgg, verdicts).map((u) => Object.assign(u, {
       user_missing: !!(u.user_id && known.size && !known.has(u.user_id)),
     }));
+    const policy = pinPolicy.normalizePolicy(config.pin_policy);
+    const portal = pinLinks.normalizePortal(config.pin_portal);
     res.json({
       locks: capable.map((l) => {
         const doors = gatingDoorsFor(l.lock_id);
@@ -2617,6 +3583,8 @@ app.get('/api/deadbolt/keypad-users', async (req, res) => {
         };
       }),
       pin_rule: keypadUsers.combinedLengthRule(relevant.map((l) => l.cap)),
+      // The site PIN policy in words; the banned PINs themselves stay here.
+      pin_policy: { min_length: policy.min_length, history: policy.history, description: pinPolicy.describePolicy(policy) },
       access_gating: accessGatingStatus(),
       // Pickable users straight from the live sync (in-memory, zero extra
       // I/O). The frontend picker sources from THIS on every refresh, so it
@@ -2627,12 +3595,189 @@ app.get('/api/deadbolt/keypad-users', async (req, res) => {
         .map(([id, nm]) => ({ id, name: nm }))
         .sort((a, b) => String(a.name).localeCompare(String(b.name))),
       users,
+      // Guest / contractor PINs with a validity window, including those
+      // outside it (they hold no code anywhere until it opens).
+      windows: pinWindows.describeWindows(config.pin_windows, Date.now(),
+        config.site && config.site.timezone, config.site && config.site.holidays),
+      // Scheduled PIN rotation: what is staged and who is due.
+      rotation: pinRotationStatus(relevant, access),
+      // Self-service PIN links can be sent (the portal is on with a link
+      // address, and mail works).
+      pin_portal: { enabled: portal.enabled && !!portal.public_url && notifier.canEmail() },
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// Write one user's PIN to the given code-capable locks ({lock_id, driver,
+// cap} rows from codeCapableLocks) and persist each accepted slot. Returns one
+// row per lock: {lock_id, slot, confirmed} or {lock_id, error}. Raw: callers
+// serialize with withKeypadLock.
+async function writePinToLocks(locks, userId, name, pin) {
+  const zwLocks = (config.devices && config.devices.zwave && config.devices.zwave.locks) || {};
+  const results = [];
+  const plan = keypadUsers.planUserSave(
+    zwLocks,
+    locks.map((l) => ({ lock_id: l.lock_id, cap: l.cap })),
+    userId, pin
+  );
+  for (const row of plan) {
+    if (row.error) { results.push(row); continue; }
+    const entry = locks.find((l) => l.lock_id === row.lock_id);
+    try {
+      const r = await entry.driver.setUserCode(row.slot, pin);
+      if (r.confirmed === false) {
+        results.push({ lock_id: row.lock_id, error: 'the lock rejected this code (usually a duplicate PIN or a mismatched code length)' });
+        continue;
+      }
+      persistZwaveMutation((cfg) => {
+        const locksCfg = cfg.devices && cfg.devices.zwave && cfg.devices.zwave.locks;
+        if (!locksCfg || !locksCfg[row.lock_id]) return;
+        locksCfg[row.lock_id].user_codes = locksCfg[row.lock_id].user_codes || {};
+        locksCfg[row.lock_id].user_codes[String(row.slot)] = {
+          user_id: userId,
+          name,
+          pin_code: pin,
+          pushed_to_unifi: false,
+          confirmed: r.confirmed === true ? true : null,
+          updated_at: new Date().toISOString(),
+        };
+        // Writing this slot supersedes any queued clear for it, so drop a
+        // stale pending_clears marker rather than let a retry wipe the new code.
+        if (locksCfg[row.lock_id].pending_clears) delete locksCfg[row.lock_id].pending_clears[String(row.slot)];
+      });
+      results.push({ lock_id: row.lock_id, slot: row.slot, confirmed: r.confirmed });
+    } catch (e) {
+      results.push({ lock_id: row.lock_id, error: e.message });
+    }
+  }
+  return results;
+}
+
+// The site PIN policy (src/pin-policy.js) for `userId`: what is wrong with
+// `pin`, empty when it passes. `history: false` skips the reuse check, for a
+// PIN the user already holds (a push or a window opening is not a new pick).
+function pinPolicyViolations(userId, pin, { history = true } = {}) {
+  return pinPolicy.checkPin(pin, {
+    policy: pinPolicy.normalizePolicy(config.pin_policy),
+    userId,
+    holders: pinPolicy.pinHolders(config),
+    history: history ? ((config.pin_history || {})[userId] || []) : [],
+  });
+}
+
+// A save replaced `priorPin` with `pin`: remember the old one for the
+// policy's no-reuse rule (pinPolicy.currentPin read it before the save).
+function retirePriorPin(userId, priorPin, pin) {
+  const keep = pinPolicy.normalizePolicy(config.pin_policy).history;
+  if (!priorPin || priorPin === pin) return;
+  if (!keep && !(config.pin_history && config.pin_history[userId])) return;
+  const now = new Date().toISOString(); // computed once, mutator runs twice
+  persistZwaveMutation((cfg) => pinPolicy.recordRetiredPin(cfg, userId, priorPin, now, keep));
+}
+
+// Bring a user's UniFi PIN in line with `pin` (one PIN per user everywhere).
+// Skips the API call when UniFi already holds this exact PIN (re-assigning it
+// errors with CODE_SYSTEM_ERROR), then records which entries match UniFi.
+// `lockId` is the lock the PIN was just written to, if any. Returns the
+// `unifi` block the keypad endpoints report.
+async function syncUnifiPin(userId, name, pin, lockId) {
+  const unifi = { attempted: true, success: null, permission_denied: false, error: null };
+  // The last gate before UniFi: a PIN the site policy refuses never becomes
+  // a building credential, whichever path got it this far.
+  const violations = pinPolicyViolations(userId, pin, { history: false });
+  if (violations.length) {
+    unifi.success = false;
+    unifi.error = pinPolicy.policyError(violations);
+    logger.warn(`Deadbolt: not pushing the PIN for "${name || userId}" to UniFi: ${unifi.error}`);
+    return unifi;
+  }
+  const pushPlan = planUnifiPinPush(
+    (config.devices && config.devices.zwave && config.devices.zwave.locks) || {},
+    lockId, userId, pin,
+    config.unifi_pin_state
+  );
+  let synced = pushPlan.action === 'skip_in_sync';
+  if (synced) {
+    unifi.success = true;
+    unifi.skipped = 'already in sync';
+    logger.info(`Deadbolt: UniFi already holds this PIN for "${name || userId}"; skipping the push`);
+  } else if (unifiClient && typeof unifiClient.assignUserPin === 'function') {
+    const push = await unifiClient.assignUserPin(userId, pin);
+    unifi.success = !!push.success;
+    unifi.permission_denied = !!push.permission_denied;
+    unifi.error = push.error || null;
+    if (push.statusCode) unifi.status_code = push.statusCode;
+    synced = !!push.success;
+  } else {
+    unifi.success = false;
+    unifi.error = 'UniFi client is not connected';
+  }
+  // CODE_SYSTEM_ERROR is UniFi's "that PIN already exists" rejection. It is
+  // ambiguous (this user's own PIN = harmless, someone else's = pick a new
+  // one), so explain rather than guess; state is never written on failure.
+  if (!unifi.success && /CODE_SYSTEM_ERROR/i.test(unifi.error || '')) {
+    unifi.hint = 'UniFi already has this exact PIN. If it is this user\'s existing PIN everything already matches; if another user holds it, choose a different PIN (UniFi PINs are unique per person).';
+  }
+  if (synced) {
+    const now = new Date().toISOString();
+    persistZwaveMutation((cfg) => {
+      const locks = (cfg.devices && cfg.devices.zwave && cfg.devices.zwave.locks) || {};
+      for (const lock of Object.values(locks)) {
+        for (const e of Object.values((lock && lock.user_codes) || {})) {
+          if (!e || e.user_id !== userId) continue;
+          // Entries holding THIS pin now match UniFi; an older different
+          // PIN on some lock no longer does.
+          e.pushed_to_unifi = String(e.pin_code) === pin;
+        }
+      }
+      // Durable user-level memory: survives code deletion/revocation, so a
+      // later re-add of the same PIN skips the push UniFi would reject.
+      recordUnifiPin(cfg, userId, pin, now);
+    });
+  }
+  return unifi;
+}
+
+// Write one user's PIN through the access gate: split the code-capable locks
+// into those this user may hold a code on (allowed / ungated / unknown -> fail
+// open) and those they are confirmed NOT allowed on (denied on EVERY gating
+// door -> block + revoke any existing code; the collapsed UNION verdict, so
+// allowed via a second trigger door always wins). A lock wired to no door is
+// 'ungated' and behaves as before. Returns the per-lock result rows. Raw:
+// callers serialize with withKeypadLock.
+async function writeGatedPin(capable, userId, name, pin, access) {
+  const zwLocks = (config.devices && config.devices.zwave && config.devices.zwave.locks) || {};
+  const verdicts = accessGating.classifyLocksForUser(
+    userId, capable.map((l) => ({ lock_id: l.lock_id })), config.door_flows, access
+  );
+  const verdictByLock = new Map(verdicts.map((v) => [v.lock_id, v]));
+  const writable = capable.filter((l) => accessGating.WRITE_VERDICTS.has(verdictByLock.get(l.lock_id).verdict));
+  const denied = capable.filter((l) => accessGating.REVOKE_VERDICTS.has(verdictByLock.get(l.lock_id).verdict));
+  const results = [];
+  // Revoke first: a user who lost access to a door must not keep a working
+  // code on its deadbolt. Only fires on a CONFIRMED denial (never 'unknown').
+  // revokeHeldCode marks revoked true only when the physical clear confirms;
+  // an unconfirmed clear reports revoke_pending and queues a retry.
+  for (const l of denied) {
+    const v = verdictByLock.get(l.lock_id);
+    const reason = `no UniFi access to "${v.doors.join('", "')}"`;
+    const held = Object.entries((zwLocks[l.lock_id] && zwLocks[l.lock_id].user_codes) || {})
+      .find(([, e]) => e && e.user_id === userId);
+    if (held) {
+      const r = await revokeHeldCode(
+        { lockId: l.lock_id, driver: l.driver, label: l.label },
+        Number(held[0]), userId, reason);
+      results.push({ lock_id: l.lock_id, blocked: true, revoked: r.revoked, revoke_pending: r.revoke_pending, reason });
+    } else {
+      results.push({ lock_id: l.lock_id, blocked: true, revoked: false, revoke_pending: false, reason });
+    }
+  }
+  for (const r of await writePinToLocks(writable, userId, name, pin)) results.push(r);
+  return results;
+}
+
 // Set a user's ONE PIN: written to every code-capable lock (sequentially -
 // battery locks queue writes), then always synced to the user's UniFi PIN.
 // Locks that cannot take the code (full, duplicate, length rule) are reported
@@ -2645,95 +3790,93 @@ app.post('/api/deadbolt/keypad-users', async (req, res) => {
   if (!b.user_id || typeof b.user_id !== 'string') {
     return res.status(400).json({ error: 'user_id is required (pick a synced UniFi user)' });
   }
-  const pin = typeof b.pin === 'string' ? b.pin.trim() : '';
-  if (!/^[0-9]{4,10}$/.test(pin)) {
-    return res.status(400).json({ error: 'pin must be 4 to 10 digits' });
+  let pin = typeof b.pin === 'string' ? b.pin.trim() : '';
+  // "generate": the server picks a random PIN the policy accepts and returns
+  // it once, in this response.
+  const generate = pin === 'generate';
+  if (!generate && !/^[0-9]{4,10}$/.test(pin)) {
+    return res.status(400).json({ error: 'pin must be 4 to 10 digits, or "generate"' });
   }
   // Adding a new user's PIN or changing an existing one requires the admin PIN;
   // a user may instead change their OWN PIN with their current PIN.
   const auth = authorizeSensitivePinOp(b, { allowCurrentPin: true, userId: b.user_id });
   if (!auth.ok) return res.status(auth.status).json({ error: auth.error });
+  // valid_from / valid_until / schedule make this a windowed (guest or
+  // contractor) PIN that the background job writes and clears on its edges.
+  // Only an admin sets or lifts a window: a user changing their own PIN keeps
+  // the window they have.
+  const windowErrors = pinWindows.validatePinWindow(b);
+  if (windowErrors.length) {
+    return res.status(400).json({ error: windowErrors.join('; ') });
+  }
+  const priorWindow = (config.pin_windows && config.pin_windows[b.user_id]) || null;
+  const window = auth.actor === 'user' ? pinWindows.normalizeWindow(priorWindow) : pinWindows.normalizeWindow(b);
+  const site = config.site || {};
+  const windowInfo = window
+    ? Object.assign({ state: pinWindows.windowState(window, Date.now(), site.timezone, site.holidays) }, window)
+    : null;
+  if (windowInfo && windowInfo.state === 'expired') {
+    return res.status(400).json({ error: 'valid_until has already passed' });
+  }
   try {
     const capable = await codeCapableLocks();
     if (!capable.length) {
       return res.status(503).json({ error: 'no paired lock supports keypad codes' });
     }
-    const zwLocks = (config.devices && config.devices.zwave && config.devices.zwave.locks) || {};
     const known = (unifiClient && unifiClient.userNames) || new Map();
     const name = (typeof b.name === 'string' && b.name.trim()) || known.get(b.user_id) || null;
     const results = [];
+    // Checked only now, behind the PIN gate: "held by another user" must not
+    // answer an unauthorized caller probing for PINs.
+    if (generate) {
+      const rule = keypadUsers.combinedLengthRule(capable.filter((l) => l.cap && l.cap.supported !== false).map((l) => l.cap));
+      pin = pinPolicy.generatePin(pinPolicy.normalizePolicy(config.pin_policy), rule, {
+        userId: b.user_id,
+        holders: pinPolicy.pinHolders(config),
+        history: (config.pin_history || {})[b.user_id] || [],
+      });
+      if (!pin) return res.status(409).json({ error: 'no PIN length fits both the locks and the PIN policy' });
+    } else {
+      const violations = pinPolicyViolations(b.user_id, pin);
+      if (violations.length) {
+        return res.status(400).json({ error: pinPolicy.policyError(violations), policy_errors: violations });
+      }
+    }
+    const priorPin = pinPolicy.currentPin(config, b.user_id);
+    const generated = generate ? { generated_pin: pin } : {};
+    cancelPinRotation(b.user_id, 'a new PIN was saved by hand');
 
-    // Access gating: split the code-capable locks into those this user may
-    // hold a code on (allowed / ungated / unknown -> fail open) and those they
-    // are confirmed NOT allowed on (denied on EVERY gating door -> block +
-    // revoke any existing code; the collapsed UNION verdict, so allowed via a
-    // second trigger door always wins). A lock wired to no door is 'ungated'
-    // and behaves as before.
-    const access = currentAccessModel();
-    const verdicts = accessGating.classifyLocksForUser(
-      b.user_id, capable.map((l) => ({ lock_id: l.lock_id })), config.door_flows, access
-    );
-    const verdictByLock = new Map(verdicts.map((v) => [v.lock_id, v]));
-    const writable = capable.filter((l) => accessGating.WRITE_VERDICTS.has(verdictByLock.get(l.lock_id).verdict));
-    const denied = capable.filter((l) => accessGating.REVOKE_VERDICTS.has(verdictByLock.get(l.lock_id).verdict));
+    if (window || priorWindow) {
+      resetPinWindowRetries(b.user_id);
+      const updatedAt = new Date().toISOString(); // computed once, mutator runs twice
+      persistZwaveMutation((cfg) => {
+        if (window) {
+          cfg.pin_windows = cfg.pin_windows || {};
+          cfg.pin_windows[b.user_id] = Object.assign({ name, pin_code: pin }, window, { updated_at: updatedAt });
+        } else if (cfg.pin_windows) {
+          delete cfg.pin_windows[b.user_id]; // a permanent PIN replaces the window
+        }
+      });
+    }
+    if (windowInfo && windowInfo.state !== 'open') {
+      // Outside its window nothing is written now: the job clears any code
+      // the user still holds and writes this PIN when the window opens.
+      await applyPinWindows('pin_saved');
+      retirePriorPin(b.user_id, priorPin, pin);
+      safeAudit({
+        actor: auth.actor,
+        action: auth.actor === 'user' ? 'pin_changed_by_user' : 'pin_set',
+        target: name || b.user_id,
+        detail: `windowed PIN saved (${windowInfo.state}); written when its window opens`,
+      });
+      return res.json(Object.assign({ user_id: b.user_id, name, results, unifi: { attempted: false }, window: windowInfo }, generated));
+    }
 
     // All driver-plus-persistence work runs under one lock so a periodic
     // reconcile or a wake-triggered retry cannot interleave with this Save.
+    const access = currentAccessModel();
     await withKeypadLock(async () => {
-      // Revoke first: a user who lost access to a door must not keep a working
-      // code on its deadbolt. Only fires on a CONFIRMED denial (never 'unknown').
-      // revokeHeldCode marks revoked true only when the physical clear confirms;
-      // an unconfirmed clear reports revoke_pending and queues a retry.
-      for (const l of denied) {
-        const v = verdictByLock.get(l.lock_id);
-        const reason = `no UniFi access to "${v.doors.join('", "')}"`;
-        const held = Object.entries((zwLocks[l.lock_id] && zwLocks[l.lock_id].user_codes) || {})
-          .find(([, e]) => e && e.user_id === b.user_id);
-        if (held) {
-          const r = await revokeHeldCode(
-            { lockId: l.lock_id, driver: l.driver, label: l.label },
-            Number(held[0]), b.user_id, reason);
-          results.push({ lock_id: l.lock_id, blocked: true, revoked: r.revoked, revoke_pending: r.revoke_pending, reason });
-        } else {
-          results.push({ lock_id: l.lock_id, blocked: true, revoked: false, revoke_pending: false, reason });
-        }
-      }
-
-      const plan = keypadUsers.planUserSave(
-        zwLocks,
-        writable.map((l) => ({ lock_id: l.lock_id, cap: l.cap })),
-        b.user_id, pin
-      );
-      for (const row of plan) {
-        if (row.error) { results.push(row); continue; }
-        const entry = capable.find((l) => l.lock_id === row.lock_id);
-        try {
-          const r = await entry.driver.setUserCode(row.slot, pin);
-          if (r.confirmed === false) {
-            results.push({ lock_id: row.lock_id, error: 'the lock rejected this code (usually a duplicate PIN or a mismatched code length)' });
-            continue;
-          }
-          persistZwaveMutation((cfg) => {
-            const locks = cfg.devices && cfg.devices.zwave && cfg.devices.zwave.locks;
-            if (!locks || !locks[row.lock_id]) return;
-            locks[row.lock_id].user_codes = locks[row.lock_id].user_codes || {};
-            locks[row.lock_id].user_codes[String(row.slot)] = {
-              user_id: b.user_id,
-              name,
-              pin_code: pin,
-              pushed_to_unifi: false,
-              confirmed: r.confirmed === true ? true : null,
-              updated_at: new Date().toISOString(),
-            };
-            // Writing this slot supersedes any queued clear for it, so drop a
-            // stale pending_clears marker rather than let a retry wipe the new code.
-            if (locks[row.lock_id].pending_clears) delete locks[row.lock_id].pending_clears[String(row.slot)];
-          });
-          results.push({ lock_id: row.lock_id, slot: row.slot, confirmed: r.confirmed });
-        } catch (e) {
-          results.push({ lock_id: row.lock_id, error: e.message });
-        }
-      }
+      for (const r of await writeGatedPin(capable, b.user_id, name, pin, access)) results.push(r);
     });
     const written = results.filter((r) => r.slot != null);
     const revokedCount = results.filter((r) => r.revoked).length;
@@ -2741,64 +3884,19 @@ app.post('/api/deadbolt/keypad-users', async (req, res) => {
     // A total failure is only when writable locks existed and none accepted
     // AND there was no gating action. Being blocked/revoked everywhere is a
     // legitimate gated outcome, not an error, and the UniFi push still runs.
-    if (!written.length && !denied.length) {
+    if (!written.length && !results.some((r) => r.blocked)) {
       return res.status(409).json({ error: 'no lock accepted the code', results });
     }
     // Always keep UniFi in sync: one PIN per user everywhere. The PIN is the
     // user's UniFi credential; UniFi readers enforce their own door access, so
-    // we push even if the user is gated off every deadbolt keypad. Skip the
-    // API call when UniFi already holds this exact PIN (re-assigning it errors
-    // with CODE_SYSTEM_ERROR), then record which entries match UniFi.
-    const unifi = { attempted: true, success: null, permission_denied: false, error: null };
-    const pushPlan = planUnifiPinPush(
-      (config.devices && config.devices.zwave && config.devices.zwave.locks) || {},
-      written[0] ? written[0].lock_id : null, b.user_id, pin,
-      config.unifi_pin_state
-    );
-    let synced = pushPlan.action === 'skip_in_sync';
-    if (synced) {
-      unifi.success = true;
-      unifi.skipped = 'already in sync';
-      logger.info(`Deadbolt: UniFi already holds this PIN for "${name || b.user_id}"; skipping the push`);
-    } else if (unifiClient && typeof unifiClient.assignUserPin === 'function') {
-      const push = await unifiClient.assignUserPin(b.user_id, pin);
-      unifi.success = !!push.success;
-      unifi.permission_denied = !!push.permission_denied;
-      unifi.error = push.error || null;
-      if (push.statusCode) unifi.status_code = push.statusCode;
-      synced = !!push.success;
-    } else {
-      unifi.success = false;
-      unifi.error = 'UniFi client is not connected';
-    }
-    // CODE_SYSTEM_ERROR is UniFi's "that PIN already exists" rejection. It is
-    // ambiguous (this user's own PIN = harmless, someone else's = pick a new
-    // one), so explain rather than guess; state is never written on failure.
-    if (!unifi.success && /CODE_SYSTEM_ERROR/i.test(unifi.error || '')) {
-      unifi.hint = 'UniFi already has this exact PIN. If it is this user\'s existing PIN everything already matches; if another user holds it, choose a different PIN (UniFi PINs are unique per person).';
-    }
-    if (synced) {
-      const now = new Date().toISOString();
-      persistZwaveMutation((cfg) => {
-        const locks = (cfg.devices && cfg.devices.zwave && cfg.devices.zwave.locks) || {};
-        for (const lock of Object.values(locks)) {
-          for (const e of Object.values((lock && lock.user_codes) || {})) {
-            if (!e || e.user_id !== b.user_id) continue;
-            // Entries holding THIS pin now match UniFi; an older different
-            // PIN on some lock no longer does.
-            e.pushed_to_unifi = String(e.pin_code) === pin;
-          }
-        }
-        // Durable user-level memory: survives code deletion/revocation, so a
-        // later re-add of the same PIN skips the push UniFi would reject.
-        recordUnifiPin(cfg, b.user_id, pin, now);
-      });
-    }
+    // we push even if the user is gated off every deadbolt keypad.
+    const unifi = await syncUnifiPin(b.user_id, name, pin, written[0] ? written[0].lock_id : null);
+    retirePriorPin(b.user_id, priorPin, pin);
     safeAudit({
       actor: auth.actor,
       action: auth.actor === 'user' ? 'pin_changed_by_user' : 'pin_set',
       target: name || b.user_id,
-      detail: `${written.length}/${results.length} lock(s); UniFi ${unifi.success ? 'in sync' : 'push failed'}`,
+      detail: `${generate ? 'generated PIN; ' : ''}${written.length}/${results.length} lock(s); UniFi ${unifi.success ? 'in sync' : 'push failed'}`,
     });
     broadcastEvent({
       type: 'deadbolt.user_code',
@@ -2813,7 +3911,7 @@ app.post('/api/deadbolt/keypad-users', async (req, res) => {
       // nor blocked, so count those as the failures.
       success: results.every((r) => r.slot != null || r.blocked) && !!unifi.success,
     });
-    res.json({ user_id: b.user_id, name, results, unifi });
+    res.json(Object.assign({ user_id: b.user_id, name, results, unifi, window: windowInfo }, generated));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -2821,7 +3919,8 @@ app.post('/api/deadbolt/keypad-users', async (req, res) => {
 
 // Remove a user's keypad code from EVERY lock. Deliberately never touches
 // UniFi (same policy as the per-slot delete: the UniFi PIN is a separate
-// credential and there is no restore path since UniFi never reveals PINs).
+// credential and there is no restore path since UniFi never reveals PINs),
+// except for a windowed PIN, whose UniFi PIN the window itself put there.
 app.delete('/api/deadbolt/keypad-users/:user_id', async (req, res) => {
   const userId = req.params.user_id;
   if (zwavePairing.isActive()) {
@@ -2855,11 +3954,20 @@ app.delete('/api/deadbolt/keypad-users/:user_id', async (req, res) => {
         }
       }
     }
-    if (!holdings.length) {
+    const window = (config.pin_windows && config.pin_windows[userId]) || null;
+    if (!holdings.length && !window) {
       return res.status(404).json({ error: 'no saved keypad code for that user' });
     }
-    const removedName = (holdings.find((h) => h.name) || {}).name || null;
+    const removedName = (holdings.find((h) => h.name) || {}).name || (window && window.name) || null;
     const results = [];
+    cancelPinRotation(userId, 'the keypad PIN was removed');
+    // A windowed PIN goes with it, and so does the UniFi PIN the window
+    // pushed: without the window nothing would ever take it back.
+    let unifi = null;
+    if (window) {
+      persistZwaveMutation((cfg) => { if (cfg.pin_windows) delete cfg.pin_windows[userId]; });
+      if (config.unifi_pin_state && config.unifi_pin_state[userId]) unifi = await unassignWindowPin(userId);
+    }
     // Route through the shared executor so an unconfirmed clear (a sleeping
     // lock) reports revoke_pending and queues a retry rather than claiming the
     // code was removed. The user's UniFi PIN is a separate credential, untouched.
@@ -2875,11 +3983,12 @@ app.delete('/api/deadbolt/keypad-users/:user_id', async (req, res) => {
       }
     });
     const pendingClears = results.filter((r) => r.revoke_pending).length;
+    const unifiNote = !unifi ? "UniFi PIN left intact" : (unifi.success ? 'windowed UniFi PIN removed' : 'windowed UniFi PIN removal FAILED');
     safeAudit({
       actor: auth.actor,
       action: 'pin_removed',
       target: removedName || userId,
-      detail: `${holdings.length} lock(s); UniFi PIN left intact`,
+      detail: `${holdings.length} lock(s); ${unifiNote}`,
     });
     broadcastEvent({
       type: 'deadbolt.user_code',
@@ -2887,15 +3996,494 @@ app.delete('/api/deadbolt/keypad-users/:user_id', async (req, res) => {
       location: holdings.map((h) => lockLabel(h.lock_id)).join(', '),
       action: `Keypad code removed for ${removedName || userId} on ${holdings.length} lock(s)`
         + (pendingClears ? `; ${pendingClears} clear(s) pending, will retry when the lock responds` : '')
-        + ". The user's UniFi PIN is untouched",
-      success: results.every((r) => !r.error),
+        + (unifi ? `; ${unifiNote}` : ". The user's UniFi PIN is untouched"),
+      success: results.every((r) => !r.error) && (!unifi || !!unifi.success),
+    });
+    res.json({ user_id: userId, results, unifi });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Rotation status for the panel and GET /api/deadbolt/pin-rotation. Digits
+// never leave: staged rotations report progress, due users why they wait.
+function pinRotationStatus(capable, access) {
+  const rotation = pinRotation.normalizeRotation(config.pin_rotation);
+  return {
+    enabled: rotation.enabled,
+    rules: rotation.rules,
+    max_in_flight: rotation.max_in_flight,
+    email_ready: notifier.canEmail(),
+    in_progress: pinRotation.describeRotations(config.pin_rotations,
+      (config.devices && config.devices.zwave && config.devices.zwave.locks) || {},
+      { writableLocks: (userId) => writableLockIds(userId, capable, access), pinState: config.unifi_pin_state }),
+    due: dueRotationUsers().map((d) => ({
+      user_id: d.user_id,
+      name: d.name,
+      every_days: d.every_days,
+      due_at: d.due_at,
+      waiting: !d.email ? 'no email address in UniFi' : (notifier.canEmail() ? null : 'no SMTP server configured'),
+    })),
+  };
+}
+
+app.get('/api/deadbolt/pin-rotation', async (req, res) => {
+  try {
+    const capable = (await codeCapableLocks()).filter((l) => l.cap && l.cap.supported !== false);
+    res.json(pinRotationStatus(capable, currentAccessModel()));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Run a rotation pass now instead of waiting for the next tick: stages what
+// is due and retries every staged step, including ones waiting out a retry.
+app.post('/api/deadbolt/pin-rotation/run', async (req, res) => {
+  if (zwavePairing.isActive()) {
+    return res.status(409).json({ error: 'A pairing session is in progress' });
+  }
+  const auth = authorizeSensitivePinOp(req.body, { allowCurrentPin: false });
+  if (!auth.ok) return res.status(auth.status).json({ error: auth.error });
+  try {
+    _pinRotationRetryAt.clear();
+    await applyPinRotations('manual');
+    safeAudit({ actor: auth.actor, action: 'pin_rotation_run', target: 'keypad users', detail: 'rotation pass started by hand' });
+    const capable = (await codeCapableLocks()).filter((l) => l.cap && l.cap.supported !== false);
+    res.json(pinRotationStatus(capable, currentAccessModel()));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Keypad entitlement reconciliation report (see src/reconcile-report.js). A
+// read-only view of what reconcileAccessRevocations would do on the next
+// access sync, per user and lock, with one-click fixes. Every fix re-plans
+// under withKeypadLock and acts only if the fix is still on offer, so a stale
+// page never revokes or writes on an old plan.
+// ---------------------------------------------------------------------------
+
+async function buildReconciliationReport(capable) {
+  const relevant = capable.filter((l) => l.cap && l.cap.supported !== false);
+  const access = currentAccessModel();
+  return reconcileReport.reconciliationReport(
+    (config.devices && config.devices.zwave && config.devices.zwave.locks) || {},
+    relevant.map((l) => ({ lock_id: l.lock_id, label: l.label })),
+    {
+      available: access.available,
+      verdictFor: (userId, lockId) => accessGating.lockAccessVerdict(access, userId, config.door_flows, lockId),
+      entitledIds: access.presentActiveIds,
+      unifiPinState: config.unifi_pin_state,
+      windowed: new Set(Object.keys(config.pin_windows || {})),
+      rotating: new Set(Object.keys(config.pin_rotations || {})),
+      names: (unifiClient && unifiClient.userNames) || new Map(),
+    });
+}
+
+app.get('/api/deadbolt/reconciliation', async (req, res) => {
+  try {
+    backfillTriggerDoorIds(); // classify with the same door ids the reconciler uses
+    const report = await buildReconciliationReport(await codeCapableLocks());
+    res.json(Object.assign(report, { access_gating: accessGatingStatus() }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Run one fix from the report: {user_id, lock_id, action} where action is
+// revoke, retry_clear, write (lock fixes) or push_unifi (per user). Admin PIN.
+app.post('/api/deadbolt/reconciliation/fix', async (req, res) => {
+  const b = req.body || {};
+  if (zwavePairing.isActive()) {
+    return res.status(409).json({ error: 'A pairing session is in progress' });
+  }
+  if (!['revoke', 'retry_clear', 'write', 'push_unifi'].includes(b.action)) {
+    return res.status(400).json({ error: 'action must be revoke, retry_clear, write or push_unifi' });
+  }
+  if (!b.user_id || typeof b.user_id !== 'string') return res.status(400).json({ error: 'user_id is required' });
+  if (b.action !== 'push_unifi' && (!b.lock_id || typeof b.lock_id !== 'string')) {
+    return res.status(400).json({ error: 'lock_id is required' });
+  }
+  const auth = authorizeSensitivePinOp(b, { allowCurrentPin: false });
+  if (!auth.ok) return res.status(auth.status).json({ error: auth.error });
+  try {
+    backfillTriggerDoorIds();
+    const outcome = await withKeypadLock(async () => {
+      const capable = await codeCapableLocks();
+      const fix = reconcileReport.findFix(await buildReconciliationReport(capable), b.user_id, b.lock_id, b.action);
+      if (!fix) return null;
+      const who = fix.user.name || b.user_id;
+      const zwLocks = (config.devices && config.devices.zwave && config.devices.zwave.locks) || {};
+      const canon = keypadUsers.canonicalPins(zwLocks).get(b.user_id);
+      const name = fix.user.name;
+      const lock = capable.find((l) => l.lock_id === b.lock_id);
+      if (b.action === 'revoke') {
+        const r = await revokeHeldCode({ lockId: lock.lock_id, driver: lock.driver, label: lock.label },
+          fix.cell.slot, b.user_id, fix.cell.planned.reason);
+        return { success: r.revoked, pending: r.revoke_pending, who, detail: `revoked on ${lock.label}: ${fix.cell.planned.reason}` };
+      }
+      if (b.action === 'retry_clear') {
+        await retryPendingClears(lock.lock_id, b.user_id);
+        const still = Object.values((zwLocks[lock.lock_id] && zwLocks[lock.lock_id].pending_clears) || {})
+          .some((m) => m && m.user_id === b.user_id);
+        return { success: !still, pending: still, who, detail: `retried the pending clear on ${lock.label}` };
+      }
+      if (b.action === 'write') {
+        const [r] = await writePinToLocks([lock], b.user_id, name, canon.pin);
+        if (r && r.error) return { success: false, error: r.error, who, detail: `PIN not written to ${lock.label}: ${r.error}` };
+        return { success: true, pending: !(r && r.confirmed === true), who, detail: `PIN written to ${lock.label}` };
+      }
+      const unifi = await syncUnifiPin(b.user_id, name, canon.pin, canon.source_lock);
+      return { success: !!unifi.success, error: unifi.error || null, who, detail: `PIN ${unifi.success ? 'pushed' : 'not pushed'} to UniFi${unifi.error ? `: ${unifi.error}` : ''}` };
+    });
+    if (!outcome) return res.status(409).json({ error: 'That fix no longer applies. Refresh the report.' });
+    safeAudit({ actor: auth.actor, action: 'reconcile_fix', target: outcome.who, detail: `${b.action}: ${outcome.detail}` });
+    broadcastEvent({
+      type: 'deadbolt.user_code',
+      actor: 'GUI Admin',
+      location: b.lock_id ? lockLabel(b.lock_id) : 'UniFi Access',
+      action: `Reconciliation fix for ${outcome.who}: ${outcome.detail}`,
+      success: outcome.success,
     });
-    res.json({ user_id: userId, results });
+    const report = await buildReconciliationReport(await codeCapableLocks());
+    res.json({ action: b.action, success: outcome.success, pending: !!outcome.pending, error: outcome.error || null, report });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// ---------------------------------------------------------------------------
+// Self-service PIN portal (config.pin_portal, see src/pin-links.js). An admin
+// emails a user a one-time link; /pin.html posts its secret to the two
+// /pin-portal routes below, which sit OUTSIDE /api (a tenant has no admin
+// key) and answer only for the link's own user: their name, the length rule
+// and the policy in words. A PIN set there takes the same path as a Save:
+// writeGatedPin (planUserSave per lock) and syncUnifiPin (planUnifiPinPush).
+// ---------------------------------------------------------------------------
+
+// Drop the given pin_links ids (used, expired, replaced or burned).
+function dropPinLinks(ids) {
+  if (!ids.length) return;
+  persistZwaveMutation((cfg) => {
+    if (!cfg.pin_links) return;
+    for (const id of ids) delete cfg.pin_links[id];
+  });
+}
+
+// The combined length rule in the portal's words, or null when a PIN fits.
+function portalLengthError(rule, pin) {
+  if (rule.conflict) return 'Your PIN cannot be set here right now. Please contact building management.';
+  if (rule.fixed != null && pin.length !== rule.fixed) return `Your PIN must be exactly ${rule.fixed} digits.`;
+  if (pin.length < (rule.min || 4) || pin.length > (rule.max || 10)) return `Your PIN must be ${rule.min || 4} to ${rule.max || 10} digits.`;
+  return null;
+}
+
+// Email a user a link to set their own PIN. Admin PIN; the user needs an
+// email address in UniFi and must not hold a windowed (guest) PIN.
+app.post('/api/deadbolt/keypad-users/:user_id/pin-link', async (req, res) => {
+  const userId = req.params.user_id;
+  const portal = pinLinks.normalizePortal(config.pin_portal);
+  if (!portal.enabled) {
+    return res.status(409).json({ error: 'the self-service PIN portal is off (set pin_portal.enabled)' });
+  }
+  // The link base is configured, never taken from the request: a forged Host
+  // header would otherwise mail a tenant a link to someone else's server.
+  if (!portal.public_url) {
+    return res.status(409).json({ error: 'set pin_portal.public_url to the address users open the PIN page at' });
+  }
+  const auth = authorizeSensitivePinOp(req.body, { allowCurrentPin: false });
+  if (!auth.ok) return res.status(auth.status).json({ error: auth.error });
+  const user = keypadDirectory().find((u) => u.id === userId);
+  if (!user) return res.status(404).json({ error: 'no synced UniFi user has that id' });
+  if (!user.email) return res.status(400).json({ error: `${user.name || userId} has no email address in UniFi` });
+  if (config.pin_windows && config.pin_windows[userId]) {
+    return res.status(409).json({ error: 'this user has a guest / contractor PIN; change it from the Keypad Users tab' });
+  }
+  if (!notifier.canEmail()) {
+    return res.status(409).json({ error: 'no SMTP server is configured (alerts.email needs smtp_host and from)' });
+  }
+  try {
+    const now = Date.now();
+    const link = pinLinks.issueLink({ userId, name: user.name, email: user.email, now, minutes: portal.link_minutes, issuedBy: auth.actor });
+    const url = pinLinks.linkUrl(portal.public_url, link.secret);
+    const mail = pinLinks.linkEmail(link.record, url);
+    try {
+      await notifier.sendEmail({ to: user.email, subject: mail.subject, text: mail.text });
+    } catch (e) {
+      return res.status(502).json({ error: `the email could not be sent: ${e.message}` });
+    }
+    // Stored only once mailed: one live link per user, expired ones pruned.
+    const stale = pinLinks.staleLinkIds(config.pin_links, now, userId);
+    persistZwaveMutation((cfg) => {
+      cfg.pin_links = cfg.pin_links || {};
+      for (const id of stale) delete cfg.pin_links[id];
+      cfg.pin_links[link.id] = Object.assign({}, link.record);
+    });
+    safeAudit({ actor: auth.actor, action: 'pin_link_sent', target: user.name || userId, detail: `to ${user.email}; expires ${link.record.expires_at}` });
+    res.json({ user_id: userId, name: user.name, email: user.email, expires_at: link.record.expires_at });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// What the portal page shows for a link: whose it is (by name only), the
+// length rule, and the policy in words.
+app.post('/pin-portal/session', async (req, res) => {
+  const found = pinLinks.findLink(config.pin_links, (req.body || {}).link, Date.now());
+  if (found.error || !pinLinks.normalizePortal(config.pin_portal).enabled) {
+    return res.status(found.status || 404).json({ error: found.error || 'This link is not valid. Ask for a new one.' });
+  }
+  try {
+    const capable = (await codeCapableLocks()).filter((l) => l.cap && l.cap.supported !== false);
+    res.json({
+      name: found.record.name,
+      expires_at: found.record.expires_at,
+      pin_rule: keypadUsers.combinedLengthRule(capable.map((l) => l.cap)),
+      pin_policy: pinPolicy.describePolicy(pinPolicy.normalizePolicy(config.pin_policy)),
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Something went wrong. Please try again later.' });
+  }
+});
+
+// Set the link's user's PIN, once. A refused PIN keeps the link (up to
+// MAX_FAILURES); a PIN no lock accepted gives it back, so the user can retry.
+app.post('/pin-portal/pin', async (req, res) => {
+  const b = req.body || {};
+  const now = Date.now();
+  const found = pinLinks.findLink(config.pin_links, b.link, now);
+  if (found.error || !pinLinks.normalizePortal(config.pin_portal).enabled) {
+    return res.status(found.status || 404).json({ error: found.error || 'This link is not valid. Ask for a new one.' });
+  }
+  const { id, record } = found;
+  const userId = record.user_id;
+  const name = record.name || null;
+  if (zwavePairing.isActive()) {
+    return res.status(409).json({ error: 'The door system is busy. Please try again in a few minutes.' });
+  }
+  if (config.pin_windows && config.pin_windows[userId]) {
+    return res.status(409).json({ error: 'Your PIN is managed by building management. Please contact them.' });
+  }
+  const pin = typeof b.pin === 'string' ? b.pin.trim() : '';
+  if (!/^[0-9]{4,10}$/.test(pin)) return res.status(400).json({ error: 'Your PIN must be 4 to 10 digits.' });
+  try {
+    const capable = await codeCapableLocks();
+    const usable = capable.filter((l) => l.cap && l.cap.supported !== false);
+    if (!usable.length) return res.status(503).json({ error: 'Your PIN cannot be set here right now. Please contact building management.' });
+    const lengthError = portalLengthError(keypadUsers.combinedLengthRule(usable.map((l) => l.cap)), pin);
+    if (lengthError) return res.status(400).json({ error: lengthError });
+    // Everything that reads or changes the link runs under the keypad lock,
+    // so two submits of one link (or a burst of guesses) go one at a time:
+    // the failure count cannot be raced past MAX_FAILURES, and the link is
+    // claimed (deleted) before any write, then put back only if no lock
+    // accepted the PIN.
+    const access = currentAccessModel();
+    const outcome = await withKeypadLock(async () => {
+      const live = pinLinks.findLink(config.pin_links, b.link, Date.now());
+      if (live.error) return { status: live.status, error: live.error };
+      const violations = pinPolicyViolations(userId, pin);
+      if (violations.length) {
+        const failures = (live.record.failures || 0) + 1;
+        if (failures >= pinLinks.MAX_FAILURES) {
+          dropPinLinks([id]);
+          safeAudit({ actor: 'user', action: 'pin_link_revoked', target: name || userId, detail: `${failures} refused PINs` });
+        } else {
+          persistZwaveMutation((cfg) => { if (cfg.pin_links && cfg.pin_links[id]) cfg.pin_links[id].failures = failures; });
+        }
+        return {
+          status: 400,
+          error: `That PIN ${pinLinks.portalPinErrors(violations).join('; ')}.`
+            + (failures >= pinLinks.MAX_FAILURES ? ' This link no longer works; ask for a new one.' : ''),
+        };
+      }
+      const claimed = Object.assign({}, live.record);
+      dropPinLinks([id]);
+      const priorPin = pinPolicy.currentPin(config, userId);
+      const results = await writeGatedPin(capable, userId, name, pin, access);
+      const written = results.filter((r) => r.slot != null);
+      if (!written.length && !results.some((r) => r.blocked)) {
+        persistZwaveMutation((cfg) => {
+          cfg.pin_links = cfg.pin_links || {};
+          cfg.pin_links[id] = Object.assign({}, claimed);
+        });
+        logger.warn(`Deadbolt: self-service PIN for "${name || userId}" was not accepted by any lock: ${results.map((r) => `${lockLabel(r.lock_id)}: ${r.error}`).join('; ')}`);
+        return { status: 409, error: 'The door locks did not accept that PIN. Please try a different one, or try again later.' };
+      }
+      cancelPinRotation(userId, 'the user set a new PIN through the self-service portal');
+      return { results, written, priorPin };
+    });
+    if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+    const { results, written, priorPin } = outcome;
+    const unifi = await syncUnifiPin(userId, name, pin, written[0] ? written[0].lock_id : null);
+    retirePriorPin(userId, priorPin, pin);
+    safeAudit({
+      actor: 'user',
+      action: 'pin_changed_by_user',
+      target: name || userId,
+      detail: `self-service portal; ${written.length}/${results.length} lock(s); UniFi ${unifi.success ? 'in sync' : 'push failed'}`,
+    });
+    broadcastEvent({
+      type: 'deadbolt.user_code',
+      actor: 'User (self-service)',
+      location: written.map((r) => lockLabel(r.lock_id)).join(', '),
+      action: `PIN set for ${name || userId} through the self-service portal on ${written.length}/${results.length} lock(s)`
+        + `${unifi.success ? (unifi.skipped ? '; UniFi already in sync' : '; UniFi updated') : '; UniFi push FAILED'}`,
+      success: results.every((r) => r.slot != null || r.blocked) && !!unifi.success,
+    });
+    res.json({ success: true });
+  } catch (err) {
+    logger.warn(`Deadbolt: self-service PIN for "${name || userId}" failed: ${err.message}`);
+    res.status(500).json({ error: 'Something went wrong. Please try again later.' });
+  }
+});
+
+// Synced UniFi users for the CSV import to match rows against (id, name,
+// email), from the same in-memory sync as available_users.
+function keypadDirectory() {
+  return (unifiClient && typeof unifiClient.getDiscoveredUsers === 'function')
+    ? unifiClient.getDiscoveredUsers().map((u) => ({ id: u.id, name: u.name, email: u.email || null }))
+    : [];
+}
+
+// Plan a CSV import against the live lock storage and access model.
+function planKeypadImport(rows, capable, access) {
+  const directory = keypadDirectory();
+  const lockRows = capable.map((l) => ({ lock_id: l.lock_id }));
+  const verdicts = new Map();
+  for (const row of rows) {
+    const found = keypadCsv.resolveUser(row.user, directory);
+    if (!found.user) continue;
+    for (const v of accessGating.classifyLocksForUser(found.user.id, lockRows, config.door_flows, access)) {
+      verdicts.set(`${found.user.id}|${v.lock_id}`, v.verdict);
+    }
+  }
+  return keypadCsv.planImport(rows, {
+    directory,
+    locksCfg: (config.devices && config.devices.zwave && config.devices.zwave.locks) || {},
+    locks: capable.map((l) => ({ lock_id: l.lock_id, cap: l.cap })),
+    verdicts,
+    windowed: new Set(Object.keys(config.pin_windows || {})),
+    policy: pinPolicy.normalizePolicy(config.pin_policy),
+    holders: pinPolicy.pinHolders(config),
+    history: config.pin_history || {},
+  });
+}
+
+// Bulk PINs from a CSV ({csv, dry_run}). A dry run (the default) returns the
+// per-row plan with no digits and needs no PIN. dry_run: false is the admin-
+// PIN-gated batch: re-planned and written under ONE withKeypadLock, each row
+// through the same gate as a single Save, then each user's UniFi PIN synced.
+// Rows with an error are skipped; generated PINs are returned once, here.
+app.post('/api/deadbolt/keypad-users/import', async (req, res) => {
+  const b = req.body || {};
+  if (zwavePairing.isActive()) {
+    return res.status(409).json({ error: 'A pairing session is in progress' });
+  }
+  if (typeof b.csv !== 'string' || !b.csv.trim()) {
+    return res.status(400).json({ error: 'csv is required (the file contents as text)' });
+  }
+  const parsed = keypadCsv.parseImport(b.csv);
+  if (parsed.errors.length) return res.status(400).json({ error: parsed.errors.join('; ') });
+  const execute = b.dry_run === false;
+  let auth = null;
+  if (execute) {
+    auth = authorizeSensitivePinOp(b, { allowCurrentPin: false });
+    if (!auth.ok) return res.status(auth.status).json({ error: auth.error });
+  }
+  try {
+    const capable = await codeCapableLocks();
+    if (!capable.length) {
+      return res.status(503).json({ error: 'no paired lock supports keypad codes' });
+    }
+    const access = currentAccessModel();
+    if (!execute) {
+      return res.json(Object.assign({ dry_run: true }, keypadCsv.describePlan(planKeypadImport(parsed.rows, capable, access))));
+    }
+    let plan = null;
+    const priorPins = new Map(); // user_id -> the PIN this batch replaces
+    await withKeypadLock(async () => {
+      // Planned again under the lock: the state the writes start from, not
+      // whatever the dry run saw.
+      plan = planKeypadImport(parsed.rows, capable, access);
+      for (const row of plan.rows) {
+        if (row.status !== 'ok' && row.status !== 'partial') continue;
+        priorPins.set(row.user_id, pinPolicy.currentPin(config, row.user_id));
+        cancelPinRotation(row.user_id, 'a new PIN was imported');
+        row.results = await writeGatedPin(capable, row.user_id, row.name, row.pin, access);
+      }
+    });
+    const skipped = plan.rows.filter((r) => r.status === 'error').length;
+    let users = 0;
+    let failed = 0;
+    for (const row of plan.rows) {
+      if (!row.results) continue;
+      const written = row.results.filter((r) => r.slot != null);
+      if (!written.length && !row.results.some((r) => r.blocked)) {
+        row.status = 'error';
+        row.error = 'no lock accepted the code';
+        failed++;
+        continue;
+      }
+      row.unifi = await syncUnifiPin(row.user_id, row.name, row.pin, written[0] ? written[0].lock_id : null);
+      retirePriorPin(row.user_id, priorPins.get(row.user_id), row.pin);
+      users++;
+      safeAudit({
+        actor: auth.actor,
+        action: 'pin_set',
+        target: row.name || row.user_id,
+        detail: `CSV import line ${row.line}; ${written.length}/${row.results.length} lock(s); UniFi ${row.unifi.success ? 'in sync' : 'push failed'}`,
+      });
+    }
+    const out = keypadCsv.describePlan(plan, { revealGenerated: true });
+    safeAudit({
+      actor: auth.actor,
+      action: 'pin_import',
+      target: `${users} user(s)`,
+      detail: `${out.summary.rows} row(s): ${users} set, ${failed} not accepted by any lock, ${skipped} skipped`,
+    });
+    broadcastEvent({
+      type: 'deadbolt.user_code',
+      actor: 'GUI Admin',
+      location: capable.map((l) => l.label).join(', '),
+      action: `CSV import: PINs set for ${users} user(s)`
+        + (failed ? `; ${failed} not accepted by any lock` : '')
+        + (skipped ? `; ${skipped} row(s) skipped` : ''),
+      success: !failed && plan.rows.every((r) => !r.unifi || !!r.unifi.success),
+    });
+    res.json(Object.assign({ dry_run: false }, out));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Who holds a keypad code on which lock, as CSV. GET never carries digits;
+// POST with the admin PIN and include_pins: true adds a pin column (the file
+// then imports back as-is) and is audited.
+function sendKeypadExport(res, includePins) {
+  const emails = new Map(keypadDirectory().filter((u) => u.email).map((u) => [u.id, u.email]));
+  const csv = keypadCsv.buildExportCsv(
+    (config.devices && config.devices.zwave && config.devices.zwave.locks) || {},
+    { lockLabel, emails, includePins }
+  );
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Disposition', `attachment; filename="keypad-users_${stamp}${includePins ? '_with-pins' : ''}.csv"`);
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.send(csv);
+}
+
+app.get('/api/deadbolt/keypad-users/export.csv', (req, res) => {
+  sendKeypadExport(res, false);
+});
+
+app.post('/api/deadbolt/keypad-users/export.csv', (req, res) => {
+  const b = req.body || {};
+  if (b.include_pins !== true) return sendKeypadExport(res, false);
+  const auth = authorizeSensitivePinOp(b, { allowCurrentPin: false });
+  if (!auth.ok) return res.status(auth.status).json({ error: auth.error });
+  safeAudit({ actor: auth.actor, action: 'pin_export', target: 'keypad users', detail: 'CSV export including PIN digits' });
+  sendKeypadExport(res, true);
+});
+
 // ---------------------------------------------------------------------------
 // Security: super-admin PIN + audit log. All under requireAdminApiKey.
 // ---------------------------------------------------------------------------
@@ -2999,6 +4587,138 @@ app.post('/api/deadbolt/reinterview', (req, res) => {
   }
 });
 
+// Keep the saved lock entry's firmware_version in step with what the node
+// reports. Runs on every completed interview, which is how a firmware update
+// lands in config (the update re-interviews the lock); unchanged is a no-op.
+function recordFirmwareVersion(lockId, driver) {
+  const snap = driver && typeof driver.snapshot === 'function' ? driver.snapshot() : null;
+  const version = snap && snap.firmwareVersion;
+  const locks = (config.devices && config.devices.zwave && config.devices.zwave.locks) || {};
+  if (!version || !locks[lockId] || locks[lockId].firmware_version === version) return;
+  const previous = locks[lockId].firmware_version || null;
+  try {
+    persistZwaveMutation((cfg) => {
+      const zwc = cfg.devices && cfg.devices.zwave;
+      if (zwc && zwc.locks && zwc.locks[lockId]) zwc.locks[lockId].firmware_version = version;
+    });
+    logger.info(`Deadbolt ${lockLabel(lockId)}: firmware ${previous ? `${previous} -> ` : ''}${version} recorded`);
+  } catch (e) {
+    logger.warn(`Deadbolt ${lockLabel(lockId)}: could not record firmware version: ${e.message}`);
+  }
+}
+
+// One OTA update, start to finish, in the background: the driver refuses
+// commands (and the controllers skip this lock) while it runs, progress goes
+// to the event feed in 10% steps, and a successful update re-interviews the
+// lock so its new firmware version is read and recorded. A failure alerts;
+// the lock keeps running its old firmware.
+async function runFirmwareUpdate(lockId, driver, firmware, filename) {
+  const label = lockLabel(lockId);
+  const state = { filename, started_at: new Date().toISOString(), progress: 0, running: true, finished_at: null, success: null, error: null };
+  firmwareUpdates.set(lockId, state);
+  const feed = (action, success) => broadcastEvent({ type: 'deadbolt.firmware', actor: 'GUI Admin', location: label, action, success, lock_id: lockId, progress: state.progress });
+  let lastStep = 0;
+  const onProgress = (p) => {
+    if (p.progress == null) return;
+    state.progress = p.progress;
+    const step = Math.floor(p.progress / 10);
+    if (step > lastStep) {
+      lastStep = step;
+      feed(`Firmware update ${p.progress}%${p.total ? ` (${p.sent}/${p.total} fragments)` : ''}`, true);
+    }
+  };
+  driver.on('firmware-progress', onProgress);
+  feed(`Firmware update started (${filename}); automation for this lock is paused until it finishes`, true);
+  try {
+    const result = await driver.updateFirmware(firmware);
+    state.success = !!result.success;
+    state.status = result.status == null ? null : result.status;
+    if (!result.success) {
+      state.error = `the lock rejected the update (status ${result.status})`;
+      monitorAlert('deadbolt_firmware_failed', `${label}: firmware update from ${filename} failed; ${state.error}. The lock keeps its current firmware`);
+      return;
+    }
+    state.progress = 100;
+    feed('Firmware update finished; re-interviewing to read the new version', true);
+    // zwave-js may already re-interview on its own (result.reInterview); an
+    // explicit one also covers the locks that need a manual restart first.
+    if (typeof driver.reinterview === 'function') {
+      _reinterviewRequested.add(lockId);
+      driver.reinterview().catch((e) => {
+        _reinterviewRequested.delete(lockId);
+        logger.warn(`Deadbolt ${label}: post-update re-interview failed: ${e.message}`);
+      });
+    }
+  } catch (err) {
+    state.success = false;
+    state.error = err.message;
+    monitorAlert('deadbolt_firmware_failed', `${label}: firmware update from ${filename} failed: ${err.message}`);
+  } finally {
+    driver.removeListener('firmware-progress', onProgress);
+    state.running = false;
+    state.finished_at = new Date().toISOString();
+  }
+}
+
+// Vendor firmware upload for one lock. The dashboard sends the file as the
+// raw request body (application/octet-stream; firmware images outgrow the
+// JSON body limit) with lock_id and filename in the query. Responds once the
+// file parses and the update has started; progress follows in the event feed.
+const FIRMWARE_MAX_BYTES = 16 * 1024 * 1024;
+app.post('/api/deadbolt/firmware',
+  express.raw({ type: 'application/octet-stream', limit: FIRMWARE_MAX_BYTES }),
+  async (req, res) => {
+    if (zwavePairing.isActive()) {
+      return res.status(409).json({ error: 'A pairing session is in progress' });
+    }
+    const target = resolveLockRequest(req, res);
+    if (!target) return;
+    if (typeof target.driver.updateFirmware !== 'function') {
+      return res.status(503).json({ error: 'the active lock driver does not support firmware updates' });
+    }
+    if (nvmJob) return res.status(409).json({ error: `a controller ${nvmJob.op} is running` });
+    const running = firmwareUpdates.get(target.lockId);
+    if (running && running.running) {
+      return res.status(409).json({ error: `a firmware update is already running on "${lockLabel(target.lockId)}"` });
+    }
+    const filename = req.query && typeof req.query.filename === 'string' ? path.basename(req.query.filename) : '';
+    if (!filename) return res.status(400).json({ error: 'filename is required' });
+    if (!Buffer.isBuffer(req.body) || !req.body.length) {
+      return res.status(400).json({ error: 'send the firmware file as an application/octet-stream body' });
+    }
+    // Claim the lock before the first await, so a second upload (or an NVM
+    // job) arriving while this file parses sees it busy.
+    firmwareUpdates.set(target.lockId, {
+      filename, started_at: new Date().toISOString(), progress: 0, running: true, finished_at: null, success: null, error: null,
+    });
+    let firmware;
+    try {
+      firmware = await zwaveManager.parseFirmware(filename, req.body);
+    } catch (err) {
+      if (running) firmwareUpdates.set(target.lockId, running);
+      else firmwareUpdates.delete(target.lockId);
+      return res.status(400).json({ error: err.message });
+    }
+    logger.info(`Deadbolt ${lockLabel(target.lockId)}: firmware update requested (${filename}, ${firmware.format}, ${firmware.data.length} bytes)`);
+    runFirmwareUpdate(target.lockId, target.driver, firmware, filename)
+      .catch((e) => logger.warn(`Deadbolt: firmware update bookkeeping failed: ${e.message}`));
+    res.status(202).json({ status: 'started', lock_id: target.lockId, filename, format: firmware.format, bytes: firmware.data.length });
+  });
+
+// Firmware state for one lock: the recorded version and the running (or
+// last) update from this app.
+app.get('/api/deadbolt/firmware', (req, res) => {
+  const target = resolveLockRequest(req, res);
+  if (!target) return;
+  const snap = typeof target.driver.snapshot === 'function' ? target.driver.snapshot() : {};
+  res.json({
+    lock_id: target.lockId,
+    firmware_version: snap.firmwareVersion || null,
+    updating: !!snap.firmwareUpdating,
+    update: firmwareUpdates.get(target.lockId) || null,
+  });
+});
+
 // Serial-port discovery so the dashboard can offer a COM-port picker for the
 // Z-Wave stick. serialport ships with the bundled zwave-js; lazy-require it so
 // an install without the optional dependency (or a failed native build)
@@ -3344,8 +5064,8 @@ app.post('/test/preflight', async (req, res) => {
 
   // 5. Matching rule exists
   const ruleSet = ruleType === 'visitor' ? rulesEngine.visitorRules : rulesEngine.accessRules;
-  const matching = resolvedGroup && door_name
-    ? ruleSet.filter(r => r.group === resolvedGroup && rulesEngine.locationMatches(door_name, r.trigger))
+  const matching = door_name
+    ? ruleSet.filter(r => rulesEngine.ruleMatches(r, resolvedGroup, user_id || null) && rulesEngine.locationMatches(door_name, r.trigger))
     : [];
   const allUnlocks = [...new Set(matching.flatMap(r => r.unlock || []))];
   checks.push({
@@ -3356,6 +5076,30 @@ app.post('/test/preflight', async (req, res) => {
       : `No ${ruleType} rule for group "${resolvedGroup || 'unresolved'}" at trigger "${door_name || ''}"`
   });
 
+  // 5b. Lock rule actions the tap would apply (only when the door has any):
+  // each target door must be resolvable or the rule cannot be set. A badge
+  // tap may land on the door's entry or exit reader, so both are checked.
+  const flow = door_name && config.door_flows ? config.door_flows[door_name] : null;
+  const triggerTypes = ruleType === 'visitor' ? ['doorbell'] : ['entry', 'exit'];
+  const lockRules = flow
+    ? doorFlows.triggersOf(flow)
+      .filter((t) => triggerTypes.includes(t.type || 'entry') && doorFlows.scopeMatches(t.scope, resolvedGroup, user_id || null))
+      .flatMap((t) => doorFlows.lockRuleActionsOf(t))
+    : [];
+  if (lockRules.length) {
+    const missing = lockRules.filter((l) => !l.door_id && !unifiClient.doors.get(l.door)).map((l) => l.door);
+    const described = lockRules.map((l) => (l.type === 'keep_unlock'
+      ? `keep_unlock ${l.minutes ? `${l.minutes} min` : 'until reset'} on ${l.door}`
+      : `${l.type} on ${l.door}`));
+    checks.push({
+      name: 'Lock rule actions',
+      pass: missing.length === 0,
+      detail: missing.length
+        ? `${described.join(', ')}; not discovered: ${[...new Set(missing)].join(', ')}`
+        : described.join(', ')
+    });
+  }
+
   // 6. Self-trigger guard (synthetic payload never carries the marker)
   const stk = config.self_trigger_prevention?.marker_key;
   checks.push({
@@ -3383,19 +5127,46 @@ app.post('/test/preflight', async (req, res) => {
 // configured event-source shape and feeds it through the same handleEvent
 // path as a real event. By default the actual controller unlock call is
 // stubbed (dry-run); execute_real_unlock=true performs the real PUT.
+// `timestamp` (ISO string or epoch ms, default now) runs the event as if it
+// happened then: only triggers whose schedule is active at that instant fire.
 // ---------------------------------------------------------------------------
 
+// The door's triggers and whether each one's schedule is active at `at`, so a
+// simulation can say WHY a scheduled rule did or did not run.
+function triggerScheduleReport(doorName, at) {
+  const tz = (config.site && config.site.timezone) || null;
+  const holidays = (config.site && config.site.holidays) || [];
+  const out = [];
+  for (const [door, flow] of Object.entries(config.door_flows || {})) {
+    if (doorFlows.normName(door) !== doorFlows.normName(doorName)) continue;
+    doorFlows.triggersOf(flow).forEach((trig, i) => {
+      out.push({
+        trigger: i + 1,
+        type: trig.type === 'doorbell' ? 'doorbell' : 'entry',
+        scheduled: !!trig.schedule,
+        active: schedules.scheduleActive(trig.schedule, at, tz, holidays),
+      });
+    });
+  }
+  return out;
+}
+
 app.post('/test/simulate-rule', async (req, res) => {
   const {
     user_id, user_name,
     door_name, rule_type,
     device_name,
-    execute_real_unlock
+    execute_real_unlock,
+    timestamp
   } = req.body || {};
 
   if (!door_name) {
     return res.status(400).json({ error: 'door_name is required' });
   }
+  const simulatedAt = timestamp == null || timestamp === '' ? Date.now() : new Date(timestamp).getTime();
+  if (!Number.isFinite(simulatedAt)) {
+    return res.status(400).json({ error: 'timestamp must be an ISO date string or epoch milliseconds' });
+  }
 
   const ruleType = rule_type === 'visitor' ? 'visitor' : 'access';
   const eventType = ruleType === 'visitor' ? 'access.doorbell.completed' : 'access.door.unlock';
@@ -3426,8 +5197,15 @@ app.post('/test/simulate-rule', async (req, res) => {
     logger.warn(`[SIMULATOR] execute_real_unlock=true — real PUT /doors/:id/unlock will be issued`);
   }
 
+  // Run on an engine projected at the simulated instant. It shares the live
+  // engine's stats object, so the dashboard counters and last-rule line still
+  // reflect simulations exactly as before.
+  const engine = new RulesEngine(rulesEngineConfig(config, simulatedAt), unifiClient, resolver);
+  engine.stats = rulesEngine.stats;
+  patchEngineForBroadcast(engine);
+
   let error = null;
-  const beforeStats = { ...rulesEngine.getStats() };
+  const beforeStats = { ...engine.getStats() };
   try {
     // The dry-run flag is embedded in payload.extra.simulated_dry_run and
     // propagates through normalizeEvent into event.extra, where executeUnlocks
@@ -3435,16 +5213,18 @@ app.post('/test/simulate-rule', async (req, res) => {
     // guarantees no real PUT /doors/:id/unlock fires while dry-run is set,
     // even for delayed rules whose unlock callback runs after this handler
     // returns.
-    await rulesEngine.handleEvent(payload);
+    await engine.handleEvent(payload);
   } catch (e) {
     error = e.message;
     logger.error(`Simulator error: ${e.message}`);
   }
 
-  const afterStats = rulesEngine.getStats();
+  const afterStats = engine.getStats();
   const processing = afterStats.last_processing || null;
 
   const realEvent = findRealEventForComparison({ userId: user_id, doorName: door_name });
+  const site = config.site || {};
+  const holiday = schedules.holidayOn(site.holidays, simulatedAt, site.timezone);
 
   res.json({
     status: error ? 'error' : 'ok',
@@ -3455,6 +5235,9 @@ app.post('/test/simulate-rule', async (req, res) => {
     payload,
     executed_real_unlock: !!execute_real_unlock,
     dry_run: dryRun,
+    simulated_at: new Date(simulatedAt).toISOString(),
+    schedule: triggerScheduleReport(door_name, simulatedAt),
+    holiday: holiday ? holiday.name : null,
     processing,
     last_event: afterStats.last_event,
     stats_delta: {
@@ -3544,6 +5327,11 @@ app.put('/api/config', async (req, res) => {
 
     // Drop any secret still carrying the redaction placeholder, so the UI
     // echoing a redacted GET back on save cannot clobber the real value.
+    // door_flows is replaced whole, so its http secrets are put back first.
+    // (flow_templates is not saved here: PUT /api/flow-templates owns it.)
+    if (updates.door_flows && typeof updates.door_flows === 'object') {
+      doorFlows.carryHttpSecrets(updates.door_flows, current.door_flows, REDACTION_MARKER);
+    }
     stripRedactedPlaceholders(updates);
 
     // Never let a save clear the admin key: an empty/whitespace value would
@@ -3657,7 +5445,8 @@ app.put('/api/config', async (req, res) => {
         flows[door].triggers = (flows[door].triggers || []).filter((t) => {
           const hasUnlock = doorFlows.unlockActionsOf(t).length > 0;
           const hasRetract = t.actions && Array.isArray(t.actions.retract) && t.actions.retract.length;
-          return hasUnlock || hasRetract;
+          return hasUnlock || hasRetract || doorFlows.lockActionsOf(t).length > 0
+            || doorFlows.lockRuleActionsOf(t).length > 0 || doorFlows.httpActionsOf(t).length > 0;
         });
         if (!flows[door].triggers.length) delete flows[door];
       }
@@ -3678,7 +5467,7 @@ app.put('/api/config', async (req, res) => {
     // handled with REPLACE semantics below, never deep-merged.
     // unlock_rules / doorbell_rules are NOT here: they are folded into
     // door_flows above and deleted, so they never deep-merge onto disk.
-    const safeKeys = ['event_source', 'logging', 'server', 'unifi', 'resolver', 'doors', 'backup', 'watchdog', 'auto_lock', 'auto_sync', 'devices', 'door_flows', 'alerts', 'setup_wizard'];
+    const safeKeys = ['event_source', 'logging', 'server', 'unifi', 'resolver', 'doors', 'backup', 'watchdog', 'auto_lock', 'auto_sync', 'devices', 'door_flows', 'alerts', 'setup_wizard', 'site', 'lockdown', 'pin_policy', 'pin_rotation', 'pin_portal'];
 
     // recursive merge for plain objects: source values override primitives/arrays
     function isPlainObject(v) { return v && typeof v === 'object' && !Array.isArray(v); }
@@ -3758,9 +5547,29 @@ app.put('/api/config', async (req, res) => {
 // edge cannot hold the bolt open when the LOCK's own hardware auto-relock
 // timer is on (a device-level Z-Wave parameter). The app never fights the
 // hardware; it tells the operator where to change it.
+// Every UniFi user id a trigger scope names (users or exclude_users).
+function scopedUserIds(flows) {
+  const ids = new Set();
+  for (const flow of Object.values(flows || {})) {
+    for (const trig of doorFlows.triggersOf(flow)) {
+      const scope = doorFlows.normalizeScope(trig.scope);
+      for (const id of (scope && scope.users) || []) ids.add(id);
+      for (const id of (scope && scope.exclude_users) || []) ids.add(id);
+    }
+  }
+  return ids;
+}
+
 function doorFlowWarnings(flows) {
   const zwLocks = (config.devices && config.devices.zwave && config.devices.zwave.locks) || {};
   const warnings = [];
+  // A person-scoped trigger naming someone the directory no longer has (only
+  // checked once the user sync has loaded names, so a cold boot stays quiet).
+  if (unifiClient && unifiClient.userNames && unifiClient.userNames.size) {
+    for (const id of scopedUserIds(flows)) {
+      if (!unifiClient.getUserName(id)) warnings.push(`A trigger is scoped to UniFi user "${id}", who is no longer in the UniFi user list.`);
+    }
+  }
   for (const [door, flow] of Object.entries(flows || {})) {
     for (const trig of doorFlows.triggersOf(flow)) {
       const retract = trig.actions && Array.isArray(trig.actions.retract) ? trig.actions.retract : [];
@@ -3773,6 +5582,15 @@ function doorFlowWarnings(flows) {
       }
     }
   }
+  // Loops, dead triggers, duplicates, conflicting retracts and dangling door
+  // or lock references. Doors and users are only checked once UniFi has
+  // reported them, so a cold boot does not flag every flow.
+  const findings = analyzeFlows(flows, {
+    doors: unifiClient && unifiClient.doors && unifiClient.doors.size ? [...unifiClient.doors.keys()] : null,
+    locks: [...Object.keys(zwLocks), ...Object.keys(networkLocksConfig())],
+    users: unifiClient && unifiClient.userNames && unifiClient.userNames.size ? [...unifiClient.userNames.keys()] : null,
+  });
+  for (const f of findings) warnings.push(f.message);
   return warnings;
 }
 
@@ -3800,7 +5618,9 @@ app.get('/api/door-flows', (req, res) => {
         }));
         return Object.assign({}, trig, { actions: Object.assign({}, trig.actions, { retract }) });
       });
-      annotated[door] = { door_id: (flow && flow.door_id) || null, triggers };
+      // http secrets (signing key, api-key/token headers) never leave the server;
+      // PUT puts the stored values back.
+      annotated[door] = redactSecrets({ door_id: (flow && flow.door_id) || null, triggers });
     }
     res.json({
       doors: [...doorSet.entries()].map(([name, id]) => ({ name, id, discovered: !!(unifiClient && unifiClient.doors && unifiClient.doors.has(name)) }))
@@ -3809,11 +5629,29 @@ app.get('/api/door-flows', (req, res) => {
       locks: Object.entries(zwLocks).map(([lockId, lc]) => ({
         lock_id: lockId,
         name: lockLabel(lockId),
+        transport: 'zwave',
         paired: !!(lc && lc.node_id > 0),
         bound: lockDrivers.has(lockId),
         hardware_auto_relock: !lc || lc.auto_relock == null ? null : !!lc.auto_relock,
-      })),
+      })).concat(Object.entries(networkLocksConfig()).map(([lockId, { transport }]) => ({
+        // Nothing to pair: a network lock is ready once configured.
+        lock_id: lockId,
+        name: lockLabel(lockId),
+        transport,
+        paired: true,
+        bound: lockDrivers.has(lockId),
+        hardware_auto_relock: null,
+      }))),
       warnings: doorFlowWarnings(flows),
+      // Doors whose flow is rendered from a template (a save re-renders them).
+      templated: flowTemplates.linkedDoors(config.flow_templates),
+      // People a trigger can be scoped to: the synced directory plus anyone a
+      // scope already names (name null when they are no longer in UniFi).
+      users: [...new Set([...(unifiClient && unifiClient.userNames ? unifiClient.userNames.keys() : []), ...scopedUserIds(flows)])]
+        .map((id) => ({ id, name: unifiClient ? unifiClient.getUserName(id) : null }))
+        .sort((a, b) => String(a.name || a.id).localeCompare(String(b.name || b.id))),
+      // Trigger schedules are evaluated in this zone (null = server local time).
+      timezone: (config.site && config.site.timezone) || null,
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -3823,16 +5661,15 @@ app.get('/api/door-flows', (req, res) => {
 // Canonicalize one trigger from the editor: drop annotations, fill defaults,
 // keep only the two written after-unlock modes.
 function cleanDoorFlowTrigger(trig) {
-  const type = trig && trig.type === 'doorbell' ? 'doorbell' : 'entry';
-  let scope = null;
-  const rs = trig && trig.scope;
-  if (rs && typeof rs === 'object') {
-    if (rs.any_group === true) scope = { any_group: true };
-    else if (Array.isArray(rs.groups)) {
-      const g = rs.groups.filter((x) => typeof x === 'string' && x.trim());
-      if (g.length) scope = { groups: g };
-    }
-  }
+  const type = trig && doorFlows.TRIGGER_TYPES.includes(trig.type) ? trig.type : 'entry';
+  if (type === 'door_closed') {
+    // A closing door only locks: no scope, no unlock/retract.
+    const out = { type, scope: null, actions: { unlock: [], retract: [], lock: doorFlows.lockActionsOf(trig) } };
+    const schedule = schedules.normalizeSchedule(trig.schedule);
+    if (schedule) out.schedule = schedule;
+    return out;
+  }
+  const scope = doorFlows.normalizeScope(trig && trig.scope);
   const actions = (trig && trig.actions) || {};
   const retract = (Array.isArray(actions.retract) ? actions.retract : []).map((e) => ({
     lock_id: e.lock_id,
@@ -3866,6 +5703,11 @@ function cleanDoorFlowTrigger(trig) {
       };
     });
   const out = { type, scope, actions: { unlock, retract } };
+  if (type === 'keypad_unlock') out.lock_id = trig.lock_id;
+  const lockRule = doorFlows.lockRuleActionsOf(trig);
+  if (lockRule.length) out.actions.lock_rule = lockRule;
+  const http = doorFlows.httpActionsOf(trig);
+  if (http.length) out.actions.http = http;
   if (type === 'doorbell') {
     const db = (trig && trig.doorbell) || {};
     out.doorbell = {
@@ -3873,6 +5715,9 @@ function cleanDoorFlowTrigger(trig) {
       viewer_to_group: (db.viewer_to_group && typeof db.viewer_to_group === 'object') ? db.viewer_to_group : {},
     };
   }
+  // Only a scheduled trigger carries the key; absent means around the clock.
+  const schedule = schedules.normalizeSchedule(trig && trig.schedule);
+  if (schedule) out.schedule = schedule;
   return out;
 }
 
@@ -3884,13 +5729,17 @@ app.put('/api/door-flows', async (req, res) => {
   if (errors.length) {
     return res.status(400).json({ error: errors.join('; ') });
   }
+  // GET redacts http secrets: an echoed placeholder (or no signing secret at
+  // all) keeps the stored value for that url.
+  doorFlows.carryHttpSecrets(flows, config.door_flows, REDACTION_MARKER);
   // Strip client-side annotations and canonicalize before persisting. The
   // editor sends the trigger shape; a flat legacy payload normalizes first.
   const clean = {};
   for (const [door, flow] of Object.entries(flows)) {
     const triggers = doorFlows.triggersOf(flow).map(cleanDoorFlowTrigger).filter((t) => {
       const hasUnlock = Array.isArray(t.actions.unlock) && t.actions.unlock.length;
-      return hasUnlock || t.actions.retract.length;
+      return hasUnlock || t.actions.retract.length || (t.actions.lock && t.actions.lock.length)
+        || (t.actions.lock_rule && t.actions.lock_rule.length) || (t.actions.http && t.actions.http.length);
     });
     if (triggers.length) clean[door] = { door_id: flow.door_id || null, triggers };
   }
@@ -3928,6 +5777,243 @@ app.put('/api/door-flows', async (req, res) => {
   }
 });
 
+// POST /api/door-flows/replay {flows, source: 'feed'|'capture', limit}
+// Dry run of an unsaved edit: the last `limit` events from the live feed or
+// the capture session go through the saved flows and through the draft, and
+// the response lists what each would have done per event (src/flow-replay.js).
+// Nothing is unlocked, retracted, set, sent or saved.
+app.post('/api/door-flows/replay', (req, res) => {
+  const body = req.body || {};
+  const flows = body.flows && typeof body.flows === 'object' ? body.flows : null;
+  if (!flows) return res.status(400).json({ error: 'flows is required' });
+  const errors = doorFlows.validateFlows(flows);
+  if (errors.length) {
+    return res.status(400).json({ error: errors.join('; ') });
+  }
+  // Canonicalize exactly as a save would, so the replay runs what PUT stores.
+  const draft = {};
+  for (const [door, flow] of Object.entries(flows)) {
+    draft[door] = { door_id: flow.door_id || null, triggers: doorFlows.triggersOf(flow).map(cleanDoorFlowTrigger) };
+  }
+  const source = body.source === 'capture' ? 'capture' : 'feed';
+  const picked = source === 'capture'
+    ? flowReplay.eventsFromCapture(capture.list(flowReplay.MAX_LIMIT), body.limit)
+    : flowReplay.eventsFromFeed(eventHistory, body.limit);
+  const result = flowReplay.replayDiff(picked.events, config.door_flows || {}, draft, {
+    config,
+    userGroup: (id) => (resolver.resolve(id).group || null),
+  });
+  res.json({ source, skipped: picked.skipped, summary: result.summary, events: result.events });
+});
+
+// ---------------------------------------------------------------------------
+// Door flow templates (config.flow_templates, see src/flow-templates.js). One
+// pattern with {{door}} / {{lock}} / {{group}} placeholders, linked to many
+// doors. PUT replaces the whole template set and re-renders every linked
+// door's flow into door_flows; dry_run returns the same per-door diff without
+// saving anything.
+// ---------------------------------------------------------------------------
+
+app.get('/api/flow-templates', (req, res) => {
+  const zwLocks = (config.devices && config.devices.zwave && config.devices.zwave.locks) || {};
+  res.json({
+    // Sensitive http headers are redacted like GET /api/door-flows; PUT puts
+    // the stored values back.
+    templates: redactSecrets(config.flow_templates || {}),
+    placeholders: flowTemplates.PLACEHOLDERS,
+    flow_doors: Object.keys(config.door_flows || {}).sort((a, b) => a.localeCompare(b)),
+    doors: [...new Set([...(unifiClient && unifiClient.doors ? unifiClient.doors.keys() : []), ...Object.keys(config.door_flows || {})])]
+      .sort((a, b) => a.localeCompare(b)),
+    locks: [...Object.keys(zwLocks), ...Object.keys(networkLocksConfig())]
+      .map((lockId) => ({ lock_id: lockId, name: lockLabel(lockId) })),
+  });
+});
+
+// Rendered flows for every linked door, canonicalized exactly as a door-flows
+// save would (cleaned triggers, carried http secrets, backfilled door ids) so
+// the diff against door_flows shows only real changes.
+function renderTemplateFlows(templates) {
+  const { flows: rendered, owner } = flowTemplates.renderTemplates(templates);
+  const current = config.door_flows || {};
+  doorFlows.carryHttpSecrets(rendered, current, REDACTION_MARKER);
+  const flows = {};
+  for (const [door, flow] of Object.entries(rendered)) {
+    const existing = current[door];
+    flows[door] = {
+      door_id: flow.door_id || (existing && existing.door_id) || null,
+      triggers: flow.triggers.map(cleanDoorFlowTrigger),
+    };
+  }
+  if (unifiClient && unifiClient.doors) doorFlows.backfillFlowDoorIds(flows, unifiClient.doors, unifiClient.doorsById);
+  return { flows, owner };
+}
+
+app.put('/api/flow-templates', async (req, res) => {
+  const body = req.body || {};
+  const templates = body.templates && typeof body.templates === 'object' ? body.templates : {};
+  const errors = flowTemplates.validateTemplates(templates);
+  if (errors.length) {
+    return res.status(400).json({ error: errors.join('; ') });
+  }
+  // An echoed redaction placeholder in a header keeps the stored value for
+  // that url: from the template itself, or from the door flow a template was
+  // started from. Signing secrets stay on the doors (renderTemplateFlows).
+  doorFlows.carryHttpSecrets(templates, Object.assign({}, config.door_flows, config.flow_templates), REDACTION_MARKER);
+  flowTemplates.dropHttpSecrets(templates);
+  const { flows, owner } = renderTemplateFlows(templates);
+  const changes = flowTemplates.diffRendered(config.door_flows || {}, flows, owner);
+  if (body.dry_run) return res.json({ status: 'preview', changes });
+  try {
+    const current = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf-8'));
+    current.flow_templates = templates; // REPLACE the set
+    current.door_flows = Object.assign({}, current.door_flows, flows);
+    writeConfigFile(current);
+    if (configSync) configSync.markConfigApplied();
+    const touched = changes.filter((c) => c.status !== 'unchanged').length;
+    logger.info(`Flow templates saved (${Object.keys(templates).length} template(s), ${touched} door flow(s) re-rendered)`);
+    let reloadMode = 'skipped';
+    try {
+      const result = await reloadOrchestrator({
+        reason: 'flow_templates_saved',
+        actor: 'API',
+        eventType: 'system.config_reload',
+        actionPrefix: 'Flow templates reloaded',
+      });
+      reloadMode = result.mode;
+    } catch (reloadErr) {
+      logger.warn(`Auto-reload after flow-template save failed: ${reloadErr.message}`);
+    }
+    if (touched) scheduleReconcile('door_flows_changed');
+    res.json({ status: 'saved', reload_mode: reloadMode, changes, warnings: doorFlowWarnings(current.door_flows) });
+  } catch (err) {
+    logger.error(`Flow template save failed: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Holiday calendar (config.site.holidays). Named closure days and one-off
+// exceptions that suppress or swap scheduled door-flow triggers and can
+// tighten auto-relock for the day (semantics in src/schedule.js). Shown on the
+// Automations tab. PUT replaces the whole list; import-ics only PARSES a local
+// .ics file so the editor can preview and merge before saving.
+// ---------------------------------------------------------------------------
+
+app.get('/api/holidays', (req, res) => {
+  const site = config.site || {};
+  const today = schedules.holidayOn(site.holidays, Date.now(), site.timezone);
+  res.json({
+    holidays: schedules.normalizeHolidays(site.holidays),
+    timezone: site.timezone || null,
+    today: { date: schedules.localDate(Date.now(), site.timezone), holiday: today ? today.name : null },
+  });
+});
+
+app.put('/api/holidays', async (req, res) => {
+  const body = req.body || {};
+  const list = Array.isArray(body.holidays) ? body.holidays : body;
+  const validation = validateConfigUpdates({ site: { holidays: list } });
+  if (!validation.ok) return res.status(400).json({ error: validation.error });
+  const holidays = schedules.normalizeHolidays(list);
+  try {
+    const current = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf-8'));
+    current.site = Object.assign({}, current.site, { holidays }); // REPLACE the list
+    writeConfigFile(current);
+    if (configSync) configSync.markConfigApplied();
+    logger.info(`Holiday calendar saved (${holidays.length} entr${holidays.length === 1 ? 'y' : 'ies'})`);
+    // Live apply: the calendar is part of the deadbolt rules signature, so the
+    // reload rebuilds the controllers without touching the Z-Wave connection.
+    let reloadMode = 'skipped';
+    try {
+      const result = await reloadOrchestrator({
+        reason: 'holidays_saved',
+        actor: 'API',
+        eventType: 'system.config_reload',
+        actionPrefix: 'Holiday calendar reloaded',
+      });
+      reloadMode = result.mode;
+    } catch (reloadErr) {
+      logger.warn(`Auto-reload after holiday save failed: ${reloadErr.message}`);
+    }
+    res.json({ status: 'saved', reload_mode: reloadMode, holidays });
+  } catch (err) {
+    logger.error(`Holiday calendar save failed: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/holidays/import-ics', (req, res) => {
+  const ics = req.body && req.body.ics;
+  if (typeof ics !== 'string' || !/BEGIN:VCALENDAR/i.test(ics)) {
+    return res.status(400).json({ error: 'ics must be the text of an iCalendar (.ics) file' });
+  }
+  const parsed = parseIcsHolidays(ics);
+  res.json({ holidays: schedules.normalizeHolidays(parsed.holidays), skipped: parsed.skipped });
+});
+
+// ---------------------------------------------------------------------------
+// Lockdown API (see src/lockdown.js). One switch, also on the dashboard and the
+// Electron tray: holds the configured door set locked through UniFi, throws
+// every paired deadbolt and pauses door-flow unlocks until ended. The door set
+// is config.lockdown.door_ids (empty = every discovered door).
+// ---------------------------------------------------------------------------
+
+function lockdownDoorIds() {
+  const ids = config.lockdown && Array.isArray(config.lockdown.door_ids) ? config.lockdown.door_ids : [];
+  return ids.filter((id) => typeof id === 'string' && id);
+}
+
+app.get('/api/lockdown', (req, res) => {
+  const selected = new Set(lockdownDoorIds());
+  const doors = Array.from((unifiClient.doorsById || new Map()).entries())
+    .map(([id, name]) => ({ id: String(id), name, selected: selected.has(String(id)) }));
+  res.json(Object.assign(lockdown.getStatus(), { door_ids: [...selected], doors }));
+});
+
+app.post('/api/lockdown', async (req, res) => {
+  const auth = authorizeSensitivePinOp(req.body, { allowCurrentPin: false });
+  if (!auth.ok) return res.status(auth.status).json({ error: auth.error });
+  const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 200) : '';
+  try {
+    const status = await lockdown.engage({ actor: auth.actor, reason });
+    res.json(status);
+  } catch (err) {
+    logger.error(`Lockdown start failed: ${err.message}`);
+    res.status(409).json({ error: err.message, lockdown: lockdown.getStatus() });
+  }
+});
+
+app.post('/api/lockdown/end', async (req, res) => {
+  const auth = authorizeSensitivePinOp(req.body, { allowCurrentPin: false });
+  if (!auth.ok) return res.status(auth.status).json({ error: auth.error });
+  try {
+    res.json(await lockdown.release({ actor: auth.actor }));
+  } catch (err) {
+    logger.error(`Lockdown end failed: ${err.message}`);
+    res.status(409).json({ error: err.message, lockdown: lockdown.getStatus() });
+  }
+});
+
+// Saves the door set only (no reload: nothing else reads it). A running
+// lockdown keeps the doors it engaged with.
+app.put('/api/lockdown/doors', (req, res) => {
+  const doorIds = req.body && req.body.door_ids;
+  const validation = validateConfigUpdates({ lockdown: { door_ids: doorIds } });
+  if (!validation.ok) return res.status(400).json({ error: validation.error });
+  try {
+    const current = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf-8'));
+    current.lockdown = Object.assign({}, current.lockdown, { door_ids: [...new Set(doorIds)] });
+    writeConfigFile(current);
+    if (configSync) configSync.markConfigApplied();
+    config.lockdown = current.lockdown;
+    logger.info(`Lockdown door set saved (${doorIds.length ? `${current.lockdown.door_ids.length} door(s)` : 'every door'})`);
+    res.json({ status: 'saved', door_ids: current.lockdown.door_ids });
+  } catch (err) {
+    logger.error(`Lockdown door set save failed: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ---------------------------------------------------------------------------
 // Backup API endpoints
 // ---------------------------------------------------------------------------
@@ -3994,6 +6080,159 @@ app.post('/api/backups/restore', async (req, res) => {
   }
 });
 
+// ---------------------------------------------------------------------------
+// Z-Wave controller NVM backups (see src/nvm-backup.js). A backup or restore
+// silences the radio for up to a minute or two, so each runs in the
+// background, one at a time, and reports through the event feed.
+// ---------------------------------------------------------------------------
+
+let nvmJob = null;      // the running backup/restore: {op, started_at, progress}
+let lastNvmJob = null;  // the last one's outcome
+
+// Why an NVM job cannot start right now, or null.
+function nvmBusyReason() {
+  if (nvmJob) return `a controller ${nvmJob.op} is already running`;
+  if (zwavePairing.isActive()) return 'A pairing session is in progress';
+  const updating = [...firmwareUpdates.entries()].find(([, u]) => u.running);
+  if (updating) return `a firmware update is running on "${lockLabel(updating[0])}"`;
+  return null;
+}
+
+function nvmFeed(op, action, success) {
+  broadcastEvent({ type: `zwave.nvm_${op}`, actor: 'Z-Wave', location: 'controller', action, success });
+}
+
+// Read the stick's NVM and file it with the security keys. Throws when the
+// driver is down. The prune that follows never deletes `keep`.
+async function saveNvmBackup(reason, keep) {
+  const zw = (config.devices && config.devices.zwave) || {};
+  const read = await zwaveManager.backupNVM((done, total) => {
+    if (nvmJob && total) nvmJob.progress = Math.round((done / total) * 100);
+  });
+  const result = nvmBackup.createNvmBackup(BACKUP_DIR, {
+    nvm: read.nvm,
+    securityKeys: nvmBackup.securityKeysHex(zw),
+    controller: read.controller,
+    nodeIds: read.nodeIds,
+  });
+  nvmBackup.pruneNvmBackups(BACKUP_DIR, nvmBackup.nvmSettings(config.backup).max_backups, keep);
+  logger.info(`Z-Wave: controller NVM backup ${result.filename} (${reason}, ${read.nodeIds.length} nodes)`);
+  return result;
+}
+
+// One backup as a job (callers check nvmBusyReason() first).
+async function runNvmBackup(reason) {
+  nvmJob = { op: 'backup', started_at: new Date().toISOString(), progress: 0 };
+  try {
+    const result = await saveNvmBackup(reason);
+    nvmFeed('backup', `Controller backup ${result.filename} (${reason})`, true);
+    lastNvmJob = { op: 'backup', success: true, filename: result.filename, finished_at: new Date().toISOString() };
+    return result;
+  } catch (err) {
+    lastNvmJob = { op: 'backup', success: false, error: err.message, finished_at: new Date().toISOString() };
+    nvmFeed('backup', `Controller backup failed (${reason}): ${err.message}`, false);
+    throw err;
+  } finally {
+    nvmJob = null;
+  }
+}
+
+// Write a backup onto the stick now plugged in (normally a replacement),
+// put the backup's security keys into config, restart the driver on the
+// restored network and rebuild the locks. A pre-restore backup of whatever
+// the stick held is taken first, best effort; its prune spares `filename`.
+async function runNvmRestore(filename, backup) {
+  const zw = (config.devices && config.devices.zwave) || {};
+  nvmJob = { op: 'restore', started_at: new Date().toISOString(), progress: 0 };
+  try {
+    await zwaveManager.ensureStarted({ serial_path: zw.serial_path, cache_dir: zw.cache_dir });
+    try {
+      await saveNvmBackup('before restore', filename);
+    } catch (e) {
+      logger.warn(`Z-Wave: pre-restore backup skipped: ${e.message}`);
+    }
+    nvmJob.progress = 0;
+    nvmFeed('restore', `Restoring controller backup ${filename}; the Z-Wave network is offline until it finishes`, true);
+    await zwaveManager.restoreNVM(backup.nvm, (phase, done, total) => {
+      if (phase === 'restore' && total) nvmJob.progress = Math.round((done / total) * 100);
+    });
+    const keys = backup.security_keys || {};
+    const current = nvmBackup.securityKeysHex(zw);
+    if (Object.keys(keys).some((k) => keys[k] !== current[k])) {
+      persistZwaveMutation((cfg) => {
+        cfg.devices = cfg.devices || {};
+        cfg.devices.zwave = cfg.devices.zwave || {};
+        cfg.devices.zwave.security_keys = Object.assign({}, cfg.devices.zwave.security_keys, keys);
+      });
+      logger.warn('Z-Wave: security keys replaced with the ones stored in the restored backup');
+    }
+    await zwaveManager.restart();
+    await bringDeadboltOnline();
+    logger.info(`Z-Wave: controller NVM restored from ${filename}`);
+    nvmFeed('restore', `Controller restored from ${filename}; locks rebuilt`, true);
+    lastNvmJob = { op: 'restore', success: true, filename, finished_at: new Date().toISOString() };
+  } catch (err) {
+    lastNvmJob = { op: 'restore', success: false, filename, error: err.message, finished_at: new Date().toISOString() };
+    logger.error(`Z-Wave: controller NVM restore from ${filename} failed: ${err.message}`);
+    nvmFeed('restore', `Controller restore from ${filename} failed: ${err.message}`, false);
+  } finally {
+    nvmJob = null;
+  }
+}
+
+app.get('/api/backups/zwave', (req, res) => {
+  try {
+    res.json({
+      backups: nvmBackup.listNvmBackups(BACKUP_DIR),
+      settings: nvmBackup.nvmSettings(config.backup),
+      driver_running: zwaveManager.isRunning(),
+      job: nvmJob,
+      last: lastNvmJob,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/backups/zwave', (req, res) => {
+  const busy = nvmBusyReason();
+  if (busy) return res.status(409).json({ error: busy });
+  if (!zwaveManager.isRunning()) return res.status(503).json({ error: 'Z-Wave driver is not running' });
+  runNvmBackup('manual').catch((e) => logger.warn(`Z-Wave: controller backup failed: ${e.message}`));
+  res.status(202).json({ status: 'started' });
+});
+
+app.post('/api/backups/zwave/restore', (req, res) => {
+  const { filename } = req.body || {};
+  if (!filename) return res.status(400).json({ error: 'Missing filename' });
+  const busy = nvmBusyReason();
+  if (busy) return res.status(409).json({ error: busy });
+  const zw = (config.devices && config.devices.zwave) || {};
+  if (!zw.serial_path) return res.status(400).json({ error: 'Set the Z-Wave stick serial port first' });
+  let backup;
+  try {
+    backup = nvmBackup.readNvmBackup(BACKUP_DIR, filename);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  runNvmRestore(filename, backup).catch((e) => logger.error(`Z-Wave: controller restore failed: ${e.message}`));
+  res.status(202).json({ status: 'started', filename });
+});
+
+app.get('/api/backups/zwave/:filename', (req, res) => {
+  const { filename } = req.params;
+  if (!nvmBackup.NVM_PATTERN.test(filename)) {
+    return res.status(400).json({ error: 'Invalid filename' });
+  }
+  const filePath = path.join(BACKUP_DIR, filename);
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'Backup not found' });
+  }
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Content-Type', 'application/json');
+  res.sendFile(filePath);
+});
+
 app.get('/api/backups/:filename', (req, res) => {
   const { filename } = req.params;
   if (!/^config_\d{4}-\d{2}-\d{2}_\d{6}\.json$/.test(filename)) {
@@ -4352,6 +6591,9 @@ app.get('/auto-lock/:buttonId', async (req, res) => {
       result = await unifiClient.unlockDoor(button.door_id, `auto-lock "${button.id}" from ${sourceIp}`);
     } else {
       result = await unifiClient.setDoorLockRule(button.door_id, button.action);
+      if (result.success && doorFlows.LOCK_RULE_TYPES.includes(button.action)) {
+        lockRuleState.note({ door: doorName, door_id: button.door_id, type: button.action, source: `phone button "${button.label || button.id}"` });
+      }
     }
   } catch (err) {
     result = { success: false, error: err.message };
@@ -4511,7 +6753,7 @@ function startEventSource() {
       // is not empty on a normal install. describeForFeed is pure.
       try {
         const feed = rulesEngine.describeForFeed(event);
-        if (feed) broadcastEvent({ ...feed, action: '' });
+        if (feed) broadcastEvent({ ...feed, action: '', replay: flowReplay.feedRecord(event) || undefined });
       } catch (e) {
         logger.warn(`Live feed projection failed: ${e.message}`);
       }
@@ -4595,8 +6837,16 @@ async function reloadOrchestrator({
 // controllers; adding flows when a paired lock exists but no driver was built
 // yet takes the full activation path (safe: the driver is not running, so
 // nothing reconnects).
+// What the deadbolt controllers are built from: the flows plus the site
+// timezone and holiday calendar their schedules are read against. A change to
+// any of them rebuilds them.
+function deadboltRulesSig(cfg) {
+  const site = cfg.site || {};
+  return JSON.stringify([cfg.door_flows, site.timezone || null, site.holidays || []]);
+}
+
 async function maybeRebuildDeadboltRules(oldSig) {
-  const newSig = JSON.stringify(config.door_flows);
+  const newSig = deadboltRulesSig(config);
   if (newSig === oldSig) return;
   if (!config.door_flows || !Object.keys(config.door_flows).length) {
     destroyDeadboltControllers();
@@ -4606,9 +6856,10 @@ async function maybeRebuildDeadboltRules(oldSig) {
     return;
   }
   const zw = config.devices && config.devices.zwave;
-  // Build drivers whenever Z-Wave is enabled, not only when rules exist: a
-  // paired lock is controllable (test/PIN) even with no automation.
-  if (!lockDrivers.size && zw && zw.enabled) {
+  // Build drivers whenever Z-Wave is enabled (or a network lock is set up),
+  // not only when rules exist: a paired lock is controllable (test/PIN) even
+  // with no automation.
+  if (!lockDrivers.size && ((zw && zw.enabled) || Object.keys(networkLocksConfig()).length)) {
     await bringDeadboltOnline();
     return;
   }
@@ -4621,11 +6872,25 @@ async function maybeRebuildDeadboltRules(oldSig) {
   logger.info(`Deadbolt rules updated live (automated: ${deadboltControllers.size}, cascade rules: ${cascadeController ? cascadeController.cascadeRules.length : 0}); lock drivers untouched`);
 }
 
+// What the MQTT and HTTP lock drivers are built from. Unlike the Z-Wave
+// side (pairing rebuilds it), an edit here rebuilds the drivers on reload.
+function networkLocksSig(cfg) {
+  const devices = cfg.devices || {};
+  return JSON.stringify(NETWORK_LOCK_TRANSPORTS.map((t) => devices[t] || null));
+}
+
+async function maybeRebuildNetworkLocks(oldSig) {
+  if (networkLocksSig(config) === oldSig) return;
+  logger.info('Reload: MQTT/HTTP lock settings changed; rebuilding lock drivers');
+  await bringDeadboltOnline();
+}
+
 async function reloadServices(newConfig) {
   const settingsChanged = controllerOrSourceChanged(config, newConfig);
   const degraded = isEventSourceDegraded();
   const fullReload = settingsChanged || degraded;
-  const oldRulesSig = JSON.stringify(config.door_flows);
+  const oldRulesSig = deadboltRulesSig(config);
+  const oldNetworkSig = networkLocksSig(config);
 
   if (degraded && !settingsChanged) {
     logger.info('Reload: event source is degraded — escalating to full reconnect');
@@ -4650,6 +6915,7 @@ async function reloadServices(newConfig) {
     // so a config reload can never tear down the driver or a pairing session
     // mid-flight.
     await maybeRebuildDeadboltRules(oldRulesSig);
+    await maybeRebuildNetworkLocks(oldNetworkSig);
 
     const initOk = await unifiClient.initialize();
     if (initOk) {
@@ -4684,6 +6950,7 @@ async function reloadServices(newConfig) {
   if (alertsChanged) notifier = new Notifier(config.alerts || {}, { logger }); // alert edits apply without a full reload
   startWatchdog();
   await maybeRebuildDeadboltRules(oldRulesSig);
+  await maybeRebuildNetworkLocks(oldNetworkSig);
 
   if (mappingChanged) {
     // Re-sync in the background so the mapping takes effect immediately
@@ -4710,6 +6977,9 @@ async function start() {
   // Rehydrate the Live Events feed from disk before the server accepts
   // requests, so GET /api/events/history is populated immediately on boot.
   loadEventFeed();
+  // Likewise the lockdown flag: the controllers built below must see it from
+  // their first event.
+  if (lockdown.load().active) logger.warn('Lockdown was active at shutdown; it stays in force until ended');
 
   const port = config.server?.port || 3000;
   const host = config.server?.host || '0.0.0.0';
@@ -4765,6 +7035,22 @@ async function start() {
   setInterval(runScheduledBackupCheck, CHECK_INTERVAL_MS);
   logger.info(`Config backup schedule: every ${backupIntervalDays} days (checked on startup + daily)`);
 
+  // Controller NVM backups on the same daily check, when a stick is running.
+  // A busy stick (pairing, a firmware update) just waits for the next day.
+  const runScheduledNvmBackupCheck = () => {
+    const { interval_days: days } = nvmBackup.nvmSettings(config.backup);
+    if (!zwaveManager.isRunning() || nvmBusyReason()) return;
+    try {
+      if (!nvmBackup.nvmBackupDue(nvmBackup.listNvmBackups(BACKUP_DIR), days, Date.now())) return;
+    } catch (err) {
+      logger.warn(`Scheduled controller backup check failed: ${err.message}`);
+      return;
+    }
+    runNvmBackup('scheduled').catch((e) => logger.warn(`Scheduled controller backup failed: ${e.message}`));
+  };
+  setTimeout(runScheduledNvmBackupCheck, STARTUP_CHECK_DELAY_MS * 4);
+  setInterval(runScheduledNvmBackupCheck, CHECK_INTERVAL_MS);
+
   // Bring up the smart-deadbolt add-on (inert unless configured), then tap the
   // event stream before the event source connects. Drivers init concurrently;
   // one lock's failure never blocks another's startup.
@@ -4782,7 +7068,18 @@ async function start() {
     });
     if (_failedInitLocks.size) scheduleDeadboltInitRetry();
   }
+  await initContactSensors();
   applyEventTaps();
+  // Expiring and scheduled keypad PINs: catch up on any edge missed while
+  // the app was down, then check once a minute. Rotation resumes any staged
+  // rotation the same way.
+  startPinWindows();
+  startPinRotation();
+  // A lockdown that survived the restart re-applies its door holds and throws
+  // the deadbolts again now that the controller and drivers are up.
+  if (lockdown.isActive()) {
+    lockdown.resume('restart').catch((e) => logger.error(`Lockdown resume failed: ${e.message}`));
+  }
   // Decision 2: hand the hardware auto-relock off for flow-wired locks so the
   // app owns relock in software (best-effort; retried on rebuild).
   ensureHardwareAutoRelockOff().catch((e) => logger.warn(`Deadbolt: hardware auto-relock handoff error: ${e.message}`));
@@ -4794,6 +7091,7 @@ async function start() {
   // no-op when not applicable; the notifier gates actual delivery.
   lockLinkMonitor.start();
   controllerLinkMonitor.start();
+  doorHeldOpenMonitor.start();
 
   // Start the periodic Config Sync job. Detects local config.json edits
   // and upstream UniFi controller drift (door/user/group changes) and
@@ -4877,7 +7175,7 @@ if (require.main === module) {
       ]);
     } catch (e) { /* ignore teardown errors */ }
     try {
-      // Await the Z-Wave lock teardowns (bounded) so listeners unbind cleanly.
+      // Await the lock teardowns (bounded) so listeners unbind cleanly.
       if (lockDrivers.size) await Promise.race([
         Promise.allSettled(Array.from(lockDrivers.values()).map((d) => Promise.resolve(d.shutdown()))),
         new Promise((r) => setTimeout(r, 3000)),
@@ -4890,6 +7188,13 @@ if (require.main === module) {
         new Promise((r) => setTimeout(r, 3000)),
       ]);
     } catch (e) { /* ignore teardown errors */ }
+    try {
+      // Likewise the shared MQTT broker session.
+      if (mqttConnection) await Promise.race([
+        mqttConnection.stop(),
+        new Promise((r) => setTimeout(r, 2000)),
+      ]);
+    } catch (e) { /* ignore teardown errors */ }
     try { unifiClient.shutdown(); } catch (e) { /* ignore */ }
     process.exit(0);
   };
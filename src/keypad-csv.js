@@ -0,0 +1,321 @@
+'use strict';
+
+const { REVOKE_VERDICTS } = require('./access-gating');
+const { planUserSave, combinedLengthRule } = require('./keypad-users');
+const pinPolicy = require('./pin-policy');
+
+/**
+ * Bulk keypad PINs over CSV: parse an import file, plan every row the way a
+ * single Save would (planUserSave per lock, combinedLengthRule for the shared
+ * length), and build the matching export. Pure, like keypad-users.js: the
+ * endpoints own the drivers, persistence, UniFi push and audit.
+ *
+ * Import columns (header optional; without one: user, pin, name):
+ *   user_id | email | user  - a UniFi user id, or the email UniFi holds
+ *   pin                     - 4 to 10 digits, or "generate"
+ *   name                    - optional display name override
+ * An export with digits (user_id, ..., pin) imports back as-is: the rows a
+ * user has on several locks repeat the same PIN and fold into one.
+ */
+
+const MAX_IMPORT_ROWS = 500;
+const USER_COLUMNS = ['user_id', 'unifi_id', 'id', 'email', 'user_email', 'user'];
+const PIN_COLUMNS = ['pin', 'pin_code', 'code'];
+const NAME_COLUMNS = ['name', 'full_name'];
+const EXPORT_COLUMNS = ['user_id', 'email', 'name', 'lock_id', 'lock', 'slot', 'status', 'updated_at'];
+
+/**
+ * RFC 4180 records: quoted fields (with "" escapes and embedded newlines),
+ * CRLF or LF line ends, a leading BOM. Blank lines are dropped; each record
+ * keeps the 1-based line it started on for error messages.
+ * Returns Array<{line, cells: string[]}>.
+ */
+function parseCsv(text) {
+  const src = String(text == null ? '' : text).replace(/^\uFEFF/, '');
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let startLine = 1;
+  const endRecord = () => {
+    cells.push(cell);
+    if (cells.length > 1 || cells[0].trim() !== '') records.push({ line: startLine, cells });
+    cells = [];
+    cell = '';
+  };
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else {
+        if (ch === '\n') line++;
+        cell += ch;
+      }
+    } else if (ch === '"' && cell.trim() === '') {
+      quoted = true;
+      cell = '';
+    } else if (ch === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      startLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+  if (quoted) throw new Error(`line ${startLine}: unterminated quoted field`);
+  if (cell !== '' || cells.length) endRecord();
+  return records;
+}
+
+const norm = (h) => String(h || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+/**
+ * The import rows of a CSV file. Returns {rows: [{line, user, pin, name}],
+ * errors: string[]}; file-level problems (no user/pin column, too many rows)
+ * land in errors, row-level ones are left to planImport.
+ */
+function parseImport(text) {
+  let records;
+  try {
+    records = parseCsv(text);
+  } catch (err) {
+    return { rows: [], errors: [err.message] };
+  }
+  if (!records.length) return { rows: [], errors: ['the file has no rows'] };
+  const head = records[0].cells.map(norm);
+  const hasHeader = head.some((h) => USER_COLUMNS.includes(h) || PIN_COLUMNS.includes(h));
+  // A header may carry both user_id and email (the export does); the id wins
+  // and the email is the fallback for a row without one.
+  const userCols = hasHeader ? USER_COLUMNS.map((c) => head.indexOf(c)).filter((i) => i >= 0) : [0];
+  const pinCol = hasHeader ? head.findIndex((h) => PIN_COLUMNS.includes(h)) : 1;
+  const nameCol = hasHeader ? head.findIndex((h) => NAME_COLUMNS.includes(h)) : 2;
+  const errors = [];
+  if (!userCols.length) errors.push('the header needs a user_id or email column');
+  if (pinCol < 0) errors.push('the header needs a pin column (digits, or "generate")');
+  const body = hasHeader ? records.slice(1) : records;
+  if (body.length > MAX_IMPORT_ROWS) errors.push(`at most ${MAX_IMPORT_ROWS} rows per import (this file has ${body.length})`);
+  if (errors.length) return { rows: [], errors };
+  const cellAt = (cells, i) => (i >= 0 && cells[i] != null ? String(cells[i]).trim() : '');
+  const rows = body.map(({ line, cells }) => ({
+    line,
+    user: userCols.map((i) => cellAt(cells, i)).find(Boolean) || '',
+    pin: cellAt(cells, pinCol),
+    name: cellAt(cells, nameCol) || null,
+  }));
+  if (!rows.length) errors.push('the file has a header but no rows');
+  return { rows, errors };
+}
+
+/**
+ * Match an import cell to a synced UniFi user: an address with "@" by email
+ * (case-insensitive), anything else by id. Returns {user} or {error}.
+ * @param {Array<{id, name, email?}>} directory
+ */
+function resolveUser(ident, directory) {
+  if (!ident) return { error: 'no user_id or email' };
+  if (ident.includes('@')) {
+    const want = ident.toLowerCase();
+    const hits = (directory || []).filter((u) => u.email && String(u.email).trim().toLowerCase() === want);
+    if (hits.length > 1) return { error: `${ident} matches ${hits.length} UniFi users; use the user_id` };
+    return hits.length ? { user: hits[0] } : { error: `no synced UniFi user has the email ${ident}` };
+  }
+  const hit = (directory || []).find((u) => u.id === ident);
+  return hit ? { user: hit } : { error: `no synced UniFi user has the id ${ident}` };
+}
+
+/** Why a PIN breaks the combined rule every lock must satisfy, or null. */
+function lengthRuleError(pin, rule) {
+  if (rule.conflict) return 'the locks are set to different fixed code lengths, so no single PIN fits them all';
+  if (rule.fixed != null && pin.length !== rule.fixed) return `the locks take ${rule.fixed}-digit codes`;
+  if (pin.length < rule.min || pin.length > rule.max) return `the locks take ${rule.min} to ${rule.max} digit codes`;
+  return null;
+}
+
+/**
+ * Plan an import: resolve each row's user, settle its PIN (given or
+ * generated), check it against the combined length rule and the site PIN
+ * policy, then plan the per-lock writes with planUserSave. Rows are
+ * planned in order against a working copy of the lock storage, so two new
+ * users never get the same free slot and a PIN can be used only once.
+ *
+ * A row is 'error' (skipped), 'partial' (some locks cannot take it; the rest
+ * are written, as with a single Save) or 'ok'. Locks the user's UniFi access
+ * denies are 'blocked': the execute step revokes any code held there.
+ *
+ * @param {Array}  rows           parseImport().rows
+ * @param {object} ctx
+ * @param {Array}  ctx.directory  [{id, name, email}] synced UniFi users
+ * @param {object} ctx.locksCfg   devices.zwave.locks
+ * @param {Array}  ctx.locks      [{lock_id, cap}] code-capable locks
+ * @param {Map}    [ctx.verdicts] Map("<userId>|<lockId>" -> verdict)
+ * @param {Set}    [ctx.windowed] user ids holding a windowed PIN
+ * @param {object} [ctx.policy]   pinPolicy.normalizePolicy() result
+ * @param {Map}    [ctx.holders]  pinPolicy.pinHolders() of the live config;
+ *                                by default the PINs in locksCfg
+ * @param {object} [ctx.history]  config.pin_history
+ * @param {Function} [ctx.randomInt] test seam for pinPolicy.generatePin
+ * @returns {{rule, rows: Array<{line, input, status, error?, user_id?, name?,
+ *   pin?, generated?, locks?: Array<{lock_id, slot}|{lock_id, error}|{lock_id, blocked}>}>}}
+ */
+function planImport(rows, ctx) {
+  const locks = ctx.locks || [];
+  const rule = combinedLengthRule(locks.map((l) => l.cap));
+  const work = JSON.parse(JSON.stringify(ctx.locksCfg || {}));
+  const policy = ctx.policy || pinPolicy.normalizePolicy();
+  // PIN -> user id, across the site and (as rows are planned) the batch;
+  // batchLines says which line claimed a PIN, for the error message.
+  const holders = new Map(ctx.holders || pinPolicy.pinHolders({ devices: { zwave: { locks: work } } }));
+  const batchLines = new Map();
+  const byUser = new Map(); // user_id -> planned row
+  const out = [];
+  for (const row of rows) {
+    const planned = { line: row.line, input: row.user, status: 'error' };
+    out.push(planned);
+    const found = resolveUser(row.user, ctx.directory);
+    if (found.error) { planned.error = found.error; continue; }
+    const userId = found.user.id;
+    planned.user_id = userId;
+    planned.name = row.name || found.user.name || null;
+    const wantsGenerated = /^generate$/i.test(row.pin);
+    if (!wantsGenerated && !/^[0-9]{4,10}$/.test(row.pin)) {
+      planned.error = 'pin must be 4 to 10 digits, or "generate"';
+      continue;
+    }
+    const prior = byUser.get(userId);
+    if (prior) {
+      // The export lists a user once per lock; the same PIN again is that.
+      if (!wantsGenerated && prior.pin === row.pin && !prior.generated) {
+        planned.status = 'duplicate';
+        planned.same_as_line = prior.line;
+        delete planned.error;
+      } else {
+        planned.error = `the same user is on line ${prior.line} with a different PIN`;
+      }
+      continue;
+    }
+    if (ctx.windowed && ctx.windowed.has(userId)) {
+      planned.error = 'this user has a windowed PIN; change it from the Keypad Users panel';
+      continue;
+    }
+    const policyCtx = { policy, userId, holders, history: (ctx.history || {})[userId] || [] };
+    let pin = row.pin;
+    if (wantsGenerated) {
+      pin = pinPolicy.generatePin(policy, rule, policyCtx, ctx.randomInt);
+      if (!pin) { planned.error = lengthRuleError('', rule) || 'no PIN length satisfies both the locks and the PIN policy'; continue; }
+      planned.generated = true;
+    } else {
+      const ruleError = lengthRuleError(pin, rule);
+      if (ruleError) { planned.error = ruleError; continue; }
+      if (batchLines.has(pin) && holders.get(pin) !== userId) {
+        planned.error = `the same PIN as line ${batchLines.get(pin)} (every user needs their own PIN)`;
+        continue;
+      }
+      const violations = pinPolicy.checkPin(pin, policyCtx);
+      if (violations.length) { planned.error = pinPolicy.policyError(violations); continue; }
+    }
+    const blocked = locks.filter((l) => ctx.verdicts && REVOKE_VERDICTS.has(ctx.verdicts.get(`${userId}|${l.lock_id}`)));
+    const writable = locks.filter((l) => !blocked.includes(l));
+    const plan = planUserSave(work, writable, userId, pin);
+    planned.pin = pin;
+    planned.locks = plan.concat(blocked.map((l) => ({ lock_id: l.lock_id, blocked: true })));
+    const slots = plan.filter((p) => p.slot != null);
+    if (!slots.length && !blocked.length) {
+      planned.error = 'no lock can take this code';
+      continue;
+    }
+    planned.status = plan.some((p) => p.error) ? 'partial' : 'ok';
+    byUser.set(userId, planned);
+    holders.set(pin, userId);
+    batchLines.set(pin, row.line);
+    for (const p of slots) {
+      work[p.lock_id] = work[p.lock_id] || {};
+      work[p.lock_id].user_codes = work[p.lock_id].user_codes || {};
+      work[p.lock_id].user_codes[String(p.slot)] = { user_id: userId, pin_code: pin };
+    }
+  }
+  for (const p of out) {
+    if (p.status === 'error') { delete p.pin; delete p.generated; delete p.locks; }
+  }
+  return { rule, rows: out };
+}
+
+/**
+ * The response shape of a plan: digits stripped, except generated PINs when
+ * `revealGenerated` (the executed import is the only place they are shown;
+ * the admin hands them out). Adds the row counts.
+ */
+function describePlan(plan, { revealGenerated = false } = {}) {
+  const rows = plan.rows.map((r) => {
+    const o = Object.assign({}, r);
+    delete o.pin;
+    if (r.pin) o.pin_length = r.pin.length;
+    if (revealGenerated && r.generated && r.pin && r.status !== 'error') o.pin = r.pin;
+    return o;
+  });
+  const count = (s) => rows.filter((r) => r.status === s).length;
+  return {
+    pin_rule: plan.rule,
+    rows,
+    summary: { rows: rows.length, ok: count('ok'), partial: count('partial'), duplicate: count('duplicate'), errors: count('error') },
+  };
+}
+
+// Quote when needed; a leading = + - @ is defused so a spreadsheet never
+// runs a name someone typed into UniFi as a formula.
+function csvCell(v) {
+  let s = v == null ? '' : String(v);
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Who holds a code on which lock: one row per held slot, sorted by name.
+ * Digits only with `includePins` (a `pin` column, which makes the file an
+ * import). Entries whose write the lock has not confirmed are 'pending'.
+ *
+ * @param {object} locksCfg   devices.zwave.locks
+ * @param {object} [opts]
+ * @param {Function} [opts.lockLabel] lockId -> display name
+ * @param {Map}      [opts.emails]    user_id -> email
+ * @param {boolean}  [opts.includePins]
+ */
+function buildExportCsv(locksCfg, { lockLabel = (id) => id, emails = new Map(), includePins = false } = {}) {
+  const rows = [];
+  for (const [lockId, lock] of Object.entries(locksCfg || {})) {
+    for (const [slot, e] of Object.entries((lock && lock.user_codes) || {})) {
+      if (!e || !e.user_id) continue;
+      rows.push({
+        user_id: e.user_id,
+        email: emails.get(e.user_id) || '',
+        name: e.name || '',
+        lock_id: lockId,
+        lock: lockLabel(lockId),
+        slot: Number(slot),
+        status: e.confirmed === false || e.confirmed === null ? 'pending' : 'ok',
+        updated_at: e.updated_at || '',
+        pin: e.pin_code == null ? '' : String(e.pin_code),
+      });
+    }
+  }
+  rows.sort((a, b) => String(a.name).localeCompare(String(b.name))
+    || String(a.user_id).localeCompare(String(b.user_id))
+    || String(a.lock_id).localeCompare(String(b.lock_id)));
+  const cols = includePins ? EXPORT_COLUMNS.concat('pin') : EXPORT_COLUMNS;
+  return [cols.join(',')].concat(rows.map((r) => cols.map((c) => csvCell(r[c])).join(','))).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  parseCsv,
+  parseImport,
+  resolveUser,
+  planImport,
+  describePlan,
+  buildExportCsv,
+};
@@ -0,0 +1,58 @@
+'use strict';
+
+/**
+ * Temporary UniFi lock rules the orchestrator has applied, per door.
+ *
+ * UniFi does not push lock-rule changes, and reading every door's rule on
+ * each dashboard poll would cost one controller round trip per door. Instead
+ * every rule this app sets (a door flow lock_rule action, a phone button) is
+ * noted here so /health can report "held unlocked until 10:30" without
+ * asking the controller. A reset clears the door; a timed rule drops out
+ * once its end time passes. A lockdown leaves the entries alone: it puts each
+ * door's rule back when it ends. In memory only: after a restart the
+ * dashboard simply stops showing rules it cannot vouch for.
+ */
+
+class LockRuleState {
+  constructor(deps = {}) {
+    this.now = deps.now || (() => Date.now());
+    this._byDoor = new Map(); // door id (or name when unresolved) -> entry
+  }
+
+  /**
+   * Record a rule that was just applied.
+   * @param {{door_id?: string, door: string, type: string, minutes?: number|null,
+   *          source?: string, actor?: string}} r  type is the orchestrator's
+   *          name (keep_unlock / keep_lock / reset / custom ...)
+   */
+  note(r) {
+    const key = r.door_id || r.door;
+    if (!key) return;
+    if (r.type === 'reset') { this._byDoor.delete(key); return; }
+    const at = this.now();
+    this._byDoor.set(key, {
+      door: r.door || r.door_id,
+      door_id: r.door_id || null,
+      type: r.type,
+      set_at: new Date(at).toISOString(),
+      until: r.minutes ? new Date(at + r.minutes * 60000).toISOString() : null,
+      source: r.source || null,
+      actor: r.actor || null,
+    });
+  }
+
+  /** The rules still in force, soonest-ending first (open-ended last). */
+  list() {
+    const t = this.now();
+    for (const [k, e] of this._byDoor) {
+      if (e.until && Date.parse(e.until) <= t) this._byDoor.delete(k);
+    }
+    return [...this._byDoor.values()].sort((a, b) => {
+      if (a.until && b.until) return a.until.localeCompare(b.until);
+      if (a.until || b.until) return a.until ? -1 : 1;
+      return a.door.localeCompare(b.door);
+    });
+  }
+}
+
+module.exports = { LockRuleState };
@@ -0,0 +1,270 @@
+'use strict';
+
+/**
+ * Building-wide lockdown.
+ *
+ * One switch that takes the building out of automation and holds it shut:
+ *   - every door_flows unlock action pauses (entry/exit/doorbell retracts,
+ *     cascades, lock rules and http actions; the controllers consult
+ *     isActive() before acting), and any pending relock, delayed cascade or
+ *     door-closed timer is cancelled;
+ *   - every paired deadbolt is thrown;
+ *   - each door in the lockdown set (config.lockdown.door_ids, empty = every
+ *     discovered door) gets the UniFi temporary lock rule 'keep_lock'.
+ * Ending the lockdown resumes automation and puts each door's lock rule back
+ * to what it was before (read from the controller at engage time): a held
+ * unlock or lock comes back, a custom rule comes back for its remaining
+ * minutes, and anything else resets to the door's normal schedule. Deadbolts
+ * are left thrown; the next entry retracts them as usual.
+ *
+ * The state is persisted (config dir, 0600, atomic temp+rename like the event
+ * feed) so a restart comes back up still locked down; resume() re-applies the
+ * hold without overwriting the saved previous rules.
+ *
+ * Side effects are injected (UniFi client, lock drivers, controllers, notify,
+ * audit, broadcaster) so this module is unit-testable without hardware.
+ */
+
+const fs = require('fs');
+
+// Lock rule types worth putting back as-is when the lockdown ends.
+const HELD_RULES = Object.freeze(['keep_lock', 'keep_unlock', 'lock_early']);
+
+/**
+ * The lock rule to restore for one door, from the rule read before the
+ * lockdown ({type, ended_time} with ended_time in epoch seconds). A custom
+ * rule that has not run out comes back for its remaining minutes; an unknown,
+ * expired or missing rule resets the door to its normal schedule.
+ * @returns {{type: string, interval?: number}}
+ */
+function restoreRuleFor(previous, nowMs) {
+  const type = previous && typeof previous.type === 'string' ? previous.type : '';
+  if (HELD_RULES.includes(type)) return { type };
+  if (type === 'custom' && Number.isFinite(previous.ended_time)) {
+    const remainingMs = previous.ended_time * 1000 - nowMs;
+    if (remainingMs > 0) return { type: 'custom', interval: Math.ceil(remainingMs / 60000) };
+  }
+  return { type: 'reset' };
+}
+
+function inactiveState() {
+  return { active: false };
+}
+
+class Lockdown {
+  constructor(deps = {}) {
+    this.filePath = deps.filePath || null;
+    this.log = deps.logger || console;
+    this.now = deps.now || (() => Date.now());
+    this.getConfig = deps.getConfig || (() => ({}));
+    this.getUnifi = deps.getUnifiClient || (() => null);
+    this.getLockDrivers = deps.getLockDrivers || (() => new Map());
+    this.getControllers = deps.getControllers || (() => []);
+    this.notify = deps.notify || (() => {});
+    this.audit = deps.audit || (() => {});
+    this.broadcaster = deps.broadcaster || null;
+    this.state = inactiveState();
+    this._busy = false;
+  }
+
+  /** Load the persisted state. A missing or corrupt file is inactive. Never throws. */
+  load() {
+    if (!this.filePath) return this.state;
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      this.state = parsed && parsed.active === true ? parsed : inactiveState();
+    } catch (e) {
+      if (e.code !== 'ENOENT') this.log.warn(`Lockdown state load failed (${e.message}); starting with no lockdown`);
+      this.state = inactiveState();
+    }
+    return this.state;
+  }
+
+  isActive() {
+    return this.state.active === true;
+  }
+
+  getStatus() {
+    if (!this.isActive()) return { active: false };
+    const s = this.state;
+    return {
+      active: true,
+      started_at: s.started_at,
+      actor: s.actor,
+      reason: s.reason || null,
+      doors: (s.doors || []).map((d) => ({ door_id: d.door_id, name: d.name, held: !!d.held })),
+      locks: (s.locks || []).map((l) => ({ lock_id: l.lock_id, locked: !!l.locked })),
+    };
+  }
+
+  /** The door ids the lockdown holds: the configured set, else every discovered door. */
+  _doorIds() {
+    const cfg = this.getConfig() || {};
+    const ids = cfg.lockdown && Array.isArray(cfg.lockdown.door_ids) ? cfg.lockdown.door_ids.filter((x) => typeof x === 'string' && x) : [];
+    if (ids.length) return ids;
+    const client = this.getUnifi();
+    return client && client.doorsById ? [...client.doorsById.keys()].map(String) : [];
+  }
+
+  _doorName(doorId) {
+    const client = this.getUnifi();
+    return (client && client.doorsById && client.doorsById.get(doorId)) || doorId;
+  }
+
+  /**
+   * Start the lockdown. Idempotent: a second call while active re-applies the
+   * hold (same as a boot resume) rather than overwriting the saved rules.
+   */
+  async engage({ actor = 'admin', reason = '' } = {}) {
+    if (this.isActive()) return this.resume('engage while active');
+    if (this._busy) throw new Error('a lockdown change is already in progress');
+    this._busy = true;
+    try {
+      // Flip the flag first so no automation slips through while the
+      // controller round trips run.
+      this.state = { active: true, started_at: new Date(this.now()).toISOString(), actor, reason: reason || null, doors: [], locks: [] };
+      this._persist();
+      this._pauseControllers();
+
+      const client = this.getUnifi();
+      for (const doorId of this._doorIds()) {
+        let previous = null;
+        if (client && typeof client.getDoorLockRule === 'function') {
+          const r = await client.getDoorLockRule(doorId);
+          if (r && r.success) previous = { type: r.type || '', ended_time: r.ended_time == null ? null : r.ended_time };
+        }
+        const held = await this._holdDoor(client, doorId);
+        this.state.doors.push({ door_id: doorId, name: this._doorName(doorId), previous, held });
+      }
+      this.state.locks = await this._throwDeadbolts('lockdown');
+      this._persist();
+
+      const summary = this._summary();
+      this.log.warn(`LOCKDOWN started by ${actor}${reason ? ` (${reason})` : ''}: ${summary}`);
+      this.audit({ actor, action: 'lockdown_started', target: null, detail: reason ? `${reason}; ${summary}` : summary });
+      this.notify({ type: 'lockdown_started', detail: reason ? `${reason}; ${summary}` : summary, actor });
+      this._broadcast(actor, `lockdown started: ${summary}`, this._allApplied());
+      return this.getStatus();
+    } finally {
+      this._busy = false;
+    }
+  }
+
+  /** End the lockdown: resume automation and restore each door's previous lock rule. */
+  async release({ actor = 'admin' } = {}) {
+    if (!this.isActive()) return { active: false, restored: [] };
+    if (this._busy) throw new Error('a lockdown change is already in progress');
+    this._busy = true;
+    try {
+      const client = this.getUnifi();
+      const restored = [];
+      for (const d of this.state.doors || []) {
+        const rule = restoreRuleFor(d.previous, this.now());
+        let ok = false;
+        if (client && typeof client.setDoorLockRule === 'function') {
+          const r = await client.setDoorLockRule(d.door_id, rule.type, rule.interval || null);
+          ok = !!(r && r.success);
+        }
+        restored.push({ door_id: d.door_id, name: d.name, rule: rule.type, restored: ok });
+      }
+      const since = this.state.started_at;
+      this.state = inactiveState();
+      this._persist();
+
+      const failed = restored.filter((r) => !r.restored);
+      const summary = `${restored.length - failed.length}/${restored.length} door lock rule(s) restored`;
+      this.log.warn(`LOCKDOWN ended by ${actor} (active since ${since}): ${summary}`);
+      this.audit({ actor, action: 'lockdown_ended', target: null, detail: summary });
+      this.notify({ type: 'lockdown_ended', detail: failed.length ? `${summary}; check ${failed.map((r) => r.name).join(', ')}` : summary, actor });
+      this._broadcast(actor, `lockdown ended: ${summary}`, failed.length === 0);
+      return { active: false, restored };
+    } finally {
+      this._busy = false;
+    }
+  }
+
+  /**
+   * Re-apply an active lockdown at startup (and on an engage while already
+   * active): pause the controllers, hold the same doors and throw the
+   * deadbolts again. The rules saved at engage time are kept, so the eventual
+   * release still restores what the doors had before the lockdown. Serialized
+   * with engage/release; it stops at once if the lockdown ends under it.
+   */
+  async resume(why = 'restart') {
+    if (!this.isActive()) return this.getStatus();
+    if (this._busy) throw new Error('a lockdown change is already in progress');
+    this._busy = true;
+    try {
+      this._pauseControllers();
+      const client = this.getUnifi();
+      for (const d of this.state.doors || []) {
+        const held = await this._holdDoor(client, d.door_id);
+        if (!this.isActive()) return this.getStatus();
+        d.held = held;
+      }
+      const locks = await this._throwDeadbolts(`lockdown (${why})`);
+      if (!this.isActive()) return this.getStatus();
+      this.state.locks = locks;
+      this._persist();
+      this.log.warn(`LOCKDOWN still active after ${why}: ${this._summary()}`);
+      return this.getStatus();
+    } finally {
+      this._busy = false;
+    }
+  }
+
+  _pauseControllers() {
+    for (const c of this.getControllers()) {
+      if (c && typeof c.cancelPending === 'function') c.cancelPending('lockdown');
+    }
+  }
+
+  async _holdDoor(client, doorId) {
+    if (!client || typeof client.setDoorLockRule !== 'function') return false;
+    const r = await client.setDoorLockRule(doorId, 'keep_lock');
+    return !!(r && r.success);
+  }
+
+  async _throwDeadbolts(reason) {
+    const out = [];
+    for (const [lockId, driver] of this.getLockDrivers()) {
+      let locked = false;
+      try {
+        const r = await driver.lock(reason);
+        locked = !!(r && r.success);
+      } catch (e) {
+        this.log.warn(`Lockdown: "${lockId}" did not lock (${e.message})`);
+      }
+      out.push({ lock_id: lockId, locked });
+    }
+    return out;
+  }
+
+  _allApplied() {
+    return (this.state.doors || []).every((d) => d.held) && (this.state.locks || []).every((l) => l.locked);
+  }
+
+  _summary() {
+    const doors = this.state.doors || [];
+    const locks = this.state.locks || [];
+    return `${doors.filter((d) => d.held).length}/${doors.length} door(s) held locked, ${locks.filter((l) => l.locked).length}/${locks.length} deadbolt(s) thrown`;
+  }
+
+  _broadcast(actor, action, success) {
+    if (!this.broadcaster) return;
+    this.broadcaster({ type: 'system.lockdown', actor, location: 'Building', action, success });
+  }
+
+  _persist() {
+    if (!this.filePath) return;
+    try {
+      const tmp = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(this.state, null, 2), { mode: 0o600 });
+      fs.renameSync(tmp, this.filePath);
+    } catch (e) {
+      this.log.error(`Lockdown state persist failed: ${e.message}`);
+    }
+  }
+}
+
+module.exports = { Lockdown, restoreRuleFor };
@@ -23,6 +23,10 @@
  *   on: string[]              // alert types to send; empty = send all
  *   min_interval_seconds: number  // per-type de-dupe window (default 60)
  *
+ * sendEmail() reuses the email channel's SMTP settings to mail one person
+ * directly (a rotated keypad PIN to its holder). It is not an alert: no
+ * de-dupe, no `on` filter, no master switch, and `to` is not needed for it.
+ *
  * De-dupe stays GLOBAL per alert type (one decision for all channels), same
  * semantics the single-channel version had. Senders are injected for tests;
  * sends are fire-and-forget so callers on the event path never block.
@@ -35,12 +39,20 @@ const SEVERITY = Object.freeze({
   deadbolt_lock_failed: 'critical',
   deadbolt_jammed: 'critical',
   deadbolt_no_transport: 'critical',
+  lockdown_started: 'critical',
   cascade_failed: 'warning',
+  http_action_failed: 'warning',
+  lock_rule_failed: 'warning',
+  deadbolt_firmware_failed: 'warning',
   deadbolt_lock_offline: 'warning',
   deadbolt_low_battery: 'warning',
+  door_held_open: 'warning',
+  sensor_low_battery: 'warning',
   controller_disconnected: 'warning',
   deadbolt_lock_online: 'info',
+  door_held_open_cleared: 'info',
   controller_reconnected: 'info',
+  lockdown_ended: 'info',
 });
 
 class Notifier {
@@ -55,15 +67,15 @@ class Notifier {
       url: config.chat.webhook_url,
     } : null;
     const em = config.email || {};
-    this.email = (em.smtp_host && em.from && Array.isArray(em.to) && em.to.length) ? {
+    this.smtp = (em.smtp_host && em.from) ? {
       host: em.smtp_host,
       port: em.smtp_port || 587,
       secure: !!em.smtp_secure,
       user: em.smtp_user || null,
       password: em.smtp_password || null,
       from: em.from,
-      to: em.to,
     } : null;
+    this.email = (this.smtp && Array.isArray(em.to) && em.to.length) ? Object.assign({ to: em.to }, this.smtp) : null;
     this.on = Array.isArray(config.on) ? config.on : [];
     this.minIntervalMs = (config.min_interval_seconds == null ? 60 : config.min_interval_seconds) * 1000;
     const anyChannel = !!(this.url || this.chat || this.email);
@@ -142,6 +154,20 @@ class Notifier {
     });
   }
 
+  /** True when SMTP is configured, so sendEmail can be tried. */
+  canEmail() {
+    return !!this.smtp;
+  }
+
+  // Mail one person through the SMTP transport. Resolves when the server
+  // accepted the message; rejects otherwise, so the caller can retry.
+  async sendEmail({ to, subject, text }) {
+    if (!this.smtp) throw new Error('email is not configured (alerts.email needs smtp_host and from)');
+    if (!to) throw new Error('no recipient address');
+    const transport = this._getTransport();
+    await transport.sendMail({ from: this.smtp.from, to, subject, text });
+  }
+
   // nodemailer is an OPTIONAL dependency, mirroring the zwave-js pattern:
   // lazy-required only when the email channel is actually used, so installs
   // without it still boot and the failure is a clear per-send log line.
@@ -158,10 +184,10 @@ class Notifier {
       throw new Error('email channel configured but nodemailer is not installed (reinstall the app, or npm install nodemailer)');
     }
     this._transport = nodemailer.createTransport({
-      host: this.email.host,
-      port: this.email.port,
-      secure: this.email.secure,
-      auth: this.email.user ? { user: this.email.user, pass: this.email.password } : undefined,
+      host: this.smtp.host,
+      port: this.smtp.port,
+      secure: this.smtp.secure,
+      auth: this.smtp.user ? { user: this.smtp.user, pass: this.smtp.password } : undefined,
     });
     return this._transport;
   }
@@ -0,0 +1,168 @@
+'use strict';
+
+/**
+ * Z-Wave controller NVM backups (file side; the stick side is ZwaveManager
+ * backupNVM/restoreNVM).
+ *
+ * The paired network (home id, every node's inclusion and its S2 keys
+ * exchange) lives in the USB stick's NVM, not in config.json. Without a copy,
+ * a dead stick means excluding and re-pairing every lock. A backup is one
+ * JSON file next to the config backups:
+ *
+ *   zwave-nvm_2026-10-19_031500.json  (0600, the dir is 0700)
+ *   {
+ *     "format": "zwave-nvm", "version": 1, "created_at": "...",
+ *     "controller": { "home_id": "...", "own_node_id": 1, "sdk_version": "..." },
+ *     "node_ids": [1, 14, 17],
+ *     "security_keys": { "s2_access_control": "<hex>", ... },
+ *     "nvm": "<base64 of the raw NVM image>"
+ *   }
+ *
+ * The security keys travel with the image because a restored network is
+ * useless without them: the locks only talk S2 with the keys they were
+ * included under. Keys from the ZWAVE_* environment fallback are captured
+ * too, so a backup is complete on its own.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ensureBackupDir, formatTimestamp, formatBytes } = require('./backup');
+const { loadSecurityKeys, CLASSIC_KEYS } = require('./drivers/zwave-keys');
+
+const NVM_PREFIX = 'zwave-nvm_';
+const NVM_PATTERN = /^zwave-nvm_\d{4}-\d{2}-\d{2}_\d{6}\.json$/;
+const FORMAT = 'zwave-nvm';
+const VERSION = 1;
+const DEFAULT_INTERVAL_DAYS = 7;
+const DEFAULT_MAX_BACKUPS = 6;
+
+/** The effective classic keys as {config name: hex}, config first, env fallback. */
+function securityKeysHex(zwCfg, env = process.env) {
+  const { classic } = loadSecurityKeys(zwCfg, env);
+  const out = {};
+  for (const [cfgName, optName] of Object.entries(CLASSIC_KEYS)) {
+    if (classic[optName]) out[cfgName] = classic[optName].toString('hex');
+  }
+  return out;
+}
+
+/** NVM schedule settings from config.backup, with defaults (0 days = off). */
+function nvmSettings(backupCfg) {
+  const b = backupCfg || {};
+  const days = b.zwave_nvm_interval_days == null ? DEFAULT_INTERVAL_DAYS : Number(b.zwave_nvm_interval_days);
+  const max = b.max_zwave_nvm_backups == null ? DEFAULT_MAX_BACKUPS : Number(b.max_zwave_nvm_backups);
+  return {
+    interval_days: Number.isFinite(days) && days > 0 ? days : 0,
+    max_backups: Number.isFinite(max) && max >= 1 ? Math.floor(max) : DEFAULT_MAX_BACKUPS,
+  };
+}
+
+/**
+ * Write one backup file. `nvm` is the raw image (Buffer/Uint8Array),
+ * `securityKeys` the {config name: hex} map, `controller` identity for the
+ * listing. Returns {filename, path, timestamp, size}.
+ */
+function createNvmBackup(backupDir, { nvm, securityKeys, controller, nodeIds, now } = {}) {
+  if (!nvm || !nvm.length) throw new Error('the controller returned an empty NVM image');
+  ensureBackupDir(backupDir);
+  const at = now ? new Date(now) : new Date();
+  let filename = `${NVM_PREFIX}${formatTimestamp(at)}.json`;
+  // Two backups in the same second (a manual click right after the schedule)
+  // step forward rather than overwrite.
+  for (let i = 1; fs.existsSync(path.join(backupDir, filename)); i++) {
+    filename = `${NVM_PREFIX}${formatTimestamp(new Date(at.getTime() + i * 1000))}.json`;
+  }
+  const body = {
+    format: FORMAT,
+    version: VERSION,
+    created_at: at.toISOString(),
+    controller: controller || {},
+    node_ids: Array.isArray(nodeIds) ? nodeIds : [],
+    security_keys: securityKeys || {},
+    nvm: Buffer.from(nvm).toString('base64'),
+  };
+  const destPath = path.join(backupDir, filename);
+  fs.writeFileSync(destPath, JSON.stringify(body, null, 2), { mode: 0o600 });
+  try { fs.chmodSync(destPath, 0o600); } catch (e) { /* best effort on non-POSIX */ }
+  return { filename, path: destPath, timestamp: body.created_at, size: fs.statSync(destPath).size };
+}
+
+/**
+ * Read and check one backup by filename. Returns the parsed file with `nvm`
+ * as a Buffer. Throws for a bad name, a missing file, or a file that is not
+ * an NVM backup.
+ */
+function readNvmBackup(backupDir, filename) {
+  if (!NVM_PATTERN.test(String(filename || ''))) throw new Error(`Invalid NVM backup filename: ${filename}`);
+  const filePath = path.join(backupDir, filename);
+  if (!fs.existsSync(filePath)) throw new Error(`NVM backup not found: ${filename}`);
+  let body;
+  try {
+    body = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (e) {
+    throw new Error(`NVM backup is not valid JSON: ${filename}`);
+  }
+  if (!body || body.format !== FORMAT || typeof body.nvm !== 'string') {
+    throw new Error(`${filename} is not a Z-Wave NVM backup`);
+  }
+  if (body.version !== VERSION) throw new Error(`${filename} is NVM backup version ${body.version}; this app reads version ${VERSION}`);
+  const nvm = Buffer.from(body.nvm, 'base64');
+  if (!nvm.length) throw new Error(`${filename} holds an empty NVM image`);
+  return Object.assign({}, body, { nvm });
+}
+
+/** Backups newest first, without the image: {filename, timestamp, size, sizeFormatted, home_id, node_count}. */
+function listNvmBackups(backupDir) {
+  ensureBackupDir(backupDir);
+  const rows = [];
+  for (const filename of fs.readdirSync(backupDir).filter((f) => NVM_PATTERN.test(f))) {
+    const filePath = path.join(backupDir, filename);
+    const stat = fs.statSync(filePath);
+    let meta = {};
+    try { meta = JSON.parse(fs.readFileSync(filePath, 'utf-8')); } catch (e) { meta = {}; }
+    rows.push({
+      filename,
+      timestamp: meta.created_at || stat.mtime.toISOString(),
+      size: stat.size,
+      sizeFormatted: formatBytes(stat.size),
+      home_id: (meta.controller && meta.controller.home_id) || null,
+      node_count: Array.isArray(meta.node_ids) ? meta.node_ids.length : null,
+    });
+  }
+  rows.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  return rows;
+}
+
+/**
+ * Delete all but the newest `maxCount` backups. `keep` (a filename, e.g. the
+ * backup being restored) is never deleted and does not count toward the limit.
+ */
+function pruneNvmBackups(backupDir, maxCount = DEFAULT_MAX_BACKUPS, keep = null) {
+  const all = listNvmBackups(backupDir);
+  const removed = [];
+  for (const b of all.filter((x) => x.filename !== keep).slice(maxCount)) {
+    try {
+      fs.unlinkSync(path.join(backupDir, b.filename));
+      removed.push(b.filename);
+    } catch (e) { /* ignore removal errors */ }
+  }
+  return { kept: all.length - removed.length, removed };
+}
+
+/** Whether the schedule wants a new backup at `now` (ms epoch). */
+function nvmBackupDue(backups, intervalDays, now) {
+  if (!(intervalDays > 0)) return false;
+  const last = backups && backups.length ? Date.parse(backups[0].timestamp) : 0;
+  return !Number.isFinite(last) || (now - last) / 86400000 >= intervalDays;
+}
+
+module.exports = {
+  NVM_PATTERN,
+  securityKeysHex,
+  nvmSettings,
+  createNvmBackup,
+  readNvmBackup,
+  listNvmBackups,
+  pruneNvmBackups,
+  nvmBackupDue,
+};
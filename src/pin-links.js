@@ -0,0 +1,146 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * One-time PIN links for the self-service portal (pure, unit-testable).
+ *
+ * An admin sends a user a link; the user opens /pin.html with it and sets
+ * their own keypad PIN, once, before it expires. Off unless enabled:
+ *
+ *   "pin_portal": {
+ *     "enabled": true,
+ *     "link_minutes": 60,                        // 5 minutes to 7 days
+ *     "public_url": "https://doors.example.com"  // base of the emailed link
+ *   }
+ *
+ * public_url is required to send a link: it is never taken from the request's
+ * Host header, which a client can forge.
+ *
+ * The link carries a random secret in its #fragment, so it never reaches a
+ * request line or a proxy log; the page posts it in a request body. Only the
+ * SHA-256 of the secret is stored, per link in config.pin_links:
+ *
+ *   "pin_links": {
+ *     "<sha256 of the secret>": { "user_id": "...", "name": "...", "email": "...",
+ *                                 "issued_at": "...", "expires_at": "...",
+ *                                 "issued_by": "admin", "failures": 0 }
+ *   }
+ *
+ * A user holds at most one live link: a new one replaces the last. A link is
+ * dropped when it is used, when it expires, or after MAX_FAILURES PINs the
+ * policy refused (the refusals would otherwise let a link holder probe which
+ * PINs other users hold).
+ */
+
+const DEFAULT_LINK_MINUTES = 60;
+const MIN_LINK_MINUTES = 5;
+const MAX_LINK_MINUTES = 7 * 24 * 60;
+const MAX_FAILURES = 10;
+
+function isPlainObject(v) { return !!v && typeof v === 'object' && !Array.isArray(v); }
+
+/** The effective portal config, clamped. */
+function normalizePortal(cfg) {
+  const c = isPlainObject(cfg) ? cfg : {};
+  const minutes = Number.isInteger(c.link_minutes)
+    ? Math.min(MAX_LINK_MINUTES, Math.max(MIN_LINK_MINUTES, c.link_minutes))
+    : DEFAULT_LINK_MINUTES;
+  const url = typeof c.public_url === 'string' && /^https?:\/\/[^\s/]+/i.test(c.public_url.trim()) ? c.public_url.trim() : null;
+  return { enabled: c.enabled === true, link_minutes: minutes, public_url: url };
+}
+
+/** The stored id of a link secret. */
+function linkId(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+/**
+ * A new link for a user: {secret, id, record}. The secret goes in the email
+ * and nowhere else; the record is stored under the id.
+ *
+ * @param {object} opts
+ * @param {string} opts.userId
+ * @param {string} [opts.name]
+ * @param {string} opts.email
+ * @param {number} opts.now
+ * @param {number} opts.minutes   normalizePortal().link_minutes
+ * @param {string} [opts.issuedBy]
+ * @param {Function} [randomBytes] test seam, crypto.randomBytes by default
+ */
+function issueLink(opts, randomBytes = crypto.randomBytes) {
+  const secret = randomBytes(32).toString('base64url');
+  return {
+    secret,
+    id: linkId(secret),
+    record: {
+      user_id: opts.userId,
+      name: opts.name || null,
+      email: opts.email,
+      issued_at: new Date(opts.now).toISOString(),
+      expires_at: new Date(opts.now + opts.minutes * 60 * 1000).toISOString(),
+      issued_by: opts.issuedBy || null,
+      failures: 0,
+    },
+  };
+}
+
+/**
+ * The live link for a secret: {id, record}, or {status, error} with a message
+ * fit to show the user (it never says whose link it was).
+ */
+function findLink(links, secret, now) {
+  if (typeof secret !== 'string' || !secret) return { status: 400, error: 'This page needs the link from your email.' };
+  const id = linkId(secret);
+  const record = (links || {})[id];
+  if (!isPlainObject(record)) return { status: 404, error: 'This link is not valid. It may have been used already; ask for a new one.' };
+  if (!(Date.parse(record.expires_at) > now)) return { status: 410, error: 'This link has expired. Ask for a new one.' };
+  return { id, record };
+}
+
+/** Ids of links to drop: expired ones, and any other link of `userId`. */
+function staleLinkIds(links, now, userId) {
+  return Object.entries(links || {})
+    .filter(([, r]) => !isPlainObject(r) || !(Date.parse(r.expires_at) > now) || (userId != null && r.user_id === userId))
+    .map(([id]) => id);
+}
+
+/** The URL to email: the portal page with the secret in the fragment. */
+function linkUrl(base, secret) {
+  return `${String(base).replace(/\/+$/, '')}/pin.html#${secret}`;
+}
+
+/** The email that carries a link: {subject, text}. */
+function linkEmail(record, url) {
+  const lines = [
+    `Hello ${record.name || 'there'},`,
+    '',
+    'You can set your own door keypad PIN with this link:',
+    '',
+    url,
+    '',
+    `It works once and expires at ${record.expires_at} (UTC). If you did not ask for it, ignore this email; your current PIN keeps working.`,
+  ];
+  return { subject: 'Set your door PIN', text: lines.join('\n') };
+}
+
+/**
+ * Policy messages as the portal shows them, addressed to the user. "Held by
+ * another user" becomes a plain refusal so the page cannot be used to learn
+ * other users' PINs.
+ */
+function portalPinErrors(violations) {
+  return violations.map((v) => (/another user/.test(v) ? 'cannot be used; choose a different PIN' : v.replace("this user's", 'your')));
+}
+
+module.exports = {
+  MAX_FAILURES,
+  normalizePortal,
+  linkId,
+  issueLink,
+  findLink,
+  staleLinkIds,
+  linkUrl,
+  linkEmail,
+  portalPinErrors,
+};
@@ -0,0 +1,227 @@
+'use strict';
+
+const crypto = require('crypto');
+const { canonicalPins } = require('./keypad-users');
+
+/**
+ * The site keypad PIN policy (pure, unit-testable). keypad-users.js decides
+ * what each LOCK can take (length, slots, duplicates on that lock); this
+ * decides what the SITE accepts as a PIN at all, on every path that sets one:
+ * the Keypad Users save, the per-lock code save, the CSV import, a guest
+ * window opening, and the UniFi push.
+ *
+ *   "pin_policy": {
+ *     "min_length": 6,              // 4 to 10
+ *     "ban_sequences": true,        // 1234, 9876, 7890 (default false)
+ *     "ban_repeats": true,          // 1111, 1212, 123123 (default false)
+ *     "banned_pins": ["1600", "1987"],
+ *     "history": 3                  // no reuse of a user's last 3 PINs (0 = off)
+ *   }
+ *
+ * A PIN is always unique across users: a keypad code that two people share
+ * cannot say who opened the door, and UniFi refuses it anyway.
+ *
+ * Retired PINs are kept per user in config.pin_history, newest first, under
+ * the pin_code key so at-rest encryption covers them like every other PIN:
+ *
+ *   "pin_history": { "<unifi user id>": [ { "pin_code": "482913", "retired_at": "..." } ] }
+ *
+ * The policy applies when a PIN is set. Codes already on the locks keep
+ * working after it is tightened; restores and rewrites never consult it. Every
+ * rule but uniqueness is off until configured, so an existing site's saves
+ * behave as they did before the policy existed.
+ */
+
+const DEFAULTS = {
+  min_length: 4,
+  ban_sequences: false,
+  ban_repeats: false,
+  banned_pins: [],
+  history: 0,
+};
+const MAX_HISTORY = 24;
+const GENERATED_LENGTH = 6;
+
+/** The effective policy: config.pin_policy over the defaults, clamped. */
+function normalizePolicy(cfg) {
+  const c = cfg && typeof cfg === 'object' ? cfg : {};
+  const int = (v, lo, hi, dflt) => (Number.isInteger(v) ? Math.min(hi, Math.max(lo, v)) : dflt);
+  return {
+    min_length: int(c.min_length, 4, 10, DEFAULTS.min_length),
+    ban_sequences: c.ban_sequences == null ? DEFAULTS.ban_sequences : c.ban_sequences === true,
+    ban_repeats: c.ban_repeats == null ? DEFAULTS.ban_repeats : c.ban_repeats === true,
+    banned_pins: (Array.isArray(c.banned_pins) ? c.banned_pins : [])
+      .map((p) => String(p).trim()).filter((p) => /^[0-9]+$/.test(p)),
+    history: int(c.history, 0, MAX_HISTORY, DEFAULTS.history),
+  };
+}
+
+/** Config errors for pin_policy, for the settings save. Empty when valid. */
+function validatePolicy(cfg) {
+  const errors = [];
+  if (cfg == null) return errors;
+  if (!cfg || typeof cfg !== 'object' || Array.isArray(cfg)) return ['pin_policy must be an object'];
+  if (cfg.min_length != null && !(Number.isInteger(cfg.min_length) && cfg.min_length >= 4 && cfg.min_length <= 10)) {
+    errors.push('pin_policy.min_length must be a whole number from 4 to 10');
+  }
+  for (const k of ['ban_sequences', 'ban_repeats']) {
+    if (cfg[k] != null && typeof cfg[k] !== 'boolean') errors.push(`pin_policy.${k} must be true or false`);
+  }
+  if (cfg.banned_pins != null && !(Array.isArray(cfg.banned_pins)
+      && cfg.banned_pins.every((p) => /^[0-9]{4,10}$/.test(String(p).trim())))) {
+    errors.push('pin_policy.banned_pins must be a list of 4 to 10 digit PINs');
+  }
+  if (cfg.history != null && !(Number.isInteger(cfg.history) && cfg.history >= 0 && cfg.history <= MAX_HISTORY)) {
+    errors.push(`pin_policy.history must be a whole number from 0 to ${MAX_HISTORY}`);
+  }
+  return errors;
+}
+
+/** The policy in words, for the Keypad Users panel. Never lists banned PINs. */
+function describePolicy(policy) {
+  const p = policy || normalizePolicy();
+  const parts = [`at least ${p.min_length} digits`];
+  if (p.ban_sequences && p.ban_repeats) parts.push('no runs or repeats like 1234 or 1111');
+  else if (p.ban_sequences) parts.push('no runs like 1234');
+  else if (p.ban_repeats) parts.push('no repeats like 1111');
+  if (p.banned_pins.length) parts.push(`none of the ${p.banned_pins.length} banned PIN(s)`);
+  if (p.history) parts.push(`not one of the user's last ${p.history}`);
+  parts.push('not held by another user');
+  return parts.join(', ');
+}
+
+// 1234, 9876 and their wrap-arounds (8901): every step +1 or every step -1.
+function isSequence(pin) {
+  const steps = new Set();
+  for (let i = 1; i < pin.length; i++) steps.add((Number(pin[i]) - Number(pin[i - 1]) + 10) % 10);
+  return steps.size === 1 && (steps.has(1) || steps.has(9));
+}
+
+// 1111, 1212, 123123: the PIN is one shorter block over and over.
+function isRepeat(pin) {
+  for (let n = 1; n <= pin.length / 2; n++) {
+    if (pin.length % n === 0 && pin.slice(0, n).repeat(pin.length / n) === pin) return true;
+  }
+  return false;
+}
+
+/**
+ * PIN -> user id for every PIN the site knows: lock codes, guest windows,
+ * staged rotations and the PINs UniFi holds. The uniqueness check runs
+ * against this.
+ */
+function pinHolders(cfg) {
+  const holders = new Map();
+  const add = (pin, userId) => {
+    if (pin == null || pin === '' || !userId) return;
+    if (!holders.has(String(pin))) holders.set(String(pin), String(userId));
+  };
+  const locks = (cfg && cfg.devices && cfg.devices.zwave && cfg.devices.zwave.locks) || {};
+  for (const lock of Object.values(locks)) {
+    for (const e of Object.values((lock && lock.user_codes) || {})) if (e) add(e.pin_code, e.user_id);
+  }
+  for (const [userId, w] of Object.entries((cfg && cfg.pin_windows) || {})) if (w) add(w.pin_code, userId);
+  for (const [userId, r] of Object.entries((cfg && cfg.pin_rotations) || {})) if (r) add(r.pin_code, userId);
+  for (const [userId, s] of Object.entries((cfg && cfg.unifi_pin_state) || {})) if (s) add(s.pin_code, userId);
+  return holders;
+}
+
+/** The PIN a user holds now (lock codes first, then a window, then UniFi), or null. */
+function currentPin(cfg, userId) {
+  const locks = (cfg && cfg.devices && cfg.devices.zwave && cfg.devices.zwave.locks) || {};
+  const canonical = canonicalPins(locks).get(userId);
+  if (canonical) return canonical.pin;
+  const w = cfg && cfg.pin_windows && cfg.pin_windows[userId];
+  if (w && w.pin_code) return String(w.pin_code);
+  const s = cfg && cfg.unifi_pin_state && cfg.unifi_pin_state[userId];
+  return s && s.pin_code ? String(s.pin_code) : null;
+}
+
+/**
+ * Why `pin` breaks the policy for `userId`: an array of messages, empty when
+ * it passes. The user's current PIN is never "reused" (saving it again is how
+ * a sync is retried); only the retired ones in `history` count.
+ *
+ * @param {string} pin
+ * @param {object} ctx
+ * @param {object} ctx.policy     normalizePolicy() result
+ * @param {string} ctx.userId
+ * @param {Map}    [ctx.holders]  pinHolders() (PIN -> user id)
+ * @param {Array}  [ctx.history]  the user's pin_history entries, newest first
+ */
+function checkPin(pin, ctx) {
+  const p = ctx.policy || normalizePolicy();
+  const s = String(pin == null ? '' : pin);
+  if (!/^[0-9]{4,10}$/.test(s)) return ['must be 4 to 10 digits'];
+  const errors = [];
+  if (s.length < p.min_length) errors.push(`must be at least ${p.min_length} digits`);
+  if (p.ban_repeats && isRepeat(s)) errors.push('is a repeated pattern (like 1111 or 1212)');
+  if (p.ban_sequences && isSequence(s)) errors.push('is a run of digits (like 1234 or 9876)');
+  if (p.banned_pins.includes(s)) errors.push('is on the banned PIN list');
+  if (p.history && (ctx.history || []).slice(0, p.history).some((h) => h && String(h.pin_code) === s)) {
+    errors.push(`was one of this user's last ${p.history} PINs`);
+  }
+  const holder = ctx.holders && ctx.holders.get(s);
+  if (holder && holder !== String(ctx.userId)) errors.push('is already held by another user (every user needs their own PIN)');
+  return errors;
+}
+
+/** One error line for a response: "PIN policy: the PIN must ...; is ...". */
+function policyError(errors) {
+  return `PIN policy: the PIN ${errors.join('; ')}`;
+}
+
+/**
+ * A random PIN the policy accepts, sized to the locks' combined length rule
+ * (6 digits, or the policy minimum if longer, where the locks allow it). It is
+ * never a run or a repeat, whatever the policy allows for a PIN picked by hand.
+ * Returns null when no length satisfies both, or nothing free was found.
+ *
+ * @param {object} policy  normalizePolicy() result
+ * @param {object} rule    keypadUsers.combinedLengthRule() result
+ * @param {object} ctx     checkPin context (userId, holders, history)
+ * @param {Function} [randomInt] test seam, crypto.randomInt by default
+ */
+function generatePin(policy, rule, ctx, randomInt = crypto.randomInt) {
+  const r = rule || { min: 4, max: 10, fixed: null, conflict: false };
+  if (r.conflict) return null;
+  const min = Math.max(r.min || 4, policy.min_length);
+  const max = r.max || 10;
+  const length = r.fixed != null ? r.fixed : Math.min(max, Math.max(min, GENERATED_LENGTH));
+  if (length < min || length > max) return null;
+  const strict = Object.assign({}, policy, { ban_sequences: true, ban_repeats: true });
+  for (let attempt = 0; attempt < 1000; attempt++) {
+    let pin = '';
+    for (let i = 0; i < length; i++) pin += String(randomInt(10));
+    if (!checkPin(pin, Object.assign({}, ctx, { policy: strict })).length) return pin;
+  }
+  return null;
+}
+
+/**
+ * Remember a PIN the user just replaced (mutates cfg.pin_history). Keeps the
+ * newest `keep` entries; a zero `keep` drops the user's history entirely.
+ */
+function recordRetiredPin(cfg, userId, oldPin, nowIso, keep) {
+  if (!keep) {
+    if (cfg.pin_history) delete cfg.pin_history[userId];
+    return;
+  }
+  if (oldPin == null || oldPin === '') return;
+  cfg.pin_history = cfg.pin_history || {};
+  const prev = (cfg.pin_history[userId] || []).filter((h) => h && String(h.pin_code) !== String(oldPin));
+  cfg.pin_history[userId] = [{ pin_code: String(oldPin), retired_at: nowIso || null }].concat(prev).slice(0, keep);
+}
+
+module.exports = {
+  DEFAULTS,
+  normalizePolicy,
+  validatePolicy,
+  describePolicy,
+  pinHolders,
+  currentPin,
+  checkPin,
+  policyError,
+  generatePin,
+  recordRetiredPin,
+};
@@ -0,0 +1,220 @@
+'use strict';
+
+const { canonicalPins } = require('./keypad-users');
+
+/**
+ * Scheduled keypad PIN rotation (pure, unit-testable).
+ *
+ * A rotation rule names a resolver group or a lock and how often PINs there
+ * are replaced:
+ *
+ *   "pin_rotation": {
+ *     "enabled": true,
+ *     "rules": [
+ *       { "group": "tenants", "every_days": 90 },
+ *       { "lock": "front_deadbolt", "every_days": 30 }
+ *     ],
+ *     "max_in_flight": 5            // users rotating at once (default 5)
+ *   }
+ *
+ * A user matched by several rules rotates on the shortest interval. A PIN is
+ * due once that many days have passed since it was last set (the newest
+ * user_codes entry). Windowed (guest / contractor) PINs never rotate: they
+ * expire instead.
+ *
+ * A rotation is STAGED before anything is written: the new PIN is generated
+ * under the site PIN policy and persisted per user in config.pin_rotations, so
+ * a restart or an offline lock retries the same PIN instead of minting another:
+ *
+ *   "pin_rotations": {
+ *     "<unifi user id>": { "name": "...", "email": "...", "pin_code": "640271",
+ *                          "every_days": 90, "prior": { "pin_code": "482913" },
+ *                          "staged_at": "...",
+ *                          "notified_at": null, "attempts": 0, "last_error": null }
+ *   }
+ *
+ * Progress is read back from the same stores every other path keeps: a lock
+ * is done when its user_codes entry holds the new PIN, UniFi when
+ * unifi_pin_state does. The user is emailed once the new PIN works somewhere,
+ * and the record is dropped when every step is done; only then does the PIN it
+ * replaced (`prior`) move to pin_history. Both PINs sit under the key name
+ * pin_code so at-rest encryption and GET redaction cover them.
+ */
+
+const DEFAULT_MAX_IN_FLIGHT = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isPlainObject(v) { return !!v && typeof v === 'object' && !Array.isArray(v); }
+
+/**
+ * The effective rotation config: rules without a target or a whole number of
+ * days are dropped. Rotation is off unless enabled AND some rule survives.
+ */
+function normalizeRotation(cfg) {
+  const c = isPlainObject(cfg) ? cfg : {};
+  const rules = (Array.isArray(c.rules) ? c.rules : [])
+    .filter((r) => isPlainObject(r) && Number.isInteger(r.every_days) && r.every_days >= 1)
+    .map((r) => (typeof r.lock === 'string' && r.lock
+      ? { lock: r.lock, every_days: r.every_days }
+      : (typeof r.group === 'string' && r.group ? { group: r.group, every_days: r.every_days } : null)))
+    .filter(Boolean);
+  const max = Number.isInteger(c.max_in_flight) && c.max_in_flight >= 1 ? c.max_in_flight : DEFAULT_MAX_IN_FLIGHT;
+  return { enabled: c.enabled === true && rules.length > 0, rules, max_in_flight: max };
+}
+
+/** Config errors for pin_rotation, for the settings save. Empty when valid. */
+function validateRotation(cfg) {
+  const errors = [];
+  if (cfg == null) return errors;
+  if (!isPlainObject(cfg)) return ['pin_rotation must be an object'];
+  if (cfg.rules != null && !Array.isArray(cfg.rules)) errors.push('pin_rotation.rules must be a list');
+  (Array.isArray(cfg.rules) ? cfg.rules : []).forEach((r, i) => {
+    const at = `pin_rotation.rules[${i}]`;
+    if (!isPlainObject(r)) { errors.push(`${at} must be an object`); return; }
+    if (!(typeof r.group === 'string' && r.group) === !(typeof r.lock === 'string' && r.lock)) {
+      errors.push(`${at} needs exactly one of group or lock`);
+    }
+    if (!Number.isInteger(r.every_days) || r.every_days < 1) errors.push(`${at}.every_days must be a whole number of days (1 or more)`);
+  });
+  if (cfg.max_in_flight != null && !(Number.isInteger(cfg.max_in_flight) && cfg.max_in_flight >= 1)) {
+    errors.push('pin_rotation.max_in_flight must be a whole number (1 or more)');
+  }
+  return errors;
+}
+
+/**
+ * The rotation interval for a user, in days, or null when no rule applies.
+ *
+ * @param {Array}    rules     normalizeRotation().rules
+ * @param {string}   [group]   the user's resolver group
+ * @param {string[]} lockIds   locks the user holds a code on
+ */
+function intervalFor(rules, group, lockIds) {
+  let days = null;
+  for (const r of rules || []) {
+    const hit = r.lock ? lockIds.includes(r.lock) : (group != null && r.group === group);
+    if (hit && (days == null || r.every_days < days)) days = r.every_days;
+  }
+  return days;
+}
+
+/**
+ * Users whose PIN is due for rotation at `opts.at`, oldest first:
+ * [{user_id, name, every_days, last_set, due_at}].
+ *
+ * @param {object} locksCfg  devices.zwave.locks
+ * @param {object} opts
+ * @param {number} opts.at
+ * @param {Array}  opts.rules             normalizeRotation().rules
+ * @param {function(string): ?string} [opts.groupOf]  user id -> resolver group
+ * @param {Set}    [opts.skip]            user ids to leave alone (windowed,
+ *                                        already rotating)
+ */
+function dueRotations(locksCfg, opts = {}) {
+  const groupOf = typeof opts.groupOf === 'function' ? opts.groupOf : () => null;
+  const skip = opts.skip || new Set();
+  const heldOn = new Map();
+  for (const [lockId, lock] of Object.entries(locksCfg || {})) {
+    for (const e of Object.values((lock && lock.user_codes) || {})) {
+      if (!e || !e.user_id) continue;
+      if (!heldOn.has(e.user_id)) heldOn.set(e.user_id, []);
+      heldOn.get(e.user_id).push(lockId);
+    }
+  }
+  const rows = [];
+  for (const [userId, c] of canonicalPins(locksCfg)) {
+    if (skip.has(userId)) continue;
+    const days = intervalFor(opts.rules, groupOf(userId), heldOn.get(userId) || []);
+    const set = Date.parse(c.updated_at);
+    if (days == null || !Number.isFinite(set)) continue;
+    const dueAt = set + days * DAY_MS;
+    if (dueAt > opts.at) continue;
+    rows.push({ user_id: userId, name: c.name, every_days: days, last_set: c.updated_at, due_at: new Date(dueAt).toISOString() });
+  }
+  return rows.sort((a, b) => a.due_at.localeCompare(b.due_at));
+}
+
+/**
+ * What is left of one staged rotation:
+ *   write   lock ids (of `writableLocks`) still holding an older PIN for the user
+ *   unifi   true while UniFi is not known to hold the new PIN
+ *   notify  true when the user has not been told yet and the new PIN already
+ *           works somewhere (a lock or UniFi)
+ *   done    nothing left: drop the record
+ *
+ * Locks the user is denied on are not waited for; revocation clears those.
+ *
+ * @param {string} userId
+ * @param {object} record         config.pin_rotations[userId]
+ * @param {object} locksCfg       devices.zwave.locks
+ * @param {object} opts
+ * @param {string[]} opts.writableLocks  lock ids this user may hold a code on
+ * @param {object}   [opts.pinState]     config.unifi_pin_state
+ */
+function rotationStep(userId, record, locksCfg, opts = {}) {
+  const pin = String(record.pin_code);
+  const writable = opts.writableLocks || [];
+  const write = [];
+  let live = false;
+  for (const [lockId, lock] of Object.entries(locksCfg || {})) {
+    for (const e of Object.values((lock && lock.user_codes) || {})) {
+      if (!e || e.user_id !== userId) continue;
+      if (String(e.pin_code) === pin) live = true;
+      else if (writable.includes(lockId) && !write.includes(lockId)) write.push(lockId);
+    }
+  }
+  const recorded = opts.pinState && opts.pinState[userId];
+  const unifi = !(recorded && String(recorded.pin_code) === pin);
+  if (!unifi) live = true;
+  const notify = !record.notified_at && live;
+  return { write, unifi, notify, done: !write.length && !unifi && !!record.notified_at };
+}
+
+/** The email that hands a user their new PIN: {subject, text}. */
+function rotationEmail(record) {
+  const lines = [
+    `Hello ${record.name || 'there'},`,
+    '',
+    `Your door PIN has been changed as part of the regular PIN rotation (every ${record.every_days} days).`,
+    '',
+    `Your new PIN: ${record.pin_code}`,
+    '',
+    'It works on the door keypads and UniFi Access readers now. Your previous PIN stops working as each door is updated.',
+    'Keep it to yourself; nobody from the building will ask you for it.',
+  ];
+  return { subject: 'Your new door PIN', text: lines.join('\n') };
+}
+
+/**
+ * Staged rotations for the Keypad Users panel. Digits never leave.
+ * [{user_id, name, staged_at, locks_pending, unifi_pending, notified, last_error}]
+ */
+function describeRotations(rotations, locksCfg, opts = {}) {
+  const writableFor = typeof opts.writableLocks === 'function' ? opts.writableLocks : () => [];
+  return Object.entries(rotations || {})
+    .filter(([, r]) => isPlainObject(r) && r.pin_code)
+    .map(([userId, r]) => {
+      const step = rotationStep(userId, r, locksCfg, { writableLocks: writableFor(userId), pinState: opts.pinState });
+      return {
+        user_id: userId,
+        name: r.name || null,
+        staged_at: r.staged_at || null,
+        locks_pending: step.write.length,
+        unifi_pending: step.unifi,
+        notified: !!r.notified_at,
+        last_error: r.last_error || null,
+      };
+    })
+    .sort((a, b) => String(a.name || a.user_id).localeCompare(String(b.name || b.user_id)));
+}
+
+module.exports = {
+  DAY_MS,
+  normalizeRotation,
+  validateRotation,
+  intervalFor,
+  dueRotations,
+  rotationStep,
+  rotationEmail,
+  describeRotations,
+};
@@ -0,0 +1,173 @@
+'use strict';
+
+/**
+ * Expiring and scheduled keypad PINs (pure, unit-testable).
+ *
+ * A guest or contractor PIN is the user's ONE PIN (keypad-users.js) with a
+ * validity window, stored per user in config.pin_windows:
+ *
+ *   "pin_windows": {
+ *     "<unifi user id>": {
+ *       "name": "Acme Electric",
+ *       "pin_code": "482913",
+ *       "valid_from": "2026-03-02T07:00:00.000Z",     // null = already valid
+ *       "valid_until": "2026-03-14T00:00:00.000Z",    // null = never expires
+ *       "schedule": { "windows": [ { "days": ["mon","tue","wed","thu","fri"], "start": "07:00", "end": "16:00" } ] },
+ *       "updated_at": "..."
+ *     }
+ *   }
+ *
+ * `schedule` is the door-flow trigger schedule shape (src/schedule.js): wall
+ * clock in the site timezone, observing the holiday calendar unless it says
+ * `holidays: 'ignore'`. null means any time inside the dates.
+ *
+ * user_codes keeps its meaning ("this code is on the lock"), so a closed
+ * window holds NO user_codes entry: the PIN lives only here until the window
+ * opens. The app's background job turns planPinWindows() rows into driver
+ * writes and revokeHeldCode clears, and pushes / unassigns the UniFi PIN on
+ * the same edges, so restore, provisioning and the Keypad Users panel keep
+ * working off user_codes unchanged. pin_code sits under that key name so
+ * at-rest encryption and GET redaction cover it like every other PIN.
+ */
+
+const schedules = require('./schedule');
+
+function isPlainObject(v) { return !!v && typeof v === 'object' && !Array.isArray(v); }
+
+function instant(v) {
+  if (v == null || v === '') return null;
+  const t = Date.parse(v);
+  return Number.isFinite(t) ? t : NaN;
+}
+
+/**
+ * Canonical window fields from a request body: {valid_from, valid_until,
+ * schedule} with ISO instants and a normalized schedule, or null when the
+ * body sets none of them (a permanent PIN). Call validatePinWindow first.
+ */
+function normalizeWindow(b) {
+  const from = instant(b && b.valid_from);
+  const until = instant(b && b.valid_until);
+  const schedule = b && b.schedule != null ? schedules.normalizeSchedule(b.schedule) : null;
+  if (from == null && until == null && schedule == null) return null;
+  return {
+    valid_from: from == null ? null : new Date(from).toISOString(),
+    valid_until: until == null ? null : new Date(until).toISOString(),
+    schedule,
+  };
+}
+
+/**
+ * Validate the window fields of a request body (or a stored record). Returns
+ * an array of error strings; none of the fields set is valid (no window).
+ */
+function validatePinWindow(b) {
+  const errors = [];
+  const from = instant(b && b.valid_from);
+  const until = instant(b && b.valid_until);
+  if (Number.isNaN(from)) errors.push('valid_from must be a date and time');
+  if (Number.isNaN(until)) errors.push('valid_until must be a date and time');
+  if (Number.isFinite(from) && Number.isFinite(until) && until <= from) errors.push('valid_until must be after valid_from');
+  schedules.validateSchedule(b ? b.schedule : null, 'PIN window', errors);
+  return errors;
+}
+
+/**
+ * Where a window stands at an instant:
+ *   scheduled  before valid_from
+ *   open       inside the dates and the weekly hours (the code should work)
+ *   off_hours  inside the dates, outside the weekly hours
+ *   expired    at or after valid_until
+ */
+function windowState(w, at, timezone, holidays) {
+  const t = at instanceof Date ? at.getTime() : at;
+  const from = instant(w && w.valid_from);
+  const until = instant(w && w.valid_until);
+  if (Number.isFinite(until) && t >= until) return 'expired';
+  if (Number.isFinite(from) && t < from) return 'scheduled';
+  if (w && w.schedule != null && !schedules.scheduleActive(w.schedule, t, timezone, holidays)) return 'off_hours';
+  return 'open';
+}
+
+/**
+ * What the background job must do for every windowed PIN right now. Returns
+ * only rows with work: {user_id, name, pin, state, write, clear, unifi, expire}
+ *   write   lock ids to write the PIN to (open window; a lock already holding
+ *           this exact PIN for the user is left alone)
+ *   clear   [{lock_id, slot}] held entries to revoke (closed window)
+ *   unifi   'push' (open, UniFi not known to hold it), 'unassign' (closed,
+ *           UniFi holds a PIN for the user) or null
+ *   expire  the window is over and nothing is left to clear: drop the record
+ *
+ * @param {object} windows   config.pin_windows
+ * @param {object} locksCfg  devices.zwave.locks
+ * @param {object} opts
+ * @param {number} opts.at
+ * @param {string} [opts.timezone]
+ * @param {Array}  [opts.holidays]
+ * @param {object} [opts.pinState]  config.unifi_pin_state
+ * @param {function(string): string[]} [opts.writableLocks] lock ids this user
+ *        may hold a code on (code-capable and not denied by access gating)
+ */
+function planPinWindows(windows, locksCfg, opts = {}) {
+  const rows = [];
+  const pinState = opts.pinState || {};
+  const writableLocks = typeof opts.writableLocks === 'function' ? opts.writableLocks : () => [];
+  for (const [userId, w] of Object.entries(windows || {})) {
+    if (!isPlainObject(w) || !w.pin_code) continue;
+    const pin = String(w.pin_code);
+    const state = windowState(w, opts.at, opts.timezone, opts.holidays);
+    const held = [];
+    let pendingClear = false;
+    for (const [lockId, lock] of Object.entries(locksCfg || {})) {
+      for (const [slot, e] of Object.entries((lock && lock.user_codes) || {})) {
+        if (e && e.user_id === userId) held.push({ lock_id: lockId, slot: Number(slot), pin: String(e.pin_code) });
+      }
+      for (const m of Object.values((lock && lock.pending_clears) || {})) {
+        if (m && m.user_id === userId) pendingClear = true;
+      }
+    }
+    const recorded = pinState[userId];
+    const unifiHolds = !!(recorded && String(recorded.pin_code) === pin);
+    const row = { user_id: userId, name: w.name || null, pin, state, write: [], clear: [], unifi: null, expire: false };
+    if (state === 'open') {
+      row.write = writableLocks(userId).filter((id) => !held.some((h) => h.lock_id === id && h.pin === pin));
+      if (!unifiHolds) row.unifi = 'push';
+    } else {
+      row.clear = held.map((h) => ({ lock_id: h.lock_id, slot: h.slot }));
+      // Outside its window the user holds no UniFi PIN at all, not even an
+      // older permanent one recorded before the window was set.
+      if (recorded) row.unifi = 'unassign';
+      row.expire = state === 'expired' && !row.clear.length && !pendingClear && !row.unifi;
+    }
+    if (row.write.length || row.clear.length || row.unifi || row.expire) rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * The windows for the Keypad Users panel. Digits never leave: only
+ * pin_length is exposed. Sorted by name.
+ */
+function describeWindows(windows, at, timezone, holidays) {
+  return Object.entries(windows || {})
+    .filter(([, w]) => isPlainObject(w))
+    .map(([userId, w]) => ({
+      user_id: userId,
+      name: w.name || null,
+      pin_length: w.pin_code ? String(w.pin_code).length : 0,
+      valid_from: w.valid_from || null,
+      valid_until: w.valid_until || null,
+      schedule: w.schedule || null,
+      state: windowState(w, at, timezone, holidays),
+    }))
+    .sort((a, b) => String(a.name || '').localeCompare(String(b.name || '')));
+}
+
+module.exports = {
+  normalizeWindow,
+  validatePinWindow,
+  windowState,
+  planPinWindows,
+  describeWindows,
+};
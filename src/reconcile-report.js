@@ -0,0 +1,189 @@
+'use strict';
+
+const { canonicalPins, planReconciliation, planDepartedUserPrune } = require('./keypad-users');
+const { WRITE_VERDICTS, PROVISION_VERDICTS } = require('./access-gating');
+
+/**
+ * Keypad entitlement reconciliation report (pure, unit-testable).
+ *
+ * reconcileAccessRevocations acts on its own: on every access sync it plans
+ * revocations (planDepartedUserPrune, then planReconciliation) and executes
+ * them. This module lays the same plan out for a human first, one row per
+ * user and one cell per code-capable lock:
+ *
+ *   verdict          the collapsed access-gating verdict (allowed, denied,
+ *                    ungated, unknown; unknown whenever access data is down)
+ *   held / slot      a managed user_codes entry exists on the lock
+ *   confirmed        true, false (the lock refused it) or null (not confirmed
+ *                    yet); entries older than the field read as true
+ *   pushed_to_unifi  the lock's entry is known to match the UniFi PIN
+ *   clear_pending    a revoke that has not confirmed ({requested_at, reason})
+ *   planned          what the next automatic reconcile does here:
+ *                    {action: 'revoke', reason} or null
+ *   fixes            the one-click actions that apply: 'revoke' (run the
+ *                    planned revoke now), 'retry_clear' (re-send a pending
+ *                    clear), 'write' (put the user's PIN on the lock)
+ *
+ * The planned column comes from the reconciler's own planners with the same
+ * inputs, so the report cannot drift from what auto-revocation would do. The
+ * departed sweep is planned only when access data is available AND the active
+ * set is non-empty, the same guard the reconciler applies. Digits never leave.
+ *
+ * A 'write' fix is offered only where the write path would agree: a held code
+ * that is stale or unconfirmed on a lock the user may use (WRITE_VERDICTS),
+ * or a missing code on a lock the user is positively entitled to
+ * (PROVISION_VERDICTS, so 'unknown' never provisions). Windowed (guest /
+ * contractor), departed and rotating users get no write or UniFi fix: the
+ * window engine, the departed sweep and the rotation job own them (a write of
+ * the old PIN would undo a staged rotation).
+ */
+
+/** The held entry for a user on one lock: {slot, entry} or null. */
+function heldOn(lock, userId) {
+  for (const [slot, e] of Object.entries((lock && lock.user_codes) || {})) {
+    if (e && e.user_id === userId) return { slot: Number(slot), entry: e };
+  }
+  return null;
+}
+
+/**
+ * Build the report.
+ *
+ * @param {object} locksCfg        devices.zwave.locks
+ * @param {Array}  relevantLocks   [{lock_id, label}] code-capable locks (columns)
+ * @param {object} opts
+ * @param {boolean} opts.available           access data usable (currentAccessModel)
+ * @param {function(string, string): string} opts.verdictFor  (userId, lockId) -> verdict
+ * @param {Set}    [opts.entitledIds]        access.presentActiveIds
+ * @param {object} [opts.unifiPinState]      config.unifi_pin_state
+ * @param {Set}    [opts.windowed]           user ids with a pin_windows entry
+ * @param {Set}    [opts.rotating]           user ids with a pin_rotations entry
+ * @param {Map}    [opts.names]              user id -> UniFi display name
+ * @returns {{locks: Array<{lock_id, name}>, users: Array, summary: object}}
+ */
+function reconciliationReport(locksCfg, relevantLocks, opts = {}) {
+  const locks = locksCfg || {};
+  const relevant = relevantLocks || [];
+  const verdictFor = typeof opts.verdictFor === 'function' ? opts.verdictFor : () => 'unknown';
+  const entitled = opts.entitledIds instanceof Set ? opts.entitledIds : new Set();
+  const pinState = opts.unifiPinState || {};
+  const windowed = opts.windowed instanceof Set ? opts.windowed : new Set();
+  const rotating = opts.rotating instanceof Set ? opts.rotating : new Set();
+  const names = opts.names instanceof Map ? opts.names : new Map();
+  const canon = canonicalPins(locks);
+
+  // Every user the keypad side knows about: a held code, a queued clear, or
+  // a UniFi PIN record.
+  const userIds = new Set(canon.keys());
+  const markerName = new Map();
+  for (const rl of relevant) {
+    for (const m of Object.values((locks[rl.lock_id] && locks[rl.lock_id].pending_clears) || {})) {
+      if (m && m.user_id) {
+        userIds.add(m.user_id);
+        if (m.name && !markerName.has(m.user_id)) markerName.set(m.user_id, m.name);
+      }
+    }
+  }
+  for (const id of Object.keys(pinState)) userIds.add(id);
+
+  // The reconciler's plan, built exactly as it builds it.
+  const planned = new Map();
+  const sweep = opts.available && entitled.size > 0;
+  if (sweep) {
+    for (const r of planDepartedUserPrune(locks, pinState, entitled).revocations) {
+      planned.set(`${r.user_id}|${r.lock_id}`, r.reason);
+    }
+  }
+  if (opts.available) {
+    const verdicts = new Map();
+    for (const userId of userIds) {
+      for (const rl of relevant) verdicts.set(`${userId}|${rl.lock_id}`, verdictFor(userId, rl.lock_id));
+    }
+    for (const r of planReconciliation(locks, relevant.map((l) => ({ lock_id: l.lock_id })), verdicts)) {
+      const key = `${r.user_id}|${r.lock_id}`;
+      if (!planned.has(key)) planned.set(key, r.reason); // departed reason wins, as in the executor
+    }
+  }
+
+  const users = [];
+  for (const userId of userIds) {
+    const c = canon.get(userId) || null;
+    const departed = sweep && !entitled.has(String(userId));
+    const isWindowed = windowed.has(userId);
+    const owned = isWindowed || rotating.has(userId); // another job sets this PIN
+    const recorded = pinState[userId];
+    const inUnifi = !!(c && (c.pushed_to_unifi || (recorded && String(recorded.pin_code) === c.pin)));
+    const cells = relevant.map((rl) => {
+      const verdict = opts.available ? verdictFor(userId, rl.lock_id) : 'unknown';
+      const held = heldOn(locks[rl.lock_id], userId);
+      const marker = Object.values((locks[rl.lock_id] && locks[rl.lock_id].pending_clears) || {})
+        .find((m) => m && m.user_id === userId);
+      const reason = planned.get(`${userId}|${rl.lock_id}`) || null;
+      const confirmed = held ? (held.entry.confirmed === undefined ? true : held.entry.confirmed) : null;
+      const fixes = [];
+      if (reason) fixes.push('revoke');
+      if (marker) fixes.push('retry_clear');
+      if (c && !reason && !departed && !owned) {
+        const stale = held && (String(held.entry.pin_code) !== c.pin || confirmed !== true);
+        if (stale ? WRITE_VERDICTS.has(verdict) : (!held && PROVISION_VERDICTS.has(verdict))) fixes.push('write');
+      }
+      return {
+        lock_id: rl.lock_id,
+        verdict,
+        held: !!held,
+        slot: held ? held.slot : null,
+        confirmed,
+        current: held && c ? String(held.entry.pin_code) === c.pin : null,
+        pushed_to_unifi: held ? held.entry.pushed_to_unifi === true : null,
+        clear_pending: marker ? { requested_at: marker.requested_at || null, reason: marker.reason || null } : null,
+        planned: reason ? { action: 'revoke', reason } : null,
+        fixes,
+      };
+    });
+    const fixes = [];
+    if (c && !inUnifi && !departed && !owned) fixes.push('push_unifi');
+    users.push({
+      user_id: userId,
+      name: names.get(userId) || (c && c.name) || markerName.get(userId) || (recorded && recorded.name) || null,
+      departed,
+      windowed: isWindowed,
+      has_pin: !!c,
+      in_unifi: inUnifi,
+      locks: cells,
+      fixes,
+    });
+  }
+  users.sort((a, b) => String(a.name || a.user_id).localeCompare(String(b.name || b.user_id)));
+
+  const all = users.flatMap((u) => u.locks);
+  return {
+    locks: relevant.map((l) => ({ lock_id: l.lock_id, name: l.label || l.lock_id })),
+    users,
+    summary: {
+      users: users.length,
+      planned_revocations: all.filter((x) => x.planned).length,
+      pending_clears: all.filter((x) => x.clear_pending).length,
+      unconfirmed: all.filter((x) => x.held && x.confirmed !== true).length,
+      not_in_unifi: users.filter((u) => u.has_pin && !u.in_unifi && !u.departed).length,
+      fixable: users.filter((u) => u.fixes.length || u.locks.some((x) => x.fixes.length)).length,
+    },
+  };
+}
+
+/**
+ * Whether `action` is still on offer for a user (and lock) in a fresh report:
+ * the fix endpoint re-checks so a stale page never acts on an old plan.
+ * Returns the {user, cell} it applies to, or null.
+ */
+function findFix(report, userId, lockId, action) {
+  const user = (report.users || []).find((u) => u.user_id === userId);
+  if (!user) return null;
+  if (action === 'push_unifi') return user.fixes.includes(action) ? { user, cell: null } : null;
+  const cell = user.locks.find((x) => x.lock_id === lockId);
+  return cell && cell.fixes.includes(action) ? { user, cell } : null;
+}
+
+module.exports = {
+  reconciliationReport,
+  findFix,
+};
@@ -31,6 +31,7 @@
  */
 
 const logger = require('./logger');
+const { scopeMatches } = require('./door-flows');
 
 class RulesEngine {
   constructor(config, unifiClient, resolver) {
@@ -420,7 +421,13 @@ class RulesEngine {
       }
     }
 
-    if (!group) {
+    // Find matching rules: match group (or person scope) AND trigger location
+    const actorId = this.normalizeSentinel(event.actorId);
+    const matchingRules = this.accessRules.filter(rule =>
+      this.ruleMatches(rule, group, actorId) && this.locationMatches(event.locationName, rule.trigger)
+    );
+
+    if (!group && !matchingRules.length) {
       logger.info(`User "${displayName}" (actorId: ${event.actorId || 'null'}) at "${event.locationName}": no group resolved`);
       this.stats.events_skipped_no_action++;
       this.stats.last_processing = {
@@ -433,11 +440,6 @@ class RulesEngine {
       return;
     }
 
-    // Find matching rules: match group AND trigger location
-    const matchingRules = this.accessRules.filter(rule =>
-      rule.group === group && this.locationMatches(event.locationName, rule.trigger)
-    );
-
     // Collect all doors to unlock from matching rules.
     // NOTE: this engine only backs /test/simulate-rule (preflight); it is never
     // the live path. When several rules match (e.g. stacked unlock actions on
@@ -587,7 +589,13 @@ class RulesEngine {
       logger.debug(`Doorbell answered by device MAC ${event.hostDeviceMac} but no mapping found`);
     }
 
-    if (!group) {
+    // Find matching rules: match group (or person scope) AND trigger location
+    const actorId = this.normalizeSentinel(event.actorId);
+    const matchingRules = this.visitorRules.filter(rule =>
+      this.ruleMatches(rule, group, actorId) && this.locationMatches(event.locationName, rule.trigger)
+    );
+
+    if (!group && !matchingRules.length) {
       logger.info(`Doorbell answered at "${event.locationName}" but no group resolved (actorId=${event.actorId || 'null'}, device=${event.deviceName || 'null'})`);
       this.stats.events_skipped_no_action++;
       this.stats.last_processing = {
@@ -601,11 +609,6 @@ class RulesEngine {
       return;
     }
 
-    // Find matching rules: match group AND trigger location
-    const matchingRules = this.visitorRules.filter(rule =>
-      rule.group === group && this.locationMatches(event.locationName, rule.trigger)
-    );
-
     let doorsToUnlock = [];
     let ruleWithDelay = null;
 
@@ -803,6 +806,18 @@ class RulesEngine {
     return rules;
   }
 
+  /**
+   * Does a rule apply to this actor? A plain rule needs its group; a rule
+   * carrying a person scope (projected from users / exclude_users) goes
+   * through the flows' scopeMatches, so a group:null rule can match a user
+   * who resolves to no group at all.
+   */
+  ruleMatches(rule, group, userId) {
+    if (rule.group != null && rule.group !== group) return false;
+    if (rule.scope) return scopeMatches(rule.scope, group, userId);
+    return rule.group != null;
+  }
+
   locationMatches(eventLocation, configLocation) {
     if (!eventLocation || !configLocation) return false;
     return eventLocation.trim().toLowerCase() === configLocation.trim().toLowerCase();
@@ -0,0 +1,296 @@
+'use strict';
+
+/**
+ * Weekly trigger schedules (pure, unit-testable).
+ *
+ * A door_flows trigger may carry an optional `schedule`. Without one the
+ * trigger fires around the clock, exactly as before. Shape:
+ *   schedule: {
+ *     windows: [ { days: ['mon','tue','wed','thu','fri'], start: '08:00', end: '18:00' }, ... ]
+ *   }
+ * The trigger is active when ANY window contains the current local time.
+ * Times are wall-clock HH:MM in the site timezone (config.site.timezone, an
+ * IANA name such as "America/New_York"; unset means the host's own clock).
+ *
+ * A window whose end is before its start runs overnight and belongs to the day
+ * it STARTS on: {days:['fri'], start:'22:00', end:'06:00'} covers Friday 22:00
+ * through Saturday 06:00. end '24:00' means the end of the day. A window's
+ * start is inclusive and its end exclusive.
+ *
+ * Holiday calendar (config.site.holidays). Named closure days and one-off
+ * exceptions, each a local calendar date or an inclusive date range:
+ *   holidays: [
+ *     { date: '2026-12-25', name: 'Christmas Day' },                 // closed
+ *     { date: '2026-12-24', name: 'Christmas Eve',                   // short day
+ *       hours: [ { start: '08:00', end: '12:00' } ], relock_seconds: 60 },
+ *     { date: '2026-12-28', end_date: '2026-12-31', name: 'Shutdown' },
+ *   ]
+ * On a calendar day a SCHEDULED trigger swaps its weekly windows for the
+ * day's `hours` (none = closed all day, so the trigger is suppressed). An
+ * unscheduled trigger runs around the clock and ignores the calendar, as does
+ * a schedule with `holidays: 'ignore'` (a cleaning crew that works through
+ * closures). `relock_seconds` tightens auto-relock for the day: a retract edge
+ * that would hold its bolt open (or relock later) relocks after that many
+ * seconds instead. The calendar date is read in the site timezone, and an
+ * overnight weekly window never carries into a calendar day.
+ */
+
+const DAYS = Object.freeze(['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']);
+
+const TIME_RX = /^(\d{1,2}):(\d{2})$/;
+const DATE_RX = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// How a schedule treats the holiday calendar.
+const HOLIDAY_MODES = Object.freeze(['observe', 'ignore']);
+
+function isPlainObject(v) { return !!v && typeof v === 'object' && !Array.isArray(v); }
+
+/** Minutes since midnight for 'HH:MM' (00:00 to 24:00), or null. */
+function parseTime(s) {
+  const m = TIME_RX.exec(typeof s === 'string' ? s.trim() : '');
+  if (!m) return null;
+  const h = Number(m[1]);
+  const min = Number(m[2]);
+  if (min > 59 || h > 24 || (h === 24 && min !== 0)) return null;
+  return h * 60 + min;
+}
+
+/** True for a timezone name the runtime's Intl support accepts. */
+function isValidTimezone(tz) {
+  if (typeof tz !== 'string' || !tz.trim()) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz.trim() });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// One formatter per timezone; constructing Intl formatters is comparatively
+// expensive and the controller asks on every scheduled event.
+const _formatters = new Map();
+function formatterFor(tz) {
+  let f = _formatters.get(tz);
+  if (!f) {
+    f = new Intl.DateTimeFormat('en-US', {
+      timeZone: tz, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+    });
+    _formatters.set(tz, f);
+  }
+  return f;
+}
+
+/**
+ * The local weekday (0 = Sunday) and minutes since midnight of an instant in
+ * a timezone. An empty or unknown timezone reads the host's local clock, so a
+ * typo degrades to "server time" rather than disabling every schedule.
+ * @param {number|Date} at epoch ms or a Date
+ */
+function localClock(at, timezone) {
+  const d = at instanceof Date ? at : new Date(at);
+  if (isValidTimezone(timezone)) {
+    const parts = {};
+    for (const p of formatterFor(timezone.trim()).formatToParts(d)) parts[p.type] = p.value;
+    const day = DAYS.indexOf(String(parts.weekday || '').slice(0, 3).toLowerCase());
+    const hour = Number(parts.hour) % 24;
+    return { day, minutes: hour * 60 + Number(parts.minute) };
+  }
+  return { day: d.getDay(), minutes: d.getHours() * 60 + d.getMinutes() };
+}
+
+/** The local calendar date ('YYYY-MM-DD') of an instant in a timezone. */
+function localDate(at, timezone) {
+  const d = at instanceof Date ? at : new Date(at);
+  if (isValidTimezone(timezone)) {
+    const parts = {};
+    for (const p of dateFormatterFor(timezone.trim()).formatToParts(d)) parts[p.type] = p.value;
+    return `${parts.year}-${parts.month}-${parts.day}`;
+  }
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+const _dateFormatters = new Map();
+function dateFormatterFor(tz) {
+  let f = _dateFormatters.get(tz);
+  if (!f) {
+    f = new Intl.DateTimeFormat('en-US', { timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit' });
+    _dateFormatters.set(tz, f);
+  }
+  return f;
+}
+
+/** Canonical day key ('mon') for 'Mon' / 'monday' / 'MON', or null. */
+function normDay(d) {
+  if (typeof d !== 'string') return null;
+  const k = d.trim().toLowerCase().slice(0, 3);
+  return DAYS.includes(k) ? k : null;
+}
+
+/**
+ * Canonicalize a schedule to null | {windows:[{days,start,end}]}. Windows with
+ * no usable day or time are dropped. A present schedule whose every window was
+ * dropped keeps an EMPTY list (never active) instead of collapsing to null
+ * (always active): a broken schedule must not silently widen a trigger.
+ */
+function normalizeSchedule(schedule) {
+  if (!isPlainObject(schedule)) return null;
+  const windows = [];
+  for (const w of Array.isArray(schedule.windows) ? schedule.windows : []) {
+    if (!isPlainObject(w)) continue;
+    const days = [...new Set((Array.isArray(w.days) ? w.days : []).map(normDay).filter(Boolean))];
+    const start = parseTime(w.start);
+    const end = parseTime(w.end);
+    if (!days.length || start == null || end == null || start === end) continue;
+    windows.push({ days, start: w.start.trim(), end: w.end.trim() });
+  }
+  // Only an opt-out carries the key; observing the calendar is the default.
+  return schedule.holidays === 'ignore' ? { windows, holidays: 'ignore' } : { windows };
+}
+
+/**
+ * Is a schedule active at an instant? null (no schedule) is always active.
+ * @param {object|null} schedule a trigger schedule (normalized or raw)
+ * @param {number|Date} at epoch ms or a Date
+ * @param {string|null} timezone IANA site timezone; empty = host local time
+ * @param {Array} [holidays] the site holiday calendar (raw or normalized)
+ */
+function scheduleActive(schedule, at, timezone, holidays) {
+  const s = normalizeSchedule(schedule);
+  if (s == null) return true;
+  const { day, minutes } = localClock(at, timezone);
+  const holiday = s.holidays === 'ignore' ? null : holidayOn(holidays, at, timezone);
+  if (holiday) {
+    return holiday.hours.some((h) => minutes >= parseTime(h.start) && minutes < parseTime(h.end));
+  }
+  const today = DAYS[day];
+  const yesterday = DAYS[(day + 6) % 7];
+  return s.windows.some((w) => {
+    const start = parseTime(w.start);
+    const end = parseTime(w.end);
+    if (start < end) return w.days.includes(today) && minutes >= start && minutes < end;
+    // Overnight: the evening part on the start day, the morning part after it.
+    return (w.days.includes(today) && minutes >= start) || (w.days.includes(yesterday) && minutes < end);
+  });
+}
+
+/**
+ * Validate a trigger schedule, pushing error strings onto `errors` in the
+ * door-flows validator style. null/undefined is valid (no schedule).
+ */
+function validateSchedule(schedule, label, errors) {
+  if (schedule == null) return;
+  if (!isPlainObject(schedule)) { errors.push(`${label} schedule must be null or an object`); return; }
+  if (schedule.holidays != null && !HOLIDAY_MODES.includes(schedule.holidays)) {
+    errors.push(`${label} schedule.holidays must be one of ${HOLIDAY_MODES.join(', ')}`);
+  }
+  if (!Array.isArray(schedule.windows) || !schedule.windows.length) {
+    errors.push(`${label} schedule.windows must be a non-empty array`);
+    return;
+  }
+  schedule.windows.forEach((w, i) => {
+    const wl = `${label} schedule window ${i + 1}`;
+    if (!isPlainObject(w)) { errors.push(`${wl} must be an object`); return; }
+    if (!Array.isArray(w.days) || !w.days.length || w.days.some((d) => !normDay(d))) {
+      errors.push(`${wl} days must be a non-empty list of ${DAYS.join(', ')}`);
+    }
+    const start = parseTime(w.start);
+    const end = parseTime(w.end);
+    if (start == null) errors.push(`${wl} start must be HH:MM`);
+    if (end == null) errors.push(`${wl} end must be HH:MM`);
+    if (start != null && end != null && start === end) errors.push(`${wl} start and end must differ`);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Holiday calendar
+// ---------------------------------------------------------------------------
+
+/** True for a real calendar date written 'YYYY-MM-DD'. */
+function isValidDate(s) {
+  const m = DATE_RX.exec(typeof s === 'string' ? s.trim() : '');
+  if (!m) return false;
+  const d = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+  return d.getUTCFullYear() === Number(m[1]) && d.getUTCMonth() === Number(m[2]) - 1 && d.getUTCDate() === Number(m[3]);
+}
+
+/**
+ * Canonicalize the calendar to [{date, end_date, name, hours, relock_seconds}]
+ * sorted by date. Entries without a usable date are dropped; an end_date
+ * before the date collapses to the single day. hours keep only same-day
+ * windows (start before end).
+ */
+function normalizeHolidays(list) {
+  const out = [];
+  for (const h of Array.isArray(list) ? list : []) {
+    if (!isPlainObject(h) || !isValidDate(h.date)) continue;
+    const date = h.date.trim();
+    const end = isValidDate(h.end_date) && h.end_date.trim() > date ? h.end_date.trim() : date;
+    const hours = (Array.isArray(h.hours) ? h.hours : []).filter((w) => isPlainObject(w)
+      && parseTime(w.start) != null && parseTime(w.end) != null && parseTime(w.start) < parseTime(w.end))
+      .map((w) => ({ start: w.start.trim(), end: w.end.trim() }));
+    const relock = Number(h.relock_seconds);
+    out.push({
+      date,
+      end_date: end,
+      name: typeof h.name === 'string' && h.name.trim() ? h.name.trim() : 'Holiday',
+      hours,
+      relock_seconds: Number.isInteger(relock) && relock > 0 ? relock : null,
+    });
+  }
+  return out.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/** The calendar entry covering the local date of `at`, or null. */
+function holidayOn(holidays, at, timezone) {
+  if (!Array.isArray(holidays) || !holidays.length) return null;
+  const today = localDate(at, timezone);
+  return normalizeHolidays(holidays).find((h) => h.date <= today && today <= h.end_date) || null;
+}
+
+/**
+ * Validate the calendar, pushing error strings onto `errors` (labels read
+ * "site.holidays entry N ..."). null/undefined is valid (no calendar).
+ */
+function validateHolidays(list, errors) {
+  if (list == null) return;
+  if (!Array.isArray(list)) { errors.push('site.holidays must be an array'); return; }
+  list.forEach((h, i) => {
+    const label = `site.holidays entry ${i + 1}`;
+    if (!isPlainObject(h)) { errors.push(`${label} must be an object`); return; }
+    if (!isValidDate(h.date)) errors.push(`${label} date must be YYYY-MM-DD`);
+    if (h.end_date != null && h.end_date !== '') {
+      if (!isValidDate(h.end_date)) errors.push(`${label} end_date must be YYYY-MM-DD`);
+      else if (isValidDate(h.date) && h.end_date.trim() < h.date.trim()) errors.push(`${label} end_date is before its date`);
+    }
+    if (h.name != null && typeof h.name !== 'string') errors.push(`${label} name must be a string`);
+    if (h.hours != null) {
+      if (!Array.isArray(h.hours)) errors.push(`${label} hours must be an array`);
+      else h.hours.forEach((w, j) => {
+        const start = isPlainObject(w) ? parseTime(w.start) : null;
+        const end = isPlainObject(w) ? parseTime(w.end) : null;
+        if (start == null || end == null) errors.push(`${label} hours ${j + 1} needs HH:MM start and end`);
+        else if (start >= end) errors.push(`${label} hours ${j + 1} must end after it starts (same day)`);
+      });
+    }
+    if (h.relock_seconds != null && !(Number.isInteger(h.relock_seconds) && h.relock_seconds > 0)) {
+      errors.push(`${label} relock_seconds must be a positive whole number`);
+    }
+  });
+}
+
+module.exports = {
+  DAYS,
+  HOLIDAY_MODES,
+  parseTime,
+  isValidTimezone,
+  localClock,
+  localDate,
+  normalizeSchedule,
+  scheduleActive,
+  validateSchedule,
+  isValidDate,
+  normalizeHolidays,
+  holidayOn,
+  validateHolidays,
+};
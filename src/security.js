@@ -3,6 +3,9 @@
 
 const crypto = require('crypto');
 const deadboltRules = require('./deadbolt-rules');
+const { isValidTimezone, validateHolidays } = require('./schedule');
+const { validateRotation } = require('./pin-rotation');
+const { validatePolicy } = require('./pin-policy');
 
 // Matches config keys whose values are secrets and must never be returned to a
 // client or written to a log in cleartext. pin[_-]?code covers the per-user
@@ -11,7 +14,9 @@ const deadboltRules = require('./deadbolt-rules');
 // pairing "pin" route payloads are unaffected). The digits live in the 0600
 // config in cleartext, matching the existing S2-key precedent; redaction
 // keeps them out of GET /api/config, PUT round-trips, and diagnostics.
-const SECRET_KEY_RX = /(token|secret|password|passphrase|api[_-]?key|private[_-]?key|s2_|s0_|pin[_-]?code)/i;
+// authorization covers the Authorization header an HTTP lock or http action
+// sends (a bearer token or basic credentials).
+const SECRET_KEY_RX = /(token|secret|password|passphrase|api[_-]?key|private[_-]?key|authorization|s2_|s0_|pin[_-]?code)/i;
 
 const REDACTION_MARKER = '***REDACTED***';
 
@@ -183,6 +188,50 @@ function validateConfigUpdates(updates) {
     if (sw.last_step !== undefined && typeof sw.last_step !== 'string') return { ok: false, error: 'setup_wizard.last_step must be a string' };
   }
 
+  if (updates.site !== undefined) {
+    const site = updates.site;
+    if (!isPlainObject(site)) return { ok: false, error: 'site must be an object' };
+    // Empty clears it (trigger schedules then use the server's local time).
+    if (site.timezone !== undefined && site.timezone !== '' && site.timezone !== null && !isValidTimezone(site.timezone)) {
+      return { ok: false, error: 'site.timezone must be an IANA timezone name such as America/New_York' };
+    }
+    // The holiday calendar replaces as a whole (arrays never deep-merge).
+    const holidayErrors = [];
+    validateHolidays(site.holidays, holidayErrors);
+    if (holidayErrors.length) return { ok: false, error: holidayErrors.join('; ') };
+  }
+
+  if (updates.lockdown !== undefined) {
+    const ld = updates.lockdown;
+    if (!isPlainObject(ld)) return { ok: false, error: 'lockdown must be an object' };
+    // Empty (or absent) means every discovered door.
+    if (ld.door_ids !== undefined && (!Array.isArray(ld.door_ids) || !ld.door_ids.every((id) => typeof id === 'string' && id))) {
+      return { ok: false, error: 'lockdown.door_ids must be an array of door ids' };
+    }
+  }
+
+  if (updates.pin_policy !== undefined) {
+    const policyErrors = validatePolicy(updates.pin_policy);
+    if (policyErrors.length) return { ok: false, error: policyErrors.join('; ') };
+  }
+
+  if (updates.pin_rotation !== undefined) {
+    const rotationErrors = validateRotation(updates.pin_rotation);
+    if (rotationErrors.length) return { ok: false, error: rotationErrors.join('; ') };
+  }
+
+  if (updates.pin_portal !== undefined) {
+    const pp = updates.pin_portal;
+    if (!isPlainObject(pp)) return { ok: false, error: 'pin_portal must be an object' };
+    if (pp.enabled !== undefined && typeof pp.enabled !== 'boolean') return { ok: false, error: 'pin_portal.enabled must be a boolean' };
+    if (pp.link_minutes !== undefined && !Number.isInteger(pp.link_minutes)) return { ok: false, error: 'pin_portal.link_minutes must be a whole number of minutes' };
+    // The emailed link is built on it, so it must be a plain web address.
+    if (pp.public_url !== undefined && pp.public_url !== '' && pp.public_url !== null
+        && !(typeof pp.public_url === 'string' && /^https?:\/\/[^\s/]+/i.test(pp.public_url))) {
+      return { ok: false, error: 'pin_portal.public_url must start with http:// or https://' };
+    }
+  }
+
   if (updates.devices !== undefined) {
     if (!isPlainObject(updates.devices)) return { ok: false, error: 'devices must be an object' };
     const zw = updates.devices.zwave;
@@ -9,8 +9,10 @@
  *   7.8  Fetch All Doors:          GET  /doors
  *   7.9  Remote Door Unlocking:    PUT  /doors/:id/unlock
  *   7.10 Temporary Door Lock Rule: PUT  /doors/:id/lock_rule (fw 1.24.6+)
+ *   7.11 Fetch Door Lock Rule:     GET  /doors/:id/lock_rule (fw 1.24.6+)
  *   3.5  Fetch All Users:          GET  /users?expand[]=access_policy
  *   3.x  Assign PIN to User:       PUT  /users/:id/pin_codes (write-only; PINs are never readable)
+ *   3.x  Unassign PIN from User:   DELETE /users/:id/pin_codes
  *   3.12 Fetch All User Groups:    GET  /user_groups
  *   3.18 Fetch Users in Group:     GET  /user_groups/:id/users
  *   3.19 Fetch All Users in Group: GET  /user_groups/:id/users/all
@@ -38,7 +40,7 @@ class UniFiClient {
     this.userGroupMap = new Map();   // userId -> groupName (logical)
     this.userNames = new Map();      // userId -> fullName
     this.discoveredGroups = [];      // UniFi group names found during sync
-    this.userData = new Map();       // userId -> {name, unifiGroupName, logicalGroupName}
+    this.userData = new Map();       // userId -> {name, email, unifiGroupName, logicalGroupName}
 
     // Access-policy caches (for keypad-PIN gating). Populated by
     // syncAccessPolicies() from GET /users?expand[]=access_policy. Until that
@@ -341,6 +343,29 @@ class UniFiClient {
     }
   }
 
+  // ---------------------------------------------------------------------------
+  // Remove a user's keypad PIN in UniFi Access (DELETE /users/:id/pin_codes).
+  // Used only for windowed (guest / contractor) PINs, whose UniFi PIN the app
+  // pushed for the window: when the window closes or the user is removed.
+  // Every other removal path leaves the UniFi PIN alone. Same result shape
+  // and permission handling as assignUserPin.
+  // ---------------------------------------------------------------------------
+  async unassignUserPin(userId) {
+    const name = this.userNames.get(userId) || userId;
+    logger.info(`Removing UniFi PIN for user "${name}"`);
+    try {
+      await this.request('DELETE', `/users/${userId}/pin_codes`);
+      logger.info(`UniFi PIN removed for "${name}"`);
+      return { success: true, userId };
+    } catch (err) {
+      const statusCode = err.statusCode || err.status || 0;
+      const permissionDenied = statusCode === 403
+        || /forbidden|permission|unauthorized/i.test(err.message || '');
+      logger.error(`Failed to remove UniFi PIN for "${name}": ${err.message}${statusCode ? ` (HTTP ${statusCode})` : ''}`);
+      return { success: false, userId, error: err.message, statusCode, permission_denied: permissionDenied };
+    }
+  }
+
   // ---------------------------------------------------------------------------
   // Temporary door lock rule (Section 7.10: PUT /doors/:id/lock_rule)
   // Requires firmware 1.24.6+
@@ -348,8 +373,8 @@ class UniFiClient {
   // Types: keep_lock, keep_unlock, custom (with interval), reset,
   //        lock_early, lock_now
   //
-  // Not used for normal unlock flow, but available for schedule overrides
-  // or the GUI admin panel.
+  // Not used for normal unlock flow, but available for schedule overrides,
+  // the phone buttons and building lockdown.
   // ---------------------------------------------------------------------------
 
   async setDoorLockRule(doorId, type, intervalMinutes = null) {
@@ -371,6 +396,22 @@ class UniFiClient {
     }
   }
 
+  // Current temporary lock rule (Section 7.11: GET /doors/:id/lock_rule).
+  // data: {type, ended_time}; type is '' (or 'schedule') when no temporary
+  // rule is in force, ended_time is epoch seconds. Used by lockdown to put a
+  // door's rule back afterwards.
+  async getDoorLockRule(doorId) {
+    const doorName = this.doorsById.get(doorId) || doorId;
+    try {
+      const res = await this.request('GET', `/doors/${doorId}/lock_rule`);
+      const data = (res && res.data) || {};
+      return { success: true, door: doorName, type: data.type || '', ended_time: Number.isFinite(data.ended_time) ? data.ended_time : null };
+    } catch (err) {
+      logger.warn(`Failed to read lock rule on "${doorName}": ${err.message}`);
+      return { success: false, door: doorName, error: err.message };
+    }
+  }
+
   // ---------------------------------------------------------------------------
   // User group sync
   //
@@ -429,8 +470,11 @@ class UniFiClient {
                 newUserNames.set(user.id, displayName);
               }
               // Store complete user info for config UI
+              // user_email is the address UniFi invites the user with; the
+              // keypad CSV import matches rows on it.
               newUserData.set(user.id, {
                 name: displayName || 'Unknown',
+                email: user.user_email || user.email || null,
                 unifiGroupName: unifiGroupName,
                 logicalGroupName: groupLabel
               });
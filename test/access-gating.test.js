@@ -15,6 +15,7 @@ const {
   doorAccessVerdict,
   doorAccessVerdictUnion,
   classifyLocksForUser,
+  lockAccessVerdict,
   WRITE_VERDICTS,
   REVOKE_VERDICTS,
   PROVISION_VERDICTS,
@@ -251,6 +252,18 @@ test('classifyLocksForUser: per-lock union verdict off each lock\'s gating doors
   ]);
 });
 
+test('lockAccessVerdict: a person-scoped trigger gates the keypad per user', () => {
+  const flows = {
+    'Door A': { door_id: 'd-a', triggers: [{ type: 'entry', scope: { users: ['u1'] }, actions: { retract: [{ lock_id: 'lockA' }] } }] },
+  };
+  const a = access({ allowed: { u1: ['d-a'], u2: ['d-a'] }, complete: { u1: true, u2: true } });
+  assert.equal(lockAccessVerdict(a, 'u1', flows, 'lockA'), 'allowed');
+  assert.equal(lockAccessVerdict(a, 'u2', flows, 'lockA'), 'denied', 'door access alone is not enough when no trigger admits the person');
+  assert.equal(lockAccessVerdict(a, 'u2', flows, 'lockManual'), 'ungated');
+  const out = classifyLocksForUser('u2', [{ lock_id: 'lockA' }], flows, a);
+  assert.equal(out[0].verdict, 'denied');
+});
+
 test('classifyLocksForUser: two locks on ONE door gate identically', () => {
   const flows = { 'Door A': { door_id: 'd-a', retract: [{ lock_id: 'lock1' }, { lock_id: 'lock2' }], cascade: null } };
   const a = access({ allowed: { u1: ['d-a'] }, complete: { u1: true } });
@@ -0,0 +1,110 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+
+const { ContactState, openSeconds, isHeldOpen } = require('../src/drivers/contact-sensor');
+const { ZwaveContactSensor } = require('../src/drivers/zwave-contact-sensor');
+const FakeContactSensor = require('../src/drivers/fake-contact-sensor');
+
+// Minimal ZWaveNode stand-in: a value cache for the seed and emit() for the
+// unsolicited reports the sensor sends.
+class MockNode extends EventEmitter {
+  constructor(opts = {}) {
+    super();
+    if (opts.status != null) this.status = opts.status;
+    this.values = opts.values || {};
+  }
+  getValue(vid) {
+    return this.values[`${vid.commandClass}:${vid.property}${vid.propertyKey ? `:${vid.propertyKey}` : ''}`];
+  }
+}
+
+const silent = { debug() {}, info() {}, warn() {} };
+const doorEvent = (node, event, type = 6, ccId = 0x71) => node.emit('notification', node, ccId, { type, event });
+
+test('ZwaveContactSensor: Access Control events 22/23 drive open/closed, once per change', async () => {
+  const node = new MockNode();
+  const sensor = new ZwaveContactSensor({ node_id: 7, name: 'Front contact' }, { node, logger: silent });
+  const seen = [];
+  sensor.on('contact', (e) => seen.push([e.previous, e.state]));
+  await sensor.init();
+  assert.equal(sensor.snapshot().state, ContactState.UNKNOWN);
+  doorEvent(node, 22);
+  doorEvent(node, 22);
+  assert.equal(sensor.snapshot().state, ContactState.OPEN);
+  assert.ok(sensor.snapshot().openSince);
+  doorEvent(node, 23);
+  assert.equal(sensor.snapshot().openSince, null);
+  assert.deepEqual(seen, [['unknown', 'open'], ['open', 'closed']]);
+});
+
+test('ZwaveContactSensor: other notification types and command classes are ignored', async () => {
+  const node = new MockNode();
+  const sensor = new ZwaveContactSensor({ node_id: 7 }, { node, logger: silent });
+  await sensor.init();
+  doorEvent(node, 22, 7); // Home Security reuses the numbers
+  doorEvent(node, 22, 6, 0x30);
+  assert.equal(sensor.snapshot().state, ContactState.UNKNOWN);
+});
+
+test('ZwaveContactSensor: seeds from the value cache and follows Door state value updates', async () => {
+  const node = new MockNode({ status: 1, values: { '113:Access Control:Door state': 23, '128:level': 90 } });
+  const sensor = new ZwaveContactSensor({ node_id: 7 }, { node, logger: silent });
+  await sensor.init();
+  const snap = sensor.snapshot();
+  assert.equal(snap.state, ContactState.CLOSED);
+  assert.equal(snap.battery, 90);
+  assert.equal(snap.linkState, 'asleep');
+  assert.equal(snap.online, true, 'an asleep battery sensor is still up');
+  node.emit('value updated', node, { commandClass: 0x71, property: 'Access Control', propertyKey: 'Door state', newValue: 22 });
+  assert.equal(sensor.snapshot().state, ContactState.OPEN);
+});
+
+test('ZwaveContactSensor: low battery alerts once per crossing; dead goes offline; shutdown unwires', async () => {
+  const node = new MockNode({ status: 4 });
+  const sensor = new ZwaveContactSensor({ node_id: 7, low_battery_pct: 20 }, { node, logger: silent });
+  const alerts = [];
+  sensor.on('alert', (a) => alerts.push(a.type));
+  await sensor.init();
+  const battery = (v) => node.emit('value updated', node, { commandClassName: 'Battery', property: 'level', newValue: v });
+  battery(15);
+  battery(12);
+  battery(80);
+  battery(10);
+  assert.deepEqual(alerts, ['sensor_low_battery', 'sensor_low_battery']);
+  node.emit('dead');
+  assert.equal(sensor.snapshot().linkState, 'offline');
+  await sensor.shutdown();
+  assert.equal(node.listenerCount('notification'), 0);
+});
+
+test('ZwaveContactSensor: init fails when the node is not on the stick', async () => {
+  const manager = { ensureStarted: async () => ({ controller: { nodes: new Map() } }) };
+  const sensor = new ZwaveContactSensor({ node_id: 9 }, { manager, logger: silent });
+  await assert.rejects(() => sensor.init(), /node 9 not found/);
+});
+
+test('held open: measured from openSince against the per-sensor threshold (0 = off)', () => {
+  const at = Date.parse('2026-03-02T09:00:00.000Z');
+  const snap = { state: 'open', openSince: '2026-03-02T08:58:00.000Z' };
+  assert.equal(openSeconds(snap, at), 120);
+  assert.equal(openSeconds({ state: 'closed', openSince: null }, at), 0);
+  assert.equal(isHeldOpen(snap, {}, at), true, 'default threshold is 120s');
+  assert.equal(isHeldOpen(snap, { held_open_seconds: 300 }, at), false);
+  assert.equal(isHeldOpen(snap, { held_open_seconds: 0 }, at), false);
+});
+
+test('FakeContactSensor: open/close emit contact changes like the real driver', async () => {
+  const sensor = new FakeContactSensor();
+  const seen = [];
+  sensor.on('contact', (e) => seen.push(e.state));
+  await sensor.init();
+  sensor.close(); // already closed: no event
+  sensor.open(Date.parse('2026-03-02T09:00:00.000Z'));
+  assert.equal(sensor.snapshot().openSince, '2026-03-02T09:00:00.000Z');
+  sensor.close();
+  assert.deepEqual(seen, ['open', 'closed']);
+  assert.equal(sensor.snapshot().online, true);
+});
@@ -142,3 +142,71 @@ test('pair panel escapes device-derived dsk and error strings (XSS)', () => {
   assert.ok(!hostileErr.includes('<script>'), 'raw script must not appear in error');
   assert.ok(hostileErr.includes('&lt;script&gt;'));
 });
+
+function loadLockdownPanel() {
+  const src = extractFn('describeLockdown') + '\n' + extractFn('setCardState') + '\n' + extractFn('renderLockdown')
+    + '\n' + extractFn('escapeHtml') + '\n' + extractFn('buildLockdownDoorList');
+  const els = {};
+  for (const id of ['lockdownCard', 'lockdownBadge', 'lockdownSummary', 'lockdownStartBtn', 'lockdownEndBtn', 'lockdownReason']) {
+    els[id] = { textContent: '', className: '', style: {}, classList: { add() {}, remove() {} } };
+  }
+  const document = { getElementById: (id) => els[id] || null };
+  const factory = new Function('document', src + '; return { renderLockdown, buildLockdownDoorList };');
+  return Object.assign(factory(document), { els });
+}
+
+test('lockdown panel: off offers Start; active shows counts, names what did not take, and offers End', () => {
+  const { renderLockdown, els } = loadLockdownPanel();
+  renderLockdown({ lockdown: { active: false } });
+  assert.strictEqual(els.lockdownBadge.textContent, 'off');
+  assert.strictEqual(els.lockdownStartBtn.style.display, '');
+  assert.strictEqual(els.lockdownEndBtn.style.display, 'none');
+
+  renderLockdown({ lockdown: { active: true, started_at: '2026-03-02T12:00:00Z', reason: 'drill',
+    doors: [{ door_id: 'd1', name: 'Front Door', held: true }, { door_id: 'd2', name: 'Side Door', held: false }],
+    locks: [{ lock_id: 'front_deadbolt', locked: true }] } });
+  assert.strictEqual(els.lockdownBadge.textContent, 'ACTIVE');
+  assert.strictEqual(els.lockdownBadge.className, 'badge warning', 'a door that did not take the hold downgrades the badge');
+  assert.ok(els.lockdownSummary.textContent.includes('1/2 door(s) held locked, 1/1 deadbolt(s) thrown'));
+  assert.ok(els.lockdownSummary.textContent.includes('Not confirmed: Side Door'));
+  assert.strictEqual(els.lockdownStartBtn.style.display, 'none');
+  assert.strictEqual(els.lockdownEndBtn.style.display, '');
+});
+
+test('lockdown door list ticks the saved set and escapes door names (XSS)', () => {
+  const { buildLockdownDoorList } = loadLockdownPanel();
+  const out = buildLockdownDoorList({ doors: [{ id: 'd1', name: '<img src=x>', selected: true }, { id: 'd2', name: 'Side', selected: false }] });
+  assert.ok(!out.includes('<img'));
+  assert.ok(out.includes('value="d1" checked'));
+  assert.ok(out.includes('value="d2">'));
+});
+
+function loadLockRulesPanel() {
+  const src = extractFn('describeLockRules') + '\n' + extractFn('renderLockRules') + '\n' + extractFn('escapeHtml');
+  const els = { lockRulesSection: { style: {} }, lockRulesCard: { innerHTML: '' } };
+  const document = { getElementById: (id) => els[id] || null };
+  const factory = new Function('document', src + '; return { describeLockRules, renderLockRules };');
+  return Object.assign(factory(document), { els });
+}
+
+test('lock rules panel: hidden when empty, lists each held door, and reads overridden during a lockdown', () => {
+  const { describeLockRules, renderLockRules, els } = loadLockRulesPanel();
+  renderLockRules({ lock_rules: [] });
+  assert.strictEqual(els.lockRulesSection.style.display, 'none');
+
+  const list = [
+    { door: 'Suite <b>100</b>', type: 'keep_unlock', until: '2026-03-02T12:30:00Z', source: 'door flow at Lobby', actor: 'Kim' },
+    { door: 'Side', type: 'keep_lock', until: null, source: 'phone button "Side"' },
+  ];
+  const rows = describeLockRules(list, false);
+  assert.match(rows[0].text, /^Suite <b>100<\/b> held unlocked until \d/);
+  assert.strictEqual(rows[0].detail, 'set by door flow at Lobby, Kim');
+  assert.strictEqual(rows[1].text, 'Side held locked until reset');
+
+  renderLockRules({ lock_rules: list, lockdown: { active: false } });
+  assert.strictEqual(els.lockRulesSection.style.display, '');
+  assert.ok(!els.lockRulesCard.innerHTML.includes('<b>'), 'door names are escaped');
+
+  renderLockRules({ lock_rules: list, lockdown: { active: true } });
+  assert.ok(els.lockRulesCard.innerHTML.includes('overridden by lockdown'));
+});
@@ -5,6 +5,7 @@ const assert = require('node:assert');
 
 const DeadboltController = require('../src/deadbolt-controller');
 const FakeLock = require('../src/drivers/fake-lock');
+const FakeContactSensor = require('../src/drivers/fake-contact-sensor');
 const { LockState } = require('../src/drivers/lock-driver');
 
 // ---- fixtures (shapes grounded in the captured research) ------------------
@@ -584,6 +585,31 @@ test('scope: a group-scoped cascade unlocks only for the matching group', async
   assert.deepEqual(unifi.calls.map((c) => c.name).sort(), ['Elevator', 'Stairwell']);
 });
 
+test('scope: a users-scoped edge retracts only for the listed person; exclude_users skips one', async () => {
+  const only = makeScopedController({
+    edges: [{ trigger_door: 'Main', type: 'entry', scope: { users: ['u-ceo'] }, after_unlock: 'stay_unlocked' }],
+    groups: { 'u-ceo': 'Staff', 'u-staff': 'Staff' },
+  });
+  await only.lock.init();
+  only.ctl.observe(scopedGrant('Main', { actorId: 'u-staff' }));
+  await flush();
+  assert.equal(only.lock.calls.filter((c) => c.action === 'unlock').length, 0, 'someone else in the same group does not retract');
+  only.ctl.observe(scopedGrant('Main', { actorId: 'u-ceo' }));
+  await flush();
+  assert.equal(only.lock.calls.filter((c) => c.action === 'unlock').length, 1, 'the listed person retracts');
+
+  const except = makeScopedController({
+    cascade: [{ trigger_door: 'Main', type: 'entry', scope: { groups: ['Staff'], exclude_users: ['u-temp'] }, unlock: ['Elevator'], debounce_seconds: 0 }],
+    groups: { 'u-staff': 'Staff', 'u-temp': 'Staff' },
+  });
+  except.ctl.observe(scopedGrant('Main', { actorId: 'u-temp' }));
+  await flush();
+  assert.equal(except.unifi.calls.length, 0, 'the excluded person gets no cascade');
+  except.ctl.observe(scopedGrant('Main', { actorId: 'u-staff' }));
+  await flush();
+  assert.deepEqual(except.unifi.calls.map((c) => c.name), ['Elevator']);
+});
+
 test('doorbell: reason 107 fires a doorbell trigger; an entry grant does not', async () => {
   const { ctl, unifi, lock } = makeScopedController({
     edges: [{ trigger_door: 'Gate', type: 'doorbell', scope: { groups: ['Staff'] }, doorbell: { reason_code: 107 }, after_unlock: 'stay_unlocked' }],
@@ -705,6 +731,267 @@ test('any_group is a fallback: it is suppressed when a group-specific rule match
   assert.deepEqual(unifi.calls.map((c) => c.name), ['Lobby'], 'a resolved group with no specific rule gets the any_group fallback');
 });
 
+test('schedule: a business-hours cascade fires only inside its window; the unscheduled retract always does', async () => {
+  const businessHours = { windows: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '08:00', end: '18:00' }] };
+  const lock = new FakeLock({ initial: LockState.LOCKED });
+  const unifi = makeUnifi();
+  const clock = { t: Date.UTC(2026, 2, 2, 20, 0) }; // Monday 20:00 UTC: after hours
+  const ctl = new DeadboltController(
+    {
+      site: { timezone: 'UTC' },
+      edges: [{ trigger_door: 'Main', type: 'entry', scope: null, after_unlock: 'stay_unlocked' }],
+      cascade_rules: { rules: [{ trigger_door: 'Main', type: 'entry', scope: null, schedule: businessHours, unlock: ['Interior'], debounce_seconds: 0 }] },
+    },
+    { lockDriver: lock, unifiClient: unifi, now: () => clock.t, logger: { debug() {} } }
+  );
+  await lock.init();
+  ctl.observe(scopedGrant('Main'));
+  await flush();
+  assert.equal(lock.calls.filter((c) => c.action === 'unlock').length, 1, 'after hours the deadbolt still retracts');
+  assert.equal(unifi.calls.length, 0, 'after hours the interior cascade does not run');
+  clock.t = Date.UTC(2026, 2, 2, 9, 0); // Monday 09:00 UTC
+  ctl.observe(scopedGrant('Main'));
+  await flush();
+  assert.deepEqual(unifi.calls.map((c) => c.name), ['Interior'], 'in business hours the cascade runs');
+});
+
+test('schedule: an out-of-hours retract edge is skipped, and an off-schedule group rule does not suppress any_group', async () => {
+  const weekends = { windows: [{ days: ['sat', 'sun'], start: '00:00', end: '24:00' }] };
+  const { ctl, lock, unifi, clock } = makeScopedController({
+    edges: [{ trigger_door: 'Main', type: 'entry', scope: null, schedule: weekends, after_unlock: 'stay_unlocked' }],
+    cascade: [
+      { trigger_door: 'Main', type: 'entry', scope: { groups: ['Staff'] }, schedule: weekends, unlock: ['Elevator'], debounce_seconds: 0 },
+      { trigger_door: 'Main', type: 'entry', scope: { any_group: true }, unlock: ['Lobby'], debounce_seconds: 0 },
+    ],
+    groups: { 'u-staff': 'Staff' },
+  });
+  ctl.timezone = 'UTC';
+  clock.t = Date.UTC(2026, 2, 2, 9, 0); // a Monday
+  await lock.init();
+  ctl.observe(scopedGrant('Main', { actorId: 'u-staff' }));
+  await flush();
+  assert.equal(lock.calls.filter((c) => c.action === 'unlock').length, 0, 'the weekend-only retract is skipped on a Monday');
+  assert.deepEqual(unifi.calls.map((c) => c.name), ['Lobby'], 'the off-schedule Staff rule leaves the any_group fallback to run');
+});
+
+test('holidays: a closure day suppresses the scheduled cascade and tightens a stay-unlocked edge', async () => {
+  const businessHours = { windows: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '08:00', end: '18:00' }] };
+  const lock = new FakeLock({ initial: LockState.LOCKED });
+  const unifi = makeUnifi();
+  const clock = { t: Date.UTC(2026, 11, 25, 10, 0) }; // Friday 25 Dec 10:00 UTC
+  const ctl = new DeadboltController(
+    {
+      site: { timezone: 'UTC', holidays: [{ date: '2026-12-25', name: 'Christmas Day', relock_seconds: 30 }] },
+      edges: [{ trigger_door: 'Main', type: 'entry', scope: null, after_unlock: 'stay_unlocked' }],
+      cascade_rules: { rules: [{ trigger_door: 'Main', type: 'entry', scope: null, schedule: businessHours, unlock: ['Interior'], debounce_seconds: 0 }] },
+    },
+    { lockDriver: lock, unifiClient: unifi, now: () => clock.t, logger: { debug() {} } }
+  );
+  await lock.init();
+  ctl.observe(scopedGrant('Main'));
+  await flush();
+  assert.equal(lock.calls.filter((c) => c.action === 'unlock').length, 1, 'the unscheduled retract still runs');
+  assert.equal(unifi.calls.length, 0, 'the business-hours cascade is closed for the holiday');
+  assert.equal(ctl.getStatus().relock_pending, true, 'the holiday relock replaces stay-unlocked for the day');
+  ctl.destroy();
+});
+
+test('holidays: exception hours replace the weekly window, and a schedule can ignore the calendar', async () => {
+  const businessHours = { windows: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '08:00', end: '18:00' }] };
+  const crew = { windows: [{ days: ['thu'], start: '13:00', end: '15:00' }], holidays: 'ignore' };
+  const { ctl, unifi, clock } = makeScopedController({
+    cascade: [
+      { trigger_door: 'Main', type: 'entry', scope: null, schedule: businessHours, unlock: ['Interior'], debounce_seconds: 0 },
+      { trigger_door: 'Main', type: 'entry', scope: null, schedule: crew, unlock: ['Storage'], debounce_seconds: 0 },
+    ],
+  });
+  ctl.timezone = 'UTC';
+  ctl.holidays = [{ date: '2026-12-24', name: 'Christmas Eve', hours: [{ start: '08:00', end: '12:00' }] }];
+  clock.t = Date.UTC(2026, 11, 24, 14, 0); // Thursday 14:00 UTC: business hours, but past the short day
+  ctl.observe(scopedGrant('Main'));
+  await flush();
+  assert.deepEqual(unifi.calls.map((c) => c.name), ['Storage'], 'only the calendar-ignoring crew rule runs');
+  clock.t = Date.UTC(2026, 11, 24, 9, 0);
+  ctl.observe(scopedGrant('Main'));
+  await flush();
+  assert.deepEqual(unifi.calls.map((c) => c.name), ['Storage', 'Interior'], 'inside the holiday hours the cascade runs');
+});
+
+function doorPosition(door, dps) {
+  return {
+    event: 'access.data.v2.location.update',
+    data: { id: 'loc-1', location_type: 'door', name: door, state: { dps } },
+  };
+}
+
+test('exit: an exit grant runs only the exit triggers (retract and unlock)', async () => {
+  const { ctl, lock, unifi } = makeScopedController({
+    edges: [{ trigger_door: 'Lobby', type: 'exit', scope: null, after_unlock: 'stay_unlocked' }],
+    cascade: [
+      { trigger_door: 'Lobby', type: 'entry', scope: null, unlock: ['Office'], debounce_seconds: 0 },
+      { trigger_door: 'Lobby', type: 'exit', scope: null, unlock: ['Garage'], debounce_seconds: 0 },
+    ],
+  });
+  await lock.init();
+  ctl.observe(scopedGrant('Lobby', { direction: 'exit' }));
+  await flush();
+  assert.equal(lock.calls.filter((c) => c.action === 'unlock').length, 1, 'the exit edge retracts');
+  assert.deepEqual(unifi.calls.map((c) => c.name), ['Garage'], 'only the exit unlock fires');
+  ctl.observe(scopedGrant('Lobby'));
+  await flush();
+  assert.equal(lock.calls.filter((c) => c.action === 'unlock').length, 1, 'an entry never fires the exit edge');
+  assert.deepEqual(unifi.calls.map((c) => c.name), ['Garage', 'Office']);
+});
+
+test('door_closed: an observed open -> closed locks after the delay; reopening cancels it', async () => {
+  const lock = new FakeLock({ initial: LockState.UNLOCKED });
+  const ctl = new DeadboltController(
+    { edges: [], lock_edges: [{ trigger_door: 'Front Door', delay_seconds: 0.05 }], cascade_rules: { rules: [] } },
+    { lockDriver: lock, now: () => 0, logger: { debug() {} } }
+  );
+  await lock.init();
+  assert.equal(ctl.enabled, true, 'a lock action alone enables the controller');
+  ctl.observe(doorPosition('Front Door', 'close'));
+  await wait(80);
+  assert.equal(lock.calls.filter((c) => c.action === 'lock').length, 0, 'the first reading only seeds');
+  ctl.observe(doorPosition('Front Door', 'open'));
+  ctl.observe(doorPosition('Front Door', 'close'));
+  assert.equal(ctl.getStatus().close_lock_pending, true);
+  ctl.observe(doorPosition('Front Door', 'open'));
+  await wait(80);
+  assert.equal(lock.calls.filter((c) => c.action === 'lock').length, 0, 'reopening cancelled the lock');
+  ctl.observe(doorPosition('Front Door', 'close'));
+  await wait(80);
+  assert.equal(lock.calls.filter((c) => c.action === 'lock').length, 1, 'the bolt throws once the door stays shut');
+  ctl.observe(doorPosition('Back Door', 'open'));
+  ctl.observe(doorPosition('Back Door', 'close'));
+  await wait(80);
+  assert.equal(lock.calls.filter((c) => c.action === 'lock').length, 1, 'other doors are ignored');
+  ctl.destroy();
+});
+
+test('door_closed: a retract during the delay cancels the pending lock, and destroy clears it', async () => {
+  const lock = new FakeLock({ initial: LockState.LOCKED });
+  const ctl = new DeadboltController(
+    {
+      edges: [{ trigger_door: 'Front Door', type: 'entry', after_unlock: 'stay_unlocked' }],
+      lock_edges: [{ trigger_door: 'Front Door', delay_seconds: 60 }],
+      cascade_rules: { rules: [] },
+    },
+    { lockDriver: lock, now: () => 0, logger: { debug() {} } }
+  );
+  await lock.init();
+  ctl.observe(doorPosition('Front Door', 'open'));
+  ctl.observe(doorPosition('Front Door', 'close'));
+  assert.equal(ctl.getStatus().close_lock_pending, true);
+  ctl.observe(entryGrant('Front Door'));
+  assert.equal(ctl.getStatus().close_lock_pending, false, 'a fresh entry wins over the closing door');
+  ctl.observe(doorPosition('Front Door', 'open'));
+  ctl.observe(doorPosition('Front Door', 'close'));
+  ctl.destroy();
+  assert.equal(ctl.getStatus().close_lock_pending, false);
+});
+
+test('door_closed: a contact sensor on the door drives the lock through observeDoorPosition', async () => {
+  const lock = new FakeLock({ initial: LockState.UNLOCKED });
+  const sensor = new FakeContactSensor({ initial: 'unknown' });
+  const ctl = new DeadboltController(
+    { edges: [], lock_edges: [{ trigger_door: 'Front Door', delay_seconds: 0.05 }], cascade_rules: { rules: [] } },
+    { lockDriver: lock, now: () => 0, logger: { debug() {} } }
+  );
+  // As index.js wires a sensor attached to "Front Door".
+  sensor.on('contact', (e) => ctl.observeDoorPosition({ doorName: 'Front Door', doorId: null, position: e.state }));
+  await lock.init();
+  await sensor.init();
+  sensor.close();
+  await wait(80);
+  assert.equal(lock.calls.filter((c) => c.action === 'lock').length, 0, 'the first reading only seeds');
+  sensor.open();
+  sensor.close();
+  sensor.open();
+  await wait(80);
+  assert.equal(lock.calls.filter((c) => c.action === 'lock').length, 0, 'reopening cancelled the lock');
+  sensor.close();
+  await wait(80);
+  assert.equal(lock.calls.filter((c) => c.action === 'lock').length, 1);
+  ctl.observeDoorPosition({ doorName: 'Front Door', position: 'ajar' });
+  ctl.observeDoorPosition({ position: 'open' });
+  assert.equal(ctl.getStatus().close_lock_pending, false, 'malformed readings are ignored');
+  ctl.destroy();
+});
+
+test('lockdown: cancelPending drops the relock and delayed cascade; while paused an entry does nothing', async () => {
+  const lock = new FakeLock({ initial: LockState.LOCKED });
+  const unifi = makeUnifi();
+  let paused = false;
+  const ctl = new DeadboltController(
+    {
+      edges: [{ trigger_door: 'Front Door', after_unlock: 'relock_after', relock_seconds: 0.05 }],
+      cascade_rules: { rules: [{ trigger_door: 'Front Door', unlock: ['Interior Door'], debounce_seconds: 0, delay_seconds: 0.05 }] },
+    },
+    { lockDriver: lock, unifiClient: unifi, now: () => 0, logger: { debug() {} }, isPaused: () => paused }
+  );
+  await lock.init();
+  ctl.observe(entryGrant('Front Door'));
+  await flush();
+  assert.equal(lock._state, LockState.UNLOCKED, 'retracted before the lockdown');
+  assert.equal(ctl.getStatus().relock_pending, true);
+
+  paused = true;
+  ctl.cancelPending('lockdown');
+  assert.equal(ctl.getStatus().relock_pending, false, 'relock timer dropped');
+  await wait(90);
+  assert.equal(unifi.calls.length, 0, 'the delayed cascade never fired');
+  assert.equal(lock.calls.filter((c) => c.action === 'lock').length, 0, 'the cancelled relock never fired');
+
+  await lock.lock('lockdown');
+  const unlocksBefore = lock.calls.filter((c) => c.action === 'unlock').length;
+  ctl.observe(entryGrant('Front Door'));
+  await wait(90);
+  assert.equal(lock.calls.filter((c) => c.action === 'unlock').length, unlocksBefore, 'no retract during the lockdown');
+  assert.equal(unifi.calls.length, 0, 'no cascade during the lockdown');
+
+  paused = false;
+  ctl.observe(entryGrant('Front Door'));
+  await flush();
+  assert.equal(lock._state, LockState.UNLOCKED, 'automation resumes once the lockdown ends');
+  ctl.destroy();
+});
+
+test('firmware: a lock mid-update is skipped (no command, no alert); the cascade still runs', async () => {
+  const { ctl, lock, unifi, alerts } = makeController();
+  let updating = true;
+  const snap = lock.snapshot.bind(lock);
+  lock.snapshot = () => Object.assign(snap(), { firmwareUpdating: updating });
+  await lock.init();
+  ctl.observe(entryGrant('Front Door'));
+  ctl.observe(locationUpdate('Front Door', 'locked'));
+  await flush();
+  assert.equal(lock.calls.length, 0, 'neither the retract nor the lock reached the driver');
+  assert.equal(alerts.length, 0, 'a skipped command is not a failure');
+  assert.equal(unifi.calls.length, 1, 'the UniFi cascade is not the lock and still fires');
+
+  updating = false;
+  ctl.observe(entryGrant('Front Door', { actor: 'Sam' }));
+  await flush();
+  assert.equal(lock._state, LockState.UNLOCKED, 'automation resumes after the update');
+  ctl.destroy();
+});
+
+test('lockdown: a delayed cascade armed before the lockdown is checked again when it fires', async () => {
+  const unifi = makeUnifi();
+  let paused = false;
+  const ctl = new DeadboltController(
+    { cascade_rules: { rules: [{ trigger_door: 'Main', unlock: ['Elevator'], debounce_seconds: 0, delay_seconds: 0.05 }] } },
+    { lockDriver: null, unifiClient: unifi, now: () => 0, logger: { debug() {} }, isPaused: () => paused }
+  );
+  ctl.observe(entryGrant('Main'));
+  paused = true; // no cancelPending: the fire-time gate alone must hold
+  await wait(90);
+  assert.equal(unifi.calls.length, 0);
+  ctl.destroy();
+});
+
 test('alarm mode: a denial door alarm never fires the cascade, but an unlock alarm does', async () => {
   const { ctl, unifi } = makeScopedController({
     cascade: [{ trigger_door: 'Front Door', type: 'entry', scope: null, unlock: ['Interior'], debounce_seconds: 0 }],
@@ -875,3 +1162,163 @@ test('readBoltState (base/FakeLock) returns the cached bolt state without actuat
   await lock.lock('x');
   assert.equal(await lock.readBoltState(), LockState.LOCKED);
 });
+
+// ---- http actions -----------------------------------------------------------
+
+function makeHttpController({ rule, groups = {}, result = { success: true, status: 200, attempts: 1, error: null }, paused = () => false } = {}) {
+  const sent = [];
+  const events = [];
+  const alerts = [];
+  const ctl = new DeadboltController(
+    { cascade_rules: { rules: [Object.assign({ trigger_door: 'Main', type: 'entry', scope: null, unlock: [], debounce_seconds: 0 }, rule)] } },
+    {
+      lockDriver: null,
+      unifiClient: makeUnifi(),
+      now: () => Date.parse('2026-03-02T12:00:00Z'),
+      logger: { debug() {}, info() {} },
+      resolveGroup: ({ actorId }) => groups[actorId] || null,
+      broadcaster: (e) => events.push(e),
+      onAlert: (a) => alerts.push(a),
+      isPaused: paused,
+      sendHttpAction: async (http, values) => { sent.push({ http, values }); return typeof result === 'function' ? result() : result; },
+    }
+  );
+  return { ctl, sent, events, alerts };
+}
+
+test('http: a scoped action posts the event values and records the result in the feed', async () => {
+  const { ctl, sent, events } = makeHttpController({
+    rule: { scope: { groups: ['Staff'] }, http: { url: 'https://bms.local/hooks/lobby?k=1', headers: {}, body: null } },
+    groups: { 'u-staff': 'Staff' },
+  });
+  ctl.observe(scopedGrant('Main', { actorId: 'u-visitor' }));
+  await flush();
+  assert.equal(sent.length, 0, 'out of scope: no call');
+  ctl.observe(scopedGrant('Main', { actorId: 'u-staff', actor: 'Kim', doorId: 'd-main' }));
+  await flush();
+  assert.equal(sent.length, 1);
+  assert.deepEqual(sent[0].values, {
+    actor: 'Kim', actor_id: 'u-staff', door: 'Main', door_id: 'd-main', group: 'Staff', time: '2026-03-02T12:00:00.000Z', trigger: 'entry',
+  });
+  assert.equal(events[0].type, 'deadbolt.http');
+  assert.equal(events[0].success, true);
+  assert.match(events[0].action, /POST bms\.local\/hooks\/lobby \(HTTP 200\)/);
+  assert.doesNotMatch(events[0].action, /k=1/, 'the query string stays out of the feed');
+  assert.equal(ctl.getStatus().stats.http_calls, 1);
+});
+
+test('http: a failed call raises an alert; a lockdown suppresses the call', async () => {
+  const failing = makeHttpController({
+    rule: { http: { url: 'https://down.example/x' } },
+    result: { success: false, status: 503, attempts: 3, error: 'HTTP 503' },
+  });
+  failing.ctl.observe(entryGrant('Main'));
+  await flush();
+  assert.equal(failing.events[0].success, false);
+  assert.match(failing.events[0].action, /HTTP 503, 3 attempts/);
+  assert.deepEqual(failing.alerts.map((a) => a.type), ['http_action_failed']);
+
+  const locked = makeHttpController({ rule: { http: { url: 'https://bms.local/x' } }, paused: () => true });
+  locked.ctl.observe(entryGrant('Main'));
+  await flush();
+  assert.equal(locked.sent.length, 0);
+});
+
+function makeLockRuleController({ rule, result = { success: true }, paused = () => false } = {}) {
+  const unifi = makeUnifi();
+  const setCalls = [];
+  unifi.doors = new Map([['Suite 100', 'd-100']]);
+  unifi.setDoorLockRule = async (doorId, type, interval) => { setCalls.push({ doorId, type, interval }); return result; };
+  const events = [];
+  const alerts = [];
+  const noted = [];
+  const ctl = new DeadboltController(
+    { cascade_rules: { rules: [Object.assign({ trigger_door: 'Main', type: 'entry', scope: null, unlock: [], debounce_seconds: 0 }, rule)] } },
+    {
+      lockDriver: null,
+      unifiClient: unifi,
+      logger: { debug() {}, info() {} },
+      broadcaster: (e) => events.push(e),
+      onAlert: (a) => alerts.push(a),
+      onLockRule: (r) => noted.push(r),
+      isPaused: paused,
+    }
+  );
+  return { ctl, setCalls, events, alerts, noted };
+}
+
+test('lock_rule: a timed keep_unlock sets the custom rule on the resolved door and reports it', async () => {
+  const { ctl, setCalls, events, noted } = makeLockRuleController({
+    rule: { lock_rule: { door: 'Suite 100', door_id: null, type: 'keep_unlock', minutes: 30 } },
+  });
+  ctl.observe(entryGrant('Main'));
+  await flush();
+  assert.deepEqual(setCalls, [{ doorId: 'd-100', type: 'custom', interval: 30 }]);
+  assert.equal(events[0].type, 'deadbolt.lock_rule');
+  assert.match(events[0].action, /hold Suite 100 unlocked for 30 min/);
+  assert.equal(noted.length, 1);
+  assert.equal(noted[0].door_id, 'd-100');
+  assert.equal(noted[0].minutes, 30);
+  assert.equal(ctl.getStatus().stats.lock_rules, 1);
+});
+
+test('lock_rule: a failed or undiscovered door alerts; a lockdown suppresses the rule', async () => {
+  const failing = makeLockRuleController({
+    rule: { lock_rule: { door: 'Suite 100', type: 'keep_lock', minutes: null } },
+    result: { success: false, error: 'HTTP 500' },
+  });
+  failing.ctl.observe(entryGrant('Main'));
+  await flush();
+  assert.equal(failing.events[0].success, false);
+  assert.deepEqual(failing.alerts.map((a) => a.type), ['lock_rule_failed']);
+  assert.equal(failing.noted.length, 0);
+
+  const missing = makeLockRuleController({ rule: { lock_rule: { door: 'Nowhere', type: 'reset', minutes: null } } });
+  missing.ctl.observe(entryGrant('Main'));
+  await flush();
+  assert.equal(missing.setCalls.length, 0);
+  assert.match(missing.events[0].action, /door not discovered/);
+
+  const locked = makeLockRuleController({ rule: { lock_rule: { door: 'Suite 100', type: 'reset', minutes: null } }, paused: () => true });
+  locked.ctl.observe(entryGrant('Main'));
+  await flush();
+  assert.equal(locked.setCalls.length, 0);
+});
+
+test('keypad_unlock: a PIN at the keyed lock cascades for the slot owner\'s group, as a badge-in would', async () => {
+  const { ctl, unifi } = makeScopedController({
+    cascade: [
+      { trigger_door: 'Front Door', type: 'keypad_unlock', lock_id: 'front_bolt', scope: { groups: ['Tenants'] }, unlock: ['Interior Door'], debounce_seconds: 0 },
+      { trigger_door: 'Back Door', type: 'keypad_unlock', lock_id: 'back_bolt', scope: null, unlock: ['Storage'], debounce_seconds: 0 },
+    ],
+    groups: { 'u-tenant': 'Tenants', 'u-guest': 'Visitors' },
+  });
+  ctl.observeKeypad({ lockId: 'front_bolt', slot: 3, actorId: 'u-tenant', actorName: 'Ana' });
+  await flush();
+  assert.deepEqual(unifi.calls.map((c) => c.name), ['Interior Door']);
+  assert.match(unifi.calls[0].reason, /cascade from Front Door/, 'reported at the flow\'s door');
+  unifi.calls.length = 0;
+  ctl.observeKeypad({ lockId: 'front_bolt', slot: 4, actorId: 'u-guest', actorName: 'Ben' });
+  ctl.observeKeypad({ lockId: 'front_bolt', slot: 9, actorId: null, actorName: 'keypad slot 9' });
+  await flush();
+  assert.equal(unifi.calls.length, 0, 'another group, or a code with no UniFi owner, does not match a group scope');
+  ctl.observeKeypad({ lockId: 'back_bolt', slot: 9, actorId: null, actorName: 'keypad slot 9' });
+  await flush();
+  assert.deepEqual(unifi.calls.map((c) => c.name), ['Storage'], 'an everyone trigger serves any code on its own lock');
+});
+
+test('keypad_unlock: badge events never fire it, and a keypad never fires an entry rule', async () => {
+  const { ctl, unifi } = makeScopedController({
+    cascade: [
+      { trigger_door: 'Front Door', type: 'keypad_unlock', lock_id: 'front_bolt', scope: null, unlock: ['Interior Door'], debounce_seconds: 0 },
+      { trigger_door: 'Front Door', type: 'entry', scope: null, unlock: ['Lobby'], debounce_seconds: 0 },
+    ],
+  });
+  ctl.observe(scopedGrant('Front Door'));
+  await flush();
+  assert.deepEqual(unifi.calls.map((c) => c.name), ['Lobby']);
+  unifi.calls.length = 0;
+  ctl.observeKeypad({ lockId: 'front_bolt', slot: 1, actorId: null, actorName: 'keypad slot 1' });
+  await flush();
+  assert.deepEqual(unifi.calls.map((c) => c.name), ['Interior Door']);
+});
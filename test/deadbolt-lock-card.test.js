@@ -30,7 +30,7 @@ function load() {
   // 'buildLockCard(' with the paren: a bare 'buildLockCard' would match
   // 'buildLockCardButtons' first (prefix collision).
   const deps = ['escapeHtml', 'cssId', 'describeLockBolt', 'describeLockBattery',
-    'describeLockLink', 'describeLockModel', 'describeLockSecurity',
+    'describeLockLink', 'describeLockModel', 'describeLockSecurity', 'describeLockFirmware',
     'buildLockCardButtons', 'buildLockCard('];
   const src = deps.map(extractFn).join('\n');
   return new Function(src + '; return buildLockCard;')();
@@ -119,6 +119,34 @@ test('Unpair is omitted for a node_id-0 card (would start a GLOBAL exclusion)',
   assert.ok(!/startUnpairNode/.test(noNode), 'no Unpair button when node_id is 0');
 });
 
+test('an MQTT lock card offers only Test Lock/Unlock and no Z-Wave identity', () => {
+  const build = load();
+  const out = build(summary({
+    lock_id: 'garage_strike', name: 'Garage', transport: 'mqtt', node_id: undefined,
+    lock_state: { boltState: 'locked', battery: null, linkState: 'online', model: 'MQTT (esphome/garage/command)', securityClass: null },
+  }));
+  assert.match(out, /deadboltControl\('lock', &quot;garage_strike&quot;\)/);
+  assert.match(out, /deadboltControl\('unlock', &quot;garage_strike&quot;\)/);
+  assert.match(out, /MQTT command topic/);
+  for (const zwaveOnly of ['startReinterview', 'startHealthCheck', 'startUnpairNode', 'Update Firmware', 'node ']) {
+    assert.ok(!out.includes(zwaveOnly), `no ${zwaveOnly} on an MQTT card`);
+  }
+  assert.match(out, />MQTT \(esphome\/garage\/command\)</, 'the model line names the command topic');
+  assert.match(out, />broker</, 'security reads broker, not a pending Z-Wave class');
+});
+
+test('an HTTP lock card offers only Test Lock/Unlock against its URLs', () => {
+  const build = load();
+  const out = build(summary({
+    lock_id: 'side_gate', name: 'Side Gate', transport: 'http', node_id: undefined,
+    lock_state: { boltState: 'unlocked', battery: null, linkState: 'offline', model: 'HTTP (relay.local/status)', securityClass: null },
+  }));
+  assert.match(out, /deadboltControl\('unlock', &quot;side_gate&quot;\)/);
+  assert.match(out, /Calls the unlock URL/);
+  assert.ok(!out.includes('startReinterview') && !out.includes('node '), 'no Z-Wave controls or node line');
+  assert.match(out, />HTTP \(relay\.local\/status\)</);
+});
+
 test('cssId gives distinct element ids to lock ids that sanitize alike', () => {
   const fn = new Function(extractFn('cssId') + '; return cssId;')();
   assert.notEqual(fn('front-1'), fn('front_1'), 'differ only by a non-alphanumeric -> distinct ids');
@@ -135,3 +163,42 @@ test('names are escaped and pairing_active disables the whole card', () => {
     assert.ok(/\bdisabled\b/.test(b), `card control should be disabled while pairing: ${b}`);
   }
 });
+
+test('the card shows the firmware version, and an update in progress pauses its controls', () => {
+  const build = load();
+  const idle = build(summary({ firmware_version: '0.8.0' }));
+  assert.match(idle, /firmware 0\.8\.0/);
+  assert.match(idle, /uploadLockFirmware\(&quot;front_deadbolt&quot;, this\)/);
+  assert.match(idle, /accept="\.otz,/);
+  assert.ok(!idle.includes(' disabled'), 'controls enabled when idle');
+
+  const busy = build(summary({ firmware_update: { running: true, progress: 40 } }));
+  assert.match(busy, /updating firmware 40%; automation paused/);
+  assert.match(busy, /deadboltControl\('lock', &quot;front_deadbolt&quot;\)" disabled/, 'Test Lock is disabled mid-update');
+
+  const failed = build(summary({ firmware_version: '0.8.0', firmware_update: { running: false, success: false, error: 'the lock rejected the update (status 1)' } }));
+  assert.match(failed, /firmware update failed: the lock rejected the update \(status 1\) \(still 0\.8\.0\)/);
+});
+
+test('Lock Settings shows only for a model with catalog settings and renders allowed values only', () => {
+  const build = load();
+  const withSettings = build(summary({ config_params_support: true }));
+  assert.match(withSettings, /loadLockSettings\(&quot;front_deadbolt&quot;\)/);
+  assert.match(withSettings, /id="zwaveLockSettings_front_deadbolt_/);
+  assert.ok(!build(summary()).includes('Lock Settings'), 'no button when the model has none');
+
+  const src = ['escapeHtml', 'cssId', 'buildLockSettings'].map(extractFn).join('\n');
+  const buildLockSettings = new Function(src + '; return buildLockSettings;')();
+  const out = buildLockSettings({ params: [
+    { parameter: 1, size: 1, label: 'Volume', options: [{ value: 1, label: 'Silent' }, { value: 3, label: 'High' }], value: 3, source: 'lock' },
+    { parameter: 4, size: 1, label: 'Wrong code limit', min: 3, max: 10, unit: 'tries', value: 5, source: 'cache', note: 'Keypad <shuts> down.' },
+    { parameter: 8, size: 1, label: 'Operating mode', options: [{ value: 0, label: 'Normal' }, { value: 1, label: 'Vacation' }], value: null, source: null },
+  ] }, 'front_deadbolt');
+  assert.match(out, /<option value="3" selected>High<\/option>/);
+  assert.match(out, /type="number" aria-label="Wrong code limit" min="3" max="10" value="5"/);
+  assert.match(out, /\(last known\)/);
+  assert.match(out, /Keypad &lt;shuts&gt; down\./);
+  assert.match(out, /<option value="" selected disabled>unknown<\/option><option value="0">Normal/);
+  assert.match(out, /setLockSetting\(&quot;front_deadbolt&quot;, 4, this\)/);
+  assert.match(buildLockSettings({ params: [], note: 'change lock settings in the U-tec app' }, 'x'), /U-tec app/);
+});
@@ -160,3 +160,35 @@ test('pairing_active disables every Unpair button', () => {
   assert.ok(buttons.length >= 2);
   for (const b of buttons) assert.ok(/\bdisabled\b/.test(b), `disabled while pairing: ${b}`);
 });
+
+// ---- Contact sensors table ---------------------------------------------------
+
+function loadSensors() {
+  const src = extractFn('escapeHtml') + '\n' + extractFn('buildContactSensorsTable');
+  return new Function(src + '; return buildContactSensorsTable;')();
+}
+
+test('contact sensors: door picker, held-open seconds, live state and per-row actions', () => {
+  const build = loadSensors();
+  assert.strictEqual(build([], ['Front Door'], false), '');
+  const out = build([
+    { sensor_id: 'front_contact', name: 'Front contact', node_id: 14, door: 'Front Door', held_open_seconds: 90,
+      security_class: 'None', state: 'open', open_seconds: 95, held_open: true, battery: 80, link_state: 'asleep' },
+    { sensor_id: 'old"one', name: null, node_id: 0, door: 'Gone Door', held_open_seconds: 120 },
+  ], ['Front Door', 'Back Door'], false);
+  assert.match(out, /Front contact/);
+  assert.match(out, /node 14 <span[^>]*>\(None\)/);
+  assert.match(out, /<option value="Front Door" selected>/);
+  assert.match(out, /id="sensorHeld_front_contact"[^>]*value="90"/);
+  assert.match(out, /open 95s, held open<\/span> \/ 80% \/ asleep/);
+  assert.match(out, /onclick="startUnpairNode\(14\)"/);
+  assert.match(out, /<option value="Gone Door" selected>/, 'a saved door missing from the list stays selected');
+  assert.match(out, /removeSavedSensor\(&quot;old\\&quot;one&quot;\)/);
+  assert.ok(!out.includes('old"one'), 'operator-typed ids are escaped');
+});
+
+test('contact sensors: every button is disabled while a pairing session runs', () => {
+  const build = loadSensors();
+  const out = build([{ sensor_id: 's', node_id: 3, held_open_seconds: 0 }], [], true);
+  assert.equal((out.match(/<button/g) || []).length, (out.match(/ disabled/g) || []).length);
+});
@@ -33,6 +33,7 @@ function load() {
     + '\n' + extractFn('keypadBlockedLabel')
     + '\n' + extractFn('keypadLockBadge')
     + '\n' + extractFn('accessGatingBanner')
+    + '\n' + extractFn('pinRotationLine')
     + '\n' + extractFn('buildKeypadUsersPanel');
   return new Function(src + '; return buildKeypadUsersPanel;')();
 }
@@ -327,3 +328,82 @@ test('gating: no banner and no Access-gated line when no lock has a door', () =>
   assert.ok(!out.includes('Access policies not synced'), 'no gating -> no warning even if data missing');
   assert.ok(!out.includes('Access-gated:'), 'no gating line when no door is set');
 });
+
+test('csv: import and export controls, inert while pairing', () => {
+  const build = load();
+  const agg = { locks: LOCKS, pin_rule: RULE, users: [] };
+  const out = build(agg, USERS, false);
+  assert.match(out, /onclick="downloadKeypadExport\(false\)" title/);
+  assert.match(out, /onclick="downloadKeypadExport\(true\)" title[^>]*>Export with PINs/);
+  assert.match(out, /id="kuCsvFile"[^>]*onchange="importKeypadCsv\(this\)"/);
+  const paired = build(agg, USERS, true);
+  assert.match(paired, /id="kuCsvFile"[^>]* disabled>/);
+  assert.match(paired, /\.click\(\)" disabled[^>]*>Import CSV/);
+});
+
+test('csv: the dry-run confirm text counts rows and lists what is skipped', () => {
+  const planText = new Function(extractFn('keypadImportPlanText') + '; return keypadImportPlanText;')();
+  const text = planText({
+    summary: { rows: 3, ok: 1, partial: 1, duplicate: 0, errors: 1 },
+    rows: [
+      { line: 2, status: 'ok', name: 'Alice', locks: [{ lock_id: 'front', slot: 1 }] },
+      { line: 3, status: 'partial', name: 'Bob', locks: [{ lock_id: 'front', slot: 2 }, { lock_id: 'back', error: 'all 30 code slots are in use; remove one first' }] },
+      { line: 4, status: 'error', input: 'nobody@example.com', error: 'no synced UniFi user has the email nobody@example.com' },
+    ],
+  });
+  assert.deepEqual(text.split('\n'), [
+    '3 row(s): 2 to write (1 not on every lock), 1 skipped.',
+    'line 3 (Bob): back all 30 code slots are in use; remove one first',
+    'line 4 (nobody@example.com): no synced UniFi user has the email nobody@example.com',
+  ]);
+});
+
+test('csv: generated PINs file lists only rows that carry one', () => {
+  const gen = new Function(extractFn('generatedPinsCsv') + '; return generatedPinsCsv;')();
+  assert.equal(gen([
+    { user_id: 'u-1', name: 'Smith, Ann', pin: '802413' },
+    { user_id: 'u-2', name: 'Bob', pin_length: 4 },
+    { user_id: 'u-3', name: '=cmd', pin: '640271' },
+  ]), 'user_id,name,pin\r\nu-1,"Smith, Ann",802413\r\nu-3,\'=cmd,640271\r\n');
+  assert.equal(gen([{ user_id: 'u-2', name: 'Bob' }]), '');
+});
+
+test('policy: the site PIN policy is spelled out and a Generate button offered', () => {
+  const build = load();
+  const agg = { locks: LOCKS, pin_rule: RULE, users: [], pin_policy: { min_length: 6, history: 3, description: 'at least 6 digits, not held by another user' } };
+  const out = build(agg, USERS, false);
+  assert.match(out, /PIN policy: at least 6 digits, not held by another user\./);
+  assert.match(out, /onclick="saveKeypadUser\(true\)" title[^>]*>Generate PIN/);
+  assert.ok(!build({ locks: LOCKS, pin_rule: RULE, users: [] }, USERS, false).includes('PIN policy:'), 'older servers: no policy line');
+  assert.match(build(agg, USERS, true), /saveKeypadUser\(true\)" disabled/);
+});
+
+test('rotation: rules, staged progress and waiting users; Rotate now only while enabled', () => {
+  const build = load();
+  const rotation = {
+    enabled: true,
+    rules: [{ group: 'tenants', every_days: 90 }, { lock: 'front_deadbolt', every_days: 30 }],
+    in_progress: [{ user_id: 'u-1', name: 'Alice', locks_pending: 1, unifi_pending: false, notified: true, last_error: null }],
+    due: [{ user_id: 'u-2', name: 'Bob <b>', every_days: 90, waiting: 'no email address in UniFi' }],
+  };
+  const out = build({ locks: LOCKS, pin_rule: RULE, users: [], rotation }, USERS, false);
+  assert.match(out, /PIN rotation: group tenants every 90 days, lock front_deadbolt every 30 days\./);
+  assert.match(out, /Alice: rotating \(1 lock\(s\) to update\)\./);
+  assert.match(out, /Due but not started: Bob &lt;b&gt; \(no email address in UniFi\)/);
+  assert.match(out, /onclick="runPinRotation\(\)" title/);
+  const off = build({ locks: LOCKS, pin_rule: RULE, users: [], rotation: Object.assign({}, rotation, { enabled: false }) }, USERS, false);
+  assert.match(off, /PIN rotation is off; finishing the rotations already started\./);
+  assert.ok(!off.includes('runPinRotation'));
+  assert.ok(!build({ locks: LOCKS, pin_rule: RULE, users: [], rotation: { enabled: false, in_progress: [] } }, USERS, false).includes('PIN rotation'));
+  assert.match(build({ locks: LOCKS, pin_rule: RULE, users: [], rotation }, USERS, true), /runPinRotation\(\)" disabled/);
+});
+
+test('portal: Email link buttons only when the server can send links', () => {
+  const build = load();
+  const users = [{ user_id: 'u-1', name: 'Alice', pin_length: 4, in_unifi: true, locks: [{ lock_id: 'front_deadbolt', slot: 3, status: 'ok' }] }];
+  const on = build({ locks: LOCKS, pin_rule: RULE, users, pin_portal: { enabled: true } }, USERS, false);
+  assert.match(on, /onclick="sendPinLink\(&quot;u-1&quot;\)" title[^>]*>Email link</);
+  assert.match(on, /onclick="sendPinLink\(\)" title[^>]*>Email PIN link</);
+  assert.ok(!build({ locks: LOCKS, pin_rule: RULE, users }, USERS, false).includes('sendPinLink'));
+  assert.match(build({ locks: LOCKS, pin_rule: RULE, users, pin_portal: { enabled: true } }, USERS, true), /sendPinLink\(\)" disabled/);
+});
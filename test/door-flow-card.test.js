@@ -30,8 +30,12 @@ function extractFn(name) {
 function load(groupNames) {
   const src = 'function _getDiscoveredGroupNames() { return ' + JSON.stringify(groupNames || []) + '; }\n'
     + extractFn('escapeHtml') + '\n' + extractFn('cssId') + '\n' + extractFn('_dfGroups')
-    + '\n' + extractFn('_scopeToValue')
+    + '\n' + extractFn('_scopeToValue') + '\n' + extractFn('buildScopePeopleRow')
     + '\n' + extractFn('buildRetractEdgeRow') + '\n' + extractFn('buildUnlockAction')
+    + '\n' + extractFn('buildHttpAction') + '\n' + extractFn('buildLockRuleAction')
+    + '\n' + extractFn('buildLockActionRow') + '\n' + extractFn('_dfTriggerType')
+    + '\n' + extractFn('_schedDays') + '\n' + extractFn('_schedDayLabel')
+    + '\n' + extractFn('_scheduleSummary') + '\n' + extractFn('buildScheduleEditor')
     + '\n' + extractFn('buildTriggerBlock') + '\n' + extractFn('buildDoorFlowCard');
   return new Function(src + '; return buildDoorFlowCard;')();
 }
@@ -229,3 +233,99 @@ test('door names are escaped everywhere in the card', () => {
   assert.ok(!out.includes('<img src=x>'));
   assert.match(out, /Evil &lt;img src=x&gt;/);
 });
+
+test('a trigger shows its schedule: always by default, the window summary when scheduled', () => {
+  const always = load()('Front Door', flow(), DATA);
+  assert.match(always, /schedule &middot; always/);
+  assert.match(always, /addScheduleWindow\(&quot;Front Door&quot;, 0\)/, 'a window can be added');
+  const scheduled = flow();
+  scheduled.triggers[0].schedule = { windows: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '08:00', end: '18:00' }] };
+  const out = load()('Front Door', scheduled, Object.assign({ timezone: 'America/New_York' }, DATA));
+  assert.match(out, /schedule &middot; weekdays 08:00-18:00/);
+  assert.match(out, /id="dfSchedDay_\w+_0_0_mon" checked/, 'the window days render as toggles');
+  assert.match(out, /id="dfSchedStart_\w+_0_0" value="08:00"/);
+  assert.match(out, /America\/New_York/, 'the site timezone is named');
+  assert.match(out, /removeScheduleWindow\(&quot;Front Door&quot;, 0, 0\)/);
+  assert.match(out, /id="dfSchedHol_\w+_0">keep these hours on holidays/, 'observes the holiday calendar by default');
+  scheduled.triggers[0].schedule.holidays = 'ignore';
+  const crew = load()('Front Door', scheduled, DATA);
+  assert.match(crew, /weekdays 08:00-18:00 \(holidays too\)/);
+  assert.match(crew, /id="dfSchedHol_\w+_0" checked>/);
+});
+
+test('an exit trigger reads "exits at"; a door-closed trigger has no scope and only lock cards', () => {
+  const f = flow();
+  f.triggers.push({ type: 'exit', scope: null, actions: { unlock: [], retract: [] } });
+  f.triggers.push({ type: 'door_closed', scope: null, actions: { unlock: [], retract: [], lock: [{ lock_id: 'side_deadbolt', delay_seconds: 5 }] } });
+  const out = load(['Staff'])('Front Door', f, DATA);
+  assert.match(out, /exits at/);
+  assert.match(out, /data-df-type="door_closed"/);
+  assert.match(out, /<span class="df-conn">closes<\/span>/);
+  assert.equal((out.match(/id="dfScope_\w+_2"/g) || []).length, 0, 'a closing door takes no scope');
+  assert.match(out, /lock deadbolt/);
+  assert.match(out, /id="dfLockDelay_\w+_2_0" value="5"/);
+  assert.match(out, /id="dfAddLockSel_\w+_2"[^>]*><option value="front_deadbolt">/, 'the picker offers the locks not yet locking');
+  assert.match(out, /addTrigger\(&quot;Front Door&quot;, 'exit'\)/);
+  assert.match(out, /addTrigger\(&quot;Front Door&quot;, 'door_closed'\)/);
+  assert.match(out, /\[ 2 deadbolts \]/, 'the summary counts a locked deadbolt too');
+});
+
+test('a users scope lists its people by name; other scopes offer an escaped except-someone picker', () => {
+  const data = Object.assign({}, DATA, { users: [{ id: 'u1', name: 'Ana <CEO>' }, { id: 'u2', name: 'Bo' }] });
+  const only = flow();
+  only.triggers[0].scope = { users: ['u1'] };
+  const out = load(['Staff'])('Front Door', only, data);
+  assert.match(out, /<option value="u"[^>]*selected[^>]*>these people<\/option>/);
+  assert.match(out, /only these people/);
+  assert.match(out, /Ana &lt;CEO&gt;/, 'names are escaped');
+  assert.doesNotMatch(out, /Ana <CEO>/);
+  assert.match(out, /removeScopeUser\(&quot;Front Door&quot;, 0, 'users', 0\)/);
+  assert.match(out, /<option value="u2">Bo<\/option>/, 'only people not yet listed are offered');
+
+  const everyone = load(['Staff'])('Front Door', flow(), data);
+  assert.match(everyone, /<summary>except someone<\/summary>/);
+  assert.match(everyone, /addScopeUser\(&quot;Front Door&quot;, 0, 'exclude_users'\)/);
+});
+
+test('a webhook action renders its url, timing and an empty secret box that keeps the stored one', () => {
+  const f = flow();
+  f.triggers[0].actions.http = [{ url: 'https://bms.local/a?"x"', body: { who: '{{actor}}' }, secret: '***REDACTED***', headers: {}, delay_seconds: 4 }];
+  const out = load()('Front Door', f, DATA);
+  assert.match(out, /call a webhook/);
+  assert.match(out, /value="https:\/\/bms\.local\/a\?&quot;x&quot;"/, 'the url is escaped');
+  assert.match(out, /id="dfHttpDelay_\w+" value="4"/);
+  assert.match(out, /placeholder="stored, type to replace"/);
+  assert.doesNotMatch(out, /REDACTED/, 'the marker never lands in an input');
+  assert.match(out, /removeHttpAction\(&quot;Front Door&quot;, 0, 0\)/);
+  assert.match(out, /addHttpAction\(&quot;Front Door&quot;, 0\)/, 'the chooser offers a webhook');
+});
+
+test('a lock rule action renders its door, type and minutes; the chooser offers one', () => {
+  const f = flow();
+  f.triggers[0].actions.lock_rule = [{ door: 'Interior Door', type: 'keep_unlock', minutes: 30, debounce_seconds: 3600, delay_seconds: 0 }];
+  const out = load()('Front Door', f, DATA);
+  assert.match(out, /hold a door/);
+  assert.match(out, /Interior Door <button/);
+  assert.match(out, /<option value="keep_unlock" selected>/);
+  assert.match(out, /id="dfLrMinutes_\w+" value="30"/);
+  assert.match(out, /id="dfLrDebounce_\w+" value="3600"/);
+  assert.match(out, /removeLockRuleAction\(&quot;Front Door&quot;, 0, 0\)/);
+  assert.match(out, /addLockRuleAction\(&quot;Front Door&quot;, 0\)/);
+
+  f.triggers[0].actions.lock_rule = [{ door: 'Interior Door', type: 'keep_lock', minutes: null }];
+  const held = load()('Front Door', f, DATA);
+  assert.match(held, /id="dfLrMinWrap_\w+" style="font-size:11.5px;display:none"/, 'minutes hide for keep_lock');
+});
+
+test('a keypad trigger names its deadbolt, may unlock its own door, and offers no retract', () => {
+  const f = flow();
+  f.triggers.push({ type: 'keypad_unlock', lock_id: 'side_deadbolt', scope: null, actions: { unlock: [], retract: [] } });
+  const out = load(['Tenants'])('Front Door', f, DATA);
+  assert.match(out, /data-df-type="keypad_unlock"/);
+  assert.match(out, /id="dfKpLock_\w+_1"[^>]*><option value="front_deadbolt">Front Bolt<\/option><option value="side_deadbolt" selected>/);
+  assert.match(out, /with a PIN at<\/span><span class="df-doorchip">Front Door/);
+  assert.equal((out.match(/id="dfScope_\w+_1"/g) || []).length, 1, 'scoped like a badge-in');
+  assert.equal((out.match(/id="dfAddLock_\w+_1"/g) || []).length, 0, 'no retract chooser');
+  assert.match(out, /id="dfAddDoorSel_\w+_1"[^>]*><option value="Front Door">Front Door \(this door\)/);
+  assert.match(out, /addTrigger\(&quot;Front Door&quot;, 'keypad_unlock'\)/);
+});
@@ -29,7 +29,11 @@ function extractFn(name) {
 
 function loadSection() {
   const src = extractFn('escapeHtml') + '\n' + extractFn('cssId') + '\n' + extractFn('_dfGroups')
+    + '\n' + extractFn('_scopeToValue') + '\n' + extractFn('buildScopePeopleRow')
     + '\n' + extractFn('buildRetractEdgeRow') + '\n' + extractFn('buildUnlockAction')
+    + '\n' + extractFn('buildLockActionRow') + '\n' + extractFn('_dfTriggerType')
+    + '\n' + extractFn('_schedDays') + '\n' + extractFn('_schedDayLabel')
+    + '\n' + extractFn('_scheduleSummary') + '\n' + extractFn('buildScheduleEditor')
     + '\n' + extractFn('buildTriggerBlock') + '\n' + extractFn('buildDoorFlowCard')
     + '\n' + extractFn('buildDoorFlowsSection');
   return new Function(src + '; return buildDoorFlowsSection;')();
@@ -85,6 +89,32 @@ test('the intro states the door-centric model', () => {
   assert.match(out, /each door is a flow/);
 });
 
+test('the replay control appears once there is a flow to compare', () => {
+  assert.match(loadSection()(DATA), /onclick="replayDoorFlows\(\)"/);
+  const none = loadSection()({ doors: DATA.doors, locks: DATA.locks, flows: {}, warnings: [] });
+  assert.ok(!none.includes('replayDoorFlows'), 'nothing to compare without a flow');
+});
+
+test('the replay report lists only changed events, marking what the draft adds and drops', () => {
+  const build = new Function(extractFn('escapeHtml') + '\n' + extractFn('buildReplayReport') + '; return buildReplayReport;')();
+  const out = build({
+    source: 'feed',
+    skipped: 2,
+    summary: { replayed: 2, changed: 1, unchanged: 1 },
+    events: [
+      { time: '2026-03-02T09:00:00.000Z', kind: 'entry', door: 'Lobby', actor: 'Ana <b>', detail: 'ACCESS', before: ['unlock Suite 100'], after: ['unlock Elevator'], added: ['unlock Elevator'], removed: ['unlock Suite 100'], changed: true },
+      { time: '2026-03-02T09:01:00.000Z', kind: 'entry', door: 'Garage', actor: 'Ben', before: [], after: [], added: [], removed: [], changed: false },
+    ],
+  });
+  assert.match(out, /1 would go differently/);
+  assert.match(out, /2 older feed entries were recorded before replay support/);
+  assert.match(out, /color:var\(--red\)">unlock Suite 100/);
+  assert.match(out, /color:var\(--green\)">unlock Elevator/);
+  assert.ok(!out.includes('Garage'), 'unchanged events are summarized, not listed');
+  assert.ok(!out.includes('<b>'), 'actor names escaped');
+  assert.match(build({ source: 'capture', skipped: 0, summary: { replayed: 0, changed: 0, unchanged: 0 }, events: [] }), /capture session has no door events/);
+});
+
 // --- source-level contracts on the render + save path ----------------------
 
 test('renderDoorFlows guards unsaved edits, not just focus', () => {
@@ -10,9 +10,12 @@ const test = require('node:test');
 const assert = require('node:assert');
 const {
   migrateToFlows,
+  viewerToGroupFromFlows,
   migrateToTriggers,
   automatedLockIdsFromFlows,
+  wiredLockIdsFromFlows,
   edgesForLock,
+  lockEdgesForLock,
   cascadeRulesFromFlows,
   unlockRulesFromFlows,
   gatingDoorsForLock,
@@ -20,7 +23,13 @@ const {
   validateFlows,
   legacyProjection,
   scopeMatches,
+  normalizeScope,
   triggersOf,
+  flowsActiveAt,
+  httpActionsOf,
+  carryHttpSecrets,
+  lockRuleActionsOf,
+  lockRuleCall,
 } = require('../src/door-flows');
 
 // ---------------------------------------------------------------------------
@@ -491,6 +500,40 @@ test('scopeMatches: null=everyone, any_group=resolved only, groups=listed', () =
   assert.equal(scopeMatches({ groups: ['Staff'] }, null), false);
 });
 
+test('scope users / exclude_users: normalize, match by user id, and gate keypad access per person', () => {
+  assert.deepEqual(normalizeScope({ users: ['u1', 'u1', '', 'u2'] }), { users: ['u1', 'u2'] });
+  assert.deepEqual(normalizeScope({ exclude_users: ['u9'] }), { exclude_users: ['u9'] }, 'everyone except');
+  assert.deepEqual(normalizeScope({ groups: ['Staff'], exclude_users: [] }), { groups: ['Staff'] }, 'an empty exclusion drops');
+  assert.equal(scopeMatches({ users: ['u1'] }, 'Staff', 'u1'), true);
+  assert.equal(scopeMatches({ users: ['u1'] }, 'Staff', 'u2'), false);
+  assert.equal(scopeMatches({ users: ['u1'] }, null, undefined), false, 'no actor id never matches a person');
+  assert.equal(scopeMatches({ exclude_users: ['u9'] }, null, 'u1'), true);
+  assert.equal(scopeMatches({ exclude_users: ['u9'] }, null, 'u9'), false);
+  assert.equal(scopeMatches({ groups: ['Staff'], exclude_users: ['u9'] }, 'Staff', 'u9'), false);
+
+  const flows = {
+    'Main Entrance': { door_id: 'd-main', triggers: [{ type: 'entry', scope: { users: ['u1'] }, actions: { retract: [{ lock_id: 'lockM' }] } }] },
+    'Side Door': { door_id: 'd-side', triggers: [{ type: 'entry', scope: { exclude_users: ['u1'] }, actions: { retract: [{ lock_id: 'lockM' }] } }] },
+  };
+  assert.deepEqual(gatingDoorsForLock(flows, 'lockM').map((d) => d.id), ['d-main', 'd-side'], 'no user: every gating door');
+  assert.deepEqual(gatingDoorsForLock(flows, 'lockM', 'u1').map((d) => d.id), ['d-main']);
+  assert.deepEqual(gatingDoorsForLock(flows, 'lockM', 'u2').map((d) => d.id), ['d-side']);
+  assert.deepEqual(validateFlows(flows), []);
+});
+
+test('validateFlows: rejects malformed person scopes', () => {
+  const withScope = (scope) => ({ 'A': { triggers: [{ type: 'entry', scope, actions: {} }] } });
+  assert.ok(validateFlows(withScope({ users: 'u1' })).some((e) => /scope.users must be an array of UniFi user ids/.test(e)));
+  assert.ok(validateFlows(withScope({ exclude_users: [7] })).some((e) => /scope.exclude_users must be an array/.test(e)));
+  assert.ok(validateFlows(withScope({ users: ['u1'], groups: ['Staff'] })).some((e) => /both users and groups/.test(e)));
+  assert.ok(validateFlows(withScope({ users: [] })).some((e) => /names nobody/.test(e)));
+  assert.ok(validateFlows(withScope({ users: ['  '] })).some((e) => /scope.users must be an array of UniFi user ids/.test(e)),
+    'a blank id would normalize to everyone');
+  assert.ok(validateFlows(withScope({ exclude_users: ['u1', ' '] })).some((e) => /scope.exclude_users must be/.test(e)));
+  assert.ok(validateFlows(withScope({ groups: [' '] })).some((e) => /scope.groups must be an array of group names/.test(e)));
+  assert.deepEqual(normalizeScope({ users: [' u1 ', 'u1'] }), { users: ['u1'] }, 'ids are trimmed');
+});
+
 test('legacyProjection: projects unlock_rules and doorbell_rules back from triggers', () => {
   const proj = legacyProjection(triggerFlows());
   assert.deepEqual(proj.unlock_rules.rules, [{ group: 'Staff', trigger: 'Main Entrance', unlock: ['Elevator'], delay: 5 }]);
@@ -500,6 +543,60 @@ test('legacyProjection: projects unlock_rules and doorbell_rules back from trigg
   assert.deepEqual(proj.cascade_rules.rules[0].unlock, ['Interior']);
 });
 
+// What /test/simulate-rule runs: a RulesEngine over the projection, fed a
+// dry-run event. Returns the doors it would unlock ([] when nothing fires).
+async function simulateProjected(flows, event, resolve) {
+  const RulesEngine = require('../src/rules-engine');
+  const proj = legacyProjection(flows);
+  const engine = new RulesEngine(
+    { unlock_rules: proj.unlock_rules, doorbell_rules: proj.doorbell_rules },
+    {},
+    { resolve: (id) => Object.assign({ group: null, strategy: 'none', userName: null }, resolve(id)) }
+  );
+  engine.stats.last_unlock = null;
+  const ev = Object.assign({ locationName: 'Main Entrance', extra: { simulated_dry_run: true } }, event);
+  if (ev.reasonCode != null) await engine.handleDoorbellCompleted(ev);
+  else await engine.handleDoorUnlock(ev);
+  return engine.stats.last_unlock ? engine.stats.last_unlock.doors : [];
+}
+
+test('legacyProjection: simulate honors exclude_users and users scopes (entry + doorbell)', async () => {
+  const flows = {
+    'Main Entrance': {
+      triggers: [
+        { type: 'entry', scope: { groups: ['Staff'], exclude_users: ['u-bob'] }, actions: { unlock: { doors: ['Elevator'] } } },
+        { type: 'entry', scope: { users: ['u-vip'] }, actions: { unlock: { doors: ['Penthouse'] } } },
+        { type: 'doorbell', scope: { users: ['u-desk'] }, doorbell: { reason_code: 107 }, actions: { unlock: { doors: ['Lobby'] } } },
+        { type: 'doorbell', scope: { any_group: true, exclude_users: ['u-temp'] }, doorbell: { reason_code: 107 }, actions: { unlock: { doors: ['Mailroom'] } } },
+      ],
+    },
+  };
+  const groups = { 'u-alice': 'Staff', 'u-bob': 'Staff', 'u-temp': 'Staff' };
+  const resolve = (id) => ({ group: groups[id] || null });
+
+  assert.deepEqual(await simulateProjected(flows, { actorId: 'u-alice' }, resolve), ['Elevator']);
+  assert.deepEqual(await simulateProjected(flows, { actorId: 'u-bob' }, resolve), [], 'an excluded user is not unlocked for');
+  assert.deepEqual(await simulateProjected(flows, { actorId: 'u-vip' }, resolve), ['Penthouse'],
+    'a users-scoped trigger fires for a user in no group');
+  assert.deepEqual(await simulateProjected(flows, { actorId: 'u-alice-2' }, resolve), []);
+
+  const ring = (actorId) => ({ actorId, reasonCode: 107 });
+  assert.deepEqual(await simulateProjected(flows, ring('u-desk'), resolve), ['Lobby']);
+  assert.deepEqual(await simulateProjected(flows, ring('u-alice'), resolve), ['Mailroom']);
+  assert.deepEqual(await simulateProjected(flows, ring('u-temp'), resolve), [], 'an excluded answerer unlocks nothing');
+});
+
+// Source-level guard on /test/preflight: its matching rule check goes through
+// ruleMatches, so a person scope counts the way simulate counts it.
+test('legacyProjection: preflight matches rules with the engine\'s ruleMatches', () => {
+  const fs = require('fs');
+  const path = require('path');
+  const src = fs.readFileSync(path.join(__dirname, '..', 'src', 'index.js'), 'utf8');
+  const start = src.indexOf("app.post('/test/preflight'");
+  const route = src.slice(start, src.indexOf('\n});', start));
+  assert.match(route, /rulesEngine\.ruleMatches\(r, resolvedGroup, user_id \|\| null\)/);
+});
+
 test('validateFlows: accepts the trigger shape and rejects a bad trigger', () => {
   assert.deepEqual(validateFlows(triggerFlows()), []);
   assert.ok(validateFlows({ 'A': { triggers: [{ type: 'nope', actions: {} }] } }).some((e) => /type must be one of/.test(e)));
@@ -514,3 +611,296 @@ test('triggersOf: a flat flow yields one everyone entry trigger; a trigger flow
   assert.equal(flat[0].scope, null);
   assert.equal(triggersOf(triggerFlows()['Main Entrance']).length, 3);
 });
+
+// ---------------------------------------------------------------------------
+// Trigger schedules
+// ---------------------------------------------------------------------------
+
+// Business-hours cascade to the interior door; after hours the entry only
+// retracts the deadbolt (the retract lives on an unscheduled trigger).
+function scheduledFlows() {
+  return {
+    'Front Door': {
+      door_id: 'd-f',
+      triggers: [
+        { type: 'entry', scope: null, actions: { unlock: [], retract: [{ lock_id: 'lockF', after_unlock: 'stay_unlocked' }] } },
+        {
+          type: 'entry',
+          scope: null,
+          schedule: { windows: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '08:00', end: '18:00' }] },
+          actions: { unlock: [{ doors: ['Interior Door'], debounce_seconds: 8, delay_seconds: 0 }], retract: [] },
+        },
+      ],
+    },
+  };
+}
+
+test('schedule: edges and unlock rules carry the normalized trigger schedule', () => {
+  const flows = scheduledFlows();
+  assert.equal(edgesForLock(flows, 'lockF')[0].schedule, null, 'an unscheduled trigger fires around the clock');
+  const [rule] = unlockRulesFromFlows(flows);
+  assert.deepEqual(rule.schedule, { windows: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '08:00', end: '18:00' }] });
+  const [cascade] = cascadeRulesFromFlows(flows);
+  assert.deepEqual(cascade.schedule, rule.schedule, 'the legacy cascade projection keeps the schedule');
+  assert.ok(!('schedule' in cascadeRulesFromFlows(triggerFlows())[0]), 'an unscheduled cascade keeps the exact legacy shape');
+});
+
+test('schedule: validateFlows accepts a schedule and rejects a malformed one with its trigger label', () => {
+  assert.deepEqual(validateFlows(scheduledFlows()), []);
+  const bad = scheduledFlows();
+  bad['Front Door'].triggers[1].schedule = { windows: [{ days: ['mon'], start: '25:00', end: '18:00' }] };
+  assert.ok(validateFlows(bad).some((e) => /"Front Door" trigger 2 schedule window 1 start must be HH:MM/.test(e)));
+});
+
+test('flowsActiveAt: drops triggers outside their schedule and leaves the input alone', () => {
+  const flows = scheduledFlows();
+  const mon0900 = Date.UTC(2026, 2, 2, 9, 0);
+  const mon2000 = Date.UTC(2026, 2, 2, 20, 0);
+  assert.equal(flowsActiveAt(flows, mon0900, 'UTC')['Front Door'].triggers.length, 2, 'business hours: both triggers');
+  const after = flowsActiveAt(flows, mon2000, 'UTC');
+  assert.equal(after['Front Door'].triggers.length, 1, 'after hours: only the retract trigger');
+  assert.equal(legacyProjection(after).cascade_rules.rules.length, 0, 'no cascade projected after hours');
+  assert.equal(flows['Front Door'].triggers.length, 2, 'input not mutated');
+});
+
+// ---------------------------------------------------------------------------
+// Exit and door_closed triggers
+// ---------------------------------------------------------------------------
+
+// Exit unlocks the garage and retracts the bolt; closing the door throws a
+// different bolt after a few seconds.
+function exitCloseFlows() {
+  return {
+    'Lobby': {
+      door_id: 'd-l',
+      triggers: [
+        { type: 'exit', scope: null, actions: { unlock: [{ doors: ['Garage'], debounce_seconds: 0, delay_seconds: 0 }], retract: [{ lock_id: 'lockL', after_unlock: 'stay_unlocked' }] } },
+        { type: 'door_closed', scope: null, actions: { unlock: [], retract: [], lock: [{ lock_id: 'lockC', delay_seconds: 5 }] } },
+      ],
+    },
+  };
+}
+
+test('exit / door_closed: validate, and wire lock actions apart from retract edges', () => {
+  const flows = exitCloseFlows();
+  assert.deepEqual(validateFlows(flows), []);
+  assert.deepEqual(automatedLockIdsFromFlows(flows), ['lockL'], 'a lock action is not a retract');
+  assert.deepEqual(wiredLockIdsFromFlows(flows), ['lockL', 'lockC']);
+  assert.deepEqual(lockEdgesForLock(flows, 'lockC'),
+    [{ trigger_door: 'Lobby', trigger_door_id: 'd-l', type: 'door_closed', schedule: null, delay_seconds: 5 }]);
+  assert.deepEqual(gatingDoorsForLock(flows, 'lockC'), [], 'a lock action never gates keypad access');
+  assert.equal(edgesForLock(flows, 'lockL')[0].type, 'exit');
+  assert.equal(unlockRulesFromFlows(flows)[0].type, 'exit');
+});
+
+test('exit / door_closed: the legacy projection skips them', () => {
+  const proj = legacyProjection(exitCloseFlows());
+  assert.equal(proj.cascade_rules.rules.length, 0, 'an exit unlock is not the entry cascade');
+  assert.ok(!('lockC' in proj.deadbolt_rules), 'a lock-only deadbolt has no legacy retract rule');
+});
+
+test('exit / door_closed: a closing door only locks, unscoped; nothing else locks', () => {
+  const withUnlock = exitCloseFlows();
+  withUnlock.Lobby.triggers[1].actions.unlock = [{ doors: ['Garage'] }];
+  assert.ok(validateFlows(withUnlock).some((e) => /\(door_closed\) can only lock deadbolts/.test(e)));
+  const scoped = exitCloseFlows();
+  scoped.Lobby.triggers[1].scope = { groups: ['Staff'] };
+  assert.ok(validateFlows(scoped).some((e) => /cannot be scoped/.test(e)));
+  const entryLock = exitCloseFlows();
+  entryLock.Lobby.triggers[0].actions.lock = [{ lock_id: 'lockC' }];
+  assert.ok(validateFlows(entryLock).some((e) => /lock actions need a door_closed trigger/.test(e)));
+  const badDelay = exitCloseFlows();
+  badDelay.Lobby.triggers[1].actions.lock[0].delay_seconds = -1;
+  assert.ok(validateFlows(badDelay).some((e) => /lock delay_seconds/.test(e)));
+});
+
+function httpFlows() {
+  return {
+    Lobby: { door_id: 'd-l', triggers: [{
+      type: 'entry', scope: { groups: ['Staff'] },
+      actions: { unlock: [], retract: [], http: [{ url: 'https://bms.local/hook', headers: { 'X-Api-Key': 'k1' }, secret: 's1', delay_seconds: 3 }] },
+    }] },
+  };
+}
+
+test('http: validates, and rides the unlock rules with defaults filled', () => {
+  const flows = httpFlows();
+  assert.deepEqual(validateFlows(flows), []);
+  const [rule] = unlockRulesFromFlows(flows);
+  assert.deepEqual(rule.unlock, []);
+  assert.deepEqual(rule.scope, { groups: ['Staff'] });
+  assert.equal(rule.delay_seconds, 3);
+  assert.equal(rule.debounce_seconds, 8);
+  assert.deepEqual(rule.http, { url: 'https://bms.local/hook', headers: { 'X-Api-Key': 'k1' }, body: null, timeout_seconds: 5, retries: 2, secret: 's1' });
+  assert.equal(legacyProjection(flows).unlock_rules.rules.length, 0, 'the legacy projection has no http actions');
+});
+
+test('http: validateFlows rejects a bad url, body, retries, and http on a closing door', () => {
+  const bad = (patch) => { const f = httpFlows(); Object.assign(f.Lobby.triggers[0].actions.http[0], patch); return validateFlows(f); };
+  assert.ok(bad({ url: 'ftp://x' }).some((e) => /url must be an http or https URL/.test(e)));
+  assert.ok(bad({ url: '' }).some((e) => /url must be/.test(e)));
+  assert.ok(bad({ body: '{not json' }).some((e) => /body must be a JSON object/.test(e)));
+  assert.ok(bad({ retries: 9 }).some((e) => /retries must be a whole number from 0 to 5/.test(e)));
+  assert.ok(bad({ headers: { A: 1 } }).some((e) => /headers must be an object of string values/.test(e)));
+  const closing = httpFlows();
+  closing.Lobby.triggers[0].type = 'door_closed';
+  closing.Lobby.triggers[0].scope = null;
+  assert.ok(validateFlows(closing).some((e) => /\(door_closed\) can only lock deadbolts/.test(e)));
+});
+
+// Source-level guard on /test/preflight: a badge tap may hit the exit reader,
+// so its lock rule check covers exit triggers as well as entry ones.
+test('lock_rule: preflight checks exit triggers the same way as entry triggers', () => {
+  const fs = require('fs');
+  const path = require('path');
+  const src = fs.readFileSync(path.join(__dirname, '..', 'src', 'index.js'), 'utf8');
+  const start = src.indexOf("app.post('/test/preflight'");
+  const route = src.slice(start, src.indexOf('\n});', start));
+  assert.match(route, /ruleType === 'visitor' \? \['doorbell'\] : \['entry', 'exit'\]/);
+  assert.match(route, /triggerTypes\.includes\(t\.type \|\| 'entry'\)/);
+});
+
+test('http: carryHttpSecrets restores redacted values for the same action and honors an explicit clear', () => {
+  const M = '***REDACTED***';
+  const incoming = httpFlows();
+  Object.assign(incoming.Lobby.triggers[0].actions.http[0], { secret: M, headers: { 'X-Api-Key': M, 'X-Zone': 'a' } });
+  carryHttpSecrets(incoming, httpFlows(), M);
+  assert.equal(incoming.Lobby.triggers[0].actions.http[0].secret, 's1');
+  assert.deepEqual(incoming.Lobby.triggers[0].actions.http[0].headers, { 'X-Api-Key': 'k1', 'X-Zone': 'a' });
+
+  const omitted = httpFlows();
+  delete omitted.Lobby.triggers[0].actions.http[0].secret;
+  carryHttpSecrets(omitted, httpFlows(), M);
+  assert.equal(omitted.Lobby.triggers[0].actions.http[0].secret, 's1', 'no secret key keeps the stored one');
+
+  const cleared = httpFlows();
+  cleared.Lobby.triggers[0].actions.http[0].secret = '';
+  carryHttpSecrets(cleared, httpFlows(), M);
+  assert.equal(httpActionsOf(cleared.Lobby.triggers[0])[0].secret, undefined, "'' clears it");
+
+  const moved = httpFlows();
+  Object.assign(moved.Lobby.triggers[0].actions.http[0], { url: 'https://bms.local/v2/hook', secret: M, headers: { 'X-Api-Key': M } });
+  carryHttpSecrets(moved, httpFlows(), M);
+  assert.equal(moved.Lobby.triggers[0].actions.http[0].secret, 's1', 'editing the url path keeps the action\'s secret');
+  assert.deepEqual(moved.Lobby.triggers[0].actions.http[0].headers, { 'X-Api-Key': 'k1' });
+
+  const added = httpFlows();
+  added.Lobby.triggers[0].actions.http.unshift({ url: 'https://new.local/', secret: M });
+  added.Lobby.triggers[0].actions.http[1].secret = M;
+  carryHttpSecrets(added, httpFlows(), M);
+  assert.equal(added.Lobby.triggers[0].actions.http[1].secret, 's1', 'a kept url finds its secret at a new position');
+  assert.equal(added.Lobby.triggers[0].actions.http[0].secret, undefined, 'a new action never takes a moved one\'s secret');
+});
+
+test('http: carryHttpSecrets never sends stored credentials to a new host', () => {
+  const M = '***REDACTED***';
+  const stored = () => {
+    const f = httpFlows();
+    f.Lobby.triggers[0].actions.http[0].headers = { Authorization: 'Bearer abc', 'X-Zone': 'a' };
+    return f;
+  };
+  for (const url of ['https://evil.example/hook', 'http://bms.local/hook', 'https://bms.local:8443/hook']) {
+    const incoming = stored();
+    Object.assign(incoming.Lobby.triggers[0].actions.http[0], { url, secret: M, headers: { Authorization: M, 'X-Zone': 'a' } });
+    carryHttpSecrets(incoming, stored(), M);
+    const a = incoming.Lobby.triggers[0].actions.http[0];
+    assert.equal(a.secret, undefined, `${url}: the signing secret stays behind`);
+    assert.deepEqual(a.headers, { 'X-Zone': 'a' }, `${url}: Authorization stays behind`);
+  }
+});
+
+test('http: an action\'s Authorization header is redacted on GET', () => {
+  const { redactSecrets, REDACTION_MARKER } = require('../src/security');
+  const flows = httpFlows();
+  flows.Lobby.triggers[0].actions.http[0].headers = { Authorization: 'Bearer abc', 'X-Zone': 'a' };
+  const out = redactSecrets(flows).Lobby.triggers[0].actions.http[0];
+  assert.deepEqual(out.headers, { Authorization: REDACTION_MARKER, 'X-Zone': 'a' });
+  assert.equal(out.secret, REDACTION_MARKER);
+});
+
+function lockRuleFlows() {
+  return {
+    Lobby: { door_id: 'd-l', triggers: [{
+      type: 'entry', scope: { groups: ['Tenant A'] },
+      actions: { unlock: [], retract: [], lock_rule: [{ door: 'Suite 100', type: 'keep_unlock', minutes: 30, debounce_seconds: 3600 }] },
+    }] },
+  };
+}
+
+test('lock_rule: validates, rides the unlock rules, and maps to the UniFi call', () => {
+  const flows = lockRuleFlows();
+  assert.deepEqual(validateFlows(flows), []);
+  const [rule] = unlockRulesFromFlows(flows);
+  assert.deepEqual(rule.unlock, []);
+  assert.deepEqual(rule.scope, { groups: ['Tenant A'] });
+  assert.equal(rule.debounce_seconds, 3600);
+  assert.deepEqual(rule.lock_rule, { door: 'Suite 100', door_id: null, type: 'keep_unlock', minutes: 30 });
+  assert.deepEqual(lockRuleCall(rule.lock_rule), { type: 'custom', interval: 30 });
+  assert.deepEqual(lockRuleCall({ type: 'keep_unlock', minutes: null }), { type: 'keep_unlock', interval: null });
+  assert.deepEqual(lockRuleCall({ type: 'reset' }), { type: 'reset', interval: null });
+  const [keepLock] = lockRuleActionsOf({ actions: { lock_rule: [{ door: 'Suite 100', type: 'keep_lock', minutes: 30 }, { door: 'X', type: 'bogus' }] } });
+  assert.equal(keepLock.minutes, null, 'minutes only stick to keep_unlock');
+  assert.equal(lockRuleActionsOf({ actions: { lock_rule: [{ door: 'X', type: 'bogus' }] } }).length, 0);
+});
+
+test('lock_rule: validateFlows rejects a bad type, minutes, door, and lock_rule on a closing door', () => {
+  const bad = (patch) => { const f = lockRuleFlows(); Object.assign(f.Lobby.triggers[0].actions.lock_rule[0], patch); return validateFlows(f); };
+  assert.ok(bad({ type: 'open' }).some((e) => /type must be one of keep_unlock, keep_lock, reset/.test(e)));
+  assert.ok(bad({ minutes: 0 }).some((e) => /minutes must be a whole number from 1 to 1440/.test(e)));
+  assert.ok(bad({ minutes: 1441 }).some((e) => /minutes must be a whole number from 1 to 1440/.test(e)));
+  assert.ok(bad({ type: 'keep_lock' }).some((e) => /minutes only applies to keep_unlock/.test(e)));
+  assert.ok(bad({ door: '' }).some((e) => /door must be a door name/.test(e)));
+  assert.deepEqual(bad({ minutes: null }), [], 'keep_unlock with no minutes holds until reset');
+  const closing = lockRuleFlows();
+  closing.Lobby.triggers[0].type = 'door_closed';
+  closing.Lobby.triggers[0].scope = null;
+  assert.ok(validateFlows(closing).some((e) => /\(door_closed\) can only lock deadbolts/.test(e)));
+});
+
+// ---------------------------------------------------------------------------
+// keypad_unlock triggers
+// ---------------------------------------------------------------------------
+
+function keypadFlows() {
+  return {
+    'Front Door': {
+      door_id: 'd-front',
+      triggers: [{
+        type: 'keypad_unlock',
+        lock_id: 'front_bolt',
+        scope: { groups: ['Tenants'] },
+        actions: { unlock: [{ doors: ['Interior Door'], debounce_seconds: 0 }], retract: [], http: [{ url: 'https://bms.local/hook' }] },
+      }],
+    },
+  };
+}
+
+test('keypad_unlock: validates, and its unlock and http rules carry the keypad lock', () => {
+  const flows = keypadFlows();
+  assert.deepEqual(validateFlows(flows), []);
+  const rules = unlockRulesFromFlows(flows);
+  assert.deepEqual(rules.map((r) => [r.type, r.lock_id, r.trigger_door]),
+    [['keypad_unlock', 'front_bolt', 'Front Door'], ['keypad_unlock', 'front_bolt', 'Front Door']]);
+  assert.deepEqual(rules[0].scope, { groups: ['Tenants'] });
+  assert.ok(!('lock_id' in unlockRulesFromFlows(lockRuleFlows())[0]), 'other rules carry no lock_id');
+  assert.deepEqual(wiredLockIdsFromFlows(flows), [], 'the keypad lock is not driven, so it gets no controller');
+  assert.deepEqual(cascadeRulesFromFlows(flows), [], 'no legacy cascade shape');
+});
+
+test('keypad_unlock: validateFlows needs the lock, refuses a retract, and keeps lock_id to keypad triggers', () => {
+  const bad = (patch) => { const f = keypadFlows(); Object.assign(f['Front Door'].triggers[0], patch); return validateFlows(f); };
+  assert.ok(bad({ lock_id: '' }).some((e) => /\(keypad_unlock\) needs the lock_id/.test(e)));
+  const retract = keypadFlows();
+  retract['Front Door'].triggers[0].actions.retract = [{ lock_id: 'side_bolt', after_unlock: 'stay_unlocked' }];
+  assert.ok(validateFlows(retract).some((e) => /\(keypad_unlock\) cannot retract deadbolts/.test(e)));
+  assert.ok(bad({ type: 'entry' }).some((e) => /lock_id is only used by a keypad_unlock trigger/.test(e)));
+});
+
+test('viewerToGroupFromFlows merges every doorbell trigger\'s viewer map, lower-cased', () => {
+  const flows = {
+    Lobby: { triggers: [{ type: 'doorbell', scope: null, doorbell: { viewer_to_group: { ' Front Desk ': 'Staff' } }, actions: { unlock: [], retract: [{ lock_id: 'b', after_unlock: 'stay_unlocked' }] } }] },
+    Garage: { triggers: [{ type: 'doorbell', scope: null, doorbell: { viewer_to_group: { 'Desk iPad': 'Visitors', Blank: '' } }, actions: { unlock: [{ doors: ['Lobby'] }], retract: [] } }] },
+  };
+  assert.deepEqual(viewerToGroupFromFlows(flows), { 'front desk': 'Staff', 'desk ipad': 'Visitors' });
+  assert.deepEqual(viewerToGroupFromFlows(null), {});
+});
@@ -22,7 +22,8 @@ const FakeLock = require('../src/drivers/fake-lock');
  *         modeUnknown,          // get() reports currentMode 0xfe + boltStatus
  *                               // (the Schlage BE469ZP wire behavior)
  *         failGets,             // first N get() calls throw (flaky link)
- *         configuration,        // expose a Configuration CC (params map)
+ *         configuration,        // expose a Configuration CC ({ params,
+ *                               // failSet, ignoreSet })
  *         userCodes }           // expose a User Code CC ({ slots, usersCount,
  *                               // rejectDuplicates, maskReadback })
  */
@@ -116,7 +117,7 @@ class MockNode extends EventEmitter {
         set: async (o) => {
           self.configSetCalls.push(o);
           if (opts.configuration.failSet) throw new Error('config set failed');
-          self.configParams[o.parameter] = o.value;
+          if (!opts.configuration.ignoreSet) self.configParams[o.parameter] = o.value;
         },
         get: async (parameter) => self.configParams[parameter],
       };
@@ -344,6 +345,45 @@ test('ZwaveLock: reinterview calls node.refreshInfo, throws when unavailable', a
   assert.throws(() => bare.reinterview(), /re-interview unavailable/);
 });
 
+test('ZwaveLock: updateFirmware reports progress and refuses commands while it runs', async () => {
+  const { node, lock } = await makeZwave({ current: 0xff });
+  let finish;
+  node.updateFirmware = (images) => {
+    node.images = images;
+    return new Promise((resolve) => { finish = resolve; });
+  };
+  const progress = [];
+  lock.on('firmware-progress', (p) => progress.push(p.progress));
+  const running = lock.updateFirmware({ data: Buffer.alloc(64), firmwareTarget: 0 });
+  assert.equal(lock.snapshot().firmwareUpdating, true);
+  node.emit('firmware update progress', node, { sentFragments: 5, totalFragments: 10, progress: 50 });
+  assert.equal(lock.snapshot().firmwareProgress, 50);
+  const refused = await lock.unlock('test');
+  assert.equal(refused.success, false);
+  assert.match(refused.error, /firmware update in progress/);
+  assert.deepEqual(node.setCalls, [], 'nothing sent to a lock mid-update');
+  await assert.rejects(() => lock.setUserCode(3, '1234'), /firmware update in progress/);
+  await assert.rejects(() => lock.updateFirmware({ data: Buffer.alloc(1) }), /already running/);
+  finish({ success: true, status: 0xff, reInterview: true });
+  const r = await running;
+  assert.equal(r.success, true);
+  assert.equal(node.images[0].firmwareTarget, 0);
+  assert.deepEqual(progress, [50]);
+  assert.equal(lock.snapshot().firmwareUpdating, false);
+  assert.equal(node.listenerCount('firmware update progress'), 0);
+  assert.equal((await lock.lock('test')).success, true, 'commands resume after the update');
+});
+
+test('ZwaveLock: firmware version comes from the node, seeded from config until known', async () => {
+  const { node, lock } = await makeZwave({}, { firmware_version: '1.2' });
+  assert.equal(lock.snapshot().firmwareVersion, '1.2');
+  node.firmwareVersion = '1.4';
+  node.emit('interview completed');
+  assert.equal(lock.snapshot().firmwareVersion, '1.4');
+  const bare = new ZwaveLock({ node_id: 2 }, { node: new MockNode() });
+  await assert.rejects(() => bare.updateFirmware({ data: Buffer.alloc(1) }), /firmware update unavailable/);
+});
+
 // ---------------------------------------------------------------------------
 // Verification hardening: retry backoff, periodic polling, and device-origin
 // alerts (low battery, jam).
@@ -642,6 +682,64 @@ test('ZwaveLock: persisted auto_relock preference is re-applied once the node is
   await lock.shutdown();
 });
 
+// ---------------------------------------------------------------------------
+// Lock settings: only the catalog's config_params for the model are readable
+// and writable, each write read back.
+// ---------------------------------------------------------------------------
+
+test('ZwaveLock: readConfigParams asks the lock, falling back to the cache while it sleeps', async () => {
+  const awake = new MockNode({ configuration: { params: { 1: 3, 3: 30, 4: 5, 7: 60, 8: 0, 11: 255 } } });
+  const lock = new ZwaveLock({ node_id: 2, model_key: 'yale-assure-zw3' }, { node: awake, logger: { warn() {}, info() {} } });
+  await lock.init();
+  const info = lock.configParamsInfo();
+  assert.equal(info.supported, true);
+  const params = await lock.readConfigParams();
+  assert.deepEqual(params.map((p) => [p.parameter, p.value, p.source]),
+    [[1, 3, 'lock'], [3, 30, 'lock'], [4, 5, 'lock'], [7, 60, 'lock'], [8, 0, 'lock'], [11, 255, 'lock']]);
+  await lock.shutdown();
+
+  const asleep = new MockNode({ status: ST.ASLEEP, values: { '112:4': 6 }, configuration: { params: { 4: 9 } } });
+  const sleepy = new ZwaveLock({ node_id: 2, model_key: 'yale-assure-zw3' }, { node: asleep, logger: { warn() {}, info() {} } });
+  await sleepy.init();
+  const cached = await sleepy.readConfigParams();
+  assert.deepEqual(cached.find((p) => p.parameter === 4), Object.assign({}, info.params[2], { value: 6, source: 'cache' }));
+  assert.equal(cached[0].source, null, 'never read: no value, no source');
+  await sleepy.shutdown();
+});
+
+test('ZwaveLock: setConfigParam writes an allowed value and reports the read-back', async () => {
+  const node = new MockNode({ values: { '112:4': 5 }, configuration: { params: { 4: 5 } } });
+  const lock = new ZwaveLock({ node_id: 2, model_key: 'yale-assure-zw2' }, { node, logger: { warn() {}, info() {} } });
+  await lock.init();
+  const r = await lock.setConfigParam(4, 3);
+  assert.deepEqual(r, { parameter: 4, label: 'Wrong code limit', value: 3, previous: 5, confirmed: true });
+  assert.deepEqual(node.configSetCalls[0], { parameter: 4, value: 3, valueSize: 1, valueFormat: 1 });
+  await lock.shutdown();
+
+  const stubborn = new MockNode({ configuration: { params: { 3: 255 }, ignoreSet: true } });
+  const lock2 = new ZwaveLock({ node_id: 2, model_key: 'schlage-be469zp' }, { node: stubborn, logger: { warn() {}, info() {} } });
+  await lock2.init();
+  assert.equal((await lock2.setConfigParam(3, 0)).confirmed, false, 'a value the lock did not keep is a mismatch');
+  await lock2.shutdown();
+});
+
+test('ZwaveLock: setConfigParam refuses unlisted parameters and out-of-range values before sending', async () => {
+  const node = new MockNode({ configuration: { params: {} } });
+  const lock = new ZwaveLock({ node_id: 2, model_key: 'schlage-be469zp' }, { node, logger: { warn() {}, info() {} } });
+  await lock.init();
+  await assert.rejects(() => lock.setConfigParam(16, 6), /parameter 16 is not an editable setting/);
+  await assert.rejects(() => lock.setConfigParam(15, 0), /parameter 15 is not an editable setting/, 'auto-relock stays with setAutoRelock');
+  await assert.rejects(() => lock.setConfigParam(7, 9), /Alarm mode must be one of/);
+  assert.equal(node.configSetCalls.length, 0);
+  await lock.shutdown();
+
+  const ubolt = new ZwaveLock({ node_id: 2, model_key: 'ultraloq-ubolt-pro' }, { node: new MockNode(), logger: { warn() {} } });
+  await ubolt.init();
+  assert.equal(ubolt.configParamsInfo().supported, false);
+  await assert.rejects(() => ubolt.setConfigParam(1, 1), /U-tec app/);
+  await ubolt.shutdown();
+});
+
 // ---------------------------------------------------------------------------
 // Keypad user codes (User Code CC): targeted per-slot writes with read-back,
 // capability reporting, keypad attribution, and the manual rewrite path.
@@ -0,0 +1,103 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { analyzeFlows, findLoops } = require('../src/flow-analysis');
+
+function entry(unlockDoors, extra = {}) {
+  return Object.assign({ type: 'entry', scope: null, actions: { unlock: unlockDoors.length ? [{ doors: unlockDoors }] : [], retract: [] } }, extra);
+}
+const kinds = (findings) => findings.map((f) => f.kind);
+
+test('a clean site has no findings', () => {
+  const flows = {
+    Lobby: { triggers: [entry(['Suite 100'], { actions: { unlock: [{ doors: ['Suite 100'] }], retract: [{ lock_id: 'lobby_bolt', after_unlock: 'stay_unlocked' }] } })] },
+    'Suite 100': { triggers: [entry([])] },
+  };
+  assert.deepEqual(analyzeFlows(flows, { doors: ['Lobby', 'Suite 100'], locks: ['lobby_bolt'], users: null }), []);
+});
+
+test('loops: two- and three-door cycles are each reported once, from their first door', () => {
+  const flows = {
+    B: { triggers: [entry(['A'])] },
+    A: { triggers: [entry(['B']), { type: 'exit', scope: null, actions: { unlock: [{ doors: ['C'] }], retract: [] } }] },
+    C: { triggers: [entry(['b'])] },
+    D: { triggers: [entry(['D'])] },
+  };
+  assert.deepEqual(findLoops(flows), [['A', 'B'], ['A', 'C', 'B']]);
+  const [first] = analyzeFlows(flows);
+  assert.equal(first.kind, 'loop');
+  assert.match(first.message, /"A" -> "B" -> "A"/);
+});
+
+test('loops: a door_closed trigger is not a person event and starts no loop', () => {
+  const flows = {
+    A: { triggers: [entry(['B'])] },
+    B: { triggers: [{ type: 'door_closed', scope: null, actions: { unlock: [{ doors: ['A'] }], retract: [], lock: [] } }] },
+  };
+  assert.deepEqual(findLoops(flows), []);
+});
+
+test('unreachable: a people scope that excludes everyone it names, or names only people gone from UniFi', () => {
+  const flows = {
+    Lobby: { triggers: [
+      entry(['Suite'], { scope: { users: ['u1'], exclude_users: ['u1'] } }),
+      { type: 'exit', scope: { users: ['gone'] }, actions: { unlock: [{ doors: ['Suite'] }], retract: [] } },
+    ] },
+  };
+  const found = analyzeFlows(flows, { users: ['u1', 'u2'] });
+  assert.deepEqual(kinds(found), ['unreachable', 'unreachable']);
+  assert.match(found[0].message, /"Lobby" entry trigger 1 never fires: every person/);
+  assert.match(found[1].message, /"Lobby" exit trigger 2 never fires: nobody/);
+  assert.deepEqual(analyzeFlows(flows, { users: null }).length, 1, 'an unknown directory skips the people check');
+});
+
+test('duplicate_scope: same type, scope and schedule on one door; a different schedule is not a duplicate', () => {
+  const sched = { windows: [{ days: ['mon'], start: '08:00', end: '18:00' }] };
+  const flows = {
+    Lobby: { triggers: [
+      entry(['A'], { scope: { groups: ['Staff'] } }),
+      entry(['B'], { scope: { groups: ['staff'] } }),
+      entry(['C'], { scope: { groups: ['Staff'] }, schedule: sched }),
+      { type: 'doorbell', scope: { groups: ['Staff'] }, actions: { unlock: [{ doors: ['A'] }], retract: [] } },
+    ] },
+  };
+  const found = analyzeFlows(flows);
+  assert.deepEqual(kinds(found), ['duplicate_scope']);
+  assert.match(found[0].message, /"Lobby" entry trigger 2 has the same scope and schedule as "Lobby" entry trigger 1/);
+});
+
+test('retract_conflict: one deadbolt, different after-unlock modes across doors', () => {
+  const retract = (mode, secs) => ({ type: 'entry', scope: null, actions: { unlock: [], retract: [{ lock_id: 'bolt', after_unlock: mode, relock_seconds: secs }] } });
+  const found = analyzeFlows({ Front: { triggers: [retract('stay_unlocked')] }, Side: { triggers: [retract('relock_after', 30)] } });
+  assert.deepEqual(kinds(found), ['retract_conflict']);
+  assert.match(found[0].message, /"bolt".*"Front" entry trigger 1 \(stay unlocked\), "Side" entry trigger 1 \(relock after 30s\)/);
+  assert.deepEqual(analyzeFlows({ Front: { triggers: [retract('relock_after', 10)] }, Side: { triggers: [retract('relock_after', 30)] } }), []);
+});
+
+test('missing references: flow door, unlock target, lock rule door, retract and lock ids', () => {
+  const flows = {
+    Old: { triggers: [
+      { type: 'entry', scope: null, actions: { unlock: [{ doors: ['Gone'] }], retract: [{ lock_id: 'ghost', after_unlock: 'stay_unlocked' }], lock_rule: [{ door: 'Vanished', type: 'keep_lock' }] } },
+      { type: 'door_closed', scope: null, actions: { unlock: [], retract: [], lock: [{ lock_id: 'ghost2' }] } },
+    ] },
+  };
+  const found = analyzeFlows(flows, { doors: ['Lobby'], locks: ['bolt'] });
+  assert.deepEqual(kinds(found), ['missing_door', 'missing_door', 'missing_door', 'missing_lock', 'missing_lock']);
+  assert.match(found[1].message, /unlocks "Gone"/);
+  assert.match(found[2].message, /lock rule on "Vanished"/);
+  assert.deepEqual(analyzeFlows(flows, { doors: null, locks: null }), [], 'unknown inventories skip the checks');
+});
+
+test('keypad_unlock: twins are per lock, it starts no loop, and a removed keypad lock is missing', () => {
+  const keypad = (lockId, doors) => ({ type: 'keypad_unlock', lock_id: lockId, scope: null, actions: { unlock: [{ doors }], retract: [] } });
+  const flows = {
+    Lobby: { triggers: [keypad('front_bolt', ['Suite 100']), keypad('side_bolt', ['Suite 100'])] },
+    'Suite 100': { triggers: [entry(['Lobby'])] },
+  };
+  assert.deepEqual(analyzeFlows(flows, { doors: ['Lobby', 'Suite 100'], locks: ['front_bolt', 'side_bolt'] }), []);
+  flows.Lobby.triggers.push(keypad('front_bolt', ['Suite 100']));
+  const found = analyzeFlows(flows, { doors: ['Lobby', 'Suite 100'], locks: ['side_bolt'] });
+  assert.deepEqual(kinds(found), ['missing_lock', 'duplicate_scope', 'missing_lock']);
+  assert.match(found[0].message, /keypad of "front_bolt"/);
+});
@@ -0,0 +1,142 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const replay = require('../src/flow-replay');
+
+// ---- fixtures --------------------------------------------------------------
+
+function grant(door, opts = {}) {
+  const { actor = 'Ana', actorId = null, result = 'ACCESS', direction, provider = 'NFC' } = opts;
+  const target = [{ type: 'door', id: null, display_name: door }];
+  if (direction) target.push({ type: 'device_config', id: 'door_entry_method', display_name: direction });
+  return {
+    event: 'access.logs.add',
+    data: { _source: { target, actor: { id: actorId, display_name: actor }, event: { type: 'access.door.unlock', result }, authentication: { credential_provider: provider } } },
+  };
+}
+
+function secured(door, lock) {
+  return { event: 'access.data.v2.location.update', data: { id: 'loc-1', location_type: 'door', name: door, state: { lock } } };
+}
+
+function entry(actions, extra = {}) {
+  return Object.assign({ type: 'entry', scope: null, actions: Object.assign({ unlock: [], retract: [] }, actions) }, extra);
+}
+
+const MON_9 = Date.UTC(2026, 2, 2, 9, 0);
+const config = { site: { timezone: 'UTC' } };
+
+// ---- replayDiff --------------------------------------------------------------
+
+test('a draft that adds an unlock shows it on the events it would have fired for', () => {
+  const saved = { Lobby: { triggers: [entry({ unlock: [{ doors: ['Suite 100'] }] })] } };
+  const draft = { Lobby: { triggers: [entry({ unlock: [{ doors: ['Suite 100', 'Elevator'], delay_seconds: 5 }] })] } };
+  const events = [
+    { at: MON_9, raw: grant('Lobby') },
+    { at: MON_9 + 60000, raw: grant('Garage') },
+  ];
+  const r = replay.replayDiff(events, saved, draft, { config });
+  assert.deepEqual(r.summary, { replayed: 2, changed: 1, unchanged: 1 });
+  const [lobby, garage] = r.events;
+  assert.equal(lobby.kind, 'entry');
+  assert.equal(lobby.door, 'Lobby');
+  assert.deepEqual(lobby.before, ['unlock Suite 100']);
+  assert.deepEqual(lobby.after, ['unlock Suite 100 after 5s', 'unlock Elevator after 5s']);
+  assert.deepEqual(lobby.added, ['unlock Suite 100 after 5s', 'unlock Elevator after 5s']);
+  assert.deepEqual(lobby.removed, ['unlock Suite 100']);
+  assert.equal(garage.changed, false, 'a door with no flow does nothing either way');
+});
+
+test('retracts report their after-unlock mode, and a draft that changes it is a change', () => {
+  const retract = (mode, secs) => ({ Front: { triggers: [entry({ retract: [{ lock_id: 'front_bolt', after_unlock: mode, relock_seconds: secs }] })] } });
+  const r = replay.replayDiff([{ at: MON_9, raw: grant('Front') }], retract('stay_unlocked'), retract('relock_after', 30), { config });
+  assert.deepEqual(r.events[0].before, ['retract front_bolt (stay unlocked)']);
+  assert.deepEqual(r.events[0].after, ['retract front_bolt (relock after 30s)']);
+  assert.equal(r.events[0].changed, true);
+});
+
+test('schedules and debounce run on each event\'s own time, in time order', () => {
+  const hours = { windows: [{ days: ['mon'], start: '08:00', end: '18:00' }] };
+  const flows = { Lobby: { triggers: [entry({ unlock: [{ doors: ['Suite 100'], debounce_seconds: 30 }] }, { schedule: hours })] } };
+  const events = [
+    { at: MON_9 + 10000, raw: grant('Lobby', { actor: 'Ben' }) }, // inside the debounce window
+    { at: MON_9, raw: grant('Lobby', { actor: 'Ana' }) },
+    { at: Date.UTC(2026, 2, 2, 20, 0), raw: grant('Lobby', { actor: 'Cy' }) }, // after hours
+  ];
+  const r = replay.replayDiff(events, {}, flows, { config });
+  assert.deepEqual(r.events.map((e) => [e.actor, e.after.length]), [['Ana', 1], ['Ben', 0], ['Cy', 0]]);
+});
+
+test('scopes resolve through the user lookup; denials and the orchestrator\'s own unlocks never fire', () => {
+  const flows = { Lobby: { triggers: [entry({ unlock: [{ doors: ['Suite 100'] }] }, { scope: { groups: ['Staff'] } })] } };
+  const groups = { 'u-1': 'Staff', 'u-2': 'Visitors' };
+  const events = [
+    { at: MON_9, raw: grant('Lobby', { actorId: 'u-1' }) },
+    { at: MON_9 + 60000, raw: grant('Lobby', { actorId: 'u-2' }) },
+    { at: MON_9 + 120000, raw: grant('Lobby', { actorId: 'u-1', result: 'BLOCKED' }) },
+    { at: MON_9 + 180000, raw: grant('Lobby', { actorId: 'u-1', provider: 'REMOTE_THROUGH_UAH' }) },
+  ];
+  const r = replay.replayDiff(events, {}, flows, { config, userGroup: (id) => groups[id] || null });
+  assert.deepEqual(r.events.map((e) => e.after.length), [1, 0, 0, 0]);
+});
+
+test('door telemetry drives lock-on-secured, and quiet telemetry is left out of the rows', () => {
+  const flows = { Front: { triggers: [entry({ retract: [{ lock_id: 'front_bolt', after_unlock: 'lock_default', relock_cooldown_seconds: 0 }] })] } };
+  const events = [
+    { at: MON_9, raw: secured('Front', 'unlocked') },
+    { at: MON_9 + 5000, raw: secured('Front', 'locked') },
+  ];
+  const r = replay.replayDiff(events, {}, flows, { config });
+  assert.equal(r.events.length, 1, 'the seeding update did nothing under either version');
+  assert.equal(r.events[0].kind, 'door');
+  assert.deepEqual(r.events[0].after, ['lock front_bolt']);
+});
+
+// ---- sources -------------------------------------------------------------------
+
+test('a feed record rebuilds an event the controllers read the same way (exit kept)', () => {
+  const raw = grant('Lobby', { actor: 'Ana', actorId: 'u-1', direction: 'exit' });
+  const rec = replay.feedRecord(raw);
+  assert.deepEqual(rec, { kind: 'grant', door: 'Lobby', door_id: null, actor: 'Ana', actor_id: 'u-1', result: 'ACCESS', direction: 'exit', credential_provider: 'NFC' });
+  assert.deepEqual(replay.feedRecord(replay.eventFromFeedRecord(rec)), rec);
+  const bell = { event: 'access.doorbell.completed', data: { object: { reason_code: 107 }, location: { id: 'd-1', name: 'Lobby' }, actor: { id: 'u-9', name: 'Front Desk' }, device: { name: 'Desk iPad' } } };
+  const bellRec = replay.feedRecord(bell);
+  assert.equal(bellRec.kind, 'doorbell');
+  assert.deepEqual(replay.feedRecord(replay.eventFromFeedRecord(bellRec)), bellRec);
+  assert.equal(replay.feedRecord(secured('Lobby', 'locked')), null, 'telemetry is not a feed record');
+});
+
+test('eventsFromFeed takes the newest N replayable entries oldest first and counts the rest', () => {
+  const rec = (door) => replay.feedRecord(grant(door));
+  const feed = [ // newest first, as eventHistory
+    { timestamp: '2026-03-02T09:03:00.000Z', type: 'deadbolt.cascade', action: 'cascade ok' },
+    { timestamp: '2026-03-02T09:02:00.000Z', type: 'access.door.unlock', replay: rec('C') },
+    { timestamp: '2026-03-02T09:01:00.000Z', type: 'access.door.unlock' }, // written before replay records
+    { timestamp: '2026-03-02T09:00:00.000Z', type: 'access.door.unlock', replay: rec('B') },
+    { timestamp: '2026-03-02T08:59:00.000Z', type: 'access.door.unlock', replay: rec('A') },
+  ];
+  const { events, skipped } = replay.eventsFromFeed(feed, 2);
+  assert.deepEqual(events.map((e) => replay.describeEvent(e.raw).door), ['B', 'C']);
+  assert.equal(events[0].at, Date.parse('2026-03-02T09:00:00.000Z'));
+  assert.equal(skipped, 1);
+});
+
+test('eventsFromCapture keeps the last N events the controllers act on', () => {
+  const records = [
+    { t: '2026-03-02T09:00:00.000Z', event: grant('A') },
+    { t: '2026-03-02T09:00:01.000Z', event: { event: 'access.device.update', data: {} } },
+    { t: '2026-03-02T09:00:02.000Z', event: secured('A', 'locked') },
+    { t: '2026-03-02T09:00:03.000Z', event: grant('B') },
+  ];
+  const { events } = replay.eventsFromCapture(records, 2);
+  assert.deepEqual(events.map((e) => replay.describeEvent(e.raw).kind), ['door', 'entry']);
+});
+
+test('describeAction names lock rules and http actions without secrets or query strings', () => {
+  assert.equal(replay.describeAction({ kind: 'lock_rule', door: 'Suite 100', rule: 'keep_unlock', minutes: 30, delay_seconds: 0 }), 'hold Suite 100 unlocked for 30 min');
+  assert.equal(replay.describeAction({ kind: 'lock', lock_id: 'b', delay_seconds: 10 }), 'lock b after 10s');
+  const flows = { Lobby: { triggers: [entry({ http: [{ url: 'https://hooks.example.com/lights?token=abc', secret: 's' }] })] } };
+  const r = replay.replayDiff([{ at: MON_9, raw: grant('Lobby') }], {}, flows, { config });
+  assert.deepEqual(r.events[0].after, ['POST hooks.example.com/lights']);
+});
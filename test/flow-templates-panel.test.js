@@ -0,0 +1,96 @@
+'use strict';
+
+// Guards the Automations tab flow templates panel: one card per template with
+// its placeholder triggers and linked doors, "new template from door", and the
+// preview of what a save would re-render. Extracts the REAL functions from
+// public/index.html.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const html = fs.readFileSync(path.join(__dirname, '..', 'public', 'index.html'), 'utf8');
+
+function extractFn(name) {
+  const start = html.indexOf('function ' + name);
+  assert.ok(start >= 0, 'function not found: ' + name);
+  let depth = 0;
+  const open = html.indexOf('{', start);
+  for (let j = open; j < html.length; j++) {
+    if (html[j] === '{') depth++;
+    else if (html[j] === '}') { depth--; if (depth === 0) return html.slice(start, j + 1); }
+  }
+  throw new Error('unbalanced braces for ' + name);
+}
+
+function load() {
+  const src = extractFn('escapeHtml') + '\n' + extractFn('templateFromFlow') + '\n' + extractFn('buildFlowTemplatesSection')
+    + '\n' + extractFn('buildTemplatePreview');
+  return new Function(src + '; return { templateFromFlow, buildFlowTemplatesSection, buildTemplatePreview };')();
+}
+
+test('a door flow becomes a template: its one lock, group and own door turn into placeholders', () => {
+  const { templateFromFlow } = load();
+  const flow = {
+    door_id: 'd100',
+    triggers: [{
+      type: 'entry',
+      scope: { groups: ['Suite 100 Tenants'] },
+      actions: {
+        unlock: [{ doors: ['Suite 100', 'Elevator'], door_ids: ['d100', 'e1'] }],
+        retract: [{ lock_id: 'bolt_100', after_unlock: 'stay_unlocked', hardware_conflict: true }],
+        http: [{ url: 'https://bms.example.com/in', secret: '••••' }],
+      },
+    }],
+  };
+  const { template, link } = templateFromFlow('Suite 100', flow);
+  assert.deepEqual(link, { lock: 'bolt_100', group: 'Suite 100 Tenants' });
+  const t = template.triggers[0];
+  assert.deepEqual(t.scope.groups, ['{{group}}']);
+  assert.deepEqual(t.actions.unlock[0], { doors: ['{{door}}', 'Elevator'] });
+  assert.deepEqual(t.actions.retract[0], { lock_id: '{{lock}}', after_unlock: 'stay_unlocked' });
+  assert.equal(t.actions.http[0].secret, undefined, 'secrets stay on the door');
+  assert.equal(flow.triggers[0].actions.retract[0].lock_id, 'bolt_100', 'the door flow is not touched');
+
+  const two = templateFromFlow('Lobby', { triggers: [{ type: 'entry', scope: null, actions: { retract: [{ lock_id: 'a' }, { lock_id: 'b' }] } }] });
+  assert.deepEqual(two.link, {}, 'with two locks neither is guessed');
+  assert.equal(two.template.triggers[0].actions.retract[1].lock_id, 'b');
+});
+
+test('each template is a card with its linked doors; a linked door is not offered again', () => {
+  const { buildFlowTemplatesSection } = load();
+  const out = buildFlowTemplatesSection({
+    list: [{ name: 'Tenant suite', description: 'suite bolt', triggers: [{ type: 'entry' }], links: { 'Suite 100': { lock: 'bolt_100', group: 'T100' } } }],
+    doors: ['Suite 100', 'Suite 200'],
+    locks: [{ lock_id: 'bolt_100', name: 'Suite 100 bolt' }, { lock_id: 'bolt_200', name: 'Suite 200 bolt' }],
+    flow_doors: ['Lobby'],
+  });
+  assert.match(out, /id="ftName_0" value="Tenant suite"/);
+  assert.match(out, /id="ftTriggers_0"[^>]*>\[\n {2}\{\n {4}&quot;type&quot;: &quot;entry&quot;/);
+  assert.match(out, /<option value="bolt_100" selected>Suite 100 bolt<\/option>/);
+  assert.match(out, /id="ftGroup_0_0" value="T100"/);
+  const linkPicker = out.slice(out.indexOf('id="ftLinkDoor_0"'));
+  assert.ok(!linkPicker.slice(0, linkPicker.indexOf('</select>')).includes('>Suite 100<'));
+  assert.match(linkPicker, /<option value="Suite 200">/);
+  assert.match(out, /id="ftFromDoor"[\s\S]*<option value="Lobby">/);
+
+  const empty = buildFlowTemplatesSection({ list: [], doors: [], locks: [], flow_doors: [] });
+  assert.match(empty, /No templates yet/);
+  assert.ok(!empty.includes('ftFromDoor'), 'nothing to start from without door flows');
+});
+
+test('the preview lists only doors that would change, with removed and added lines', () => {
+  const { buildTemplatePreview } = load();
+  const out = buildTemplatePreview([
+    { door: 'Suite 100', template: 'Tenant suite', status: 'unchanged', added: [], removed: [] },
+    { door: 'Suite 200', template: 'Tenant suite', status: 'changed', added: ['entry (T): retract bolt_200 (stay unlocked)'], removed: ['entry (T): retract bolt_200 (lock default)'] },
+    { door: 'Suite 300', template: 'Tenant suite', status: 'changed', added: [], removed: [] },
+  ]);
+  assert.match(out, /2 of 3 linked doors would change\./);
+  assert.ok(!out.includes('Suite 100'));
+  assert.match(out, /- entry \(T\): retract bolt_200 \(lock default\)[\s\S]*\+ entry \(T\): retract bolt_200 \(stay unlocked\)/);
+  assert.match(out, /Suite 300[\s\S]*settings only/);
+  assert.match(buildTemplatePreview([{ door: 'A', template: 'X', status: 'unchanged', added: [], removed: [] }]), /All 1 linked door already match/);
+  assert.match(buildTemplatePreview([]), /No doors are linked/);
+});
@@ -0,0 +1,97 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  placeholdersOf,
+  renderTemplates,
+  linkedDoors,
+  validateTemplates,
+  dropHttpSecrets,
+  diffRendered,
+} = require('../src/flow-templates');
+
+function suiteTemplate(links) {
+  return {
+    description: 'tenant entry retracts the suite deadbolt',
+    triggers: [{
+      type: 'entry',
+      scope: { groups: ['{{group}}'] },
+      actions: {
+        unlock: [],
+        retract: [{ lock_id: '{{lock}}', after_unlock: 'stay_unlocked' }],
+        http: [{ url: 'https://bms.example.com/{{door}}', body: { door: '{{door}}', who: '{{actor}}' } }],
+      },
+    }],
+    links,
+  };
+}
+
+test('each linked door renders its own flow; http bodies keep their per-event placeholders', () => {
+  const templates = {
+    Suite: suiteTemplate({
+      'Suite 100': { lock: 'bolt_100', group: 'Tenants 100' },
+      'Suite 200': { lock: 'bolt_200', group: 'Tenants 200', door_id: 'd200' },
+    }),
+  };
+  const { flows, owner } = renderTemplates(templates);
+  assert.deepEqual(Object.keys(flows), ['Suite 100', 'Suite 200']);
+  const t = flows['Suite 200'].triggers[0];
+  assert.equal(flows['Suite 200'].door_id, 'd200');
+  assert.deepEqual(t.scope, { groups: ['Tenants 200'] });
+  assert.equal(t.actions.retract[0].lock_id, 'bolt_200');
+  assert.equal(t.actions.http[0].url, 'https://bms.example.com/Suite 200');
+  assert.deepEqual(t.actions.http[0].body, { door: '{{door}}', who: '{{actor}}' }, 'the body is filled per event, not per door');
+  assert.equal(templates.Suite.triggers[0].actions.retract[0].lock_id, '{{lock}}', 'the template itself is untouched');
+  assert.deepEqual(owner, { 'Suite 100': 'Suite', 'Suite 200': 'Suite' });
+  assert.deepEqual(linkedDoors(templates), owner);
+  assert.deepEqual(placeholdersOf(templates.Suite).sort(), ['door', 'group', 'lock']);
+});
+
+test('validateTemplates: missing link values, unknown placeholders, double links, secrets and bad renders', () => {
+  assert.deepEqual(validateTemplates(null), []);
+  assert.deepEqual(validateTemplates({ Suite: suiteTemplate({ 'Suite 100': { lock: 'b', group: 'g' } }) }), []);
+  assert.ok(validateTemplates({ Suite: suiteTemplate({ 'Suite 100': { lock: 'b' } }) })
+    .some((e) => /links\["Suite 100"\] needs a group/.test(e)));
+  const unknown = suiteTemplate({});
+  unknown.triggers[0].actions.retract[0].lock_id = '{{bolt}}';
+  assert.ok(validateTemplates({ Suite: unknown }).some((e) => /uses \{\{bolt\}\}/.test(e)));
+  assert.ok(validateTemplates({
+    A: suiteTemplate({ 'Suite 100': { lock: 'b', group: 'g' } }),
+    B: suiteTemplate({ 'Suite 100': { lock: 'c', group: 'g' } }),
+  }).some((e) => /linked to both "A" and "B"/.test(e)));
+  const signed = suiteTemplate({});
+  signed.triggers[0].actions.http[0].secret = 'shh';
+  assert.ok(validateTemplates({ Suite: signed }).some((e) => /set signing secrets on the door/.test(e)));
+  const bad = suiteTemplate({ 'Suite 100': { lock: 'b', group: 'g' } });
+  bad.triggers[0].actions.retract[0].after_unlock = 'sometimes';
+  assert.ok(validateTemplates({ Suite: bad }).every((e) => /^rendered template: /.test(e)));
+  assert.ok(validateTemplates({ Suite: { triggers: [] } }).some((e) => /triggers must be a non-empty array/.test(e)));
+});
+
+test('dropHttpSecrets removes carried signing secrets only', () => {
+  const t = { Suite: suiteTemplate({}) };
+  t.Suite.triggers[0].actions.http[0].secret = 'carried';
+  t.Suite.triggers[0].actions.http[0].headers = { 'x-api-key': 'k' };
+  dropHttpSecrets(t);
+  assert.equal(t.Suite.triggers[0].actions.http[0].secret, undefined);
+  assert.deepEqual(t.Suite.triggers[0].actions.http[0].headers, { 'x-api-key': 'k' });
+});
+
+test('diffRendered reports new, changed and unchanged doors with readable lines', () => {
+  const { flows, owner } = renderTemplates({ Suite: suiteTemplate({ 'Suite 100': { lock: 'bolt_100', group: 'T' }, 'Suite 200': { lock: 'bolt_200', group: 'T' }, 'Suite 300': { lock: 'bolt_300', group: 'T' } }) });
+  const current = {
+    'Suite 100': JSON.parse(JSON.stringify(flows['Suite 100'])),
+    'Suite 200': { door_id: null, triggers: [{ type: 'entry', scope: { groups: ['T'] }, actions: { unlock: [], retract: [{ lock_id: 'bolt_200', after_unlock: 'relock_after', relock_seconds: 30 }] } }] },
+  };
+  // Key order on disk never reads as a change.
+  const t100 = current['Suite 100'].triggers[0];
+  current['Suite 100'].triggers[0] = { actions: t100.actions, scope: t100.scope, type: t100.type };
+  const rows = diffRendered(current, flows, owner);
+  assert.deepEqual(rows.map((r) => [r.door, r.status]), [['Suite 100', 'unchanged'], ['Suite 200', 'changed'], ['Suite 300', 'new']]);
+  const changed = rows[1];
+  assert.deepEqual(changed.removed, ['entry (T): retract bolt_200 (relock after 30s)']);
+  assert.ok(changed.added.includes('entry (T): retract bolt_200 (stay unlocked)'));
+  assert.ok(changed.added.includes('entry (T): POST bms.example.com/Suite%20200'));
+  assert.equal(changed.template, 'Suite');
+});
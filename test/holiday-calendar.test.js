@@ -0,0 +1,73 @@
+'use strict';
+
+// Guards the Automations tab holiday calendar: one row per closure day or
+// exception (dates, name, replacement hours, relock override), an add and an
+// .ics import control, and the "today is a holiday" notice. Extracts the REAL
+// functions from public/index.html.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const html = fs.readFileSync(path.join(__dirname, '..', 'public', 'index.html'), 'utf8');
+
+function extractFn(name) {
+  const start = html.indexOf('function ' + name);
+  assert.ok(start >= 0, 'function not found: ' + name);
+  let depth = 0;
+  const open = html.indexOf('{', start);
+  for (let j = open; j < html.length; j++) {
+    if (html[j] === '{') depth++;
+    else if (html[j] === '}') { depth--; if (depth === 0) return html.slice(start, j + 1); }
+  }
+  throw new Error('unbalanced braces for ' + name);
+}
+
+function load() {
+  const src = extractFn('escapeHtml') + '\n' + extractFn('_holidayHoursText') + '\n' + extractFn('_parseHolidayHours')
+    + '\n' + extractFn('buildHolidaySection');
+  return new Function(src + '; return { buildHolidaySection, _parseHolidayHours, _holidayHoursText };')();
+}
+
+test('each holiday is an editable row; a closure day shows blank hours', () => {
+  const { buildHolidaySection } = load();
+  const out = buildHolidaySection({
+    holidays: [
+      { date: '2026-12-24', end_date: '2026-12-24', name: 'Christmas Eve', hours: [{ start: '08:00', end: '12:00' }], relock_seconds: 60 },
+      { date: '2026-12-28', end_date: '2026-12-31', name: 'Shutdown', hours: [], relock_seconds: null },
+    ],
+    timezone: 'America/Chicago',
+    today: { date: '2026-10-19', holiday: null },
+  });
+  assert.match(out, /HOLIDAY CALENDAR/);
+  assert.match(out, /id="hdName_0" value="Christmas Eve"/);
+  assert.match(out, /id="hdHours_0" value="08:00-12:00"/);
+  assert.match(out, /id="hdRelock_0" value="60"/);
+  assert.match(out, /id="hdEnd_0" value=""/, 'a single day leaves the end date blank');
+  assert.match(out, /id="hdEnd_1" value="2026-12-31"/);
+  assert.match(out, /id="hdHours_1" value=""/, 'closed all day');
+  assert.match(out, /removeHoliday\(1\)/);
+  assert.match(out, /America\/Chicago/);
+  assert.match(out, /data-hd-save/, 'Save carries the dirty-save hook');
+  assert.doesNotMatch(out, /notice-warn/, 'no notice on an ordinary day');
+});
+
+test('an empty calendar offers add and .ics import; today on a holiday is called out', () => {
+  const { buildHolidaySection } = load();
+  const empty = buildHolidaySection({ holidays: [], timezone: null, today: { date: '2026-10-19', holiday: null } });
+  assert.match(empty, /No holidays yet/);
+  assert.match(empty, /addHoliday\(\)/);
+  assert.match(empty, /accept="\.ics,text\/calendar"/);
+  assert.match(empty, /importHolidayIcs\(this\)/);
+  const today = buildHolidaySection({ holidays: [{ date: '2026-12-25', name: 'Christmas <Day>' }], today: { date: '2026-12-25', holiday: 'Christmas <Day>' } });
+  assert.match(today, /Today \(2026-12-25\) is Christmas &lt;Day&gt;/);
+});
+
+test('hours text round-trips; blank is closed and junk is refused', () => {
+  const { _parseHolidayHours, _holidayHoursText } = load();
+  assert.deepEqual(_parseHolidayHours(''), []);
+  assert.deepEqual(_parseHolidayHours('8:00-12:00, 13:00 - 17:30'), [{ start: '08:00', end: '12:00' }, { start: '13:00', end: '17:30' }]);
+  assert.equal(_parseHolidayHours('morning'), null);
+  assert.equal(_holidayHoursText([{ start: '08:00', end: '12:00' }, { start: '13:00', end: '17:30' }]), '08:00-12:00, 13:00-17:30');
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+// Guards src/http-action.js: template rendering, signing, and the
+// timeout/retry policy of one outbound door-flow webhook delivery.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { renderTemplate, defaultBody, signBody, displayUrl, sendHttpAction } = require('../src/http-action');
+
+const CTX = { actor: 'Kim', actor_id: 'u1', door: 'Lobby', door_id: 'd1', group: null, time: '2026-03-02T12:00:00.000Z', trigger: 'entry' };
+
+function fakeFetch(statuses) {
+  const calls = [];
+  const fn = async (url, init) => {
+    calls.push({ url, init });
+    const s = statuses[Math.min(calls.length - 1, statuses.length - 1)];
+    if (s instanceof Error) throw s;
+    return { ok: s >= 200 && s < 300, status: s };
+  };
+  fn.calls = calls;
+  return fn;
+}
+const noSleep = async () => {};
+
+test('renderTemplate: fills placeholders inside strings, keeps raw values for a whole placeholder', () => {
+  const out = renderTemplate({ msg: '{{actor}} at {{door}}', who: '{{group}}', list: ['{{trigger}}', 3], odd: '{{nope}}' }, CTX);
+  assert.deepEqual(out, { msg: 'Kim at Lobby', who: null, list: ['entry', 3], odd: '{{nope}}' });
+  assert.deepEqual(defaultBody(CTX), Object.assign({ event: 'door_flow' }, CTX));
+});
+
+test('sendHttpAction: posts the rendered JSON and signs it when a secret is set', async () => {
+  const f = fakeFetch([200]);
+  const r = await sendHttpAction({ url: 'https://h.example/a', headers: { 'X-Zone': 'lobby' }, body: { who: '{{actor}}' }, secret: 's3cret' }, CTX, { fetch: f, sleep: noSleep });
+  assert.deepEqual(r, { success: true, status: 200, attempts: 1, error: null });
+  const { init } = f.calls[0];
+  assert.equal(init.method, 'POST');
+  assert.equal(init.body, '{"who":"Kim"}');
+  assert.equal(init.headers['X-Zone'], 'lobby');
+  const want = `sha256=${crypto.createHmac('sha256', 's3cret').update(init.body).digest('hex')}`;
+  assert.equal(init.headers['x-orchestrator-signature'], want);
+  assert.equal(signBody('s3cret', init.body), want);
+  const unsigned = fakeFetch([200]);
+  await sendHttpAction({ url: 'https://h.example/a' }, CTX, { fetch: unsigned, sleep: noSleep });
+  assert.ok(!('x-orchestrator-signature' in unsigned.calls[0].init.headers));
+});
+
+test('sendHttpAction: retries a 5xx or network error, but not a 4xx', async () => {
+  const flaky = fakeFetch([503, new Error('ECONNRESET'), 200]);
+  const ok = await sendHttpAction({ url: 'https://h.example/a', retries: 2 }, CTX, { fetch: flaky, sleep: noSleep });
+  assert.deepEqual(ok, { success: true, status: 200, attempts: 3, error: null });
+
+  const down = fakeFetch([500]);
+  const failed = await sendHttpAction({ url: 'https://h.example/a', retries: 1 }, CTX, { fetch: down, sleep: noSleep });
+  assert.deepEqual(failed, { success: false, status: 500, attempts: 2, error: 'HTTP 500' });
+
+  const bad = fakeFetch([404]);
+  const final = await sendHttpAction({ url: 'https://h.example/a', retries: 3 }, CTX, { fetch: bad, sleep: noSleep });
+  assert.equal(final.attempts, 1, 'a 4xx is final');
+});
+
+test('sendHttpAction: an attempt that outlives its timeout is aborted and reported', async () => {
+  const hang = (url, init) => new Promise((resolve, reject) => {
+    init.signal.addEventListener('abort', () => { const e = new Error('aborted'); e.name = 'AbortError'; reject(e); });
+  });
+  const r = await sendHttpAction({ url: 'https://h.example/a', timeout_seconds: 1, retries: 0 }, CTX, { fetch: hang, sleep: noSleep });
+  assert.deepEqual(r, { success: false, status: null, attempts: 1, error: 'timed out after 1s' });
+});
+
+test('displayUrl: host and path only', () => {
+  assert.equal(displayUrl('https://user:pw@bms.local:8443/hooks/a?token=x'), 'bms.local:8443/hooks/a');
+  assert.equal(displayUrl('not a url'), 'invalid url');
+});
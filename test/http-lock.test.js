@@ -0,0 +1,222 @@
+'use strict';
+
+// Guards src/drivers/http-lock.js: the REST lock driver's calls, status
+// parsing (JSON path, custom state values), verified commands, and the
+// polled online/offline link. A fake fetch plays the device; one test runs
+// against a real local HTTP server.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const { LockState } = require('../src/drivers/lock-driver');
+const { HttpLock, httpLockConfigError, valueAtPath } = require('../src/drivers/http-lock');
+
+const quiet = { info() {}, warn() {}, error() {} };
+
+/**
+ * A relay board behind fetch. `state` is what status reports; a lock/unlock
+ * call moves it (after `lagPolls` more status reads, or never when
+ * `stuck`). `down` makes every call fail like an unreachable host.
+ */
+function fakeDevice(opts = {}) {
+  const dev = {
+    state: opts.state || 'locked',
+    battery: opts.battery == null ? 90 : opts.battery,
+    down: false,
+    stuck: !!opts.stuck,
+    jamOn: opts.jamOn || null,
+    lagPolls: opts.lagPolls || 0,
+    calls: [],
+    pending: null,
+  };
+  dev.fetch = async (url, init) => {
+    dev.calls.push({ url, method: init.method, headers: init.headers, body: init.body });
+    if (dev.down) throw new Error('connect ECONNREFUSED');
+    const path = new URL(url).pathname;
+    if (path === '/status') {
+      if (dev.pending && dev.pending.wait-- <= 0) { dev.state = dev.pending.to; dev.pending = null; }
+      return { ok: true, status: 200, text: async () => JSON.stringify({ data: { lock: { state: dev.state }, battery: dev.battery } }) };
+    }
+    if (path === '/lock' || path === '/unlock') {
+      if (opts.failCommands) return { ok: false, status: 503, text: async () => 'busy' };
+      const to = path === '/lock' ? 'locked' : 'unlocked';
+      if (dev.jamOn === to) dev.state = 'jammed';
+      else if (!dev.stuck) dev.pending = { to, wait: dev.lagPolls };
+      return { ok: true, status: 200, text: async () => '{"ok":true}' };
+    }
+    return { ok: false, status: 404, text: async () => '' };
+  };
+  return dev;
+}
+
+function cfg(overrides = {}) {
+  return Object.assign({
+    id: 'side_gate',
+    name: 'Side Gate',
+    headers: { authorization: 'Bearer t0k' },
+    lock: { url: 'http://relay.local/lock', body: { lock: '{{lock_id}}', why: '{{reason}}' } },
+    unlock: { url: 'http://relay.local/unlock', method: 'PUT', body: 'cmd={{action}}' },
+    status: { url: 'http://relay.local/status', state_path: 'data.lock.state', battery_path: 'data.battery' },
+    verify_timeout_ms: 100,
+    verify_poll_ms: 5,
+    verify_retries: 0,
+    retry_backoff_ms: 0,
+    poll_seconds: 0,
+  }, overrides);
+}
+
+async function makeLock(dev, overrides) {
+  const lock = new HttpLock(cfg(overrides), { fetch: dev.fetch, logger: quiet });
+  await lock.init();
+  return lock;
+}
+
+test('HttpLock: init reads status through the JSON path and comes up online', async () => {
+  const dev = fakeDevice({ state: 'locked', battery: 20 });
+  const lock = await makeLock(dev);
+  const snap = lock.snapshot();
+  assert.equal(snap.boltState, LockState.LOCKED);
+  assert.equal(snap.battery, 20);
+  assert.equal(snap.batteryLow, true);
+  assert.equal(snap.online, true);
+  assert.equal(snap.model, 'HTTP (relay.local/status)');
+  assert.equal(dev.calls[0].method, 'GET');
+  assert.equal(dev.calls[0].headers.authorization, 'Bearer t0k');
+  await lock.shutdown();
+});
+
+test('HttpLock: commands send the rendered body and confirm from status', async () => {
+  const dev = fakeDevice({ state: 'locked', lagPolls: 2 });
+  const lock = await makeLock(dev);
+  const r = await lock.unlock('entry');
+  assert.equal(r.success, true);
+  assert.equal(r.boltState, LockState.UNLOCKED);
+  const call = dev.calls.find((c) => c.url.endsWith('/unlock'));
+  assert.equal(call.method, 'PUT');
+  assert.equal(call.body, 'cmd=unlock', 'a string body goes out as written');
+  assert.ok(!call.headers['content-type']);
+
+  assert.equal((await lock.lock('relock')).success, true);
+  const lockCall = dev.calls.find((c) => c.url.endsWith('/lock'));
+  assert.equal(lockCall.method, 'POST');
+  assert.deepEqual(JSON.parse(lockCall.body), { lock: 'side_gate', why: 'relock' });
+  assert.equal(lockCall.headers['content-type'], 'application/json');
+  await lock.shutdown();
+});
+
+test('HttpLock: an unconfirmed command fails, names the cause, and confirms late', async () => {
+  const dev = fakeDevice({ state: 'locked', stuck: true });
+  const lock = await makeLock(dev, { late_confirm_ms: 1000 });
+  const late = new Promise((resolve) => lock.once('late-confirm', resolve));
+  const r = await lock.unlock();
+  assert.equal(r.success, false);
+  assert.match(r.error, /did not report it within/);
+  dev.state = 'unlocked';
+  await lock._poll(); // the next regular poll sees it
+  const e = await late;
+  assert.equal(e.action, 'unlock');
+  await lock.shutdown();
+});
+
+test('HttpLock: a failing call is retried, then reported with its HTTP status', async () => {
+  const dev = fakeDevice({ failCommands: true });
+  const lock = await makeLock(dev, { verify_retries: 1 });
+  const r = await lock.unlock();
+  assert.equal(r.success, false);
+  assert.equal(dev.calls.filter((c) => c.url.endsWith('/unlock')).length, 2);
+  assert.match(r.error, /the unlock call failed: HTTP 503 from relay\.local\/unlock/);
+  await lock.shutdown();
+});
+
+test('HttpLock: a jam ends the command without a retry and alerts once', async () => {
+  const dev = fakeDevice({ state: 'unlocked', jamOn: 'locked' });
+  const lock = await makeLock(dev, { verify_retries: 2 });
+  const alerts = [];
+  lock.on('alert', (a) => alerts.push(a.type));
+  const r = await lock.lock();
+  assert.equal(r.success, false);
+  assert.equal(r.boltState, LockState.JAMMED);
+  assert.match(r.error, /jammed/);
+  assert.equal(dev.calls.filter((c) => c.url.endsWith('/lock')).length, 1);
+  assert.deepEqual(alerts, ['deadbolt_jammed']);
+  await lock.shutdown();
+});
+
+test('HttpLock: failed polls take the lock offline and a good one brings it back', async () => {
+  const dev = fakeDevice();
+  const lock = await makeLock(dev, { offline_after: 2 });
+  const seen = [];
+  lock.on('offline', () => seen.push('offline'));
+  lock.on('online', () => seen.push('online'));
+  dev.down = true;
+  await lock._poll();
+  assert.equal(lock.snapshot().online, true, 'one miss is not enough');
+  await lock._poll();
+  assert.equal(lock.snapshot().linkState, 'offline');
+  dev.down = false;
+  await lock._poll();
+  assert.deepEqual(seen, ['offline', 'online']);
+  await lock.shutdown();
+});
+
+test('HttpLock: custom state values map a relay board boolean', async () => {
+  const dev = fakeDevice();
+  const f = async (url) => ({ ok: true, status: 200, text: async () => JSON.stringify({ relays: [{ ison: dev.state === 'unlocked' }] }) });
+  const lock = new HttpLock(cfg({
+    status: { url: 'http://shelly.local/status', state_path: '$.relays[0].ison' },
+    unlocked_states: true,
+    locked_states: false,
+  }), { fetch: f, logger: quiet });
+  await lock.init();
+  assert.equal(lock.snapshot().boltState, LockState.LOCKED);
+  dev.state = 'unlocked';
+  assert.equal(await lock._poll(), LockState.UNLOCKED);
+  await lock.shutdown();
+});
+
+test('HttpLock: config errors and JSON paths', async () => {
+  assert.match(httpLockConfigError(cfg({ status: null })), /status is required/);
+  assert.match(httpLockConfigError(cfg({ lock: { url: 'ftp://x/lock' } })), /lock\.url must be an http/);
+  assert.match(httpLockConfigError(cfg({ unlock: { url: 'http://x/u', method: 'TRACE' } })), /unlock\.method/);
+  assert.equal(httpLockConfigError(cfg()), null);
+  await assert.rejects(new HttpLock(cfg({ status: null }), { fetch: async () => {}, logger: quiet }).init(), /HTTP lock "Side Gate": status is required/);
+  assert.equal(valueAtPath({ a: { b: [{ c: 'x' }] } }, 'a.b.0.c'), 'x');
+  assert.equal(valueAtPath({ a: { b: [{ c: 'x' }] } }, '$.a.b[0].c'), 'x');
+  assert.equal(valueAtPath({ a: 1 }, 'a.b.c'), undefined);
+  assert.equal(valueAtPath('LOCKED', ''), 'LOCKED');
+});
+
+test('HttpLock: round trip against a real local HTTP server', async () => {
+  let state = 'LOCKED';
+  const server = http.createServer((req, res) => {
+    if (req.url === '/state') { res.end(state); return; }
+    let raw = '';
+    req.on('data', (c) => { raw += c; });
+    req.on('end', () => {
+      state = JSON.parse(raw).state;
+      res.end('ok');
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const lock = new HttpLock({
+    id: 'bench',
+    lock: { url: `${base}/cmd`, body: { state: 'LOCKED' } },
+    unlock: { url: `${base}/cmd`, body: { state: 'UNLOCKED' } },
+    status: { url: `${base}/state` },
+    verify_timeout_ms: 2000,
+    verify_poll_ms: 20,
+    poll_seconds: 0,
+  }, { logger: quiet });
+  try {
+    await lock.init();
+    assert.equal(lock.snapshot().boltState, LockState.LOCKED, 'a plain-text status is the state');
+    assert.equal((await lock.unlock()).success, true);
+    assert.equal(state, 'UNLOCKED');
+    assert.equal((await lock.lock()).success, true);
+  } finally {
+    await lock.shutdown();
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
@@ -0,0 +1,52 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseIcsHolidays } = require('../src/ics');
+
+const CAL = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'BEGIN:VEVENT',
+  'DTSTART;VALUE=DATE:20261126',
+  'DTEND;VALUE=DATE:20261127',
+  'SUMMARY:Thanksgiving Day',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'DTSTART;VALUE=DATE:20261228',
+  'DTEND;VALUE=DATE:20270101',
+  'SUMMARY:Year-end shutdown\\, all sites',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'DTSTART:20261224T170000Z',
+  'DTEND:20261224T200000Z',
+  'SUMMARY:Holiday party',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'DTSTART;VALUE=DATE:20260101',
+  'RRULE:FREQ=YEARLY',
+  'SUMMARY:New Year',
+  'END:VEVENT',
+  'END:VCALENDAR',
+].join('\r\n');
+
+test('all-day events import with an inclusive end date', () => {
+  const { holidays } = parseIcsHolidays(CAL);
+  assert.deepEqual(holidays, [
+    { date: '2026-11-26', end_date: '2026-11-26', name: 'Thanksgiving Day' },
+    { date: '2026-12-28', end_date: '2026-12-31', name: 'Year-end shutdown, all sites' },
+  ]);
+});
+
+test('timed and recurring events are skipped with a reason', () => {
+  const { skipped } = parseIcsHolidays(CAL);
+  assert.deepEqual(skipped.map((s) => s.name), ['Holiday party', 'New Year']);
+  assert.match(skipped[0].reason, /timed event/);
+  assert.match(skipped[1].reason, /recurring/);
+});
+
+test('folded lines are unfolded and a bare date needs no VALUE parameter', () => {
+  const { holidays } = parseIcsHolidays('BEGIN:VCALENDAR\nBEGIN:VEVENT\nDTSTART:20260704\nSUMMARY:Independence\n  Day\nEND:VEVENT\nEND:VCALENDAR');
+  assert.deepEqual(holidays, [{ date: '2026-07-04', end_date: '2026-07-04', name: 'Independence Day' }]);
+});
@@ -0,0 +1,163 @@
+'use strict';
+
+// Guards src/keypad-csv.js: CSV parsing (quotes, CRLF, BOM, optional
+// header), user resolution by id or email, and the import plan (combined
+// length rule, PIN policy, in-batch slot and PIN collisions, gating, generated
+// PINs), plus an export that keeps digits out unless asked and round-trips as
+// an import.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  parseCsv,
+  parseImport,
+  resolveUser,
+  planImport,
+  describePlan,
+  buildExportCsv,
+} = require('../src/keypad-csv');
+
+const CAP = { supported: true, slots: 3, min_length: 4, max_length: 8 };
+const DIRECTORY = [
+  { id: 'u1', name: 'Alice', email: 'alice@example.com' },
+  { id: 'u2', name: 'Bob', email: 'Bob@Example.com' },
+  { id: 'u3', name: 'Carol', email: null },
+  { id: 'u4', name: 'Dan' },
+];
+
+function locksCfg() {
+  return {
+    front: { user_codes: { 1: { user_id: 'u1', name: 'Alice', pin_code: '1357', updated_at: '2026-07-15T02:00:00Z' } } },
+    back: { user_codes: {} },
+  };
+}
+
+const LOCKS = [{ lock_id: 'front', cap: CAP }, { lock_id: 'back', cap: CAP }];
+
+// Deterministic digits for generatePin: cycles through `seq`.
+function digits(seq) {
+  let i = 0;
+  return () => Number(seq[i++ % seq.length]);
+}
+
+test('parseCsv: quotes, escaped quotes, embedded newlines, CRLF, BOM and blank lines', () => {
+  const recs = parseCsv('\uFEFFa,"b, c","say ""hi"""\r\n\r\n"multi\nline",2\n');
+  assert.deepEqual(recs, [
+    { line: 1, cells: ['a', 'b, c', 'say "hi"'] },
+    { line: 3, cells: ['multi\nline', '2'] },
+  ]);
+  assert.throws(() => parseCsv('a,"open'), /line 1: unterminated quoted field/);
+});
+
+test('parseImport: header columns in any order, or user,pin,name without one', () => {
+  const withHeader = parseImport('Name,PIN,Email\nAlice,2468,alice@example.com\n');
+  assert.deepEqual(withHeader.rows, [{ line: 2, user: 'alice@example.com', pin: '2468', name: 'Alice' }]);
+  const bare = parseImport('u2,generate\nu3,86420,Carol C\n');
+  assert.deepEqual(bare.rows.map((r) => [r.user, r.pin, r.name]), [['u2', 'generate', null], ['u3', '86420', 'Carol C']]);
+  assert.match(parseImport('email,name\nx@y,z\n').errors[0], /needs a pin column/);
+  assert.match(parseImport('').errors[0], /no rows/);
+  assert.match(parseImport('user_id,pin\n' + 'u1,1234\n'.repeat(501)).errors[0], /at most 500 rows/);
+});
+
+test('resolveUser: email is case-insensitive, ids are exact', () => {
+  assert.equal(resolveUser('bob@example.COM', DIRECTORY).user.id, 'u2');
+  assert.equal(resolveUser('u3', DIRECTORY).user.name, 'Carol');
+  assert.match(resolveUser('U3', DIRECTORY).error, /no synced UniFi user has the id U3/);
+  assert.match(resolveUser('nobody@example.com', DIRECTORY).error, /has the email/);
+  const twice = DIRECTORY.concat({ id: 'u9', name: 'Alias', email: 'alice@example.com' });
+  assert.match(resolveUser('alice@example.com', twice).error, /matches 2 UniFi users/);
+});
+
+test('planImport: in-batch users never share a slot or a PIN', () => {
+  const { rows } = parseImport('user,pin\nu2,2468\nu3,2468\nu4,9753\n');
+  const plan = planImport(rows, { directory: DIRECTORY, locksCfg: locksCfg(), locks: LOCKS });
+  const [bob, carol, dan] = plan.rows;
+  assert.equal(bob.status, 'ok');
+  assert.deepEqual(bob.locks, [{ lock_id: 'front', slot: 2 }, { lock_id: 'back', slot: 1 }]);
+  assert.equal(carol.status, 'error');
+  assert.match(carol.error, /the same PIN as line 2/);
+  assert.deepEqual(dan.locks, [{ lock_id: 'front', slot: 3 }, { lock_id: 'back', slot: 2 }]);
+});
+
+test('planImport: per-row errors for users, PINs, the length rule and held PINs', () => {
+  const csv = 'email,pin\nnobody@example.com,2468\nalice@example.com,12ab\nbob@example.com,123456789\nu3,1357\n';
+  const plan = planImport(parseImport(csv).rows, { directory: DIRECTORY, locksCfg: locksCfg(), locks: LOCKS });
+  assert.deepEqual(plan.rows.map((r) => r.status), ['error', 'error', 'error', 'error']);
+  assert.match(plan.rows[0].error, /no synced UniFi user has the email/);
+  assert.match(plan.rows[1].error, /4 to 10 digits, or "generate"/);
+  assert.match(plan.rows[2].error, /4 to 8 digit codes/);
+  assert.match(plan.rows[3].error, /^PIN policy: the PIN is already held by another user/);
+
+  const fixed = [{ lock_id: 'front', cap: Object.assign({}, CAP, { fixed_length: true, configured_length: 4 }) },
+    { lock_id: 'back', cap: Object.assign({}, CAP, { fixed_length: true, configured_length: 6 }) }];
+  const conflict = planImport(parseImport('u2,generate\n').rows, { directory: DIRECTORY, locksCfg: locksCfg(), locks: fixed });
+  assert.match(conflict.rows[0].error, /different fixed code lengths/);
+});
+
+test('planImport: the site PIN policy applies to given and generated PINs', () => {
+  const policy = { min_length: 6, ban_sequences: true, ban_repeats: true, banned_pins: ['246800'], history: 2 };
+  const csv = 'user,pin\nu2,2468\nu3,246800\nu4,654321\nu1,975310\nu2,generate\n';
+  const plan = planImport(parseImport(csv).rows, {
+    directory: DIRECTORY, locksCfg: locksCfg(), locks: LOCKS, policy,
+    history: { u1: [{ pin_code: '975310' }] },
+    randomInt: digits('111111' + '864209'),
+  });
+  assert.match(plan.rows[0].error, /^PIN policy: the PIN must be at least 6 digits$/);
+  assert.match(plan.rows[1].error, /banned PIN list/);
+  assert.match(plan.rows[2].error, /run of digits/);
+  assert.match(plan.rows[3].error, /one of this user's last 2 PINs/);
+  assert.equal(plan.rows[4].pin, '864209', 'a repeat is never generated');
+});
+
+test('planImport: a full lock makes a row partial; a windowed user is refused', () => {
+  const cfg = locksCfg();
+  cfg.back.user_codes = { 1: { user_id: 'x1', pin_code: '1111' }, 2: { user_id: 'x2', pin_code: '2222' }, 3: { user_id: 'x3', pin_code: '3333' } };
+  const plan = planImport(parseImport('u2,2468\nu3,8642\n').rows, {
+    directory: DIRECTORY, locksCfg: cfg, locks: LOCKS, windowed: new Set(['u3']),
+  });
+  assert.equal(plan.rows[0].status, 'partial');
+  assert.match(plan.rows[0].locks[1].error, /all 3 code slots are in use/);
+  assert.match(plan.rows[1].error, /windowed PIN/);
+});
+
+test('planImport: denied locks are blocked, not written; only-blocked is still a row', () => {
+  const verdicts = new Map([['u2|back', 'denied'], ['u3|front', 'denied'], ['u3|back', 'denied']]);
+  const plan = planImport(parseImport('u2,2468\nu3,8642\n').rows, { directory: DIRECTORY, locksCfg: locksCfg(), locks: LOCKS, verdicts });
+  assert.deepEqual(plan.rows[0].locks, [{ lock_id: 'front', slot: 2 }, { lock_id: 'back', blocked: true }]);
+  assert.equal(plan.rows[1].status, 'ok');
+  assert.deepEqual(plan.rows[1].locks.map((l) => l.blocked), [true, true]);
+});
+
+test('planImport + describePlan: generated PINs are unique and only shown when revealed', () => {
+  const plan = planImport(parseImport('u2,generate\nu3,GENERATE\n').rows, {
+    directory: DIRECTORY, locksCfg: locksCfg(), locks: LOCKS, randomInt: digits('802413' + '802413' + '640271'),
+  });
+  assert.deepEqual(plan.rows.map((r) => r.pin), ['802413', '640271']);
+  const dry = describePlan(plan);
+  assert.ok(dry.rows.every((r) => r.pin === undefined && r.pin_length === 6 && r.generated));
+  assert.deepEqual(dry.summary, { rows: 2, ok: 2, partial: 0, duplicate: 0, errors: 0 });
+  assert.equal(describePlan(plan, { revealGenerated: true }).rows[1].pin, '640271');
+});
+
+test('buildExportCsv: no digits by default, defused cells, and a round trip as an import', () => {
+  const cfg = locksCfg();
+  cfg.back.user_codes = {
+    1: { user_id: 'u1', name: 'Alice', pin_code: '1357', confirmed: null },
+    2: { user_id: 'u2', name: '=HYPERLINK("x")', pin_code: '8642' },
+  };
+  const labels = { front: 'Front Door', back: 'Back, Rear' };
+  const opts = { lockLabel: (id) => labels[id], emails: new Map([['u1', 'alice@example.com']]) };
+  const plain = buildExportCsv(cfg, opts);
+  assert.ok(!/1357|8642/.test(plain), 'no digits without includePins');
+  const lines = plain.trim().split('\r\n');
+  assert.equal(lines[0], 'user_id,email,name,lock_id,lock,slot,status,updated_at');
+  assert.equal(lines[1], 'u2,,"\'=HYPERLINK(""x"")",back,"Back, Rear",2,ok,');
+  assert.equal(lines[2], 'u1,alice@example.com,Alice,back,"Back, Rear",1,pending,');
+
+  const withPins = buildExportCsv(cfg, Object.assign({ includePins: true }, opts));
+  const back = parseImport(withPins);
+  assert.deepEqual(back.errors, []);
+  const plan = planImport(back.rows, { directory: DIRECTORY, locksCfg: cfg, locks: LOCKS });
+  assert.deepEqual(plan.rows.map((r) => r.status), ['ok', 'ok', 'duplicate']);
+  assert.equal(plan.rows[2].same_as_line, 3);
+});
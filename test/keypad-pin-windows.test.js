@@ -0,0 +1,87 @@
+'use strict';
+
+// Guards the guest / contractor PIN controls of the Keypad Users panel: the
+// optional validity window on the add form, the windowed-PIN table (listed
+// even while the window is closed and no lock holds the code), and the picker
+// leaving windowed users out. Extracts the REAL functions from
+// public/index.html.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const html = fs.readFileSync(path.join(__dirname, '..', 'public', 'index.html'), 'utf8');
+
+function extractFn(name) {
+  const start = html.indexOf('function ' + name);
+  assert.ok(start >= 0, 'function not found: ' + name);
+  let depth = 0;
+  const open = html.indexOf('{', start);
+  for (let j = open; j < html.length; j++) {
+    if (html[j] === '{') depth++;
+    else if (html[j] === '}') { depth--; if (depth === 0) return html.slice(start, j + 1); }
+  }
+  throw new Error('unbalanced braces for ' + name);
+}
+
+function load() {
+  const src = ['escapeHtml', 'keypadBlockedLabel', 'keypadLockBadge', 'accessGatingBanner', 'pinRotationLine', '_schedDays', '_schedDayLabel',
+    '_scheduleSummary', 'pinWindowLabel', 'pinWindowBadge', 'keypadWindowFromForm', 'buildKeypadUsersPanel'].map(extractFn).join('\n');
+  return new Function(src + '; return { buildKeypadUsersPanel, keypadWindowFromForm, pinWindowLabel };')();
+}
+
+const LOCKS = [{ lock_id: 'front', name: 'Front Door', supported: true, note: null, gating_door: null }];
+const WINDOW = {
+  user_id: 'u-9', name: 'Acme <Electric>', pin_length: 6, state: 'off_hours',
+  valid_from: '2026-03-02T07:00:00.000Z', valid_until: '2026-03-14T00:00:00.000Z',
+  schedule: { windows: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '07:00', end: '16:00' }] },
+};
+
+test('windowed PINs get their own table with the window and its state; the picker leaves them out', () => {
+  const { buildKeypadUsersPanel } = load();
+  const out = buildKeypadUsersPanel({
+    locks: LOCKS, pin_rule: {}, users: [], windows: [WINDOW],
+    available_users: [{ id: 'u-9', name: 'Acme <Electric>' }, { id: 'u-1', name: 'Alice' }],
+  }, [], false);
+  assert.match(out, /GUEST \/ CONTRACTOR/);
+  assert.match(out, /Acme &lt;Electric&gt;/);
+  assert.match(out, /weekdays 07:00-16:00/);
+  assert.match(out, />off hours</);
+  assert.match(out, /removeKeypadUser\(&quot;u-9&quot;\)/);
+  const picker = out.slice(out.indexOf('id="kuUser"'), out.indexOf('</select>', out.indexOf('id="kuUser"')));
+  assert.ok(!picker.includes('u-9'), 'one PIN per user: a windowed user is not offered again');
+  assert.match(picker, /Alice/);
+  assert.match(out, /id="kuFrom" type="datetime-local"/);
+  assert.ok(!out.includes('482913'));
+  const inert = buildKeypadUsersPanel({ locks: LOCKS, pin_rule: {}, users: [], windows: [WINDOW] }, [], true);
+  assert.match(inert, /id="kuStart" type="time"[^>]*disabled/);
+});
+
+test('a user holding a windowed PIN is marked in the main table', () => {
+  const { buildKeypadUsersPanel } = load();
+  const out = buildKeypadUsersPanel({
+    locks: LOCKS, pin_rule: {}, windows: [Object.assign({}, WINDOW, { state: 'open' })],
+    users: [{ user_id: 'u-9', name: 'Acme', pin_length: 6, in_unifi: true, locks: [{ lock_id: 'front', status: 'ok' }] }],
+  }, [], false);
+  assert.match(out, />windowed</);
+  assert.match(out, />active</);
+});
+
+test('keypadWindowFromForm: blank is a permanent PIN; hours need both ends; dates must run forward', () => {
+  const { keypadWindowFromForm } = load();
+  assert.deepEqual(keypadWindowFromForm({ from: '', until: '', days: '', start: '', end: '' }), { window: null });
+  const until = '2026-03-14T00:00';
+  assert.deepEqual(keypadWindowFromForm({ from: '', until, days: 'mon,tue,wed,thu,fri', start: '07:00', end: '16:00' }), {
+    window: {
+      valid_from: null,
+      valid_until: new Date(until).toISOString(),
+      schedule: { windows: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '07:00', end: '16:00' }] },
+    },
+  });
+  assert.deepEqual(keypadWindowFromForm({ days: '', start: '22:00', end: '06:00' }).window.schedule.windows[0].days,
+    ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'], 'hours without days = every day');
+  assert.match(keypadWindowFromForm({ days: 'sat,sun', start: '09:00', end: '' }).error, /both the start and end/);
+  assert.match(keypadWindowFromForm({ from: '2026-03-14T00:00', until: '2026-03-02T00:00' }).error, /after it starts/);
+  assert.match(keypadWindowFromForm({ from: 'nope' }).error, /date and time/);
+});
@@ -103,6 +103,50 @@ test('rf_verify optimistic is set (with a note) on exactly the two Schlage model
   }
 });
 
+test('smart_start marks the 700/800-series models whose label carries a SmartStart QR code', () => {
+  const flagged = catalog.ALL_MODELS.filter((m) => m.smart_start);
+  assert.deepEqual(flagged.map((m) => m.key).sort(), ['kwikset-620', 'ultraloq-ubolt-pro', 'yale-assure-zw3']);
+  for (const m of flagged) assert.equal(m.smart_start, true, `model ${m.key} smart_start value`);
+});
+
+test('config_params are well-formed and never reach auto-relock or a PIN-length parameter', () => {
+  for (const m of catalog.ALL_MODELS) {
+    if (m.config_params === null) {
+      assert.ok(m.config_params_note, `model ${m.key} without config_params needs a note`);
+      continue;
+    }
+    assert.ok(Array.isArray(m.config_params) && m.config_params.length, `model ${m.key} config_params`);
+    const owned = [m.auto_relock && m.auto_relock.parameter, m.user_codes && m.user_codes.length_parameter];
+    const seen = new Set();
+    for (const p of m.config_params) {
+      assert.ok(Number.isInteger(p.parameter) && p.parameter > 0 && !seen.has(p.parameter), `model ${m.key} parameter ${p.parameter}`);
+      seen.add(p.parameter);
+      assert.ok(!owned.includes(p.parameter), `model ${m.key} parameter ${p.parameter} is owned elsewhere`);
+      assert.ok([1, 2, 4].includes(p.size) && p.label, `model ${m.key} parameter ${p.parameter} size/label`);
+      if (p.options) {
+        assert.ok(p.options.length >= 2 && p.options.every((o) => Number.isInteger(o.value) && o.label));
+      } else {
+        assert.ok(Number.isInteger(p.min) && Number.isInteger(p.max) && p.min < p.max, `model ${m.key} parameter ${p.parameter} range`);
+      }
+    }
+  }
+});
+
+test('configValueError and configValueLabel follow the parameter definition', () => {
+  const yale = catalog.profileForKey('yale-assure-zw3').config_params;
+  const limit = yale.find((p) => p.parameter === 4);
+  const mode = yale.find((p) => p.parameter === 8);
+  assert.equal(catalog.configValueError(limit, 5), null);
+  assert.match(catalog.configValueError(limit, 11), /between 3 and 10 tries/);
+  assert.match(catalog.configValueError(limit, 4.5), /whole number/);
+  assert.equal(catalog.configValueError(mode, 1), null);
+  assert.match(catalog.configValueError(mode, 3), /must be one of 0 \(Normal\)/);
+  assert.equal(catalog.configValueLabel(limit, 5), '5 tries');
+  assert.equal(catalog.configValueLabel(mode, 0), 'Normal');
+  assert.equal(catalog.configValueLabel(mode, 7), '7');
+  assert.equal(catalog.configValueLabel(mode, null), 'unknown');
+});
+
 test('getCatalog groups models under manufacturers for the picker', () => {
   const cat = catalog.getCatalog();
   assert.ok(Array.isArray(cat) && cat.length >= 4);
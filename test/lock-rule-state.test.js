@@ -0,0 +1,43 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { LockRuleState } = require('../src/lock-rule-state');
+
+function clock(start) {
+  const c = { t: Date.parse(start) };
+  c.now = () => c.t;
+  return c;
+}
+
+test('a timed rule carries its end time and drops out once it passes', () => {
+  const c = clock('2026-03-02T12:00:00Z');
+  const s = new LockRuleState({ now: c.now });
+  s.note({ door: 'Suite 100', door_id: 'd-100', type: 'keep_unlock', minutes: 30, source: 'door flow at Lobby', actor: 'Kim' });
+  assert.deepEqual(s.list(), [{
+    door: 'Suite 100', door_id: 'd-100', type: 'keep_unlock',
+    set_at: '2026-03-02T12:00:00.000Z', until: '2026-03-02T12:30:00.000Z',
+    source: 'door flow at Lobby', actor: 'Kim',
+  }]);
+  c.t += 30 * 60000;
+  assert.deepEqual(s.list(), []);
+});
+
+test('a reset clears the door; a newer rule replaces the older one', () => {
+  const c = clock('2026-03-02T12:00:00Z');
+  const s = new LockRuleState({ now: c.now });
+  s.note({ door: 'Suite 100', door_id: 'd-100', type: 'keep_unlock', minutes: 30 });
+  s.note({ door: 'Suite 100', door_id: 'd-100', type: 'keep_lock' });
+  assert.deepEqual(s.list().map((e) => [e.type, e.until]), [['keep_lock', null]]);
+  s.note({ door: 'Suite 100', door_id: 'd-100', type: 'reset' });
+  assert.deepEqual(s.list(), []);
+});
+
+test('list is soonest-ending first, open-ended rules last by door name', () => {
+  const s = new LockRuleState({ now: clock('2026-03-02T12:00:00Z').now });
+  s.note({ door: 'Zeta', type: 'keep_lock' });
+  s.note({ door: 'Beta', type: 'keep_unlock', minutes: 60 });
+  s.note({ door: 'Alpha', type: 'keep_unlock' });
+  s.note({ door: 'Gamma', type: 'keep_unlock', minutes: 15 });
+  assert.deepEqual(s.list().map((e) => e.door), ['Gamma', 'Beta', 'Alpha', 'Zeta']);
+});
@@ -0,0 +1,191 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { Lockdown, restoreRuleFor } = require('../src/lockdown');
+const FakeLock = require('../src/drivers/fake-lock');
+const { LockState } = require('../src/drivers/lock-driver');
+
+const NOW = Date.parse('2026-03-02T12:00:00Z');
+
+function tmpFile() {
+  return path.join(os.tmpdir(), `uao-lockdown-${process.pid}-${Math.random().toString(36).slice(2)}.json`);
+}
+
+// UniFi client double: remembers every lock-rule write and answers reads from
+// a per-door table of the rule in force before the lockdown.
+function makeUnifi(rules = {}) {
+  const calls = [];
+  return {
+    calls,
+    doorsById: new Map([['d-front', 'Front Door'], ['d-side', 'Side Door'], ['d-back', 'Back Door']]),
+    async getDoorLockRule(doorId) {
+      const r = rules[doorId];
+      return r ? Object.assign({ success: true }, r) : { success: true, type: '', ended_time: 0 };
+    },
+    async setDoorLockRule(doorId, type, interval) {
+      calls.push({ doorId, type, interval: interval || null });
+      return { success: true };
+    },
+  };
+}
+
+function makeLockdown(opts = {}) {
+  const unifi = opts.unifi || makeUnifi(opts.rules);
+  const drivers = opts.drivers || new Map([['front_deadbolt', new FakeLock({ initial: LockState.UNLOCKED })]]);
+  const audits = [];
+  const alerts = [];
+  const events = [];
+  const paused = [];
+  const controller = { cancelPending: (why) => paused.push(why) };
+  const ld = new Lockdown({
+    filePath: opts.filePath || null,
+    logger: { info() {}, warn() {}, error() {}, debug() {} },
+    now: () => NOW,
+    getConfig: () => ({ lockdown: { door_ids: opts.doorIds || [] } }),
+    getUnifiClient: () => unifi,
+    getLockDrivers: () => drivers,
+    getControllers: () => [controller],
+    notify: (a) => alerts.push(a),
+    audit: (r) => audits.push(r),
+    broadcaster: (e) => events.push(e),
+  });
+  return { ld, unifi, drivers, audits, alerts, events, paused };
+}
+
+test('restoreRuleFor: held rules come back, a live custom rule keeps its remaining minutes, the rest reset', () => {
+  assert.deepEqual(restoreRuleFor({ type: 'keep_unlock' }, NOW), { type: 'keep_unlock' });
+  assert.deepEqual(restoreRuleFor({ type: 'keep_lock' }, NOW), { type: 'keep_lock' });
+  assert.deepEqual(restoreRuleFor({ type: 'custom', ended_time: NOW / 1000 + 61 * 60 }, NOW), { type: 'custom', interval: 61 });
+  assert.deepEqual(restoreRuleFor({ type: 'custom', ended_time: NOW / 1000 - 5 }, NOW), { type: 'reset' }, 'expired custom');
+  assert.deepEqual(restoreRuleFor({ type: 'schedule' }, NOW), { type: 'reset' });
+  assert.deepEqual(restoreRuleFor(null, NOW), { type: 'reset' }, 'unread rule');
+});
+
+test('engage holds every discovered door, throws the deadbolts, pauses the controllers, and reports it', async () => {
+  const { ld, unifi, drivers, audits, alerts, events, paused } = makeLockdown();
+  assert.equal(ld.isActive(), false);
+  const status = await ld.engage({ actor: 'admin', reason: 'drill' });
+  assert.equal(ld.isActive(), true);
+  assert.deepEqual(paused, ['lockdown'], 'pending relocks and cascades cancelled');
+  assert.deepEqual(unifi.calls.map((c) => `${c.doorId}:${c.type}`), ['d-front:keep_lock', 'd-side:keep_lock', 'd-back:keep_lock']);
+  assert.equal(drivers.get('front_deadbolt')._state, LockState.LOCKED, 'deadbolt thrown');
+  assert.equal(status.doors.length, 3);
+  assert.ok(status.doors.every((d) => d.held));
+  assert.deepEqual(status.locks, [{ lock_id: 'front_deadbolt', locked: true }]);
+  assert.equal(status.reason, 'drill');
+  assert.deepEqual(audits.map((a) => a.action), ['lockdown_started']);
+  assert.deepEqual(alerts.map((a) => a.type), ['lockdown_started']);
+  assert.equal(events[0].type, 'system.lockdown');
+  assert.equal(events[0].success, true);
+});
+
+test('a configured door set limits which doors are held', async () => {
+  const { ld, unifi } = makeLockdown({ doorIds: ['d-side'] });
+  await ld.engage({ actor: 'admin' });
+  assert.deepEqual(unifi.calls.map((c) => c.doorId), ['d-side']);
+});
+
+test('release restores each door to its rule from before the lockdown', async () => {
+  const { ld, unifi, audits, alerts } = makeLockdown({
+    rules: {
+      'd-front': { type: 'keep_unlock', ended_time: 0 },
+      'd-side': { type: 'custom', ended_time: NOW / 1000 + 30 * 60 },
+    },
+  });
+  await ld.engage({ actor: 'admin' });
+  unifi.calls.length = 0;
+  const r = await ld.release({ actor: 'admin' });
+  assert.equal(ld.isActive(), false);
+  assert.deepEqual(unifi.calls, [
+    { doorId: 'd-front', type: 'keep_unlock', interval: null },
+    { doorId: 'd-side', type: 'custom', interval: 30 },
+    { doorId: 'd-back', type: 'reset', interval: null },
+  ]);
+  assert.ok(r.restored.every((x) => x.restored));
+  assert.deepEqual(audits.map((a) => a.action), ['lockdown_started', 'lockdown_ended']);
+  assert.deepEqual(alerts.map((a) => a.type), ['lockdown_started', 'lockdown_ended']);
+  assert.deepEqual(await ld.release({ actor: 'admin' }), { active: false, restored: [] }, 'ending twice is a no-op');
+});
+
+test('the state survives a restart, and resume re-applies the hold without losing the saved rules', async () => {
+  const filePath = tmpFile();
+  try {
+    const first = makeLockdown({ filePath, rules: { 'd-front': { type: 'keep_unlock', ended_time: 0 } } });
+    await first.ld.engage({ actor: 'admin', reason: 'incident' });
+
+    const second = makeLockdown({ filePath });
+    assert.equal(second.ld.load().active, true, 'loaded as active');
+    assert.equal(second.ld.isActive(), true);
+    await second.ld.resume('restart');
+    assert.deepEqual(second.paused, ['lockdown']);
+    assert.ok(second.unifi.calls.every((c) => c.type === 'keep_lock'));
+    assert.equal(second.drivers.get('front_deadbolt')._state, LockState.LOCKED);
+    assert.equal(second.ld.getStatus().reason, 'incident');
+    assert.equal(second.audits.length, 0, 'a resume is not a new lockdown');
+
+    second.unifi.calls.length = 0;
+    await second.ld.release({ actor: 'admin' });
+    assert.deepEqual(second.unifi.calls[0], { doorId: 'd-front', type: 'keep_unlock', interval: null }, 'the pre-lockdown rule came through the restart');
+    assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf-8')).active, false);
+  } finally { fs.rmSync(filePath, { force: true }); }
+});
+
+test('resume is serialized with release, so an ended lockdown never re-holds its doors', async () => {
+  const filePath = tmpFile();
+  try {
+    await makeLockdown({ filePath }).ld.engage({ actor: 'admin' });
+    let open;
+    const gate = new Promise((r) => { open = r; });
+    const unifi = makeUnifi();
+    const set = unifi.setDoorLockRule;
+    unifi.setDoorLockRule = async (...args) => { await gate; return set(...args); };
+    const second = makeLockdown({ filePath, unifi });
+    second.ld.load();
+    const resuming = second.ld.resume('restart');
+    await assert.rejects(() => second.ld.release({ actor: 'admin' }), /already in progress/);
+    open();
+    await resuming;
+    unifi.calls.length = 0;
+    await second.ld.release({ actor: 'admin' });
+    assert.ok(unifi.calls.length && unifi.calls.every((c) => c.type !== 'keep_lock'), 'the release is the last word');
+    assert.equal(second.ld.isActive(), false);
+    assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf-8')).active, false);
+  } finally { fs.rmSync(filePath, { force: true }); }
+});
+
+test('a missing or corrupt state file loads as no lockdown', () => {
+  const filePath = tmpFile();
+  try {
+    assert.equal(makeLockdown({ filePath }).ld.load().active, false, 'missing');
+    fs.writeFileSync(filePath, '{not json');
+    assert.equal(makeLockdown({ filePath }).ld.load().active, false, 'corrupt');
+  } finally { fs.rmSync(filePath, { force: true }); }
+});
+
+test('engage while already active re-applies the hold instead of overwriting the saved rules', async () => {
+  const { ld, unifi, audits } = makeLockdown({ rules: { 'd-front': { type: 'keep_unlock', ended_time: 0 } } });
+  await ld.engage({ actor: 'admin' });
+  await ld.engage({ actor: 'admin' });
+  assert.equal(audits.length, 1);
+  unifi.calls.length = 0;
+  await ld.release({ actor: 'admin' });
+  assert.equal(unifi.calls[0].type, 'keep_unlock');
+});
+
+// Source-level guard on the routes: starting or ending a lockdown needs the
+// admin PIN, and the audit entry names who did it.
+test('the lockdown routes take the admin PIN and pass its actor through', () => {
+  const src = fs.readFileSync(path.join(__dirname, '..', 'src', 'index.js'), 'utf8');
+  for (const [route, call] of [["app.post('/api/lockdown'", 'engage'], ["app.post('/api/lockdown/end'", 'release']]) {
+    const start = src.indexOf(route);
+    assert.ok(start >= 0, `route not found: ${route}`);
+    const body = src.slice(start, src.indexOf('\n});', start));
+    assert.match(body, /authorizeSensitivePinOp\(req\.body, \{ allowCurrentPin: false \}\)/, route);
+    assert.match(body, new RegExp(`lockdown\\.${call}\\(\\{ actor: auth\\.actor`), route);
+  }
+});
@@ -0,0 +1,265 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+
+const { LockState } = require('../src/drivers/lock-driver');
+const { MqttLock, mqttLockConfigError } = require('../src/drivers/mqtt-lock');
+const { MqttConnection, connectionKey } = require('../src/drivers/mqtt-connection');
+
+const quiet = { info() {}, warn() {}, error() {} };
+// Timers first, then the setImmediate deliveries the fake broker queued.
+const tick = (ms = 0) => new Promise((r) => setTimeout(() => setImmediate(r), ms));
+
+/**
+ * In-process broker: exact-topic routing, retained messages, and clients
+ * with the mqtt.js surface MqttConnection uses. `connect` is the
+ * deps.connect seam; `drop()` / `restore()` simulate losing the broker.
+ */
+class FakeBroker {
+  constructor() {
+    this.clients = new Set();
+    this.retained = new Map();
+    this.published = [];
+  }
+
+  connect() {
+    const broker = this;
+    const client = new EventEmitter();
+    client.connected = false;
+    client.subs = new Set();
+    client.subscribe = (topic, opts, cb) => {
+      client.subs.add(topic);
+      if (cb) cb(null);
+      if (broker.retained.has(topic)) {
+        setImmediate(() => client.emit('message', topic, Buffer.from(broker.retained.get(topic))));
+      }
+    };
+    client.unsubscribe = (topic, cb) => { client.subs.delete(topic); if (cb) cb(null); };
+    client.publish = (topic, payload, opts, cb) => {
+      if (!client.connected) return; // mqtt.js would queue it; nothing lands
+      broker.deliver(topic, String(payload), !!(opts && opts.retain));
+      if (cb) setImmediate(() => cb(null));
+    };
+    client.end = (force, opts, cb) => {
+      client.connected = false;
+      broker.clients.delete(client);
+      if (cb) cb();
+    };
+    this.clients.add(client);
+    setImmediate(() => { client.connected = true; client.emit('connect'); });
+    return client;
+  }
+
+  deliver(topic, payload, retain = false) {
+    this.published.push({ topic, payload, retain });
+    if (retain) this.retained.set(topic, payload);
+    for (const c of this.clients) {
+      if (c.subs.has(topic)) setImmediate(() => c.emit('message', topic, Buffer.from(payload)));
+    }
+  }
+
+  drop() {
+    for (const c of this.clients) { c.connected = false; c.emit('offline'); }
+  }
+
+  restore() {
+    for (const c of this.clients) { c.connected = true; c.emit('connect'); }
+  }
+
+  commands(topic) {
+    return this.published.filter((p) => p.topic === topic).map((p) => p.payload);
+  }
+}
+
+/**
+ * A device on the broker: answers each command on `command` with a retained
+ * state on `state`, through `reply(payload)` (return null to stay silent).
+ */
+function attachDevice(broker, command, state, reply) {
+  const dev = broker.connect();
+  dev.subscribe(command, { qos: 1 });
+  dev.on('message', (topic, payload) => {
+    const out = reply(payload.toString());
+    if (out != null) broker.deliver(state, out, true);
+  });
+  return dev;
+}
+
+async function makeLock(broker, cfg) {
+  const lock = new MqttLock(
+    Object.assign({ broker: { url: 'mqtt://broker.test:1883' } }, cfg),
+    { logger: quiet, connect: () => broker.connect() }
+  );
+  await lock.init();
+  await tick(5); // the connect and any retained state
+  return lock;
+}
+
+const ESPHOME = {
+  command_topic: 'esphome/strike/switch/relay/command',
+  state_topic: 'esphome/strike/switch/relay/state',
+  lock_payload: 'OFF',
+  unlock_payload: 'ON',
+  locked_states: 'OFF',
+  unlocked_states: 'ON',
+};
+
+const Z2M = {
+  command_topic: 'zigbee2mqtt/front_door/set',
+  state_topic: 'zigbee2mqtt/front_door',
+  availability_topic: 'zigbee2mqtt/front_door/availability',
+  payload: 'json',
+};
+
+test('MqttLock: plain payloads drive an ESPHome relay and confirm from its state topic', async () => {
+  const broker = new FakeBroker();
+  attachDevice(broker, ESPHOME.command_topic, ESPHOME.state_topic, (p) => p);
+  const lock = await makeLock(broker, ESPHOME);
+  assert.equal(lock.snapshot().online, true);
+  const r = await lock.unlock('entry');
+  assert.equal(r.success, true);
+  assert.equal(r.boltState, LockState.UNLOCKED);
+  assert.deepEqual(broker.commands(ESPHOME.command_topic), ['ON']);
+  assert.equal(broker.published.find((p) => p.topic === ESPHOME.command_topic).retain, false, 'commands are never retained');
+  assert.equal((await lock.lock()).success, true);
+  assert.equal(lock.snapshot().boltState, LockState.LOCKED);
+  await lock.shutdown();
+});
+
+test('MqttLock: JSON payloads speak zigbee2mqtt and pick up battery', async () => {
+  const broker = new FakeBroker();
+  broker.deliver(Z2M.availability_topic, '{"state":"online"}', true);
+  broker.deliver(Z2M.state_topic, JSON.stringify({ state: 'LOCK', battery: 80 }), true);
+  attachDevice(broker, Z2M.command_topic, Z2M.state_topic, (p) => JSON.stringify({ state: JSON.parse(p).state, battery: 20 }));
+  const lock = await makeLock(broker, Z2M);
+  assert.equal(lock.snapshot().boltState, LockState.LOCKED, 'seeded from the retained state');
+  assert.equal(lock.snapshot().battery, 80);
+  assert.ok(lock.capabilities.has('battery'));
+  const alerts = [];
+  lock.on('alert', (a) => alerts.push(a.type));
+  const r = await lock.unlock();
+  assert.equal(r.success, true);
+  assert.deepEqual(broker.commands(Z2M.command_topic), ['{"state":"UNLOCK"}']);
+  assert.equal(lock.snapshot().batteryLow, true);
+  assert.deepEqual(alerts, ['deadbolt_low_battery']);
+  await lock.shutdown();
+});
+
+test('MqttLock: no confirming state retries, fails with the topic, then confirms late', async () => {
+  const broker = new FakeBroker();
+  const lock = await makeLock(broker, Object.assign({}, ESPHOME, {
+    verify_timeout_ms: 20, verify_retries: 1, retry_backoff_ms: 5, late_confirm_ms: 1000,
+  }));
+  const late = new Promise((resolve) => lock.once('late-confirm', resolve));
+  const r = await lock.unlock('entry');
+  assert.equal(r.success, false);
+  assert.equal(broker.commands(ESPHOME.command_topic).length, 2, 'one retry');
+  assert.match(r.error, /no confirming state on esphome\/strike\/switch\/relay\/state/);
+  broker.deliver(ESPHOME.state_topic, 'ON', true); // the relay reports late
+  const e = await late;
+  assert.equal(e.action, 'unlock');
+  assert.equal(e.boltState, LockState.UNLOCKED);
+  await lock.shutdown();
+});
+
+test('MqttLock: a jam report ends the command without a retry', async () => {
+  const broker = new FakeBroker();
+  attachDevice(broker, Z2M.command_topic, Z2M.state_topic, () => '{"state":"JAMMED"}');
+  const lock = await makeLock(broker, Object.assign({}, Z2M, { verify_timeout_ms: 500, retry_backoff_ms: 5 }));
+  const alerts = [];
+  lock.on('alert', (a) => alerts.push(a.type));
+  const r = await lock.lock();
+  assert.equal(r.success, false);
+  assert.equal(r.boltState, LockState.JAMMED);
+  assert.match(r.error, /jammed/);
+  assert.equal(broker.commands(Z2M.command_topic).length, 1);
+  assert.deepEqual(alerts, ['deadbolt_jammed']);
+  await lock.shutdown();
+});
+
+test('MqttLock: a lost broker or an offline device refuses the command up front', async () => {
+  const broker = new FakeBroker();
+  const lock = await makeLock(broker, Z2M);
+  const transitions = [];
+  lock.on('offline', () => transitions.push('offline'));
+  lock.on('online', () => transitions.push('online'));
+
+  broker.drop();
+  let r = await lock.unlock();
+  assert.equal(r.success, false);
+  assert.match(r.error, /broker is not connected/);
+  broker.restore();
+
+  broker.deliver(Z2M.availability_topic, 'offline', true);
+  await tick(5);
+  assert.equal(lock.snapshot().linkState, 'offline');
+  r = await lock.unlock();
+  assert.match(r.error, /device reports offline on zigbee2mqtt\/front_door\/availability/);
+  assert.equal(broker.commands(Z2M.command_topic).length, 0, 'nothing was published');
+  assert.deepEqual(transitions, ['offline', 'online', 'offline']);
+  await lock.shutdown();
+});
+
+test('MqttLock: locks share one connection and only an owner stops it', async () => {
+  const broker = new FakeBroker();
+  const conn = new MqttConnection({ url: 'mqtt://broker.test' }, { logger: quiet, connect: () => broker.connect() });
+  const a = new MqttLock(Object.assign({ name: 'A' }, ESPHOME), { connection: conn, logger: quiet });
+  const b = new MqttLock(Object.assign({ name: 'B' }, Z2M), { connection: conn, logger: quiet });
+  await a.init();
+  await b.init();
+  await tick(5);
+  assert.equal(broker.clients.size, 1, 'one broker session for both locks');
+  await a.shutdown();
+  assert.equal(conn.isConnected(), true, 'a borrowed connection outlives the lock');
+  assert.equal(b.snapshot().online, true);
+  await b.shutdown();
+  await conn.stop();
+  assert.equal(broker.clients.size, 0);
+});
+
+test('MqttLock: init rejects a config that could never confirm', async () => {
+  assert.match(mqttLockConfigError({ command_topic: 'x/set' }), /state_topic is required/);
+  assert.match(mqttLockConfigError({ command_topic: 'x/#', state_topic: 'x' }), /no wildcards/);
+  assert.match(mqttLockConfigError({ command_topic: 'x/set', state_topic: 'x', payload: 'xml' }), /plain" or "json/);
+  assert.equal(mqttLockConfigError(ESPHOME), null);
+  const lock = new MqttLock({ name: 'Gate', command_topic: 'gate/set' }, { logger: quiet, connect: () => new FakeBroker().connect() });
+  await assert.rejects(lock.init(), /MQTT lock "Gate": state_topic is required/);
+});
+
+test('MqttConnection: validates the broker url and keys sessions by identity', () => {
+  assert.throws(() => new MqttConnection({ url: 'http://x' }, { logger: quiet, connect() {} }).start(), /broker URL/);
+  assert.equal(connectionKey({ url: 'mqtt://a', username: 'u', password: 'p' }), connectionKey({ url: 'mqtt://a', username: 'u' }));
+  assert.notEqual(connectionKey({ url: 'mqtt://a' }), connectionKey({ url: 'mqtt://b' }));
+});
+
+// Against a real broker: MQTT_TEST_URL=mqtt://localhost:1883 npm test
+// (needs the optional mqtt package). Plays an ESPHome relay on the broker.
+const MQTT_TEST_URL = process.env.MQTT_TEST_URL;
+let mqttInstalled = true;
+try { require.resolve('mqtt'); } catch (e) { mqttInstalled = false; }
+
+test('MqttLock: round trip through a real broker', { skip: !(MQTT_TEST_URL && mqttInstalled) && 'set MQTT_TEST_URL and install mqtt' }, async () => {
+  const mqtt = require('mqtt'); // eslint-disable-line global-require
+  const base = `uao-test/${process.pid}`;
+  const cfg = Object.assign({}, ESPHOME, {
+    command_topic: `${base}/command`,
+    state_topic: `${base}/state`,
+    broker: { url: MQTT_TEST_URL, client_id: `uao-test-${process.pid}` },
+  });
+  const device = mqtt.connect(MQTT_TEST_URL);
+  await new Promise((resolve) => device.once('connect', resolve));
+  await new Promise((resolve) => device.subscribe(cfg.command_topic, { qos: 1 }, resolve));
+  device.on('message', (topic, payload) => device.publish(cfg.state_topic, payload.toString(), { qos: 1 }));
+  const lock = new MqttLock(cfg, { logger: quiet });
+  try {
+    await lock.init();
+    for (let i = 0; i < 50 && !lock.snapshot().online; i++) await tick(100);
+    assert.equal((await lock.unlock('integration')).success, true);
+    assert.equal((await lock.lock('integration')).success, true);
+  } finally {
+    await lock.shutdown();
+    await new Promise((resolve) => device.end(false, {}, resolve));
+  }
+});
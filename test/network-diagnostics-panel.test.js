@@ -0,0 +1,76 @@
+'use strict';
+
+// Guards the Network diagnostics table on the Devices tab: each node shows
+// who it is, its signal and route, the dropped-command counts, the verdict
+// with its repeater advice, and a health-check button. Extracts the REAL
+// builder from public/index.html.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const html = fs.readFileSync(path.join(__dirname, '..', 'public', 'index.html'), 'utf8');
+
+function extractFn(name) {
+  const start = html.indexOf('function ' + name);
+  assert.ok(start >= 0, 'function not found: ' + name);
+  let depth = 0;
+  const open = html.indexOf('{', start);
+  for (let j = open; j < html.length; j++) {
+    if (html[j] === '{') depth++;
+    else if (html[j] === '}') { depth--; if (depth === 0) return html.slice(start, j + 1); }
+  }
+  throw new Error('unbalanced braces for ' + name);
+}
+
+function load() {
+  const src = ['escapeHtml', 'buildNetworkDiagnostics'].map(extractFn).join('\n');
+  return new Function(src + '; return { buildNetworkDiagnostics };')();
+}
+
+const lockRow = {
+  node_id: 17,
+  kind: 'lock',
+  name: 'Front <Door>',
+  status: 'asleep',
+  last_seen: '2026-10-19T08:00:00.000Z',
+  neighbors: [1, 5],
+  statistics: {
+    commands_tx: 40, commands_rx: 38, commands_dropped_tx: 3, commands_dropped_rx: 0, timeouts: 2, rssi_dbm: -84, rtt_ms: 120.4,
+    last_route: { repeaters: [5], data_rate: '100 kbit/s', route_failed_between: null },
+  },
+  health: null,
+  assessment: { level: 'fair', reasons: ['signal 11 dB above the noise floor'], advice: 'a repeater would help' },
+};
+
+test('a node row carries identity, signal, route, counters, verdict and the check button', () => {
+  const { buildNetworkDiagnostics } = load();
+  const out = buildNetworkDiagnostics({ controller: { background_rssi: { noise_floor_dbm: -95 } }, nodes: [lockRow] });
+  assert.match(out, /noise floor\): -95 dBm/);
+  assert.match(out, /Front &lt;Door&gt;/);
+  assert.match(out, /\(lock\)/);
+  assert.match(out, /RSSI -84 dBm &middot; RTT 120 ms/);
+  assert.match(out, /route via 5 @ 100 kbit\/s/);
+  assert.match(out, /neighbors 1, 5/);
+  assert.match(out, /dropped 3 tx, 0 rx &middot; 2 timeouts/);
+  assert.match(out, />fair<\/span>/);
+  assert.match(out, /a repeater would help/);
+  assert.match(out, /not checked/);
+  assert.match(out, /onclick="runNodeHealthCheck\(17, this\)"/);
+});
+
+test('an unknown device, a last health check, and an empty network', () => {
+  const { buildNetworkDiagnostics } = load();
+  const other = Object.assign({}, lockRow, {
+    kind: 'other', name: null, model: 'Aeotec Range Extender 7', statistics: null, neighbors: null,
+    health: { rating: 9, snr_margin_db: 24, checked_at: '2026-10-19T08:05:00.000Z' },
+    assessment: { level: 'good', reasons: [], advice: 'Link looks healthy.' },
+  });
+  const out = buildNetworkDiagnostics({ controller: {}, nodes: [other] });
+  assert.match(out, /Aeotec Range Extender 7/);
+  assert.match(out, /Background RSSI: not reported/);
+  assert.match(out, /health 9\/10, SNR margin 24 dB/);
+  assert.doesNotMatch(out, /Link looks healthy/, 'healthy nodes carry no advice line');
+  assert.match(buildNetworkDiagnostics({ controller: {}, nodes: [] }), /No nodes on the stick/);
+});
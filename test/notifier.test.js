@@ -226,3 +226,20 @@ test('a chat-only config still counts as enabled; a dead channel cannot silence
   assert.equal(n2.getStatus().stats.failed, 1);
   assert.equal(n2.getStatus().stats.sent, 1);
 });
+
+test('sendEmail mails one person over SMTP even with alerts off and no alert recipients', async () => {
+  const mails = [];
+  const n = new Notifier(
+    { enabled: false, email: { smtp_host: 'smtp.local', from: 'orc@site.local' } },
+    { logger: { warn() {} }, mailer: { sendMail: async (m) => { mails.push(m); } } }
+  );
+  assert.equal(n.canEmail(), true);
+  assert.equal(n.getStatus().email_configured, false, 'no alert recipients: not an alert channel');
+  await n.sendEmail({ to: 'ann@example.com', subject: 'Your new door PIN', text: 'hello' });
+  assert.deepEqual(mails, [{ from: 'orc@site.local', to: 'ann@example.com', subject: 'Your new door PIN', text: 'hello' }]);
+  assert.equal(n.getStatus().stats.sent, 0, 'not counted as an alert');
+  await assert.rejects(n.sendEmail({ to: '', subject: 's', text: 't' }), /no recipient/);
+  const off = new Notifier({}, { logger: { warn() {} } });
+  assert.equal(off.canEmail(), false);
+  await assert.rejects(off.sendEmail({ to: 'a@b', subject: 's', text: 't' }), /smtp_host and from/);
+});
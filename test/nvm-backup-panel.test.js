@@ -0,0 +1,52 @@
+'use strict';
+
+// Guards the Z-Wave stick backup rows on the Settings tab: the status line
+// tells the operator when the network is paused by a running job, and the
+// Restore button is held while one runs. Extracts the REAL functions from
+// public/index.html.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const html = fs.readFileSync(path.join(__dirname, '..', 'public', 'index.html'), 'utf8');
+
+function extractFn(name) {
+  const start = html.indexOf('function ' + name);
+  assert.ok(start >= 0, 'function not found: ' + name);
+  let depth = 0;
+  const open = html.indexOf('{', start);
+  for (let j = open; j < html.length; j++) {
+    if (html[j] === '{') depth++;
+    else if (html[j] === '}') { depth--; if (depth === 0) return html.slice(start, j + 1); }
+  }
+  throw new Error('unbalanced braces for ' + name);
+}
+
+function load() {
+  const src = ['escapeHtml', 'describeNvmBackupStatus', 'buildNvmBackupsTable'].map(extractFn).join('\n');
+  return new Function(src + '; return { describeNvmBackupStatus, buildNvmBackupsTable };')();
+}
+
+test('status line: running job, last failure, schedule, and a stopped driver', () => {
+  const { describeNvmBackupStatus } = load();
+  const settings = { interval_days: 7, max_backups: 6 };
+  assert.match(describeNvmBackupStatus({ settings, driver_running: true, job: { op: 'restore', progress: 40 } }),
+    /Controller restore running \(40%\); the Z-Wave network is paused/);
+  assert.equal(describeNvmBackupStatus({ settings, driver_running: true, last: { op: 'backup', success: false, error: 'timeout' } }),
+    'Last backup failed: timeout. Schedule: every 7 days, keeping last 6.');
+  assert.match(describeNvmBackupStatus({ settings: { interval_days: 0 }, driver_running: false }),
+    /Scheduled stick backups are off\. The Z-Wave driver is not running/);
+});
+
+test('table: one row per backup with its network; Restore is held while a job runs', () => {
+  const { buildNvmBackupsTable } = load();
+  assert.match(buildNvmBackupsTable([], false), /No Z-Wave stick backups yet/);
+  const rows = [{ filename: 'zwave-nvm_2026-10-19_031500.json', timestamp: '2026-10-19T03:15:00.000Z', sizeFormatted: '170.2 KB', home_id: '00c0ffee', node_count: 3 }];
+  const idle = buildNvmBackupsTable(rows, false);
+  assert.match(idle, /home 00c0ffee, 3 nodes/);
+  assert.match(idle, /restoreNvmBackup\('zwave-nvm_2026-10-19_031500\.json'\)" style/);
+  assert.match(idle, /href="\/api\/backups\/zwave\/zwave-nvm_2026-10-19_031500\.json"/);
+  assert.match(buildNvmBackupsTable(rows, true), /restoreNvmBackup\('zwave-nvm_2026-10-19_031500\.json'\)" disabled/);
+});
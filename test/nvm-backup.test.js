@@ -0,0 +1,84 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const nvmBackup = require('../src/nvm-backup');
+
+const KEY_A = '0123456789abcdef0123456789abcdef';
+const KEY_B = 'fedcba9876543210fedcba9876543210';
+
+function tmpdir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'nvm-backup-'));
+}
+
+test('a backup file carries the image, the keys and the controller, owner-only', () => {
+  const dir = tmpdir();
+  const made = nvmBackup.createNvmBackup(dir, {
+    nvm: Buffer.from([1, 2, 3]),
+    securityKeys: { s2_access_control: KEY_A },
+    controller: { home_id: '00c0ffee', own_node_id: 1 },
+    nodeIds: [1, 14],
+    now: Date.parse('2026-10-19T03:15:00'),
+  });
+  assert.equal(made.filename, 'zwave-nvm_2026-10-19_031500.json');
+  if (process.platform !== 'win32') assert.equal(fs.statSync(made.path).mode & 0o777, 0o600);
+  const back = nvmBackup.readNvmBackup(dir, made.filename);
+  assert.deepEqual([...back.nvm], [1, 2, 3]);
+  assert.equal(back.security_keys.s2_access_control, KEY_A);
+  assert.deepEqual(nvmBackup.listNvmBackups(dir).map((b) => [b.home_id, b.node_count]), [['00c0ffee', 2]]);
+});
+
+test('two backups in one second never overwrite each other; prune keeps the newest', () => {
+  const dir = tmpdir();
+  const now = Date.parse('2026-10-19T03:15:00');
+  const a = nvmBackup.createNvmBackup(dir, { nvm: Buffer.from([1]), now });
+  const b = nvmBackup.createNvmBackup(dir, { nvm: Buffer.from([2]), now });
+  assert.notEqual(a.filename, b.filename);
+  const c = nvmBackup.createNvmBackup(dir, { nvm: Buffer.from([3]), now: now + 86400000 });
+  const { removed } = nvmBackup.pruneNvmBackups(dir, 2);
+  assert.equal(removed.length, 1);
+  assert.deepEqual(nvmBackup.listNvmBackups(dir).map((x) => x.filename)[0], c.filename);
+});
+
+test('prune never deletes the backup being restored', () => {
+  const dir = tmpdir();
+  const now = Date.parse('2026-10-19T03:15:00');
+  const old = nvmBackup.createNvmBackup(dir, { nvm: Buffer.from([1]), now });
+  const mid = nvmBackup.createNvmBackup(dir, { nvm: Buffer.from([2]), now: now + 86400000 });
+  const pre = nvmBackup.createNvmBackup(dir, { nvm: Buffer.from([3]), now: now + 2 * 86400000 });
+  const { removed } = nvmBackup.pruneNvmBackups(dir, 1, old.filename);
+  assert.deepEqual(removed, [mid.filename]);
+  assert.deepEqual(nvmBackup.listNvmBackups(dir).map((x) => x.filename), [pre.filename, old.filename]);
+});
+
+test('readNvmBackup refuses bad names, other files and empty images', () => {
+  const dir = tmpdir();
+  assert.throws(() => nvmBackup.readNvmBackup(dir, '../config.json'), /Invalid NVM backup filename/);
+  assert.throws(() => nvmBackup.readNvmBackup(dir, 'zwave-nvm_2026-10-19_031500.json'), /not found/);
+  fs.writeFileSync(path.join(dir, 'zwave-nvm_2026-10-19_031500.json'), JSON.stringify({ format: 'other' }));
+  assert.throws(() => nvmBackup.readNvmBackup(dir, 'zwave-nvm_2026-10-19_031500.json'), /not a Z-Wave NVM backup/);
+  assert.throws(() => nvmBackup.createNvmBackup(dir, { nvm: Buffer.alloc(0) }), /empty NVM image/);
+});
+
+test('the captured keys are the effective ones: config first, environment fallback', () => {
+  const keys = nvmBackup.securityKeysHex(
+    { security_keys: { s2_access_control: KEY_A } },
+    { ZWAVE_S0_LEGACY: KEY_B }
+  );
+  assert.deepEqual(keys, { s2_access_control: KEY_A, s0_legacy: KEY_B });
+});
+
+test('schedule: due after interval_days since the newest backup; 0 turns it off', () => {
+  const now = Date.parse('2026-10-19T00:00:00Z');
+  const last = [{ timestamp: '2026-10-15T00:00:00.000Z' }];
+  assert.equal(nvmBackup.nvmBackupDue([], 7, now), true, 'never backed up');
+  assert.equal(nvmBackup.nvmBackupDue(last, 7, now), false);
+  assert.equal(nvmBackup.nvmBackupDue(last, 3, now), true);
+  assert.equal(nvmBackup.nvmBackupDue([], 0, now), false);
+  assert.deepEqual(nvmBackup.nvmSettings({}), { interval_days: 7, max_backups: 6 });
+  assert.deepEqual(nvmBackup.nvmSettings({ zwave_nvm_interval_days: 0, max_zwave_nvm_backups: 3 }), { interval_days: 0, max_backups: 3 });
+});
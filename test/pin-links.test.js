@@ -0,0 +1,76 @@
+'use strict';
+
+// Guards src/pin-links.js: the one-time self-service PIN links. Only a hash
+// of the secret is stored, a link is found by its secret until it expires,
+// a user holds one live link at a time, and the portal never tells a link
+// holder that another user owns a PIN.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  MAX_FAILURES,
+  normalizePortal,
+  linkId,
+  issueLink,
+  findLink,
+  staleLinkIds,
+  linkUrl,
+  linkEmail,
+  portalPinErrors,
+} = require('../src/pin-links');
+
+const NOW = Date.parse('2026-10-01T12:00:00Z');
+const fixedBytes = (n) => Buffer.alloc(n, 7);
+
+test('normalizePortal: off by default, minutes clamped, only http(s) base URLs', () => {
+  assert.deepEqual(normalizePortal(), { enabled: false, link_minutes: 60, public_url: null });
+  assert.deepEqual(normalizePortal({ enabled: true, link_minutes: 1, public_url: ' https://doors.example.com/ ' }),
+    { enabled: true, link_minutes: 5, public_url: 'https://doors.example.com/' });
+  assert.equal(normalizePortal({ link_minutes: 99999 }).link_minutes, 7 * 24 * 60);
+  assert.equal(normalizePortal({ public_url: 'javascript:alert(1)' }).public_url, null);
+});
+
+test('issueLink + findLink: the secret finds the record; only its hash is the key', () => {
+  const link = issueLink({ userId: 'u1', name: 'Alice', email: 'alice@example.com', now: NOW, minutes: 60, issuedBy: 'admin' }, fixedBytes);
+  assert.equal(link.id, linkId(link.secret));
+  assert.notEqual(link.id, link.secret);
+  assert.deepEqual(link.record, {
+    user_id: 'u1', name: 'Alice', email: 'alice@example.com',
+    issued_at: '2026-10-01T12:00:00.000Z', expires_at: '2026-10-01T13:00:00.000Z', issued_by: 'admin', failures: 0,
+  });
+  const links = { [link.id]: link.record };
+  assert.equal(findLink(links, link.secret, NOW + 1000).record.user_id, 'u1');
+  assert.equal(findLink(links, link.secret, NOW + 3600 * 1000).status, 410, 'expired at expires_at');
+  assert.equal(findLink(links, 'not-the-secret', NOW).status, 404);
+  assert.equal(findLink(links, undefined, NOW).status, 400);
+  assert.ok(!/Alice|u1/.test(findLink(links, link.secret, NOW + 3600 * 1000).error), 'errors never say whose link');
+});
+
+test('staleLinkIds: expired links and the user\'s earlier link', () => {
+  const links = {
+    a: { user_id: 'u1', expires_at: '2026-10-01T13:00:00Z' },
+    b: { user_id: 'u2', expires_at: '2026-10-01T11:00:00Z' },
+    c: { user_id: 'u3', expires_at: '2026-10-01T13:00:00Z' },
+    d: null,
+  };
+  assert.deepEqual(staleLinkIds(links, NOW, 'u1'), ['a', 'b', 'd']);
+  assert.deepEqual(staleLinkIds(links, NOW), ['b', 'd']);
+});
+
+test('linkUrl + linkEmail: the secret rides in the fragment', () => {
+  assert.equal(linkUrl('https://doors.example.com/', 'abc'), 'https://doors.example.com/pin.html#abc');
+  const mail = linkEmail({ name: 'Alice', expires_at: '2026-10-01T13:00:00.000Z' }, 'https://doors.example.com/pin.html#abc');
+  assert.equal(mail.subject, 'Set your door PIN');
+  assert.match(mail.text, /^Hello Alice,/);
+  assert.match(mail.text, /https:\/\/doors\.example\.com\/pin\.html#abc/);
+  assert.match(mail.text, /works once and expires at 2026-10-01T13:00:00\.000Z/);
+});
+
+test('portalPinErrors: another user\'s PIN is a plain refusal; history is addressed to the user', () => {
+  assert.deepEqual(portalPinErrors([
+    'is a run of digits (like 1234 or 9876)',
+    "was one of this user's last 3 PINs",
+    'is already held by another user (every user needs their own PIN)',
+  ]), ['is a run of digits (like 1234 or 9876)', 'was one of your last 3 PINs', 'cannot be used; choose a different PIN']);
+  assert.equal(MAX_FAILURES, 10);
+});
@@ -0,0 +1,124 @@
+'use strict';
+
+// Guards src/pin-policy.js: the site PIN policy every save path enforces.
+// Defaults change nothing for an existing site; config bans runs and repeats,
+// tightens length, bans PINs and remembers retired ones; uniqueness across users is always on; the generator
+// only returns PINs the policy and the locks' length rule both accept.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  normalizePolicy,
+  validatePolicy,
+  describePolicy,
+  pinHolders,
+  currentPin,
+  checkPin,
+  policyError,
+  generatePin,
+  recordRetiredPin,
+} = require('../src/pin-policy');
+
+// Deterministic digits for generatePin: cycles through `seq`.
+function digits(seq) {
+  let i = 0;
+  return () => Number(seq[i++ % seq.length]);
+}
+
+function cfg() {
+  return {
+    devices: { zwave: { locks: {
+      front: { user_codes: {
+        1: { user_id: 'u1', pin_code: '2468', updated_at: '2026-07-01T00:00:00Z' },
+        2: { user_id: 'u2', pin_code: '8642', updated_at: '2026-07-02T00:00:00Z' },
+      } },
+      back: { user_codes: { 1: { user_id: 'u1', pin_code: '1357', updated_at: '2026-07-05T00:00:00Z' } } },
+    } } },
+    pin_windows: { g1: { pin_code: '502913' } },
+    pin_rotations: { u2: { pin_code: '390517' } },
+    unifi_pin_state: { u3: { pin_code: '771044' } },
+  };
+}
+
+test('normalizePolicy: defaults, clamping, and junk banned entries dropped', () => {
+  assert.deepEqual(normalizePolicy(), { min_length: 4, ban_sequences: false, ban_repeats: false, banned_pins: [], history: 0 });
+  assert.deepEqual(normalizePolicy({ min_length: 12, ban_sequences: true, banned_pins: [1600, ' 1987 ', 'abc'], history: 99 }),
+    { min_length: 10, ban_sequences: true, ban_repeats: false, banned_pins: ['1600', '1987'], history: 24 });
+  assert.equal(normalizePolicy({ min_length: '6' }).min_length, 4, 'a non-integer keeps the default');
+});
+
+test('checkPin: runs, repeats, banned PINs and length', () => {
+  const policy = normalizePolicy({ min_length: 6, ban_sequences: true, ban_repeats: true, banned_pins: ['160019'] });
+  const check = (pin) => checkPin(pin, { policy, userId: 'u1' });
+  assert.deepEqual(check('1234'), ['must be at least 6 digits', 'is a run of digits (like 1234 or 9876)']);
+  for (const pin of ['111111', '121212', '123123']) assert.match(check(pin).join(), /repeated pattern/, pin);
+  for (const pin of ['987654', '789012']) assert.match(check(pin).join(), /run of digits/, pin);
+  assert.deepEqual(check('160019'), ['is on the banned PIN list']);
+  assert.deepEqual(check('58a1'), ['must be 4 to 10 digits']);
+  assert.deepEqual(check('502913'), []);
+  assert.deepEqual(checkPin('1111', { policy: normalizePolicy(), userId: 'u1' }), [], 'runs and repeats are allowed by default');
+  assert.deepEqual(checkPin('1234', { policy: normalizePolicy(), userId: 'u1' }), []);
+});
+
+test('checkPin: uniqueness across users and no reuse of retired PINs', () => {
+  const c = cfg();
+  const holders = pinHolders(c);
+  assert.deepEqual([...holders.entries()].sort(), [['1357', 'u1'], ['2468', 'u1'], ['390517', 'u2'], ['502913', 'g1'], ['771044', 'u3'], ['8642', 'u2']]);
+  const policy = normalizePolicy({ history: 2 });
+  const history = [{ pin_code: '9031' }, { pin_code: '4470' }, { pin_code: '5182' }];
+  assert.match(policyError(checkPin('771044', { policy, userId: 'u1', holders })), /^PIN policy: the PIN is already held by another user/);
+  assert.deepEqual(checkPin('1357', { policy, userId: 'u1', holders, history }), [], 'saving the current PIN again is allowed');
+  assert.deepEqual(checkPin('4470', { policy, userId: 'u1', holders, history }), ["was one of this user's last 2 PINs"]);
+  assert.deepEqual(checkPin('5182', { policy, userId: 'u1', holders, history }), [], 'older than the last 2');
+});
+
+test('currentPin: the newest lock code, then a window, then UniFi', () => {
+  const c = cfg();
+  assert.equal(currentPin(c, 'u1'), '1357');
+  assert.equal(currentPin(c, 'g1'), '502913');
+  assert.equal(currentPin(c, 'u3'), '771044');
+  assert.equal(currentPin(c, 'nobody'), null);
+});
+
+test('recordRetiredPin: newest first, no duplicates, capped, cleared when off', () => {
+  const c = {};
+  recordRetiredPin(c, 'u1', '1111', 't1', 2);
+  recordRetiredPin(c, 'u1', '2222', 't2', 2);
+  recordRetiredPin(c, 'u1', '1111', 't3', 2);
+  assert.deepEqual(c.pin_history.u1, [{ pin_code: '1111', retired_at: 't3' }, { pin_code: '2222', retired_at: 't2' }]);
+  recordRetiredPin(c, 'u1', '3333', 't4', 2);
+  assert.deepEqual(c.pin_history.u1.map((h) => h.pin_code), ['3333', '1111']);
+  recordRetiredPin(c, 'u1', '4444', 't5', 0);
+  assert.equal(c.pin_history.u1, undefined);
+});
+
+test('generatePin: fits the locks and the policy, skips weak or taken PINs', () => {
+  const policy = normalizePolicy();
+  const free = { min: 4, max: 10, fixed: null, conflict: false };
+  const holders = new Map([['802413', 'u9']]);
+  assert.equal(generatePin(policy, free, { userId: 'u1', holders }, digits('111111' + '123456' + '802413' + '640271')), '640271');
+  assert.equal(generatePin(policy, { min: 4, max: 8, fixed: 4, conflict: false }, { userId: 'u1' }, digits('5172')), '5172');
+  assert.equal(generatePin(normalizePolicy({ min_length: 8 }), free, { userId: 'u1' }).length, 8);
+  assert.equal(generatePin(normalizePolicy({ min_length: 8 }), { min: 4, max: 6, fixed: null, conflict: false }, { userId: 'u1' }), null);
+  assert.equal(generatePin(policy, { min: 4, max: 8, fixed: 4, conflict: true }, { userId: 'u1' }), null);
+  assert.match(generatePin(policy, free, { userId: 'u1' }), /^[0-9]{6}$/);
+});
+
+test('describePolicy: words for the panel, never the banned digits', () => {
+  const text = describePolicy(normalizePolicy({ min_length: 6, ban_sequences: true, ban_repeats: true, banned_pins: ['1600'], history: 3 }));
+  assert.equal(text, "at least 6 digits, no runs or repeats like 1234 or 1111, none of the 1 banned PIN(s), not one of the user's last 3, not held by another user");
+  assert.ok(!/1600/.test(text));
+  assert.equal(describePolicy(normalizePolicy()), 'at least 4 digits, not held by another user');
+});
+
+test('validatePolicy: ranges, booleans and digit-only banned PINs', () => {
+  assert.deepEqual(validatePolicy(undefined), []);
+  assert.deepEqual(validatePolicy({ min_length: 6, ban_sequences: true, ban_repeats: false, banned_pins: ['1600', 1987], history: 3 }), []);
+  assert.deepEqual(validatePolicy('strict'), ['pin_policy must be an object']);
+  assert.deepEqual(validatePolicy({ min_length: 3, ban_repeats: 'yes', banned_pins: ['12a4'], history: 25 }), [
+    'pin_policy.min_length must be a whole number from 4 to 10',
+    'pin_policy.ban_repeats must be true or false',
+    'pin_policy.banned_pins must be a list of 4 to 10 digit PINs',
+    'pin_policy.history must be a whole number from 0 to 24',
+  ]);
+});
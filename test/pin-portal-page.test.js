@@ -0,0 +1,85 @@
+'use strict';
+
+// Guards public/pin.html, the self-service PIN page a user reaches from an
+// emailed link: the secret is read from the #fragment only, the length rule
+// is checked before anything is sent, and the page talks to nothing but the
+// two /pin-portal routes (never /api, never an admin key). Extracts the REAL
+// functions from the page. The server route behind it is guarded at the
+// source level: one link, one PIN, even for parallel submits.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const html = fs.readFileSync(path.join(__dirname, '..', 'public', 'pin.html'), 'utf8');
+const indexSrc = fs.readFileSync(path.join(__dirname, '..', 'src', 'index.js'), 'utf8');
+
+function extractFn(name) {
+  const start = html.indexOf('function ' + name);
+  assert.ok(start >= 0, 'function not found: ' + name);
+  let depth = 0;
+  const open = html.indexOf('{', start);
+  for (let j = open; j < html.length; j++) {
+    if (html[j] === '{') depth++;
+    else if (html[j] === '}') { depth--; if (depth === 0) return html.slice(start, j + 1); }
+  }
+  throw new Error('unbalanced braces for ' + name);
+}
+
+function load() {
+  const src = ['linkFromHash', 'pinRuleText', 'pinInputError'].map(extractFn).join('\n');
+  return new Function(src + '; return { linkFromHash, pinRuleText, pinInputError };')();
+}
+
+test('linkFromHash: only a plausible secret from the fragment', () => {
+  const { linkFromHash } = load();
+  assert.equal(linkFromHash('#Q2hhbmdlTWVQbGVhc2VfLTEyMzQ1Njc4OTA'), 'Q2hhbmdlTWVQbGVhc2VfLTEyMzQ1Njc4OTA');
+  assert.equal(linkFromHash(''), '');
+  assert.equal(linkFromHash('#short'), '');
+  assert.equal(linkFromHash('#<script>alert(1)</script>aaaaaaaaaaaaaaaa'), '');
+});
+
+test('pinInputError: digits, the lock length rule, and a matching repeat', () => {
+  const { pinInputError, pinRuleText } = load();
+  assert.equal(pinRuleText({ fixed: 6 }), '6 digits');
+  assert.equal(pinRuleText({ min: 4, max: 8 }), '4 to 8 digits');
+  assert.equal(pinInputError('48a1', '48a1', {}), 'Use digits only.');
+  assert.equal(pinInputError('4821', '4821', { fixed: 6 }), 'Your PIN must be 6 digits.');
+  assert.equal(pinInputError('482913', '482931', { min: 4, max: 8 }), 'The two PINs do not match.');
+  assert.equal(pinInputError('482913', '482913', { min: 4, max: 8 }), null);
+});
+
+test('the page reaches only the portal routes and keeps the secret out of the URL', () => {
+  const paths = [...html.matchAll(/['`](\/[a-z-]+\/[a-z-]+)['`]/g)].map((m) => m[1]);
+  assert.deepEqual([...new Set(paths)].sort(), ['/pin-portal/pin', '/pin-portal/session']);
+  assert.ok(!/\/api\//.test(html), 'no admin API');
+  assert.ok(!/x-api-key|localStorage/i.test(html), 'no admin key, nothing stored');
+  assert.match(html, /history\.replaceState\(null, '', location\.pathname\)/);
+  assert.match(html, /<meta name="referrer" content="no-referrer">/);
+});
+
+test('/pin-portal/pin claims the link under the keypad lock before writing', () => {
+  const start = indexSrc.indexOf("app.post('/pin-portal/pin'");
+  assert.ok(start >= 0, 'route not found');
+  const route = indexSrc.slice(start, indexSrc.indexOf('\n});', start));
+  const locked = route.slice(route.indexOf('withKeypadLock('));
+  assert.match(locked, /^withKeypadLock\(async \(\) => \{\s*const live = pinLinks\.findLink\(/, 'the link is looked up again under the lock');
+  assert.ok(locked.indexOf('cfg.pin_links[id].failures = failures') >= 0, 'the failure count is bumped under the lock');
+  const claim = locked.indexOf('dropPinLinks([id]);\n      const priorPin');
+  assert.ok(claim >= 0 && claim < locked.indexOf('writeGatedPin('), 'the link is dropped before any lock write');
+  assert.ok(locked.indexOf('cancelPinRotation(') > locked.indexOf('writeGatedPin('), 'a staged rotation is cancelled only after a lock took the PIN');
+  assert.ok(route.indexOf('cancelPinRotation(') >= route.indexOf('withKeypadLock('));
+});
+
+test('emailed links are built on pin_portal.public_url, never the Host header', () => {
+  const start = indexSrc.indexOf("app.post('/api/deadbolt/keypad-users/:user_id/pin-link'");
+  assert.ok(start >= 0, 'route not found');
+  const route = indexSrc.slice(start, indexSrc.indexOf('\n});', start));
+  assert.match(route, /if \(!portal\.public_url\) \{\s*return res\.status\(409\)/, 'no public_url, no link');
+  assert.doesNotMatch(route, /req\.get\(['"]host['"]\)|req\.hostname|req\.headers\.host/);
+});
+
+test('PUT /api/config persists pin_portal', () => {
+  assert.match(indexSrc, /const safeKeys = \[[^\]]*'pin_portal'/);
+});
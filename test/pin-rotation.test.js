@@ -0,0 +1,111 @@
+'use strict';
+
+// Guards src/pin-rotation.js: rotation rules (group or lock, shortest
+// interval wins), who is due and when, the per-user step plan read back from
+// user_codes and unifi_pin_state, the email that hands out the new PIN, and a
+// panel view that never carries digits.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  DAY_MS,
+  normalizeRotation,
+  validateRotation,
+  intervalFor,
+  dueRotations,
+  rotationStep,
+  rotationEmail,
+  describeRotations,
+} = require('../src/pin-rotation');
+
+const NOW = Date.parse('2026-10-01T00:00:00Z');
+
+function locksCfg() {
+  return {
+    front: { user_codes: {
+      1: { user_id: 'u1', name: 'Alice', pin_code: '2468', updated_at: '2026-06-01T00:00:00Z' },
+      2: { user_id: 'u2', name: 'Bob', pin_code: '8642', updated_at: '2026-09-20T00:00:00Z' },
+      3: { user_id: 'u3', name: 'Carol', pin_code: '5173', updated_at: '2026-01-01T00:00:00Z' },
+    } },
+    back: { user_codes: {
+      1: { user_id: 'u1', name: 'Alice', pin_code: '2468', updated_at: '2026-06-01T00:00:00Z' },
+    } },
+  };
+}
+
+test('normalizeRotation: bad rules are dropped; no rule means off', () => {
+  assert.deepEqual(normalizeRotation({
+    enabled: true,
+    rules: [{ group: 'tenants', every_days: 90 }, { lock: 'front', every_days: 30 }, { group: 'x', every_days: 0 }, { every_days: 5 }],
+  }), { enabled: true, rules: [{ group: 'tenants', every_days: 90 }, { lock: 'front', every_days: 30 }], max_in_flight: 5 });
+  assert.equal(normalizeRotation({ enabled: true, rules: [] }).enabled, false);
+  assert.equal(normalizeRotation({ rules: [{ group: 'g', every_days: 9 }] }).enabled, false, 'enabled must be set');
+  assert.equal(normalizeRotation({ max_in_flight: 2 }).max_in_flight, 2);
+});
+
+test('validateRotation: one target per rule and whole days', () => {
+  assert.deepEqual(validateRotation({ enabled: true, rules: [{ group: 'g', every_days: 90 }] }), []);
+  assert.deepEqual(validateRotation(null), []);
+  assert.deepEqual(validateRotation({ rules: [{ group: 'g', lock: 'l', every_days: 1.5 }], max_in_flight: 0 }), [
+    'pin_rotation.rules[0] needs exactly one of group or lock',
+    'pin_rotation.rules[0].every_days must be a whole number of days (1 or more)',
+    'pin_rotation.max_in_flight must be a whole number (1 or more)',
+  ]);
+  assert.deepEqual(validateRotation('yes'), ['pin_rotation must be an object']);
+});
+
+test('intervalFor: the shortest matching rule wins', () => {
+  const rules = [{ group: 'tenants', every_days: 90 }, { lock: 'front', every_days: 30 }];
+  assert.equal(intervalFor(rules, 'tenants', ['back']), 90);
+  assert.equal(intervalFor(rules, 'tenants', ['front', 'back']), 30);
+  assert.equal(intervalFor(rules, 'staff', ['back']), null);
+});
+
+test('dueRotations: due users oldest first, skipping windowed and in-flight ones', () => {
+  const rules = [{ group: 'tenants', every_days: 90 }];
+  const groups = { u1: 'tenants', u2: 'tenants', u3: 'tenants' };
+  const due = dueRotations(locksCfg(), { at: NOW, rules, groupOf: (id) => groups[id] });
+  assert.deepEqual(due.map((d) => d.user_id), ['u3', 'u1'], 'Bob set his PIN 11 days ago');
+  assert.deepEqual(due[1], {
+    user_id: 'u1', name: 'Alice', every_days: 90, last_set: '2026-06-01T00:00:00Z',
+    due_at: new Date(Date.parse('2026-06-01T00:00:00Z') + 90 * DAY_MS).toISOString(),
+  });
+  assert.deepEqual(dueRotations(locksCfg(), { at: NOW, rules, groupOf: (id) => groups[id], skip: new Set(['u3']) })
+    .map((d) => d.user_id), ['u1']);
+  assert.deepEqual(dueRotations(locksCfg(), { at: NOW, rules: [{ lock: 'back', every_days: 30 }] }).map((d) => d.user_id), ['u1']);
+});
+
+test('rotationStep: old codes to replace, UniFi, then the email, then done', () => {
+  const record = { pin_code: '640271', notified_at: null };
+  const cfg = locksCfg();
+  let step = rotationStep('u1', record, cfg, { writableLocks: ['front', 'back'], pinState: { u1: { pin_code: '2468' } } });
+  assert.deepEqual(step, { write: ['front', 'back'], unifi: true, notify: false, done: false }, 'nothing works yet: no email');
+
+  cfg.front.user_codes['1'].pin_code = '640271';
+  step = rotationStep('u1', record, cfg, { writableLocks: ['front', 'back'], pinState: {} });
+  assert.deepEqual(step, { write: ['back'], unifi: true, notify: true, done: false }, 'live on one lock: tell the user');
+
+  step = rotationStep('u1', record, cfg, { writableLocks: ['front'], pinState: { u1: { pin_code: '640271' } } });
+  assert.deepEqual(step, { write: [], unifi: false, notify: true, done: false }, 'a lock the user may not use is not waited for');
+  assert.equal(rotationStep('u1', Object.assign({}, record, { notified_at: 't' }), cfg,
+    { writableLocks: ['front'], pinState: { u1: { pin_code: '640271' } } }).done, true);
+});
+
+test('rotationEmail: the new PIN, the interval, and the name', () => {
+  const mail = rotationEmail({ name: 'Alice', pin_code: '640271', every_days: 90 });
+  assert.equal(mail.subject, 'Your new door PIN');
+  assert.match(mail.text, /^Hello Alice,/);
+  assert.match(mail.text, /Your new PIN: 640271/);
+  assert.match(mail.text, /every 90 days/);
+});
+
+test('describeRotations: progress per user, never the digits', () => {
+  const rows = describeRotations({
+    u1: { name: 'Alice', pin_code: '640271', staged_at: 's', notified_at: null, last_error: 'connection refused' },
+    bad: { name: 'No PIN' },
+  }, locksCfg(), { writableLocks: () => ['front', 'back'], pinState: {} });
+  assert.deepEqual(rows, [{
+    user_id: 'u1', name: 'Alice', staged_at: 's', locks_pending: 2, unifi_pending: true, notified: false, last_error: 'connection refused',
+  }]);
+  assert.ok(!JSON.stringify(rows).includes('640271'));
+});
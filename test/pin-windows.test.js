@@ -0,0 +1,96 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const pinWindows = require('../src/pin-windows');
+
+// Mon 2 Mar 2026, UTC site clock.
+const MON_9 = Date.UTC(2026, 2, 2, 9, 0);
+const MON_20 = Date.UTC(2026, 2, 2, 20, 0);
+const WEEKDAYS = { windows: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '07:00', end: '16:00' }] };
+
+function contractor(extra = {}) {
+  return Object.assign({
+    name: 'Acme Electric',
+    pin_code: '482913',
+    valid_from: '2026-03-02T00:00:00.000Z',
+    valid_until: '2026-03-14T00:00:00.000Z',
+    schedule: WEEKDAYS,
+  }, extra);
+}
+
+function lockWith(codes, pending) {
+  return { user_codes: codes || {}, pending_clears: pending || {} };
+}
+
+test('windowState: before, inside, outside the weekly hours, and after', () => {
+  const w = contractor();
+  assert.equal(pinWindows.windowState(w, Date.UTC(2026, 2, 1, 12), 'UTC'), 'scheduled');
+  assert.equal(pinWindows.windowState(w, MON_9, 'UTC'), 'open');
+  assert.equal(pinWindows.windowState(w, MON_20, 'UTC'), 'off_hours');
+  assert.equal(pinWindows.windowState(w, Date.UTC(2026, 2, 14), 'UTC'), 'expired', 'valid_until is exclusive');
+  assert.equal(pinWindows.windowState(w, MON_9, 'UTC', [{ date: '2026-03-02', name: 'Closed' }]), 'off_hours', 'the holiday calendar closes the hours');
+  assert.equal(pinWindows.windowState({ valid_until: '2026-03-14T00:00:00.000Z' }, MON_20, 'UTC'), 'open', 'no schedule = any time');
+});
+
+test('validatePinWindow and normalizeWindow', () => {
+  assert.deepEqual(pinWindows.validatePinWindow({}), []);
+  assert.equal(pinWindows.normalizeWindow({ pin: '1234' }), null, 'no window fields = a permanent PIN');
+  assert.deepEqual(pinWindows.validatePinWindow({ valid_from: 'soon' }), ['valid_from must be a date and time']);
+  assert.deepEqual(pinWindows.validatePinWindow({ valid_from: '2026-03-14T00:00:00Z', valid_until: '2026-03-02T00:00:00Z' }),
+    ['valid_until must be after valid_from']);
+  assert.ok(pinWindows.validatePinWindow({ schedule: { windows: [{ days: ['mon'], start: '7am', end: '16:00' }] } })
+    .some((e) => /start must be HH:MM/.test(e)));
+  assert.deepEqual(pinWindows.normalizeWindow({ valid_until: '2026-03-14T01:00:00+01:00', schedule: WEEKDAYS }), {
+    valid_from: null,
+    valid_until: '2026-03-14T00:00:00.000Z',
+    schedule: WEEKDAYS,
+  });
+});
+
+test('an open window writes to the locks that lack this PIN and pushes it to UniFi', () => {
+  const locks = {
+    a: lockWith({ 3: { user_id: 'u-9', pin_code: '482913' } }),
+    b: lockWith({ 5: { user_id: 'u-9', pin_code: '111111' } }), // an older PIN: rewrite
+    c: lockWith(),
+  };
+  const rows = pinWindows.planPinWindows({ 'u-9': contractor() }, locks, {
+    at: MON_9, timezone: 'UTC', writableLocks: () => ['a', 'b', 'c'],
+  });
+  assert.deepEqual(rows, [{
+    user_id: 'u-9', name: 'Acme Electric', pin: '482913', state: 'open',
+    write: ['b', 'c'], clear: [], unifi: 'push', expire: false,
+  }]);
+  const synced = pinWindows.planPinWindows({ 'u-9': contractor() }, { a: locks.a }, {
+    at: MON_9, timezone: 'UTC', writableLocks: () => ['a'], pinState: { 'u-9': { pin_code: '482913' } },
+  });
+  assert.deepEqual(synced, [], 'nothing to do once every lock and UniFi hold it');
+});
+
+test('a closed window clears every held code and any UniFi PIN the user has', () => {
+  const locks = { a: lockWith({ 3: { user_id: 'u-9', pin_code: '482913' } }), b: lockWith({ 2: { user_id: 'u-1', pin_code: '2222' } }) };
+  const [row] = pinWindows.planPinWindows({ 'u-9': contractor() }, locks, {
+    at: MON_20, timezone: 'UTC', writableLocks: () => ['a', 'b'], pinState: { 'u-9': { pin_code: '000000' } },
+  });
+  assert.equal(row.state, 'off_hours');
+  assert.deepEqual(row.write, []);
+  assert.deepEqual(row.clear, [{ lock_id: 'a', slot: 3 }]);
+  assert.equal(row.unifi, 'unassign', 'an older permanent UniFi PIN goes too');
+  assert.equal(row.expire, false);
+});
+
+test('an expired window is dropped only once nothing is left to clear', () => {
+  const after = Date.UTC(2026, 2, 15);
+  const pending = { a: lockWith({}, { 3: { user_id: 'u-9' } }) };
+  assert.deepEqual(pinWindows.planPinWindows({ 'u-9': contractor() }, pending, { at: after }), [],
+    'a queued clear still has to confirm');
+  const [row] = pinWindows.planPinWindows({ 'u-9': contractor() }, { a: lockWith() }, { at: after });
+  assert.equal(row.expire, true);
+  assert.equal(row.state, 'expired');
+});
+
+test('describeWindows exposes the window and state, never the digits', () => {
+  const out = pinWindows.describeWindows({ 'u-9': contractor(), 'u-2': contractor({ name: 'Bea', valid_from: null }) }, MON_20, 'UTC');
+  assert.deepEqual(out.map((w) => [w.name, w.state, w.pin_length]), [['Acme Electric', 'off_hours', 6], ['Bea', 'off_hours', 6]]);
+  assert.ok(!JSON.stringify(out).includes('482913'));
+});
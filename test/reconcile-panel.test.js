@@ -0,0 +1,70 @@
+'use strict';
+
+// Guards the Access Reconciliation panel on the User Settings tab. Extracts
+// the REAL builders from public/index.html (same approach as
+// deadbolt-user-codes.test.js) and checks the per-lock cells, the fix buttons
+// (disabled during pairing), and that user-controlled names are escaped.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const html = fs.readFileSync(path.join(__dirname, '..', 'public', 'index.html'), 'utf8');
+
+function extractFn(name) {
+  const start = html.indexOf('function ' + name);
+  assert.ok(start >= 0, 'function not found: ' + name);
+  let depth = 0;
+  const open = html.indexOf('{', start);
+  for (let j = open; j < html.length; j++) {
+    if (html[j] === '{') depth++;
+    else if (html[j] === '}') { depth--; if (depth === 0) return html.slice(start, j + 1); }
+  }
+  throw new Error('unbalanced braces for ' + name);
+}
+
+function load() {
+  const src = ['escapeHtml', 'reconcileFixLabel', 'reconcileVerdictBadge', 'reconcileFixButton', 'reconcileCell', 'buildReconcilePanel']
+    .map(extractFn).join('\n');
+  return new Function(src + '; return buildReconcilePanel;')();
+}
+
+function report() {
+  return {
+    locks: [{ lock_id: 'front', name: 'Front' }, { lock_id: 'back', name: 'Back' }],
+    access_gating: { available: true },
+    summary: { planned_revocations: 1, pending_clears: 0, unconfirmed: 1, not_in_unifi: 1 },
+    users: [
+      {
+        user_id: 'u1', name: 'Alice <b>', departed: false, windowed: false, has_pin: true, in_unifi: false, fixes: ['push_unifi'],
+        locks: [
+          { lock_id: 'front', verdict: 'allowed', held: true, slot: 3, confirmed: null, current: true, pushed_to_unifi: false, clear_pending: null, planned: null, fixes: ['write'] },
+          { lock_id: 'back', verdict: 'denied', held: true, slot: 4, confirmed: true, current: true, pushed_to_unifi: false, clear_pending: null, planned: { action: 'revoke', reason: 'no UniFi access to "Back"' }, fixes: ['revoke'] },
+        ],
+      },
+    ],
+  };
+}
+
+test('buildReconcilePanel: the plan, per-lock state and fix buttons', () => {
+  const out = load()(report(), false);
+  assert.match(out, /The next access sync will revoke 1 code\(s\)\./);
+  assert.match(out, /<span>Front<\/span><span>Back<\/span><span>UNIFI PIN<\/span>/);
+  assert.match(out, /slot 3, not confirmed, not in UniFi/);
+  assert.match(out, /will revoke: no UniFi access to &quot;Back&quot;/);
+  assert.match(out, /runReconcileFix\(&quot;u1&quot;, &quot;back&quot;, 'revoke'\)">Revoke now</);
+  assert.match(out, /runReconcileFix\(&quot;u1&quot;, &quot;front&quot;, 'write'\)">Write PIN</);
+  assert.match(out, /runReconcileFix\(&quot;u1&quot;, null, 'push_unifi'\)">Push to UniFi</);
+  assert.ok(out.includes('Alice &lt;b&gt;') && !out.includes('Alice <b>'), 'names are escaped');
+});
+
+test('buildReconcilePanel: fixes are disabled while pairing; no access data says so', () => {
+  const r = report();
+  const out = load()(r, true);
+  assert.equal((out.match(/<button /g) || []).length, 3);
+  assert.equal((out.match(/ disabled>/g) || []).length, 3);
+  r.access_gating.available = false;
+  assert.match(load()(r, false), /UniFi access data is not available, so the automatic sync revokes nothing right now/);
+  assert.equal(load()({ locks: [] }, false), '');
+});
@@ -0,0 +1,118 @@
+'use strict';
+
+// Guards src/reconcile-report.js: the read-only reconciliation report. Its
+// planned column must match the reconciler's own planners (a confirmed denial
+// or a departed user, never 'unknown' or missing access data), it never
+// carries digits, and a fix is offered only where the write or revoke path
+// would agree and is re-checked against a fresh report.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { reconciliationReport, findFix } = require('../src/reconcile-report');
+
+const RELEVANT = [{ lock_id: 'front', label: 'Front' }, { lock_id: 'back', label: 'Back' }];
+
+function locksCfg() {
+  return {
+    front: {
+      user_codes: {
+        1: { user_id: 'u1', name: 'Alice', pin_code: '2468', pushed_to_unifi: true, confirmed: true, updated_at: '2026-09-01T00:00:00Z' },
+        2: { user_id: 'u2', name: 'Bob', pin_code: '8642', pushed_to_unifi: false, confirmed: null, updated_at: '2026-09-02T00:00:00Z' },
+        3: { user_id: 'gone', name: 'Gone', pin_code: '5173', updated_at: '2026-01-01T00:00:00Z' },
+      },
+    },
+    back: {
+      user_codes: {
+        4: { user_id: 'u1', name: 'Alice', pin_code: '2468', pushed_to_unifi: true, updated_at: '2026-09-01T00:00:00Z' },
+      },
+      pending_clears: { 7: { user_id: 'u3', name: 'Carol', requested_at: '2026-10-01T00:00:00Z', reason: 'removed' } },
+    },
+  };
+}
+
+// Alice is denied on the back door; everyone else is allowed everywhere.
+const verdictFor = (userId, lockId) => (userId === 'u1' && lockId === 'back' ? 'denied' : 'allowed');
+const entitledIds = new Set(['u1', 'u2', 'u3']);
+
+function cell(report, userId, lockId) {
+  return report.users.find((u) => u.user_id === userId).locks.find((l) => l.lock_id === lockId);
+}
+
+test('reconciliationReport: planned revokes mirror the reconciler, departed reason first', () => {
+  const report = reconciliationReport(locksCfg(), RELEVANT, { available: true, verdictFor, entitledIds });
+  assert.deepEqual(cell(report, 'u1', 'back').planned, { action: 'revoke', reason: 'no UniFi access to this lock\'s door' });
+  assert.deepEqual(cell(report, 'u1', 'back').fixes, ['revoke']);
+  assert.equal(cell(report, 'u1', 'front').planned, null);
+  const gone = report.users.find((u) => u.user_id === 'gone');
+  assert.equal(gone.departed, true);
+  assert.deepEqual(cell(report, 'gone', 'front').planned, { action: 'revoke', reason: 'user no longer active in UniFi' });
+  assert.deepEqual(gone.fixes, [], 'a departed user gets no UniFi push');
+  assert.equal(report.summary.planned_revocations, 2);
+});
+
+test('reconciliationReport: no access data plans nothing and every verdict is unknown', () => {
+  const report = reconciliationReport(locksCfg(), RELEVANT, { available: false, verdictFor, entitledIds });
+  assert.equal(report.summary.planned_revocations, 0);
+  assert.ok(report.users.every((u) => !u.departed && u.locks.every((l) => l.verdict === 'unknown' && !l.planned)));
+  assert.deepEqual(cell(report, 'u2', 'back').fixes, [], 'unknown never provisions a missing code');
+  assert.deepEqual(cell(report, 'u2', 'front').fixes, ['write'], 'an unconfirmed held code may be rewritten');
+});
+
+test('reconciliationReport: an empty active set never sweeps anyone as departed', () => {
+  const report = reconciliationReport(locksCfg(), RELEVANT, { available: true, verdictFor, entitledIds: new Set() });
+  assert.ok(report.users.every((u) => !u.departed));
+  assert.equal(cell(report, 'gone', 'front').planned, null);
+});
+
+test('reconciliationReport: code, confirmation, UniFi and pending-clear columns', () => {
+  const report = reconciliationReport(locksCfg(), RELEVANT, {
+    available: true, verdictFor, entitledIds, names: new Map([['u2', 'Robert']]),
+  });
+  assert.deepEqual(cell(report, 'u2', 'front'), {
+    lock_id: 'front', verdict: 'allowed', held: true, slot: 2, confirmed: null, current: true,
+    pushed_to_unifi: false, clear_pending: null, planned: null, fixes: ['write'],
+  });
+  assert.deepEqual(cell(report, 'u2', 'back').fixes, ['write'], 'missing on a lock the user is allowed on');
+  assert.equal(cell(report, 'u1', 'back').confirmed, true, 'entries older than the field read as confirmed');
+  const bob = report.users.find((u) => u.user_id === 'u2');
+  assert.equal(bob.name, 'Robert', 'the UniFi name wins');
+  assert.deepEqual(bob.fixes, ['push_unifi']);
+  const carol = report.users.find((u) => u.user_id === 'u3');
+  assert.equal(carol.name, 'Carol');
+  assert.equal(carol.has_pin, false);
+  assert.deepEqual(cell(report, 'u3', 'back').clear_pending, { requested_at: '2026-10-01T00:00:00Z', reason: 'removed' });
+  assert.deepEqual(cell(report, 'u3', 'back').fixes, ['retry_clear']);
+  assert.equal(report.summary.pending_clears, 1);
+  assert.equal(report.summary.unconfirmed, 1);
+  assert.equal(report.summary.not_in_unifi, 1, 'Bob; the departed user is going anyway');
+  for (const digits of ['2468', '8642', '5173']) assert.ok(!JSON.stringify(report).includes(digits));
+});
+
+test('reconciliationReport: windowed users and unifi_pin_state', () => {
+  const report = reconciliationReport(locksCfg(), RELEVANT, {
+    available: true, verdictFor, entitledIds, windowed: new Set(['u2']), unifiPinState: { u2: { pin_code: '8642' } },
+  });
+  const bob = report.users.find((u) => u.user_id === 'u2');
+  assert.equal(bob.in_unifi, true, 'the durable UniFi record counts');
+  assert.deepEqual(bob.fixes, []);
+  assert.ok(bob.locks.every((l) => !l.fixes.includes('write')), 'the window engine owns windowed PINs');
+});
+
+test('reconciliationReport: a user mid-rotation gets no write or UniFi fix', () => {
+  const report = reconciliationReport(locksCfg(), RELEVANT, {
+    available: true, verdictFor, entitledIds, rotating: new Set(['u2']),
+  });
+  const bob = report.users.find((u) => u.user_id === 'u2');
+  assert.deepEqual(bob.fixes, [], 'the rotation job pushes the staged PIN');
+  assert.ok(bob.locks.every((l) => !l.fixes.includes('write')), 'writing the old PIN would undo the rotation');
+  assert.deepEqual(cell(report, 'u1', 'back').fixes, ['revoke'], 'revokes are still offered');
+});
+
+test('findFix: only a fix the fresh report still offers', () => {
+  const report = reconciliationReport(locksCfg(), RELEVANT, { available: true, verdictFor, entitledIds });
+  assert.equal(findFix(report, 'u1', 'back', 'revoke').cell.slot, 4);
+  assert.equal(findFix(report, 'u1', 'front', 'revoke'), null);
+  assert.equal(findFix(report, 'u2', null, 'push_unifi').user.user_id, 'u2');
+  assert.equal(findFix(report, 'u1', null, 'push_unifi'), null);
+  assert.equal(findFix(report, 'nobody', 'front', 'write'), null);
+});
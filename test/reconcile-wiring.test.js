@@ -11,7 +11,8 @@
 //   - pending clears retry and are cleared only on a confirmed clear,
 //   - a battery lock waking retries its pending clears,
 //   - health-restore retries pending clears,
-//   - a blocked lock counts as a handled (not failed) Save outcome.
+//   - a blocked lock counts as a handled (not failed) Save outcome,
+//   - a PIN rotation retires the old PIN only once it completes.
 
 const test = require('node:test');
 const assert = require('node:assert');
@@ -71,6 +72,8 @@ test('retryPendingClears clears a marker only on a confirmed clear', () => {
   const body = fnBody(indexSrc, 'retryPendingClears');
   assert.match(body, /if \(confirmed === true\)/, 'the marker is deleted only when the clear confirms');
   assert.match(body, /delete pc\[slotKey\]/, 'the confirmed slot marker is removed');
+  assert.match(body, /if \(onlyUserId && !\(pend\[slotKey\] && pend\[slotKey\]\.user_id === onlyUserId\)\) continue;/,
+    'a one-user retry skips other users\' markers');
 });
 
 test('a waking Z-Wave node retries that lock\'s pending clears', () => {
@@ -127,3 +130,30 @@ test('reconcile is debounced and wired to real access changes only', () => {
   const clientSrc = fs.readFileSync(path.join(__dirname, '..', 'src', 'unifi-client.js'), 'utf8');
   assert.match(clientSrc, /_accessPolicyHash\(\)/, 'the client fingerprints the access model');
 });
+
+test('the reconciliation report re-plans before every fix', () => {
+  const start = indexSrc.indexOf("app.post('/api/deadbolt/reconciliation/fix'");
+  assert.ok(start >= 0, 'fix route not found');
+  const route = indexSrc.slice(start, indexSrc.indexOf('\n});', start));
+  assert.match(route, /authorizeSensitivePinOp\(b, \{ allowCurrentPin: false \}\)/, 'fixes need the admin PIN');
+  assert.match(route, /withKeypadLock\(async \(\) => \{\s*const capable = await codeCapableLocks\(\);\s*const fix = reconcileReport\.findFix\(/,
+    'the fix is looked up in a fresh report, under the keypad lock');
+  assert.match(route, /revokeHeldCode\(/, 'a revoke goes through the shared executor');
+  assert.match(route, /retryPendingClears\(lock\.lock_id, b\.user_id\)/, 'retry_clear retries only the selected user\'s clears');
+  const report = fnBody(indexSrc, 'buildReconciliationReport');
+  assert.match(report, /accessGating\.lockAccessVerdict\(access, userId, config\.door_flows, lockId\)/,
+    'the report uses the same collapsed verdict as the reconciler');
+  assert.match(report, /entitledIds: access\.presentActiveIds/);
+  assert.match(report, /rotating: new Set\(Object\.keys\(config\.pin_rotations/, 'rotating users are left to the rotation job');
+});
+
+test('a rotation retires the PIN it replaces only once it completes', () => {
+  const body = fnBody(indexSrc, 'applyPinRotations');
+  const stage = body.slice(0, body.indexOf('// Advance every staged rotation'));
+  assert.doesNotMatch(stage, /retirePriorPin\(/, 'staging keeps the old PIN out of pin_history');
+  assert.match(stage, /prior: priorPin \? \{ pin_code: priorPin \} : null/, 'the old PIN rides the record under pin_code');
+  assert.match(body, /if \(finished\) \{[^}]*\}\);\s*(\/\/[^\n]*\s*)*retirePriorPin\(userId, record\.prior/,
+    'the old PIN is retired when the record is dropped as done');
+  assert.doesNotMatch(fnBody(indexSrc, 'cancelPinRotation'), /retirePriorPin\(/, 'a cancelled rotation retires nothing');
+  assert.match(indexSrc, /const safeKeys = \[[^\]]*'pin_rotation'/, 'PUT /api/config persists pin_rotation');
+});
@@ -0,0 +1,148 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  parseTime,
+  isValidTimezone,
+  localClock,
+  normalizeSchedule,
+  scheduleActive,
+  validateSchedule,
+  localDate,
+  isValidDate,
+  normalizeHolidays,
+  holidayOn,
+  validateHolidays,
+} = require('../src/schedule');
+
+// 2026-03-02 is a Monday.
+const MON_0900_UTC = Date.UTC(2026, 2, 2, 9, 0);
+const MON_2000_UTC = Date.UTC(2026, 2, 2, 20, 0);
+const SAT_0900_UTC = Date.UTC(2026, 2, 7, 9, 0);
+
+const BUSINESS = { windows: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '08:00', end: '18:00' }] };
+
+test('parseTime: HH:MM to minutes, 24:00 allowed, junk rejected', () => {
+  assert.equal(parseTime('08:30'), 510);
+  assert.equal(parseTime('0:00'), 0);
+  assert.equal(parseTime('24:00'), 1440);
+  assert.equal(parseTime('24:01'), null);
+  assert.equal(parseTime('12:60'), null);
+  assert.equal(parseTime('8'), null);
+  assert.equal(parseTime(null), null);
+});
+
+test('isValidTimezone accepts IANA names and rejects junk', () => {
+  assert.equal(isValidTimezone('America/New_York'), true);
+  assert.equal(isValidTimezone('UTC'), true);
+  assert.equal(isValidTimezone('Mars/Olympus'), false);
+  assert.equal(isValidTimezone(''), false);
+});
+
+test('localClock reads the weekday and time in the given zone', () => {
+  assert.deepEqual(localClock(MON_0900_UTC, 'UTC'), { day: 1, minutes: 540 });
+  // 09:00 UTC Monday is 04:00 Monday in New York (EST, UTC-5).
+  assert.deepEqual(localClock(MON_0900_UTC, 'America/New_York'), { day: 1, minutes: 240 });
+  // 02:00 UTC Tuesday is still Monday evening in New York.
+  assert.deepEqual(localClock(Date.UTC(2026, 2, 3, 2, 0), 'America/New_York'), { day: 1, minutes: 21 * 60 });
+});
+
+test('no schedule is always active; a window gates by day and time', () => {
+  assert.equal(scheduleActive(null, MON_2000_UTC, 'UTC'), true);
+  assert.equal(scheduleActive(BUSINESS, MON_0900_UTC, 'UTC'), true, 'Monday 09:00 is business hours');
+  assert.equal(scheduleActive(BUSINESS, MON_2000_UTC, 'UTC'), false, 'Monday 20:00 is after hours');
+  assert.equal(scheduleActive(BUSINESS, SAT_0900_UTC, 'UTC'), false, 'Saturday is not a listed day');
+  assert.equal(scheduleActive(BUSINESS, Date.UTC(2026, 2, 2, 18, 0), 'UTC'), false, 'the end is exclusive');
+  assert.equal(scheduleActive(BUSINESS, Date.UTC(2026, 2, 2, 8, 0), 'UTC'), true, 'the start is inclusive');
+});
+
+test('the site timezone shifts the window', () => {
+  // 09:00 UTC Monday = 04:00 in New York: outside 08:00-18:00 there.
+  assert.equal(scheduleActive(BUSINESS, MON_0900_UTC, 'America/New_York'), false);
+  // 15:00 UTC Monday = 10:00 in New York: inside.
+  assert.equal(scheduleActive(BUSINESS, Date.UTC(2026, 2, 2, 15, 0), 'America/New_York'), true);
+});
+
+test('an overnight window belongs to the day it starts on', () => {
+  const night = { windows: [{ days: ['fri'], start: '22:00', end: '06:00' }] };
+  assert.equal(scheduleActive(night, Date.UTC(2026, 2, 6, 23, 0), 'UTC'), true, 'Friday 23:00');
+  assert.equal(scheduleActive(night, Date.UTC(2026, 2, 7, 5, 59), 'UTC'), true, 'Saturday 05:59 (Friday night)');
+  assert.equal(scheduleActive(night, Date.UTC(2026, 2, 7, 23, 0), 'UTC'), false, 'Saturday 23:00 is not Friday');
+  assert.equal(scheduleActive(night, Date.UTC(2026, 2, 6, 5, 0), 'UTC'), false, 'Friday 05:00 belongs to Thursday night');
+});
+
+test('normalizeSchedule drops broken windows but never widens to always-on', () => {
+  assert.equal(normalizeSchedule(null), null);
+  assert.deepEqual(normalizeSchedule({ windows: [{ days: ['Monday', 'TUE'], start: '08:00', end: '18:00' }] }),
+    { windows: [{ days: ['mon', 'tue'], start: '08:00', end: '18:00' }] });
+  const broken = normalizeSchedule({ windows: [{ days: [], start: '08:00', end: '18:00' }] });
+  assert.deepEqual(broken, { windows: [] });
+  assert.equal(scheduleActive(broken, MON_0900_UTC, 'UTC'), false, 'an all-broken schedule is never active');
+});
+
+test('validateSchedule reports specific errors', () => {
+  const errs = (s) => { const e = []; validateSchedule(s, 'T', e); return e; };
+  assert.deepEqual(errs(null), []);
+  assert.deepEqual(errs(BUSINESS), []);
+  assert.match(errs('nope')[0], /must be null or an object/);
+  assert.match(errs({ windows: [] })[0], /non-empty array/);
+  assert.match(errs({ windows: [{ days: ['funday'], start: '08:00', end: '18:00' }] })[0], /days must be/);
+  assert.match(errs({ windows: [{ days: ['mon'], start: '8am', end: '18:00' }] })[0], /start must be HH:MM/);
+  assert.match(errs({ windows: [{ days: ['mon'], start: '08:00', end: '08:00' }] })[0], /must differ/);
+});
+
+test('localDate reads the calendar date in the given zone', () => {
+  assert.equal(localDate(MON_0900_UTC, 'UTC'), '2026-03-02');
+  // 02:00 UTC Tuesday is still Monday in New York.
+  assert.equal(localDate(Date.UTC(2026, 2, 3, 2, 0), 'America/New_York'), '2026-03-02');
+});
+
+test('holidays: a closure day suppresses a scheduled trigger; hours swap its windows', () => {
+  const xmas = Date.UTC(2026, 11, 25, 10, 0); // a Friday
+  const holidays = [
+    { date: '2026-12-25', name: 'Christmas Day' },
+    { date: '2026-12-24', name: 'Christmas Eve', hours: [{ start: '08:00', end: '12:00' }] },
+  ];
+  assert.equal(scheduleActive(BUSINESS, xmas, 'UTC', holidays), false, 'closed all day');
+  assert.equal(scheduleActive(null, xmas, 'UTC', holidays), true, 'an unscheduled trigger ignores the calendar');
+  assert.equal(scheduleActive(Object.assign({ holidays: 'ignore' }, BUSINESS), xmas, 'UTC', holidays), true, 'an opted-out schedule keeps its windows');
+  assert.equal(scheduleActive(BUSINESS, Date.UTC(2026, 11, 24, 11, 0), 'UTC', holidays), true, 'inside the short day');
+  assert.equal(scheduleActive(BUSINESS, Date.UTC(2026, 11, 24, 13, 0), 'UTC', holidays), false, 'after the short day');
+  // The date is read in the site timezone: 03:00 UTC on the 26th is still the 25th in New York.
+  assert.equal(holidayOn(holidays, Date.UTC(2026, 11, 26, 3, 0), 'America/New_York').name, 'Christmas Day');
+  assert.equal(holidayOn(holidays, Date.UTC(2026, 11, 26, 3, 0), 'UTC'), null);
+});
+
+test('holidays: a date range is inclusive; normalize sorts and drops junk', () => {
+  const list = normalizeHolidays([
+    { date: '2026-12-31', name: 'Shutdown', end_date: '2027-01-02', relock_seconds: 60 },
+    { date: '2026-02-30', name: 'Not a day' },
+    { date: '2026-07-04', end_date: '2026-07-01' },
+  ]);
+  assert.deepEqual(list.map((h) => [h.date, h.end_date, h.name]), [
+    ['2026-07-04', '2026-07-04', 'Holiday'],
+    ['2026-12-31', '2027-01-02', 'Shutdown'],
+  ]);
+  assert.equal(list[1].relock_seconds, 60);
+  assert.equal(holidayOn(list, Date.UTC(2027, 0, 2, 23, 0), 'UTC').name, 'Shutdown');
+  assert.equal(holidayOn(list, Date.UTC(2027, 0, 3, 0, 0), 'UTC'), null);
+  assert.equal(isValidDate('2028-02-29'), true);
+  assert.equal(isValidDate('2027-02-29'), false);
+});
+
+test('validateHolidays and schedule.holidays report specific errors', () => {
+  const errs = (l) => { const e = []; validateHolidays(l, e); return e; };
+  assert.deepEqual(errs(undefined), []);
+  assert.deepEqual(errs([{ date: '2026-12-25', name: 'Christmas', hours: [{ start: '08:00', end: '12:00' }], relock_seconds: 30 }]), []);
+  assert.match(errs({})[0], /must be an array/);
+  assert.match(errs([{ date: '12/25/2026' }])[0], /date must be YYYY-MM-DD/);
+  assert.match(errs([{ date: '2026-12-25', end_date: '2026-12-20' }])[0], /before its date/);
+  assert.match(errs([{ date: '2026-12-25', hours: [{ start: '22:00', end: '02:00' }] }])[0], /same day/);
+  assert.match(errs([{ date: '2026-12-25', relock_seconds: 0 }])[0], /relock_seconds/);
+  const e = [];
+  validateSchedule(Object.assign({ holidays: 'skip' }, BUSINESS), 'T', e);
+  assert.match(e[0], /schedule.holidays must be one of observe, ignore/);
+  assert.deepEqual(normalizeSchedule(Object.assign({ holidays: 'ignore' }, BUSINESS)).holidays, 'ignore');
+});
@@ -77,6 +77,15 @@ test('redactSecrets masks every secret-keyed field but leaves the rest', () => {
   assert.deepStrictEqual(out.auto_lock.buttons, [{ id: 'a' }]);
 });
 
+test('redactSecrets masks HTTP lock credentials in headers', () => {
+  const cfg = { devices: { http: { locks: { gate: { headers: { Authorization: 'Bearer abc', Accept: 'application/json' }, unlock: { url: 'http://relay/u', headers: { 'X-Api-Key': 'k' } } } } } } };
+  const gate = redactSecrets(cfg).devices.http.locks.gate;
+  assert.strictEqual(gate.headers.Authorization, REDACTION_MARKER);
+  assert.strictEqual(gate.headers.Accept, 'application/json');
+  assert.strictEqual(gate.unlock.headers['X-Api-Key'], REDACTION_MARKER);
+  assert.strictEqual(gate.unlock.url, 'http://relay/u');
+});
+
 test('redactSecrets does not mutate the source and leaves empty secrets as-is', () => {
   const cfg = { unifi: { token: '' }, server: { admin_api_key: 'k' } };
   const out = redactSecrets(cfg);
@@ -244,6 +253,55 @@ test('validateConfigUpdates checks the devices.zwave shape', () => {
   assert.strictEqual(validateConfigUpdates({ devices: { zwave: { locks: [] } } }).ok, false);
 });
 
+test('validateConfigUpdates checks the site timezone', () => {
+  assert.strictEqual(validateConfigUpdates({ site: { timezone: 'America/Chicago' } }).ok, true);
+  assert.strictEqual(validateConfigUpdates({ site: { timezone: '' } }).ok, true, 'blank clears it (server local time)');
+  assert.strictEqual(validateConfigUpdates({ site: 'UTC' }).ok, false);
+  const bad = validateConfigUpdates({ site: { timezone: 'Eastern' } });
+  assert.strictEqual(bad.ok, false);
+  assert.match(bad.error, /site\.timezone/);
+});
+
+test('validateConfigUpdates checks the site holiday calendar', () => {
+  assert.strictEqual(validateConfigUpdates({ site: { holidays: [{ date: '2026-11-26', name: 'Thanksgiving' }] } }).ok, true);
+  assert.strictEqual(validateConfigUpdates({ site: { holidays: [] } }).ok, true);
+  const bad = validateConfigUpdates({ site: { holidays: [{ date: 'Nov 26' }] } });
+  assert.strictEqual(bad.ok, false);
+  assert.match(bad.error, /site\.holidays entry 1 date/);
+});
+
+test('validateConfigUpdates checks the lockdown door set', () => {
+  assert.strictEqual(validateConfigUpdates({ lockdown: { door_ids: ['d-front', 'd-side'] } }).ok, true);
+  assert.strictEqual(validateConfigUpdates({ lockdown: { door_ids: [] } }).ok, true, 'empty = every door');
+  assert.strictEqual(validateConfigUpdates({ lockdown: [] }).ok, false);
+  const bad = validateConfigUpdates({ lockdown: { door_ids: ['d-front', 7] } });
+  assert.strictEqual(bad.ok, false);
+  assert.match(bad.error, /lockdown\.door_ids/);
+});
+
+test('validateConfigUpdates checks the PIN policy', () => {
+  assert.strictEqual(validateConfigUpdates({ pin_policy: { min_length: 6, ban_sequences: true, history: 3 } }).ok, true);
+  const bad = validateConfigUpdates({ pin_policy: { min_length: 12 } });
+  assert.strictEqual(bad.ok, false);
+  assert.match(bad.error, /pin_policy\.min_length/);
+});
+
+test('validateConfigUpdates checks the PIN rotation rules', () => {
+  assert.strictEqual(validateConfigUpdates({ pin_rotation: { enabled: true, rules: [{ group: 'tenants', every_days: 90 }] } }).ok, true);
+  const bad = validateConfigUpdates({ pin_rotation: { enabled: true, rules: [{ lock: 'front', every_days: 'quarterly' }] } });
+  assert.strictEqual(bad.ok, false);
+  assert.match(bad.error, /pin_rotation\.rules\[0\]\.every_days/);
+});
+
+test('validateConfigUpdates checks the self-service PIN portal', () => {
+  assert.strictEqual(validateConfigUpdates({ pin_portal: { enabled: true, link_minutes: 120, public_url: 'https://doors.example.com' } }).ok, true);
+  assert.strictEqual(validateConfigUpdates({ pin_portal: { public_url: '' } }).ok, true, 'empty = not set');
+  const bad = validateConfigUpdates({ pin_portal: { public_url: 'javascript:alert(1)' } });
+  assert.strictEqual(bad.ok, false);
+  assert.match(bad.error, /pin_portal\.public_url/);
+  assert.strictEqual(validateConfigUpdates({ pin_portal: { enabled: 'yes' } }).ok, false);
+});
+
 // ---------------------------------------------------------------------------
 // ReplayGuard
 // ---------------------------------------------------------------------------
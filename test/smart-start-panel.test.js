@@ -0,0 +1,64 @@
+'use strict';
+
+// Guards the SmartStart list on the Devices tab: each entry shows who it is,
+// its catalog model and S2 keys, whether it is still waiting or has joined,
+// the DSK with its PIN group masked, and a Remove button. Extracts the REAL builder
+// from public/index.html.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const html = fs.readFileSync(path.join(__dirname, '..', 'public', 'index.html'), 'utf8');
+
+function extractFn(name) {
+  const start = html.indexOf('function ' + name);
+  assert.ok(start >= 0, 'function not found: ' + name);
+  let depth = 0;
+  const open = html.indexOf('{', start);
+  for (let j = open; j < html.length; j++) {
+    if (html[j] === '{') depth++;
+    else if (html[j] === '}') { depth--; if (depth === 0) return html.slice(start, j + 1); }
+  }
+  throw new Error('unbalanced braces for ' + name);
+}
+
+function load() {
+  const src = ['escapeHtml', 'buildSmartStartPanel'].map(extractFn).join('\n');
+  return new Function(src + '; return { buildSmartStartPanel };')();
+}
+
+const DSK = '11111-22222-33333-44444-55555-06666-07777-08888';
+
+test('entries show model, keys and join state with the PIN group masked', () => {
+  const { buildSmartStartPanel } = load();
+  const out = buildSmartStartPanel([
+    { dsk: DSK, status: 'active', node_id: null, name: 'Back <Door>', device: 'deadbolt', model: 'Yale Assure (ZW3 / 700-series)', security: ['S2 Access Control'] },
+    { dsk: '1-2-3-4-5-6-7-8', status: 'active', node_id: 21, sensor_id: 'garage', device: 'contact_sensor', manufacturer_id: '0x027a', product_type: '0x0102', product_id: '0x0003', security: [] },
+  ], false);
+  assert.match(out, /SmartStart list/);
+  assert.match(out, /Back &lt;Door&gt; <span[^>]*>\(lock\)/);
+  assert.match(out, /Yale Assure \(ZW3 \/ 700-series\)/);
+  assert.match(out, /waiting for power-up/);
+  assert.match(out, /garage <span[^>]*>\(sensor\)/);
+  assert.match(out, /0x027a:0x0102:0x0003/);
+  assert.match(out, /no S2 keys/);
+  assert.match(out, /joined as node 21/);
+  assert.match(out, /title="DSK \*\*\*\*\*-22222-33333/);
+  assert.ok(!out.replace(/onclick="[^"]*"/g, '').includes('11111-'), 'the PIN group is only in the Remove call');
+  assert.match(out, /onclick="removeSmartStart\(&quot;11111-22222/);
+  assert.match(out, /Add to SmartStart list/);
+});
+
+test('an empty list is just the add form; an active pairing disables the buttons', () => {
+  const { buildSmartStartPanel } = load();
+  const empty = buildSmartStartPanel([], false);
+  assert.ok(!empty.includes('<table'));
+  assert.match(empty, /\+ Add by SmartStart QR Code/);
+  assert.match(empty, /id="zwaveSmartStartQr"/);
+  const busy = buildSmartStartPanel([{ dsk: DSK, status: 'inactive' }], true);
+  assert.match(busy, /inactive/);
+  assert.match(busy, /Add to SmartStart list<\/button>/);
+  assert.strictEqual((busy.match(/ disabled>/g) || []).length, 2);
+});
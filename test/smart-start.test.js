@@ -0,0 +1,58 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const { parseQrCode, normalizeDsk, formatDsk } = require('../src/drivers/smart-start');
+
+// A SmartStart code as printed on a label: the Z-Wave Alliance sample from
+// the QR code spec (also zwave-js's own parser test vector).
+const SAMPLE = '900132782003515253545541424344453132333435212223242500100435301537022065520001000000300578';
+
+// Build a code with a correct checksum: keys, DSK groups, then raw TLVs.
+function qrCode({ version = 1, keys = 0x87, dsk = [1, 2, 3, 4, 5, 6, 7, 8], tlvs = '' } = {}) {
+  const body = String(keys).padStart(3, '0') + dsk.map((n) => String(n).padStart(5, '0')).join('') + tlvs;
+  const sum = crypto.createHash('sha1').update(body, 'ascii').digest().readUInt16BE(0);
+  return '90' + String(version).padStart(2, '0') + String(sum).padStart(5, '0') + body;
+}
+
+test('parses the spec sample: DSK, requested keys, device class and product ids', () => {
+  const qr = parseQrCode(SAMPLE);
+  assert.strictEqual(qr.version, 'smart_start');
+  assert.strictEqual(qr.dsk, '51525-35455-41424-34445-31323-33435-21222-32425');
+  assert.strictEqual(qr.pin, '51525');
+  assert.deepStrictEqual(qr.requested_security_classes, [0, 1]);
+  assert.deepStrictEqual([qr.generic_device_class, qr.specific_device_class, qr.installer_icon], [0x11, 0x01, '0x0601']);
+  assert.deepStrictEqual([qr.manufacturer_id, qr.product_type, qr.product_id], ['0xfff0', '0x0064', '0x0003']);
+  assert.strictEqual(qr.application_version, '2.66');
+  assert.strictEqual(parseQrCode(`  ${SAMPLE.slice(0, 40)}\n${SAMPLE.slice(40)} `).dsk, qr.dsk, 'scanner whitespace is ignored');
+});
+
+test('the product id block maps the code to the Yale ZW3; S0 is read from bit 7', () => {
+  const yale = '02' + '20' + '00297' + '32770' + '18133' + '00261';
+  const qr = parseQrCode(qrCode({ tlvs: yale }));
+  assert.deepStrictEqual([qr.manufacturer_id, qr.product_type, qr.product_id], ['0x0129', '0x8002', '0x46d5']);
+  assert.strictEqual(qr.application_version, '1.5');
+  assert.deepStrictEqual(qr.requested_security_classes, [0, 1, 2, 7]);
+  assert.strictEqual(parseQrCode(qrCode({ version: 0 })).version, 's2');
+});
+
+test('bad codes are rejected with BAD_QR and a readable reason', () => {
+  const bad = (text, re) => assert.throws(() => parseQrCode(text), (e) => e.code === 'BAD_QR' && re.test(e.message));
+  bad('hello', /not a Z-Wave QR code/);
+  bad(SAMPLE.slice(0, 40), /cut short/);
+  bad(SAMPLE.slice(0, 60) + (SAMPLE[60] === '9' ? '8' : '9') + SAMPLE.slice(61), /checksum/);
+  bad(qrCode({ version: 2 }), /version 2/);
+  bad(qrCode({ dsk: [70000, 2, 3, 4, 5, 6, 7, 8] }), /DSK/);
+  bad(qrCode({ tlvs: '99' + '02' + '12' }), /block this app cannot read/);
+  assert.strictEqual(parseQrCode(qrCode({ tlvs: '98' + '02' + '12' })).dsk.length, 47, 'unknown non-critical blocks are skipped');
+});
+
+test('normalizeDsk accepts any separators; formatDsk renders bytes', () => {
+  assert.strictEqual(normalizeDsk('51525 35455 41424 34445 31323 33435 21222 32425'), '51525-35455-41424-34445-31323-33435-21222-32425');
+  assert.strictEqual(normalizeDsk('1-2-3-4-5-6-7-8'), '00001-00002-00003-00004-00005-00006-00007-00008');
+  assert.strictEqual(normalizeDsk('1-2-3'), null);
+  assert.strictEqual(normalizeDsk('65536-2-3-4-5-6-7-8'), null);
+  assert.strictEqual(formatDsk(Buffer.from('c94523f7a1be867e7a7c89c9a1f18b91', 'hex')).split('-').length, 8);
+});
@@ -57,3 +57,22 @@ test('a non-permission failure is reported without the permission flag', async (
   assert.equal(r.permission_denied, false);
   assert.equal(r.statusCode, 400);
 });
+
+test('unassignUserPin DELETEs the pin_codes endpoint and shares the permission flag', async () => {
+  const client = makeClient();
+  const calls = [];
+  client.request = async (method, path, body) => {
+    calls.push({ method, path, body });
+    return { code: 'SUCCESS' };
+  };
+  assert.deepEqual(await client.unassignUserPin('u-9'), { success: true, userId: 'u-9' });
+  assert.deepEqual(calls, [{ method: 'DELETE', path: '/users/u-9/pin_codes', body: undefined }]);
+  client.request = async () => {
+    const err = new Error('API error: CODE_OPERATION_FORBIDDEN - forbidden');
+    err.statusCode = 403;
+    throw err;
+  };
+  const r = await client.unassignUserPin('u-9');
+  assert.equal(r.success, false);
+  assert.equal(r.permission_denied, true);
+});
@@ -0,0 +1,55 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  nodeStatistics, backgroundRssi, lifelineSummary, assessNode,
+} = require('../src/drivers/zwave-diagnostics');
+
+const stats = (over = {}) => nodeStatistics(Object.assign({ commandsTX: 100, commandsDroppedTX: 0, rssi: -60 }, over));
+
+test('RSSI error codes read as no reading, not as a loud signal', () => {
+  assert.strictEqual(stats({ rssi: 127 }).rssi_dbm, null);
+  assert.strictEqual(stats({ rssi: 125 }).rssi_dbm, null);
+  const bg = backgroundRssi({ backgroundRSSI: { timestamp: 0, channel0: { average: -95, current: 127 }, channel1: { average: -101 } } });
+  assert.strictEqual(bg.channels.channel0.current_dbm, null);
+  assert.strictEqual(bg.noise_floor_dbm, -95, 'the noisiest channel is the floor');
+  assert.strictEqual(backgroundRssi({}), null);
+});
+
+test('lifelineSummary keeps the worst round', () => {
+  const s = lifelineSummary({
+    rating: 4,
+    results: [
+      { latency: 20, numNeighbors: 3, failedPingsNode: 0, snrMargin: 22 },
+      { latency: 90, numNeighbors: 2, failedPingsNode: 1, snrMargin: 9 },
+    ],
+  });
+  assert.deepStrictEqual([s.rating, s.rounds, s.latency_ms, s.neighbors, s.failed_pings, s.snr_margin_db], [4, 2, 90, 2, 1, 9]);
+  assert.strictEqual(s.route_changes, null);
+});
+
+test('assessNode: margin over the noise floor decides the signal verdict', () => {
+  assert.strictEqual(assessNode({ status: 'alive', statistics: stats({ rssi: -70 }) }, -95).level, 'good');
+  const fair = assessNode({ status: 'alive', statistics: stats({ rssi: -82 }) }, -95);
+  assert.strictEqual(fair.level, 'fair');
+  assert.deepStrictEqual(fair.reasons, ['signal 13 dB above the noise floor']);
+  assert.match(fair.advice, /repeater/);
+  assert.strictEqual(assessNode({ status: 'alive', statistics: stats({ rssi: -88 }) }, -95).level, 'poor');
+  assert.strictEqual(assessNode({ status: 'alive', statistics: stats({ rssi: -88 }) }, null).level, 'poor', 'absolute fallback');
+});
+
+test('assessNode: drops, long or failed routes, a dead node and a low rating all count', () => {
+  const drops = assessNode({ status: 'alive', statistics: stats({ commandsTX: 85, commandsDroppedTX: 15 }) }, -95);
+  assert.strictEqual(drops.level, 'poor');
+  assert.deepStrictEqual(drops.reasons, ['15 commands dropped (15%)']);
+  const route = assessNode({ status: 'asleep', statistics: stats({ lwr: { repeaters: [4, 6], routeFailedBetween: [6, 17] } }) }, -95);
+  assert.strictEqual(route.level, 'fair');
+  assert.strictEqual(route.reasons.length, 2);
+  assert.strictEqual(assessNode({ status: 'dead', statistics: null }, null).level, 'poor');
+  assert.strictEqual(assessNode({ status: 'alive', statistics: stats(), health: { rating: 2 } }, -95).level, 'poor');
+  const unknown = assessNode({ status: 'asleep', statistics: null }, null);
+  assert.strictEqual(unknown.level, 'unknown');
+  assert.match(unknown.advice, /run a health check/);
+});
@@ -284,3 +284,117 @@ test('a broken legacy path never blocks the driver start', async () => {
   assert.strictEqual(made.length, 1);
   assert.strictEqual(manager.isRunning(), true);
 });
+
+test('parseFirmware hands the file to the zwave-js firmware tools', async () => {
+  const seen = [];
+  const manager = new ZwaveManager({
+    logger: { warn() {}, info() {} },
+    firmwareTools: {
+      guessFirmwareFileFormat: (name, data) => { seen.push([name, data.length]); return 'aeotec'; },
+      extractFirmware: async (data, format) => ({ data: data.subarray(1), firmwareTarget: format === 'aeotec' ? 0 : 9 }),
+    },
+  });
+  const fw = await manager.parseFirmware('BE469ZP_v0.8.0.otz', Buffer.from([1, 2, 3]));
+  assert.deepStrictEqual(seen, [['BE469ZP_v0.8.0.otz', 3]]);
+  assert.strictEqual(fw.format, 'aeotec');
+  assert.strictEqual(fw.firmwareTarget, 0);
+  assert.deepStrictEqual([...fw.data], [2, 3]);
+});
+
+test('parseFirmware rejects an empty or unrecognized file with a readable error', async () => {
+  const manager = new ZwaveManager({
+    logger: { warn() {}, info() {} },
+    firmwareTools: {
+      guessFirmwareFileFormat: () => { throw new Error('Could not detect firmware format'); },
+      extractFirmware: async () => { throw new Error('unreachable'); },
+    },
+  });
+  await assert.rejects(() => manager.parseFirmware('notes.txt', Buffer.from('hello')), /"notes.txt" is not a recognized Z-Wave firmware file/);
+  await assert.rejects(() => manager.parseFirmware('lock.otz', Buffer.alloc(0)), /empty/);
+});
+
+test('backupNVM reads the raw image with the controller identity and node ids', async () => {
+  const { manager, made } = makeManager();
+  await assert.rejects(() => manager.backupNVM(), /not running/);
+  await manager.ensureStarted({ serial_path: 'COM3' });
+  const ctrl = made[0].controller;
+  ctrl.homeId = 0xc0ffee;
+  ctrl.ownNodeId = 1;
+  ctrl.sdkVersion = '7.19.3';
+  ctrl.nodes.set(1, {}).set(14, {});
+  const steps = [];
+  ctrl.backupNVMRaw = async (onProgress) => { onProgress(64, 128); onProgress(128, 128); return new Uint8Array([7, 8, 9]); };
+  const out = await manager.backupNVM((done, total) => steps.push(`${done}/${total}`));
+  assert.deepStrictEqual([...out.nvm], [7, 8, 9]);
+  assert.ok(Buffer.isBuffer(out.nvm));
+  assert.deepStrictEqual(out.nodeIds, [1, 14]);
+  assert.strictEqual(out.controller.home_id, '00c0ffee');
+  assert.strictEqual(out.controller.sdk_version, '7.19.3');
+  assert.deepStrictEqual(steps, ['64/128', '128/128']);
+});
+
+test('restoreNVM writes the image through the controller; restart() reopens the same port', async () => {
+  const { manager, made } = makeManager();
+  await manager.ensureStarted({ serial_path: 'COM3' });
+  const phases = [];
+  made[0].controller.restoreNVM = async (data, convert, restore) => {
+    made[0].restored = data;
+    convert(1, 1);
+    restore(2, 4);
+  };
+  await manager.restoreNVM(Buffer.from([1, 2]), (phase, done, total) => phases.push(`${phase} ${done}/${total}`));
+  assert.deepStrictEqual([...made[0].restored], [1, 2]);
+  assert.deepStrictEqual(phases, ['convert 1/1', 'restore 2/4']);
+  await manager.restart();
+  assert.strictEqual(made.length, 2);
+  assert.strictEqual(made[0].destroyed, true);
+  assert.strictEqual(made[1].path, 'COM3');
+  assert.strictEqual(manager.isRunning(), true);
+});
+
+test('networkDiagnostics reports every node but the stick, with neighbors and statistics', async () => {
+  const { manager, made } = makeManager();
+  await assert.rejects(() => manager.networkDiagnostics(), /not running/);
+  await manager.ensureStarted({ serial_path: 'COM3' });
+  const ctrl = made[0].controller;
+  ctrl.ownNodeId = 1;
+  ctrl.statistics = { messagesTX: 40, messagesDroppedTX: 1, backgroundRSSI: { timestamp: 0, channel0: { average: -98, current: -97 } } };
+  ctrl.nodes.set(1, { id: 1 });
+  ctrl.nodes.set(17, { id: 17, status: 1, lastSeen: new Date('2026-10-19T08:00:00Z'), statistics: { commandsTX: 9, commandsDroppedTX: 1, rssi: -70, lwr: { repeaters: [5], protocolDataRate: 3 } } });
+  ctrl.nodes.set(5, { id: 5, status: 4, isListening: true });
+  ctrl.getNodeNeighbors = async (id) => (id === 17 ? [1, 5] : Promise.reject(new Error('no routing info')));
+  const out = await manager.networkDiagnostics();
+  assert.deepStrictEqual(out.nodes.map((n) => n.node_id), [5, 17]);
+  const lock = out.nodes[1];
+  assert.strictEqual(lock.status, 'asleep');
+  assert.strictEqual(lock.last_seen, '2026-10-19T08:00:00.000Z');
+  assert.deepStrictEqual(lock.neighbors, [1, 5]);
+  assert.strictEqual(lock.statistics.commands_dropped_tx, 1);
+  assert.deepStrictEqual(lock.statistics.last_route.repeaters, [5]);
+  assert.strictEqual(out.nodes[0].neighbors, null, 'a failed routing read is null, not an error');
+  assert.strictEqual(out.nodes[0].listening, true);
+  assert.strictEqual(out.controller.background_rssi.noise_floor_dbm, -98);
+  assert.strictEqual(out.controller.statistics.messages_dropped_tx, 1);
+});
+
+test('checkNodeHealth pings and probes the lifeline; a failed probe is reported, not thrown', async () => {
+  const { manager, made } = makeManager();
+  await manager.ensureStarted({ serial_path: 'COM3' });
+  let asked = null;
+  made[0].controller.nodes.set(17, {
+    ping: async () => true,
+    checkLifelineHealth: async (rounds) => {
+      asked = rounds;
+      return { rating: 6, results: [{ latency: 30, snrMargin: 20 }, { latency: 80, snrMargin: 12 }] };
+    },
+  });
+  made[0].controller.nodes.set(5, { ping: async () => false, checkLifelineHealth: async () => { throw new Error('node asleep'); } });
+  const h = await manager.checkNodeHealth(17, 2);
+  assert.strictEqual(asked, 2);
+  assert.strictEqual(h.ping_ok, true);
+  assert.deepStrictEqual([h.lifeline.rating, h.lifeline.latency_ms, h.lifeline.snr_margin_db], [6, 80, 12]);
+  const sleepy = await manager.checkNodeHealth(5, 99);
+  assert.strictEqual(sleepy.rounds, 10, 'rounds are clamped to what zwave-js accepts');
+  assert.strictEqual(sleepy.lifeline_error, 'node asleep');
+  await assert.rejects(() => manager.checkNodeHealth(9), /node 9 is not on the stick/);
+});
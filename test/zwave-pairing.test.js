@@ -500,6 +500,38 @@ test('the configured lock node is neither a ghost nor a foreign device', async (
   assert.ok(ctl.inclusionOpts, 'inclusion proceeds');
 });
 
+test('a contact sensor joins unencrypted, without forceSecurity, under its own id', async () => {
+  const { pairing, manager, calls } = makePairing();
+  await pairing.startInclusion({ device: 'contact_sensor', sensor_id: 'front_contact', name: 'Front contact', lock_id: 'ignored', model_key: 'ignored' });
+  const ctl = manager.mockController;
+  assert.strictEqual(ctl.inclusionOpts.forceSecurity, undefined, 'a sensor may have no encrypted class at all');
+  assert.strictEqual(pairing.status().device, 'contact_sensor');
+  ctl.emit('inclusion started');
+  ctl.emit('node added', { id: 14, getHighestSecurityClass: () => -1 }, { lowSecurity: true });
+  await new Promise((r) => setImmediate(r));
+  assert.strictEqual(pairing.state, 'done');
+  assert.deepStrictEqual(calls.includeDone, [{
+    nodeId: 14, securityClass: 'None', name: 'Front contact', device: 'contact_sensor', sensorId: 'front_contact',
+  }]);
+  // The next session is a deadbolt again unless asked otherwise.
+  await pairing.startInclusion();
+  assert.strictEqual(pairing.status().device, 'deadbolt');
+  assert.strictEqual(manager.mockController.inclusionOpts.forceSecurity, true);
+});
+
+test('a configured contact sensor node is neither a ghost nor a foreign device', async () => {
+  const { pairing, manager } = makePairing({
+    getZwaveConfig: () => ({ serial_path: 'COM3', locks: {}, sensors: { front_contact: { node_id: 6 } } }),
+  });
+  const ctl = manager.mockController;
+  ctl.ownNodeId = 1;
+  ctl.nodes = new Map([[1, { id: 1 }], [6, { id: 6 }]]);
+  ctl.isFailedNode = async () => { throw new Error('must not be called'); };
+  ctl.removeFailedNode = async () => { throw new Error('must not be called'); };
+  await pairing.startInclusion();
+  assert.ok(ctl.inclusionOpts, 'inclusion proceeds');
+});
+
 test('history records every session step but never the PIN digits', async () => {
   const { pairing, manager } = makePairing();
   const ctl = manager.mockController;
@@ -573,3 +605,104 @@ test('a session failed during beginInclusion is not resurrected (zombie guard)',
   ctl.emit('inclusion started');
   assert.strictEqual(pairing.state, 'cancelled');
 });
+
+// ---------------------------------------------------------------------------
+// SmartStart: QR code -> provisioning list -> self-join adopted into config.
+// ---------------------------------------------------------------------------
+
+const crypto = require('crypto');
+
+// A SmartStart code for a Yale Assure ZW3 (0x0129:0x8002:0x46d5) requesting
+// S2 Access Control plus S0 (keys 0x84).
+function yaleQr() {
+  const body = '132' + '11111' + '22222' + '33333' + '44444' + '55555' + '06666' + '07777' + '08888'
+    + '02' + '20' + '00297' + '32770' + '18133' + '00261';
+  const sum = crypto.createHash('sha1').update(body, 'ascii').digest().readUInt16BE(0);
+  return '9001' + String(sum).padStart(5, '0') + body;
+}
+const YALE_DSK = '11111-22222-33333-44444-55555-06666-07777-08888';
+
+// Adds the zwave-js provisioning-list calls to the mock controller.
+function withProvisioning(manager) {
+  const ctl = manager.mockController;
+  ctl.provisioning = new Map();
+  ctl.provisionSmartStartNode = (entry) => { ctl.provisioning.set(entry.dsk, Object.assign({}, entry)); };
+  ctl.getProvisioningEntries = () => [...ctl.provisioning.values()];
+  ctl.getProvisioningEntry = (dsk) => ctl.provisioning.get(dsk);
+  ctl.unprovisionSmartStartNode = (dsk) => { ctl.provisioning.delete(dsk); };
+  return ctl;
+}
+
+test('SmartStart: a QR code lands on the provisioning list mapped to its catalog model', async () => {
+  const { pairing, manager, calls } = makePairing();
+  const ctl = withProvisioning(manager);
+  const view = await pairing.provisionSmartStart({ qr: yaleQr(), lock_id: 'back_door', name: 'Back Door' });
+  assert.strictEqual(calls.keysPersisted, 1, 'keys persisted before the device can join');
+  const entry = ctl.provisioning.get(YALE_DSK);
+  assert.deepStrictEqual(entry.securityClasses, [2, 7]);
+  assert.deepStrictEqual([entry.lockId, entry.name, entry.modelKey, entry.device], ['back_door', 'Back Door', 'yale-assure-zw3', 'deadbolt']);
+  assert.strictEqual(view.model, 'Yale Assure (ZW3 / 700-series)');
+  assert.deepStrictEqual(view.security, ['S2 Access Control', 'S0 Legacy']);
+  assert.strictEqual(view.status, 'active');
+  assert.strictEqual(pairing.smartStartEntries().length, 1);
+  assert.ok(!pairing.history.some((h) => h.msg.includes('11111')), 'the PIN block never reaches the history');
+});
+
+test('SmartStart: an S2-only code, a joined DSK and a missing port are refused', async () => {
+  const { pairing, manager } = makePairing();
+  const ctl = withProvisioning(manager);
+  const body = yaleQr().slice(9);
+  const sum = crypto.createHash('sha1').update(body, 'ascii').digest().readUInt16BE(0);
+  await assert.rejects(() => pairing.provisionSmartStart({ qr: '9000' + String(sum).padStart(5, '0') + body }),
+    (e) => e.code === 'BAD_QR' && /S2-only/.test(e.message));
+  ctl.provisioning.set(YALE_DSK, { dsk: YALE_DSK, nodeId: 9 });
+  await assert.rejects(() => pairing.provisionSmartStart({ qr: yaleQr() }), /already joined as node 9/);
+  const { pairing: noPort } = makePairing({ getZwaveConfig: () => ({}) });
+  await assert.rejects(() => noPort.provisionSmartStart({ qr: yaleQr() }), (e) => e.code === 'NO_PORT');
+});
+
+test('SmartStart: a join with no session is matched to its entry and handed to onIncludeDone', async () => {
+  const { pairing, manager, calls } = makePairing();
+  const ctl = withProvisioning(manager);
+  await pairing.provisionSmartStart({ qr: yaleQr(), lock_id: 'back_door', name: 'Back Door' });
+  ctl.provisioning.get(YALE_DSK).nodeId = 12;
+  ctl.emit('node added', { id: 12, getHighestSecurityClass: () => 2 }, { lowSecurity: false });
+  await new Promise((r) => setImmediate(r));
+  assert.deepStrictEqual(calls.includeDone, [{
+    nodeId: 12, securityClass: 'S2 Access Control', smartStart: true, lockId: 'back_door', modelKey: 'yale-assure-zw3', name: 'Back Door',
+  }]);
+  // A node that is not on the list is left alone; an unencrypted deadbolt is
+  // not adopted.
+  ctl.emit('node added', { id: 13 }, {});
+  ctl.provisioning.set('x', { dsk: 'x', nodeId: 14, device: 'deadbolt', lockId: 'side' });
+  ctl.emit('node added', { id: 14, getHighestSecurityClass: () => -1 }, { lowSecurity: true });
+  await new Promise((r) => setImmediate(r));
+  assert.strictEqual(calls.includeDone.length, 1);
+  assert.ok(pairing.history.some((h) => /node 13 joined outside a pairing session/.test(h.msg)));
+  assert.ok(pairing.history.some((h) => /"side" joined as node 14 WITHOUT encryption/.test(h.msg)));
+});
+
+test('SmartStart: the watch follows a restarted driver onto its new controller', async () => {
+  const { pairing, manager, calls } = makePairing();
+  const first = withProvisioning(manager);
+  await pairing.provisionSmartStart({ qr: yaleQr(), device: 'contact_sensor', sensor_id: 'garage', name: 'Garage' });
+  manager.mockController = new MockController();
+  const second = withProvisioning(manager);
+  second.provisioning = first.provisioning;
+  manager.emit('driver-started');
+  assert.strictEqual(first.listenerCount('node added'), 0, 'the old controller is let go');
+  first.provisioning.get(YALE_DSK).nodeId = 20;
+  second.emit('node added', { id: 20, getHighestSecurityClass: () => -1 }, { lowSecurity: true });
+  await new Promise((r) => setImmediate(r));
+  assert.deepStrictEqual(calls.includeDone, [{ nodeId: 20, securityClass: 'None', smartStart: true, device: 'contact_sensor', sensorId: 'garage', name: 'Garage' }]);
+});
+
+test('SmartStart: unprovision takes the DSK off the list; unknown or malformed DSKs are refused', async () => {
+  const { pairing, manager } = makePairing();
+  const ctl = withProvisioning(manager);
+  await pairing.provisionSmartStart({ qr: yaleQr() });
+  assert.throws(() => pairing.unprovisionSmartStart('1-2-3'), (e) => e.code === 'BAD_QR');
+  assert.throws(() => pairing.unprovisionSmartStart('1-2-3-4-5-6-7-8'), (e) => e.code === 'NOT_FOUND');
+  assert.deepStrictEqual(pairing.unprovisionSmartStart(YALE_DSK.replace(/-/g, ' ')), { status: 'removed' });
+  assert.strictEqual(ctl.provisioning.size, 0);
+});